@@ -3,9 +3,12 @@
  * Implements sophisticated retrieval strategies for better accuracy
  */
 
-import { ChatGroq } from '@langchain/groq';
+import aiService from '../../config/aiService.js';
 import chromaService from '../vectorstore/chromaService.js';
 import vectorCache from '../vectorstore/vectorCache.js';
+import keywordIndex, { tokenize } from '../vectorstore/keywordIndex.js';
+import { fuseResults } from '../vectorstore/fusion.js';
+import reranker from '../vectorstore/reranker.js';
 import embeddingService from '../embeddings/embeddingService.js';
 import { formatRAGPrompt, ragPrompts } from '../prompts/ragPrompts.js';
 import aiConfig from '../../config/ai.js';
@@ -19,14 +22,7 @@ class AdvancedRAGChain {
   getLLM() {
     if (this.llm) return this.llm;
 
-    const apiKey = aiConfig.llm.apiKey || process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      throw new Error('GROQ API key missing');
-    }
-
-    this.llm = new ChatGroq({
-      apiKey,
-      model: aiConfig.llm.model,
+    this.llm = aiService.getChatModel('rag', {
       temperature: aiConfig.llm.temperature,
       maxTokens: aiConfig.llm.maxTokens,
     });
@@ -55,7 +51,9 @@ class AdvancedRAGChain {
 
       // Step 2: Search with each query variation in parallel
       const searchPromises = queryVariations.map((query) =>
-        chromaService.search(collectionKey, query, { topK })
+        chromaService.search(collectionKey, query, {
+          topK: this.candidateCount(topK),
+        })
       );
 
       const searchResults = await Promise.all(searchPromises);
@@ -63,8 +61,8 @@ class AdvancedRAGChain {
       // Step 3: Merge and deduplicate results
       const mergedResults = this.mergeResults(searchResults);
 
-      // Step 4: Re-rank by relevance score
-      const reranked = this.rerankByScore(mergedResults, topK * 2);
+      // Step 4: Re-rank against the original question
+      const reranked = await this.rerank(question, mergedResults, topK * 2);
 
       // Step 5: Filter by minimum score
       const relevantDocs = reranked.filter(
@@ -96,8 +94,10 @@ class AdvancedRAGChain {
       return {
         answer: response.content,
         sources: relevantDocs.map((doc) => ({
+          id: doc.id,
           content: doc.content.substring(0, 200) + '...',
           score: doc.score,
+          rerankScore: doc.rerankScore,
           metadata: doc.metadata,
         })),
         confidence: relevantDocs[0]?.score || 0,
@@ -169,6 +169,26 @@ Generate ${numQueries} alternative phrasings of this question. Each should ask t
       .slice(0, limit);
   }
 
+  /**
+   * Re-rank results with the cross-encoder when enabled, otherwise by score
+   */
+  async rerank(query, results, limit) {
+    if (!aiConfig.rag.enableReranking) {
+      return this.rerankByScore(results, limit);
+    }
+
+    return reranker.rerank(query, results, { limit });
+  }
+
+  /**
+   * How many results to retrieve so the reranker has a full candidate pool
+   */
+  candidateCount(topK) {
+    return aiConfig.rag.enableReranking
+      ? Math.max(topK, aiConfig.rag.reranking.candidatePool)
+      : topK;
+  }
+
   /**
    * Conversational RAG: Maintain context from conversation history
    */
@@ -192,11 +212,16 @@ Generate ${numQueries} alternative phrasings of this question. Each should ask t
       const searchResults = await chromaService.search(
         collectionKey,
         contextualizedQuestion,
-        { topK }
+        { topK: this.candidateCount(topK) }
       );
 
-      // Step 3: Filter by minimum score
-      const relevantDocs = searchResults.results.filter(
+      // Step 3: Re-rank and filter by minimum score
+      const reranked = await this.rerank(
+        contextualizedQuestion,
+        searchResults.results,
+        topK
+      );
+      const relevantDocs = reranked.filter(
         (doc) => doc.score >= aiConfig.rag.minScore
       );
 
@@ -231,8 +256,10 @@ Generate ${numQueries} alternative phrasings of this question. Each should ask t
       return {
         answer: response.content,
         sources: relevantDocs.map((doc) => ({
+          id: doc.id,
           content: doc.content.substring(0, 200) + '...',
           score: doc.score,
+          rerankScore: doc.rerankScore,
           metadata: doc.metadata,
         })),
         confidence: relevantDocs[0]?.score || 0,
@@ -293,13 +320,18 @@ Standalone question:`;
         collectionKey,
         filters.semanticQuery || question,
         {
-          topK,
+          topK: this.candidateCount(topK),
           where: filters.where,
         }
       );
 
-      // Step 3: Filter by minimum score
-      const relevantDocs = searchResults.results.filter(
+      // Step 3: Re-rank and filter by minimum score
+      const reranked = await this.rerank(
+        filters.semanticQuery || question,
+        searchResults.results,
+        topK
+      );
+      const relevantDocs = reranked.filter(
         (doc) => doc.score >= aiConfig.rag.minScore
       );
 
@@ -328,8 +360,10 @@ Standalone question:`;
       return {
         answer: response.content,
         sources: relevantDocs.map((doc) => ({
+          id: doc.id,
           content: doc.content.substring(0, 200) + '...',
           score: doc.score,
+          rerankScore: doc.rerankScore,
           metadata: doc.metadata,
         })),
         confidence: relevantDocs[0]?.score || 0,
@@ -374,43 +408,49 @@ Return ONLY valid JSON, no explanations:`;
   }
 
   /**
-   * Hybrid Search: Combine semantic search with keyword matching
+   * Hybrid Search: Combine semantic search with BM25 keyword matching
+   * @param {String} question
+   * @param {Object} options - collectionKey, topK, where, fusion ('rrf' | 'weighted'),
+   *   alpha (vector weight, 0-1), rrfK, candidates (results fetched from each retriever)
    */
   async hybridSearch(question, options = {}) {
-    const { collectionKey = 'knowledge', topK = aiConfig.rag.topK, alpha = 0.7 } = options;
+    const settings = aiConfig.rag.hybrid;
+    const {
+      collectionKey = 'knowledge',
+      topK = aiConfig.rag.topK,
+      where = null,
+      fusion = settings.fusion,
+      alpha = settings.alpha,
+      rrfK = settings.rrfK,
+      candidates = topK * settings.candidateMultiplier,
+    } = options;
 
     try {
-      // Step 1: Semantic search
+      // Step 1: Semantic and keyword retrieval over the same collection and filter
       const semanticResults = await chromaService.search(
         collectionKey,
         question,
-        { topK: topK * 2 }
+        { topK: candidates, where }
       );
+      const keywordResults = keywordIndex.search(collectionKey, question, { topK: candidates, where });
 
-      // Step 2: Keyword search (using ChromaDB whereDocument)
-      const keywords = this.extractKeywords(question);
-      const keywordFilter = keywords
-        .map((kw) => `{$contains: "${kw}"}`)
-        .join(', ');
-
-      // For now, we'll use semantic only (keyword search requires whereDocument support)
-      // In production, implement BM25 or TF-IDF scoring
-
-      // Step 3: Combine scores with hybrid weighting (alpha for semantic, 1-alpha for keyword)
-      const hybridResults = semanticResults.results.map((doc) => ({
-        ...doc,
-        hybridScore: alpha * doc.score + (1 - alpha) * 0.5, // Placeholder keyword score
-      }));
+      // Step 2: Fuse the two rankings
+      const fused = fuseResults(semanticResults.results, keywordResults, { method: fusion, alpha, rrfK });
 
-      // Step 4: Re-rank by hybrid score
-      const reranked = hybridResults
-        .sort((a, b) => b.hybridScore - a.hybridScore)
+      // Step 3: Keep documents that are relevant to at least one retriever
+      const relevantDocs = fused
+        .filter((doc) => doc.vectorScore >= aiConfig.rag.minScore
+          || doc.keywordScore >= settings.minKeywordScore)
         .slice(0, topK);
 
-      // Step 5: Filter by minimum score
-      const relevantDocs = reranked.filter(
-        (doc) => doc.hybridScore >= aiConfig.rag.minScore
-      );
+      const fusionInfo = {
+        method: fusion,
+        alpha,
+        ...(fusion === 'rrf' && { rrfK }),
+        candidates,
+        vectorResults: semanticResults.results.length,
+        keywordResults: keywordResults.length,
+      };
 
       if (relevantDocs.length === 0) {
         return {
@@ -418,10 +458,12 @@ Return ONLY valid JSON, no explanations:`;
           sources: [],
           confidence: 0,
           strategy: 'hybrid',
+          keywords: this.extractKeywords(question),
+          fusion: fusionInfo,
         };
       }
 
-      // Step 6: Generate answer
+      // Step 4: Generate answer
       const context = relevantDocs
         .map((doc, idx) => `[${idx + 1}] ${doc.content}`)
         .join('\n\n');
@@ -436,13 +478,18 @@ Return ONLY valid JSON, no explanations:`;
       return {
         answer: response.content,
         sources: relevantDocs.map((doc) => ({
+          id: doc.id,
           content: doc.content.substring(0, 200) + '...',
           score: doc.hybridScore,
+          vectorScore: doc.vectorScore,
+          keywordScore: doc.keywordScore,
+          matchedTerms: doc.matchedTerms,
           metadata: doc.metadata,
         })),
-        confidence: relevantDocs[0]?.hybridScore || 0,
+        confidence: relevantDocs[0].hybridScore,
         strategy: 'hybrid',
-        alpha,
+        keywords: this.extractKeywords(question),
+        fusion: fusionInfo,
       };
     } catch (error) {
       logger.error('Hybrid search error:', error);
@@ -451,20 +498,10 @@ Return ONLY valid JSON, no explanations:`;
   }
 
   /**
-   * Extract keywords from question
+   * Extract keywords from question (the terms the keyword index searches for)
    */
   extractKeywords(question) {
-    // Simple keyword extraction (in production, use NLP library)
-    const stopWords = new Set([
-      'the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but',
-      'in', 'with', 'to', 'for', 'of', 'as', 'from', 'by', 'how', 'what',
-      'where', 'when', 'why', 'who', 'i', 'you', 'we', 'they', 'it',
-    ]);
-
-    return question
-      .toLowerCase()
-      .split(/\W+/)
-      .filter((word) => word.length > 2 && !stopWords.has(word));
+    return [...new Set(tokenize(question))];
   }
 }
 
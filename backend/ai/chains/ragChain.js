@@ -5,13 +5,13 @@
 
 import chromaService from '../vectorstore/chromaService.js';
 import vectorCache from '../vectorstore/vectorCache.js';
-import { ChatGroq } from '@langchain/groq';
+import aiService from '../../config/aiService.js';
 import { formatRAGPrompt, ragPrompts } from '../prompts/ragPrompts.js';
 import aiConfig from '../../config/ai.js';
 
 class RAGChain {
     constructor() {
-        // Do not construct the ChatGroq client at import time. Create it
+        // Do not construct the chat model at import time. Create it
         // lazily on first use so that environment loading order (dotenv)
         // or dynamic imports won't cause module-load crashes.
         this.llm = null;
@@ -20,17 +20,7 @@ class RAGChain {
     getLLM() {
         if (this.llm) return this.llm;
 
-        const apiKey = aiConfig.llm.apiKey || process.env.GROQ_API_KEY;
-
-        if (!apiKey) {
-            throw new Error(
-                'GROQ API key missing. Please set `GROQ_API_KEY` in your .env or environment and restart the server.'
-            );
-        }
-
-        this.llm = new ChatGroq({
-            apiKey,
-            model: aiConfig.llm.model,
+        this.llm = aiService.getChatModel('rag', {
             temperature: aiConfig.llm.temperature,
             maxTokens: aiConfig.llm.maxTokens,
         });
@@ -39,9 +29,11 @@ class RAGChain {
     }
 
     /**
-     * Query with RAG
+     * Retrieve the documents for a question
+     * @returns {Object} { prompt, sources, confidence, cached } when relevant documents
+     *   were found, otherwise { answer, sources: [], confidence: 0, ... } explaining why not
      */
-    async query(question, options = {}) {
+    async retrieve(question, options = {}) {
         const {
             collectionKey = 'knowledge',
             topK = aiConfig.rag.topK,
@@ -93,15 +85,10 @@ class RAGChain {
             .map((doc, idx) => `[${idx + 1}] ${doc.content}`)
             .join('\n\n');
 
-        // Step 4: Generate answer with LLM
-        const prompt = formatRAGPrompt(promptTemplate, { context, question });
-
-        const response = await this.getLLM().invoke(prompt);
-        const answer = response.content;
-
         return {
-            answer,
+            prompt: formatRAGPrompt(promptTemplate, { context, question }),
             sources: relevantDocs.map((doc) => ({
+                id: doc.id,
                 content: doc.content.substring(0, 200) + '...',
                 score: doc.score,
                 metadata: doc.metadata,
@@ -111,6 +98,54 @@ class RAGChain {
         };
     }
 
+    /**
+     * Query with RAG
+     */
+    async query(question, options = {}) {
+        const { prompt, ...retrieval } = await this.retrieve(question, options);
+        if (!prompt) {
+            return retrieval;
+        }
+
+        // Step 4: Generate answer with LLM
+        const response = await this.getLLM().invoke(prompt);
+
+        return {
+            answer: response.content,
+            ...retrieval,
+        };
+    }
+
+    /**
+     * Query with RAG, streaming the answer
+     * @yields {Object} { type: 'sources', sources, confidence } once retrieval completes,
+     *   then { type: 'token', delta } chunks and a final { type: 'usage', usage, model, provider }
+     */
+    async *stream(question, options = {}) {
+        const { prompt, answer, sources, confidence } = await this.retrieve(question, options);
+
+        yield { type: 'sources', sources, confidence };
+
+        if (!prompt) {
+            yield { type: 'token', delta: answer };
+            return;
+        }
+
+        for await (const chunk of await this.getLLM().stream(prompt, { signal: options.signal })) {
+            if (chunk.content) {
+                yield { type: 'token', delta: chunk.content };
+            }
+            if (chunk.response_metadata?.provider) {
+                yield {
+                    type: 'usage',
+                    usage: chunk.usage_metadata || null,
+                    model: chunk.response_metadata.model,
+                    provider: chunk.response_metadata.provider,
+                };
+            }
+        }
+    }
+
     /**
      * Explain concept with RAG
      */
@@ -3,9 +3,9 @@
  * Automatically determines whether a query needs RAG retrieval or simple chat
  */
 
-import { ChatGroq } from '@langchain/groq';
-import aiConfig from '../../config/ai.js';
+import aiService from '../../config/aiService.js';
 import logger from '../../utils/logger.js';
+import { classifierRoutes } from '../../utils/metrics.js';
 
 class QueryClassifier {
   constructor() {
@@ -74,15 +74,8 @@ class QueryClassifier {
   getLLM() {
     if (this.llm) return this.llm;
 
-    const apiKey = aiConfig.llm.apiKey || process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      throw new Error('GROQ API key missing');
-    }
-
     // Use fast model with low temperature for classification
-    this.llm = new ChatGroq({
-      apiKey,
-      model: aiConfig.llm.model,
+    this.llm = aiService.getChatModel('classifier', {
       temperature: 0.1, // Low temperature for consistent classification
       maxTokens: 100, // Short response needed
     });
@@ -259,6 +252,7 @@ Respond with ONLY a JSON object in this exact format:
     } else {
       this.stats.simpleChatSelected++;
     }
+    classifierRoutes.inc({ classifier: 'query', route: classification.mode === 'rag' ? 'rag' : 'simple' });
 
     // Update average confidence (moving average)
     this.stats.averageConfidence =
@@ -7,6 +7,7 @@
 import embeddingService from '../embeddings/embeddingService.js';
 import chromaService from '../vectorstore/chromaService.js';
 import logger from '../../utils/logger.js';
+import { classifierRoutes } from '../../utils/metrics.js';
 
 class SemanticQueryClassifier {
   constructor() {
@@ -244,7 +245,7 @@ class SemanticQueryClassifier {
 
     // Handle force mode
     if (forceMode) {
-      this.stats.modeBreakdown[forceMode === 'rag' ? 'rag' : 'simple']++;
+      this.countRoute(forceMode === 'rag' ? 'rag' : 'simple');
       return {
         mode: forceMode,
         confidence: 1.0,
@@ -256,7 +257,7 @@ class SemanticQueryClassifier {
     // Check for session memory intent first (most specific)
     const memoryIntent = this.detectSessionMemoryIntent(query, conversationHistory);
     if (memoryIntent.detected && memoryIntent.confidence > 0.7) {
-      this.stats.modeBreakdown.sessionMemory++;
+      this.countRoute('sessionMemory');
       return {
         mode: 'sessionMemory',
         confidence: memoryIntent.confidence,
@@ -284,7 +285,7 @@ class SemanticQueryClassifier {
 
     // Platform action detection
     if (primaryIntent === 'platformAction' && primaryScore > 0.6) {
-      this.stats.modeBreakdown.platformAction++;
+      this.countRoute('platformAction');
       return {
         mode: 'platformAction',
         confidence: primaryScore,
@@ -302,7 +303,7 @@ class SemanticQueryClassifier {
       });
 
       if (knowledgeCheck.available) {
-        this.stats.modeBreakdown.rag++;
+        this.countRoute('rag');
         this.updateAverageConfidence(primaryScore);
 
         return {
@@ -316,7 +317,7 @@ class SemanticQueryClassifier {
       } else {
         // Knowledge base not available - fallback to simple
         this.stats.fallbacks++;
-        this.stats.modeBreakdown.simple++;
+        this.countRoute('simple');
         this.updateAverageConfidence(primaryScore);
 
         logger.warn(
@@ -338,7 +339,7 @@ class SemanticQueryClassifier {
     // Ambiguous intent - use confidence delta to decide
     if (confidenceDelta < 0.15 && primaryScore < 0.7) {
       // Too ambiguous - default to simple chat with low confidence
-      this.stats.modeBreakdown.simple++;
+      this.countRoute('simple');
       this.updateAverageConfidence(0.4);
 
       return {
@@ -352,7 +353,7 @@ class SemanticQueryClassifier {
     }
 
     // Conversational chat (default)
-    this.stats.modeBreakdown.simple++;
+    this.countRoute('simple');
     this.updateAverageConfidence(primaryScore);
 
     return {
@@ -364,6 +365,14 @@ class SemanticQueryClassifier {
     };
   }
 
+  /**
+   * Count a routing decision in the stats and on /metrics
+   */
+  countRoute(mode) {
+    this.stats.modeBreakdown[mode]++;
+    classifierRoutes.inc({ classifier: 'semantic', route: mode });
+  }
+
   /**
    * Update running average confidence
    */
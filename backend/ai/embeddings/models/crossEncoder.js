@@ -0,0 +1,126 @@
+/**
+ * Cross-Encoder Reranking Model Loader
+ * Uses Xenova Transformers to score (query, passage) pairs locally
+ * Model: cross-encoder/ms-marco-MiniLM-L-6-v2 (relevance logit per pair)
+ */
+
+import aiConfig from '../../../config/ai.js';
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+class CrossEncoderModel {
+  constructor() {
+    this.model = null;
+    this.tokenizer = null;
+    this.modelName = aiConfig.rag.reranking.model;
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load tokenizer and model (lazy loading). The transformers runtime is only
+   * imported here, so reranking costs nothing while it is disabled.
+   */
+  async load() {
+    if (this.model) {
+      return this.model;
+    }
+
+    if (this.isLoading) {
+      // Wait for existing load to complete
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+    console.log(`📦 Loading cross-encoder reranking model (${this.modelName})...`);
+
+    this.loadPromise = (async () => {
+      try {
+        const startTime = Date.now();
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+
+        this.tokenizer = await AutoTokenizer.from_pretrained(this.modelName);
+        this.model = await AutoModelForSequenceClassification.from_pretrained(this.modelName, {
+          quantized: true, // Use quantized model for faster inference
+        });
+
+        const loadTime = Date.now() - startTime;
+        console.log(`✅ Cross-encoder model loaded successfully (${loadTime}ms)`);
+        console.log(`   Model: ${this.modelName}`);
+
+        this.isLoading = false;
+        return this.model;
+      } catch (error) {
+        this.isLoading = false;
+        this.loadPromise = null;
+        this.tokenizer = null;
+        console.error('❌ Failed to load cross-encoder model:', error.message);
+        throw new Error(`Failed to load reranking model: ${error.message}`);
+      }
+    })();
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Score passages against a query
+   * @param {String} query
+   * @param {Array<String>} passages
+   * @returns {Array<Number>} relevance in 0-1, one per passage
+   */
+  async score(query, passages) {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query must be a non-empty string');
+    }
+    if (!Array.isArray(passages) || passages.length === 0) {
+      return [];
+    }
+
+    const model = await this.load();
+
+    try {
+      const inputs = this.tokenizer(new Array(passages.length).fill(query), {
+        text_pair: passages,
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await model(inputs);
+
+      // One logit per pair
+      return Array.from(logits.data, sigmoid);
+    } catch (error) {
+      console.error('Cross-encoder scoring error:', error);
+      throw new Error(`Failed to score passages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get model info
+   */
+  getInfo() {
+    return {
+      name: this.modelName,
+      loaded: this.model !== null,
+      quantized: true,
+    };
+  }
+
+  /**
+   * Unload model from memory (for cleanup)
+   */
+  async unload() {
+    if (this.model) {
+      console.log('🧹 Unloading cross-encoder model from memory...');
+      this.model = null;
+      this.tokenizer = null;
+      this.isLoading = false;
+      this.loadPromise = null;
+      console.log('✅ Model unloaded');
+    }
+  }
+}
+
+// Singleton instance
+const crossEncoderModel = new CrossEncoderModel();
+
+export default crossEncoderModel;
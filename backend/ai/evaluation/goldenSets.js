@@ -0,0 +1,116 @@
+/**
+ * Golden Question Sets
+ * Versioned JSON files named <name>.v<version>.json in the golden set directory.
+ * A set is never edited once runs refer to it: changes go into a new version,
+ * so reports of the same set version stay comparable.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { z } from 'zod';
+import aiConfig from '../../config/ai.js';
+
+const FILE_PATTERN = /^([a-z0-9][a-z0-9-]*)\.v(\d+)\.json$/;
+
+export class GoldenSetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GoldenSetError';
+    this.status = status;
+  }
+}
+
+const goldenItemSchema = z.object({
+  id: z.string().min(1),
+  question: z.string().min(1).max(2000),
+  // Matched against source id, metadata.documentId, metadata.source or metadata.title
+  expectedSources: z.array(z.string().min(1)).default([]),
+  referenceAnswer: z.string().min(1),
+  conversationHistory: z.array(z.object({
+    role: z.enum(['user', 'assistant']),
+    content: z.string(),
+  })).default([]),
+});
+
+export const goldenSetSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/),
+  version: z.number().int().positive(),
+  description: z.string().optional(),
+  collectionKey: z.string().default('knowledge'),
+  items: z.array(goldenItemSchema).min(1),
+}).refine(
+  (set) => new Set(set.items.map((item) => item.id)).size === set.items.length,
+  { message: 'Item ids must be unique', path: ['items'] },
+);
+
+/**
+ * Available sets and their versions
+ * @returns {Array} [{ name, versions: [1, 2], latest }]
+ */
+export const listGoldenSets = async (dir = aiConfig.evaluation.goldenSetDir) => {
+  const files = await fs.readdir(dir).catch(() => []);
+  const sets = new Map();
+
+  for (const file of files) {
+    const match = file.match(FILE_PATTERN);
+    if (match) {
+      const versions = sets.get(match[1]) || [];
+      versions.push(Number(match[2]));
+      sets.set(match[1], versions);
+    }
+  }
+
+  return [...sets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, versions]) => {
+      versions.sort((a, b) => a - b);
+      return { name, versions, latest: versions[versions.length - 1] };
+    });
+};
+
+/**
+ * Load and validate a golden set
+ * @param {String} name
+ * @param {Number} version - latest when omitted
+ * @returns {Object} the set plus contentHash (SHA-256 of the file)
+ */
+export const loadGoldenSet = async (name, version, dir = aiConfig.evaluation.goldenSetDir) => {
+  const entry = (await listGoldenSets(dir)).find((set) => set.name === name);
+  if (!entry) {
+    throw new GoldenSetError(`Golden set not found: ${name}`, 404);
+  }
+
+  const wanted = version ?? entry.latest;
+  if (!entry.versions.includes(wanted)) {
+    throw new GoldenSetError(`Golden set ${name} has no version ${wanted}`, 404);
+  }
+
+  const raw = await fs.readFile(path.join(dir, `${name}.v${wanted}.json`), 'utf8');
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new GoldenSetError(`Golden set ${name}.v${wanted} is not valid JSON: ${error.message}`, 422);
+  }
+
+  const parsed = goldenSetSchema.safeParse(data);
+  if (!parsed.success) {
+    const issues = parsed.error.errors.map((issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+    throw new GoldenSetError(`Golden set ${name}.v${wanted} is invalid: ${issues}`, 422);
+  }
+  if (parsed.data.name !== name || parsed.data.version !== wanted) {
+    throw new GoldenSetError(`Golden set ${name}.v${wanted} declares ${parsed.data.name} v${parsed.data.version}`, 422);
+  }
+
+  return {
+    ...parsed.data,
+    contentHash: crypto.createHash('sha256').update(raw).digest('hex'),
+  };
+};
+
+export default {
+  listGoldenSets,
+  loadGoldenSet,
+};
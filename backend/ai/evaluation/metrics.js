@@ -0,0 +1,138 @@
+/**
+ * RAG Evaluation Metrics
+ * Retrieval metrics (recall@k, MRR) compare the returned sources with the
+ * expected ones; answer metrics (faithfulness, answer similarity) work on
+ * embeddings, so they are deterministic and cost nothing to run.
+ */
+
+export const METRICS = ['recallAtK', 'mrr', 'faithfulness', 'answerSimilarity'];
+
+/**
+ * Names a source can be expected by: its id, document id, source name or title
+ */
+const sourceKeys = (source) => [
+  source.id,
+  source.metadata?.documentId,
+  source.metadata?.source,
+  source.metadata?.title,
+]
+  .filter((key) => key !== undefined && key !== null)
+  .map((key) => String(key).toLowerCase());
+
+/**
+ * Whether a returned source is the expected one
+ */
+export const matchesSource = (source, expected) => sourceKeys(source).includes(String(expected).toLowerCase());
+
+/**
+ * Share of the expected sources found among the first k returned ones
+ * @returns {Number|null} null when nothing is expected
+ */
+export const recallAtK = (sources, expectedSources, k) => {
+  if (expectedSources.length === 0) {
+    return null;
+  }
+
+  const top = sources.slice(0, k);
+  const found = expectedSources.filter((expected) => top.some((source) => matchesSource(source, expected)));
+
+  return found.length / expectedSources.length;
+};
+
+/**
+ * 1 / rank of the first expected source, 0 when none was returned
+ * @returns {Number|null} null when nothing is expected
+ */
+export const reciprocalRank = (sources, expectedSources) => {
+  if (expectedSources.length === 0) {
+    return null;
+  }
+
+  const rank = sources.findIndex((source) => expectedSources.some((expected) => matchesSource(source, expected)));
+
+  return rank === -1 ? 0 : 1 / (rank + 1);
+};
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Split an answer into the sentences that carry claims (no citations-only or tiny fragments)
+ */
+export const splitSentences = (text) => String(text)
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map((sentence) => sentence.trim())
+  .filter((sentence) => sentence.replace(/\[\d+\]/g, '').replace(/[^a-z0-9]/gi, '').length >= 12);
+
+/**
+ * Share of answer sentences supported by at least one retrieved passage
+ * @param {Array} sentenceEmbeddings - one per answer sentence
+ * @param {Array} contextEmbeddings - one per retrieved passage
+ * @returns {Number|null} null when there is nothing to judge
+ */
+export const faithfulness = (sentenceEmbeddings, contextEmbeddings, threshold) => {
+  if (sentenceEmbeddings.length === 0) {
+    return null;
+  }
+  if (contextEmbeddings.length === 0) {
+    return 0;
+  }
+
+  const supported = sentenceEmbeddings.filter((sentence) =>
+    contextEmbeddings.some((context) => cosineSimilarity(sentence, context) >= threshold));
+
+  return supported.length / sentenceEmbeddings.length;
+};
+
+const mean = (values) => {
+  const present = values.filter((value) => value !== null && value !== undefined);
+  return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+/**
+ * Average per-question results of one strategy
+ * @param {Array} results - { metrics, latencyMs, error }
+ */
+export const aggregateResults = (results) => {
+  const succeeded = results.filter((result) => !result.error);
+
+  return {
+    ...Object.fromEntries(METRICS.map((metric) => [metric, mean(succeeded.map((result) => result.metrics[metric]))])),
+    avgLatencyMs: mean(succeeded.map((result) => result.latencyMs)),
+    questions: results.length,
+    errors: results.length - succeeded.length,
+  };
+};
+
+/**
+ * Metric changes from a baseline run to a candidate run, per strategy both ran
+ * @param {Object} baseline - { strategy: summary }
+ * @param {Object} candidate - { strategy: summary }
+ * @returns {Object} { strategy: { metric: { baseline, candidate, delta } } }
+ */
+export const compareSummaries = (baseline, candidate) => Object.fromEntries(
+  Object.keys(candidate)
+    .filter((strategy) => baseline[strategy])
+    .map((strategy) => [
+      strategy,
+      Object.fromEntries([...METRICS, 'avgLatencyMs'].map((metric) => {
+        const before = baseline[strategy][metric];
+        const after = candidate[strategy][metric];
+        const delta = before === null || after === null || before === undefined || after === undefined
+          ? null
+          : after - before;
+        return [metric, { baseline: before ?? null, candidate: after ?? null, delta }];
+      })),
+    ]),
+);
@@ -0,0 +1,184 @@
+/**
+ * RAG Evaluator
+ * Runs every question of a golden set through ragChain.query and the
+ * AdvancedRAGChain strategies, scoring retrieval (recall@k, MRR) and answers
+ * (faithfulness to the retrieved passages, similarity to the reference answer).
+ */
+
+import crypto from 'crypto';
+import ragChain from '../chains/ragChain.js';
+import advancedRagChain from '../chains/advancedRagChain.js';
+import chromaService from '../vectorstore/chromaService.js';
+import embeddingService from '../embeddings/embeddingService.js';
+import { ragPrompts } from '../prompts/ragPrompts.js';
+import {
+  recallAtK,
+  reciprocalRank,
+  faithfulness,
+  cosineSimilarity,
+  splitSentences,
+  aggregateResults,
+} from './metrics.js';
+import aiConfig from '../../config/ai.js';
+
+/**
+ * Strategy name -> (item, { collectionKey, topK }) => { answer, sources }
+ */
+export const STRATEGIES = {
+  rag: (item, options) => ragChain.query(item.question, options),
+  multiQuery: (item, options) => advancedRagChain.multiQueryRetrieval(item.question, options),
+  conversational: (item, options) => advancedRagChain.conversationalRAG(item.question, {
+    ...options,
+    conversationHistory: item.conversationHistory,
+  }),
+  selfQuery: (item, options) => advancedRagChain.selfQueryRAG(item.question, options),
+  hybrid: (item, options) => advancedRagChain.hybridSearch(item.question, options),
+};
+
+class RagEvaluator {
+  /**
+   * Settings that decide the outcome, stored with every run so reports can be told apart
+   */
+  getSettings(k) {
+    return {
+      k,
+      topK: aiConfig.rag.topK,
+      minScore: aiConfig.rag.minScore,
+      searchThreshold: aiConfig.vectorStore.searchThreshold,
+      embeddingModel: aiConfig.embeddings.model,
+      reranking: aiConfig.rag.enableReranking ? aiConfig.rag.reranking.model : false,
+      hybridFusion: aiConfig.rag.hybrid.fusion,
+      faithfulnessThreshold: aiConfig.evaluation.faithfulnessThreshold,
+      promptsHash: crypto.createHash('sha256').update(JSON.stringify(ragPrompts)).digest('hex').slice(0, 16),
+    };
+  }
+
+  /**
+   * Evaluate a golden set
+   * @param {Object} goldenSet - see goldenSets.js
+   * @param {Object} options - strategies (names), k, onProgress(percent)
+   * @returns {Object} { settings, summary: { strategy: metrics }, results: [...] }
+   */
+  async evaluate(goldenSet, options = {}) {
+    const {
+      strategies = Object.keys(STRATEGIES),
+      k = aiConfig.evaluation.k,
+      onProgress = async () => {},
+    } = options;
+
+    const unknown = strategies.filter((name) => !STRATEGIES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown strategies: ${unknown.join(', ')}`);
+    }
+
+    const results = [];
+    const total = goldenSet.items.length * strategies.length;
+    let next = 0;
+
+    // A few questions at a time; strategies of one question run one after another
+    const worker = async () => {
+      while (next < goldenSet.items.length) {
+        const item = goldenSet.items[next++];
+        for (const strategy of strategies) {
+          results.push(await this.evaluateItem(item, strategy, { collectionKey: goldenSet.collectionKey, k }));
+          await onProgress(Math.round((results.length / total) * 100));
+        }
+      }
+    };
+    const concurrency = Math.max(1, Math.min(aiConfig.evaluation.concurrency, goldenSet.items.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    // Report in golden set order regardless of completion order
+    const order = new Map(goldenSet.items.map((item, idx) => [item.id, idx]));
+    results.sort((a, b) => order.get(a.itemId) - order.get(b.itemId)
+      || strategies.indexOf(a.strategy) - strategies.indexOf(b.strategy));
+
+    return {
+      settings: this.getSettings(k),
+      summary: Object.fromEntries(strategies.map((strategy) => [
+        strategy,
+        aggregateResults(results.filter((result) => result.strategy === strategy)),
+      ])),
+      results,
+    };
+  }
+
+  /**
+   * Run one question through one strategy and score it
+   */
+  async evaluateItem(item, strategy, { collectionKey, k }) {
+    const startTime = Date.now();
+    const base = { itemId: item.id, strategy };
+
+    let response;
+    try {
+      response = await STRATEGIES[strategy](item, { collectionKey, topK: k });
+    } catch (error) {
+      return { ...base, error: error.message, latencyMs: Date.now() - startTime };
+    }
+    const latencyMs = Date.now() - startTime;
+
+    const sources = response.sources || [];
+    const answer = response.answer || '';
+
+    try {
+      return {
+        ...base,
+        latencyMs,
+        metrics: {
+          recallAtK: recallAtK(sources, item.expectedSources, k),
+          mrr: reciprocalRank(sources, item.expectedSources),
+          ...(await this.scoreAnswer(answer, item.referenceAnswer, sources, collectionKey)),
+        },
+        retrieved: sources.slice(0, k).map((source) => ({
+          id: source.id,
+          title: source.metadata?.title,
+          score: source.score,
+        })),
+        answer: answer.slice(0, 2000),
+      };
+    } catch (error) {
+      return { ...base, error: `Scoring failed: ${error.message}`, latencyMs };
+    }
+  }
+
+  /**
+   * Faithfulness and answer similarity, from one batch of embeddings
+   */
+  async scoreAnswer(answer, referenceAnswer, sources, collectionKey) {
+    if (!answer.trim()) {
+      return { faithfulness: null, answerSimilarity: 0 };
+    }
+
+    const passages = await this.getPassages(sources, collectionKey);
+    const sentences = splitSentences(answer);
+
+    const { embeddings } = await embeddingService.embedBatch([answer, referenceAnswer, ...sentences, ...passages]);
+    const [answerEmbedding, referenceEmbedding] = embeddings;
+    const sentenceEmbeddings = embeddings.slice(2, 2 + sentences.length);
+    const passageEmbeddings = embeddings.slice(2 + sentences.length);
+
+    return {
+      // Nothing retrieved means a canned "not enough information" reply, not a grounded answer
+      faithfulness: sources.length === 0
+        ? null
+        : faithfulness(sentenceEmbeddings, passageEmbeddings, aiConfig.evaluation.faithfulnessThreshold),
+      answerSimilarity: cosineSimilarity(answerEmbedding, referenceEmbedding),
+    };
+  }
+
+  /**
+   * Full text of the retrieved passages (sources only carry a preview)
+   */
+  async getPassages(sources, collectionKey) {
+    const ids = sources.map((source) => source.id).filter(Boolean);
+    const documents = ids.length > 0 ? await chromaService.getDocuments(collectionKey, ids) : [];
+    const byId = new Map(documents.map((doc) => [doc.id, doc.content]));
+
+    return sources
+      .map((source) => byId.get(source.id) || source.content)
+      .filter((content) => content && content.trim());
+  }
+}
+
+export default new RagEvaluator();
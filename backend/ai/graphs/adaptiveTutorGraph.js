@@ -4,11 +4,10 @@
  */
 
 import { StateGraph, END } from '@langchain/langgraph';
-import { ChatGroq } from '@langchain/groq';
+import aiService from '../../config/aiService.js';
 import statePersistence from '../state/statePersistence.js';
 import chromaService from '../vectorstore/chromaService.js';
 import tutorPrompts from '../prompts/tutorPrompts.js';
-import aiConfig from '../../config/ai.js';
 import logger from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -110,14 +109,7 @@ class AdaptiveTutorGraph {
   getLLM() {
     if (this.llm) return this.llm;
 
-    const apiKey = aiConfig.llm.apiKey || process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      throw new Error('GROQ API key missing');
-    }
-
-    this.llm = new ChatGroq({
-      apiKey,
-      model: aiConfig.llm.model,
+    this.llm = aiService.getChatModel('tutor', {
       temperature: 0.7,
       maxTokens: 1024,
     });
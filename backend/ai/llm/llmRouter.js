@@ -0,0 +1,413 @@
+/**
+ * LLM Router
+ * Resolves the provider chain for a feature and runs completions with fallback.
+ *
+ * Chains come from aiConfig.llm.chains (per feature, falling back to `default`).
+ * Each attempt gets its own timeout; on error or timeout the next provider in the
+ * chain is tried, and only when every provider fails is an LLMProviderError thrown.
+ * stream() walks the same chain but can only fall back before the first token.
+ */
+
+import aiConfig from '../../config/ai.js';
+import logger from '../../utils/logger.js';
+import { recordLLMCall } from '../../utils/metrics.js';
+import {
+  withSpan,
+  startSpan,
+  recordSpanError,
+  llmSpanAttributes,
+  setLLMUsage,
+  SpanKind,
+} from '../../utils/tracing.js';
+import GroqProvider from './providers/groqProvider.js';
+import OpenAICompatibleProvider from './providers/openAICompatibleProvider.js';
+import FixtureProvider from './providers/fixtureProvider.js';
+
+const PROVIDER_TYPES = {
+  groq: GroqProvider,
+  openai_compatible: OpenAICompatibleProvider,
+  fixture: FixtureProvider,
+};
+
+export class LLMProviderError extends Error {
+  constructor(feature, attempts) {
+    const last = attempts[attempts.length - 1];
+    super(last ? last.error : `No LLM provider configured for feature "${feature}"`);
+    this.name = 'LLMProviderError';
+    this.feature = feature;
+    this.attempts = attempts;
+  }
+}
+
+class LLMRouter {
+  constructor(config = aiConfig.llm) {
+    this.config = config;
+    this.providers = new Map();
+    this.stats = {};
+  }
+
+  /**
+   * Replace the configuration and drop cached provider instances
+   */
+  configure(config = aiConfig.llm) {
+    this.config = config;
+    this.providers.clear();
+  }
+
+  /**
+   * Get (or lazily create) a provider instance by name
+   */
+  getProvider(name) {
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    const providerConfig = this.config.providers?.[name];
+    if (!providerConfig) {
+      throw new Error(`Unknown LLM provider "${name}"`);
+    }
+
+    const Provider = PROVIDER_TYPES[providerConfig.type];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider type "${providerConfig.type}" for "${name}"`);
+    }
+
+    const provider = new Provider(name, {
+      timeout: this.config.attemptTimeout,
+      ...providerConfig,
+    }, {
+      resolveProvider: (target) => this.getProvider(target),
+    });
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Register a provider instance directly (tests, custom adapters)
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Resolve the chain for a feature as [{ provider, model }]
+   */
+  getChain(feature = 'default') {
+    const entries = this.config.chains?.[feature] || this.config.chains?.default || [this.config.provider];
+
+    return entries
+      .map(entry => String(entry).trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        return separator === -1
+          ? { provider: entry, model: undefined }
+          : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+      });
+  }
+
+  /**
+   * Whether at least one provider in the feature's chain is configured
+   */
+  isReady(feature = 'default') {
+    return this.getChain(feature).some(({ provider }) => {
+      try {
+        return this.getProvider(provider).isConfigured();
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  recordAttempt(providerName, { success, latency, usage, model, feature }) {
+    recordLLMCall({ provider: providerName, model, feature, success, latency, usage });
+
+    const stats = this.stats[providerName] || (this.stats[providerName] = {
+      calls: 0,
+      errors: 0,
+      fallbacks: 0,
+      totalLatency: 0,
+      totalTokens: 0,
+    });
+
+    stats.calls++;
+    stats.totalLatency += latency;
+    if (success) {
+      stats.totalTokens += usage?.total_tokens || 0;
+    } else {
+      stats.errors++;
+    }
+  }
+
+  async attempt(provider, messages, options) {
+    const controller = new AbortController();
+    const timeoutMs = this.config.attemptTimeout;
+
+    // Abort the attempt on our timeout or when the caller aborts
+    const onCallerAbort = () => controller.abort(options.signal.reason);
+    options.signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`LLM provider "${provider.name}" timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        provider.complete(messages, { ...options, signal: controller.signal }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Run a chat completion through the feature's provider chain
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - feature, temperature, max_tokens, top_p, stop, response_format, signal
+   * @returns {Object} OpenAI-style completion with `provider` and `attempts`
+   */
+  async complete(messages, options = {}) {
+    const { feature = 'default', model: _model, stream: _stream, ...params } = options;
+    const attempts = [];
+
+    for (const { provider: providerName, model } of this.getChain(feature)) {
+      let provider;
+      try {
+        provider = this.getProvider(providerName);
+      } catch (error) {
+        attempts.push({ provider: providerName, error: error.message });
+        continue;
+      }
+
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: providerName, error: `LLM provider "${providerName}" is not configured` });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const completion = await withSpan(`chat ${model || provider.config?.model || providerName}`, {
+          kind: SpanKind.CLIENT,
+          attributes: llmSpanAttributes({ provider: providerName, model: model || provider.config?.model, feature }),
+        }, async (span) => {
+          const result = await this.attempt(provider, messages, { ...params, model });
+          setLLMUsage(span, result.usage);
+          return result;
+        });
+        this.recordAttempt(providerName, {
+          success: true,
+          latency: Date.now() - startedAt,
+          usage: completion.usage,
+          model: completion.model || model || provider.config?.model,
+          feature,
+        });
+
+        if (attempts.length > 0) {
+          this.stats[providerName].fallbacks++;
+          logger.warn(`LLM fallback for "${feature}" served by ${providerName}`, { attempts });
+        }
+
+        return { ...completion, attempts };
+      } catch (error) {
+        this.recordAttempt(providerName, {
+          success: false,
+          latency: Date.now() - startedAt,
+          model: model || provider.config?.model,
+          feature,
+        });
+        attempts.push({ provider: providerName, error: error.message });
+
+        // The caller cancelled; do not try other providers
+        if (params.signal?.aborted) {
+          throw error;
+        }
+
+        logger.warn(`LLM provider ${providerName} failed for "${feature}": ${error.message}`);
+      }
+    }
+
+    throw new LLMProviderError(feature, attempts);
+  }
+
+  /**
+   * Stream a chat completion through the feature's provider chain.
+   * Falls back like complete() until the first token arrives; after that a failure
+   * is thrown to the caller, since the text already sent can't be taken back.
+   * The attempt timeout applies to the wait for each chunk.
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - Same as complete()
+   * @yields {Object} { delta } for each piece of text, then a final
+   *   { delta: '', done: true, usage, model, provider, attempts }
+   */
+  async *stream(messages, options = {}) {
+    const { feature = 'default', model: _model, stream: _stream, ...params } = options;
+
+    // Streaming switched off: one chunk with the whole completion
+    if (this.config.streaming === false) {
+      const completion = await this.complete(messages, options);
+      yield { delta: completion.choices?.[0]?.message?.content || '' };
+      yield {
+        delta: '',
+        done: true,
+        usage: completion.usage || null,
+        model: completion.model,
+        provider: completion.provider,
+        attempts: completion.attempts,
+      };
+      return;
+    }
+
+    const attempts = [];
+
+    for (const { provider: providerName, model } of this.getChain(feature)) {
+      let provider;
+      try {
+        provider = this.getProvider(providerName);
+      } catch (error) {
+        attempts.push({ provider: providerName, error: error.message });
+        continue;
+      }
+
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: providerName, error: `LLM provider "${providerName}" is not configured` });
+        continue;
+      }
+
+      const controller = new AbortController();
+      const onCallerAbort = () => controller.abort(params.signal.reason);
+      params.signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+      const startedAt = Date.now();
+      let started = false;
+      let finished = false;
+      let iterator;
+      const { span, run } = startSpan(`chat ${model || provider.config?.model || providerName}`, {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          ...llmSpanAttributes({ provider: providerName, model: model || provider.config?.model, feature }),
+          'app.llm.streaming': true,
+        },
+      });
+
+      try {
+        const attemptOptions = { ...params, model, signal: controller.signal };
+        iterator = run(() => (provider.stream
+          ? provider.stream(messages, attemptOptions)[Symbol.asyncIterator]()
+          : this.completionAsStream(provider, messages, attemptOptions)));
+        let usage = null;
+        let streamedModel = model;
+
+        while (true) {
+          const { value: chunk, done } = await run(() => this.nextChunk(provider, iterator, controller));
+          if (done) {
+            break;
+          }
+
+          usage = chunk.usage || usage;
+          streamedModel = chunk.model || streamedModel;
+          if (chunk.delta) {
+            started = true;
+            yield { delta: chunk.delta };
+          }
+        }
+
+        finished = true;
+        setLLMUsage(span, usage);
+        this.recordAttempt(providerName, {
+          success: true,
+          latency: Date.now() - startedAt,
+          usage,
+          model: streamedModel || provider.config?.model,
+          feature,
+        });
+        if (attempts.length > 0) {
+          this.stats[providerName].fallbacks++;
+          logger.warn(`LLM fallback for "${feature}" served by ${providerName}`, { attempts });
+        }
+
+        yield {
+          delta: '',
+          done: true,
+          usage,
+          model: streamedModel || provider.config?.model,
+          provider: providerName,
+          attempts,
+        };
+        return;
+      } catch (error) {
+        finished = true;
+        recordSpanError(span, error);
+        this.recordAttempt(providerName, {
+          success: false,
+          latency: Date.now() - startedAt,
+          model: model || provider.config?.model,
+          feature,
+        });
+        attempts.push({ provider: providerName, error: error.message });
+
+        if (params.signal?.aborted || started) {
+          throw error;
+        }
+
+        logger.warn(`LLM provider ${providerName} failed for "${feature}": ${error.message}`);
+      } finally {
+        params.signal?.removeEventListener('abort', onCallerAbort);
+        // The consumer stopped reading early: cancel the upstream request
+        if (!finished) {
+          controller.abort();
+          await iterator?.return?.().catch(() => {});
+        }
+        span.end();
+      }
+    }
+
+    throw new LLMProviderError(feature, attempts);
+  }
+
+  /**
+   * Next chunk from a provider stream, aborting it if none arrives within the attempt timeout
+   */
+  nextChunk(provider, iterator, controller) {
+    const timeoutMs = this.config.attemptTimeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`LLM provider "${provider.name}" timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      iterator.next().then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * Stream adapter for providers without stream(): the whole completion as one chunk
+   */
+  async *completionAsStream(provider, messages, options) {
+    const completion = await provider.complete(messages, options);
+    yield {
+      delta: completion.choices?.[0]?.message?.content || '',
+      model: completion.model,
+      usage: completion.usage,
+    };
+  }
+
+  getStats() {
+    return Object.fromEntries(Object.entries(this.stats).map(([name, stats]) => [name, {
+      ...stats,
+      averageLatency: stats.calls > 0 ? Math.round(stats.totalLatency / stats.calls) : 0,
+    }]));
+  }
+}
+
+const llmRouter = new LLMRouter();
+
+export { LLMRouter };
+export default llmRouter;
@@ -0,0 +1,167 @@
+/**
+ * Fixture-Replay LLM Provider
+ * Deterministic completions for tests and offline development.
+ *
+ * Responses are looked up by a hash of the request messages (and JSON mode) in a
+ * fixture file. In `record` mode misses are forwarded to another provider and saved,
+ * so a suite can be recorded once against a real model and replayed offline.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class FixtureMissError extends Error {
+  constructor(key) {
+    super(`No LLM fixture recorded for request ${key}`);
+    this.name = 'FixtureMissError';
+    this.key = key;
+  }
+}
+
+class FixtureProvider {
+  /**
+   * @param {String} name - Provider instance name
+   * @param {Object} config - { path, mode: 'replay'|'record', recordProvider, onMiss: 'error'|'echo' }
+   * @param {Object} deps - { resolveProvider } used to reach the provider being recorded
+   */
+  constructor(name, config = {}, { resolveProvider } = {}) {
+    this.name = name;
+    this.type = 'fixture';
+    this.config = config;
+    this.resolveProvider = resolveProvider;
+    this.fixtures = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Stable key for a request: message roles/contents plus whether JSON output was requested
+   */
+  static fixtureKey(messages, options = {}) {
+    const normalized = JSON.stringify({
+      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      json: Boolean(options.response_format),
+    });
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 24);
+  }
+
+  async load() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+
+    if (!this.config.path) {
+      this.fixtures = {};
+      return this.fixtures;
+    }
+
+    try {
+      this.fixtures = JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+    } catch (error) {
+      // Recording or echoing can start empty; strict replay without a file would only ever miss
+      if (error.code === 'ENOENT' && (this.config.mode === 'record' || this.config.onMiss === 'echo')) {
+        this.fixtures = {};
+      } else if (error.code === 'ENOENT') {
+        throw new Error(`LLM fixture file ${this.config.path} not found; record one with LLM_FIXTURE_MODE=record or set LLM_FIXTURE_PATH to an existing file`);
+      } else {
+        throw new Error(`Failed to read LLM fixtures from ${this.config.path}: ${error.message}`);
+      }
+    }
+
+    return this.fixtures;
+  }
+
+  async save() {
+    if (!this.config.path) {
+      return;
+    }
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+      await fs.writeFile(this.config.path, JSON.stringify(this.fixtures, null, 2), 'utf8');
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Register a fixture in memory (used by tests to script model replies)
+   */
+  addFixture(messages, content, options = {}) {
+    this.fixtures = this.fixtures || {};
+    const key = FixtureProvider.fixtureKey(messages, options);
+    this.fixtures[key] = {
+      messages,
+      response: this.buildCompletion(content, options.model),
+    };
+    return key;
+  }
+
+  buildCompletion(content, model) {
+    return {
+      id: 'fixture',
+      object: 'chat.completion',
+      model: model || 'fixture',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop',
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+  }
+
+  async complete(messages, options = {}) {
+    const fixtures = await this.load();
+    const key = FixtureProvider.fixtureKey(messages, options);
+
+    if (fixtures[key]) {
+      return { ...fixtures[key].response, provider: this.name };
+    }
+
+    if (this.config.mode === 'record' && this.resolveProvider) {
+      const delegate = this.resolveProvider(this.config.recordProvider);
+      // Stored without the recording provider's name; replays report this provider
+      const response = { ...(await delegate.complete(messages, options)) };
+      delete response.provider;
+      fixtures[key] = {
+        messages: messages.map(m => ({ role: m.role, content: m.content })),
+        response,
+      };
+      await this.save();
+      return { ...response, provider: this.name };
+    }
+
+    if (this.config.onMiss === 'echo') {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const content = options.response_format
+        ? '{}'
+        : `[fixture] ${lastUser?.content || ''}`.trim();
+      return { ...this.buildCompletion(content), provider: this.name };
+    }
+
+    throw new FixtureMissError(key);
+  }
+
+  /**
+   * Replay a completion as a stream of word-sized deltas
+   */
+  async *stream(messages, options = {}) {
+    const completion = await this.complete(messages, options);
+    const content = completion.choices[0].message.content || '';
+
+    for (const delta of content.match(/\s*\S+\s*/g) || []) {
+      if (options.signal?.aborted) {
+        throw new Error('Fixture stream aborted');
+      }
+      yield { delta, model: completion.model };
+    }
+    yield { delta: '', model: completion.model, usage: completion.usage };
+  }
+}
+
+export default FixtureProvider;
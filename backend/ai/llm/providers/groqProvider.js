@@ -0,0 +1,79 @@
+/**
+ * Groq LLM Provider
+ * Chat completions through the groq-sdk client
+ */
+
+import Groq from 'groq-sdk';
+
+class GroqProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = 'groq';
+    this.config = config;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error('AI service not configured. Please set GROQ_API_KEY in your .env or environment and restart the server.');
+    }
+
+    this.client = new Groq({ apiKey: this.config.apiKey });
+    return this.client;
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - model, temperature, max_tokens, top_p, stop, response_format, signal
+   * @returns {Object} OpenAI-style completion
+   */
+  async complete(messages, options = {}) {
+    const { signal, model, ...params } = options;
+
+    const completion = await this.getClient().chat.completions.create({
+      messages,
+      model: model || this.config.model,
+      ...params,
+      stream: false,
+    }, { signal });
+
+    return { ...completion, provider: this.name };
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - Same as complete()
+   * @yields {Object} { delta, model, usage } (Groq reports usage on the last chunk)
+   */
+  async *stream(messages, options = {}) {
+    const { signal, model, ...params } = options;
+
+    const stream = await this.getClient().chat.completions.create({
+      messages,
+      model: model || this.config.model,
+      ...params,
+      stream: true,
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const usage = chunk.x_groq?.usage || chunk.usage;
+      yield {
+        delta: chunk.choices?.[0]?.delta?.content || '',
+        model: chunk.model,
+        ...(usage && { usage }),
+      };
+    }
+  }
+}
+
+export default GroqProvider;
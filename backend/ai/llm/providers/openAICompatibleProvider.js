@@ -0,0 +1,132 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Chat completions against any server exposing POST /chat/completions
+ * (Ollama, llama.cpp server, vLLM, LM Studio, OpenAI itself)
+ */
+
+import axios from 'axios';
+
+class OpenAICompatibleProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = 'openai_compatible';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.baseURL && this.config.model);
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - model, temperature, max_tokens, top_p, stop, response_format, signal
+   * @returns {Object} OpenAI-style completion
+   */
+  async complete(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.name}" is missing baseURL or model`);
+    }
+
+    const { signal, model, response_format: responseFormat, ...params } = options;
+    let requestMessages = messages;
+
+    // Servers without JSON mode get the instruction in the prompt instead
+    if (responseFormat && this.config.jsonMode === false) {
+      requestMessages = [
+        { role: 'system', content: 'Respond ONLY with a single valid JSON object and no other text.' },
+        ...messages,
+      ];
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    const { data } = await axios.post(`${this.config.baseURL.replace(/\/$/, '')}/chat/completions`, {
+      model: model || this.config.model,
+      messages: requestMessages,
+      ...params,
+      ...(responseFormat && this.config.jsonMode !== false ? { response_format: responseFormat } : {}),
+      stream: false,
+    }, {
+      headers,
+      signal,
+      timeout: this.config.timeout,
+    });
+
+    if (responseFormat && this.config.jsonMode === false) {
+      const content = data.choices?.[0]?.message?.content || '';
+      const json = content.match(/\{[\s\S]*\}/);
+      if (json) {
+        data.choices[0].message.content = json[0];
+      }
+    }
+
+    return {
+      ...data,
+      model: data.model || model || this.config.model,
+      provider: this.name,
+    };
+  }
+
+  /**
+   * Stream a chat completion over server-sent events
+   * @param {Array} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options - model, temperature, max_tokens, top_p, stop, signal
+   * @yields {Object} { delta, model, usage } (usage only from servers that report it)
+   */
+  async *stream(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.name}" is missing baseURL or model`);
+    }
+
+    const { signal, model, response_format: _responseFormat, ...params } = options;
+
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.config.baseURL.replace(/\/$/, '')}/chat/completions`, {
+      model: model || this.config.model,
+      messages,
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, {
+      headers,
+      signal,
+      responseType: 'stream',
+    });
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+
+        const chunk = JSON.parse(payload);
+        yield {
+          delta: chunk.choices?.[0]?.delta?.content || '',
+          model: chunk.model || model || this.config.model,
+          ...(chunk.usage && { usage: chunk.usage }),
+        };
+      }
+    }
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,119 @@
+/**
+ * Routed Chat Model
+ * LangChain chat model backed by the LLM router, so chains and graphs get the
+ * same provider selection and fallback as aiService.generateCompletion.
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import llmRouter from './llmRouter.js';
+
+const ROLE_BY_TYPE = {
+  human: 'user',
+  ai: 'assistant',
+  system: 'system',
+  tool: 'tool',
+};
+
+class RoutedChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields
+   * @param {String} fields.feature - Feature whose provider chain to use (see aiConfig.llm.chains)
+   * @param {Number} fields.temperature
+   * @param {Number} fields.maxTokens
+   * @param {Object} fields.router - Router instance (defaults to the shared router)
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.feature = fields.feature || 'default';
+    this.temperature = fields.temperature;
+    this.maxTokens = fields.maxTokens;
+    this.router = fields.router || llmRouter;
+  }
+
+  _llmType() {
+    return 'routed';
+  }
+
+  static toRouterMessages(messages) {
+    return messages.map(message => ({
+      role: ROLE_BY_TYPE[message._getType()] || 'user',
+      content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+    }));
+  }
+
+  async _generate(messages, options = {}) {
+    const completion = await this.router.complete(
+      RoutedChatModel.toRouterMessages(messages),
+      {
+        feature: this.feature,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stop: options.stop,
+        signal: options.signal,
+      },
+    );
+
+    const text = completion.choices?.[0]?.message?.content || '';
+    const tokenUsage = {
+      promptTokens: completion.usage?.prompt_tokens || 0,
+      completionTokens: completion.usage?.completion_tokens || 0,
+      totalTokens: completion.usage?.total_tokens || 0,
+    };
+
+    return {
+      generations: [{
+        text,
+        message: new AIMessage({
+          content: text,
+          response_metadata: {
+            provider: completion.provider,
+            model: completion.model,
+            tokenUsage,
+          },
+        }),
+      }],
+      llmOutput: { tokenUsage, provider: completion.provider, model: completion.model },
+    };
+  }
+
+  /**
+   * Token streaming for model.stream(); the last chunk carries usage, provider and model
+   */
+  async *_streamResponseChunks(messages, options = {}, runManager) {
+    const stream = this.router.stream(RoutedChatModel.toRouterMessages(messages), {
+      feature: this.feature,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stop: options.stop,
+      signal: options.signal,
+    });
+
+    for await (const chunk of stream) {
+      if (!chunk.done) {
+        yield new ChatGenerationChunk({ text: chunk.delta, message: new AIMessageChunk({ content: chunk.delta }) });
+        await runManager?.handleLLMNewToken(chunk.delta);
+        continue;
+      }
+
+      const usage = chunk.usage || {};
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          response_metadata: { provider: chunk.provider, model: chunk.model },
+          ...(chunk.usage && {
+            usage_metadata: {
+              input_tokens: usage.prompt_tokens || 0,
+              output_tokens: usage.completion_tokens || 0,
+              total_tokens: usage.total_tokens || 0,
+            },
+          }),
+        }),
+      });
+    }
+  }
+}
+
+export default RoutedChatModel;
@@ -7,6 +7,7 @@ import { MCPServer } from '../core/mcpServer.js';
 import User from '../../../models/User.js';
 import Course from '../../../models/Course.js';
 import Enrollment from '../../../models/Enrollment.js';
+import { enroll } from '../../../services/checkoutService.js';
 import {
   getUserProfileSchema,
   updateUserProfileSchema,
@@ -305,35 +306,8 @@ class PlatformServer extends MCPServer {
         throw new Error('Unauthorized: Can only enroll self');
       }
 
-      // Check if course exists
-      const course = await Course.findById(courseId);
-      if (!course) {
-        throw new Error('Course not found');
-      }
-
-      // Check if already enrolled
-      const existing = await Enrollment.findOne({
-        user: userId,
-        course: courseId,
-      });
-
-      if (existing) {
-        return {
-          success: false,
-          error: 'Already enrolled in this course',
-        };
-      }
-
-      // Create enrollment
-      const enrollment = await Enrollment.create({
-        user: userId,
-        course: courseId,
-        enrolledAt: new Date(),
-        progress: {
-          overallProgress: 0,
-          completedModules: [],
-        },
-      });
+      // Same rules as the course page: published courses only, priced ones need a paid order
+      const enrollment = await enroll(courseId, userId);
 
       return {
         success: true,
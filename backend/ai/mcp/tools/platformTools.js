@@ -6,6 +6,7 @@
 import User from '../../../models/User.js';
 import Course from '../../../models/Course.js';
 import Enrollment from '../../../models/Enrollment.js';
+import { enroll, CheckoutError } from '../../../services/checkoutService.js';
 import logger from '../../../utils/logger.js';
 
 /**
@@ -135,25 +136,8 @@ export async function enrollCourse(params) {
   }
 
   try {
-    // Check if already enrolled
-    const existing = await Enrollment.findOne({ userId, courseId });
-
-    if (existing) {
-      return {
-        success: false,
-        message: 'You are already enrolled in this course',
-        data: existing,
-      };
-    }
-
-    // Create enrollment
-    const enrollment = new Enrollment({
-      userId,
-      courseId,
-      enrolledAt: new Date(),
-    });
-
-    await enrollment.save();
+    // Same rules as the course page: published courses only, priced ones need a paid order
+    const enrollment = await enroll(courseId, userId);
 
     return {
       success: true,
@@ -161,6 +145,12 @@ export async function enrollCourse(params) {
       data: enrollment,
     };
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return {
+        success: false,
+        message: error.message,
+      };
+    }
     logger.error('enrollCourse failed:', error);
     throw error;
   }
@@ -11,8 +11,11 @@
  * - Cost optimization (60-80% token reduction)
  */
 
+import mongoose from 'mongoose';
 import redis from '../config/redis.js';
-import { ChatGroq } from '@langchain/groq';
+import Conversation from '../../models/Conversation.js';
+import Message from '../../models/Message.js';
+import aiService from '../../config/aiService.js';
 import aiConfig from '../../config/ai.js';
 import logger from '../../utils/logger.js';
 
@@ -34,9 +37,7 @@ class ConversationManager {
   getLLM() {
     if (this.llm) return this.llm;
 
-    this.llm = new ChatGroq({
-      apiKey: aiConfig.llm.apiKey,
-      model: aiConfig.llm.model,
+    this.llm = aiService.getChatModel('summarization', {
       temperature: aiConfig.llm.temperature,
     });
 
@@ -228,6 +229,38 @@ Summary (max 200 words):`;
     return truncated;
   }
 
+  /**
+   * Drop history messages that are not on the conversation's active branch
+   * (answers that were regenerated, questions that were edited and what followed them).
+   * Messages without an id are kept: callers may pass history that was never stored.
+   */
+  async filterActiveBranch(userId, conversationId, conversationHistory) {
+    if (!mongoose.isValidObjectId(conversationId) || conversationHistory.length === 0) {
+      return conversationHistory;
+    }
+
+    try {
+      const owned = await Conversation.exists({ _id: conversationId, user: userId });
+      if (!owned) {
+        return conversationHistory;
+      }
+
+      const { messages } = await Message.getBranch(conversationId);
+      if (messages.length === 0) {
+        return conversationHistory;
+      }
+
+      const onBranch = new Set(messages.map(msg => String(msg._id)));
+      return conversationHistory.filter((msg) => {
+        const id = msg._id || msg.id;
+        return !id || onBranch.has(String(id));
+      });
+    } catch (error) {
+      logger.error('Active branch lookup error:', error);
+      return conversationHistory;
+    }
+  }
+
   /**
    * Build conversation context for LLM (scalable version)
    */
@@ -237,7 +270,7 @@ Summary (max 200 words):`;
     // Build optimized context
     const optimizedContext = await this.buildOptimizedContext(
       sessionId,
-      conversationHistory,
+      await this.filterActiveBranch(userId, conversationId, conversationHistory),
       userProfile
     );
 
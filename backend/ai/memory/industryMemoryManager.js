@@ -116,8 +116,11 @@ class IndustryMemoryManager {
     };
 
     try {
+      // Keyed by the active leaf, so an edit or regeneration starts a fresh entry
+      const leafId = await Message.getActiveLeaf(conversationId);
+
       // Check cache first
-      const cacheKey = `memory:${userId}:${conversationId}`;
+      const cacheKey = `memory:${userId}:${conversationId}:${leafId}`;
       const cached = await redis.get(cacheKey);
 
       if (cached) {
@@ -128,11 +131,13 @@ class IndustryMemoryManager {
 
       this.stats.cacheMisses++;
 
+      const branchMessages = await this.getBranchMessages(conversationId, leafId);
+
       // 1. SHORT-TERM: Last N messages (verbatim)
-      memory.shortTerm = await this.getShortTermMemory(conversationId, this.config.tiers.shortTerm.maxMessages);
+      memory.shortTerm = await this.getShortTermMemory(conversationId, this.config.tiers.shortTerm.maxMessages, branchMessages);
 
       // 2. WORKING: Current session context (summarized + recent)
-      memory.working = await this.getWorkingMemory(userId, conversationId);
+      memory.working = await this.getWorkingMemory(userId, conversationId, branchMessages);
 
       // 3. LONG-TERM: Semantic retrieval from consolidated memories
       if (currentMessage) {
@@ -172,16 +177,21 @@ class IndustryMemoryManager {
   }
 
   /**
-   * SHORT-TERM MEMORY: Last N messages verbatim
+   * Messages on the conversation's active branch, oldest first. Questions that were
+   * edited and answers that were regenerated sit on other branches and are left out.
+   * @param {ObjectId} conversationId
+   * @param {ObjectId} leafId - Active leaf, when already known
    */
-  async getShortTermMemory(conversationId, limit = 5) {
-    const messages = await Message.find({ conversation: conversationId })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .select('role content createdAt')
-      .lean();
+  async getBranchMessages(conversationId, leafId = null) {
+    const branch = await Message.getBranch(conversationId, leafId);
+    return (branch?.messages || []).map(({ _id, role, content, createdAt }) => ({ _id, role, content, createdAt }));
+  }
 
-    messages.reverse(); // Chronological order
+  /**
+   * SHORT-TERM MEMORY: Last N messages of the active branch verbatim
+   */
+  async getShortTermMemory(conversationId, limit = 5, branchMessages = null) {
+    const messages = (branchMessages || await this.getBranchMessages(conversationId)).slice(-limit);
 
     const tokens = this.estimateTokens(messages.map(m => m.content).join('\n'));
 
@@ -192,14 +202,10 @@ class IndustryMemoryManager {
   }
 
   /**
-   * WORKING MEMORY: Session context with summarization
+   * WORKING MEMORY: Session context (the whole active branch) with summarization
    */
-  async getWorkingMemory(userId, conversationId) {
-    // Get session messages
-    const sessionMessages = await Message.find({ conversation: conversationId })
-      .sort({ createdAt: 1 })
-      .select('role content createdAt')
-      .lean();
+  async getWorkingMemory(userId, conversationId, branchMessages = null) {
+    const sessionMessages = branchMessages || await this.getBranchMessages(conversationId);
 
     if (sessionMessages.length <= this.config.tiers.working.summarizeThreshold) {
       // Short session, return all messages
@@ -216,7 +222,8 @@ class IndustryMemoryManager {
     const recentMessages = sessionMessages.slice(splitPoint);
 
     // Check if summary already cached
-    const summaryCacheKey = `summary:${conversationId}:${splitPoint}`;
+    // Keyed by the last summarized message: branches of the same length differ
+    const summaryCacheKey = `summary:${conversationId}:${oldMessages[oldMessages.length - 1]._id}`;
     let summary = await redis.get(summaryCacheKey);
 
     if (!summary) {
@@ -404,16 +411,19 @@ class IndustryMemoryManager {
     logger.info('Starting memory consolidation', { userId, conversationId });
 
     try {
+      if (await this.isExtractionPaused(userId)) {
+        logger.info('Memory extraction paused by user, skipping consolidation', { userId, conversationId });
+        return { consolidated: 0, reason: 'Memory extraction paused' };
+      }
+
       const conversation = await Conversation.findById(conversationId).lean();
 
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
-      // Get all messages from conversation
-      const messages = await Message.find({ conversation: conversationId })
-        .sort({ createdAt: 1 })
-        .lean();
+      // Messages on the active branch
+      const messages = await this.getBranchMessages(conversationId);
 
       if (messages.length === 0) {
         return { consolidated: 0, reason: 'No messages to consolidate' };
@@ -452,6 +462,17 @@ class IndustryMemoryManager {
     }
   }
 
+  /**
+   * Whether the user has paused memory extraction from their conversations
+   */
+  async isExtractionPaused(userId) {
+    const profile = await UserProfile.findOne({ userId })
+      .select('meta.privacySettings.memoryExtractionPaused')
+      .lean();
+
+    return Boolean(profile?.meta?.privacySettings?.memoryExtractionPaused);
+  }
+
   /**
    * Extract memories from conversation using entity extraction and pattern matching
    */
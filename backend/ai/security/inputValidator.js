@@ -14,6 +14,15 @@ export const chatMessageSchema = z.object({
   userId: z.string().optional(),
 });
 
+// Streaming chat schema (conversationId is a stored Conversation)
+export const chatStreamSchema = z.object({
+  message: z.string().min(1).max(aiConfig.security.maxInputLength),
+  mode: z.enum(['simple', 'rag']).default('simple'),
+  conversationId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid conversation id').optional(),
+  topic: z.string().max(100).optional(),
+  topK: z.number().int().min(1).max(20).default(5),
+});
+
 // RAG query schema
 export const ragQuerySchema = z.object({
   query: z.string().min(1).max(aiConfig.security.maxInputLength),
@@ -22,13 +31,57 @@ export const ragQuerySchema = z.object({
   collectionKey: z.string().optional(),
 });
 
+// Hybrid RAG search schema (fusion settings default to aiConfig.rag.hybrid)
+export const hybridSearchSchema = z.object({
+  query: z.string().min(1).max(aiConfig.security.maxInputLength),
+  collectionKey: z.enum(Object.keys(aiConfig.vectorStore.collections)).default('knowledge'),
+  topK: z.number().int().min(1).max(20).default(aiConfig.rag.topK),
+  where: z.record(z.any()).optional(),
+  fusion: z.enum(['rrf', 'weighted']).default(aiConfig.rag.hybrid.fusion),
+  alpha: z.number().min(0).max(1).default(aiConfig.rag.hybrid.alpha),
+  rrfK: z.number().int().min(1).max(1000).default(aiConfig.rag.hybrid.rrfK),
+  candidates: z.number().int().min(1).max(200).optional(),
+});
+
+// Chunking overrides for ingestion (defaults in aiConfig.ingestion)
+const chunkingFields = {
+  chunkSize: z.number().int().min(50).max(2000).optional(),
+  chunkOverlap: z.number().int().min(0).max(500).optional(),
+  headingAware: z.boolean().optional(),
+};
+
+const overlapBelowSize = (chunking) => (chunking.chunkOverlap ?? aiConfig.ingestion.chunkOverlap)
+  < (chunking.chunkSize ?? aiConfig.ingestion.chunkSize);
+const overlapMessage = { message: 'chunkOverlap must be smaller than chunkSize', path: ['chunkOverlap'] };
+
 // Document ingestion schema
 export const documentSchema = z.object({
   content: z.union([z.string(), z.array(z.string())]),
   type: z.enum(['roadmap', 'flashcard', 'note', 'knowledge']),
   metadata: z.record(z.any()).optional(),
+  format: z.enum(['text', 'markdown', 'html']).default('text'),
+  chunking: z.object(chunkingFields).refine(overlapBelowSize, overlapMessage).optional(),
 });
 
+// Document upload schema (multipart form fields arrive as strings)
+export const documentUploadSchema = z.object({
+  type: z.enum(['roadmap', 'flashcard', 'note', 'knowledge']).default('knowledge'),
+  metadata: z.string()
+    .transform((value, ctx) => {
+      try {
+        return JSON.parse(value);
+      } catch {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'metadata must be a JSON object' });
+        return z.NEVER;
+      }
+    })
+    .pipe(z.record(z.union([z.string(), z.number(), z.boolean()])))
+    .optional(),
+  chunkSize: z.coerce.number().pipe(chunkingFields.chunkSize).optional(),
+  chunkOverlap: z.coerce.number().pipe(chunkingFields.chunkOverlap).optional(),
+  headingAware: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+}).refine(overlapBelowSize, overlapMessage);
+
 // Embedding request schema
 export const embeddingSchema = z.object({
   texts: z.array(z.string().min(1).max(aiConfig.security.maxInputLength)),
@@ -7,7 +7,9 @@ import { ChromaClient } from 'chromadb';
 import fs from 'fs';
 import path from 'path';
 import embeddingService from '../embeddings/embeddingService.js';
+import keywordIndex from './keywordIndex.js';
 import aiConfig from '../../config/ai.js';
+import { withSpan, SpanKind } from '../../utils/tracing.js';
 
 class ChromaService {
   constructor() {
@@ -81,6 +83,15 @@ class ChromaService {
         console.log(`   ✓ Collection ready: ${collectionName}`);
       } catch (error) {
         console.error(`   ✗ Failed to create collection ${collectionName}:`, error.message);
+        continue;
+      }
+
+      // Hybrid search needs the keyword index to hold the same documents
+      try {
+        const { source, documents } = await keywordIndex.sync(name, this.collections.get(name));
+        console.log(`   ✓ Keyword index ${source === 'snapshot' ? 'loaded' : 'rebuilt'}: ${name} (${documents} documents)`);
+      } catch (error) {
+        console.error(`   ✗ Failed to build keyword index for ${name}:`, error.message);
       }
     }
   }
@@ -119,6 +130,20 @@ class ChromaService {
     return this.collections.get(collectionKey);
   }
 
+  /**
+   * Run a ChromaDB call in a client span
+   */
+  traced(operation, collection, fn) {
+    return withSpan(`chroma ${operation}`, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        'db.system': 'chromadb',
+        'db.operation.name': operation,
+        'db.collection.name': collection.name,
+      },
+    }, fn);
+  }
+
   /**
    * Add documents to a collection
    */
@@ -140,12 +165,13 @@ class ChromaService {
       const embeddingResult = await embeddingService.embedBatch(texts);
 
       // Add to ChromaDB
-      await collection.add({
+      await this.traced('add', collection, () => collection.add({
         ids,
         documents: texts,
         embeddings: embeddingResult.embeddings,
         metadatas,
-      });
+      }));
+      keywordIndex.add(collectionKey, ids.map((id, idx) => ({ id, text: texts[idx], metadata: metadatas[idx] })));
 
       this.stats.documentsAdded += texts.length;
 
@@ -187,12 +213,12 @@ class ChromaService {
       const queryEmbedding = await embeddingService.embed(query);
 
       // Search in ChromaDB
-      const results = await collection.query({
+      const results = await this.traced('query', collection, () => collection.query({
         queryEmbeddings: [queryEmbedding.embedding],
         nResults: topK,
         where,
         whereDocument,
-      });
+      }));
 
       this.stats.searchesPerformed++;
 
@@ -245,9 +271,10 @@ class ChromaService {
     const collection = this.getCollection(collectionKey);
 
     try {
-      await collection.delete({
+      await this.traced('delete', collection, () => collection.delete({
         ids,
-      });
+      }));
+      keywordIndex.remove(collectionKey, ids);
 
       return {
         success: true,
@@ -259,6 +286,65 @@ class ChromaService {
     }
   }
 
+  /**
+   * Delete documents matching a metadata filter, e.g. { userId }
+   */
+  async deleteWhere(collectionKey, where) {
+    if (!this.isInitialized) {
+      throw new Error('ChromaDB not initialized');
+    }
+
+    const collection = this.getCollection(collectionKey);
+    const before = await this.countWhere(collectionKey, where);
+
+    try {
+      await this.traced('delete', collection, () => collection.delete({ where }));
+      keywordIndex.removeWhere(collectionKey, where);
+
+      return {
+        success: true,
+        deleted: before,
+      };
+    } catch (error) {
+      console.error('Delete error:', error);
+      throw new Error(`Failed to delete documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count documents matching a metadata filter
+   */
+  async countWhere(collectionKey, where) {
+    if (!this.isInitialized) {
+      throw new Error('ChromaDB not initialized');
+    }
+
+    const collection = this.getCollection(collectionKey);
+    const result = await this.traced('get', collection, () => collection.get({ where, include: [] }));
+
+    return result.ids.length;
+  }
+
+  /**
+   * Drop a collection that is not one of the configured ones (e.g. per-user memories).
+   * Returns false if it did not exist.
+   */
+  async deleteCollectionByName(name) {
+    if (!this.isInitialized) {
+      throw new Error('ChromaDB not initialized');
+    }
+
+    try {
+      await this.client.deleteCollection({ name });
+      return true;
+    } catch (error) {
+      if (/not (found|exist)/i.test(error.message)) {
+        return false;
+      }
+      throw new Error(`Failed to delete collection: ${error.message}`);
+    }
+  }
+
   /**
    * Update documents
    */
@@ -278,12 +364,13 @@ class ChromaService {
       const embeddingResult = await embeddingService.embedBatch(texts);
 
       // Update in ChromaDB
-      await collection.update({
+      await this.traced('update', collection, () => collection.update({
         ids,
         documents: texts,
         embeddings: embeddingResult.embeddings,
         metadatas,
-      });
+      }));
+      keywordIndex.add(collectionKey, documents.map((doc, idx) => ({ id: doc.id, text: texts[idx], metadata: metadatas[idx] })));
 
       return {
         success: true,
@@ -296,6 +383,31 @@ class ChromaService {
     }
   }
 
+  /**
+   * Get documents by ID
+   * @returns {Array} { id, content, metadata } for the ids that exist
+   */
+  async getDocuments(collectionKey, ids) {
+    if (!this.isInitialized) {
+      throw new Error('ChromaDB not initialized');
+    }
+
+    const collection = this.getCollection(collectionKey);
+
+    try {
+      const result = await this.traced('get', collection, () => collection.get({ ids, include: ['documents', 'metadatas'] }));
+
+      return result.ids.map((id, idx) => ({
+        id,
+        content: result.documents[idx],
+        metadata: result.metadatas[idx],
+      }));
+    } catch (error) {
+      console.error('Get error:', error);
+      throw new Error(`Failed to get documents: ${error.message}`);
+    }
+  }
+
   /**
    * Get collection count
    */
@@ -307,7 +419,7 @@ class ChromaService {
     const collection = this.getCollection(collectionKey);
 
     try {
-      const count = await collection.count();
+      const count = await this.traced('count', collection, () => collection.count());
       return count;
     } catch (error) {
       console.error('Count error:', error);
@@ -330,6 +442,7 @@ class ChromaService {
       await this.client.deleteCollection({ name: collectionName });
       const newCollection = await this.getOrCreateCollection(collectionName);
       this.collections.set(collectionKey, newCollection);
+      keywordIndex.clear(collectionKey);
 
       return {
         success: true,
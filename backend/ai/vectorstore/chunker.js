@@ -0,0 +1,169 @@
+/**
+ * Document Chunker
+ * Splits parsed document blocks (see documentParsers.js) into overlapping chunks
+ * sized for the embedding model. Sizes are in tokens, estimated at ~4 characters
+ * per token. Heading-aware chunking keeps each chunk inside one section and
+ * starts it with the section's heading path.
+ */
+
+import aiConfig from '../../config/ai.js';
+
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/**
+ * Split a block into sentence-sized units (lines for code); anything longer than
+ * maxTokens is cut on word boundaries, or mid-word when a single word is too long
+ */
+const splitBlock = (block, maxTokens) => {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const fits = (text) => estimateTokens(text) <= maxTokens;
+
+  let parts;
+  let separator;
+  if (block.preformatted) {
+    // Code stays whole where it fits, otherwise it is split between lines
+    parts = fits(block.text) ? [block.text] : block.text.split('\n');
+    separator = '\n';
+  } else {
+    parts = block.text.split(/(?<=[.!?])\s+(?=\S)/);
+    separator = ' ';
+  }
+
+  const units = [];
+  for (const part of parts) {
+    if (fits(part)) {
+      units.push({ text: part, separator });
+      continue;
+    }
+
+    let piece = '';
+    for (const word of part.split(/(\s+)/)) {
+      if ((piece + word).length > maxChars && piece.trim()) {
+        units.push({ text: piece.trim(), separator });
+        piece = '';
+      }
+      piece += word;
+      while (piece.length > maxChars) {
+        units.push({ text: piece.slice(0, maxChars), separator });
+        piece = piece.slice(maxChars);
+      }
+    }
+    if (piece.trim()) {
+      units.push({ text: piece.trim(), separator });
+    }
+  }
+
+  return units.map((unit, idx) => ({
+    ...unit,
+    tokens: estimateTokens(unit.text),
+    page: block.page,
+    newBlock: idx === 0,
+  }));
+};
+
+const joinUnits = (units) => units
+  .map((unit, idx) => (idx === 0 ? unit.text : `${unit.newBlock ? '\n\n' : unit.separator}${unit.text}`))
+  .join('');
+
+/**
+ * Group blocks that share a heading path (heading-aware), or everything in one group
+ */
+const groupBlocks = (blocks, headingAware) => {
+  if (!headingAware) {
+    return [{ section: blocks[0]?.section || [], blocks }];
+  }
+
+  const groups = [];
+  for (const block of blocks) {
+    const last = groups[groups.length - 1];
+    if (last && last.section.join('\u0000') === block.section.join('\u0000')) {
+      last.blocks.push(block);
+    } else {
+      groups.push({ section: block.section, blocks: [block] });
+    }
+  }
+  return groups;
+};
+
+/**
+ * Chunk a parsed document
+ * @param {Array} blocks - [{ text, page, section: [heading path], preformatted }]
+ * @param {Object} options - chunkSize and chunkOverlap (tokens), headingAware
+ * @returns {Array} [{ index, text, tokens, section, page, pageEnd }]
+ */
+export const chunkBlocks = (blocks, options = {}) => {
+  const settings = aiConfig.ingestion;
+  const {
+    chunkSize = settings.chunkSize,
+    chunkOverlap = settings.chunkOverlap,
+    headingAware = settings.headingAware,
+  } = options;
+
+  if (chunkOverlap >= chunkSize) {
+    throw new Error('chunkOverlap must be smaller than chunkSize');
+  }
+
+  const chunks = [];
+
+  for (const group of groupBlocks(blocks, headingAware)) {
+    const section = group.section.join(' > ');
+    const prefix = headingAware && section ? `${section}\n\n` : '';
+    // Leave room for the heading prefix, but never squeeze the body below half a chunk
+    const budget = Math.max(chunkSize - estimateTokens(prefix), Math.ceil(chunkSize / 2));
+
+    const units = group.blocks.flatMap((block) => splitBlock(block, budget));
+    let current = [];
+    let currentTokens = 0;
+
+    const emit = () => {
+      const body = joinUnits(current);
+      const pages = current.map((unit) => unit.page).filter((page) => page !== null);
+      chunks.push({
+        index: chunks.length,
+        text: prefix + body,
+        tokens: estimateTokens(prefix + body),
+        section: section || null,
+        page: pages.length ? pages[0] : null,
+        pageEnd: pages.length ? pages[pages.length - 1] : null,
+      });
+    };
+
+    for (const unit of units) {
+      if (current.length && currentTokens + unit.tokens > budget) {
+        emit();
+
+        // Carry the tail of the previous chunk over, within the overlap and the budget
+        const overlap = [];
+        let overlapTokens = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          const candidate = current[i];
+          if (overlapTokens + candidate.tokens > chunkOverlap
+            || overlapTokens + candidate.tokens + unit.tokens > budget) {
+            break;
+          }
+          overlap.unshift(candidate);
+          overlapTokens += candidate.tokens;
+        }
+
+        current = overlap;
+        currentTokens = overlapTokens;
+      }
+
+      current.push(unit);
+      currentTokens += unit.tokens;
+    }
+
+    if (current.length) {
+      emit();
+    }
+  }
+
+  return chunks;
+};
+
+export default {
+  estimateTokens,
+  chunkBlocks,
+};
@@ -0,0 +1,303 @@
+/**
+ * Document Parsers
+ * Turn uploaded lecture notes (PDF, Markdown, HTML, DOCX, plain text) into text
+ * blocks that remember where they came from: the page (PDF) and the heading
+ * path they sit under (Markdown, HTML, DOCX). ai/vectorstore/chunker.js turns
+ * the blocks into chunks.
+ */
+
+import path from 'path';
+import * as cheerio from 'cheerio';
+import mammoth from 'mammoth';
+// The package entry point runs a debug self-test when it has no parent module (as under ESM)
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+export const SUPPORTED_FORMATS = {
+  pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  markdown: { extensions: ['.md', '.markdown', '.mdx'], mimeTypes: ['text/markdown', 'text/x-markdown'] },
+  html: { extensions: ['.html', '.htm'], mimeTypes: ['text/html', 'application/xhtml+xml'] },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  },
+  text: { extensions: ['.txt', '.text'], mimeTypes: ['text/plain'] },
+};
+
+// Elements whose text forms one block; headings start a new section
+const HTML_BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, th, dt, dd, figcaption';
+const HTML_NOISE = 'script, style, noscript, template, svg, iframe, nav';
+
+export class DocumentParseError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.status = status;
+  }
+}
+
+/**
+ * Work out the format from the file extension, falling back to the MIME type
+ * @returns {String|null} Key of SUPPORTED_FORMATS
+ */
+export const detectFormat = (filename = '', mimeType = '') => {
+  const extension = path.extname(filename).toLowerCase();
+  const entries = Object.entries(SUPPORTED_FORMATS);
+
+  const byExtension = entries.find(([, format]) => format.extensions.includes(extension));
+  if (byExtension) {
+    return byExtension[0];
+  }
+
+  const mime = mimeType.split(';')[0].trim().toLowerCase();
+  return entries.find(([, format]) => format.mimeTypes.includes(mime))?.[0] || null;
+};
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Keep the heading path in step with a new heading of the given level (1-6)
+ */
+const enterSection = (headings, level, title) => {
+  headings.length = Math.min(headings.length, level - 1);
+  while (headings.length < level - 1) {
+    headings.push('');
+  }
+  headings.push(title);
+};
+
+const sectionPath = (headings) => headings.filter(Boolean);
+
+/**
+ * Plain text: paragraphs separated by blank lines
+ */
+export const parseText = (text) => ({
+  title: null,
+  blocks: String(text)
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => ({ text: paragraph, page: null, section: [] })),
+});
+
+/**
+ * Markdown: ATX (#) and setext (=== / ---) headings, fenced code kept intact,
+ * front matter title used when present
+ */
+export const parseMarkdown = (markdown) => {
+  let lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  let title = null;
+
+  if (lines[0]?.trim() === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) {
+      const titleLine = lines.slice(1, end).find((line) => /^title:/i.test(line));
+      title = titleLine ? titleLine.replace(/^title:\s*/i, '').replace(/^["']|["']$/g, '').trim() : null;
+      lines = lines.slice(end + 1);
+    }
+  }
+
+  const blocks = [];
+  const headings = [];
+  let paragraph = [];
+  let fence = null;
+
+  const flush = (preformatted = false) => {
+    const text = paragraph.join('\n').trim();
+    if (text) {
+      blocks.push({ text, page: null, section: sectionPath(headings), ...(preformatted && { preformatted }) });
+    }
+    paragraph = [];
+  };
+
+  const heading = (level, text) => {
+    flush();
+    enterSection(headings, level, text);
+    if (!title && level === 1) {
+      title = text;
+    }
+  };
+
+  for (const line of lines) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      paragraph.push(line);
+      if (fenceMatch && fenceMatch[1] === fence) {
+        fence = null;
+        flush(true);
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      paragraph.push(line);
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      heading(atx[1].length, atx[2]);
+      continue;
+    }
+
+    const setext = line.match(/^\s{0,3}(=+|-+)\s*$/);
+    if (setext && paragraph.length === 1) {
+      const text = paragraph[0].trim();
+      paragraph = [];
+      heading(setext[1][0] === '=' ? 1 : 2, text);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return { title, blocks };
+};
+
+/**
+ * HTML: text of block elements in document order, under the h1-h6 headings before them
+ */
+export const parseHtml = (html) => {
+  const $ = cheerio.load(String(html));
+  $(HTML_NOISE).remove();
+
+  const blocks = [];
+  const headings = [];
+  const title = collapseWhitespace($('title').first().text()) || null;
+
+  $(`${HTML_BLOCKS}, div`).each((_, el) => {
+    const node = $(el);
+
+    // Only the outermost block counts; a div only when it holds loose text
+    if (node.parents(HTML_BLOCKS).length > 0) {
+      return;
+    }
+    if (el.tagName === 'div' && node.find(`${HTML_BLOCKS}, div`).length > 0) {
+      return;
+    }
+
+    const headingLevel = el.tagName.match(/^h([1-6])$/);
+    if (headingLevel) {
+      const text = collapseWhitespace(node.text());
+      if (text) {
+        enterSection(headings, Number(headingLevel[1]), text);
+      }
+      return;
+    }
+
+    const preformatted = el.tagName === 'pre';
+    const text = preformatted ? node.text().trim() : collapseWhitespace(node.text());
+    if (text) {
+      blocks.push({ text, page: null, section: sectionPath(headings), ...(preformatted && { preformatted }) });
+    }
+  });
+
+  return { title: title || collapseWhitespace($('h1').first().text()) || null, blocks };
+};
+
+/**
+ * PDF: one block per page
+ */
+export const parsePdf = async (buffer) => {
+  const pages = [];
+
+  const result = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+      // Items on the same baseline belong to one line
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    },
+  });
+
+  return {
+    title: result.info?.Title?.trim() || null,
+    pageCount: result.numpages,
+    blocks: pages
+      .map(({ page, text }) => ({ text: text.replace(/[ \t]+/g, ' ').trim(), page, section: [] }))
+      .filter((block) => block.text),
+  };
+};
+
+/**
+ * DOCX: converted to HTML (Word heading styles become h1-h6), then parsed as HTML
+ */
+export const parseDocx = async (buffer) => {
+  const { value } = await mammoth.convertToHtml({ buffer });
+  return parseHtml(value);
+};
+
+/**
+ * Parse an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - filename, mimeType, format (overrides detection)
+ * @returns {Object} { format, title, blocks: [{ text, page, section: [heading path], preformatted? }], pageCount? }
+ */
+export const parseDocument = async (buffer, { filename = '', mimeType = '', format } = {}) => {
+  const resolvedFormat = format || detectFormat(filename, mimeType);
+  if (!resolvedFormat) {
+    throw new DocumentParseError(`Unsupported file type: ${filename || mimeType || 'unknown'}`, 415);
+  }
+
+  let parsed;
+  try {
+    switch (resolvedFormat) {
+      case 'pdf':
+        parsed = await parsePdf(buffer);
+        break;
+      case 'docx':
+        parsed = await parseDocx(buffer);
+        break;
+      case 'markdown':
+        parsed = parseMarkdown(buffer.toString('utf8'));
+        break;
+      case 'html':
+        parsed = parseHtml(buffer.toString('utf8'));
+        break;
+      case 'text':
+        parsed = parseText(buffer.toString('utf8'));
+        break;
+      default:
+        throw new DocumentParseError(`Unsupported format: ${resolvedFormat}`, 415);
+    }
+  } catch (error) {
+    if (error instanceof DocumentParseError) {
+      throw error;
+    }
+    throw new DocumentParseError(`Could not read ${filename || resolvedFormat}: ${error.message}`);
+  }
+
+  if (parsed.blocks.length === 0) {
+    throw new DocumentParseError(`No text found in ${filename || 'document'}`);
+  }
+
+  return {
+    format: resolvedFormat,
+    ...parsed,
+    title: parsed.title || (filename ? path.basename(filename, path.extname(filename)) : null),
+  };
+};
+
+export default {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  parseDocument,
+  parseText,
+  parseMarkdown,
+  parseHtml,
+  parsePdf,
+  parseDocx,
+};
@@ -0,0 +1,99 @@
+/**
+ * Result Fusion for Hybrid Search
+ * Merges vector (semantic) and BM25 (keyword) result lists into one ranking.
+ * Both methods weight the vector side by alpha and the keyword side by 1 - alpha,
+ * and produce a hybridScore in [0, 1].
+ */
+
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Merge the two lists by document id, keeping each side's score and rank (1-based).
+ * Keyword scores are scaled so the best BM25 hit is 1.
+ */
+const mergeResults = (vectorResults, keywordResults) => {
+  const merged = new Map();
+  const topKeywordScore = keywordResults[0]?.score || 0;
+
+  vectorResults.forEach((doc, idx) => {
+    merged.set(doc.id, {
+      id: doc.id,
+      content: doc.content,
+      metadata: doc.metadata,
+      vectorScore: doc.score,
+      vectorRank: idx + 1,
+      keywordScore: 0,
+      keywordRank: null,
+      matchedTerms: [],
+    });
+  });
+
+  keywordResults.forEach((doc, idx) => {
+    const entry = merged.get(doc.id) || {
+      id: doc.id,
+      content: doc.content,
+      metadata: doc.metadata,
+      vectorScore: 0,
+      vectorRank: null,
+    };
+
+    merged.set(doc.id, {
+      ...entry,
+      keywordScore: topKeywordScore > 0 ? doc.score / topKeywordScore : 0,
+      keywordRank: idx + 1,
+      matchedTerms: doc.matchedTerms || [],
+    });
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Reciprocal rank fusion: sum of weight / (k + rank) over the lists a document
+ * appears in, divided by the best possible total so a document ranked first by
+ * both retrievers scores 1
+ */
+export const reciprocalRankFusion = (vectorResults, keywordResults, { alpha = 0.7, k = 60 } = {}) => {
+  // alpha / (k + 1) + (1 - alpha) / (k + 1)
+  const best = 1 / (k + 1);
+
+  return mergeResults(vectorResults, keywordResults)
+    .map((doc) => {
+      const vectorPart = doc.vectorRank ? alpha / (k + doc.vectorRank) : 0;
+      const keywordPart = doc.keywordRank ? (1 - alpha) / (k + doc.keywordRank) : 0;
+      return { ...doc, hybridScore: (vectorPart + keywordPart) / best };
+    })
+    .sort((a, b) => b.hybridScore - a.hybridScore);
+};
+
+/**
+ * Weighted score fusion: alpha * vector similarity + (1 - alpha) * scaled BM25 score,
+ * counting a document missing from one list as 0 on that side
+ */
+export const weightedScoreFusion = (vectorResults, keywordResults, { alpha = 0.7 } = {}) => mergeResults(vectorResults, keywordResults)
+  .map((doc) => ({ ...doc, hybridScore: alpha * doc.vectorScore + (1 - alpha) * doc.keywordScore }))
+  .sort((a, b) => b.hybridScore - a.hybridScore);
+
+/**
+ * Fuse vector and keyword results
+ * @param {Array} vectorResults - chromaService.search results, best first
+ * @param {Array} keywordResults - keywordIndex.search results, best first
+ * @param {Object} options - method ('rrf' | 'weighted'), alpha, rrfK
+ * @returns {Array} Documents with hybridScore, vectorScore, keywordScore and ranks, best first
+ */
+export const fuseResults = (vectorResults, keywordResults, { method = 'rrf', alpha = 0.7, rrfK = 60 } = {}) => {
+  if (method === 'weighted') {
+    return weightedScoreFusion(vectorResults, keywordResults, { alpha });
+  }
+  if (method === 'rrf') {
+    return reciprocalRankFusion(vectorResults, keywordResults, { alpha, k: rrfK });
+  }
+  throw new Error(`Unknown fusion method: ${method}`);
+};
+
+export default {
+  FUSION_METHODS,
+  fuseResults,
+  reciprocalRankFusion,
+  weightedScoreFusion,
+};
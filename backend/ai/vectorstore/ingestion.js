@@ -1,33 +1,148 @@
 /**
  * Document Ingestion Service
- * Handles ingestion of documents into vector store
+ * Parses, chunks and stores documents in the vector store. Each document is
+ * identified by the SHA-256 hash of its content: ingesting the same content
+ * again is skipped, and a new version of a named source replaces the old one.
  */
 
 import crypto from 'crypto';
 import chromaService from './chromaService.js';
+import { parseDocument } from './documentParsers.js';
+import { chunkBlocks } from './chunker.js';
+import aiConfig from '../../config/ai.js';
+
+export const COLLECTION_FOR_TYPE = {
+  roadmap: 'roadmaps',
+  flashcard: 'flashcards',
+  note: 'notes',
+  knowledge: 'knowledge',
+};
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// ChromaDB metadata values must be strings, numbers or booleans
+const cleanMetadata = (metadata) => Object.fromEntries(
+  Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined),
+);
 
 class IngestionService {
   /**
-   * Ingest learning content (roadmaps, flashcards, notes)
+   * Parse, chunk and store one document
+   * @param {Object} input - buffer or text, plus filename, mimeType, format (optional override)
+   * @param {Object} options - type, metadata, chunking ({ chunkSize, chunkOverlap, headingAware }),
+   *   source (name whose older versions are replaced), onProgress(percent)
+   * @returns {Object} { documentId, contentHash, collectionKey, duplicate, chunks, ids, replaced, title, format }
    */
-  async ingestContent(type, content, metadata = {}) {
-    const collectionMap = {
-      roadmap: 'roadmaps',
-      flashcard: 'flashcards',
-      note: 'notes',
-      knowledge: 'knowledge',
+  async ingestDocument({ buffer, text, filename, mimeType, format }, options = {}) {
+    const {
+      type = 'knowledge',
+      metadata = {},
+      chunking = {},
+      source = filename,
+      onProgress = async () => {},
+    } = options;
+
+    const content = buffer || Buffer.from(String(text), 'utf8');
+    const collectionKey = COLLECTION_FOR_TYPE[type] || 'knowledge';
+    const contentHash = hashContent(content);
+    const documentId = `doc_${contentHash.slice(0, 24)}`;
+
+    const parsed = await parseDocument(content, { filename, mimeType, format: format || (buffer ? undefined : 'text') });
+    const chunks = chunkBlocks(parsed.blocks, chunking);
+    await onProgress(20);
+
+    const result = {
+      documentId,
+      contentHash,
+      collectionKey,
+      title: metadata.title || parsed.title,
+      format: parsed.format,
+      duplicate: false,
+      chunks: chunks.length,
+      ids: [],
+      replaced: 0,
     };
 
-    const collectionKey = collectionMap[type] || 'knowledge';
+    // Already stored with the same chunking: nothing to do. Leftovers of an
+    // interrupted run or of different chunking settings are replaced.
+    const existing = await chromaService.countWhere(collectionKey, { contentHash });
+    if (existing === chunks.length) {
+      return { ...result, duplicate: true };
+    }
+    if (existing > 0) {
+      await chromaService.deleteWhere(collectionKey, { contentHash });
+    }
 
-    const documents = Array.isArray(content) ? content : [content];
-    const docs = documents.map((doc) => ({
-      id: doc.id || crypto.randomUUID(),
-      text: typeof doc === 'string' ? doc : doc.text,
-      metadata: { type, ...metadata, ...(doc.metadata || {}) },
+    const ingestedAt = new Date().toISOString();
+    const docs = chunks.map((chunk) => ({
+      id: `${documentId}:${chunk.index}`,
+      text: chunk.text,
+      metadata: cleanMetadata({
+        type,
+        ...metadata,
+        documentId,
+        contentHash,
+        chunkHash: hashContent(chunk.text),
+        chunkIndex: chunk.index,
+        chunkCount: chunks.length,
+        source,
+        title: metadata.title || parsed.title,
+        format: parsed.format,
+        page: chunk.page,
+        pageEnd: chunk.pageEnd,
+        section: chunk.section,
+        ingestedAt,
+      }),
     }));
 
-    return await chromaService.addDocuments(collectionKey, docs);
+    const { batchSize } = aiConfig.ingestion;
+    for (let i = 0; i < docs.length; i += batchSize) {
+      const added = await chromaService.addDocuments(collectionKey, docs.slice(i, i + batchSize));
+      result.ids.push(...added.ids);
+      await onProgress(20 + Math.round((70 * Math.min(i + batchSize, docs.length)) / docs.length));
+    }
+
+    // Older versions of the same source (per uploader) give way to this one
+    if (source) {
+      const scope = [{ source }, { documentId: { $ne: documentId } }];
+      if (metadata.uploadedBy) {
+        scope.push({ uploadedBy: metadata.uploadedBy });
+      }
+      result.replaced = (await chromaService.deleteWhere(collectionKey, { $and: scope })).deleted;
+    }
+
+    await onProgress(100);
+    return result;
+  }
+
+  /**
+   * Ingest learning content (roadmaps, flashcards, notes) given as text;
+   * each item is chunked and stored as its own document
+   * @param {String} type - roadmap | flashcard | note | knowledge
+   * @param {String|Array} content - text, or items of text / { id, text, metadata } (id names the source)
+   * @param {Object} metadata - added to every chunk
+   * @param {Object} options - format (text | markdown | html), chunking
+   */
+  async ingestContent(type, content, metadata = {}, options = {}) {
+    const { format = 'text', chunking } = options;
+    const items = Array.isArray(content) ? content : [content];
+
+    const documents = [];
+    for (const item of items) {
+      const doc = typeof item === 'string' ? { text: item } : item;
+      documents.push(await this.ingestDocument(
+        { text: doc.text, format },
+        { type, metadata: { ...metadata, ...(doc.metadata || {}) }, chunking, source: doc.id },
+      ));
+    }
+
+    return {
+      success: true,
+      count: documents.reduce((sum, doc) => sum + doc.ids.length, 0),
+      ids: documents.flatMap((doc) => doc.ids),
+      duplicates: documents.filter((doc) => doc.duplicate).length,
+      documents,
+    };
   }
 
   /**
@@ -0,0 +1,332 @@
+/**
+ * Keyword Index (BM25)
+ * Local inverted index over the documents stored in ChromaDB, used for the
+ * keyword half of hybrid search. chromaService keeps it in step on every
+ * add/update/delete; each collection is snapshotted to disk and rebuilt from
+ * ChromaDB at startup when the snapshot is missing or out of date.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import aiConfig from '../../config/ai.js';
+
+const STOP_WORDS = new Set([
+  'the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but',
+  'in', 'with', 'to', 'for', 'of', 'as', 'from', 'by', 'how', 'what',
+  'where', 'when', 'why', 'who', 'i', 'you', 'we', 'they', 'it',
+  'are', 'was', 'were', 'be', 'been', 'this', 'that', 'these', 'those',
+  'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'not',
+  'its', 'into', 'than', 'then', 'there', 'their', 'about', 'my', 'your',
+]);
+
+const SNAPSHOT_VERSION = 1;
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * Split text into lowercase index terms, dropping stop words and one-letter tokens
+ */
+export const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * Whether document metadata matches a ChromaDB-style where filter
+ * (field equality, $eq, $ne, $in, $nin, and top-level $and / $or)
+ */
+export const matchesWhere = (metadata = {}, where) => {
+  if (!where) {
+    return true;
+  }
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every((clause) => matchesWhere(metadata, clause));
+    }
+    if (key === '$or') {
+      return condition.some((clause) => matchesWhere(metadata, clause));
+    }
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+    if ('$eq' in condition) {
+      return value === condition.$eq;
+    }
+    if ('$ne' in condition) {
+      return value !== condition.$ne;
+    }
+    if ('$in' in condition) {
+      return condition.$in.includes(value);
+    }
+    if ('$nin' in condition) {
+      return !condition.$nin.includes(value);
+    }
+    return false;
+  });
+};
+
+/**
+ * One collection's BM25 index
+ */
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map(); // id -> { content, metadata, length, terms: Map(term -> frequency) }
+    this.postings = new Map(); // term -> Set(id)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace documents ({ id, text, metadata })
+   */
+  add(documents) {
+    for (const { id, text, metadata } of documents) {
+      this.remove([id]);
+
+      const terms = new Map();
+      const tokens = tokenize(text);
+      for (const term of tokens) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+      }
+
+      for (const term of terms.keys()) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Set());
+        }
+        this.postings.get(term).add(id);
+      }
+
+      this.documents.set(id, { content: text, metadata: metadata || {}, length: tokens.length, terms });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  /**
+   * Remove documents by id
+   * @returns {Number} How many were removed
+   */
+  remove(ids) {
+    let removed = 0;
+
+    for (const id of ids) {
+      const doc = this.documents.get(id);
+      if (!doc) {
+        continue;
+      }
+
+      for (const term of doc.terms.keys()) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+
+      this.totalLength -= doc.length;
+      this.documents.delete(id);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove documents whose metadata matches a where filter
+   * @returns {Number} How many were removed
+   */
+  removeWhere(where) {
+    const ids = [...this.documents].filter(([, doc]) => matchesWhere(doc.metadata, where)).map(([id]) => id);
+    return this.remove(ids);
+  }
+
+  /**
+   * BM25 search
+   * @param {String} query
+   * @param {Object} options - topK, where (metadata filter)
+   * @returns {Array} [{ id, content, metadata, score, matchedTerms }] best first
+   */
+  search(query, { topK = 10, where = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const count = this.documents.size;
+    if (queryTerms.length === 0 || count === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        continue;
+      }
+
+      // Lucene-style idf: stays positive, so very common terms never count against a document
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const id of posting) {
+        const doc = this.documents.get(id);
+        if (where && !matchesWhere(doc.metadata, where)) {
+          continue;
+        }
+
+        const frequency = doc.terms.get(term);
+        const weight = idf * (frequency * (this.k1 + 1))
+          / (frequency + this.k1 * (1 - this.b + this.b * (doc.length / averageLength)));
+
+        const entry = scores.get(id) || { score: 0, matchedTerms: [] };
+        entry.score += weight;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      }
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, topK)
+      .map(([id, { score, matchedTerms }]) => {
+        const doc = this.documents.get(id);
+        return { id, content: doc.content, metadata: doc.metadata, score, matchedTerms };
+      });
+  }
+
+  toJSON() {
+    return [...this.documents].map(([id, doc]) => ({ id, text: doc.content, metadata: doc.metadata }));
+  }
+}
+
+class KeywordIndex {
+  constructor() {
+    this.indexes = new Map();
+    this.saveTimers = new Map();
+  }
+
+  get settings() {
+    return aiConfig.rag.hybrid;
+  }
+
+  getIndex(collectionKey) {
+    if (!this.indexes.has(collectionKey)) {
+      this.indexes.set(collectionKey, new BM25Index(this.settings.bm25));
+    }
+    return this.indexes.get(collectionKey);
+  }
+
+  add(collectionKey, documents) {
+    this.getIndex(collectionKey).add(documents);
+    this.scheduleSave(collectionKey);
+  }
+
+  remove(collectionKey, ids) {
+    const removed = this.getIndex(collectionKey).remove(ids);
+    this.scheduleSave(collectionKey);
+    return removed;
+  }
+
+  removeWhere(collectionKey, where) {
+    const removed = this.getIndex(collectionKey).removeWhere(where);
+    this.scheduleSave(collectionKey);
+    return removed;
+  }
+
+  clear(collectionKey) {
+    this.indexes.set(collectionKey, new BM25Index(this.settings.bm25));
+    this.scheduleSave(collectionKey);
+  }
+
+  search(collectionKey, query, options = {}) {
+    return this.indexes.has(collectionKey) ? this.getIndex(collectionKey).search(query, options) : [];
+  }
+
+  count(collectionKey) {
+    return this.indexes.get(collectionKey)?.size || 0;
+  }
+
+  snapshotPath(collectionKey) {
+    return path.join(this.settings.indexPath, `${collectionKey}.json`);
+  }
+
+  /**
+   * Write collection snapshots shortly after changes, batching bursts of writes
+   */
+  scheduleSave(collectionKey) {
+    if (!this.settings.indexPath || this.saveTimers.has(collectionKey)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.saveTimers.delete(collectionKey);
+      this.save(collectionKey).catch((error) => {
+        console.error(`Keyword index snapshot for ${collectionKey} failed:`, error.message);
+      });
+    }, SAVE_DELAY_MS);
+    timer.unref();
+    this.saveTimers.set(collectionKey, timer);
+  }
+
+  async save(collectionKey) {
+    const index = this.getIndex(collectionKey);
+    await fs.mkdir(this.settings.indexPath, { recursive: true });
+    await fs.writeFile(this.snapshotPath(collectionKey), JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      documents: index.toJSON(),
+    }));
+  }
+
+  async load(collectionKey) {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.snapshotPath(collectionKey), 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        return false;
+      }
+
+      const index = new BM25Index(this.settings.bm25);
+      index.add(snapshot.documents);
+      this.indexes.set(collectionKey, index);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Keyword index snapshot for ${collectionKey} unreadable:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Make a collection's index match ChromaDB: use the snapshot if its document
+   * count agrees, otherwise re-read every document from the collection
+   * @param {String} collectionKey
+   * @param {Object} collection - ChromaDB collection
+   * @returns {Object} { source: 'snapshot' | 'rebuilt', documents }
+   */
+  async sync(collectionKey, collection) {
+    const storedCount = await collection.count();
+
+    if (await this.load(collectionKey) && this.count(collectionKey) === storedCount) {
+      return { source: 'snapshot', documents: storedCount };
+    }
+
+    const index = new BM25Index(this.settings.bm25);
+    const pageSize = this.settings.rebuildBatchSize;
+
+    for (let offset = 0; offset < storedCount; offset += pageSize) {
+      const page = await collection.get({ limit: pageSize, offset, include: ['documents', 'metadatas'] });
+      index.add(page.ids.map((id, i) => ({ id, text: page.documents[i], metadata: page.metadatas[i] })));
+    }
+
+    this.indexes.set(collectionKey, index);
+    await this.save(collectionKey);
+
+    return { source: 'rebuilt', documents: index.size };
+  }
+}
+
+// Singleton instance
+const keywordIndex = new KeywordIndex();
+
+export default keywordIndex;
@@ -0,0 +1,161 @@
+/**
+ * Cross-Encoder Reranker
+ * Rescores the best vector candidates with a cross-encoder, which reads query
+ * and passage together and ranks far better than embedding similarity alone.
+ * Scoring is bounded by a latency budget: whatever is not scored in time keeps
+ * its vector order, and late scores still land in the cache for next time.
+ */
+
+import crypto from 'crypto';
+import { LRUCache } from 'lru-cache';
+import crossEncoderModel from '../embeddings/models/crossEncoder.js';
+import aiConfig from '../../config/ai.js';
+
+const TIMED_OUT = Symbol('timed out');
+
+const byVectorScore = (a, b) => (b.score ?? 0) - (a.score ?? 0);
+
+export class Reranker {
+  /**
+   * @param {Object} options - scorer(query, passages) => scores (defaults to the
+   *   cross-encoder model), config (defaults to aiConfig.rag.reranking)
+   */
+  constructor({ scorer, config = aiConfig.rag.reranking } = {}) {
+    this.scorer = scorer || ((query, passages) => crossEncoderModel.score(query, passages));
+    this.config = config;
+
+    this.cache = new LRUCache({
+      max: config.cacheSize,
+      ttl: config.cacheTTL * 1000, // Convert to ms
+    });
+
+    this.stats = {
+      requests: 0,
+      scored: 0,
+      cacheHits: 0,
+      timeouts: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Cache key of a (query, passage) pair for the configured model
+   */
+  generateKey(query, content) {
+    return crypto
+      .createHash('sha256')
+      .update(`${this.config.model}\0${query}\0${content}`)
+      .digest('hex');
+  }
+
+  /**
+   * Rerank search results against a query
+   * @param {String} query
+   * @param {Array} results - { id, content, score, metadata }
+   * @param {Object} options - limit, candidatePool, latencyBudgetMs
+   * @returns {Array} results with rerankScore, best first; unscored ones follow in vector order
+   */
+  async rerank(query, results, options = {}) {
+    const {
+      limit = results.length,
+      candidatePool = this.config.candidatePool,
+      latencyBudgetMs = this.config.latencyBudgetMs,
+    } = options;
+
+    this.stats.requests++;
+
+    const ordered = [...results].sort(byVectorScore);
+    const candidates = ordered.slice(0, candidatePool).map((result) => ({
+      ...result,
+      rerankScore: this.cache.get(this.generateKey(query, result.content)),
+    }));
+    const pending = candidates.filter((candidate) => candidate.rerankScore === undefined);
+    this.stats.cacheHits += candidates.length - pending.length;
+
+    const deadline = Date.now() + latencyBudgetMs;
+    for (let i = 0; i < pending.length; i += this.config.batchSize) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        this.stats.timeouts++;
+        break;
+      }
+
+      const batch = pending.slice(i, i + this.config.batchSize);
+      const scores = await this.scoreBatch(query, batch, remaining);
+      if (!scores) {
+        break;
+      }
+
+      batch.forEach((candidate, idx) => {
+        candidate.rerankScore = scores[idx];
+      });
+    }
+
+    const scored = candidates
+      .filter((candidate) => candidate.rerankScore !== undefined)
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+    const unscored = candidates.filter((candidate) => candidate.rerankScore === undefined);
+
+    return [...scored, ...unscored, ...ordered.slice(candidatePool)].slice(0, limit);
+  }
+
+  /**
+   * Score one batch within the remaining budget
+   * @returns {Array|null} scores, or null when out of time or scoring failed
+   */
+  async scoreBatch(query, batch, remaining) {
+    const scoring = Promise.resolve()
+      .then(() => this.scorer(query, batch.map((candidate) => candidate.content)))
+      .then((scores) => {
+        // Cache even when the budget ran out, so the next request is faster
+        batch.forEach((candidate, idx) => {
+          this.cache.set(this.generateKey(query, candidate.content), scores[idx]);
+        });
+        this.stats.scored += batch.length;
+        return scores;
+      });
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(TIMED_OUT), remaining);
+    });
+
+    try {
+      const scores = await Promise.race([scoring, timeout]);
+      if (scores === TIMED_OUT) {
+        this.stats.timeouts++;
+        scoring.catch(() => {});
+        return null;
+      }
+      return scores;
+    } catch (error) {
+      this.stats.errors++;
+      console.warn('⚠️  Reranking failed, keeping vector order:', error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Drop cached scores
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Get reranker statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cacheSize: this.cache.size,
+      model: crossEncoderModel.getInfo(),
+      candidatePool: this.config.candidatePool,
+      latencyBudgetMs: this.config.latencyBudgetMs,
+    };
+  }
+}
+
+export default new Reranker();
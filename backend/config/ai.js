@@ -3,19 +3,69 @@
  * Settings for LangChain, LangGraph, Embeddings, Vector Store, MCP Server
  */
 
+/**
+ * LLM settings are built from the environment on demand so they can be rebuilt
+ * once dotenv has loaded (see aiService.initialize)
+ */
+export const buildLLMConfig = () => ({
+  provider: process.env.LLM_PROVIDER || 'groq',
+  apiKey: process.env.GROQ_API_KEY,
+  model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+  temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2048'),
+  streaming: process.env.LLM_STREAMING !== 'false',
+  timeout: parseInt(process.env.LLM_TIMEOUT_MS || '60000'),
+
+  // Named provider instances referenced by the feature chains below
+  providers: {
+    groq: {
+      type: 'groq',
+      apiKey: process.env.GROQ_API_KEY,
+      model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+    },
+    // Ollama (http://localhost:11434/v1), llama.cpp server, vLLM, LM Studio...
+    local: {
+      type: 'openai_compatible',
+      baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false', // false: ask for JSON in the prompt instead
+    },
+    fixture: {
+      type: 'fixture',
+      path: process.env.LLM_FIXTURE_PATH || './tests/fixtures/llm-fixtures.json',
+      mode: process.env.LLM_FIXTURE_MODE || 'replay', // 'replay' or 'record'
+      recordProvider: process.env.LLM_FIXTURE_RECORD_PROVIDER || 'groq',
+      onMiss: process.env.LLM_FIXTURE_ON_MISS || 'error', // 'error' or 'echo'
+    },
+  },
+
+  // Provider chain per feature: first entry is primary, the rest are fallbacks.
+  // Entries are "provider" or "provider:model", e.g. LLM_CHAIN_QUIZ=groq:llama-3.1-8b-instant,local
+  chains: {
+    default: (process.env.LLM_CHAIN || process.env.LLM_PROVIDER || 'groq').split(','),
+    chat: process.env.LLM_CHAIN_CHAT?.split(','),
+    tutor: process.env.LLM_CHAIN_TUTOR?.split(','),
+    rag: process.env.LLM_CHAIN_RAG?.split(','),
+    classifier: process.env.LLM_CHAIN_CLASSIFIER?.split(','),
+    summarization: process.env.LLM_CHAIN_SUMMARIZATION?.split(','),
+    quiz: process.env.LLM_CHAIN_QUIZ?.split(','),
+    grading: process.env.LLM_CHAIN_GRADING?.split(','),
+    roadmap: process.env.LLM_CHAIN_ROADMAP?.split(','),
+    skills: process.env.LLM_CHAIN_SKILLS?.split(','),
+    courses: process.env.LLM_CHAIN_COURSES?.split(','),
+    voice: process.env.LLM_CHAIN_VOICE?.split(','),
+  },
+
+  // Per-provider attempt timeout before falling back to the next provider
+  attemptTimeout: parseInt(process.env.LLM_ATTEMPT_TIMEOUT_MS || process.env.LLM_TIMEOUT_MS || '60000'),
+});
+
 const aiConfig = {
   // ============================================
-  // LLM Configuration (Groq)
+  // LLM Configuration (provider layer, see ai/llm/llmRouter.js)
   // ============================================
-  llm: {
-    provider: 'groq',
-    apiKey: process.env.GROQ_API_KEY,
-    model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
-    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
-    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2048'),
-    streaming: process.env.LLM_STREAMING !== 'false',
-    timeout: parseInt(process.env.LLM_TIMEOUT_MS || '60000'),
-  },
+  llm: buildLLMConfig(),
 
   // ============================================
   // Embeddings Configuration (Local, Free)
@@ -98,11 +148,66 @@ const aiConfig = {
     // Reranking
     enableReranking: process.env.RAG_RERANKING === 'true',
 
+    // Cross-encoder reranking of retrieved candidates (see ai/vectorstore/reranker.js)
+    reranking: {
+      model: process.env.RAG_RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+      candidatePool: parseInt(process.env.RAG_RERANK_CANDIDATES || '20'), // best vector hits to rescore
+      latencyBudgetMs: parseInt(process.env.RAG_RERANK_BUDGET_MS || '300'), // unscored hits keep vector order
+      batchSize: parseInt(process.env.RAG_RERANK_BATCH_SIZE || '8'),
+      cacheSize: parseInt(process.env.RAG_RERANK_CACHE_SIZE || '5000'),
+      cacheTTL: parseInt(process.env.RAG_RERANK_CACHE_TTL || '3600'), // seconds
+    },
+
+    // Hybrid search (BM25 keyword index fused with vector results, see ai/vectorstore/fusion.js)
+    hybrid: {
+      fusion: process.env.RAG_HYBRID_FUSION || 'rrf', // rrf | weighted
+      alpha: parseFloat(process.env.RAG_HYBRID_ALPHA || '0.7'), // weight of the vector side
+      rrfK: parseInt(process.env.RAG_HYBRID_RRF_K || '60'),
+      candidateMultiplier: parseInt(process.env.RAG_HYBRID_CANDIDATES || '4'), // candidates per retriever = topK * this
+      minKeywordScore: parseFloat(process.env.RAG_HYBRID_MIN_KEYWORD_SCORE || '0.3'), // of the best BM25 score
+      bm25: {
+        k1: parseFloat(process.env.RAG_BM25_K1 || '1.2'),
+        b: parseFloat(process.env.RAG_BM25_B || '0.75'),
+      },
+      indexPath: process.env.RAG_KEYWORD_INDEX_PATH || './data/keyword-index',
+      rebuildBatchSize: 500,
+    },
+
     // Caching
     cacheResponses: process.env.RAG_CACHE_RESPONSES !== 'false',
     responseCacheTTL: parseInt(process.env.RAG_RESPONSE_CACHE_TTL || '3600'),
   },
 
+  // ============================================
+  // Document Ingestion (parsers, chunking, upload jobs)
+  // ============================================
+  ingestion: {
+    // Chunking, in (estimated) tokens; the embedding model reads up to 512
+    chunkSize: parseInt(process.env.INGEST_CHUNK_SIZE || '400'),
+    chunkOverlap: parseInt(process.env.INGEST_CHUNK_OVERLAP || '50'),
+    headingAware: process.env.INGEST_HEADING_AWARE !== 'false',
+
+    // Uploads wait here until the ingestion worker has processed them
+    uploadDir: process.env.INGEST_UPLOAD_DIR || './storage/ingestion',
+    maxFileSizeMB: parseInt(process.env.INGEST_MAX_FILE_MB || '25'),
+    maxFilesPerUpload: 10,
+
+    // Chunks embedded and stored per ChromaDB call
+    batchSize: 64,
+  },
+
+  // ============================================
+  // RAG Evaluation (golden question sets, see ai/evaluation/)
+  // ============================================
+  evaluation: {
+    goldenSetDir: process.env.RAG_EVAL_GOLDEN_DIR || './ai/evaluation/goldenSets',
+    k: parseInt(process.env.RAG_EVAL_K || '5'), // cut-off for recall@k
+    // An answer sentence counts as supported when it is this similar to a retrieved passage
+    faithfulnessThreshold: parseFloat(process.env.RAG_EVAL_FAITHFULNESS_THRESHOLD || '0.75'),
+    // Questions evaluated at the same time (each one calls the LLM per strategy)
+    concurrency: parseInt(process.env.RAG_EVAL_CONCURRENCY || '2'),
+  },
+
   // ============================================
   // LangGraph Configuration
   // ============================================
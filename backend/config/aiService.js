@@ -1,14 +1,17 @@
-import Groq from 'groq-sdk';
+import aiConfig, { buildLLMConfig } from './ai.js';
+import llmRouter from '../ai/llm/llmRouter.js';
+import RoutedChatModel from '../ai/llm/routedChatModel.js';
 
 /**
  * Centralized AI Service Configuration
- * Single source of truth for AI model initialization
+ * Single source of truth for AI model access. Completions go through the LLM
+ * router (ai/llm/llmRouter.js), which picks the provider chain per feature.
  */
 
 class AIService {
     constructor() {
-        this.groq = null;
         this.isConfigured = false;
+        this.initialized = false;
         // Do not initialize on import — initialize lazily when first used.
     }
 
@@ -16,75 +19,75 @@ class AIService {
      * Initialize AI service
      */
     initialize() {
-        const apiKey = process.env.GROQ_API_KEY;
-        console.log('apiKey: ', apiKey);
-        if (!apiKey) {
+        // Rebuild LLM settings now that dotenv has loaded, keeping the shared object
+        Object.assign(aiConfig.llm, buildLLMConfig());
+        llmRouter.configure(aiConfig.llm);
+        this.initialized = true;
+
+        this.isConfigured = llmRouter.isReady();
+        const chain = llmRouter.getChain().map(({ provider }) => provider).join(' -> ');
+
+        if (!this.isConfigured) {
             // Don't throw here — callers will receive a clear error if they try to use the service.
-            console.warn('⚠️  GROQ_API_KEY not configured. AI features will be disabled.');
-            this.groq = null;
-            this.isConfigured = false;
+            console.warn(`⚠️  No configured LLM provider in chain (${chain}). AI features will be disabled.`);
             return;
         }
 
-        try {
-            this.groq = new Groq({ apiKey });
-            this.isConfigured = true;
-            console.log('✅ AI Service (Groq) initialized successfully');
-        } catch (error) {
-            this.groq = null;
-            this.isConfigured = false;
-            console.error('❌ Failed to initialize AI Service:', error?.message || error);
-        }
+        console.log(`✅ AI Service initialized (providers: ${chain})`);
     }
 
     /**
-     * Get Groq client instance
-     * @throws {Error} If AI service is not configured
+     * Check if AI service is ready
+     * @param {String} feature - Optional feature whose provider chain to check
      */
-    getClient() {
-        // Attempt lazy initialization in case dotenv wasn't loaded at import-time
-        if (!this.isConfigured || !this.groq) {
+    isReady(feature) {
+        if (!this.initialized) {
             this.initialize();
         }
-
-        if (!this.isConfigured || !this.groq) {
-            throw new Error('AI service not configured. Please set GROQ_API_KEY in your .env or environment and restart the server.');
-        }
-
-        return this.groq;
+        return llmRouter.isReady(feature);
     }
 
     /**
-     * Check if AI service is ready
+     * Get default model configuration
      */
-    isReady() {
-        return this.isConfigured && this.groq !== null;
+    getDefaultModel() {
+        return aiConfig.llm.model;
     }
 
     /**
-     * Get default model configuration
+     * Get a LangChain chat model routed through the provider chain for a feature
+     * @param {String} feature - Feature name (see aiConfig.llm.chains)
+     * @param {Object} options - temperature, maxTokens
      */
-    getDefaultModel() {
-        // Prefer an explicit GROQ_MODEL; fallback to a supported Llama 3.3 model
-        return process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+    getChatModel(feature = 'default', options = {}) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        return new RoutedChatModel({
+            feature,
+            temperature: options.temperature ?? aiConfig.llm.temperature,
+            maxTokens: options.maxTokens ?? aiConfig.llm.maxTokens,
+        });
     }
 
     /**
      * Generate completion with standard settings
+     * @param {Array} messages - OpenAI-style messages
+     * @param {Object} options - feature, temperature, max_tokens, top_p, response_format, signal
      */
     async generateCompletion(messages, options = {}) {
-        const client = this.getClient();
+        if (!this.initialized) {
+            this.initialize();
+        }
 
         const defaultOptions = {
-            model: this.getDefaultModel(),
             temperature: 0.7,
             max_tokens: 3000,
-            top_p: 1,
-            stream: false
+            top_p: 1
         };
 
-        return await client.chat.completions.create({
-            messages,
+        return await llmRouter.complete(messages, {
             ...defaultOptions,
             ...options
         });
@@ -99,12 +102,19 @@ class AIService {
             response_format: { type: 'json_object' }
         });
     }
+
+    /**
+     * Per-provider call, error, fallback and latency counters
+     */
+    getStats() {
+        return llmRouter.getStats();
+    }
 }
 
 // Export singleton instance
 const aiService = new AIService();
 
 // Do NOT initialize here — server.js will call initialize() after dotenv.config() loads
-// This ensures environment variables are properly available before Groq client is created.
+// This ensures environment variables are properly available before the providers are created.
 
 export default aiService;
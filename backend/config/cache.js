@@ -73,6 +73,33 @@ const cacheConfig = {
     metricsEnabled: process.env.CACHE_METRICS_ENABLED !== 'false',
   },
 
+  // In-process L1 tier in front of Redis (one per instance). Entries stay in L1
+  // at most their namespace TTL: writes on other instances evict them through
+  // pub/sub, and the TTL bounds staleness when an invalidation is missed (e.g.
+  // while Redis is down). A TTL of 0 keeps a namespace out of L1.
+  L1: {
+    enabled: process.env.CACHE_L1_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES || '5000'),
+    maxSizeBytes: parseInt(process.env.CACHE_L1_MAX_SIZE_MB || '50') * 1024 * 1024,
+    defaultTTL: parseInt(process.env.CACHE_L1_DEFAULT_TTL || '60'),
+    invalidationChannel: process.env.CACHE_L1_INVALIDATION_CHANNEL || 'cache:invalidate',
+    NAMESPACE_TTL: {
+      conv: 60,                         // 1 minute
+      msg: 60,                          // 1 minute
+      user: 30,                         // 30 seconds (dashboard, stats, lists)
+      roadmap: 300,                     // 5 minutes
+      flashcard: 300,                   // 5 minutes
+      quiz: 600,                        // 10 minutes
+      vec: 300,                         // 5 minutes (vector search results)
+      blacklist: 3600,                  // 1 hour
+      emb: 0,                           // embeddingCache keeps its own LRU
+      lock: 0,
+      rate: 0,
+      metric: 0,
+      tag: 0,
+    },
+  },
+
   // Key prefixes (namespaces)
   PREFIXES: {
     CONVERSATION: 'conv',
@@ -0,0 +1,41 @@
+/**
+ * Code Runner Configuration
+ * Isolation and limits for executing learner code
+ */
+
+const codeRunnerConfig = {
+  enabled: process.env.CODE_RUNNER_ENABLED !== 'false',
+
+  // Supported languages (must have a runtime in services/codeExecutionService.js)
+  languages: (process.env.CODE_RUNNER_LANGUAGES || 'javascript,python').split(','),
+  pythonBin: process.env.PYTHON_BIN || 'python3',
+
+  // Isolation layer. 'bwrap' (bubblewrap) runs every process in fresh user, PID, network,
+  // IPC and mount namespaces that see only the runtimes, read-only. Without a working
+  // sandbox nothing runs. 'none' runs plain child processes and is refused in production;
+  // it exists for local development and tests only.
+  sandbox: process.env.CODE_RUNNER_SANDBOX || 'bwrap',
+  bwrapBin: process.env.CODE_RUNNER_BWRAP || 'bwrap',
+  // Host user the sandbox starts as (the server must be allowed to switch users)
+  uid: parseInt(process.env.CODE_RUNNER_UID) || null,
+  gid: parseInt(process.env.CODE_RUNNER_GID) || null,
+  // RLIMIT_NPROC inside the sandbox (Node needs about a dozen threads)
+  maxProcesses: parseInt(process.env.CODE_RUNNER_MAX_PROCESSES || '32'),
+
+  // Concurrency (processes running at once across all requests)
+  maxConcurrent: parseInt(process.env.CODE_RUNNER_MAX_CONCURRENT || '2'),
+
+  // Per-test limits; challenge values are clamped to the maximums
+  defaultTimeLimit: parseInt(process.env.CODE_RUNNER_TIME_LIMIT || '5'),          // seconds
+  maxTimeLimit: parseInt(process.env.CODE_RUNNER_MAX_TIME_LIMIT || '15'),         // seconds
+  defaultMemoryLimit: parseInt(process.env.CODE_RUNNER_MEMORY_LIMIT || '128'),    // MB
+  maxMemoryLimit: parseInt(process.env.CODE_RUNNER_MAX_MEMORY_LIMIT || '512'),    // MB
+  maxOutputBytes: parseInt(process.env.CODE_RUNNER_MAX_OUTPUT || '65536'),        // 64KB per stream
+  maxFileSizeKB: parseInt(process.env.CODE_RUNNER_MAX_FILE_KB || '1024'),
+
+  // Submission limits
+  maxCodeLength: parseInt(process.env.CODE_RUNNER_MAX_CODE_LENGTH || '50000'),
+  maxTestCases: parseInt(process.env.CODE_RUNNER_MAX_TEST_CASES || '50'),
+};
+
+export default codeRunnerConfig;
@@ -28,7 +28,7 @@ async function initializeCache() {
     const redis = await redisClient.connect();
 
     if (!redis) {
-      console.error('❌ Redis connection failed - cache will be bypassed');
+      console.error(`❌ Redis connection failed - ${cacheConfig.L1.enabled ? 'caching in-process (L1) only' : 'cache will be bypassed'}`);
       return { success: false, reason: 'Redis connection failed' };
     }
 
@@ -59,6 +59,7 @@ async function initializeCache() {
     console.log(`   Redis Host: ${cacheConfig.REDIS.host}:${cacheConfig.REDIS.port}`);
     console.log(`   TLS Enabled: ${cacheConfig.REDIS.enableTLS}`);
     console.log(`   Cache Version: ${cacheConfig.CACHE_VERSION}`);
+    console.log(`   L1 (in-process): ${cacheConfig.L1.enabled ? `${cacheConfig.L1.maxEntries} entries` : 'disabled'}`);
     console.log(`   SWR Enabled: ${cacheConfig.FEATURES.enableSWR}`);
     console.log(`   Stampede Prevention: ${cacheConfig.FEATURES.enableStampedePrevention}`);
     console.log(`   Metrics Enabled: ${cacheConfig.FEATURES.metricsEnabled}`);
@@ -83,6 +84,7 @@ async function shutdownCache() {
   console.log('\n🛑 Shutting down cache system...');
 
   try {
+    await cacheManager.shutdown();
     await redisClient.disconnect();
     console.log('✅ Cache system shutdown complete');
   } catch (error) {
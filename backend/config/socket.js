@@ -1,5 +1,6 @@
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
 
 let io = null;
 
@@ -35,6 +36,13 @@ export const initializeSocketIO = (httpServer) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Same rule as protect: tokens from before a password change are revoked
+      const user = await User.findById(decoded.id).select('passwordChangedAt');
+      if (!user || user.changedPasswordAfter(decoded.iat)) {
+        return next(new Error('Invalid authentication token'));
+      }
+
       socket.userId = decoded.id;
       socket.userEmail = decoded.email;
 
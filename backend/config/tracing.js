@@ -0,0 +1,138 @@
+/**
+ * Tracing Configuration
+ * OpenTelemetry SDK setup: auto-instrumentation for HTTP, Express, MongoDB and
+ * ioredis, plus the exporter spans are sent to.
+ *
+ * Exporters (TRACING_EXPORTER):
+ *   otlp    - OTLP/HTTP to a collector (OTEL_EXPORTER_OTLP_TRACES_ENDPOINT or
+ *             OTEL_EXPORTER_OTLP_ENDPOINT, default http://localhost:4318)
+ *   file    - one JSON span per line appended to TRACING_FILE_PATH
+ *   console - spans printed to stdout
+ * Sampling follows the standard OTEL_TRACES_SAMPLER / OTEL_TRACES_SAMPLER_ARG.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NodeSDK, core, resources, tracing } from '@opentelemetry/sdk-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { HttpInstrumentation } from '@opentelemetry/instrumentation-http';
+import { ExpressInstrumentation } from '@opentelemetry/instrumentation-express';
+import { MongoDBInstrumentation } from '@opentelemetry/instrumentation-mongodb';
+import { IORedisInstrumentation } from '@opentelemetry/instrumentation-ioredis';
+
+// Probes and scrapes would otherwise add a trace every few seconds
+const UNTRACED_PATHS = ['/metrics', '/health', '/ready', '/api/health'];
+
+export const tracingConfig = {
+  enabled: process.env.TRACING_ENABLED === 'true',
+  serviceName: process.env.OTEL_SERVICE_NAME || 'mini-ai-tutor-backend',
+  exporter: process.env.TRACING_EXPORTER || 'otlp',
+  filePath: process.env.TRACING_FILE_PATH || './data/traces/spans.jsonl',
+};
+
+let sdk = null;
+
+/**
+ * Writes finished spans as JSON lines, for inspecting traces without a collector
+ */
+export class FileSpanExporter {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.pending = Promise.resolve();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  static toJSON(span) {
+    const { traceId, spanId } = span.spanContext();
+    return {
+      traceId,
+      spanId,
+      parentSpanId: span.parentSpanId,
+      name: span.name,
+      kind: span.kind,
+      service: span.resource.attributes['service.name'],
+      startTime: new Date(core.hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: core.hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map((event) => ({
+        name: event.name,
+        time: new Date(core.hrTimeToMilliseconds(event.time)).toISOString(),
+        attributes: event.attributes,
+      })),
+      links: span.links.map((link) => link.context),
+    };
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) => JSON.stringify(FileSpanExporter.toJSON(span))).join('\n') + '\n';
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, lines))
+      .then(
+        () => resultCallback({ code: core.ExportResultCode.SUCCESS }),
+        (error) => resultCallback({ code: core.ExportResultCode.FAILED, error })
+      );
+  }
+
+  forceFlush() {
+    return this.pending;
+  }
+
+  shutdown() {
+    return this.pending;
+  }
+}
+
+/**
+ * Exporter for the configured TRACING_EXPORTER
+ */
+export function createSpanExporter(config = tracingConfig) {
+  switch (config.exporter) {
+    case 'otlp':
+      return new OTLPTraceExporter();
+    case 'file':
+      return new FileSpanExporter(config.filePath);
+    case 'console':
+      return new tracing.ConsoleSpanExporter();
+    default:
+      throw new Error(`Unknown TRACING_EXPORTER "${config.exporter}" (expected otlp, file or console)`);
+  }
+}
+
+export function createInstrumentations() {
+  return [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.includes((req.url || '').split('?')[0]),
+    }),
+    new ExpressInstrumentation(),
+    new MongoDBInstrumentation(),
+    // Only commands issued inside a trace; BullMQ polling would drown everything else
+    new IORedisInstrumentation({ requireParentSpan: true }),
+  ];
+}
+
+/**
+ * Start the OpenTelemetry SDK (once). Must run before express, mongodb and
+ * ioredis are imported, which is why instrumentation.js loads it with --import.
+ * @returns {boolean} whether tracing is running
+ */
+export function startTracing(config = tracingConfig) {
+  if (!config.enabled) {
+    return false;
+  }
+  if (sdk) {
+    return true;
+  }
+
+  sdk = new NodeSDK({
+    serviceName: config.serviceName,
+    resource: new resources.Resource({
+      'service.instance.id': process.env.INSTANCE_ID || 'local',
+      'deployment.environment': process.env.NODE_ENV || 'development',
+    }),
+    spanProcessors: [new tracing.BatchSpanProcessor(createSpanExporter(config))],
+    instrumentations: createInstrumentations(),
+  });
+  sdk.start();
+  return true;
+}
@@ -3,15 +3,44 @@
  * Handles AI-related API requests
  */
 
+import fs from 'fs/promises';
 import aiOrchestrator from '../services/aiOrchestrator.js';
+import IngestionJob from '../models/IngestionJob.js';
+import { ingestionQueue, addIngestionJob } from '../queues/index.js';
 import {
   validate,
   chatMessageSchema,
   ragQuerySchema,
   documentSchema,
+  documentUploadSchema,
   embeddingSchema,
 } from '../ai/security/inputValidator.js';
 
+const INGESTION_JOB_LIST_LIMIT = 50;
+
+const removeUploads = (files) => Promise.all(files.map((file) => fs.rm(file.path, { force: true })));
+
+/**
+ * Public view of an ingestion job
+ */
+const formatIngestionJob = (job, state) => {
+  const { ids, ...result } = job.returnvalue || {};
+
+  return {
+    id: job.id,
+    filename: job.data.filename,
+    type: job.data.type,
+    state,
+    progress: job.progress || 0,
+    attempts: job.attemptsMade,
+    result: job.returnvalue ? result : null,
+    error: state === 'failed' ? job.failedReason : null,
+    createdAt: new Date(job.timestamp),
+    startedAt: job.processedOn ? new Date(job.processedOn) : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  };
+};
+
 class AIController {
   /**
    * POST /api/ai/chat
@@ -164,9 +193,9 @@ class AIController {
         return res.status(400).json({ error: validation.error });
       }
 
-      const { content, type, metadata } = validation.data;
+      const { content, type, metadata, format, chunking } = validation.data;
 
-      const result = await aiOrchestrator.ingestContent(type, content, metadata);
+      const result = await aiOrchestrator.ingestContent(type, content, metadata, { format, chunking });
 
       res.json({
         success: true,
@@ -178,6 +207,109 @@ class AIController {
     }
   }
 
+  /**
+   * POST /api/ai/ingest/files
+   * Upload documents (PDF, Markdown, HTML, DOCX, text) to be ingested in the background
+   */
+  async ingestFiles(req, res) {
+    const files = req.files || [];
+    const queued = new Set();
+
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'At least one file is required' });
+      }
+
+      const validation = validate(documentUploadSchema, req.body);
+      if (!validation.success) {
+        await removeUploads(files);
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const { type, metadata = {}, ...chunking } = validation.data;
+      const jobs = [];
+
+      for (const file of files) {
+        const job = await addIngestionJob({
+          userId: String(req.user.id),
+          filePath: file.path,
+          filename: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          type,
+          metadata,
+          chunking,
+        });
+        queued.add(file);
+        await IngestionJob.create({ user: req.user.id, jobId: job.id, filename: file.originalname });
+
+        jobs.push({
+          jobId: job.id,
+          filename: file.originalname,
+          statusUrl: `/api/ai/ingest/jobs/${job.id}`,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        jobs,
+      });
+    } catch (error) {
+      console.error('Document upload error:', error);
+      await removeUploads(files.filter((file) => !queued.has(file)));
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/ai/ingest/jobs
+   * The user's recent ingestion jobs
+   */
+  async getIngestionJobs(req, res) {
+    try {
+      const records = await IngestionJob.find({ user: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(INGESTION_JOB_LIST_LIMIT)
+        .lean();
+
+      // Jobs the queue has already removed are left out
+      const jobs = (await Promise.all(records.map((record) => ingestionQueue.getJob(record.jobId))))
+        .filter(Boolean);
+
+      const states = await Promise.all(jobs.map((job) => job.getState()));
+
+      res.json({
+        success: true,
+        jobs: jobs.map((job, idx) => formatIngestionJob(job, states[idx])),
+      });
+    } catch (error) {
+      console.error('Ingestion jobs error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/ai/ingest/jobs/:jobId
+   * Status, progress and result of one ingestion job
+   */
+  async getIngestionJob(req, res) {
+    try {
+      const job = await ingestionQueue.getJob(req.params.jobId);
+
+      if (!job || (job.data.userId !== String(req.user.id) && req.user.role !== 'admin')) {
+        return res.status(404).json({ error: 'Ingestion job not found' });
+      }
+
+      res.json({
+        success: true,
+        job: formatIngestionJob(job, await job.getState()),
+      });
+    } catch (error) {
+      console.error('Ingestion job error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * GET /api/ai/stats
    * Get AI pipeline statistics
@@ -1,160 +1,322 @@
 /**
  * AI Controller - Streaming Version
- * Handles streaming AI responses with real-time thinking display
+ * Streams AI answers token by token over server-sent events, with thinking
+ * phases driven by real progress, and stores the exchange in the conversation
  */
 
+import crypto from 'crypto';
 import aiOrchestrator from '../services/aiOrchestrator.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
 import {
   validate,
-  chatMessageSchema,
-  ragQuerySchema,
+  chatStreamSchema,
 } from '../ai/security/inputValidator.js';
 
+const MAX_CONTENT_LENGTH = Message.schema.path('content').options.maxlength[0];
+const HISTORY_LIMIT = 20;
+
+// Streams in progress on this instance, so POST /chat/stream/:streamId/cancel can stop them
+const activeStreams = new Map();
+
+/**
+ * Find the learner's conversation, or start a new one titled after the message
+ * @returns {Object|null} Conversation, or null if conversationId isn't theirs
+ */
+const resolveConversation = async (userId, { conversationId, message, topic }) => {
+  if (conversationId) {
+    return Conversation.findOne({ _id: conversationId, user: userId });
+  }
+
+  return Conversation.create({
+    user: userId,
+    title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
+    topic: topic || 'general',
+  });
+};
+
+/**
+ * Store the assistant's answer and update learner stats, as chatController.sendMessage does
+ * @returns {Object|null} Saved message, or null when there was no answer to save
+ */
+const persistAnswer = async ({ conversation, userId, content, metadata }) => {
+  let aiMessage = null;
+
+  if (content) {
+    aiMessage = await Message.create({
+      conversation: conversation._id,
+      user: userId,
+      role: 'assistant',
+      content: content.slice(0, MAX_CONTENT_LENGTH),
+      metadata,
+    });
+    await conversation.incrementMessageCount();
+  }
+
+  const user = await User.findById(userId);
+  if (user) {
+    user.learningStats.totalMessages += aiMessage ? 2 : 1;
+    user.updateStreak();
+
+    const topicProgress = user.learningStats.topicProgress.get(conversation.topic) || 0;
+    user.learningStats.topicProgress.set(conversation.topic, topicProgress + 1);
+
+    await user.save();
+  }
+
+  return aiMessage;
+};
+
+/**
+ * Token counts as reported by the model, or estimated from the answer (~4 characters per token)
+ */
+const usageStats = (usage, answer) => (usage
+  ? {
+    promptTokens: usage.input_tokens,
+    completionTokens: usage.output_tokens,
+    totalTokens: usage.total_tokens,
+    estimated: false,
+  }
+  : {
+    promptTokens: null,
+    completionTokens: Math.ceil(answer.length / 4),
+    totalTokens: null,
+    estimated: true,
+  });
+
 /**
  * POST /api/ai/chat/stream
- * Streaming chat with real-time thinking
+ * Streaming chat. Events: start, thinking_*, sources (RAG), token, usage, response,
+ * then [DONE]; cancelled or error end the stream early.
  */
 export async function chatStream(req, res) {
+  const validation = validate(chatStreamSchema, req.body);
+  if (!validation.success) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { message, mode, conversationId, topic, topK } = validation.data;
+  const userId = req.user.id;
+
+  let conversation;
+  let conversationHistory;
+  let userMessage;
+
   try {
-    const validation = validate(chatMessageSchema, req.body);
-    if (!validation.success) {
-      return res.status(400).json({ error: validation.error });
+    conversation = await resolveConversation(userId, { conversationId, message, topic });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    const { message, mode = 'simple' } = req.body;
+    // Only the active branch: alternatives from edits and regenerations are not context
+    const { messages: branch } = await Message.getBranch(conversation._id);
+    conversationHistory = branch
+      .slice(-HISTORY_LIMIT)
+      .map(({ _id, role, content }) => ({ _id, role, content }));
+
+    userMessage = await Message.create({
+      conversation: conversation._id,
+      user: userId,
+      role: 'user',
+      content: message,
+    });
+    await conversation.incrementMessageCount();
+  } catch (error) {
+    console.error('Stream setup error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  // Set up SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
 
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  // Cancelled by the client disconnecting (closed tab, aborted fetch) or the cancel endpoint;
+  // aborting stops the upstream LLM request
+  const controller = new AbortController();
+  const streamId = crypto.randomUUID();
+  activeStreams.set(streamId, { userId: String(userId), cancel: () => controller.abort() });
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
 
-    // Keep connection alive
-    const keepAliveInterval = setInterval(() => {
+  // Keep connection alive
+  const keepAliveInterval = setInterval(() => {
+    if (!res.destroyed) {
       res.write(':keepalive\n\n');
-    }, 15000);
-
-    try {
-      // Send initial thinking phase
-      const thinkingPhases = [
-        {
-          phase: 'understanding',
-          title: 'Understanding the question',
-          status: 'in_progress',
-          timestamp: Date.now()
-        },
-        {
-          phase: 'analysis',
-          title: mode === 'rag' ? 'Searching knowledge base' : 'Analyzing request',
-          status: 'pending',
-          timestamp: null
-        },
-        {
-          phase: 'formulation',
-          title: 'Formulating response',
-          status: 'pending',
-          timestamp: null
-        }
-      ];
-
-      // Send initial thinking state
-      res.write(`data: ${JSON.stringify({
-        type: 'thinking_start',
-        phases: thinkingPhases
-      })}\n\n`);
-
-      // Phase 1: Understanding (simulate 300-500ms)
-      await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 200));
-
-      thinkingPhases[0].status = 'completed';
-      thinkingPhases[0].duration = 300 + Math.floor(Math.random() * 200);
-      thinkingPhases[0].content = `Analyzing the user's query: "${message.substring(0, 100)}${message.length > 100 ? '...' : ''}"`;
-
-      thinkingPhases[1].status = 'in_progress';
-      thinkingPhases[1].timestamp = Date.now();
-
-      res.write(`data: ${JSON.stringify({
-        type: 'thinking_update',
-        phase: thinkingPhases[0]
-      })}\n\n`);
-
-      // Phase 2: Analysis (simulate 400-600ms)
-      await new Promise(resolve => setTimeout(resolve, 400 + Math.random() * 200));
-
-      thinkingPhases[1].status = 'completed';
-      thinkingPhases[1].duration = 400 + Math.floor(Math.random() * 200);
-      thinkingPhases[1].content = mode === 'rag'
-        ? 'Performing semantic search across knowledge base...'
-        : 'Processing the query to determine the best approach...';
-
-      thinkingPhases[2].status = 'in_progress';
-      thinkingPhases[2].timestamp = Date.now();
-
-      res.write(`data: ${JSON.stringify({
-        type: 'thinking_update',
-        phase: thinkingPhases[1]
-      })}\n\n`);
-
-      // Get actual AI response
-      let aiResponse;
-      if (mode === 'rag') {
-        aiResponse = await aiOrchestrator.chatWithRAG(message, { topK: 5 });
-      } else {
-        aiResponse = await aiOrchestrator.chat(message);
+    }
+  }, 15000);
+
+  const startTime = Date.now();
+  const thinkingPhases = [
+    { phase: 'understanding', title: 'Understanding the question', status: 'in_progress', timestamp: startTime },
+    { phase: 'analysis', title: mode === 'rag' ? 'Searching knowledge base' : 'Recalling conversation context', status: 'pending', timestamp: null },
+    { phase: 'formulation', title: 'Formulating response', status: 'pending', timestamp: null },
+  ];
+
+  // Finish a phase (if still open) and start the next one
+  const completePhase = (index, content) => {
+    const phase = thinkingPhases[index];
+    if (phase.status === 'completed') {
+      return;
+    }
+
+    const now = Date.now();
+    phase.timestamp = phase.timestamp || now;
+    phase.status = 'completed';
+    phase.duration = now - phase.timestamp;
+    phase.content = content;
+    send({ type: 'thinking_update', phase });
+
+    const next = thinkingPhases[index + 1];
+    if (next) {
+      next.status = 'in_progress';
+      next.timestamp = now;
+    }
+  };
+
+  let answer = '';
+  let sources;
+  let confidence;
+  let usage = null;
+  let model;
+  let provider;
+  let streamError = null;
+
+  send({ type: 'start', streamId, conversationId: conversation._id, userMessageId: userMessage._id });
+  send({ type: 'thinking_start', phases: thinkingPhases });
+  completePhase(0, `Analyzing the user's query: "${message.substring(0, 100)}${message.length > 100 ? '...' : ''}"`);
+
+  try {
+    const events = aiOrchestrator.streamChat(message, {
+      mode,
+      topK,
+      signal: controller.signal,
+      userId,
+      conversationId: String(conversation._id),
+      conversationHistory,
+    });
+
+    for await (const event of events) {
+      switch (event.type) {
+        case 'context':
+          if (event.memoryMetadata) {
+            completePhase(1, `Using ${event.memoryMetadata.memorySystem} conversation memory`);
+          }
+          break;
+
+        case 'sources':
+          ({ sources, confidence } = event);
+          completePhase(1, `Found ${sources.length} relevant source${sources.length === 1 ? '' : 's'}`);
+          send({ type: 'sources', sources, confidence });
+          break;
+
+        case 'token':
+          answer += event.delta;
+          send({ type: 'token', delta: event.delta });
+          break;
+
+        case 'usage':
+          ({ usage, model, provider } = event);
+          break;
       }
+    }
 
-      // Phase 3: Formulation
-      thinkingPhases[2].status = 'completed';
-      thinkingPhases[2].duration = 200 + Math.floor(Math.random() * 150);
-      thinkingPhases[2].content = 'Structuring a clear, accurate response...';
+    completePhase(2, 'Response complete');
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Streaming error:', error);
+      streamError = error;
+    }
+  }
 
-      res.write(`data: ${JSON.stringify({
-        type: 'thinking_update',
-        phase: thinkingPhases[2]
-      })}\n\n`);
+  const cancelled = controller.signal.aborted;
+  const stats = usageStats(usage, answer);
+  const responseTime = Date.now() - startTime;
 
-      // Send thinking complete
-      res.write(`data: ${JSON.stringify({
+  try {
+    // A failed generation keeps only the learner's message; a cancelled one keeps what was written
+    const aiMessage = await persistAnswer({
+      conversation,
+      userId,
+      content: streamError ? '' : answer,
+      metadata: {
+        model,
+        tokens: stats.completionTokens,
+        responseTime,
+        ...(sources?.length && { sources }),
+        ...(cancelled && { cancelled: true }),
+      },
+    });
+
+    if (streamError) {
+      send({ type: 'error', error: streamError.message });
+    } else if (cancelled) {
+      send({ type: 'cancelled', messageId: aiMessage?._id || null });
+    } else {
+      send({
         type: 'thinking_complete',
         summary: {
           totalSteps: thinkingPhases.length,
-          totalDuration: thinkingPhases.reduce((sum, p) => sum + (p.duration || 0), 0)
-        }
-      })}\n\n`);
+          totalDuration: thinkingPhases.reduce((sum, p) => sum + (p.duration || 0), 0),
+        },
+      });
+      send({ type: 'usage', usage: stats, model, provider, responseTime });
 
-      // Send final response
-      res.write(`data: ${JSON.stringify({
+      // Full answer, for clients that don't render tokens
+      send({
         type: 'response',
         data: {
-          answer: aiResponse.response || aiResponse.answer,
-          model: aiResponse.model,
-          sources: aiResponse.sources,
-          confidence: aiResponse.confidence,
+          answer,
+          model,
+          sources,
+          confidence,
+          conversationId: conversation._id,
+          messageId: aiMessage?._id,
           thinking: {
             steps: thinkingPhases,
-            isComplete: true
-          }
-        }
-      })}\n\n`);
+            isComplete: true,
+          },
+        },
+      });
+    }
 
-      // Send done signal
+    // Send done signal
+    if (!res.writableEnded && !res.destroyed) {
       res.write('data: [DONE]\n\n');
-
-    } catch (error) {
-      console.error('Streaming error:', error);
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: error.message
-      })}\n\n`);
-    } finally {
-      clearInterval(keepAliveInterval);
-      res.end();
     }
-
   } catch (error) {
-    console.error('Stream setup error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: error.message });
-    }
+    console.error('Stream persistence error:', error);
+    send({ type: 'error', error: 'Failed to save the response' });
+  } finally {
+    clearInterval(keepAliveInterval);
+    activeStreams.delete(streamId);
+    res.end();
   }
 }
+
+/**
+ * POST /api/ai/chat/stream/:streamId/cancel
+ * Stop a stream started by this user (for clients that can't abort the request itself)
+ */
+export async function cancelChatStream(req, res) {
+  const stream = activeStreams.get(req.params.streamId);
+
+  if (!stream || stream.userId !== String(req.user.id)) {
+    return res.status(404).json({ error: 'Stream not found or already finished' });
+  }
+
+  stream.cancel();
+  res.json({ success: true, message: 'Stream cancelled' });
+}
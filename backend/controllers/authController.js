@@ -1,6 +1,13 @@
 import User from '../models/User.js';
 import { generateToken } from '../config/jwt.js';
 import crypto from 'crypto';
+import {
+    AuthEmailError,
+    sendVerificationEmail,
+    verifyEmail as verifyEmailToken,
+    requestPasswordReset,
+    resetPassword as resetPasswordWithToken
+} from '../services/authEmailService.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -33,6 +40,13 @@ export const register = async (req, res) => {
             password
         });
 
+        // Send the verification link; the account works without it until AI features are used
+        try {
+            await sendVerificationEmail(user, { throttle: false });
+        } catch (error) {
+            console.error('Verification email error:', error);
+        }
+
         // Generate token
         const token = generateToken(user._id);
 
@@ -53,6 +67,7 @@ export const register = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
+                    isVerified: user.isVerified,
                     createdAt: user.createdAt
                 },
                 token // Keep token for backward compatibility, but cookie is primary
@@ -125,6 +140,7 @@ export const login = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
+                    isVerified: user.isVerified,
                     learningStats: user.learningStats,
                     preferences: user.preferences
                 },
@@ -203,9 +219,16 @@ export const updatePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
-        // Generate new token
+        // Generate new token; the old one stops working with the password change
         const token = generateToken(user._id);
 
+        res.cookie('authToken', token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        });
+
         res.status(200).json({
             success: true,
             message: 'Password updated successfully',
@@ -249,3 +272,128 @@ export const logout = async (req, res) => {
         message: 'Logout successful'
     });
 };
+
+const sendAuthEmailError = (res, error) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+};
+
+// @desc    Verify email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+    try {
+        const user = await verifyEmailToken(req.body.token);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully',
+            data: { isVerified: true }
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying email',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+export const resendVerificationEmail = async (req, res) => {
+    try {
+        await sendVerificationEmail(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        if (error instanceof AuthEmailError) {
+            return sendAuthEmailError(res, error);
+        }
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error sending verification email',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+    try {
+        if (!req.body.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        await requestPasswordReset(req.body.email);
+
+        // Same answer whether or not the account exists
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Set a new password with the emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const user = await resetPasswordWithToken(token, password);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully, please log in'
+        });
+    } catch (error) {
+        if (error instanceof AuthEmailError) {
+            return sendAuthEmailError(res, error);
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+};
@@ -4,6 +4,98 @@ import Conversation from '../models/Conversation.js';
 import User from '../models/User.js';
 import courseRecommendationService from '../services/courseRecommendationService.js';
 
+const HISTORY_LIMIT = 20;
+
+const tutorSystemPrompt = (topic) => `You are an AI tutor helping users learn various subjects. You are knowledgeable, patient, and encouraging.
+        Adapt your teaching style to the user's level and provide clear, concise explanations.
+        Use examples when appropriate and encourage questions.
+        Current topic: ${topic}`;
+
+/**
+ * Ask the tutor model for the next answer of a branch
+ * @param {Object} conversation
+ * @param {Array} history - branch messages up to and including the learner's question
+ * @returns {Object} { content, metadata }
+ */
+const generateReply = async (conversation, history) => {
+    const messages = [
+        { role: 'system', content: tutorSystemPrompt(conversation.topic) },
+        ...history.slice(-HISTORY_LIMIT).map(msg => ({
+            role: msg.role,
+            content: msg.content
+        }))
+    ];
+
+    const startTime = Date.now();
+    const chatCompletion = await aiService.generateCompletion(messages, {
+        feature: 'chat',
+        temperature: 0.7,
+        max_tokens: 2000,
+        top_p: 1
+    });
+
+    return {
+        content: chatCompletion.choices[0]?.message?.content || 'Sorry, I could not generate a response.',
+        metadata: {
+            model: chatCompletion.model,
+            tokens: chatCompletion.usage?.total_tokens || 0,
+            responseTime: Date.now() - startTime
+        }
+    };
+};
+
+/**
+ * Response for a decommissioned model error, or null for other errors
+ */
+const decommissionedModelResponse = (err) => {
+    // If Groq returns a model decommissioned error, surface a helpful message
+    const errMsg = String(err?.message || err);
+    if (errMsg.includes('model_decommissioned') || errMsg.includes('decommissioned')) {
+        return {
+            success: false,
+            message: 'The configured model has been decommissioned. Please update GROQ_MODEL in your .env to a supported model.',
+            details: errMsg,
+            docs: 'https://console.groq.com/docs/deprecations'
+        };
+    }
+    return null;
+};
+
+const formatMessage = (message) => ({
+    id: message._id,
+    content: message.content,
+    role: message.role,
+    createdAt: message.createdAt,
+    metadata: message.metadata,
+    parentMessage: message.parentMessage,
+    siblingIndex: message.siblingIndex
+});
+
+/**
+ * Find a message of the learner together with its conversation
+ * @returns {Object|null} { message, conversation }
+ */
+const findOwnMessage = async (messageId, userId) => {
+    const message = await Message.findOne({ _id: messageId, user: userId });
+    if (!message) {
+        return null;
+    }
+
+    const conversation = await Conversation.findOne({ _id: message.conversation, user: userId });
+    if (!conversation) {
+        return null;
+    }
+
+    // Conversations from before branching get linked first, so the message has a parent
+    if (message.parentMessage === undefined) {
+        await Message.getActiveLeaf(conversation._id);
+        const linked = await Message.findById(message._id).select('parentMessage');
+        message.parentMessage = linked.parentMessage;
+    }
+
+    return { message, conversation };
+};
+
 // @desc    Send message to AI and get response
 // @route   POST /api/chat/message
 // @access  Private
@@ -13,7 +105,7 @@ export const sendMessage = async (req, res) => {
         const userId = req.user.id;
 
         // Check if AI service is configured
-        if (!aiService.isReady()) {
+        if (!aiService.isReady('chat')) {
             return res.status(500).json({
                 success: false,
                 message: 'AI service not configured. Please set GROQ_API_KEY in your .env file. Get your free API key at https://console.groq.com'
@@ -131,69 +223,29 @@ export const sendMessage = async (req, res) => {
         // END COURSE RECOMMENDATION FEATURE
         // ============================================
 
-        // Get conversation history for context
-        const conversationHistory = await Message.find({
-            conversation: conversation._id
-        })
-            .sort({ createdAt: 1 })
-            .limit(20)
-            .select('role content');
-
-        // Prepare messages for AI API
-        const messages = [
-            {
-                role: 'system',
-                content: `You are an AI tutor helping users learn various subjects. You are knowledgeable, patient, and encouraging.
-        Adapt your teaching style to the user's level and provide clear, concise explanations.
-        Use examples when appropriate and encourage questions.
-        Current topic: ${conversation.topic}`
-            },
-            ...conversationHistory.map(msg => ({
-                role: msg.role,
-                content: msg.content
-            }))
-        ];
-
-        // Track response time
-        const startTime = Date.now();
+        // Conversation history for context: the active branch, ending with the new message
+        const { messages: conversationHistory } = await Message.getBranch(conversation._id);
 
         // Call AI service with error handling
-        let chatCompletion;
+        let reply;
         try {
-            chatCompletion = await aiService.generateCompletion(messages, {
-                temperature: 0.7,
-                max_tokens: 2000,
-                top_p: 1
-            });
+            reply = await generateReply(conversation, conversationHistory);
         } catch (err) {
-            // If Groq returns a model decommissioned error, surface a helpful message
-            const errMsg = String(err?.message || err);
-            if (errMsg.includes('model_decommissioned') || errMsg.includes('decommissioned')) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'The configured model has been decommissioned. Please update GROQ_MODEL in your .env to a supported model.',
-                    details: errMsg,
-                    docs: 'https://console.groq.com/docs/deprecations'
-                });
+            const decommissioned = decommissionedModelResponse(err);
+            if (decommissioned) {
+                return res.status(400).json(decommissioned);
             }
             // Re-throw for outer catch to handle generically
             throw err;
         }
 
-        const responseTime = Date.now() - startTime;
-        const aiResponse = chatCompletion.choices[0]?.message?.content || 'Sorry, I could not generate a response.';
-
         // Save AI response
         const aiMessage = await Message.create({
             conversation: conversation._id,
             user: userId,
             role: 'assistant',
-            content: aiResponse,
-            metadata: {
-                model: chatCompletion.model,
-                tokens: chatCompletion.usage?.total_tokens || 0,
-                responseTime
-            }
+            content: reply.content,
+            metadata: reply.metadata
         });
 
         // Update conversation
@@ -261,12 +313,8 @@ export const getConversationMessages = async (req, res) => {
             });
         }
 
-        // Get messages
-        const messages = await Message.find({
-            conversation: conversationId
-        })
-            .sort({ createdAt: 1 })
-            .select('role content metadata createdAt');
+        // Messages of the active branch, with their alternatives
+        const { leafId, messages } = await Message.getBranch(conversation._id);
 
         res.status(200).json({
             success: true,
@@ -276,6 +324,7 @@ export const getConversationMessages = async (req, res) => {
                     title: conversation.title,
                     topic: conversation.topic,
                     messageCount: conversation.messageCount,
+                    activeLeaf: leafId,
                     createdAt: conversation.createdAt
                 },
                 messages
@@ -290,3 +339,278 @@ export const getConversationMessages = async (req, res) => {
         });
     }
 };
+
+// @desc    Get the branch of a conversation that goes through a message
+// @route   GET /api/chat/conversation/:conversationId/branch/:messageId
+// @access  Private
+export const getConversationBranch = async (req, res) => {
+    try {
+        const { conversationId, messageId } = req.params;
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            user: req.user.id
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const branch = await Message.getBranch(conversation._id, messageId);
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found in this conversation'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                leafId: branch.leafId,
+                active: String(branch.leafId) === String(conversation.activeLeaf),
+                messages: branch.messages
+            }
+        });
+    } catch (error) {
+        console.error('Get branch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching branch',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Switch the conversation to the branch that goes through a message
+// @route   PUT /api/chat/conversation/:conversationId/branch
+// @access  Private
+export const setActiveBranch = async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { messageId } = req.body;
+
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'messageId is required'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            user: req.user.id
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const branch = await Message.getBranch(conversation._id, messageId);
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found in this conversation'
+            });
+        }
+
+        await Conversation.updateOne({ _id: conversation._id }, { $set: { activeLeaf: branch.leafId } });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                leafId: branch.leafId,
+                messages: branch.messages
+            }
+        });
+    } catch (error) {
+        console.error('Set branch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error switching branch',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Edit one of the learner's questions: adds the edited question as a
+//          sibling of the original and answers it on the new branch
+// @route   POST /api/chat/message/:messageId/edit
+// @access  Private
+export const editMessage = async (req, res) => {
+    try {
+        const { content } = req.body;
+        const userId = req.user.id;
+
+        if (!aiService.isReady('chat')) {
+            return res.status(500).json({
+                success: false,
+                message: 'AI service not configured'
+            });
+        }
+
+        if (!content || content.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Message cannot be empty'
+            });
+        }
+
+        const found = await findOwnMessage(req.params.messageId, userId);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const { message: original, conversation } = found;
+        if (original.role !== 'user') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only your own questions can be edited; regenerate answers instead'
+            });
+        }
+
+        const userMessage = await Message.create({
+            conversation: conversation._id,
+            user: userId,
+            role: 'user',
+            content,
+            parentMessage: original.parentMessage ?? null,
+            metadata: {
+                isEdited: true,
+                editedAt: new Date()
+            }
+        });
+
+        const { messages: conversationHistory } = await Message.getBranch(conversation._id);
+
+        let reply;
+        try {
+            reply = await generateReply(conversation, conversationHistory);
+        } catch (err) {
+            const decommissioned = decommissionedModelResponse(err);
+            if (decommissioned) {
+                return res.status(400).json(decommissioned);
+            }
+            throw err;
+        }
+
+        const aiMessage = await Message.create({
+            conversation: conversation._id,
+            user: userId,
+            role: 'assistant',
+            content: reply.content,
+            metadata: reply.metadata
+        });
+
+        await conversation.incrementMessageCount();
+        await conversation.incrementMessageCount();
+
+        const branch = await Message.getBranch(conversation._id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                conversationId: conversation._id,
+                userMessage: formatMessage(userMessage),
+                aiMessage: formatMessage(aiMessage),
+                messages: branch.messages
+            }
+        });
+    } catch (error) {
+        console.error('Edit message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error editing message',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Regenerate an answer: adds a new answer to the same question as a
+//          sibling of the original and makes it the active branch
+// @route   POST /api/chat/message/:messageId/regenerate
+// @access  Private
+export const regenerateMessage = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        if (!aiService.isReady('chat')) {
+            return res.status(500).json({
+                success: false,
+                message: 'AI service not configured'
+            });
+        }
+
+        const found = await findOwnMessage(req.params.messageId, userId);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const { message: original, conversation } = found;
+        if (original.role !== 'assistant' || !original.parentMessage) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only answers to a question can be regenerated'
+            });
+        }
+
+        // Context ends with the question being answered
+        const { messages: conversationHistory } = await Message.getBranch(
+            conversation._id,
+            original.parentMessage,
+            { descend: false }
+        );
+
+        let reply;
+        try {
+            reply = await generateReply(conversation, conversationHistory);
+        } catch (err) {
+            const decommissioned = decommissionedModelResponse(err);
+            if (decommissioned) {
+                return res.status(400).json(decommissioned);
+            }
+            throw err;
+        }
+
+        const aiMessage = await Message.create({
+            conversation: conversation._id,
+            user: userId,
+            role: 'assistant',
+            content: reply.content,
+            parentMessage: original.parentMessage,
+            metadata: reply.metadata
+        });
+
+        await conversation.incrementMessageCount();
+
+        const branch = await Message.getBranch(conversation._id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                conversationId: conversation._id,
+                aiMessage: formatMessage(aiMessage),
+                messages: branch.messages
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error regenerating message',
+            error: error.message
+        });
+    }
+};
@@ -1,5 +1,13 @@
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
+import ConversationShare from '../models/ConversationShare.js';
+import { EXPORT_FORMATS, exportConversation as renderConversationExport, renderTranscript } from '../services/conversationExportService.js';
+import {
+  createShareLink as createConversationShare,
+  listShareLinks,
+  revokeShareLink,
+  getSharedTranscript
+} from '../services/conversationShareService.js';
 
 // @desc    Get all user conversations
 // @route   GET /api/conversations
@@ -181,8 +189,9 @@ export const deleteConversation = async (req, res) => {
       });
     }
 
-    // Delete all messages in the conversation
+    // Delete all messages in the conversation, and its share links with them
     await Message.deleteMany({ conversation: id });
+    await ConversationShare.deleteMany({ conversation: id });
 
     // Delete the conversation
     await Conversation.findByIdAndDelete(id);
@@ -240,3 +249,200 @@ export const searchConversations = async (req, res) => {
     });
   }
 };
+
+// @desc    Export a conversation (active branch) as Markdown, HTML or JSON
+// @route   GET /api/conversations/:id/export?format=markdown|html|json
+// @access  Private
+export const exportConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'markdown' } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: id,
+      user: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const { body, contentType, filename } = await renderConversationExport(conversation, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting conversation',
+      error: error.message
+    });
+  }
+};
+
+const shareUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/conversations/shared/${token}`;
+
+const formatShare = (share) => ({
+  id: share._id,
+  title: share.title,
+  isActive: share.isActive,
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt,
+  createdAt: share.createdAt
+});
+
+// @desc    Create a public read-only link to the conversation as it is now
+// @route   POST /api/conversations/:id/shares
+// @access  Private
+export const createShareLink = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const { share, token } = await createConversationShare(conversation, req.user.id, {
+      expiresInDays: req.body?.expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created. Copy it now: it cannot be shown again.',
+      data: {
+        share: formatShare(share),
+        url: shareUrl(req, token)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating share link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List share links of a conversation
+// @route   GET /api/conversations/:id/shares
+// @access  Private
+export const getShareLinks = async (req, res) => {
+  try {
+    const conversation = await Conversation.exists({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const shares = await listShareLinks(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { shares: shares.map(formatShare) }
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching share links',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/conversations/:id/shares/:shareId
+// @access  Private
+export const deleteShareLink = async (req, res) => {
+  try {
+    const share = await revokeShareLink(req.params.id, req.params.shareId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      data: { share: formatShare(share) }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking share link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Read-only shared transcript (HTML page, or JSON with ?format=json)
+// @route   GET /api/conversations/shared/:token
+// @access  Public
+export const getSharedConversation = async (req, res) => {
+  try {
+    const transcript = await getSharedTranscript(req.params.token);
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { transcript }
+      });
+    }
+
+    const { body, contentType } = renderTranscript(transcript, 'html');
+    res.setHeader('Content-Type', contentType);
+    res.status(200).send(body);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get shared conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shared conversation'
+    });
+  }
+};
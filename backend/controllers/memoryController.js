@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import {
+  MEMORY_TYPES,
+  MEMORY_CATEGORIES,
+  MEMORY_STATUSES,
+  MemoryValidationError,
+  listMemories,
+  getMemory as findMemory,
+  updateMemory as editMemory,
+  setPinned,
+  deleteMemory as eraseMemory,
+  exportMemories as buildMemoryExport,
+  getExtractionSettings,
+  setExtractionPaused
+} from '../services/memoryService.js';
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Memory not found'
+});
+
+// @desc    List and search the user's memories
+// @route   GET /api/memory
+// @access  Private
+export const getMemories = async (req, res) => {
+  try {
+    const { type, category, subcategory, topic, status = 'active', pinned, q } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (type && !MEMORY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${MEMORY_TYPES.join(', ')}`
+      });
+    }
+    if (category && !MEMORY_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${MEMORY_CATEGORIES.join(', ')}`
+      });
+    }
+    if (status !== 'all' && !MEMORY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: all, ${MEMORY_STATUSES.join(', ')}`
+      });
+    }
+
+    const { memories, total } = await listMemories(req.user.id, {
+      type,
+      category,
+      subcategory,
+      topic,
+      status,
+      pinned: pinned === undefined ? undefined : pinned === 'true',
+      search: q?.trim() || undefined,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        memories,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch memories',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a memory with its version history and audit trail
+// @route   GET /api/memory/:id
+// @access  Private
+export const getMemory = async (req, res) => {
+  try {
+    const memory = mongoose.isValidObjectId(req.params.id)
+      ? await findMemory(req.user.id, req.params.id)
+      : null;
+
+    if (!memory) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { memory }
+    });
+  } catch (error) {
+    console.error('Get memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch memory',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Edit a memory's content, type, namespace or privacy level
+// @route   PUT /api/memory/:id
+// @access  Private
+export const updateMemory = async (req, res) => {
+  try {
+    const { content, type, namespace, privacyLevel } = req.body;
+    const memory = mongoose.isValidObjectId(req.params.id)
+      ? await editMemory(req.user.id, req.params.id, { content, type, namespace, privacyLevel }, req.user.id)
+      : null;
+
+    if (!memory) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Memory updated',
+      data: { memory }
+    });
+  } catch (error) {
+    if (error instanceof MemoryValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update memory',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a memory (content is erased immediately)
+// @route   DELETE /api/memory/:id
+// @access  Private
+export const deleteMemory = async (req, res) => {
+  try {
+    const deleted = mongoose.isValidObjectId(req.params.id)
+      ? await eraseMemory(req.user.id, req.params.id, req.user.id)
+      : false;
+
+    if (!deleted) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Memory deleted'
+    });
+  } catch (error) {
+    console.error('Delete memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete memory',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pin a memory as user-stated, or unpin it
+// @route   POST /api/memory/:id/pin, DELETE /api/memory/:id/pin
+// @access  Private
+export const pinMemory = async (req, res) => {
+  try {
+    const pinned = req.method !== 'DELETE';
+    const memory = mongoose.isValidObjectId(req.params.id)
+      ? await setPinned(req.user.id, req.params.id, pinned, req.user.id)
+      : null;
+
+    if (!memory) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: pinned ? 'Memory pinned' : 'Memory unpinned',
+      data: { memory }
+    });
+  } catch (error) {
+    console.error('Pin memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update memory',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export all memories as JSON
+// @route   GET /api/memory/export
+// @access  Private
+export const exportMemories = async (req, res) => {
+  try {
+    const data = await buildMemoryExport(req.user.id, req.user.id);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename="memories.json"');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Export memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export memories',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get memory extraction settings
+// @route   GET /api/memory/settings
+// @access  Private
+export const getMemorySettings = async (req, res) => {
+  try {
+    const settings = await getExtractionSettings(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Get memory settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch memory settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pause or resume memory extraction
+// @route   PUT /api/memory/settings
+// @access  Private
+export const updateMemorySettings = async (req, res) => {
+  try {
+    const { paused } = req.body;
+
+    if (typeof paused !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'paused must be true or false'
+      });
+    }
+
+    const settings = await setExtractionPaused(req.user.id, paused);
+
+    res.status(200).json({
+      success: true,
+      message: paused ? 'Memory extraction paused' : 'Memory extraction resumed',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Update memory settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update memory settings',
+      error: error.message
+    });
+  }
+};
@@ -1,7 +1,11 @@
+import mongoose from 'mongoose';
 import Flashcard from '../models/Flashcard.js';
 import Quiz from '../models/Quiz.js';
 import QuizAttempt from '../models/QuizAttempt.js';
 import Message from '../models/Message.js';
+import User from '../models/User.js';
+import FlashcardReview from '../models/FlashcardReview.js';
+import Enrollment from '../models/Enrollment.js';
 import {
   generateFlashcards,
   generateQuiz,
@@ -9,6 +13,50 @@ import {
   exportToAnkiCSV,
   exportQuizToJSON
 } from '../services/quizService.js';
+import { gradeAnswer } from '../services/quizGradingService.js';
+import { runChallenge } from '../services/codeExecutionService.js';
+import {
+  SCHEDULERS,
+  reviewFlashcard as scheduleReview,
+  getDueFlashcards as findDueFlashcards,
+  migrateUserFlashcards
+} from '../services/flashcardSchedulerService.js';
+import { optimizerQueue, addOptimizerJob } from '../queues/index.js';
+import {
+  buildApkg,
+  parseImportFile,
+  importFlashcards as importParsedFlashcards,
+  AnkiImportError,
+  DUPLICATE_MODES
+} from '../services/ankiService.js';
+import {
+  CARD_TYPES,
+  FlashcardValidationError,
+  createNote,
+  updateNote,
+  listFlashcards as findFlashcards,
+  setSuspended,
+  moveFlashcards as moveCards,
+  deleteFlashcards,
+  renameDeck as renameUserDeck,
+  mergeDecks as mergeUserDecks,
+  getDeckSummaries
+} from '../services/flashcardService.js';
+import {
+  getRetentionCurves,
+  getDueForecast,
+  getReviewHeatmap,
+  getHardestCards,
+  getReviewHistory,
+  isValidTimeZone
+} from '../services/flashcardAnalyticsService.js';
+import {
+  DEFAULT_PARAMETERS,
+  DEFAULT_DESIRED_RETENTION,
+  DEFAULT_MAXIMUM_INTERVAL,
+  MIN_REVIEWS_FOR_OPTIMIZATION
+} from '../services/fsrsService.js';
+import { tryIssueCertificate } from '../services/certificateService.js';
 
 // FLASHCARD CONTROLLERS
 
@@ -80,17 +128,11 @@ export const getDueFlashcards = async (req, res) => {
     const userId = req.user.id;
     const { deck, limit = 20 } = req.query;
 
-    const query = {
-      user: userId,
-      isActive: true,
-      'spacedRepetition.nextReviewDate': { $lte: new Date() }
-    };
-
-    if (deck) query.deck = deck;
-
-    const flashcards = await Flashcard.find(query)
-      .sort({ 'spacedRepetition.nextReviewDate': 1 })
-      .limit(parseInt(limit));
+    // Least likely to be recalled first
+    const flashcards = await findDueFlashcards(userId, {
+      deck,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 200)
+    });
 
     res.status(200).json({
       success: true,
@@ -118,6 +160,13 @@ export const reviewFlashcard = async (req, res) => {
     const { quality, responseTime } = req.body; // quality: 0-5
     const userId = req.user.id;
 
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quality must be an integer from 0 to 5'
+      });
+    }
+
     const flashcard = await Flashcard.findOne({
       _id: id,
       user: userId
@@ -130,18 +179,19 @@ export const reviewFlashcard = async (req, res) => {
       });
     }
 
-    // Update spaced repetition
-    await flashcard.updateSpacedRepetition(quality);
-
-    // Update response time
-    if (responseTime) {
-      const currentAvg = flashcard.stats.averageResponseTime || 0;
-      const totalReviews = flashcard.stats.totalReviews;
-      flashcard.stats.averageResponseTime =
-        (currentAvg * (totalReviews - 1) + responseTime) / totalReviews;
-      await flashcard.save();
+    if (flashcard.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'Flashcard is suspended'
+      });
     }
 
+    // Schedule with the user's scheduler (SM-2 or FSRS) and log the review
+    const user = await User.findById(userId).select('flashcardSettings');
+    await scheduleReview(flashcard, quality, user?.flashcardSettings, {
+      responseTime: Number.isFinite(responseTime) && responseTime > 0 ? responseTime : null
+    });
+
     res.status(200).json({
       success: true,
       message: 'Review recorded',
@@ -161,33 +211,190 @@ export const reviewFlashcard = async (req, res) => {
   }
 };
 
+const formatSchedulerSettings = (settings = {}) => ({
+  scheduler: settings.scheduler || 'sm2',
+  desiredRetention: settings.desiredRetention ?? DEFAULT_DESIRED_RETENTION,
+  maximumInterval: settings.maximumInterval ?? DEFAULT_MAXIMUM_INTERVAL,
+  fsrsParameters: settings.fsrsParameters?.length ? settings.fsrsParameters : DEFAULT_PARAMETERS,
+  parametersOptimized: Boolean(settings.fsrsParameters?.length),
+  parametersOptimizedAt: settings.parametersOptimizedAt || null,
+  optimizationReviewCount: settings.optimizationReviewCount || 0
+});
+
+// @desc    Get flashcard scheduler settings
+// @route   GET /api/study/flashcards/settings
+// @access  Private
+export const getFlashcardSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('flashcardSettings');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: formatSchedulerSettings(user?.flashcardSettings),
+        schedulers: Object.keys(SCHEDULERS)
+      }
+    });
+  } catch (error) {
+    console.error('Get flashcard settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flashcard settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update flashcard scheduler settings (switching to FSRS migrates SM-2 cards)
+// @route   PUT /api/study/flashcards/settings
+// @access  Private
+export const updateFlashcardSettings = async (req, res) => {
+  try {
+    const { scheduler, desiredRetention, maximumInterval, resetParameters } = req.body;
+
+    if (scheduler !== undefined && !SCHEDULERS[scheduler]) {
+      return res.status(400).json({
+        success: false,
+        message: `Scheduler must be one of: ${Object.keys(SCHEDULERS).join(', ')}`
+      });
+    }
+
+    if (desiredRetention !== undefined &&
+      (typeof desiredRetention !== 'number' || desiredRetention < 0.7 || desiredRetention > 0.97)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Desired retention must be between 0.7 and 0.97'
+      });
+    }
+
+    if (maximumInterval !== undefined && (!Number.isInteger(maximumInterval) || maximumInterval < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum interval must be a positive number of days'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const settings = user.flashcardSettings;
+    const switchingToFSRS = scheduler === 'fsrs' && settings.scheduler !== 'fsrs';
+
+    if (scheduler !== undefined) {
+      settings.scheduler = scheduler;
+    }
+    if (desiredRetention !== undefined) {
+      settings.desiredRetention = desiredRetention;
+    }
+    if (maximumInterval !== undefined) {
+      settings.maximumInterval = maximumInterval;
+    }
+    if (resetParameters) {
+      settings.fsrsParameters = undefined;
+      settings.parametersOptimizedAt = undefined;
+      settings.optimizationReviewCount = undefined;
+    }
+
+    await user.save();
+
+    const migratedCards = switchingToFSRS
+      ? await migrateUserFlashcards(user._id, settings.fsrsParameters)
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      message: 'Flashcard settings updated',
+      data: {
+        settings: formatSchedulerSettings(settings),
+        migratedCards
+      }
+    });
+  } catch (error) {
+    console.error('Update flashcard settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update flashcard settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Queue a fit of FSRS parameters to the user's review history
+// @route   POST /api/study/flashcards/settings/optimize
+// @access  Private
+export const optimizeFlashcardScheduler = async (req, res) => {
+  try {
+    const job = await addOptimizerJob({ userId: String(req.user.id) });
+
+    res.status(202).json({
+      success: true,
+      message: 'Scheduler optimization queued',
+      data: {
+        jobId: job.id,
+        statusUrl: `/api/study/flashcards/settings/optimize/${job.id}`
+      }
+    });
+  } catch (error) {
+    console.error('Optimize flashcard scheduler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue scheduler optimization',
+      error: error.message
+    });
+  }
+};
+
+// @desc    State and result of a queued scheduler optimization
+// @route   GET /api/study/flashcards/settings/optimize/:jobId
+// @access  Private
+export const getFlashcardOptimization = async (req, res) => {
+  try {
+    const job = await optimizerQueue.getJob(req.params.jobId);
+
+    if (!job || job.data.userId !== String(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Optimization not found'
+      });
+    }
+
+    const state = await job.getState();
+    const result = job.returnvalue || null;
+    let message = null;
+    if (state === 'failed') {
+      message = job.failedReason;
+    } else if (result && !result.optimized) {
+      message = `Not enough review history to optimize (${result.reviewCount} usable reviews, ` +
+        `need at least ${MIN_REVIEWS_FOR_OPTIMIZATION})`;
+    } else if (result) {
+      message = 'Scheduler parameters optimized';
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        state,
+        message,
+        result,
+        createdAt: new Date(job.timestamp),
+        finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get flashcard optimization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scheduler optimization',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all decks with stats
 // @route   GET /api/study/flashcards/decks
 // @access  Private
 export const getDecks = async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const decks = await Flashcard.aggregate([
-      { $match: { user: userId, isActive: true } },
-      {
-        $group: {
-          _id: '$deck',
-          totalCards: { $sum: 1 },
-          dueCards: {
-            $sum: {
-              $cond: [
-                { $lte: ['$spacedRepetition.nextReviewDate', new Date()] },
-                1,
-                0
-              ]
-            }
-          },
-          averageRetention: { $avg: '$stats.correctReviews' }
-        }
-      },
-      { $sort: { totalCards: -1 } }
-    ]);
+    const decks = await getDeckSummaries(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -203,7 +410,299 @@ export const getDecks = async (req, res) => {
   }
 };
 
-// @desc    Export flashcards to Anki format
+// FLASHCARD MANAGEMENT CONTROLLERS
+
+const MAX_BULK_IDS = 1000;
+
+// Validate a bulk request's card ids; returns null if invalid
+const parseCardIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+    return null;
+  }
+  return ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+};
+
+const invalidIdsResponse = (res) => res.status(400).json({
+  success: false,
+  message: `ids must be an array of 1 to ${MAX_BULK_IDS} flashcard ids`
+});
+
+// Respond to a FlashcardValidationError, or a generic 500
+const sendFlashcardError = (res, error, message) => {
+  if (error instanceof FlashcardValidationError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    List and search flashcards
+// @route   GET /api/study/flashcards
+// @access  Private
+export const listFlashcards = async (req, res) => {
+  try {
+    const { deck, tag, cardType, suspended, q } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (cardType && !CARD_TYPES.includes(cardType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Card type must be one of: ${CARD_TYPES.join(', ')}`
+      });
+    }
+
+    const { flashcards, total } = await findFlashcards(req.user.id, {
+      deck,
+      tag,
+      cardType,
+      suspended: suspended === undefined ? undefined : suspended === 'true',
+      search: q?.trim() || undefined,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        flashcards,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flashcards',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a flashcard and the other cards of its note
+// @route   GET /api/study/flashcards/:id
+// @access  Private
+export const getFlashcard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    const flashcard = await Flashcard.findOne({ _id: id, user: req.user.id });
+
+    if (!flashcard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    const siblings = flashcard.note
+      ? await Flashcard.find({ user: req.user.id, note: flashcard.note, _id: { $ne: flashcard._id } })
+        .sort({ ordinal: 1 })
+        .select('front back ordinal suspended spacedRepetition.nextReviewDate')
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: { flashcard, siblings }
+    });
+  } catch (error) {
+    console.error('Get flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flashcard',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a note (basic, reversed, cloze or image occlusion) and its cards
+// @route   POST /api/study/flashcards
+// @access  Private
+export const createFlashcard = async (req, res) => {
+  try {
+    const flashcards = await createNote(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `${flashcards.length} flashcard${flashcards.length === 1 ? '' : 's'} created`,
+      data: { flashcards }
+    });
+  } catch (error) {
+    sendFlashcardError(res, error, 'Failed to create flashcard');
+  }
+};
+
+// @desc    Edit a flashcard's note; sibling cards are regenerated
+// @route   PUT /api/study/flashcards/:id
+// @access  Private
+export const updateFlashcard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const flashcard = mongoose.isValidObjectId(id)
+      ? await Flashcard.findOne({ _id: id, user: req.user.id })
+      : null;
+
+    if (!flashcard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    const { cardType, front, back, text, extra, image, masks, deck, tags, media, difficulty } = req.body;
+    const result = await updateNote(flashcard, {
+      cardType, front, back, text, extra, image, masks, deck, tags, media, difficulty
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Flashcard updated',
+      data: result
+    });
+  } catch (error) {
+    sendFlashcardError(res, error, 'Failed to update flashcard');
+  }
+};
+
+// @desc    Suspend or unsuspend flashcards
+// @route   POST /api/study/flashcards/suspend
+// @access  Private
+export const suspendFlashcards = async (req, res) => {
+  try {
+    const ids = parseCardIds(req.body.ids);
+    const suspended = req.body.suspended !== false;
+
+    if (!ids) {
+      return invalidIdsResponse(res);
+    }
+
+    const modified = await setSuspended(req.user.id, ids, suspended);
+
+    res.status(200).json({
+      success: true,
+      message: `${modified} flashcard${modified === 1 ? '' : 's'} ${suspended ? 'suspended' : 'unsuspended'}`,
+      data: { modified }
+    });
+  } catch (error) {
+    console.error('Suspend flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update flashcards',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move flashcards to another deck
+// @route   POST /api/study/flashcards/move
+// @access  Private
+export const moveFlashcards = async (req, res) => {
+  try {
+    const ids = parseCardIds(req.body.ids);
+
+    if (!ids) {
+      return invalidIdsResponse(res);
+    }
+
+    const moved = await moveCards(req.user.id, ids, req.body.deck);
+
+    res.status(200).json({
+      success: true,
+      message: `${moved} flashcard${moved === 1 ? '' : 's'} moved`,
+      data: { moved }
+    });
+  } catch (error) {
+    sendFlashcardError(res, error, 'Failed to move flashcards');
+  }
+};
+
+// @desc    Delete a flashcard (?note=true also deletes its sibling cards)
+// @route   DELETE /api/study/flashcards/:id
+// @access  Private
+export const deleteFlashcard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = mongoose.isValidObjectId(id)
+      ? await deleteFlashcards(req.user.id, [id], { withSiblings: req.query.note === 'true' })
+      : 0;
+
+    if (deleted === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${deleted} flashcard${deleted === 1 ? '' : 's'} deleted`,
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('Delete flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete flashcard',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rename a deck and its subdecks
+// @route   POST /api/study/flashcards/decks/rename
+// @access  Private
+export const renameDeck = async (req, res) => {
+  try {
+    const updated = await renameUserDeck(req.user.id, req.body.from, req.body.to);
+
+    res.status(200).json({
+      success: true,
+      message: 'Deck renamed',
+      data: { updated }
+    });
+  } catch (error) {
+    sendFlashcardError(res, error, 'Failed to rename deck');
+  }
+};
+
+// @desc    Merge decks into a target deck
+// @route   POST /api/study/flashcards/decks/merge
+// @access  Private
+export const mergeDecks = async (req, res) => {
+  try {
+    const moved = await mergeUserDecks(req.user.id, req.body.sources, req.body.target);
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${moved} flashcard${moved === 1 ? '' : 's'}`,
+      data: { moved }
+    });
+  } catch (error) {
+    sendFlashcardError(res, error, 'Failed to merge decks');
+  }
+};
+
+// @desc    Export flashcards to Anki format (.apkg, CSV or JSON)
 // @route   GET /api/study/flashcards/export
 // @access  Private
 export const exportFlashcards = async (req, res) => {
@@ -212,14 +711,29 @@ export const exportFlashcards = async (req, res) => {
     const { deck, format = 'csv' } = req.query;
 
     const query = { user: userId, isActive: true };
-    if (deck) query.deck = deck;
+    if (deck) {
+      // Include subdecks ("Deck::Child")
+      const escaped = deck.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.deck = { $regex: `^${escaped}(::|$)` };
+    }
 
     const flashcards = await Flashcard.find(query);
+    const filename = (deck || 'flashcards').replace(/[^\w\- ]+/g, '_');
 
-    if (format === 'csv') {
+    if (format === 'apkg') {
+      const reviews = await FlashcardReview.find({
+        user: userId,
+        flashcard: { $in: flashcards.map(card => card._id) }
+      }).lean();
+      const apkg = await buildApkg(flashcards, { reviews });
+
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.apkg"`);
+      res.send(apkg);
+    } else if (format === 'csv') {
       const csv = exportToAnkiCSV(flashcards);
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${deck || 'flashcards'}.csv"`);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
       res.send(csv);
     } else {
       res.status(200).json({
@@ -237,8 +751,256 @@ export const exportFlashcards = async (req, res) => {
   }
 };
 
+// @desc    Import flashcards from an Anki .apkg, CSV or TSV file
+// @route   POST /api/study/flashcards/import
+// @access  Private
+export const importFlashcards = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an .apkg, .csv or .tsv file'
+      });
+    }
+
+    const { deck, delimiter, duplicates = 'skip' } = req.body;
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: `Duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`
+      });
+    }
+
+    // Optional column mapping for CSV/TSV, e.g. {"front":0,"back":1,"tags":2,"deck":3}
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: 'Mapping must be valid JSON'
+        });
+      }
+    }
+
+    const cards = await parseImportFile(req.file, {
+      deck: deck?.trim() || undefined,
+      delimiter: delimiter === '\\t' ? '\t' : delimiter,
+      mapping
+    });
+    const report = await importParsedFlashcards(req.user.id, cards, { duplicates, dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${report.imported} cards would be imported`
+        : `Imported ${report.imported} cards${report.updated ? `, updated ${report.updated}` : ''}`,
+      data: { report }
+    });
+  } catch (error) {
+    if (error instanceof AnkiImportError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import flashcards',
+      error: error.message
+    });
+  }
+};
+
+// FLASHCARD ANALYTICS CONTROLLERS
+
+// Parse a positive integer query parameter, clamped to [1, max]
+const parseBoundedInt = (value, fallback, max) => {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 1), max) : fallback;
+};
+
+const resolveTimeZone = (tz) => (tz && isValidTimeZone(tz) ? tz : 'UTC');
+
+// @desc    Get review history (newest first)
+// @route   GET /api/study/flashcards/reviews
+// @access  Private
+export const getFlashcardReviews = async (req, res) => {
+  try {
+    const { deck, flashcard, before, limit } = req.query;
+    const beforeDate = before ? new Date(before) : null;
+
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid "before" date'
+      });
+    }
+
+    const reviews = await getReviewHistory(req.user.id, {
+      deck,
+      flashcard,
+      before: beforeDate,
+      limit: parseBoundedInt(limit, 50, 500)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        count: reviews.length,
+        nextBefore: reviews.length > 0 ? reviews[reviews.length - 1].reviewedAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Get flashcard reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review history',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get retention curves (recall rate by days since last review) per deck
+// @route   GET /api/study/flashcards/analytics/retention
+// @access  Private
+export const getRetentionAnalytics = async (req, res) => {
+  try {
+    const { deck, days } = req.query;
+    const curves = await getRetentionCurves(req.user.id, {
+      deck,
+      days: parseBoundedInt(days, 90, 3650)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { curves }
+    });
+  } catch (error) {
+    console.error('Get retention analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention analytics',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get due-card forecast histogram
+// @route   GET /api/study/flashcards/analytics/forecast
+// @access  Private
+export const getForecastAnalytics = async (req, res) => {
+  try {
+    const { deck, days, tz } = req.query;
+    const forecast = await getDueForecast(req.user.id, {
+      deck,
+      days: parseBoundedInt(days, 30, 365),
+      timeZone: resolveTimeZone(tz)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('Get forecast analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review forecast',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reviews per day for a heatmap
+// @route   GET /api/study/flashcards/analytics/heatmap
+// @access  Private
+export const getHeatmapAnalytics = async (req, res) => {
+  try {
+    const { days, tz } = req.query;
+    const heatmap = await getReviewHeatmap(req.user.id, {
+      days: parseBoundedInt(days, 365, 3650),
+      timeZone: resolveTimeZone(tz)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: heatmap
+    });
+  } catch (error) {
+    console.error('Get heatmap analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review heatmap',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the cards with the highest lapse rates
+// @route   GET /api/study/flashcards/analytics/hardest
+// @access  Private
+export const getHardestCardsAnalytics = async (req, res) => {
+  try {
+    const { deck, limit, minReviews } = req.query;
+    const cards = await getHardestCards(req.user.id, {
+      deck,
+      limit: parseBoundedInt(limit, 10, 100),
+      minReviews: parseBoundedInt(minReviews, 3, 1000)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { cards }
+    });
+  } catch (error) {
+    console.error('Get hardest cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hardest cards',
+      error: error.message
+    });
+  }
+};
+
 // QUIZ CONTROLLERS
 
+// Quizzes are private to their owner, except quizzes linked to a course,
+// which the course's enrolled learners can take
+const findQuizForUser = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const quiz = await Quiz.findOne({
+    _id: id,
+    $or: [{ user: userId }, { course: { $ne: null }, isActive: true }]
+  });
+  if (!quiz || quiz.user.toString() === userId.toString()) {
+    return quiz;
+  }
+  return (await Enrollment.isEnrolled(userId, quiz.course)) ? quiz : null;
+};
+
+// A course quiz as learners see it: no answers, explanations or hidden tests
+const learnerQuizView = (quiz) => {
+  const data = quiz.toObject();
+  data.questions = data.questions.map(({ correctAnswer, acceptedAnswers, explanation, wrongAnswerHints, ...question }) => ({
+    ...question,
+    codingChallenge: question.codingChallenge && {
+      ...question.codingChallenge,
+      testCases: (question.codingChallenge.testCases || []).filter(testCase => !testCase.isHidden)
+    }
+  }));
+  return data;
+};
+
 // @desc    Generate quiz from conversation or topic
 // @route   POST /api/study/quizzes/generate
 // @access  Private
@@ -339,7 +1101,7 @@ export const getQuiz = async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const quiz = await Quiz.findOne({ _id: id, user: userId });
+    const quiz = await findQuizForUser(id, userId);
 
     if (!quiz) {
       return res.status(404).json({
@@ -356,7 +1118,7 @@ export const getQuiz = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        quiz,
+        quiz: quiz.user.toString() === userId.toString() ? quiz : learnerQuizView(quiz),
         attempts,
         attemptCount: attempts.length
       }
@@ -380,7 +1142,14 @@ export const submitQuizAttempt = async (req, res) => {
     const { answers } = req.body;
     const userId = req.user.id;
 
-    const quiz = await Quiz.findOne({ _id: id, user: userId });
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of answers'
+      });
+    }
+
+    const quiz = await findQuizForUser(id, userId);
 
     if (!quiz) {
       return res.status(404).json({
@@ -403,28 +1172,78 @@ export const submitQuizAttempt = async (req, res) => {
       });
     }
 
-    // Grade answers
-    const gradedAnswers = answers.map(answer => {
-      const question = quiz.questions.id(answer.questionId);
-      if (!question) return null;
+    if (answers.length > quiz.questions.length) {
+      return res.status(400).json({
+        success: false,
+        message: `A quiz attempt can answer at most ${quiz.questions.length} questions`
+      });
+    }
 
-      const isCorrect = answer.userAnswer === question.correctAnswer;
-      const pointsEarned = isCorrect ? (question.points || 1) : 0;
+    // Every answer must belong to a question of this quiz
+    const unknown = answers.find(answer => !answer || !quiz.questions.id(answer.questionId));
+    if (unknown !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers must reference questions of this quiz'
+      });
+    }
+
+    // One answer per question (the first one counts)
+    const seen = new Set();
+    const uniqueAnswers = answers.filter((answer) => {
+      const key = String(answer.questionId);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
 
-      // Update question stats
-      question.stats.totalAttempts += 1;
-      if (isCorrect) question.stats.correctAttempts += 1;
+    const gradeOne = async (answer) => {
+      const question = quiz.questions.id(answer.questionId);
+      const graded = await gradeAnswer(question, answer);
 
       return {
         questionId: answer.questionId,
         userAnswer: answer.userAnswer,
-        isCorrect,
-        pointsEarned,
-        timeSpent: answer.timeSpent || 0
+        isCorrect: graded.isCorrect,
+        pointsEarned: graded.pointsEarned,
+        score: graded.score,
+        gradingMethod: graded.gradingMethod,
+        feedback: graded.feedback,
+        rubricScores: graded.rubricScores,
+        timeSpent: answer.timeSpent || 0,
+        codeSubmission: graded.codeSubmission
       };
-    }).filter(Boolean);
+    };
 
-    await quiz.save();
+    // Grade answers (per question type). Coding answers run their test suites one after
+    // another so a single submission cannot occupy every code runner slot.
+    const isCoding = answer => quiz.questions.id(answer.questionId).type === 'coding';
+    const gradedAnswers = await Promise.all(uniqueAnswers.map(answer => (isCoding(answer) ? null : gradeOne(answer))));
+    for (const [index, answer] of uniqueAnswers.entries()) {
+      if (isCoding(answer)) {
+        gradedAnswers[index] = await gradeOne(answer);
+      }
+    }
+
+    // Update question stats atomically: course quizzes are submitted by many learners at once
+    const questionIds = answers => answers.map(answer => quiz.questions.id(answer.questionId)._id);
+    await Quiz.updateOne(
+      { _id: quiz._id },
+      {
+        $inc: {
+          'questions.$[answered].stats.totalAttempts': 1,
+          'questions.$[correct].stats.correctAttempts': 1
+        }
+      },
+      {
+        arrayFilters: [
+          { 'answered._id': { $in: questionIds(gradedAnswers) } },
+          { 'correct._id': { $in: questionIds(gradedAnswers.filter(answer => answer.isCorrect)) } }
+        ]
+      }
+    );
 
     // Create quiz attempt
     const attempt = await QuizAttempt.create({
@@ -437,6 +1256,11 @@ export const submitQuizAttempt = async (req, res) => {
     // Calculate results
     await attempt.calculateResults();
 
+    // Passing a course quiz can complete the certificate requirements
+    const certificate = quiz.course && attempt.passed
+      ? await tryIssueCertificate(userId, quiz.course)
+      : null;
+
     res.status(200).json({
       success: true,
       message: attempt.passed ? 'Quiz passed! 🎉' : 'Keep practicing!',
@@ -445,7 +1269,11 @@ export const submitQuizAttempt = async (req, res) => {
         passed: attempt.passed,
         score: attempt.score,
         weakTopics: attempt.weakTopics,
-        recommendations: attempt.recommendedActions
+        recommendations: attempt.recommendedActions,
+        certificate: certificate && {
+          verificationId: certificate.verificationId,
+          courseTitle: certificate.courseTitle
+        }
       }
     });
   } catch (error) {
@@ -458,6 +1286,70 @@ export const submitQuizAttempt = async (req, res) => {
   }
 };
 
+// @desc    Run code against a coding question's visible test cases
+// @route   POST /api/study/quizzes/:id/questions/:qid/run
+// @access  Private
+export const runQuizQuestionCode = async (req, res) => {
+  try {
+    const { id, qid } = req.params;
+    const { code, language } = req.body;
+    const userId = req.user.id;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code to run'
+      });
+    }
+
+    const quiz = await findQuizForUser(id, userId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const question = quiz.questions.id(qid);
+
+    if (!question || question.type !== 'coding') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coding question not found'
+      });
+    }
+
+    // Hidden test cases only run on submit
+    const run = await runChallenge(question.codingChallenge, { code, language }, { includeHidden: false });
+
+    if (!run.success) {
+      return res.status(400).json({
+        success: false,
+        message: run.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        language: run.language,
+        results: run.results,
+        passedCount: run.passedCount,
+        totalCount: run.totalCount,
+        hiddenCount: run.hiddenCount
+      }
+    });
+  } catch (error) {
+    console.error('Run code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run code',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Export quiz with attempts
 // @route   GET /api/study/quizzes/:id/export
 // @access  Private
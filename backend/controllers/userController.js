@@ -1,6 +1,14 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
+import DataRequest from '../models/DataRequest.js';
+import {
+  requestDataExport,
+  requestAccountDeletion,
+  getDeletionReport as findDeletionReport
+} from '../services/accountDataService.js';
+import { listUserCertificates } from '../services/certificateService.js';
 
 // @desc    Get user profile
 // @route   GET /api/user/profile
@@ -8,6 +16,7 @@ import Message from '../models/Message.js';
 export const getUserProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
+    const certificates = await listUserCertificates(user._id, { includeRevoked: false });
 
     res.status(200).json({
       success: true,
@@ -22,7 +31,8 @@ export const getUserProfile = async (req, res) => {
           preferences: user.preferences,
           isVerified: user.isVerified,
           createdAt: user.createdAt
-        }
+        },
+        certificates
       }
     });
   } catch (error) {
@@ -134,25 +144,153 @@ export const getUserStats = async (req, res) => {
   }
 };
 
-// @desc    Delete user account
-// @route   DELETE /api/user/account
+// Public view of a data request
+const formatDataRequest = (request) => ({
+  id: request._id,
+  type: request.type,
+  status: request.status,
+  progress: request.progress,
+  error: request.error,
+  requestedAt: request.requestedAt,
+  completedAt: request.completedAt,
+  ...(request.file?.path && {
+    file: {
+      size: request.file.size,
+      sha256: request.file.sha256,
+      expiresAt: request.file.expiresAt
+    }
+  })
+});
+
+// @desc    Start a "download my data" export
+// @route   POST /api/user/data-export
 // @access  Private
-export const deleteUserAccount = async (req, res) => {
+export const createDataExport = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { request, created } = await requestDataExport(req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: created ? 'Data export started' : 'A data export is already in progress',
+      data: { export: formatDataRequest(request) }
+    });
+  } catch (error) {
+    console.error('Create data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting data export',
+      error: error.message
+    });
+  }
+};
 
-    // Delete all user's messages
-    await Message.deleteMany({ user: userId });
+// @desc    List the user's data exports
+// @route   GET /api/user/data-export
+// @access  Private
+export const getDataExports = async (req, res) => {
+  try {
+    const requests = await DataRequest.find({ user: req.user.id, type: 'export' })
+      .sort({ requestedAt: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: { exports: requests.map(formatDataRequest) }
+    });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching data exports',
+      error: error.message
+    });
+  }
+};
 
-    // Delete all user's conversations
-    await Conversation.deleteMany({ user: userId });
+// @desc    Get a data export's status
+// @route   GET /api/user/data-export/:id
+// @access  Private
+export const getDataExport = async (req, res) => {
+  try {
+    const request = await DataRequest.findOne({ _id: req.params.id, user: req.user.id, type: 'export' });
 
-    // Delete user
-    await User.findByIdAndDelete(userId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      data: { export: formatDataRequest(request) }
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching data export',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a completed data export
+// @route   GET /api/user/data-export/:id/download
+// @access  Private
+export const downloadDataExport = async (req, res) => {
+  try {
+    const request = await DataRequest.findOne({ _id: req.params.id, user: req.user.id, type: 'export' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    if (request.status !== 'completed' || request.file.expiresAt < new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: request.status === 'completed' || request.status === 'expired'
+          ? 'This export has expired, please request a new one'
+          : 'This export is not ready yet'
+      });
+    }
+
+    const date = request.completedAt.toISOString().slice(0, 10);
+    res.download(request.file.path, `my-data-${date}.zip`);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading data export',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete user account and all of its data (completes in the background)
+// @route   DELETE /api/user/account
+// @access  Private
+export const deleteUserAccount = async (req, res) => {
+  try {
+    const { request, receipt } = await requestAccountDeletion(req.user.id);
+
+    res.clearCookie('authToken', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/'
+    });
+    res.status(202).json({
+      success: true,
+      message: 'Account deleted. Remaining data is being removed; keep the receipt to check the deletion report.',
+      data: {
+        requestId: request._id,
+        receipt,
+        reportUrl: `/api/user/deletion-reports/${request._id}?receipt=${receipt}`
+      }
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -163,3 +301,33 @@ export const deleteUserAccount = async (req, res) => {
     });
   }
 };
+
+// @desc    Get an account deletion report (the account no longer exists, so the receipt authorizes)
+// @route   GET /api/user/deletion-reports/:id?receipt=
+// @access  Public
+export const getDeletionReport = async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await findDeletionReport(req.params.id, req.query.receipt)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deletion report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get deletion report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deletion report',
+      error: error.message
+    });
+  }
+};
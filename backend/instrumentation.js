@@ -0,0 +1,22 @@
+/**
+ * Tracing bootstrap, loaded before the server:
+ *   node --import ./instrumentation.js server.js
+ * Does nothing unless TRACING_ENABLED=true (see config/tracing.js).
+ */
+
+import { register } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+if (process.env.TRACING_ENABLED === 'true') {
+  // Lets the instrumentations patch packages loaded through `import`
+  register('@opentelemetry/instrumentation/hook.mjs', import.meta.url);
+
+  const { startTracing, tracingConfig } = await import('./config/tracing.js');
+  startTracing();
+  console.log(`🔭 Tracing enabled (${tracingConfig.exporter} exporter)`);
+}
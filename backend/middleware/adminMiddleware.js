@@ -106,7 +106,7 @@ async function logAction(req, actionType, success) {
       adminUser: req.user._id,
       adminEmail: req.user.email,
       actionType,
-      targetResource: req.params.id || req.params.userId || null,
+      targetResource: req.params.id || req.params.userId || Object.values(req.params)[0] || null,
       requestMethod: req.method,
       requestPath: req.originalUrl,
       requestBody: sanitizeRequestBody(req.body),
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isVerificationRequired } from '../services/authEmailService.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -36,6 +37,14 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // A password change or reset signs out every session issued before it
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed, please log in again'
+        });
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -63,3 +72,16 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Require a verified email address (AI-heavy endpoints); use after protect
+export const requireVerified = (req, res, next) => {
+  if (req.user.isVerified || !isVerificationRequired()) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to use this feature'
+  });
+};
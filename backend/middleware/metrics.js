@@ -0,0 +1,69 @@
+/**
+ * Prometheus Middleware
+ * Times every HTTP request and serves the metrics registry at /metrics
+ */
+
+import crypto from 'crypto';
+import { register, httpRequestDuration } from '../utils/metrics.js';
+
+/**
+ * Route template of a request (e.g. /api/courses/:id), so label values stay
+ * bounded. Requests that matched no route are grouped as "unmatched".
+ */
+export const routeLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const path = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+  return `${req.baseUrl || ''}${path}` || '/';
+};
+
+/**
+ * Observe request latency once the response has been sent
+ */
+export const httpMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+  next();
+};
+
+const tokenMatches = (header, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(header || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Prometheus text exposition. When METRICS_TOKEN is set, scrapers must send
+ * it as a bearer token; in production the token is required and the endpoint
+ * stays closed until it is configured.
+ */
+export const metricsEndpoint = async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.NODE_ENV === 'production') {
+    return res.status(403).json({
+      success: false,
+      message: 'Metrics are disabled until METRICS_TOKEN is set'
+    });
+  }
+  if (token && !tokenMatches(req.headers.authorization, token)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid metrics token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.set('Cache-Control', 'no-store');
+    res.send(await register.metrics());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to collect metrics',
+      error: error.message
+    });
+  }
+};
@@ -11,8 +11,8 @@ const rateLimiter = rateLimit({
     // Skip rate limiting for requests that include an Authorization header
     // (authenticated users will be rate-limited per-account elsewhere)
     skip: (req) => {
-        // Always skip health checks
-        if (req.path === '/api/health' || req.path === '/ready') return true;
+        // Always skip health checks and metrics scrapes
+        if (req.path === '/api/health' || req.path === '/ready' || req.path === '/metrics') return true;
 
         // If an Authorization header exists, skip the global IP-based limiter
         if (req.headers && req.headers.authorization) return true;
@@ -35,6 +35,18 @@ export const authLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Limiter for endpoints that send email (password reset, verification resend)
+export const authEmailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 emails per hour
+    message: {
+        success: false,
+        message: 'Too many email requests, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Rate limiter for AI chat (to prevent API abuse)
 export const chatLimiter = rateLimit({
     windowMs: 60 * 1000, // 1 minute
@@ -47,4 +59,52 @@ export const chatLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Rate limiter for running learner code (each run spawns sandboxed processes)
+export const codeRunLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // Limit each IP to 10 code runs per minute
+    message: {
+        success: false,
+        message: 'Too many code runs, please wait a moment'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Rate limiter for fitting scheduler parameters (replays the whole review history)
+export const optimizerLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 optimizer runs per hour
+    message: {
+        success: false,
+        message: 'Too many optimization requests, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Rate limiter for flashcard imports (each parses and stores a whole deck)
+export const flashcardImportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // Limit each IP to 20 imports per hour
+    message: {
+        success: false,
+        message: 'Too many flashcard imports, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Limiter for "download my data" exports, which zip up everything a user owns
+export const dataExportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // Limit each IP to 3 export requests per hour
+    message: {
+        success: false,
+        message: 'Too many data export requests, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 export default rateLimiter;
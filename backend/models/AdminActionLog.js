@@ -43,16 +43,20 @@ const adminActionLogSchema = new mongoose.Schema({
       'delete_course',
       'feature_course',
       'unfeature_course',
+      'moderate_review',
+      'revoke_certificate',
 
       // Financial
       'approve_payout',
       'reject_payout',
       'adjust_earnings',
+      'refund_order',
 
       // System
       'update_settings',
       'view_analytics',
       'export_data',
+      'run_rag_evaluation',
       'other'
     ],
     index: true
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * Certificate Model
+ * Issued once per learner and course when the course is completed (and its
+ * linked quizzes passed, if the course requires it). The names, title and
+ * dates are copied at issue time so the certificate reads the same after the
+ * course or profile changes. Anyone can check a certificate by its
+ * verificationId; admins can revoke it.
+ */
+
+export const CERTIFICATE_STATUSES = ['issued', 'revoked'];
+
+const certificateSchema = new mongoose.Schema({
+  // Public ID printed on the certificate, e.g. CERT-7KQ2-MX4D-9TWA
+  verificationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    default: null
+  },
+
+  // Snapshot at issue time
+  recipientName: {
+    type: String,
+    required: true
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  instructorName: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  quizResults: [{
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    },
+    title: String,
+    percentage: Number,
+    _id: false
+  }],
+
+  status: {
+    type: String,
+    enum: CERTIFICATE_STATUSES,
+    default: 'issued',
+    index: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One certificate per learner and course; a revoked one is not reissued automatically
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+certificateSchema.index({ user: 1, issuedAt: -1 });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
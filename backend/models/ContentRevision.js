@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * ContentRevision Model
+ * Versioned content of a course, module or lesson. Edits are saved to the
+ * entity's single draft revision; learners keep seeing the live document
+ * until the draft is published, which copies its content onto the document and
+ * supersedes the previously published revision. The first draft of an entity
+ * also records its content at that moment as revision 1, so there is always
+ * something to diff against and roll back to.
+ */
+
+export const REVISION_ENTITY_TYPES = ['course', 'module', 'lesson'];
+export const REVISION_STATUSES = ['draft', 'published', 'superseded'];
+
+const contentRevisionSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: REVISION_ENTITY_TYPES,
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  // Counts up per entity
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: REVISION_STATUSES,
+    default: 'draft'
+  },
+  // The revisioned fields of the entity (see REVISIONED_FIELDS in contentRevisionService)
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the draft was started by rolling back to an earlier revision
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContentRevision',
+    default: null
+  },
+  // Improvement suggestion this revision implements
+  improvement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseImprovement',
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Enrollee emails go out in the background after publishing: 'pending' until
+  // every enrollee has been emailed. notifyCursor is the last enrollment emailed,
+  // so a retried notification picks up where it stopped.
+  notifyStatus: {
+    type: String,
+    enum: ['pending', 'sent', null],
+    default: null
+  },
+  notifyCursor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  notifiedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+contentRevisionSchema.index({ entity: 1, number: 1 }, { unique: true });
+// One open draft per entity
+contentRevisionSchema.index(
+  { entity: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft' } }
+);
+contentRevisionSchema.index({ course: 1, createdAt: -1 });
+
+const ContentRevision = mongoose.model('ContentRevision', contentRevisionSchema);
+
+export default ContentRevision;
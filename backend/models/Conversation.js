@@ -39,6 +39,12 @@ const conversationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Last message of the branch the learner is on (see Message.getBranch)
+  activeLeaf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * ConversationShare Model
+ * A public, read-only link to a conversation transcript. The link shows the
+ * branch that was active when it was created, up to that point, and stops
+ * working once revoked or expired. Only a hash of the link token is stored.
+ */
+
+const conversationShareSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the token in the link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Last message of the shared transcript
+  leafMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  title: {
+    type: String,
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+conversationShareSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+conversationShareSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('ConversationShare', conversationShareSchema);
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Model
+ * Discount codes applied at checkout. A coupon is either tied to one course
+ * (created by its instructor) or platform-wide (course: null, admins only).
+ * Amounts are in cents, like Course.pricing.amount.
+ */
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon codes are 3-32 letters, digits, dashes or underscores']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  // Percentage (1-100) or a fixed amount in cents
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  maxRedemptions: {
+    type: Number,
+    default: null // Unlimited
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.amount > 100) {
+    this.invalidate('amount', 'Percentage discounts cannot exceed 100');
+  }
+  next();
+});
+
+// Whether the coupon can be used now (ignoring per-user limits)
+couponSchema.methods.isRedeemable = function(now = new Date()) {
+  if (!this.isActive) {
+    return false;
+  }
+  if (this.startsAt && this.startsAt > now) {
+    return false;
+  }
+  if (this.expiresAt && this.expiresAt <= now) {
+    return false;
+  }
+  return this.maxRedemptions === null || this.redemptionCount < this.maxRedemptions;
+};
+
+// Whether the coupon applies to a course
+couponSchema.methods.appliesTo = function(course) {
+  if (this.course && this.course.toString() !== course._id.toString()) {
+    return false;
+  }
+  return this.discountType === 'percent' || this.currency === course.pricing.currency;
+};
+
+// Discount in cents on a price, never more than the price itself
+couponSchema.methods.discountFor = function(amount) {
+  const discount = this.discountType === 'percent'
+    ? Math.round(amount * (this.amount / 100))
+    : this.amount;
+  return Math.min(discount, amount);
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -191,6 +191,19 @@ const courseSchema = new mongoose.Schema({
     }
   },
 
+  // Completion certificates (see services/certificateService.js)
+  certificate: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Also require a passing attempt on every quiz linked to the course
+    requirePassingQuizzes: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   // Marketplace metadata
   marketplace: {
     isFeatured: {
@@ -694,24 +707,39 @@ courseSchema.methods.setVisibility = async function(visibility) {
   return this.save();
 };
 
-// Record a sale
-courseSchema.methods.recordSale = async function(amount) {
-  this.marketplace.totalSales += 1;
-  this.marketplace.totalRevenue += amount;
+// Split what is left after the platform fee (cents) among the contributors by
+// revenue share; anything unallocated or lost to rounding goes to the creator
+courseSchema.methods.splitInstructorRevenue = function(pool) {
+  const payouts = this.calculateRevenueDistribution(pool).map(payout => ({
+    ...payout,
+    amount: Math.floor(payout.amount)
+  }));
+
+  const remainder = pool - payouts.reduce((sum, payout) => sum + payout.amount, 0);
+  if (remainder > 0) {
+    const creatorPayout = payouts.find(payout => payout.userId.toString() === this.createdBy.toString());
+    if (creatorPayout) {
+      creatorPayout.amount += remainder;
+    } else {
+      payouts.push({ userId: this.createdBy, type: 'founder', share: 0, amount: remainder });
+    }
+  }
 
-  // Calculate instructor earnings
-  const platformFee = amount * (this.pricing.platformFeePercentage / 100);
-  const instructorEarning = amount - platformFee;
+  return payouts.filter(payout => payout.amount > 0);
+};
 
-  // Update instructor earnings
-  const User = mongoose.model('User');
-  const instructor = await User.findById(this.createdBy);
+// Record a sale (amount in cents) in the course statistics and split it into the
+// platform fee and contributor payouts; ledgerService posts the payouts
+courseSchema.methods.recordSale = async function(amount) {
+  const platformFee = Math.round(amount * (this.pricing.platformFeePercentage / 100));
+  const payouts = this.splitInstructorRevenue(amount - platformFee);
 
-  if (instructor) {
-    await instructor.addEarnings(instructorEarning);
-  }
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { 'marketplace.totalSales': 1, 'marketplace.totalRevenue': amount } }
+  );
 
-  return this.save();
+  return { platformFee, payouts };
 };
 
 // Update average rating
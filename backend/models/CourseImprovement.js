@@ -73,6 +73,12 @@ const courseImprovementSchema = new mongoose.Schema({
     maxlength: 1000,
     default: null
   },
+  // Content revision that implemented the suggestion
+  revision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContentRevision',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -96,15 +102,22 @@ courseImprovementSchema.methods.upvote = function(userId) {
 };
 
 // Method to mark as implemented
-courseImprovementSchema.methods.markImplemented = async function(implementerId, revenueShare, notes) {
+courseImprovementSchema.methods.markImplemented = async function(implementerId, revenueShare, notes, revisionId = null) {
   this.status = 'implemented';
   this.implementedBy = implementerId;
   this.implementedAt = new Date();
   this.revenueShareAwarded = revenueShare || 2;
   this.implementationNotes = notes;
+  this.revision = revisionId;
 
   await this.save();
 
+  // Link the revision back to the suggestion it implements
+  if (revisionId) {
+    const ContentRevision = mongoose.model('ContentRevision');
+    await ContentRevision.updateOne({ _id: revisionId }, { improvement: this._id });
+  }
+
   // Add user as content improver to the course
   const Course = mongoose.model('Course');
   const course = await Course.findById(this.course);
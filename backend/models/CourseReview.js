@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+
+/**
+ * Course Review Model
+ * One star rating (and optional text) per learner per course, with an
+ * instructor reply, helpful votes and abuse reports.
+ *
+ * Only `published` reviews are shown and counted; the course's
+ * marketplace.averageRating/totalReviews and the creator's
+ * reputation.averageCourseRating are recomputed from them by
+ * updateRatingAggregates() whenever a review changes.
+ */
+
+export const REVIEW_STATUSES = ['published', 'flagged', 'hidden', 'removed'];
+export const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+const courseReviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters'],
+    default: ''
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review cannot exceed 5000 characters'],
+    default: ''
+  },
+  // Course progress when the review was last written
+  progressAtReview: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+
+  reply: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Reply cannot exceed 2000 characters']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: Date,
+    editedAt: Date
+  },
+
+  helpfulVotes: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+
+  reports: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+      },
+      details: {
+        type: String,
+        maxlength: 1000
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'published'
+  },
+  moderation: {
+    // Automatic content check results (see middleware/contentModeration.js)
+    flags: [{
+      type: String
+    }],
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+courseReviewSchema.index({ course: 1, user: 1 }, { unique: true });
+courseReviewSchema.index({ course: 1, status: 1, createdAt: -1 });
+courseReviewSchema.index({ course: 1, status: 1, helpfulCount: -1 });
+courseReviewSchema.index({ status: 1, reportCount: -1 });
+
+/**
+ * Rating summary of a course's published reviews
+ * @returns {Promise<Object>} { averageRating, totalReviews, distribution: { 1..5 } }
+ */
+courseReviewSchema.statics.getRatingSummary = async function(courseId) {
+  const groups = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let totalReviews = 0;
+  let totalStars = 0;
+  for (const { _id: rating, count } of groups) {
+    distribution[rating] = count;
+    totalReviews += count;
+    totalStars += rating * count;
+  }
+
+  return {
+    averageRating: totalReviews > 0 ? Math.round((totalStars / totalReviews) * 10) / 10 : 0,
+    totalReviews,
+    distribution
+  };
+};
+
+/**
+ * Recompute the denormalized rating of a course and of its creator's reputation
+ * (average over all published reviews of the creator's courses)
+ */
+courseReviewSchema.statics.updateRatingAggregates = async function(courseId) {
+  const Course = mongoose.model('Course');
+  const User = mongoose.model('User');
+
+  const { averageRating, totalReviews } = await this.getRatingSummary(courseId);
+  const course = await Course.findByIdAndUpdate(
+    courseId,
+    {
+      'marketplace.averageRating': averageRating,
+      'marketplace.totalReviews': totalReviews
+    },
+    { new: true }
+  ).select('createdBy');
+
+  if (!course) {
+    return { averageRating, totalReviews };
+  }
+
+  const courseIds = await Course.distinct('_id', { createdBy: course.createdBy });
+  const [creatorStats] = await this.aggregate([
+    { $match: { course: { $in: courseIds }, status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' } } }
+  ]);
+
+  await User.updateOne(
+    { _id: course.createdBy },
+    { 'reputation.averageCourseRating': creatorStats ? Math.round(creatorStats.average * 10) / 10 : 0 }
+  );
+
+  return { averageRating, totalReviews };
+};
+
+const CourseReview = mongoose.model('CourseReview', courseReviewSchema);
+
+export default CourseReview;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+/**
+ * DataRequest Model
+ * A learner's "download my data" export or account deletion, processed in the
+ * background. Deletion requests outlive the account: they hold the deletion
+ * report (counts only, no personal data) that the learner can verify later.
+ */
+
+const dataRequestSchema = new mongoose.Schema({
+  // Not a live reference once the account is deleted
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['export', 'deletion'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'partial', 'failed', 'expired'],
+    default: 'queued',
+    index: true
+  },
+
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  error: String,
+
+  // Deletion: what to clean up in external stores after the account record is gone.
+  // Cleared once the deletion is verified.
+  targets: {
+    email: String,
+    voiceSessionIds: [mongoose.Schema.Types.ObjectId]
+  },
+
+  // Export: the generated archive
+  file: {
+    path: String,
+    size: Number,
+    sha256: String,
+    expiresAt: Date
+  },
+
+  // Deletion: per-store results and verification, plus its SHA-256 digest
+  report: mongoose.Schema.Types.Mixed,
+  reportDigest: String,
+
+  // SHA-256 of the receipt token given to the learner to look the report up
+  receiptHash: {
+    type: String,
+    select: false
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date
+});
+
+dataRequestSchema.index({ user: 1, type: 1, requestedAt: -1 });
+dataRequestSchema.index({ status: 1, 'file.expiresAt': 1 });
+
+export default mongoose.model('DataRequest', dataRequestSchema);
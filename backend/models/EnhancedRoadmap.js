@@ -92,6 +92,18 @@ const practicalTaskSchema = new mongoose.Schema({
   estimatedMinutes: Number,
   instructions: [String],
   expectedOutput: String,
+  // Optional runnable challenge for 'coding-challenge' and 'exercise' tasks
+  codingChallenge: {
+    language: String,
+    starterCode: String,
+    testCases: [{
+      input: String,
+      expectedOutput: String,
+      isHidden: Boolean
+    }],
+    timeLimit: Number, // seconds
+    memoryLimit: Number // MB
+  },
   resources: [{
     title: String,
     url: String,
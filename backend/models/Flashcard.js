@@ -29,6 +29,57 @@ const flashcardSchema = new mongoose.Schema({
     required: true
   },
   tags: [String],
+  // 'basic', 'reversed' (front/back plus a back/front sibling), 'cloze' (one card per
+  // deletion) or 'image_occlusion' (one card per hidden region of an image)
+  cardType: {
+    type: String,
+    enum: ['basic', 'reversed', 'cloze', 'image_occlusion'],
+    default: 'basic'
+  },
+  // Cards generated from the same note share its id; unset for standalone cards
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // Which sibling this card is: 0/1 forward/reverse, the cloze number, or the mask index
+  ordinal: {
+    type: Number,
+    default: 0
+  },
+  // Note source for generated card types; front/back hold the rendered card
+  content: {
+    text: String, // cloze text with {{c1::answer::hint}} markup
+    extra: String, // shown on the back of cloze and occlusion cards
+    image: {
+      url: String,
+      width: Number,
+      height: Number,
+      alt: String
+    },
+    // Occlusion regions as fractions (0-1) of the image size
+    masks: [{
+      _id: false,
+      label: String,
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }]
+  },
+  // Media referenced by the card (uploaded separately)
+  media: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['image', 'audio']
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    mimeType: String,
+    alt: String
+  }],
   difficulty: {
     type: String,
     enum: ['easy', 'medium', 'hard'],
@@ -55,6 +106,24 @@ const flashcardSchema = new mongoose.Schema({
     },
     lastReviewDate: Date
   },
+  // FSRS memory state (used when the owner's scheduler is 'fsrs')
+  fsrs: {
+    stability: Number, // days until recall probability falls to 90%
+    difficulty: Number, // 1 (easy) - 10 (hard)
+    state: {
+      type: String,
+      enum: ['new', 'review', 'relearning'],
+      default: 'new'
+    },
+    lapses: {
+      type: Number,
+      default: 0
+    },
+    migratedFromSM2: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Performance tracking
   stats: {
     totalReviews: {
@@ -76,6 +145,11 @@ const flashcardSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Suspended cards keep their scheduling but are left out of reviews
+  suspended: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -92,8 +166,8 @@ flashcardSchema.pre('save', function(next) {
   next();
 });
 
-// SM-2 Algorithm Implementation
-flashcardSchema.methods.updateSpacedRepetition = function(quality) {
+// SM-2 Algorithm Implementation (scheduling only, see updateSpacedRepetition)
+flashcardSchema.methods.applySM2 = function(quality, now = new Date()) {
   // quality: 0-5
   // 0-2: incorrect, 3-5: correct
   const sr = this.spacedRepetition;
@@ -107,11 +181,9 @@ flashcardSchema.methods.updateSpacedRepetition = function(quality) {
       sr.interval = Math.round(sr.interval * sr.easeFactor);
     }
     sr.repetitions += 1;
-    this.stats.correctReviews += 1;
   } else {
     sr.repetitions = 0;
     sr.interval = 1;
-    this.stats.incorrectReviews += 1;
   }
 
   // Update ease factor
@@ -121,12 +193,25 @@ flashcardSchema.methods.updateSpacedRepetition = function(quality) {
   }
 
   // Set next review date
-  sr.lastReviewDate = new Date();
-  sr.nextReviewDate = new Date(Date.now() + sr.interval * 24 * 60 * 60 * 1000);
+  sr.lastReviewDate = now;
+  sr.nextReviewDate = new Date(now.getTime() + sr.interval * 24 * 60 * 60 * 1000);
+};
+
+// Update review counters for a graded answer
+flashcardSchema.methods.recordReviewStats = function(quality) {
+  if (quality >= 3) {
+    this.stats.correctReviews += 1;
+  } else {
+    this.stats.incorrectReviews += 1;
+  }
 
-  // Update stats
   this.stats.totalReviews += 1;
   this.stats.lastQuality = quality;
+};
+
+flashcardSchema.methods.updateSpacedRepetition = function(quality) {
+  this.applySM2(quality);
+  this.recordReviewStats(quality);
 
   return this.save();
 };
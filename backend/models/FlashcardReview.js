@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+/**
+ * FlashcardReview Model
+ * One document per flashcard review: the learner's history, the data the FSRS
+ * optimizer fits to and the source for retention analytics
+ */
+
+const flashcardReviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  flashcard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard',
+    required: true,
+    index: true
+  },
+
+  deck: {
+    type: String,
+    required: true
+  },
+
+  // Scheduler that handled the review
+  scheduler: {
+    type: String,
+    enum: ['sm2', 'fsrs'],
+    required: true
+  },
+
+  // Grade as submitted (0-5) and as an FSRS rating (1 = Again ... 4 = Easy)
+  quality: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5
+  },
+
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 4
+  },
+
+  // Days since the previous review of this card (0 for the first review)
+  elapsedDays: {
+    type: Number,
+    default: 0
+  },
+
+  // Scheduled interval in days before and after this review
+  intervalBefore: {
+    type: Number,
+    default: 0
+  },
+
+  intervalAfter: {
+    type: Number,
+    default: 0
+  },
+
+  // Time to answer in milliseconds
+  responseTime: {
+    type: Number,
+    default: null
+  },
+
+  // Predicted recall probability at review time (null for a new card)
+  retrievability: {
+    type: Number,
+    default: null
+  },
+
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+flashcardReviewSchema.index({ user: 1, reviewedAt: -1 });
+flashcardReviewSchema.index({ flashcard: 1, reviewedAt: 1 });
+flashcardReviewSchema.index({ user: 1, deck: 1, reviewedAt: -1 });
+
+export default mongoose.model('FlashcardReview', flashcardReviewSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * IngestionJob Model
+ * Which user queued which document-ingestion job, so a user's jobs can be listed
+ * without scanning the queue. Status and results stay in the queue, which keeps
+ * finished jobs for 7 days; records expire after 14.
+ */
+
+const ingestionJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // BullMQ job ID in the document-ingestion queue
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  filename: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ingestionJobSchema.index({ user: 1, createdAt: -1 });
+ingestionJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 14 * 86400 }); // TTL index
+
+export default mongoose.model('IngestionJob', ingestionJobSchema);
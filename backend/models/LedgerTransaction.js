@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+
+/**
+ * Ledger Transaction Model
+ * Double-entry record of every money movement: course sales, refunds, the
+ * release of held earnings, and contributor payouts. Each transaction's lines
+ * debit and credit accounts by the same total; balances are never stored on
+ * the lines, only derived from them. Transactions are append-only: mistakes
+ * are corrected by posting an opposite transaction.
+ *
+ * Accounts (amounts in cents):
+ *   platform:cash                   money collected from learners, less refunds and payouts
+ *   platform:fees                   the platform's share of sales
+ *   contributor:held                earnings still inside the refund hold period
+ *   contributor:available           earnings the contributor can request a payout of
+ *   contributor:payout_requested    payouts waiting for an admin
+ * Contributor accounts are kept per user (`user` on the line).
+ */
+
+export const ACCOUNTS = {
+  CASH: 'platform:cash',
+  FEES: 'platform:fees',
+  HELD: 'contributor:held',
+  AVAILABLE: 'contributor:available',
+  PAYOUT_REQUESTED: 'contributor:payout_requested'
+};
+
+export const CONTRIBUTOR_ACCOUNTS = [ACCOUNTS.HELD, ACCOUNTS.AVAILABLE, ACCOUNTS.PAYOUT_REQUESTED];
+
+export const TRANSACTION_TYPES = [
+  'sale',
+  'refund',
+  'release',
+  'payout_request',
+  'payout_paid',
+  'payout_rejected',
+  'payout_cancelled',
+  'adjustment'
+];
+
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.values(ACCOUNTS),
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Makes posting safe to retry: the same key is only ever posted once
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  description: String,
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A transaction needs at least two lines'
+    }
+  },
+
+  // What the money moved for
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Sales only: contributor earnings move from held to available after this date
+  holdUntil: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerTransactionSchema.index({ 'lines.user': 1, postedAt: 1 });
+ledgerTransactionSchema.index({ order: 1, type: 1 });
+ledgerTransactionSchema.index({ payout: 1 });
+ledgerTransactionSchema.index({ type: 1, releasedAt: 1, holdUntil: 1 });
+ledgerTransactionSchema.index({ postedAt: 1 });
+
+ledgerTransactionSchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+  if (debits !== credits) {
+    this.invalidate('lines', `Debits (${debits}) and credits (${credits}) must balance`);
+  }
+  if (this.lines.some(line => !Number.isInteger(line.debit) || !Number.isInteger(line.credit))) {
+    this.invalidate('lines', 'Amounts must be whole cents');
+  }
+  if (this.lines.some(line => CONTRIBUTOR_ACCOUNTS.includes(line.account) && !line.user)) {
+    this.invalidate('lines', 'Contributor account lines need a user');
+  }
+  next();
+});
+
+// Transactions are append-only
+ledgerTransactionSchema.pre('save', function(next) {
+  if (!this.isNew && this.modifiedPaths().some(path => path !== 'releasedAt')) {
+    return next(new Error('Ledger transactions cannot be changed once posted'));
+  }
+  next();
+});
+
+/**
+ * Balance of every account (credit minus debit), optionally for one user and up to a date
+ * @returns {Promise<Object>} { [account]: cents }
+ */
+ledgerTransactionSchema.statics.getBalances = async function({ user, before } = {}) {
+  const match = {};
+  if (before) {
+    match.postedAt = { $lt: before };
+  }
+
+  const pipeline = [
+    { $match: { ...match, ...(user ? { 'lines.user': new mongoose.Types.ObjectId(String(user)) } : {}) } },
+    { $unwind: '$lines' }
+  ];
+  if (user) {
+    pipeline.push({ $match: { 'lines.user': new mongoose.Types.ObjectId(String(user)) } });
+  }
+  pipeline.push({
+    $group: {
+      _id: '$lines.account',
+      credit: { $sum: '$lines.credit' },
+      debit: { $sum: '$lines.debit' }
+    }
+  });
+
+  const balances = Object.fromEntries(Object.values(ACCOUNTS).map(account => [account, 0]));
+  for (const { _id: account, credit, debit } of await this.aggregate(pipeline)) {
+    balances[account] = credit - debit;
+  }
+  return balances;
+};
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+export default LedgerTransaction;
@@ -161,10 +161,11 @@ const memoryEntrySchema = new mongoose.Schema({
     }]
   },
 
-  // Status and lifecycle
+  // Status and lifecycle ('deleted' entries have their content erased and are
+  // kept only until temporal.expiresAt for the audit trail)
   status: {
     type: String,
-    enum: ['active', 'archived', 'deprecated', 'contradicted', 'consolidated'],
+    enum: ['active', 'archived', 'deprecated', 'contradicted', 'consolidated', 'deleted'],
     default: 'active',
     index: true
   },
@@ -213,7 +214,7 @@ const memoryEntrySchema = new mongoose.Schema({
   audit: [{
     action: {
       type: String,
-      enum: ['created', 'accessed', 'updated', 'consolidated', 'deprecated', 'deleted']
+      enum: ['created', 'accessed', 'updated', 'consolidated', 'deprecated', 'deleted', 'pinned', 'unpinned', 'exported']
     },
     timestamp: {
       type: Date,
@@ -23,6 +23,17 @@ const messageSchema = new mongoose.Schema({
     required: [true, 'Message must have content'],
     maxlength: [10000, 'Message cannot exceed 10000 characters']
   },
+  // Branching: the message this one follows (null for the first one). Left unset,
+  // it is the conversation's active leaf. Edits and regenerations are siblings:
+  // messages with the same parent, numbered in order of creation.
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  siblingIndex: {
+    type: Number,
+    default: 0
+  },
   metadata: {
     model: String,
     tokens: Number,
@@ -45,7 +56,23 @@ const messageSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    editedAt: Date
+    editedAt: Date,
+    // Streamed answers: retrieval citations, and whether the learner stopped generation
+    sources: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    cancelled: Boolean,
+    // Course recommendation answers: the cards shown with the message
+    type: String,
+    recommendations: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    intent: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
   },
   reactions: [{
     type: {
@@ -73,9 +100,130 @@ messageSchema.pre('save', function(next) {
   next();
 });
 
+// New messages continue the active branch unless given a parent, and become its leaf
+messageSchema.pre('save', async function() {
+  if (!this.isNew) {
+    return;
+  }
+  this.$locals.created = true;
+
+  if (this.parentMessage === undefined) {
+    this.parentMessage = await this.constructor.getActiveLeaf(this.conversation);
+  }
+  this.siblingIndex = await this.constructor.countDocuments({
+    conversation: this.conversation,
+    parentMessage: this.parentMessage
+  });
+});
+
+messageSchema.post('save', async function() {
+  if (this.$locals.created) {
+    delete this.$locals.created;
+    await mongoose.model('Conversation').updateOne(
+      { _id: this.conversation },
+      { $set: { activeLeaf: this._id } }
+    );
+  }
+});
+
 // Compound indexes for efficient queries
 messageSchema.index({ conversation: 1, createdAt: 1 });
 messageSchema.index({ user: 1, createdAt: -1 });
 messageSchema.index({ conversation: 1, role: 1 });
+messageSchema.index({ conversation: 1, parentMessage: 1, siblingIndex: 1 });
+
+/**
+ * Last message of the conversation's active branch. Conversations from before
+ * branching are linked up in creation order first.
+ * @returns {ObjectId|null} null for a conversation without messages
+ */
+messageSchema.statics.getActiveLeaf = async function(conversationId) {
+  const conversation = await mongoose.model('Conversation')
+    .findById(conversationId)
+    .select('activeLeaf');
+  if (conversation?.activeLeaf) {
+    return conversation.activeLeaf;
+  }
+
+  const messages = await this.find({ conversation: conversationId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id')
+    .lean();
+  if (messages.length === 0) {
+    return null;
+  }
+
+  await this.bulkWrite(messages.map((message, idx) => ({
+    updateOne: {
+      filter: { _id: message._id },
+      update: { $set: { parentMessage: idx === 0 ? null : messages[idx - 1]._id, siblingIndex: 0 } }
+    }
+  })));
+
+  const leaf = messages[messages.length - 1]._id;
+  await mongoose.model('Conversation').updateOne({ _id: conversationId }, { $set: { activeLeaf: leaf } });
+
+  return leaf;
+};
+
+/**
+ * The branch through a message: its ancestors, the message itself and (unless
+ * descend is false) its most recent descendants. Each message carries the ids of
+ * its siblings (alternatives to switch to) in sibling order.
+ * @param {ObjectId} conversationId
+ * @param {ObjectId} messageId - any message on the branch; the active leaf when omitted
+ * @param {Object} options - descend (default true)
+ * @returns {Object|null} { leafId, messages }, or null if the message isn't in the conversation
+ */
+messageSchema.statics.getBranch = async function(conversationId, messageId = null, { descend = true } = {}) {
+  const startId = messageId || await this.getActiveLeaf(conversationId);
+  if (!startId) {
+    return { leafId: null, messages: [] };
+  }
+
+  const all = await this.find({ conversation: conversationId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('role content metadata parentMessage siblingIndex createdAt')
+    .lean();
+
+  const byId = new Map(all.map(message => [String(message._id), message]));
+  const children = new Map();
+  for (const message of all) {
+    const parentKey = String(message.parentMessage ?? null);
+    children.set(parentKey, [...(children.get(parentKey) || []), message]);
+  }
+
+  const start = byId.get(String(startId));
+  if (!start) {
+    return null;
+  }
+
+  // Down to the newest leaf, then up to the root
+  let leaf = start;
+  while (descend && children.has(String(leaf._id))) {
+    const next = children.get(String(leaf._id));
+    leaf = next[next.length - 1];
+  }
+
+  const path = [];
+  const seen = new Set();
+  for (let node = leaf; node && !seen.has(String(node._id)); node = byId.get(String(node.parentMessage))) {
+    seen.add(String(node._id));
+    path.unshift(node);
+  }
+
+  return {
+    leafId: leaf._id,
+    messages: path.map(message => {
+      const siblings = [...children.get(String(message.parentMessage ?? null))]
+        .sort((a, b) => a.siblingIndex - b.siblingIndex);
+      return {
+        ...message,
+        siblingCount: siblings.length,
+        siblingIds: siblings.map(sibling => sibling._id)
+      };
+    })
+  };
+};
 
 export default mongoose.model('Message', messageSchema);
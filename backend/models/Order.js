@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+
+/**
+ * Order Model
+ * One checkout of a priced course. The order is created `pending` with a
+ * payment at the provider and only becomes `paid` (and enrolls the learner)
+ * when the provider confirms the payment through its webhook.
+ * Amounts are in cents, like Course.pricing.amount.
+ */
+
+export const ORDER_STATUSES = ['pending', 'paid', 'failed', 'cancelled', 'refunded', 'partially_refunded'];
+export const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+
+  // Pricing at the time of checkout
+  currency: {
+    type: String,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  coupon: {
+    code: String,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    }
+  },
+
+  // Payment provider
+  provider: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: String,
+    default: null
+  },
+  checkoutUrl: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  // How the paid total was split (see Course.recordSale)
+  revenue: {
+    platformFee: {
+      type: Number,
+      default: 0
+    },
+    payouts: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      type: {
+        type: String
+      },
+      share: Number,
+      amount: Number,
+      // Taken back by refunds so far
+      reversed: {
+        type: Number,
+        default: 0
+      }
+    }]
+  },
+
+  refunds: [{
+    refundId: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      default: 'pending'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: Date
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Provider webhook events already applied (deliveries are retried)
+  events: [{
+    eventId: String,
+    type: {
+      type: String
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ course: 1, status: 1 });
+orderSchema.index({ user: 1, course: 1, status: 1 });
+orderSchema.index({ 'coupon.coupon': 1, user: 1, status: 1 });
+orderSchema.index(
+  { provider: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } }
+);
+
+// Amount that can still be refunded (refunds in flight included)
+orderSchema.virtual('refundableAmount').get(function() {
+  const inFlight = this.refunds
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(this.total - this.refundedAmount - inFlight, 0);
+});
+
+orderSchema.set('toJSON', { virtuals: true });
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payout Model
+ * A contributor's request to withdraw their available earnings. The amount
+ * leaves contributor:available when requested and is either paid out or
+ * returned when an admin reviews it (see services/ledgerService.js).
+ */
+
+export const PAYOUT_STATUSES = ['requested', 'paid', 'rejected', 'cancelled'];
+
+const payoutSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'requested'
+  },
+  // Snapshot of User.earnings.payoutMethod when requested
+  method: {
+    type: String,
+    enum: ['stripe', 'paypal', 'bank_transfer'],
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Transfer reference from the payout rail (bank reference, PayPal batch id...)
+  reference: {
+    type: String,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One open request per contributor at a time
+payoutSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'requested' }, name: 'one_open_request_per_user' }
+);
+payoutSchema.index({ user: 1, requestedAt: -1 });
+payoutSchema.index({ status: 1, requestedAt: 1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
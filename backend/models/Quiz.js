@@ -14,6 +14,19 @@ const questionSchema = new mongoose.Schema({
   options: [String],
   correctAnswer: String, // Index or value
 
+  // For fill_blank: alternative answers accepted as correct
+  acceptedAnswers: [String],
+
+  // For short_answer: grading criteria (correctAnswer is the reference answer)
+  rubric: [{
+    criterion: String,
+    description: String,
+    points: {
+      type: Number,
+      default: 1
+    }
+  }],
+
   // For coding questions
   codingChallenge: {
     language: String,
@@ -79,6 +92,18 @@ const quizSchema = new mongoose.Schema({
     ref: 'LearningRoadmap'
   },
   weekModule: Number, // Reference to week number in roadmap
+  // Linked to a course (and optionally one of its lessons) by an instructor;
+  // enrolled learners can take it and it can count toward the certificate
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    default: null
+  },
   title: {
     type: String,
     required: true
@@ -155,5 +180,6 @@ quizSchema.pre('save', function(next) {
 // Index for efficient queries
 quizSchema.index({ user: 1, topic: 1 });
 quizSchema.index({ roadmap: 1, weekModule: 1 });
+quizSchema.index({ course: 1, isActive: 1 });
 
 export default mongoose.model('Quiz', quizSchema);
@@ -8,6 +8,18 @@ const answerSchema = new mongoose.Schema({
   userAnswer: mongoose.Schema.Types.Mixed, // String, Array, or Object for code
   isCorrect: Boolean,
   pointsEarned: Number,
+  score: Number, // Credit between 0 and 1 (partial credit for short answers and coding)
+  gradingMethod: {
+    type: String,
+    enum: ['exact', 'normalized', 'numeric', 'fuzzy', 'rubric_ai', 'keyword_overlap', 'test_cases']
+  },
+  feedback: String,
+  rubricScores: [{
+    criterion: String,
+    awarded: Number,
+    max: Number,
+    comment: String
+  }],
   timeSpent: Number, // seconds
   codeSubmission: {
     code: String,
@@ -74,22 +86,26 @@ quizAttemptSchema.methods.calculateResults = async function() {
   const totalPoints = quiz.totalPoints;
   const topicPerformance = {};
 
+  // Each question of the quiz counts once and for at most its own points
+  const counted = new Set();
   this.answers.forEach(answer => {
-    if (answer.isCorrect) {
-      pointsEarned += answer.pointsEarned;
+    const question = quiz.questions.id(answer.questionId);
+    if (!question || counted.has(String(question._id))) {
+      return;
     }
+    counted.add(String(question._id));
+
+    // Partially correct answers still earn their graded points
+    pointsEarned += Math.min(Math.max(answer.pointsEarned || 0, 0), question.points || 1);
 
     // Track topic performance
-    const question = quiz.questions.id(answer.questionId);
-    if (question && question.tags) {
+    if (question.tags) {
       question.tags.forEach(tag => {
         if (!topicPerformance[tag]) {
           topicPerformance[tag] = { correct: 0, total: 0 };
         }
         topicPerformance[tag].total += 1;
-        if (answer.isCorrect) {
-          topicPerformance[tag].correct += 1;
-        }
+        topicPerformance[tag].correct += answer.score ?? (answer.isCorrect ? 1 : 0);
       });
     }
   });
@@ -101,6 +117,7 @@ quizAttemptSchema.methods.calculateResults = async function() {
   });
 
   // Calculate final score
+  pointsEarned = Math.round(pointsEarned * 100) / 100;
   this.score = {
     pointsEarned,
     totalPoints,
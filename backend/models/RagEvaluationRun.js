@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * RagEvaluationRun Model
+ * One run of a golden question set through the RAG strategies: the settings
+ * it ran with, per-strategy averages and per-question results. Runs of the
+ * same set version are compared to see whether a change helped.
+ */
+
+const ragEvaluationRunSchema = new mongoose.Schema({
+  goldenSet: {
+    name: {
+      type: String,
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    // SHA-256 of the set file, to notice a set edited in place
+    contentHash: String
+  },
+
+  strategies: {
+    type: [String],
+    required: true
+  },
+
+  // Cut-off for recall@k and the topK passed to every strategy
+  k: {
+    type: Number,
+    required: true
+  },
+
+  // Free-text note on what is being tried, e.g. "new qaWithContext prompt"
+  label: {
+    type: String,
+    maxlength: 200
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  error: String,
+
+  trigger: {
+    type: String,
+    enum: ['admin', 'cli'],
+    required: true
+  },
+
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Model, thresholds and prompt hash the run used (see ragEvaluator.getSettings)
+  settings: mongoose.Schema.Types.Mixed,
+
+  // { strategy: { recallAtK, mrr, faithfulness, answerSimilarity, avgLatencyMs, questions, errors } }
+  summary: mongoose.Schema.Types.Mixed,
+
+  // Per question and strategy: metrics, retrieved sources, answer or error
+  results: [mongoose.Schema.Types.Mixed],
+
+  startedAt: Date,
+  completedAt: Date,
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+ragEvaluationRunSchema.index({ 'goldenSet.name': 1, 'goldenSet.version': 1, createdAt: -1 });
+
+export default mongoose.model('RagEvaluationRun', ragEvaluationRunSchema);
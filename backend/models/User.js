@@ -76,6 +76,31 @@ const userSchema = new mongoose.Schema({
       default: true
     }
   },
+  flashcardSettings: {
+    scheduler: {
+      type: String,
+      enum: ['sm2', 'fsrs'],
+      default: 'sm2'
+    },
+    desiredRetention: {
+      type: Number,
+      default: 0.9,
+      min: 0.7,
+      max: 0.97
+    },
+    maximumInterval: {
+      type: Number,
+      default: 36500, // days
+      min: 1
+    },
+    // Fitted FSRS parameters; empty means the defaults
+    fsrsParameters: {
+      type: [Number],
+      default: undefined
+    },
+    parametersOptimizedAt: Date,
+    optimizationReviewCount: Number
+  },
   reputation: {
     score: {
       type: Number,
@@ -354,7 +379,8 @@ const userSchema = new mongoose.Schema({
     }
   },
 
-  // Instructor Earnings
+  // Instructor Earnings (in cents). The balances are a cache of the ledger,
+  // kept up to date by services/ledgerService.js; never change them directly
   earnings: {
     totalEarned: {
       type: Number,
@@ -399,8 +425,22 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  resetPasswordToken: String,
+  verifiedAt: Date,
+  // Email tokens are stored as SHA-256 hashes and cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
   resetPasswordExpire: Date,
+  resetPasswordSentAt: Date,
+  // Tokens issued before this are no longer accepted (see protect)
+  passwordChangedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -419,6 +459,9 @@ userSchema.pre('save', async function(next) {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -433,6 +476,14 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Whether the password changed after a token was issued (iat is in seconds)
+userSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > iat;
+};
+
 // Update learning stats method
 userSchema.methods.updateLearningStats = function(updates) {
   Object.keys(updates).forEach(key => {
@@ -767,33 +818,4 @@ userSchema.methods.rejectInstructorApplication = function(reason) {
   return this.save();
 };
 
-// Add earnings
-userSchema.methods.addEarnings = function(amount, description) {
-  this.earnings.totalEarned += amount;
-  this.earnings.availableBalance += amount;
-
-  return this.save();
-};
-
-// Request payout
-userSchema.methods.requestPayout = function(amount) {
-  if (amount > this.earnings.availableBalance) {
-    throw new Error('Insufficient balance for payout');
-  }
-
-  this.earnings.availableBalance -= amount;
-  this.earnings.pendingBalance += amount;
-
-  return this.save();
-};
-
-// Complete payout
-userSchema.methods.completePayout = function(amount) {
-  this.earnings.pendingBalance -= amount;
-  this.earnings.totalWithdrawn += amount;
-  this.earnings.lastPayoutDate = new Date();
-
-  return this.save();
-};
-
 export default mongoose.model('User', userSchema);
@@ -259,7 +259,10 @@ const userProfileSchema = new mongoose.Schema({
     privacySettings: {
       allowAnalytics: { type: Boolean, default: true },
       allowPersonalization: { type: Boolean, default: true },
-      dataRetentionDays: { type: Number, default: 365 }
+      dataRetentionDays: { type: Number, default: 365 },
+      // Learner paused long-term memory extraction from their conversations
+      memoryExtractionPaused: { type: Boolean, default: false },
+      memoryExtractionPausedAt: Date
     }
   },
 
@@ -4,9 +4,12 @@
  * Uses Redis DB 2 for job queue data
  */
 
+import crypto from 'crypto';
 import { Queue } from 'bullmq';
 import { createQueueConnection } from '../config/redisCluster.js';
 import logger from '../config/logger.js';
+import { registerQueue } from '../utils/metrics.js';
+import { withSpan, withTraceContext, SpanKind } from '../utils/tracing.js';
 
 // Redis connection for BullMQ
 const connection = createQueueConnection();
@@ -53,6 +56,53 @@ export const aiQueue = new Queue('ai-response', {
   }
 });
 
+/**
+ * Document Ingestion Queue
+ * Parses, chunks and embeds uploaded documents into the vector store
+ */
+export const ingestionQueue = new Queue('document-ingestion', {
+  connection,
+  defaultJobOptions: {
+    ...defaultJobOptions,
+    removeOnComplete: {
+      age: 7 * 86400 // keep results 7 days for the job status API
+    },
+    removeOnFail: {
+      age: 7 * 86400
+    }
+  }
+});
+
+/**
+ * FSRS Optimizer Queue
+ * Fits a learner's flashcard scheduler parameters to their review history
+ */
+export const optimizerQueue = new Queue('fsrs-optimizer', {
+  connection,
+  defaultJobOptions: {
+    ...defaultJobOptions,
+    attempts: 1, // the fit is deterministic; a failure would fail again
+    removeOnComplete: {
+      age: 86400 // keep results a day for the job status API
+    }
+  }
+});
+
+/**
+ * Revision Notification Queue
+ * Emails a course's enrollees after a content revision is published
+ */
+export const notificationQueue = new Queue('revision-notifications', {
+  connection,
+  defaultJobOptions: {
+    ...defaultJobOptions,
+    attempts: 5 // retries resume after the last enrollee emailed
+  }
+});
+
+// Report job counts on /metrics
+[sttQueue, aiQueue, ingestionQueue, optimizerQueue, notificationQueue].forEach(registerQueue);
+
 // Queue event handlers
 sttQueue.on('error', (error) => {
   logger.error('STT Queue error', {
@@ -76,6 +126,46 @@ aiQueue.on('waiting', (job) => {
   logger.debug('AI job waiting', { jobId: job.id });
 });
 
+ingestionQueue.on('error', (error) => {
+  logger.error('Ingestion Queue error', {
+    error: error.message,
+    stack: error.stack
+  });
+});
+
+optimizerQueue.on('error', (error) => {
+  logger.error('Optimizer Queue error', {
+    error: error.message,
+    stack: error.stack
+  });
+});
+
+notificationQueue.on('error', (error) => {
+  logger.error('Notification Queue error', {
+    error: error.message,
+    stack: error.stack
+  });
+});
+
+/**
+ * Add a job inside a producer span; the job carries the trace context so the
+ * worker's span continues the same trace
+ */
+function addTracedJob(queue, name, data, options) {
+  return withSpan(`${queue.name} publish`, {
+    kind: SpanKind.PRODUCER,
+    attributes: {
+      'messaging.system': 'bullmq',
+      'messaging.destination.name': queue.name,
+      'messaging.operation': 'publish'
+    }
+  }, async (span) => {
+    const job = await queue.add(name, withTraceContext(data), options);
+    span.setAttribute('messaging.message.id', String(job.id));
+    return job;
+  });
+}
+
 /**
  * Add STT transcription job
  * @param {Object} data - Job data
@@ -86,7 +176,7 @@ aiQueue.on('waiting', (job) => {
  */
 export async function addSTTJob(data) {
   try {
-    const job = await sttQueue.add('transcribe', data, {
+    const job = await addTracedJob(sttQueue, 'transcribe', data, {
       priority: 1,
       jobId: `stt-${data.sessionId}-${Date.now()}`
     });
@@ -118,7 +208,7 @@ export async function addSTTJob(data) {
  */
 export async function addAIJob(data) {
   try {
-    const job = await aiQueue.add('generate-response', data, {
+    const job = await addTracedJob(aiQueue, 'generate-response', data, {
       priority: 2,
       jobId: `ai-${data.conversationId}-${Date.now()}`
     });
@@ -139,6 +229,92 @@ export async function addAIJob(data) {
   }
 }
 
+/**
+ * Add document ingestion job
+ * @param {Object} data - Job data
+ * @param {string} data.userId - Uploader
+ * @param {string} data.filePath - Uploaded file, removed once processed
+ * @param {string} data.filename - Original file name
+ * @param {string} data.type - Content type (knowledge, note, ...)
+ * @returns {Promise<Job>}
+ */
+export async function addIngestionJob(data) {
+  try {
+    const job = await addTracedJob(ingestionQueue, 'ingest-document', data, {
+      jobId: `ingest-${crypto.randomUUID()}`
+    });
+
+    logger.logJobQueued('Ingestion', job.id, {
+      userId: data.userId,
+      filename: data.filename
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('Failed to queue ingestion job', {
+      error: error.message,
+      stack: error.stack,
+      filename: data.filename
+    });
+    throw error;
+  }
+}
+
+/**
+ * Add FSRS parameter optimization job
+ * @param {Object} data - Job data
+ * @param {string} data.userId - Learner whose review history is fitted
+ * @returns {Promise<Job>}
+ */
+export async function addOptimizerJob(data) {
+  try {
+    const job = await addTracedJob(optimizerQueue, 'optimize-parameters', data, {
+      jobId: `fsrs-optimize-${crypto.randomUUID()}`
+    });
+
+    logger.logJobQueued('Optimizer', job.id, {
+      userId: data.userId
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('Failed to queue optimizer job', {
+      error: error.message,
+      stack: error.stack,
+      userId: data.userId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Add revision notification job (one per revision; queuing it again is a no-op
+ * while the first job is kept)
+ * @param {Object} data - Job data
+ * @param {string} data.revisionId - Published content revision
+ * @returns {Promise<Job>}
+ */
+export async function addRevisionNotificationJob(data) {
+  try {
+    const job = await addTracedJob(notificationQueue, 'notify-enrollees', data, {
+      jobId: `revision-notify-${data.revisionId}`
+    });
+
+    logger.logJobQueued('Notification', job.id, {
+      revisionId: data.revisionId
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('Failed to queue revision notification job', {
+      error: error.message,
+      stack: error.stack,
+      revisionId: data.revisionId
+    });
+    throw error;
+  }
+}
+
 /**
  * Get queue statistics
  * @param {Queue} queue - BullMQ queue
@@ -177,14 +353,20 @@ export async function getQueueStats(queue) {
  */
 export async function cleanOldJobs(gracePeriod = 86400000) {
   try {
-    const [sttCleaned, aiCleaned] = await Promise.all([
+    const [sttCleaned, aiCleaned, ingestionCleaned, optimizerCleaned, notificationCleaned] = await Promise.all([
       sttQueue.clean(gracePeriod, 100, 'completed'),
-      aiQueue.clean(gracePeriod, 100, 'completed')
+      aiQueue.clean(gracePeriod, 100, 'completed'),
+      ingestionQueue.clean(gracePeriod, 100, 'completed'),
+      optimizerQueue.clean(gracePeriod, 100, 'completed'),
+      notificationQueue.clean(gracePeriod, 100, 'completed')
     ]);
 
     logger.info('Old jobs cleaned', {
       sttCleaned: sttCleaned.length,
-      aiCleaned: aiCleaned.length
+      aiCleaned: aiCleaned.length,
+      ingestionCleaned: ingestionCleaned.length,
+      optimizerCleaned: optimizerCleaned.length,
+      notificationCleaned: notificationCleaned.length
     });
   } catch (error) {
     logger.error('Failed to clean old jobs', {
@@ -201,7 +383,10 @@ export async function pauseAllQueues() {
   try {
     await Promise.all([
       sttQueue.pause(),
-      aiQueue.pause()
+      aiQueue.pause(),
+      ingestionQueue.pause(),
+      optimizerQueue.pause(),
+      notificationQueue.pause()
     ]);
 
     logger.info('All queues paused');
@@ -219,7 +404,10 @@ export async function resumeAllQueues() {
   try {
     await Promise.all([
       sttQueue.resume(),
-      aiQueue.resume()
+      aiQueue.resume(),
+      ingestionQueue.resume(),
+      optimizerQueue.resume(),
+      notificationQueue.resume()
     ]);
 
     logger.info('All queues resumed');
@@ -239,7 +427,10 @@ export async function shutdownQueues() {
   try {
     await Promise.all([
       sttQueue.close(),
-      aiQueue.close()
+      aiQueue.close(),
+      ingestionQueue.close(),
+      optimizerQueue.close(),
+      notificationQueue.close()
     ]);
 
     logger.info('All queues shut down successfully');
@@ -254,8 +445,14 @@ export async function shutdownQueues() {
 export default {
   sttQueue,
   aiQueue,
+  ingestionQueue,
+  optimizerQueue,
+  notificationQueue,
   addSTTJob,
   addAIJob,
+  addIngestionJob,
+  addOptimizerJob,
+  addRevisionNotificationJob,
   getQueueStats,
   cleanOldJobs,
   pauseAllQueues,
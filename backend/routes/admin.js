@@ -6,6 +6,25 @@ import Course from '../models/Course.js';
 import AIUsageLog from '../models/AIUsageLog.js';
 import AdminActionLog from '../models/AdminActionLog.js';
 import Enrollment from '../models/Enrollment.js';
+import RagEvaluationRun from '../models/RagEvaluationRun.js';
+import { listGoldenSets } from '../ai/evaluation/goldenSets.js';
+import {
+  createEvaluationRun,
+  queueEvaluationRun,
+  getPreviousRun,
+  compareRuns
+} from '../services/ragEvaluationService.js';
+import { listFlaggedReviews, moderateReview } from '../services/courseReviewService.js';
+import { searchOrders, refundOrder } from '../services/checkoutService.js';
+import {
+  listPayouts,
+  approvePayout,
+  rejectPayout,
+  getStatement,
+  statementToCSV,
+  reconcile
+} from '../services/ledgerService.js';
+import { searchCertificates, revokeCertificate } from '../services/certificateService.js';
 
 const router = express.Router();
 
@@ -428,6 +447,308 @@ router.post(
   }
 );
 
+// ====================================
+// ORDERS
+// ====================================
+
+/**
+ * @route   GET /api/admin/orders
+ * @desc    Course orders, filterable by status, courseId and userId
+ * @access  Admin only
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, courseId, userId, page, limit } = req.query;
+    const { orders, pagination } = await searchOrders({ status, courseId, userId, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:orderId/refund
+ * @desc    Refund an order in full or in part ({ amount } in cents, reason)
+ * @access  Admin only
+ */
+router.post(
+  '/orders/:orderId/refund',
+  logAdminAction('refund_order'),
+  async (req, res) => {
+    try {
+      const { amount, reason } = req.body;
+      const order = await refundOrder(req.params.orderId, {
+        amount,
+        reason,
+        requestedBy: req.user._id
+      });
+
+      const refund = order.refunds[order.refunds.length - 1];
+
+      res.json({
+        success: true,
+        message: refund.status === 'succeeded' ? 'Refund completed' : 'Refund requested',
+        data: order
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// ====================================
+// PAYOUTS & LEDGER
+// ====================================
+
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    Contributor payouts, filterable by status (requested = waiting for review)
+ * @access  Admin only
+ */
+router.get('/payouts', async (req, res) => {
+  try {
+    const { status, userId, page, limit } = req.query;
+    const { payouts, pagination } = await listPayouts({ status, userId, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payouts/:payoutId/approve
+ * @desc    Mark a requested payout as paid ({ reference } of the transfer)
+ * @access  Admin only
+ */
+router.post(
+  '/payouts/:payoutId/approve',
+  logAdminAction('approve_payout'),
+  async (req, res) => {
+    try {
+      const payout = await approvePayout(req.params.payoutId, req.user._id, { reference: req.body.reference });
+
+      res.json({
+        success: true,
+        message: 'Payout marked as paid',
+        data: payout
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/payouts/:payoutId/reject
+ * @desc    Reject a requested payout ({ reason }); the amount becomes available again
+ * @access  Admin only
+ */
+router.post(
+  '/payouts/:payoutId/reject',
+  logAdminAction('reject_payout'),
+  async (req, res) => {
+    try {
+      const payout = await rejectPayout(req.params.payoutId, req.user._id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Payout rejected',
+        data: payout
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/earnings/:userId/statements/:year/:month
+ * @desc    A contributor's monthly earnings statement (?format=csv)
+ * @access  Admin only
+ */
+router.get('/earnings/:userId/statements/:year/:month', async (req, res) => {
+  try {
+    const { userId, year, month } = req.params;
+    const statement = await getStatement(userId, year, month);
+
+    if (req.query.format === 'csv') {
+      res.attachment(`statement-${userId}-${year}-${String(month).padStart(2, '0')}.csv`);
+      return res.type('text/csv').send(statementToCSV(statement));
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ledger/reconciliation?from=&to=
+ * @desc    Check the ledger against orders, payouts and cached user earnings
+ * @access  Admin only
+ */
+router.get('/ledger/reconciliation', async (req, res) => {
+  try {
+    const report = await reconcile({ from: req.query.from, to: req.query.to });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ====================================
+// REVIEW MODERATION
+// ====================================
+
+/**
+ * @route   GET /api/admin/reviews/flagged
+ * @desc    Course reviews held by the content check or by learner reports
+ * @access  Admin only
+ */
+router.get('/reviews/flagged', async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { reviews, pagination } = await listFlaggedReviews({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/reviews/:reviewId/moderate
+ * @desc    Publish, hide or remove a course review
+ * @access  Admin only
+ */
+router.post(
+  '/reviews/:reviewId/moderate',
+  logAdminAction('moderate_review'),
+  async (req, res) => {
+    try {
+      const { action, note } = req.body;
+      const review = await moderateReview(req.params.reviewId, req.user._id, { action, note });
+
+      res.json({
+        success: true,
+        message: `Review ${review.status}`,
+        data: review
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// ====================================
+// CERTIFICATES
+// ====================================
+
+/**
+ * @route   GET /api/admin/certificates
+ * @desc    Issued certificates, filterable by status, courseId, userId or verification ID (q)
+ * @access  Admin only
+ */
+router.get('/certificates', async (req, res) => {
+  try {
+    const { status, courseId, userId, q, page, limit } = req.query;
+    const { certificates, pagination } = await searchCertificates({ status, courseId, userId, q, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        certificates,
+        pagination
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/certificates/:certificateId/revoke
+ * @desc    Revoke a certificate ({ reason }); verification then reports it as revoked
+ * @access  Admin only
+ */
+router.post(
+  '/certificates/:certificateId/revoke',
+  logAdminAction('revoke_certificate'),
+  async (req, res) => {
+    try {
+      const certificate = await revokeCertificate(req.params.certificateId, req.user._id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Certificate revoked',
+        data: certificate
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
 // ====================================
 // USER MANAGEMENT
 // ====================================
@@ -642,4 +963,193 @@ router.get('/logs/actions', async (req, res) => {
   }
 });
 
+// ====================================
+// RAG EVALUATION
+// ====================================
+
+/**
+ * @route   GET /api/admin/rag-eval/golden-sets
+ * @desc    List golden question sets and their versions
+ * @access  Admin only
+ */
+router.get('/rag-eval/golden-sets', async (req, res) => {
+  try {
+    const goldenSets = await listGoldenSets();
+
+    res.json({
+      success: true,
+      data: {
+        goldenSets
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/rag-eval/runs
+ * @desc    Start an evaluation run of a golden set (runs in the background)
+ * @access  Admin only
+ */
+router.post(
+  '/rag-eval/runs',
+  logAdminAction('run_rag_evaluation'),
+  async (req, res) => {
+    try {
+      const { goldenSet, version, strategies, k, label } = req.body;
+
+      if (!goldenSet || typeof goldenSet !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Golden set name is required'
+        });
+      }
+
+      if (strategies !== undefined && (!Array.isArray(strategies) || strategies.some(s => typeof s !== 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Strategies must be a list of strategy names'
+        });
+      }
+
+      if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > 50)) {
+        return res.status(400).json({
+          success: false,
+          error: 'k must be an integer between 1 and 50'
+        });
+      }
+
+      const run = await createEvaluationRun({
+        goldenSet,
+        version: version !== undefined ? Number(version) : undefined,
+        strategies,
+        k,
+        label,
+        trigger: 'admin',
+        triggeredBy: req.user._id
+      });
+      queueEvaluationRun(run._id);
+
+      res.status(202).json({
+        success: true,
+        message: `Evaluation of ${run.goldenSet.name} v${run.goldenSet.version} started`,
+        data: {
+          run
+        }
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/rag-eval/runs
+ * @desc    List evaluation runs (summaries only), newest first
+ * @access  Admin only
+ */
+router.get('/rag-eval/runs', async (req, res) => {
+  try {
+    const { goldenSet, limit = 20 } = req.query;
+    const filter = goldenSet ? { 'goldenSet.name': goldenSet } : {};
+
+    const runs = await RagEvaluationRun.find(filter)
+      .select('-results')
+      .populate('triggeredBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      data: {
+        runs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/rag-eval/runs/:id
+ * @desc    Get an evaluation report, compared with the previous run of the same golden set
+ * @access  Admin only
+ */
+router.get('/rag-eval/runs/:id', async (req, res) => {
+  try {
+    const run = await RagEvaluationRun.findById(req.params.id)
+      .populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found'
+      });
+    }
+
+    const previous = run.status === 'completed' ? await getPreviousRun(run) : null;
+
+    res.json({
+      success: true,
+      data: {
+        run,
+        comparison: previous ? compareRuns(previous, run) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/rag-eval/runs/:id/compare/:baselineId
+ * @desc    Compare an evaluation run with a chosen baseline run
+ * @access  Admin only
+ */
+router.get('/rag-eval/runs/:id/compare/:baselineId', async (req, res) => {
+  try {
+    const [run, baseline] = await Promise.all([
+      RagEvaluationRun.findById(req.params.id).select('-results'),
+      RagEvaluationRun.findById(req.params.baselineId).select('-results')
+    ]);
+
+    if (!run || !baseline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found'
+      });
+    }
+
+    if (run.status !== 'completed' || baseline.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed runs can be compared'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareRuns(baseline, run)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 export default router;
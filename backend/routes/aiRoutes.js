@@ -4,13 +4,45 @@
  */
 
 import express from 'express';
+import fs from 'fs';
+import multer from 'multer';
 import aiController from '../controllers/aiController.js';
-import { chatStream } from '../controllers/aiStreamController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { chatStream, cancelChatStream } from '../controllers/aiStreamController.js';
+import { protect, authorize, requireVerified } from '../middleware/authMiddleware.js';
 import { rateLimitMiddleware } from '../middleware/cacheRateLimiter.js';
+import { detectFormat, SUPPORTED_FORMATS } from '../ai/vectorstore/documentParsers.js';
+import aiConfig from '../config/ai.js';
 
 const router = express.Router();
 
+// Uploaded documents go to disk; the ingestion worker removes them when done
+const { uploadDir, maxFileSizeMB, maxFilesPerUpload } = aiConfig.ingestion;
+fs.mkdirSync(uploadDir, { recursive: true });
+
+const documentUpload = multer({
+  dest: uploadDir,
+  limits: {
+    fileSize: maxFileSizeMB * 1024 * 1024,
+    files: maxFilesPerUpload,
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectFormat(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      const extensions = Object.values(SUPPORTED_FORMATS).flatMap((format) => format.extensions);
+      cb(new Error(`Unsupported file type: ${file.originalname}. Allowed: ${extensions.join(', ')}`));
+    }
+  },
+}).array('files', maxFilesPerUpload);
+
+// Answer upload problems (size, count, type) with a 400 instead of a server error
+const uploadDocuments = (req, res, next) => documentUpload(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  next();
+});
+
 // Rate limiting for AI endpoints
 const aiRateLimit = rateLimitMiddleware({
   keyPrefix: 'ai',
@@ -19,20 +51,31 @@ const aiRateLimit = rateLimitMiddleware({
 });
 
 // Chat endpoints (automatic mode detection)
-router.post('/chat', protect, aiRateLimit, aiController.chat); // Smart chat with auto-detection
-router.post('/chat/simple', protect, aiRateLimit, aiController.chatSimple); // Explicit simple chat
-router.post('/chat/stream', protect, aiRateLimit, chatStream); // Streaming endpoint
-router.post('/tutor', protect, aiRateLimit, aiController.tutorChat); // AI Tutor endpoint
-router.post('/rag/query', protect, aiRateLimit, aiController.ragQuery); // Explicit RAG query
+router.post('/chat', protect, requireVerified, aiRateLimit, aiController.chat); // Smart chat with auto-detection
+router.post('/chat/simple', protect, requireVerified, aiRateLimit, aiController.chatSimple); // Explicit simple chat
+router.post('/chat/stream', protect, requireVerified, aiRateLimit, chatStream); // Streaming endpoint
+router.post('/chat/stream/:streamId/cancel', protect, cancelChatStream);
+router.post('/tutor', protect, requireVerified, aiRateLimit, aiController.tutorChat); // AI Tutor endpoint
+router.post('/rag/query', protect, requireVerified, aiRateLimit, aiController.ragQuery); // Explicit RAG query
 
 // Embeddings
-router.post('/embeddings', protect, aiRateLimit, aiController.generateEmbeddings);
+router.post('/embeddings', protect, requireVerified, aiRateLimit, aiController.generateEmbeddings);
 
 // Semantic search
 router.post('/search', protect, aiController.semanticSearch);
 
 // Content ingestion
-router.post('/ingest', protect, aiController.ingestContent);
+router.post('/ingest', protect, requireVerified, aiController.ingestContent);
+router.post(
+  '/ingest/files',
+  protect,
+  requireVerified,
+  authorize('verified_instructor', 'platform_author', 'admin'),
+  uploadDocuments,
+  aiController.ingestFiles
+);
+router.get('/ingest/jobs', protect, aiController.getIngestionJobs);
+router.get('/ingest/jobs/:jobId', protect, aiController.getIngestionJob);
 
 // Stats and health
 router.get('/stats', protect, aiController.getStats);
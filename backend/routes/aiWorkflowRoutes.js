@@ -4,11 +4,14 @@
  */
 
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
+import { requireAdmin, isAdmin } from '../middleware/adminMiddleware.js';
+import { chatLimiter } from '../middleware/rateLimiter.js';
 import advancedRagChain from '../ai/chains/advancedRagChain.js';
 import adaptiveTutorGraph from '../ai/graphs/adaptiveTutorGraph.js';
 import platformServer from '../ai/mcp/servers/platformServer.js';
 import statePersistence from '../ai/state/statePersistence.js';
+import { validate, hybridSearchSchema } from '../ai/security/inputValidator.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -21,7 +24,7 @@ const router = express.Router();
  * POST /api/ai/workflows/rag/multi-query
  * Multi-query RAG retrieval
  */
-router.post('/rag/multi-query', protect, async (req, res) => {
+router.post('/rag/multi-query', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { query, collectionKey, topK, numQueries } = req.body;
 
@@ -49,7 +52,7 @@ router.post('/rag/multi-query', protect, async (req, res) => {
  * POST /api/ai/workflows/rag/conversational
  * Conversational RAG with history
  */
-router.post('/rag/conversational', protect, async (req, res) => {
+router.post('/rag/conversational', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { query, collectionKey, topK, conversationHistory } = req.body;
 
@@ -77,7 +80,7 @@ router.post('/rag/conversational', protect, async (req, res) => {
  * POST /api/ai/workflows/rag/self-query
  * Self-query RAG with metadata extraction
  */
-router.post('/rag/self-query', protect, async (req, res) => {
+router.post('/rag/self-query', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { query, collectionKey, topK } = req.body;
 
@@ -102,21 +105,18 @@ router.post('/rag/self-query', protect, async (req, res) => {
 
 /**
  * POST /api/ai/workflows/rag/hybrid
- * Hybrid semantic + keyword search
+ * Hybrid semantic + BM25 keyword search
+ * Body: query, collectionKey, topK, where, fusion (rrf | weighted), alpha, rrfK, candidates
  */
-router.post('/rag/hybrid', protect, async (req, res) => {
+router.post('/rag/hybrid', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
-    const { query, collectionKey, topK, alpha } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    const validation = validate(hybridSearchSchema, req.body);
+    if (!validation.success) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    const result = await advancedRagChain.hybridSearch(query, {
-      collectionKey,
-      topK,
-      alpha,
-    });
+    const { query, ...options } = validation.data;
+    const result = await advancedRagChain.hybridSearch(query, options);
 
     res.json({
       success: true,
@@ -132,11 +132,18 @@ router.post('/rag/hybrid', protect, async (req, res) => {
 // Adaptive Tutor Workflow Endpoints
 // ============================================
 
+// Tutor sessions are checkpoints keyed by session id; only the learner who
+// started one may read, continue or end it
+const ownsTutorSession = async (sessionId, userId) => {
+  const checkpoint = await statePersistence.loadCheckpoint(sessionId);
+  return Boolean(checkpoint) && String(checkpoint.userId) === String(userId);
+};
+
 /**
  * POST /api/ai/workflows/tutor/start
  * Start a new adaptive tutoring session
  */
-router.post('/tutor/start', protect, async (req, res) => {
+router.post('/tutor/start', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { topic, level = 'beginner' } = req.body;
 
@@ -160,7 +167,7 @@ router.post('/tutor/start', protect, async (req, res) => {
  * POST /api/ai/workflows/tutor/interact
  * Continue tutoring session with user message
  */
-router.post('/tutor/interact', protect, async (req, res) => {
+router.post('/tutor/interact', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { sessionId, message } = req.body;
 
@@ -168,6 +175,10 @@ router.post('/tutor/interact', protect, async (req, res) => {
       return res.status(400).json({ error: 'SessionId and message are required' });
     }
 
+    if (!(await ownsTutorSession(sessionId, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     const result = await adaptiveTutorGraph.interact(sessionId, message);
 
     res.json({
@@ -184,10 +195,14 @@ router.post('/tutor/interact', protect, async (req, res) => {
  * GET /api/ai/workflows/tutor/session/:sessionId
  * Get tutoring session state
  */
-router.get('/tutor/session/:sessionId', protect, async (req, res) => {
+router.get('/tutor/session/:sessionId', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
+    if (!(await ownsTutorSession(sessionId, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     const result = await adaptiveTutorGraph.getSession(sessionId);
 
     if (!result) {
@@ -208,7 +223,7 @@ router.get('/tutor/session/:sessionId', protect, async (req, res) => {
  * POST /api/ai/workflows/tutor/end
  * End tutoring session
  */
-router.post('/tutor/end', protect, async (req, res) => {
+router.post('/tutor/end', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { sessionId } = req.body;
 
@@ -216,6 +231,10 @@ router.post('/tutor/end', protect, async (req, res) => {
       return res.status(400).json({ error: 'SessionId is required' });
     }
 
+    if (!(await ownsTutorSession(sessionId, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     const result = await adaptiveTutorGraph.endSession(sessionId);
 
     res.json({
@@ -232,7 +251,7 @@ router.post('/tutor/end', protect, async (req, res) => {
  * GET /api/ai/workflows/tutor/sessions
  * List user's tutoring sessions
  */
-router.get('/tutor/sessions', protect, async (req, res) => {
+router.get('/tutor/sessions', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const sessions = await statePersistence.listCheckpoints('tutor', req.user.id);
 
@@ -254,7 +273,7 @@ router.get('/tutor/sessions', protect, async (req, res) => {
  * GET /api/ai/workflows/mcp/tools
  * List available MCP tools
  */
-router.get('/mcp/tools', protect, async (req, res) => {
+router.get('/mcp/tools', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const tools = platformServer.getToolDefinitions();
 
@@ -273,7 +292,7 @@ router.get('/mcp/tools', protect, async (req, res) => {
  * POST /api/ai/workflows/mcp/execute
  * Execute an MCP tool
  */
-router.post('/mcp/execute', protect, async (req, res) => {
+router.post('/mcp/execute', protect, requireVerified, chatLimiter, async (req, res) => {
   try {
     const { tool, input } = req.body;
 
@@ -284,7 +303,7 @@ router.post('/mcp/execute', protect, async (req, res) => {
     const context = {
       user: {
         id: req.user.id,
-        isAdmin: req.user.isAdmin || false,
+        isAdmin: isAdmin(req),
       },
       ipAddress: req.ip,
     };
@@ -304,9 +323,9 @@ router.post('/mcp/execute', protect, async (req, res) => {
 
 /**
  * GET /api/ai/workflows/mcp/stats
- * Get MCP server statistics
+ * Get MCP server statistics (admin only)
  */
-router.get('/mcp/stats', protect, async (req, res) => {
+router.get('/mcp/stats', protect, requireAdmin, async (req, res) => {
   try {
     const stats = platformServer.getStats();
 
@@ -344,9 +363,9 @@ router.get('/mcp/health', async (req, res) => {
 
 /**
  * GET /api/ai/workflows/state/stats
- * Get state persistence statistics
+ * Get state persistence statistics (admin only)
  */
-router.get('/state/stats', protect, async (req, res) => {
+router.get('/state/stats', protect, requireAdmin, async (req, res) => {
   try {
     const stats = await statePersistence.getStats();
 
@@ -4,20 +4,28 @@ import {
   login,
   getMe,
   updatePassword,
-  logout
+  logout,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 } from '../controllers/authController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { authLimiter } from '../middleware/rateLimiter.js';
+import { authLimiter, authEmailLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authLimiter, register);
 router.post('/login', authLimiter, login);
+router.post('/forgot-password', authEmailLimiter, forgotPassword);
+router.post('/reset-password', authLimiter, resetPassword);
+router.post('/verify-email', authLimiter, verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/update-password', protect, updatePassword);
 router.post('/logout', protect, logout);
+router.post('/verify-email/resend', protect, authEmailLimiter, resendVerificationEmail);
 
 export default router;
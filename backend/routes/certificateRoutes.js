@@ -0,0 +1,92 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  listUserCertificates,
+  issueCertificate,
+  formatCertificate,
+  renderCertificate
+} from '../services/certificateService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const sendError = (res, error) => {
+  if (!error.status) {
+    console.error('Certificate error:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/certificates
+ * @desc    Get user's certificates (including revoked ones)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const certificates = await listUserCertificates(req.user._id);
+
+    res.json({
+      success: true,
+      count: certificates.length,
+      data: certificates
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/certificates/courses/:courseId
+ * @desc    Claim the certificate of a completed course (lists what is missing otherwise)
+ * @access  Private
+ */
+router.post('/courses/:courseId', async (req, res) => {
+  try {
+    const { certificate, created, eligibility } = await issueCertificate(req.user._id, req.params.courseId);
+
+    if (!certificate) {
+      return res.status(400).json({
+        success: false,
+        error: eligibility.reason,
+        data: {
+          missingQuizzes: eligibility.missingQuizzes
+        }
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Certificate issued' : undefined,
+      data: formatCertificate(certificate, { includeOwner: true })
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/certificates/:verificationId/download?format=pdf|png
+ * @desc    Download a certificate as PDF (default) or PNG
+ * @access  Private (owner or admin)
+ */
+router.get('/:verificationId/download', async (req, res) => {
+  try {
+    const { buffer, contentType, filename } = await renderCertificate(
+      req.params.verificationId,
+      req.user,
+      req.query.format || 'pdf'
+    );
+
+    res.attachment(filename);
+    res.type(contentType).send(buffer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
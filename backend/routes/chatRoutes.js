@@ -1,15 +1,25 @@
 import express from 'express';
 import {
   sendMessage,
-  getConversationMessages
+  getConversationMessages,
+  getConversationBranch,
+  setActiveBranch,
+  editMessage,
+  regenerateMessage
 } from '../controllers/chatController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 import { chatLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
 // All routes are protected
-router.post('/message', protect, chatLimiter, sendMessage);
+router.post('/message', protect, requireVerified, chatLimiter, sendMessage);
 router.get('/conversation/:conversationId', protect, getConversationMessages);
 
+// Branching: edited questions and regenerated answers become alternatives of the original
+router.post('/message/:messageId/edit', protect, requireVerified, chatLimiter, editMessage);
+router.post('/message/:messageId/regenerate', protect, requireVerified, chatLimiter, regenerateMessage);
+router.get('/conversation/:conversationId/branch/:messageId', protect, getConversationBranch);
+router.put('/conversation/:conversationId/branch', protect, setActiveBranch);
+
 export default router;
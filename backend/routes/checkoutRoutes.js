@@ -0,0 +1,278 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  quote,
+  createCheckout,
+  handleWebhook,
+  cancelOrder,
+  refundOrder,
+  listOrders,
+  getOrder,
+  createCoupon,
+  listCoupons,
+  updateCoupon
+} from '../services/checkoutService.js';
+import { getPaymentProvider } from '../services/paymentService.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  if (!error.status) {
+    console.error('Checkout error:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @route   POST /api/checkout/webhooks/:provider
+ * @desc    Payment provider events (payment and refund confirmations)
+ * @access  Public (verified by the provider's signature over the raw body)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { duplicate } = await handleWebhook(req.params.provider, req.body, req.headers);
+
+    res.json({
+      success: true,
+      data: {
+        received: true,
+        duplicate: Boolean(duplicate)
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.use(protect);
+
+/**
+ * @route   POST /api/checkout/quote
+ * @desc    Price of a course with an optional coupon
+ * @access  Private
+ */
+router.post('/quote', async (req, res) => {
+  try {
+    const { courseId, couponCode } = req.body;
+    const { coupon, ...price } = await quote(courseId, req.user._id, couponCode);
+
+    res.json({
+      success: true,
+      data: {
+        ...price,
+        couponCode: coupon?.code || null
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/checkout
+ * @desc    Start checkout for a course; pay at data.checkoutUrl
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { courseId, couponCode } = req.body;
+    const order = await createCheckout(courseId, req.user._id, { couponCode });
+
+    res.status(201).json({
+      success: true,
+      message: order.status === 'paid' ? 'Enrolled' : 'Complete the payment to enroll',
+      data: {
+        orderId: order._id,
+        status: order.status,
+        currency: order.currency,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        total: order.total,
+        checkoutUrl: order.checkoutUrl
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/checkout/fake/:paymentId
+ * @desc    Finish a payment with the local fake provider ({ outcome: 'succeeded'|'failed' })
+ * @access  Private (development only)
+ */
+router.post('/fake/:paymentId', async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      success: false,
+      error: 'Not found'
+    });
+  }
+
+  try {
+    const { outcome = 'succeeded' } = req.body;
+    const { payload, headers } = getPaymentProvider('fake').simulatePayment(req.params.paymentId, outcome);
+    // Goes through the same signature check and handling as a real webhook delivery
+    const { order } = await handleWebhook('fake', payload, headers);
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order?._id,
+        status: order?.status
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/checkout/orders
+ * @desc    Get user's orders
+ * @access  Private
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { orders, pagination } = await listOrders(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/checkout/orders/:orderId
+ * @desc    Get an order (poll after paying until it is `paid`)
+ * @access  Private
+ */
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const order = await getOrder(req.params.orderId, req.user._id);
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/checkout/orders/:orderId/cancel
+ * @desc    Cancel a pending order
+ * @access  Private
+ */
+router.post('/orders/:orderId/cancel', async (req, res) => {
+  try {
+    const order = await cancelOrder(req.params.orderId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled',
+      data: {
+        orderId: order._id,
+        status: order.status
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/checkout/orders/:orderId/refund
+ * @desc    Refund a recent purchase (within the refund window and progress limit)
+ * @access  Private
+ */
+router.post('/orders/:orderId/refund', async (req, res) => {
+  try {
+    const order = await refundOrder(req.params.orderId, {
+      reason: req.body.reason,
+      requestedBy: req.user._id,
+      selfService: true
+    });
+    const refund = order.refunds[order.refunds.length - 1];
+
+    res.json({
+      success: true,
+      message: refund.status === 'succeeded' ? 'Order refunded' : 'Refund requested',
+      data: {
+        orderId: order._id,
+        status: order.status,
+        refundedAmount: order.refundedAmount
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/checkout/coupons?courseId=
+ * @desc    List coupons of a course (all coupons for admins without courseId)
+ * @access  Private (course creator or admin)
+ */
+router.get('/coupons', async (req, res) => {
+  try {
+    const coupons = await listCoupons(req.user, req.query.courseId);
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/checkout/coupons
+ * @desc    Create a coupon for a course (or every course, admins only)
+ * @access  Private (course creator or admin)
+ */
+router.post('/coupons', async (req, res) => {
+  try {
+    const coupon = await createCoupon(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   PATCH /api/checkout/coupons/:couponId
+ * @desc    Change a coupon's limits or dates, or deactivate it
+ * @access  Private (course creator or admin)
+ */
+router.patch('/coupons/:couponId', async (req, res) => {
+  try {
+    const coupon = await updateCoupon(req.user, req.params.couponId, req.body);
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
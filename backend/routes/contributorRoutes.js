@@ -1,7 +1,9 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { protect } from '../middleware/authMiddleware.js';
 import { canEditContent } from '../middleware/courseAuth.js';
 import CourseImprovement from '../models/CourseImprovement.js';
+import ContentRevision from '../models/ContentRevision.js';
 import Course from '../models/Course.js';
 import User from '../models/User.js';
 
@@ -85,6 +87,7 @@ router.get('/:courseId/improvements', async (req, res) => {
       .populate('implementedBy', 'name')
       .populate('targetSection.module', 'title')
       .populate('targetSection.lesson', 'title')
+      .populate('revision', 'entityType entity number status')
       .sort(sort);
 
     res.json({
@@ -141,7 +144,7 @@ router.post('/:courseId/improvements/:improvementId/upvote', protect, async (req
 
 /**
  * @route   PUT /api/courses/:courseId/improvements/:improvementId/implement
- * @desc    Mark an improvement as implemented (founders/co-creators only)
+ * @desc    Mark an improvement as implemented, optionally linking the content revision it produced (body: notes, revisionId)
  * @access  Private (Founder/Co-creator)
  */
 router.put(
@@ -159,7 +162,7 @@ router.put(
       }
 
       const improvementId = req.params.improvementId;
-      const { notes } = req.body;
+      const { notes, revisionId } = req.body;
       const implementerId = req.user._id;
       const course = req.course;
 
@@ -172,13 +175,26 @@ router.put(
         });
       }
 
+      // The content revision the improvement produced, if any
+      if (revisionId) {
+        const revision = mongoose.Types.ObjectId.isValid(revisionId)
+          && await ContentRevision.exists({ _id: revisionId, course: course._id });
+
+        if (!revision) {
+          return res.status(404).json({
+            success: false,
+            error: 'Revision not found'
+          });
+        }
+      }
+
       // Calculate revenue share for the contributor
       const contributor = await User.findById(improvement.suggestedBy);
       const implementationsCount = contributor.contributorActivity.suggestionsImplemented + 1;
       const revenueShare = course.calculateContributorRevenue(implementationsCount);
 
       // Mark as implemented
-      await improvement.markImplemented(implementerId, revenueShare, notes);
+      await improvement.markImplemented(implementerId, revenueShare, notes, revisionId);
 
       // Add or update contributor in course
       const existingContributor = course.contributors.find(
@@ -212,6 +228,7 @@ router.put(
       // Populate for response
       await improvement.populate('suggestedBy', 'name email reputation');
       await improvement.populate('implementedBy', 'name');
+      await improvement.populate('revision', 'entityType entity number status');
 
       res.json({
         success: true,
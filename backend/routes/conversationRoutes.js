@@ -5,7 +5,12 @@ import {
   createConversation,
   updateConversation,
   deleteConversation,
-  searchConversations
+  searchConversations,
+  exportConversation,
+  createShareLink,
+  getShareLinks,
+  deleteShareLink,
+  getSharedConversation
 } from '../controllers/conversationController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -24,6 +29,15 @@ router.get('/', protect, getConversations);
 router.post('/', protect, createConversation);
 router.get('/search', protect, searchConversations);
 
+// Public read-only transcript behind a share link (no auth)
+router.get('/shared/:token', getSharedConversation);
+
+// Export and share links
+router.get('/:id/export', protect, exportConversation);
+router.get('/:id/shares', protect, getShareLinks);
+router.post('/:id/shares', protect, createShareLink);
+router.delete('/:id/shares/:shareId', protect, deleteShareLink);
+
 // Get messages for a conversation (must be before /:id route)
 console.log('📝 Registering route: GET /:conversationId/messages');
 router.get('/:conversationId/messages', protect, async (req, res) => {
@@ -1,9 +1,12 @@
 import express from 'express';
 import Course from '../models/Course.js';
 import Module from '../models/Module.js';
-import Enrollment from '../models/Enrollment.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 import courseGenerator from '../services/courseGenerator.js';
+import { createReview, listReviews, formatReview } from '../services/courseReviewService.js';
+import { enroll } from '../services/checkoutService.js';
+import { listCourseQuizzes, linkCourseQuiz, unlinkCourseQuiz } from '../services/certificateService.js';
+import { splitChanges, saveDraft, publishRevision } from '../services/contentRevisionService.js';
 
 const router = express.Router();
 
@@ -96,7 +99,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Generate course using AI
  * @access  Private
  */
-router.post('/generate', protect, async (req, res) => {
+router.post('/generate', protect, requireVerified, async (req, res) => {
   try {
     const { prompt, level, numModules, lessonsPerModule } = req.body;
 
@@ -132,7 +135,7 @@ router.post('/generate', protect, async (req, res) => {
  * @desc    Generate course preview (without saving)
  * @access  Private
  */
-router.post('/generate/preview', protect, async (req, res) => {
+router.post('/generate/preview', protect, requireVerified, async (req, res) => {
   try {
     const { prompt, level, numModules } = req.body;
 
@@ -230,7 +233,7 @@ router.post('/', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/courses/:id
- * @desc    Update course
+ * @desc    Update course; content fields are saved as a draft revision once the course is published
  * @access  Private (creator only)
  */
 router.put('/:id', protect, async (req, res) => {
@@ -252,18 +255,39 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    course = await Course.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Content edits go to a draft revision; learners see them once it is published
+    const { revisionMessage, ...changes } = req.body;
+    const { direct } = splitChanges('course', changes);
+    const wasPublished = course.isPublished;
+
+    if (Object.keys(direct).length > 0) {
+      course = await Course.findByIdAndUpdate(
+        req.params.id,
+        direct,
+        { new: true, runValidators: true }
+      );
+    }
+
+    let revision = await saveDraft('course', course, changes, {
+      author: req.user._id,
+      message: revisionMessage
+    });
+
+    // Nobody is learning from an unpublished course yet, so its edits go live right away
+    if (revision && !wasPublished) {
+      ({ revision, entity: course } = await publishRevision(course._id, revision._id, req.user._id, {
+        notify: false
+      }));
+    }
 
     res.json({
       success: true,
-      data: course
+      message: revision?.status === 'draft' ? 'Changes saved as a draft revision' : undefined,
+      data: course,
+      revision
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       error: error.message
     });
@@ -353,50 +377,144 @@ router.post('/:id/publish', protect, async (req, res) => {
  */
 router.post('/:id/enroll', protect, async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    // Priced courses are enrolled by a paid order (see /api/checkout); their instructors always have access
+    const enrollment = await enroll(req.params.id, req.user._id);
 
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        error: 'Course not found'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      ...(error.data && { data: error.data })
+    });
+  }
+});
 
-    if (!course.isPublished) {
-      return res.status(400).json({
-        success: false,
-        error: 'Course is not published'
-      });
-    }
+/**
+ * @route   GET /api/courses/:id/reviews
+ * @desc    Published reviews of a course, with the viewer's helpful votes
+ * @access  Private
+ */
+router.get('/:id/reviews', protect, async (req, res) => {
+  try {
+    const { sort, rating, page, limit } = req.query;
+    const { reviews, pagination } = await listReviews(req.params.id, {
+      sort,
+      rating,
+      page,
+      limit,
+      viewerId: req.user._id
+    });
 
-    // Check if already enrolled
-    const existingEnrollment = await Enrollment.findOne({
-      user: req.user._id,
-      course: course._id
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination
+      }
     });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (existingEnrollment) {
-      return res.status(400).json({
-        success: false,
-        error: 'Already enrolled in this course'
-      });
-    }
+/**
+ * @route   POST /api/courses/:id/reviews
+ * @desc    Rate and review a course
+ * @access  Private (enrolled learners with enough progress)
+ */
+router.post('/:id/reviews', protect, async (req, res) => {
+  try {
+    const { rating, title, body } = req.body;
+    const review = await createReview(req.params.id, req.user._id, { rating, title, body });
 
-    const enrollment = await Enrollment.create({
-      user: req.user._id,
-      course: course._id
+    res.status(201).json({
+      success: true,
+      message: review.status === 'published'
+        ? 'Review published'
+        : 'Review submitted and waiting for moderation',
+      data: {
+        review: formatReview(review),
+        status: review.status
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+/**
+ * @route   GET /api/courses/:id/quizzes
+ * @desc    Quizzes linked to a course, with the viewer's best result on each
+ * @access  Private (enrolled learners and the course team)
+ */
+router.get('/:id/quizzes', protect, async (req, res) => {
+  try {
+    const data = await listCourseQuizzes(req.params.id, req.user._id);
 
-    // Update course enrollment count
-    course.statistics.enrollmentCount += 1;
-    await course.save();
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/courses/:id/quizzes
+ * @desc    Link one of your quizzes to the course ({ quizId, lessonId? })
+ * @access  Private (creator and approved contributors)
+ */
+router.post('/:id/quizzes', protect, async (req, res) => {
+  try {
+    const { quizId, lessonId } = req.body;
+    const quiz = await linkCourseQuiz(req.params.id, req.user._id, { quizId, lessonId });
 
     res.status(201).json({
       success: true,
-      data: enrollment
+      message: 'Quiz linked to the course',
+      data: {
+        quizId: quiz._id,
+        course: quiz.course,
+        lesson: quiz.lesson
+      }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/courses/:id/quizzes/:quizId
+ * @desc    Unlink a quiz from the course
+ * @access  Private (creator and approved contributors)
+ */
+router.delete('/:id/quizzes/:quizId', protect, async (req, res) => {
+  try {
+    await unlinkCourseQuiz(req.params.id, req.user._id, req.params.quizId);
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
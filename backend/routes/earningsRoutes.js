@@ -0,0 +1,144 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import {
+  getContributorEarnings,
+  getStatement,
+  statementToCSV,
+  listPayouts,
+  requestPayout,
+  cancelPayout,
+  PAYOUT_HOLD_DAYS,
+  MIN_PAYOUT_AMOUNT
+} from '../services/ledgerService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const sendError = (res, error) => {
+  if (!error.status) {
+    console.error('Earnings error:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/earnings
+ * @desc    Balances (held, available, requested) and recent ledger activity, in cents
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [earnings, recent] = await Promise.all([
+      getContributorEarnings(req.user._id),
+      LedgerTransaction.find({ 'lines.user': req.user._id })
+        .sort({ postedAt: -1 })
+        .limit(20)
+        .populate('course', 'title')
+        .select('type description postedAt course order payout holdUntil releasedAt')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...earnings,
+        payoutMethod: req.user.earnings?.payoutMethod || null,
+        holdDays: PAYOUT_HOLD_DAYS,
+        minimumPayout: MIN_PAYOUT_AMOUNT,
+        recent
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/earnings/statements/:year/:month
+ * @desc    Monthly earnings statement (?format=csv for a download)
+ * @access  Private
+ */
+router.get('/statements/:year/:month', async (req, res) => {
+  try {
+    const { year, month } = req.params;
+    const statement = await getStatement(req.user._id, year, month);
+
+    if (req.query.format === 'csv') {
+      res.attachment(`statement-${year}-${String(month).padStart(2, '0')}.csv`);
+      return res.type('text/csv').send(statementToCSV(statement));
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/earnings/payouts
+ * @desc    Get user's payout requests
+ * @access  Private
+ */
+router.get('/payouts', async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const { payouts, pagination } = await listPayouts({ userId: req.user._id, status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/earnings/payouts
+ * @desc    Request a payout of available earnings ({ amount } in cents)
+ * @access  Private
+ */
+router.post('/payouts', async (req, res) => {
+  try {
+    const payout = await requestPayout(req.user._id, req.body.amount);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested',
+      data: payout
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/earnings/payouts/:payoutId/cancel
+ * @desc    Withdraw a payout request that has not been reviewed yet
+ * @access  Private
+ */
+router.post('/payouts/:payoutId/cancel', async (req, res) => {
+  try {
+    const payout = await cancelPayout(req.params.payoutId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Payout request cancelled',
+      data: payout
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -1,7 +1,9 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 import { generateEnhancedRoadmap } from '../services/enhancedRoadmapService.js';
 import EnhancedRoadmap from '../models/EnhancedRoadmap.js';
+import { runChallenge } from '../services/codeExecutionService.js';
+import { codeRunLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
@@ -10,7 +12,7 @@ const router = express.Router();
  * @desc    Generate a new enhanced learning roadmap
  * @access  Private
  */
-router.post('/generate', protect, async (req, res) => {
+router.post('/generate', protect, requireVerified, async (req, res) => {
   try {
     const {
       goal,
@@ -416,6 +418,89 @@ router.put('/:id/task/:taskId/complete', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/enhanced-roadmaps/:id/task/:taskId/run
+ * @desc    Run code against a practical task's coding challenge
+ * @access  Private
+ */
+router.post('/:id/task/:taskId/run', protect, codeRunLimiter, async (req, res) => {
+  try {
+    const { code, language } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code to run'
+      });
+    }
+
+    const roadmap = await EnhancedRoadmap.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roadmap not found'
+      });
+    }
+
+    let task = null;
+
+    // Find the task in modules and sub-modules
+    for (const phase of roadmap.phases) {
+      for (const module of phase.modules) {
+        const tasks = [
+          ...(module.practicalTasks || []),
+          ...(module.topicsBreakdown?.subModules || []).flatMap(sub => sub.practicalTasks || [])
+        ];
+        task = tasks.find(t => t.taskId === req.params.taskId);
+        if (task) {
+          break;
+        }
+      }
+      if (task) {
+        break;
+      }
+    }
+
+    if (!task || !task.codingChallenge?.testCases?.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coding task not found'
+      });
+    }
+
+    const run = await runChallenge(task.codingChallenge, { code, language }, { includeHidden: true });
+
+    if (!run.success) {
+      return res.status(400).json({
+        success: false,
+        message: run.error
+      });
+    }
+
+    res.json({
+      success: true,
+      result: {
+        language: run.language,
+        results: run.results,
+        passedCount: run.passedCount,
+        totalCount: run.totalCount,
+        allPassed: run.passedCount === run.totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error running task code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run code',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/enhanced-roadmaps/:id/quiz/:quizId/submit
  * @desc    Submit quiz attempt
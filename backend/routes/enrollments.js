@@ -2,6 +2,7 @@ import express from 'express';
 import Enrollment from '../models/Enrollment.js';
 import Lesson from '../models/Lesson.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { tryIssueCertificate } from '../services/certificateService.js';
 
 const router = express.Router();
 
@@ -92,9 +93,19 @@ router.put('/:courseId/lesson/:lessonId/complete', protect, async (req, res) =>
       await lesson.recordCompletion(timeSpent || 0);
     }
 
+    // Completing the course earns the certificate (unless quizzes are still to pass)
+    const certificate = enrollment.status === 'completed'
+      ? await tryIssueCertificate(req.user._id, enrollment.course)
+      : null;
+
     res.json({
       success: true,
-      data: enrollment
+      ...(certificate && { message: 'Course completed! Your certificate is ready' }),
+      data: enrollment,
+      certificate: certificate && {
+        verificationId: certificate.verificationId,
+        courseTitle: certificate.courseTitle
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -3,6 +3,7 @@ import Lesson from '../models/Lesson.js';
 import Module from '../models/Module.js';
 import Course from '../models/Course.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { splitChanges, saveDraft, publishRevision } from '../services/contentRevisionService.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -109,7 +110,7 @@ router.post('/', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/courses/:courseId/modules/:moduleId/lessons/:id
- * @desc    Update lesson
+ * @desc    Update lesson; content fields are saved as a draft revision once the course is published
  * @access  Private (creator only)
  */
 router.put('/:id', protect, async (req, res) => {
@@ -135,11 +136,30 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    lesson = await Lesson.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Content edits go to a draft revision; learners see them once it is published
+    const { revisionMessage, ...changes } = req.body;
+    const { direct } = splitChanges('lesson', changes);
+    const courseIsPublished = lesson.module.course.isPublished;
+
+    if (Object.keys(direct).length > 0) {
+      lesson = await Lesson.findByIdAndUpdate(
+        req.params.id,
+        direct,
+        { new: true, runValidators: true }
+      );
+    }
+
+    let revision = await saveDraft('lesson', lesson, changes, {
+      author: req.user._id,
+      message: revisionMessage
+    });
+
+    // Nobody is learning from an unpublished course yet, so its edits go live right away
+    if (revision && !courseIsPublished) {
+      ({ revision, entity: lesson } = await publishRevision(revision.course, revision._id, req.user._id, {
+        notify: false
+      }));
+    }
 
     // Update module and course statistics
     const module = await Module.findById(req.params.moduleId);
@@ -149,10 +169,12 @@ router.put('/:id', protect, async (req, res) => {
 
     res.json({
       success: true,
-      data: lesson
+      message: revision?.status === 'draft' ? 'Changes saved as a draft revision' : undefined,
+      data: lesson,
+      revision
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       error: error.message
     });
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getMemories,
+  getMemory,
+  updateMemory,
+  deleteMemory,
+  pinMemory,
+  exportMemories,
+  getMemorySettings,
+  updateMemorySettings
+} from '../controllers/memoryController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.get('/', protect, getMemories);
+router.get('/export', protect, exportMemories);
+router.get('/settings', protect, getMemorySettings);
+router.put('/settings', protect, updateMemorySettings);
+router.get('/:id', protect, getMemory);
+router.put('/:id', protect, updateMemory);
+router.delete('/:id', protect, deleteMemory);
+router.post('/:id/pin', protect, pinMemory);
+router.delete('/:id/pin', protect, pinMemory);
+
+export default router;
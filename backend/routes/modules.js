@@ -2,6 +2,7 @@ import express from 'express';
 import Module from '../models/Module.js';
 import Course from '../models/Course.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { splitChanges, saveDraft, publishRevision } from '../services/contentRevisionService.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -108,7 +109,7 @@ router.post('/', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/courses/:courseId/modules/:id
- * @desc    Update module
+ * @desc    Update module; content fields are saved as a draft revision once the course is published
  * @access  Private (creator only)
  */
 router.put('/:id', protect, async (req, res) => {
@@ -130,11 +131,30 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    module = await Module.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Content edits go to a draft revision; learners see them once it is published
+    const { revisionMessage, ...changes } = req.body;
+    const { direct } = splitChanges('module', changes);
+    const courseIsPublished = module.course.isPublished;
+
+    if (Object.keys(direct).length > 0) {
+      module = await Module.findByIdAndUpdate(
+        req.params.id,
+        direct,
+        { new: true, runValidators: true }
+      );
+    }
+
+    let revision = await saveDraft('module', module, changes, {
+      author: req.user._id,
+      message: revisionMessage
+    });
+
+    // Nobody is learning from an unpublished course yet, so its edits go live right away
+    if (revision && !courseIsPublished) {
+      ({ revision, entity: module } = await publishRevision(revision.course, revision._id, req.user._id, {
+        notify: false
+      }));
+    }
 
     // Update course statistics
     const course = await Course.findById(req.params.courseId);
@@ -142,10 +162,12 @@ router.put('/:id', protect, async (req, res) => {
 
     res.json({
       success: true,
-      data: module
+      message: revision?.status === 'draft' ? 'Changes saved as a draft revision' : undefined,
+      data: module,
+      revision
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       error: error.message
     });
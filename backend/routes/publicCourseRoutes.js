@@ -7,6 +7,8 @@ import express from 'express';
 import Course from '../models/Course.js';
 import User from '../models/User.js';
 import Enrollment from '../models/Enrollment.js';
+import { listReviews, getCourseReviewSummary } from '../services/courseReviewService.js';
+import { verifyCertificate } from '../services/certificateService.js';
 
 const router = express.Router();
 
@@ -196,15 +198,8 @@ router.get('/courses/:courseId', async (req, res) => {
       status: { $in: ['active', 'completed'] }
     });
 
-    // Get average rating (if reviews exist)
-    const enrollments = await Enrollment.find({
-      course: courseId,
-      rating: { $exists: true, $ne: null }
-    }).select('rating');
-
-    const averageRating = enrollments.length > 0
-      ? enrollments.reduce((sum, e) => sum + e.rating, 0) / enrollments.length
-      : 0;
+    // Rating aggregates are kept on the course by CourseReview.updateRatingAggregates
+    const { distribution, topReviews } = await getCourseReviewSummary(courseId);
 
     // Calculate total duration
     let totalDuration = 0;
@@ -230,11 +225,13 @@ router.get('/courses/:courseId', async (req, res) => {
           statistics: {
             ...course.statistics,
             enrollmentCount,
-            averageRating: parseFloat(averageRating.toFixed(1)),
-            reviewCount: enrollments.length,
+            averageRating: course.marketplace?.averageRating || 0,
+            reviewCount: course.marketplace?.totalReviews || 0,
+            ratingDistribution: distribution,
             totalDuration: Math.ceil(totalDuration / 60) // Convert to minutes
           }
-        }
+        },
+        topReviews
       }
     });
   } catch (error) {
@@ -246,6 +243,73 @@ router.get('/courses/:courseId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/public/courses/:courseId/reviews
+ * @desc    Get published reviews of a public course (no auth required)
+ * @access  Public
+ */
+router.get('/courses/:courseId/reviews', async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { sort = 'helpful', rating, page = 1, limit = 10 } = req.query;
+
+    const course = await Course.exists({
+      _id: courseId,
+      courseType: { $in: ['marketplace', 'flagship'] },
+      visibility: 'public',
+      'marketplace.hasPassedQualityReview': true,
+      isPublished: true
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found or not publicly available'
+      });
+    }
+
+    const { reviews, pagination } = await listReviews(courseId, { sort, rating, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Public course reviews error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to fetch course reviews'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/public/certificates/:certificateId
+ * @desc    Verify a certificate by the ID printed on it (no auth required)
+ * @access  Public
+ */
+router.get('/certificates/:certificateId', async (req, res) => {
+  try {
+    const certificate = await verifyCertificate(req.params.certificateId);
+
+    res.json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('Certificate verification error:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to verify certificate'
+    });
+  }
+});
+
 /**
  * @route   GET /api/public/stats
  * @desc    Get platform statistics for marketing
@@ -0,0 +1,162 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  updateReview,
+  deleteReview,
+  replyToReview,
+  deleteReply,
+  setHelpfulVote,
+  reportReview,
+  formatReview
+} from '../services/courseReviewService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const sendError = (res, error) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @route   PUT /api/reviews/:reviewId
+ * @desc    Edit own review (rating, title, body)
+ * @access  Private (review author)
+ */
+router.put('/:reviewId', async (req, res) => {
+  try {
+    const { rating, title, body } = req.body;
+    const review = await updateReview(req.params.reviewId, req.user._id, { rating, title, body });
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: {
+        review: formatReview(review),
+        status: review.status
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/reviews/:reviewId
+ * @desc    Delete own review
+ * @access  Private (review author)
+ */
+router.delete('/:reviewId', async (req, res) => {
+  try {
+    await deleteReview(req.params.reviewId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Review deleted',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/reviews/:reviewId/reply
+ * @desc    Add or edit the instructor reply
+ * @access  Private (course creator or approved contributor)
+ */
+router.put('/:reviewId/reply', async (req, res) => {
+  try {
+    const review = await replyToReview(req.params.reviewId, req.user._id, req.body.body);
+
+    res.json({
+      success: true,
+      message: 'Reply saved',
+      data: {
+        reply: review.reply
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/reviews/:reviewId/reply
+ * @desc    Remove the instructor reply
+ * @access  Private (course creator or approved contributor)
+ */
+router.delete('/:reviewId/reply', async (req, res) => {
+  try {
+    await deleteReply(req.params.reviewId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Reply removed',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:reviewId/helpful
+ * @desc    Mark a review as helpful
+ * @access  Private
+ */
+router.post('/:reviewId/helpful', async (req, res) => {
+  try {
+    const result = await setHelpfulVote(req.params.reviewId, req.user._id, true);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/reviews/:reviewId/helpful
+ * @desc    Withdraw a helpful vote
+ * @access  Private
+ */
+router.delete('/:reviewId/helpful', async (req, res) => {
+  try {
+    const result = await setHelpfulVote(req.params.reviewId, req.user._id, false);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:reviewId/report
+ * @desc    Report a review (spam, offensive, off_topic, fake, other)
+ * @access  Private
+ */
+router.post('/:reviewId/report', async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+    await reportReview(req.params.reviewId, req.user._id, { reason, details });
+
+    res.json({
+      success: true,
+      message: 'Thanks, a moderator will look at this review',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
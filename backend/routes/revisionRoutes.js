@@ -0,0 +1,153 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { isFounderOrCoCreator } from '../middleware/courseAuth.js';
+import {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackToRevision,
+  publishRevision,
+  discardDraft
+} from '../services/contentRevisionService.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect, isFounderOrCoCreator);
+
+const sendError = (res, error) => {
+  if (!error.status) {
+    console.error('Revision error:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/courses/:courseId/revisions?entityType=&entity=&status=&page=&limit=
+ * @desc    Revision history of the course and its modules and lessons
+ * @access  Private (Founder/Co-creator)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { revisions, pagination } = await listRevisions(req.course._id, req.query);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      pagination,
+      data: revisions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/courses/:courseId/revisions/:revisionId
+ * @desc    Get a revision with its content
+ * @access  Private (Founder/Co-creator)
+ */
+router.get('/:revisionId', async (req, res) => {
+  try {
+    const revision = await getRevision(req.course._id, req.params.revisionId);
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/courses/:courseId/revisions/:revisionId/diff?against=:otherRevisionId
+ * @desc    Changes of a revision against another one (default: the previous published revision)
+ * @access  Private (Founder/Co-creator)
+ */
+router.get('/:revisionId/diff', async (req, res) => {
+  try {
+    const diff = await diffRevisions(req.course._id, req.params.revisionId, req.query.against);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/courses/:courseId/revisions/:revisionId/publish
+ * @desc    Make a draft live and email enrolled learners (body: message, notify)
+ * @access  Private (Founder/Co-creator)
+ */
+router.post('/:revisionId/publish', async (req, res) => {
+  try {
+    const { revision, entity } = await publishRevision(req.course._id, req.params.revisionId, req.user._id, {
+      message: req.body.message,
+      notify: req.body.notify !== false
+    });
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.number} published`,
+      data: {
+        revision,
+        [revision.entityType]: entity
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/courses/:courseId/revisions/:revisionId/rollback
+ * @desc    Start a draft from an earlier revision (body: message, publish to make it live right away)
+ * @access  Private (Founder/Co-creator)
+ */
+router.post('/:revisionId/rollback', async (req, res) => {
+  try {
+    let revision = await rollbackToRevision(req.course._id, req.params.revisionId, req.user._id, {
+      message: req.body.message
+    });
+
+    if (req.body.publish) {
+      ({ revision } = await publishRevision(req.course._id, revision._id, req.user._id, {
+        notify: req.body.notify !== false
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: req.body.publish ? `Rolled back as revision ${revision.number}` : 'Rollback saved as a draft',
+      data: revision
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/courses/:courseId/revisions/:revisionId
+ * @desc    Discard a draft revision
+ * @access  Private (Founder/Co-creator)
+ */
+router.delete('/:revisionId', async (req, res) => {
+  try {
+    await discardDraft(req.course._id, req.params.revisionId);
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -8,17 +8,17 @@ import {
   adaptRoadmapController,
   deleteRoadmap
 } from '../controllers/roadmapController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes are protected
-router.post('/generate', protect, createRoadmap);
+router.post('/generate', protect, requireVerified, createRoadmap);
 router.get('/', protect, getRoadmaps);
 router.get('/:id', protect, getRoadmap);
 router.put('/:id/progress', protect, updateProgress);
 router.put('/:id/milestones/:milestoneIndex/complete', protect, completeMilestone);
-router.post('/:id/adapt', protect, adaptRoadmapController);
+router.post('/:id/adapt', protect, requireVerified, adaptRoadmapController);
 router.delete('/:id', protect, deleteRoadmap);
 
 export default router;
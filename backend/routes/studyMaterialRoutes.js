@@ -1,33 +1,94 @@
 import express from 'express';
+import multer from 'multer';
 import {
   generateFlashcardsController,
   getDueFlashcards,
   reviewFlashcard,
   getDecks,
+  listFlashcards,
+  getFlashcard,
+  createFlashcard,
+  updateFlashcard,
+  suspendFlashcards,
+  moveFlashcards,
+  deleteFlashcard,
+  renameDeck,
+  mergeDecks,
   exportFlashcards,
+  importFlashcards,
+  getFlashcardSettings,
+  updateFlashcardSettings,
+  optimizeFlashcardScheduler,
+  getFlashcardOptimization,
+  getFlashcardReviews,
+  getRetentionAnalytics,
+  getForecastAnalytics,
+  getHeatmapAnalytics,
+  getHardestCardsAnalytics,
   generateQuizController,
   getQuizzes,
   getQuiz,
   submitQuizAttempt,
+  runQuizQuestionCode,
   exportQuiz
 } from '../controllers/studyMaterialController.js';
-import { protect } from '../middleware/authMiddleware.js';
-import { chatLimiter } from '../middleware/rateLimiter.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
+import { chatLimiter, codeRunLimiter, optimizerLimiter, flashcardImportLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+// Configure multer for flashcard deck imports
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50 MB
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept Anki packages and delimited text
+    if (/\.(apkg|colpkg|csv|tsv|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .apkg, .csv and .tsv files are allowed'));
+    }
+  }
+});
+
 // Flashcard routes
-router.post('/flashcards/generate', protect, chatLimiter, generateFlashcardsController);
+router.post('/flashcards/generate', protect, requireVerified, chatLimiter, generateFlashcardsController);
 router.get('/flashcards/due', protect, getDueFlashcards);
 router.post('/flashcards/:id/review', protect, reviewFlashcard);
 router.get('/flashcards/decks', protect, getDecks);
 router.get('/flashcards/export', protect, exportFlashcards);
+router.post('/flashcards/import', protect, flashcardImportLimiter, importUpload.single('file'), importFlashcards);
+router.get('/flashcards/settings', protect, getFlashcardSettings);
+router.put('/flashcards/settings', protect, updateFlashcardSettings);
+router.post('/flashcards/settings/optimize', protect, optimizerLimiter, optimizeFlashcardScheduler);
+router.get('/flashcards/settings/optimize/:jobId', protect, getFlashcardOptimization);
+
+// Flashcard review history and analytics
+router.get('/flashcards/reviews', protect, getFlashcardReviews);
+router.get('/flashcards/analytics/retention', protect, getRetentionAnalytics);
+router.get('/flashcards/analytics/forecast', protect, getForecastAnalytics);
+router.get('/flashcards/analytics/heatmap', protect, getHeatmapAnalytics);
+router.get('/flashcards/analytics/hardest', protect, getHardestCardsAnalytics);
+
+// Flashcard and deck management (/:id routes last so they don't shadow the paths above)
+router.get('/flashcards', protect, listFlashcards);
+router.post('/flashcards', protect, createFlashcard);
+router.post('/flashcards/suspend', protect, suspendFlashcards);
+router.post('/flashcards/move', protect, moveFlashcards);
+router.post('/flashcards/decks/rename', protect, renameDeck);
+router.post('/flashcards/decks/merge', protect, mergeDecks);
+router.get('/flashcards/:id', protect, getFlashcard);
+router.put('/flashcards/:id', protect, updateFlashcard);
+router.delete('/flashcards/:id', protect, deleteFlashcard);
 
 // Quiz routes
-router.post('/quizzes/generate', protect, chatLimiter, generateQuizController);
+router.post('/quizzes/generate', protect, requireVerified, chatLimiter, generateQuizController);
 router.get('/quizzes', protect, getQuizzes);
 router.get('/quizzes/:id', protect, getQuiz);
-router.post('/quizzes/:id/submit', protect, submitQuizAttempt);
+router.post('/quizzes/:id/submit', protect, codeRunLimiter, submitQuizAttempt);
+router.post('/quizzes/:id/questions/:qid/run', protect, codeRunLimiter, runQuizQuestionCode);
 router.get('/quizzes/:id/export', protect, exportQuiz);
 
 export default router;
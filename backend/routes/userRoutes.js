@@ -3,16 +3,31 @@ import {
   getUserProfile,
   updateUserProfile,
   getUserStats,
-  deleteUserAccount
+  deleteUserAccount,
+  createDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport,
+  getDeletionReport
 } from '../controllers/userController.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { dataExportLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
-// All routes are protected
+// Deletion reports outlive the account, so they are authorized by receipt instead
+router.get('/deletion-reports/:id', getDeletionReport);
+
+// All other routes are protected
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
 router.get('/stats', protect, getUserStats);
 router.delete('/account', protect, deleteUserAccount);
 
+// Data export ("download my data")
+router.post('/data-export', protect, dataExportLimiter, createDataExport);
+router.get('/data-export', protect, getDataExports);
+router.get('/data-export/:id', protect, getDataExport);
+router.get('/data-export/:id/download', protect, downloadDataExport);
+
 export default router;
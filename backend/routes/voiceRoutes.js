@@ -8,7 +8,7 @@ import {
   getSessionHistory,
   updateSessionContext
 } from '../controllers/voiceSessionController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -37,7 +37,7 @@ router.use(protect);
  * @desc    Initialize or get active voice session
  * @access  Private
  */
-router.post('/session/init', initializeVoiceSession);
+router.post('/session/init', requireVerified, initializeVoiceSession);
 
 /**
  * @route   GET /api/voice/session/:sessionId
@@ -226,7 +226,7 @@ router.get('/sessions', getSessionHistory);
  * @desc    Upload and process audio file (alternative to WebSocket)
  * @access  Private
  */
-router.post('/upload-audio', upload.single('audio'), async (req, res) => {
+router.post('/upload-audio', requireVerified, upload.single('audio'), async (req, res) => {
   try {
     const { sessionId } = req.body;
     const audioBuffer = req.file.buffer;
@@ -0,0 +1,124 @@
+/**
+ * Evaluate RAG Quality
+ * Runs a golden question set through the RAG strategies, stores the report
+ * and compares it with the previous run of the same set version.
+ *
+ * Usage:
+ *   npm run eval:rag -- --set knowledge-basics [--version 1] [--strategies rag,hybrid] [--k 5] [--label "new prompt"]
+ *   npm run eval:rag -- --list
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+const formatMetric = (value) => (value === null || value === undefined ? '   -  ' : value.toFixed(3).padStart(6));
+
+const formatDelta = (delta) => {
+  if (delta === null) {
+    return '';
+  }
+  const sign = delta > 0 ? '+' : '';
+  return ` (${sign}${delta.toFixed(3)})`;
+};
+
+function printSummary(run, comparison) {
+  console.log(`\n📊 ${run.goldenSet.name} v${run.goldenSet.version}, recall@${run.k}${run.label ? ` - ${run.label}` : ''}\n`);
+
+  for (const [strategy, summary] of Object.entries(run.summary)) {
+    const deltas = comparison?.metrics[strategy];
+    console.log(`  ${strategy}`);
+    console.log(`    recall@k      ${formatMetric(summary.recallAtK)}${deltas ? formatDelta(deltas.recallAtK.delta) : ''}`);
+    console.log(`    MRR           ${formatMetric(summary.mrr)}${deltas ? formatDelta(deltas.mrr.delta) : ''}`);
+    console.log(`    faithfulness  ${formatMetric(summary.faithfulness)}${deltas ? formatDelta(deltas.faithfulness.delta) : ''}`);
+    console.log(`    answer sim.   ${formatMetric(summary.answerSimilarity)}${deltas ? formatDelta(deltas.answerSimilarity.delta) : ''}`);
+    console.log(`    avg latency   ${Math.round(summary.avgLatencyMs || 0)}ms, ${summary.errors}/${summary.questions} errors`);
+  }
+
+  if (comparison) {
+    console.log(`\n  Compared with run ${comparison.baseline.id}${comparison.baseline.label ? ` (${comparison.baseline.label})` : ''}`);
+    comparison.warnings.forEach((warning) => console.log(`  ⚠️  ${warning}`));
+    for (const [setting, change] of Object.entries(comparison.changedSettings)) {
+      console.log(`  • ${setting}: ${JSON.stringify(change.baseline)} -> ${JSON.stringify(change.candidate)}`);
+    }
+  } else {
+    console.log('\n  No earlier completed run of this set version to compare with');
+  }
+}
+
+async function evaluateRag() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Config modules read the environment on import, so load them after dotenv
+  const { listGoldenSets } = await import('../ai/evaluation/goldenSets.js');
+
+  if (args.list || !args.set) {
+    const sets = await listGoldenSets();
+    console.log('Golden sets:');
+    sets.forEach((set) => console.log(`  ${set.name} (versions ${set.versions.join(', ')})`));
+    if (!args.list) {
+      console.log('\nRun one with: npm run eval:rag -- --set <name>');
+    }
+    process.exit(0);
+  }
+
+  const { default: aiService } = await import('../config/aiService.js');
+  const {
+    createEvaluationRun,
+    executeEvaluationRun,
+    getPreviousRun,
+    compareRuns,
+  } = await import('../services/ragEvaluationService.js');
+
+  try {
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    aiService.initialize();
+
+    const created = await createEvaluationRun({
+      goldenSet: args.set,
+      version: args.version ? Number(args.version) : undefined,
+      strategies: typeof args.strategies === 'string' ? args.strategies.split(',').map((s) => s.trim()) : undefined,
+      k: args.k ? Number(args.k) : undefined,
+      label: typeof args.label === 'string' ? args.label : undefined,
+      trigger: 'cli',
+    });
+
+    console.log(`🧪 Evaluating ${created.goldenSet.name} v${created.goldenSet.version} with ${created.strategies.join(', ')}...`);
+    const run = await executeEvaluationRun(created._id);
+
+    if (run.status !== 'completed') {
+      console.error(`❌ Evaluation failed: ${run.error}`);
+      process.exit(1);
+    }
+
+    const previous = await getPreviousRun(run);
+    printSummary(run, previous ? compareRuns(previous, run) : null);
+    console.log(`\n✅ Report stored as run ${run._id} (${Math.round(run.durationMs / 1000)}s)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+evaluateRag();
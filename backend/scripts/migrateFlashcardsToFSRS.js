@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Flashcard from '../models/Flashcard.js';
+import { migrateUserFlashcards } from '../services/flashcardSchedulerService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration script to seed FSRS memory state (stability/difficulty) from SM-2 state
+ * Users who switch to FSRS in settings are migrated automatically; run this to
+ * backfill users already on FSRS, or pass --all to prepare every user's cards.
+ */
+async function migrateFlashcardsToFSRS() {
+  const allUsers = process.argv.includes('--all');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mini-ai-tutor');
+    console.log('✅ Connected to MongoDB');
+
+    const userIds = allUsers
+      ? await Flashcard.distinct('user')
+      : await User.distinct('_id', { 'flashcardSettings.scheduler': 'fsrs' });
+
+    console.log(`\n📊 Migrating flashcards for ${userIds.length} users${allUsers ? ' (all users)' : ' on FSRS'}\n`);
+
+    let migrated = 0;
+
+    for (const userId of userIds) {
+      const user = await User.findById(userId).select('flashcardSettings');
+      const count = await migrateUserFlashcards(userId, user?.flashcardSettings?.fsrsParameters);
+
+      if (count > 0) {
+        console.log(`✅ Migrated ${count} cards for user ${userId}`);
+      }
+      migrated += count;
+    }
+
+    console.log(`\n📈 Migration complete!`);
+    console.log(`   Migrated: ${migrated} cards`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateFlashcardsToFSRS();
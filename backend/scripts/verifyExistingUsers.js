@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration script to mark accounts created before email verification as verified
+ * Registration sends a verification link, so an unverified account that was never
+ * sent one predates the feature; without this, REQUIRE_EMAIL_VERIFICATION locks
+ * those users out of AI features. Run it once when deploying verification.
+ * Pass --dry-run to only count the accounts.
+ */
+async function verifyExistingUsers() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mini-ai-tutor');
+    console.log('✅ Connected to MongoDB');
+
+    const filter = {
+      isVerified: { $ne: true },
+      emailVerificationSentAt: { $exists: false },
+    };
+
+    const pending = await User.countDocuments(filter);
+    console.log(`\n📊 ${pending} accounts predate email verification\n`);
+
+    if (!dryRun && pending > 0) {
+      const { modifiedCount } = await User.updateMany(filter, {
+        $set: { isVerified: true, verifiedAt: new Date() },
+      });
+
+      console.log(`\n📈 Migration complete!`);
+      console.log(`   Verified: ${modifiedCount} accounts`);
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Database connection closed');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+verifyExistingUsers();
@@ -24,16 +24,27 @@ import conversationRoutes from './routes/conversationRoutes.js';
 import roadmapRoutes from './routes/roadmapRoutes.js';
 import studyMaterialRoutes from './routes/studyMaterialRoutes.js';
 import voiceRoutes from './routes/voiceRoutes.js';
+import memoryRoutes from './routes/memoryRoutes.js';
+import { startDataRequestJobs } from './services/accountDataService.js';
+import { startLedgerJobs } from './services/ledgerService.js';
 import courseRoutes from './routes/courses.js';
 import moduleRoutes from './routes/modules.js';
 import lessonRoutes from './routes/lessons.js';
+import revisionRoutes from './routes/revisionRoutes.js';
 import enrollmentRoutes from './routes/enrollments.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import checkoutRoutes from './routes/checkoutRoutes.js';
+import earningsRoutes from './routes/earningsRoutes.js';
+import certificateRoutes from './routes/certificateRoutes.js';
 import adminRoutes from './routes/admin.js';
 import publicCourseRoutes from './routes/publicCourseRoutes.js';
 import newsletterRoutes from './routes/newsletterRoutes.js';
 import { errorHandler} from './middleware/errorHandler.js';
 import rateLimiter from './middleware/rateLimiter.js';
 import moderateContent from './middleware/contentModeration.js';
+import { httpMetrics, metricsEndpoint } from './middleware/metrics.js';
+import { registerSocketServer } from './utils/metrics.js';
+import { flushTraces } from './utils/tracing.js';
 import { initializeSocketIO } from './config/socket.js';
 import registerVoiceHandlers from './socketHandlers/voiceHandlers.js';
 
@@ -46,6 +57,7 @@ connectDB();
 
 // Initialize Socket.IO
 const io = initializeSocketIO(httpServer);
+registerSocketServer(io);
 registerVoiceHandlers(io);
 console.log('✅ WebSocket (Socket.IO) initialized for voice sessions');
 
@@ -61,6 +73,7 @@ let cacheInitialized = false;
         const shutdown = async () => {
             console.log('\n🛑 Received shutdown signal...');
             await shutdownCache();
+            await flushTraces();
             process.exit(0);
         };
 
@@ -112,6 +125,34 @@ if (aiService.isReady()) {
     }
 })();
 
+// Resume and retry account data exports/deletions, and expire old export files
+startDataRequestJobs();
+
+// Release contributor earnings whose refund hold period has ended
+startLedgerJobs();
+
+// Fit flashcard scheduler parameters queued from the settings page
+(async () => {
+    try {
+        const { createOptimizerWorker } = await import('./workers/optimizerWorker.js');
+        createOptimizerWorker();
+        console.log('✅ FSRS optimizer worker started');
+    } catch (error) {
+        console.error('❌ FSRS optimizer worker error:', error.message);
+    }
+})();
+
+// Email enrollees about published course content revisions
+(async () => {
+    try {
+        const { createNotificationWorker } = await import('./workers/notificationWorker.js');
+        createNotificationWorker();
+        console.log('✅ Revision notification worker started');
+    } catch (error) {
+        console.error('❌ Revision notification worker error:', error.message);
+    }
+})();
+
 // Initialize Course Sync Service
 (async () => {
     try {
@@ -126,6 +167,15 @@ if (aiService.isReady()) {
             await courseSyncService.initialize();
             console.log('✅ Course Sync Service initialized');
 
+            // Process uploaded documents (PDF, Markdown, HTML, DOCX) in the background
+            try {
+                const { createIngestionWorker } = await import('./workers/ingestionWorker.js');
+                createIngestionWorker();
+                console.log('✅ Document ingestion worker started');
+            } catch (error) {
+                console.error('❌ Document ingestion worker error:', error.message);
+            }
+
             // Perform initial sync if needed (optional - can be triggered manually)
             // Uncomment the following line to auto-sync on startup:
             // await courseSyncService.syncAllCourses({ batchSize: 50 });
@@ -140,6 +190,7 @@ if (aiService.isReady()) {
 
 // Middleware
 app.use(helmet()); // Security headers
+app.use(httpMetrics); // Request latency histograms for /metrics
 
 // Configure CORS to allow the frontend origin and credentials (cookies)
 const allowedFrontend = process.env.FRONTEND_URL || 'http://localhost:3000';
@@ -157,6 +208,7 @@ const corsOptions = {
 
 app.use(cors(corsOptions)); // Enable CORS with options
 app.options('*', cors(corsOptions)); // Preflight support
+app.use('/api/checkout/webhooks', express.raw({ type: '*/*', limit: '1mb' })); // Webhook signatures cover the raw body
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(cookieParser()); // Parse cookies from request headers
@@ -174,6 +226,9 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Prometheus metrics (bearer METRICS_TOKEN; required in production)
+app.get('/metrics', metricsEndpoint);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/public', publicCourseRoutes); // PUBLIC - No auth required for course discovery
@@ -186,12 +241,18 @@ app.use('/api/conversations', conversationRoutes);
 app.use('/api/roadmaps', roadmapRoutes);
 app.use('/api/study', studyMaterialRoutes);
 app.use('/api/voice', voiceRoutes); // Voice session routes
+app.use('/api/memory', memoryRoutes); // Learner-managed long-term memory
 
 // Course system routes
 app.use('/api/courses', courseRoutes);
 app.use('/api/courses/:courseId/modules', moduleRoutes);
 app.use('/api/courses/:courseId/modules/:moduleId/lessons', lessonRoutes);
+app.use('/api/courses/:courseId/revisions', revisionRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Co-creator management routes
 const coCreatorRoutes = (await import('./routes/coCreatorRoutes.js')).default;
@@ -13,9 +13,15 @@ import { setupSocketIO, closeSocketIO } from './config/socketIOProd.js';
 import { createCacheClient } from './config/redisCluster.js';
 import { securityMiddleware, requestSizeLimiter } from './middleware/securityProd.js';
 import { apiLimiter } from './middleware/rateLimiterProd.js';
+import { httpMetrics, metricsEndpoint } from './middleware/metrics.js';
+import { registerSocketServer } from './utils/metrics.js';
+import { flushTraces } from './utils/tracing.js';
 import { registerVoiceHandlers } from './socketHandlers/voiceHandlersProd.js';
 import { createSTTWorker } from './workers/sttWorker.js';
 import { createAIWorker } from './workers/aiWorker.js';
+import { createIngestionWorker } from './workers/ingestionWorker.js';
+import { createOptimizerWorker } from './workers/optimizerWorker.js';
+import { createNotificationWorker } from './workers/notificationWorker.js';
 import audioStorage from './services/audioStorage.js';
 import voiceOrchestrator from './services/voiceOrchestratorProd.js';
 import VoiceSession from './models/VoiceSession.js';
@@ -33,6 +39,9 @@ let io = null;
 let redisClient = null;
 let sttWorker = null;
 let aiWorker = null;
+let ingestionWorker = null;
+let optimizerWorker = null;
+let notificationWorker = null;
 let isShuttingDown = false;
 
 /**
@@ -73,6 +82,9 @@ function validateEnvironment() {
 function createExpressApp() {
   const app = express();
 
+  // Request latency histograms for /metrics
+  app.use(httpMetrics);
+
   // Security middleware
   app.use(securityMiddleware);
 
@@ -119,6 +131,9 @@ function createExpressApp() {
     });
   });
 
+  // Prometheus metrics (bearer METRICS_TOKEN; required in production)
+  app.get('/metrics', metricsEndpoint);
+
   // Stats endpoint (for monitoring)
   app.get('/stats', async (req, res) => {
     try {
@@ -214,6 +229,7 @@ async function initialize() {
     // 5. Setup Socket.IO with Redis adapter
     logger.info('Step 5/7: Setting up Socket.IO...');
     io = setupSocketIO(httpServer);
+    registerSocketServer(io);
 
     // 6. Register voice handlers
     logger.info('Step 6/7: Registering voice handlers...');
@@ -227,6 +243,9 @@ async function initialize() {
 
     sttWorker = createSTTWorker(io, voiceOrchestrator);
     aiWorker = createAIWorker(io, voiceOrchestrator, models);
+    ingestionWorker = createIngestionWorker();
+    optimizerWorker = createOptimizerWorker();
+    notificationWorker = createNotificationWorker();
 
     // Start HTTP server
     httpServer.listen(PORT, () => {
@@ -291,6 +310,24 @@ async function gracefulShutdown(signal) {
       logger.info('AI worker closed');
     }
 
+    if (ingestionWorker) {
+      logger.info('Closing ingestion worker...');
+      await ingestionWorker.close();
+      logger.info('Ingestion worker closed');
+    }
+
+    if (optimizerWorker) {
+      logger.info('Closing optimizer worker...');
+      await optimizerWorker.close();
+      logger.info('Optimizer worker closed');
+    }
+
+    if (notificationWorker) {
+      logger.info('Closing notification worker...');
+      await notificationWorker.close();
+      logger.info('Notification worker closed');
+    }
+
     // 4. Close Redis
     if (redisClient) {
       logger.info('Closing Redis connection...');
@@ -303,6 +340,9 @@ async function gracefulShutdown(signal) {
     await closeDatabase();
     logger.info('MongoDB connection closed');
 
+    // 6. Export buffered spans
+    await flushTraces();
+
     logger.info('Graceful shutdown completed successfully');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,620 @@
+/**
+ * Account Data Service
+ * "Download my data" exports and cascading account deletion across MongoDB,
+ * ChromaDB vectors and stored voice audio. Requests are persisted as DataRequest
+ * documents and processed in the background; deletions end with a report whose
+ * SHA-256 digest lets the learner verify it later with their receipt token.
+ *
+ * Financial records (orders, payouts, ledger lines) are exported but not deleted:
+ * bookkeeping rules require keeping them, and the ledger is append-only. Once the
+ * account is gone they only carry its id; payment references are cleared.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import User from '../models/User.js';
+import DataRequest from '../models/DataRequest.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import ConversationShare from '../models/ConversationShare.js';
+import Flashcard from '../models/Flashcard.js';
+import FlashcardReview from '../models/FlashcardReview.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Enrollment from '../models/Enrollment.js';
+import MemoryEntry from '../models/MemoryEntry.js';
+import UserProfile from '../models/UserProfile.js';
+import VoiceSession from '../models/VoiceSession.js';
+import Session from '../models/Session.js';
+import AIUsageLog from '../models/AIUsageLog.js';
+import IngestionJob from '../models/IngestionJob.js';
+import LearningRoadmap from '../models/LearningRoadmap.js';
+import EnhancedRoadmap from '../models/EnhancedRoadmap.js';
+import ModerationLog from '../models/ModerationLog.js';
+import CoCreatorRequest from '../models/CoCreatorRequest.js';
+import CourseImprovement from '../models/CourseImprovement.js';
+import CourseReview from '../models/CourseReview.js';
+import Certificate from '../models/Certificate.js';
+import NewsletterSubscription from '../models/NewsletterSubscription.js';
+import Order from '../models/Order.js';
+import Payout from '../models/Payout.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import logger from '../utils/logger.js';
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || './storage/exports';
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+const MAX_EXPORT_AUDIO_BYTES = 100 * 1024 * 1024;
+const MAX_DELETION_ATTEMPTS = 5;
+const STALE_AFTER_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chroma collections whose documents carry a userId in their metadata
+const USER_VECTOR_COLLECTIONS = ['conversations', 'roadmaps', 'flashcards', 'notes'];
+
+// Fields never included in an export
+const USER_PRIVATE_FIELDS = '-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire';
+
+/**
+ * Every MongoDB collection holding a user's records.
+ * filter(userId, context) selects them; context carries the user's conversation ids and email.
+ * Optional: select (fields left out of the export), format(records, userId) (shapes the
+ * export), retain (kept on deletion) and anonymize (update applied instead of deleting).
+ */
+export const USER_DATA_STORES = [
+  { name: 'conversations', model: Conversation, filter: (userId) => ({ user: userId }) },
+  {
+    name: 'messages',
+    model: Message,
+    filter: (userId, { conversationIds = [] }) => ({
+      $or: [{ user: userId }, { conversation: { $in: conversationIds } }],
+    }),
+  },
+  { name: 'conversationShares', model: ConversationShare, filter: (userId) => ({ user: userId }) },
+  { name: 'flashcards', model: Flashcard, filter: (userId) => ({ user: userId }) },
+  { name: 'flashcardReviews', model: FlashcardReview, filter: (userId) => ({ user: userId }) },
+  { name: 'quizzes', model: Quiz, filter: (userId) => ({ user: userId }) },
+  { name: 'quizAttempts', model: QuizAttempt, filter: (userId) => ({ user: userId }) },
+  { name: 'enrollments', model: Enrollment, filter: (userId) => ({ user: userId }) },
+  { name: 'memories', model: MemoryEntry, filter: (userId) => ({ userId }) },
+  { name: 'profile', model: UserProfile, filter: (userId) => ({ userId }) },
+  { name: 'voiceSessions', model: VoiceSession, filter: (userId) => ({ userId }) },
+  { name: 'tutoringSessions', model: Session, filter: (userId) => ({ userId }) },
+  { name: 'aiUsage', model: AIUsageLog, filter: (userId) => ({ user: userId }) },
+  { name: 'ingestionJobs', model: IngestionJob, filter: (userId) => ({ user: userId }) },
+  { name: 'roadmaps', model: LearningRoadmap, filter: (userId) => ({ user: userId }) },
+  { name: 'enhancedRoadmaps', model: EnhancedRoadmap, filter: (userId) => ({ user: userId }) },
+  { name: 'moderationLogs', model: ModerationLog, filter: (userId) => ({ user: userId }) },
+  { name: 'coCreatorRequests', model: CoCreatorRequest, filter: (userId) => ({ requester: userId }) },
+  { name: 'courseImprovements', model: CourseImprovement, filter: (userId) => ({ suggestedBy: userId }) },
+  { name: 'courseReviews', model: CourseReview, filter: (userId) => ({ user: userId }) },
+  { name: 'certificates', model: Certificate, filter: (userId) => ({ user: userId }) },
+  {
+    name: 'newsletter',
+    model: NewsletterSubscription,
+    // Matches nothing without an email
+    filter: (userId, { email }) => (email ? { email: email.toLowerCase() } : { _id: null }),
+  },
+  {
+    name: 'orders',
+    model: Order,
+    filter: (userId) => ({ user: userId }),
+    // The revenue split names the course's contributors and their shares
+    select: '-revenue',
+    retain: true,
+  },
+  {
+    name: 'payouts',
+    model: Payout,
+    filter: (userId) => ({ user: userId }),
+    retain: true,
+    // Transfer references identify the contributor's bank or PayPal account
+    anonymize: { $set: { reference: null } },
+  },
+  {
+    name: 'ledgerLines',
+    model: LedgerTransaction,
+    filter: (userId) => ({ 'lines.user': userId }),
+    // Only the user's own lines; the others belong to co-contributors and the platform
+    format: (records, userId) => records.map(({ lines, ...transaction }) => ({
+      ...transaction,
+      lines: lines.filter(line => String(line.user) === String(userId)),
+    })),
+    retain: true,
+  },
+];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Digest of a deletion report (keys are written in a fixed order, so this is stable)
+ */
+export const digestReport = (report) => sha256(JSON.stringify(report));
+
+const memoryCollectionName = (userId) => `user_memories_${userId}`;
+
+// ============================================
+// External stores (loaded lazily; both are optional in development)
+// ============================================
+
+const getVectorStore = async () => {
+  try {
+    const { default: chromaService } = await import('../ai/vectorstore/chromaService.js');
+    return chromaService.isInitialized ? chromaService : null;
+  } catch (error) {
+    logger.warn(`Vector store unavailable: ${error.message}`);
+    return null;
+  }
+};
+
+const getAudioStore = async () => {
+  try {
+    const { default: audioStorage } = await import('./audioStorage.js');
+    if (!audioStorage.client && process.env.MINIO_ENDPOINT) {
+      await audioStorage.initialize();
+    }
+    return audioStorage.client ? audioStorage : null;
+  } catch (error) {
+    logger.warn(`Audio storage unavailable: ${error.message}`);
+    return null;
+  }
+};
+
+const setProgress = (request, progress) =>
+  DataRequest.updateOne({ _id: request._id }, { $set: { progress } });
+
+// ============================================
+// Export
+// ============================================
+
+const toJSON = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Build a zip of everything stored about a user
+ * @returns {Buffer}
+ */
+export const buildExportArchive = async (userId, { onProgress, now = new Date() } = {}) => {
+  const zip = new AdmZip();
+  const files = [];
+  const addFile = (name, content, records) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    zip.addFile(name, data);
+    files.push({ name, records, bytes: data.length, sha256: sha256(data) });
+  };
+
+  const user = await User.findById(userId).select(USER_PRIVATE_FIELDS).lean();
+  addFile('account.json', toJSON(user), user ? 1 : 0);
+
+  const context = {
+    email: user?.email,
+    conversationIds: await Conversation.distinct('_id', { user: userId }),
+  };
+
+  for (const [index, store] of USER_DATA_STORES.entries()) {
+    const query = store.model.find(store.filter(userId, context));
+    const found = await (store.select ? query.select(store.select) : query).lean();
+    const records = store.format ? store.format(found, userId) : found;
+    addFile(`${store.name}.json`, toJSON(records), records.length);
+    await onProgress?.(Math.round(((index + 1) / USER_DATA_STORES.length) * 80));
+  }
+
+  // Voice recordings (when audio storage is reachable), up to a size cap
+  const sessionIds = await VoiceSession.distinct('_id', { userId });
+  const audio = { available: false, sessions: [], omitted: 0 };
+  const audioStore = sessionIds.length > 0 ? await getAudioStore() : null;
+
+  if (audioStore) {
+    audio.available = true;
+    let audioBytes = 0;
+
+    for (const sessionId of sessionIds) {
+      const chunks = await audioStore.getSessionAudio(String(sessionId));
+      audio.sessions.push({ sessionId, objects: chunks.map(chunk => ({ key: chunk.key, size: chunk.size })) });
+
+      for (const chunk of chunks) {
+        if (audioBytes + chunk.size > MAX_EXPORT_AUDIO_BYTES) {
+          audio.omitted++;
+          continue;
+        }
+
+        const stream = await audioStore.client.getObject(audioStore.bucketName, chunk.key);
+        const parts = [];
+        for await (const part of stream) {
+          parts.push(part);
+        }
+        addFile(`audio/${chunk.key}`, Buffer.concat(parts), 1);
+        audioBytes += chunk.size;
+      }
+    }
+  }
+  addFile('voice_audio.json', toJSON(audio), audio.sessions.length);
+
+  zip.addFile('manifest.json', Buffer.from(toJSON({
+    generatedAt: now,
+    userId: String(userId),
+    files,
+  })));
+
+  return zip.toBuffer();
+};
+
+const runExport = async (request) => {
+  const archive = await buildExportArchive(request.user, {
+    onProgress: (progress) => setProgress(request, progress),
+  });
+
+  await fs.mkdir(EXPORT_DIR, { recursive: true });
+  const filePath = path.join(EXPORT_DIR, `${request._id}.zip`);
+  await fs.writeFile(filePath, archive);
+
+  request.file = {
+    path: filePath,
+    size: archive.length,
+    sha256: sha256(archive),
+    expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * DAY_MS),
+  };
+  request.status = 'completed';
+  request.progress = 100;
+  request.completedAt = new Date();
+  await request.save();
+};
+
+/**
+ * Queue a data export (an export already in progress is returned instead)
+ * @returns {Object} { request, created }
+ */
+export const requestDataExport = async (userId) => {
+  const active = await DataRequest.findOne({
+    user: userId,
+    type: 'export',
+    status: { $in: ['queued', 'processing'] },
+  });
+
+  if (active) {
+    return { request: active, created: false };
+  }
+
+  const request = await DataRequest.create({ user: userId, type: 'export' });
+  queueDataRequest(request._id);
+
+  return { request, created: true };
+};
+
+// ============================================
+// Deletion
+// ============================================
+
+const deleteUserVectors = async (userId) => {
+  const vectorStore = await getVectorStore();
+  if (!vectorStore) {
+    return { status: 'skipped', reason: 'Vector store unavailable', deleted: 0 };
+  }
+
+  const where = { userId: String(userId) };
+  let deleted = 0;
+
+  for (const collection of USER_VECTOR_COLLECTIONS) {
+    const result = await vectorStore.deleteWhere(collection, where);
+    deleted += result.deleted;
+  }
+  const memoryCollectionDropped = await vectorStore.deleteCollectionByName(memoryCollectionName(userId));
+
+  return { status: 'deleted', deleted, memoryCollectionDropped };
+};
+
+const countUserVectors = async (userId) => {
+  const vectorStore = await getVectorStore();
+  if (!vectorStore) {
+    return null;
+  }
+
+  let remaining = 0;
+  for (const collection of USER_VECTOR_COLLECTIONS) {
+    remaining += await vectorStore.countWhere(collection, { userId: String(userId) });
+  }
+  return remaining;
+};
+
+const deleteUserAudio = async (sessionIds = []) => {
+  if (sessionIds.length === 0) {
+    return { status: 'deleted', deleted: 0, sessions: 0 };
+  }
+
+  const audioStore = await getAudioStore();
+  if (!audioStore) {
+    return { status: 'skipped', reason: 'Audio storage unavailable', deleted: 0, sessions: sessionIds.length };
+  }
+
+  let deleted = 0;
+  for (const sessionId of sessionIds) {
+    deleted += await audioStore.cleanupSessionAudio(String(sessionId));
+  }
+
+  return { status: 'deleted', deleted, sessions: sessionIds.length };
+};
+
+const countUserAudio = async (sessionIds = []) => {
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  const audioStore = await getAudioStore();
+  if (!audioStore) {
+    return null;
+  }
+
+  let remaining = 0;
+  for (const sessionId of sessionIds) {
+    remaining += (await audioStore.getSessionAudio(String(sessionId))).length;
+  }
+  return remaining;
+};
+
+// Earlier export archives of the user
+const deleteUserExports = async (userId) => {
+  const exports = await DataRequest.find({ user: userId, type: 'export' }).select('file.path').lean();
+
+  await Promise.all(exports
+    .filter(request => request.file?.path)
+    .map(request => fs.rm(request.file.path, { force: true })));
+  await DataRequest.deleteMany({ user: userId, type: 'export' });
+
+  return exports.length;
+};
+
+/**
+ * Start deleting an account. The user record is removed straight away (revoking access)
+ * and everything else is deleted in the background.
+ * @returns {Object} { request, receipt } - the receipt token is shown to the user once
+ */
+export const requestAccountDeletion = async (userId) => {
+  const user = await User.findById(userId).select('email');
+  const voiceSessionIds = await VoiceSession.distinct('_id', { userId });
+  const receipt = crypto.randomBytes(24).toString('hex');
+
+  const request = await DataRequest.create({
+    user: userId,
+    type: 'deletion',
+    targets: { email: user?.email, voiceSessionIds },
+    receiptHash: sha256(receipt),
+  });
+
+  await User.deleteOne({ _id: userId });
+  queueDataRequest(request._id);
+
+  return { request, receipt };
+};
+
+const runDeletion = async (request) => {
+  const userId = request.user;
+  const { email, voiceSessionIds = [] } = request.targets || {};
+  const previous = new Map((request.report?.stores || []).map(store => [store.store, store.deleted]));
+
+  // Any account record (e.g. if the request was created before a retry)
+  const accountDeleted = (await User.deleteOne({ _id: userId })).deletedCount;
+
+  const vectors = await deleteUserVectors(userId);
+  const audio = await deleteUserAudio(voiceSessionIds);
+  const exports = await deleteUserExports(userId);
+  await setProgress(request, 30);
+
+  const context = {
+    email,
+    conversationIds: await Conversation.distinct('_id', { user: userId }),
+  };
+  const reviewedCourseIds = await CourseReview.distinct('course', { user: userId });
+
+  // Helpful votes and reports on other learners' reviews
+  await CourseReview.updateMany(
+    { helpfulVotes: userId },
+    { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } }
+  );
+  await CourseReview.updateMany(
+    { 'reports.user': userId },
+    { $pull: { reports: { user: userId } }, $inc: { reportCount: -1 } }
+  );
+
+  const stores = [];
+  for (const [index, store] of USER_DATA_STORES.entries()) {
+    const filter = store.filter(userId, context);
+
+    if (store.retain) {
+      if (store.anonymize) {
+        await store.model.updateMany(filter, store.anonymize);
+      }
+      stores.push({ store: store.name, deleted: 0, retained: await store.model.countDocuments(filter), remaining: 0 });
+    } else {
+      const { deletedCount } = await store.model.deleteMany(filter);
+      const remaining = await store.model.countDocuments(filter);
+
+      stores.push({ store: store.name, deleted: (previous.get(store.name) || 0) + deletedCount, remaining });
+    }
+    await setProgress(request, 30 + Math.round(((index + 1) / USER_DATA_STORES.length) * 60));
+  }
+
+  // Ratings of the courses the user reviewed no longer include them
+  for (const courseId of reviewedCourseIds) {
+    await CourseReview.updateRatingAggregates(courseId);
+  }
+
+  const [accountRemaining, vectorsRemaining, audioRemaining] = await Promise.all([
+    User.countDocuments({ _id: userId }),
+    countUserVectors(userId),
+    countUserAudio(voiceSessionIds),
+  ]);
+
+  const verified = accountRemaining === 0
+    && stores.every(store => store.remaining === 0)
+    && vectorsRemaining === 0
+    && audioRemaining === 0;
+
+  const report = {
+    requestId: String(request._id),
+    userId: String(userId),
+    requestedAt: request.requestedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    account: { deleted: accountDeleted > 0 || Boolean(request.report?.account?.deleted), remaining: accountRemaining },
+    stores,
+    vectors: { ...vectors, remaining: vectorsRemaining },
+    audio: { ...audio, remaining: audioRemaining },
+    exports: { deleted: exports },
+    verified,
+  };
+
+  request.report = report;
+  request.reportDigest = digestReport(report);
+  request.status = verified ? 'completed' : 'partial';
+  request.progress = 100;
+  request.completedAt = new Date();
+  if (verified) {
+    request.targets = undefined;
+  }
+  await request.save();
+
+  logger.info(`Account deletion ${verified ? 'verified' : 'incomplete'}`, { requestId: String(request._id) });
+};
+
+/**
+ * Look up a deletion report with its receipt token
+ * @returns {Object|null} { status, report, reportDigest, digestValid }
+ */
+export const getDeletionReport = async (requestId, receipt) => {
+  if (!receipt) {
+    return null;
+  }
+
+  const request = await DataRequest.findOne({
+    _id: requestId,
+    type: 'deletion',
+    receiptHash: sha256(String(receipt)),
+  });
+
+  if (!request) {
+    return null;
+  }
+
+  return {
+    status: request.status,
+    progress: request.progress,
+    report: request.report || null,
+    reportDigest: request.reportDigest || null,
+    digestValid: request.report ? digestReport(request.report) === request.reportDigest : null,
+  };
+};
+
+// ============================================
+// Processing
+// ============================================
+
+const running = new Set();
+
+/**
+ * Claim and process a queued (or stale, or incomplete) request
+ */
+export const processDataRequest = async (requestId) => {
+  const key = String(requestId);
+  if (running.has(key)) {
+    return;
+  }
+  running.add(key);
+
+  try {
+    const request = await DataRequest.findOneAndUpdate(
+      {
+        _id: requestId,
+        $or: [
+          { status: { $in: ['queued', 'partial'] } },
+          { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+        ],
+      },
+      { $set: { status: 'processing', startedAt: new Date(), error: null }, $inc: { attempts: 1 } },
+      { new: true },
+    );
+
+    if (!request) {
+      return;
+    }
+
+    if (request.type === 'export') {
+      await runExport(request);
+    } else {
+      await runDeletion(request);
+    }
+  } catch (error) {
+    logger.error(`Data request ${key} failed: ${error.message}`);
+    await DataRequest.updateOne({ _id: requestId }, { $set: { status: 'failed', error: error.message } });
+  } finally {
+    running.delete(key);
+  }
+};
+
+/**
+ * Process a request in the background of this process
+ */
+export const queueDataRequest = (requestId) => {
+  setImmediate(() => {
+    processDataRequest(requestId).catch(error => logger.error(`Data request ${requestId} error: ${error.message}`));
+  });
+};
+
+/**
+ * Resume interrupted requests, retry incomplete deletions and expire old export archives
+ */
+export const sweepDataRequests = async () => {
+  const now = new Date();
+
+  const pending = await DataRequest.find({
+    $or: [
+      { status: 'queued' },
+      { status: 'processing', startedAt: { $lt: new Date(now.getTime() - STALE_AFTER_MS) } },
+      { type: 'deletion', status: { $in: ['partial', 'failed'] }, attempts: { $lt: MAX_DELETION_ATTEMPTS } },
+    ],
+  }).select('_id type status').limit(20).lean();
+
+  for (const request of pending) {
+    // Failed deletions are retried; failed exports are left for the user to request again
+    if (request.status === 'failed') {
+      await DataRequest.updateOne({ _id: request._id, status: 'failed' }, { $set: { status: 'partial' } });
+    }
+    await processDataRequest(request._id);
+  }
+
+  const expired = await DataRequest.find({
+    type: 'export',
+    status: 'completed',
+    'file.expiresAt': { $lt: now },
+  }).select('file.path').lean();
+
+  for (const request of expired) {
+    await fs.rm(request.file.path, { force: true });
+    await DataRequest.updateOne({ _id: request._id }, { $set: { status: 'expired' } });
+  }
+
+  return { processed: pending.length, expired: expired.length };
+};
+
+/**
+ * Sweep now and then hourly
+ * @returns {Object} Interval handle
+ */
+export const startDataRequestJobs = () => {
+  const sweep = () => sweepDataRequests().catch(error => logger.error(`Data request sweep error: ${error.message}`));
+
+  sweep();
+  const interval = setInterval(sweep, SWEEP_INTERVAL_MS);
+  interval.unref();
+
+  return interval;
+};
+
+export default {
+  requestDataExport,
+  requestAccountDeletion,
+  getDeletionReport,
+  buildExportArchive,
+  processDataRequest,
+  sweepDataRequests,
+  startDataRequestJobs,
+};
@@ -3,11 +3,12 @@
  * Main service that coordinates all AI operations
  */
 
-import { ChatGroq } from '@langchain/groq';
+import aiService from '../config/aiService.js';
 import { HumanMessage, SystemMessage } from '@langchain/core/messages';
 import embeddingService from '../ai/embeddings/embeddingService.js';
 import chromaService from '../ai/vectorstore/chromaService.js';
 import ingestionService from '../ai/vectorstore/ingestion.js';
+import reranker from '../ai/vectorstore/reranker.js';
 import ragChain from '../ai/chains/ragChain.js';
 import sanitizer from '../ai/security/sanitizer.js';
 import envValidator from '../config/envValidator.js';
@@ -23,7 +24,7 @@ import logger from '../utils/logger.js';
 
 class AIOrchestrator {
     constructor() {
-        // Lazily initialize the ChatGroq client to avoid throwing during module
+        // Lazily initialize the chat model to avoid throwing during module
         // import if environment variables are not yet loaded.
         this.llm = null;
         this.isInitialized = false;
@@ -32,17 +33,9 @@ class AIOrchestrator {
     getLLM() {
         if (this.llm) return this.llm;
 
-        const apiKey = aiConfig.llm.apiKey || process.env.GROQ_API_KEY;
-        if (!apiKey) {
-            throw new Error('GROQ API key missing. Please set `GROQ_API_KEY` in your .env or environment and restart the server.');
-        }
-
-        this.llm = new ChatGroq({
-            apiKey,
-            model: aiConfig.llm.model,
+        this.llm = aiService.getChatModel('chat', {
             temperature: aiConfig.llm.temperature,
             maxTokens: aiConfig.llm.maxTokens,
-            streaming: aiConfig.llm.streaming,
         });
 
         return this.llm;
@@ -98,12 +91,11 @@ class AIOrchestrator {
     }
 
     /**
-     * Chat with AI - Industry-Level Memory System
-     * Uses multi-tiered memory architecture with semantic retrieval
+     * Build the LLM messages for a chat turn: security checks, then conversation
+     * memory (industry multi-tier, falling back to the simple manager)
+     * @returns {Object} { messages, sanitizedMessage, thinkingSteps, metadata }
      */
-    async chat(message, context = {}) {
-        const startTime = Date.now();
-
+    async prepareChat(message, context = {}) {
         // Security check
         const injectionCheck = sanitizer.detectInjection(message);
         if (injectionCheck.detected) {
@@ -201,6 +193,17 @@ Remember: You are having a continuous conversation, not isolated Q&A.`
         // Add current message
         messages.push(new HumanMessage(sanitizedMessage));
 
+        return { messages, sanitizedMessage, thinkingSteps, metadata };
+    }
+
+    /**
+     * Chat with AI - Industry-Level Memory System
+     * Uses multi-tiered memory architecture with semantic retrieval
+     */
+    async chat(message, context = {}) {
+        const startTime = Date.now();
+        const { messages, sanitizedMessage, thinkingSteps, metadata } = await this.prepareChat(message, context);
+
         // Call LLM with optimized context
         const response = await this.getLLM().invoke(messages);
 
@@ -264,6 +267,52 @@ Remember: You are having a continuous conversation, not isolated Q&A.`
         };
     }
 
+    /**
+     * Streaming chat, token by token
+     * @param {String} message
+     * @param {Object} context - As chat(), plus mode ('simple' | 'rag'), topK and signal (AbortSignal)
+     * @yields {Object} Events in order:
+     *   { type: 'context', mode, memoryMetadata } once memory or retrieval is ready,
+     *   { type: 'sources', sources, confidence } (RAG only),
+     *   { type: 'token', delta } for each piece of the answer,
+     *   { type: 'usage', usage, model, provider } when the model reports it
+     */
+    async *streamChat(message, context = {}) {
+        const { mode = 'simple', signal } = context;
+
+        if (mode === 'rag') {
+            if (!chromaService.isInitialized) {
+                throw new Error('RAG features require ChromaDB server. Please start ChromaDB server first.');
+            }
+
+            const injectionCheck = sanitizer.detectInjection(message);
+            if (injectionCheck.detected) {
+                throw new Error('Potential prompt injection detected');
+            }
+
+            yield { type: 'context', mode };
+            yield* ragChain.stream(sanitizer.sanitizeText(message), { topK: context.topK, signal });
+            return;
+        }
+
+        const { messages, metadata } = await this.prepareChat(message, context);
+        yield { type: 'context', mode, memoryMetadata: metadata };
+
+        for await (const chunk of await this.getLLM().stream(messages, { signal })) {
+            if (chunk.content) {
+                yield { type: 'token', delta: chunk.content };
+            }
+            if (chunk.response_metadata?.provider) {
+                yield {
+                    type: 'usage',
+                    usage: chunk.usage_metadata || null,
+                    model: chunk.response_metadata.model,
+                    provider: chunk.response_metadata.provider,
+                };
+            }
+        }
+    }
+
     /**
      * Smart Chat - Automatic Mode Detection
      * Intelligently routes to RAG or simple chat based on query analysis
@@ -579,14 +628,14 @@ Remember: You are having a continuous conversation, not isolated Q&A.`
     }
 
     /**
-     * Ingest content into vector store
+     * Ingest content into vector store (chunked; options: format, chunking)
      */
-    async ingestContent(type, content, metadata = {}) {
+    async ingestContent(type, content, metadata = {}, options = {}) {
         if (!chromaService.isInitialized) {
             throw new Error('Content ingestion requires ChromaDB server. Please start ChromaDB server first.');
         }
 
-        return await ingestionService.ingestContent(type, content, metadata);
+        return await ingestionService.ingestContent(type, content, metadata, options);
     }
 
     /**
@@ -609,6 +658,10 @@ Remember: You are having a continuous conversation, not isolated Q&A.`
             embeddings: embeddingStats,
             vectorStore: chromaStats,
             classifier: classifierStats,
+            reranker: {
+                enabled: aiConfig.rag.enableReranking,
+                ...reranker.getStats(),
+            },
             model: aiConfig.llm.model,
             cost: {
                 embeddings: 0, // Always $0
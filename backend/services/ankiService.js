@@ -0,0 +1,911 @@
+/**
+ * Anki Import/Export Service
+ * Builds .apkg packages (legacy collection.anki2 SQLite schema, readable by Anki 2.1+
+ * and AnkiDroid) and imports .apkg, CSV and TSV files into Flashcard documents with
+ * scheduling state preserved and duplicates reported against the user's cards.
+ */
+
+import crypto from 'crypto';
+import AdmZip from 'adm-zip';
+import initSqlJs from 'sql.js';
+import Flashcard from '../models/Flashcard.js';
+import { MS_PER_DAY } from './fsrsService.js';
+
+const FIELD_SEPARATOR = '\x1f';
+const DECK_SEPARATOR = '::';
+const DEFAULT_DECK_ID = 1;
+const DEFAULT_IMPORT_DECK = 'Imported';
+// Stable note type id so repeated imports into Anki reuse the same note type
+const MODEL_ID = 1700000000000;
+const MAX_REPORTED_ITEMS = 500;
+// Uncompressed size of the collection inside an .apkg (the upload itself is capped at 50 MB)
+const MAX_COLLECTION_MB = parseInt(process.env.FLASHCARD_IMPORT_MAX_COLLECTION_MB) || 100;
+const MAX_IMPORT_CARDS = parseInt(process.env.FLASHCARD_IMPORT_MAX_CARDS) || 50000;
+
+export const DUPLICATE_MODES = ['skip', 'update', 'import'];
+
+export class AnkiImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnkiImportError';
+    this.status = status;
+  }
+}
+
+const tooManyCards = () => new AnkiImportError(
+  `Files with more than ${MAX_IMPORT_CARDS} cards can't be imported at once; split the deck and import the parts`,
+  413,
+);
+
+let sqlPromise = null;
+const getSQL = () => {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs();
+  }
+  return sqlPromise;
+};
+
+const ANKI_SCHEMA = `
+  CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+    conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+  );
+  CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null,
+    csum integer not null, flags integer not null, data text not null
+  );
+  CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null,
+    due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+    flags integer not null, data text not null
+  );
+  CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+    type integer not null
+  );
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn ON notes (usn);
+  CREATE INDEX ix_cards_usn ON cards (usn);
+  CREATE INDEX ix_revlog_usn ON revlog (usn);
+  CREATE INDEX ix_cards_nid ON cards (nid);
+  CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid ON revlog (cid);
+  CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+// ============================================
+// Text helpers
+// ============================================
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Convert Anki field HTML to plain text
+ */
+export const htmlToText = (html = '') => String(html)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(div|p|li)>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  })
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Convert plain text to Anki field HTML
+ */
+export const textToHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n/g, '<br>');
+
+/**
+ * Key used to detect duplicate cards: deck plus whitespace/case-insensitive front
+ */
+export const duplicateKey = (deck, front) =>
+  `${deck}\u0000${String(front).toLowerCase().replace(/\s+/g, ' ').trim()}`;
+
+/**
+ * Render cloze markup ({{c1::answer::hint}}) as a prompt or with answers revealed
+ */
+export const renderCloze = (text, reveal) =>
+  text.replace(/\{\{c\d+::(.*?)(?:::(.*?))?\}\}/g, (_, answer, hint) => {
+    if (reveal) {
+      return answer;
+    }
+    return hint ? `[${hint}]` : '[...]';
+  });
+
+const fieldChecksum = (text) =>
+  parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+
+const randomGuid = () => crypto.randomBytes(8).toString('base64').replace(/[+/=]/g, '').slice(0, 10);
+
+// ============================================
+// Export
+// ============================================
+
+const buildModel = (now) => ({
+  id: MODEL_ID,
+  name: 'Basic (Mini AI Tutor)',
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: DEFAULT_DECK_ID,
+  tmpls: [{
+    name: 'Card 1',
+    ord: 0,
+    qfmt: '{{Front}}',
+    afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}',
+    did: null,
+    bqfmt: '',
+    bafmt: '',
+  }],
+  flds: ['Front', 'Back'].map((name, ord) => ({
+    name,
+    ord,
+    sticky: false,
+    rtl: false,
+    font: 'Arial',
+    size: 20,
+    media: [],
+  })),
+  css: '.card {\n font-family: arial;\n font-size: 20px;\n text-align: center;\n color: black;\n' +
+    ' background-color: white;\n}\n',
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+    '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  latexsvg: false,
+  req: [[0, 'any', [0]]],
+  tags: [],
+  vers: [],
+});
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  mod: now,
+  usn: -1,
+  lrnToday: [0, 0],
+  revToday: [0, 0],
+  newToday: [0, 0],
+  timeToday: [0, 0],
+  collapsed: false,
+  browserCollapsed: false,
+  desc: '',
+  dyn: 0,
+  conf: 1,
+  extendNew: 0,
+  extendRev: 0,
+});
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+    rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 },
+    maxTaken: 60,
+    timer: 0,
+    autoplay: true,
+    replayq: true,
+    mod: 0,
+    usn: 0,
+    dyn: false,
+  },
+};
+
+/**
+ * Assign Anki deck ids to every deck and its parents ("A::B" also creates "A")
+ */
+const buildDeckIds = (deckNames, baseId) => {
+  const ids = new Map();
+  let nextId = baseId;
+
+  for (const name of [...deckNames].sort()) {
+    const parts = name.split(DECK_SEPARATOR);
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const path = parts.slice(0, depth).join(DECK_SEPARATOR);
+      if (!ids.has(path)) {
+        ids.set(path, nextId++);
+      }
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Build an .apkg package from flashcards and their review log
+ * @param {Array} flashcards - Flashcard documents
+ * @param {Object} options - reviews (FlashcardReview documents for revlog), now
+ * @returns {Buffer} Zip file contents
+ */
+export const buildApkg = async (flashcards, { reviews = [], now = new Date() } = {}) => {
+  const SQL = await getSQL();
+  const db = new SQL.Database();
+  const nowMs = now.getTime();
+  const nowSec = Math.floor(nowMs / 1000);
+
+  // Day numbers for review due dates count from the collection creation day
+  const earliest = flashcards.reduce(
+    (min, card) => Math.min(min, new Date(card.createdAt || nowMs).getTime()),
+    nowMs,
+  );
+  const crt = Math.floor(earliest / MS_PER_DAY) * (MS_PER_DAY / 1000);
+
+  const deckIds = buildDeckIds(new Set(flashcards.map(card => card.deck)), nowMs);
+  const decks = { [DEFAULT_DECK_ID]: buildDeck(DEFAULT_DECK_ID, 'Default', nowSec) };
+  for (const [name, id] of deckIds) {
+    decks[id] = buildDeck(id, name, nowSec);
+  }
+
+  const conf = {
+    nextPos: flashcards.length + 1,
+    estTimes: true,
+    activeDecks: [DEFAULT_DECK_ID],
+    sortType: 'noteFld',
+    timeLim: 0,
+    sortBackwards: false,
+    addToCur: true,
+    curDeck: DEFAULT_DECK_ID,
+    newBury: true,
+    newSpread: 0,
+    dueCounts: true,
+    curModel: String(MODEL_ID),
+    collapseTime: 1200,
+  };
+
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      crt,
+      nowMs,
+      nowMs,
+      JSON.stringify(conf),
+      JSON.stringify({ [MODEL_ID]: buildModel(nowSec) }),
+      JSON.stringify(decks),
+      JSON.stringify(DECK_CONFIG),
+      '{}',
+    ]);
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?)');
+    const cardIds = new Map();
+    let newPosition = 0;
+
+    flashcards.forEach((card, index) => {
+      const noteId = nowMs - flashcards.length + index;
+      const cardId = noteId;
+      const sr = card.spacedRepetition || {};
+      const reviewed = Boolean(sr.lastReviewDate);
+      const front = textToHtml(card.front);
+      const tags = (card.tags || []).map(tag => String(tag).replace(/\s+/g, '_')).filter(Boolean);
+
+      cardIds.set(String(card._id), cardId);
+
+      insertNote.run([
+        noteId,
+        String(card._id || randomGuid()),
+        MODEL_ID,
+        Math.floor(new Date(card.updatedAt || nowMs).getTime() / 1000),
+        tags.length ? ` ${tags.join(' ')} ` : '',
+        `${front}${FIELD_SEPARATOR}${textToHtml(card.back)}`,
+        card.front,
+        fieldChecksum(card.front),
+      ]);
+
+      const due = reviewed
+        ? Math.max(0, Math.floor((new Date(sr.nextReviewDate).getTime() / 1000 - crt) / (MS_PER_DAY / 1000)))
+        : ++newPosition;
+      const type = reviewed ? 2 : 0;
+      const queue = card.isActive === false || card.suspended ? -1 : type;
+      const fsrsData = card.fsrs?.stability
+        ? JSON.stringify({ s: Number(card.fsrs.stability.toFixed(4)), d: Number(card.fsrs.difficulty.toFixed(4)) })
+        : '';
+
+      insertCard.run([
+        cardId,
+        noteId,
+        deckIds.get(card.deck),
+        Math.floor(new Date(card.updatedAt || nowMs).getTime() / 1000),
+        type,
+        queue,
+        due,
+        reviewed ? Math.max(1, sr.interval || 1) : 0,
+        reviewed ? Math.round((sr.easeFactor || 2.5) * 1000) : 0,
+        card.stats?.totalReviews || 0,
+        card.fsrs?.lapses || card.stats?.incorrectReviews || 0,
+        fsrsData,
+      ]);
+    });
+
+    insertNote.free();
+    insertCard.free();
+
+    const insertRevlog = db.prepare('INSERT INTO revlog VALUES (?, ?, -1, ?, ?, ?, ?, ?, ?)');
+    const usedIds = new Set();
+
+    for (const review of reviews) {
+      const cardId = cardIds.get(String(review.flashcard));
+      if (!cardId) {
+        continue;
+      }
+
+      // Revlog ids are millisecond timestamps and must be unique
+      let id = new Date(review.reviewedAt).getTime();
+      while (usedIds.has(id)) {
+        id++;
+      }
+      usedIds.add(id);
+
+      insertRevlog.run([
+        id,
+        cardId,
+        review.rating,
+        review.intervalAfter || 0,
+        review.intervalBefore || 0,
+        2500,
+        Math.min(review.responseTime || 0, 60000),
+        review.intervalBefore ? 1 : 0,
+      ]);
+    }
+
+    insertRevlog.free();
+
+    const zip = new AdmZip();
+    zip.addFile('collection.anki2', Buffer.from(db.export()));
+    zip.addFile('media', Buffer.from('{}'));
+    return zip.toBuffer();
+  } finally {
+    db.close();
+  }
+};
+
+// ============================================
+// Import: .apkg
+// ============================================
+
+const queryRows = (db, sql) => {
+  const result = db.exec(sql);
+  if (!result.length) {
+    return [];
+  }
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+};
+
+const tableExists = (db, name) =>
+  queryRows(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+
+/**
+ * Deck names and note types (with field names) from either the legacy JSON columns
+ * or the newer decks/notetypes/fields tables
+ */
+const readCollectionMeta = (db) => {
+  const [col] = queryRows(db, 'SELECT crt, models, decks FROM col');
+  if (!col) {
+    throw new AnkiImportError('Package has no collection data');
+  }
+
+  const deckNames = new Map();
+  const noteTypes = new Map();
+
+  const legacyDecks = col.decks ? JSON.parse(col.decks) : {};
+  for (const deck of Object.values(legacyDecks)) {
+    deckNames.set(Number(deck.id), deck.name);
+  }
+  if (deckNames.size === 0 && tableExists(db, 'decks')) {
+    for (const deck of queryRows(db, 'SELECT id, name FROM decks')) {
+      deckNames.set(Number(deck.id), String(deck.name).split(FIELD_SEPARATOR).join(DECK_SEPARATOR));
+    }
+  }
+
+  const legacyModels = col.models ? JSON.parse(col.models) : {};
+  for (const model of Object.values(legacyModels)) {
+    noteTypes.set(Number(model.id), {
+      cloze: model.type === 1,
+      fields: [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name),
+    });
+  }
+  if (noteTypes.size === 0 && tableExists(db, 'notetypes')) {
+    const fields = queryRows(db, 'SELECT ntid, ord, name FROM fields ORDER BY ntid, ord');
+    for (const noteType of queryRows(db, 'SELECT id, config FROM notetypes')) {
+      noteTypes.set(Number(noteType.id), {
+        // The protobuf config starts with the kind field; 0x08 0x01 marks a cloze note type
+        cloze: noteType.config instanceof Uint8Array && noteType.config[0] === 0x08 && noteType.config[1] === 0x01,
+        fields: fields.filter(field => Number(field.ntid) === Number(noteType.id)).map(field => field.name),
+      });
+    }
+  }
+
+  return { crt: Number(col.crt), deckNames, noteTypes };
+};
+
+const findField = (names, candidates, fallback) => {
+  const index = names.findIndex(name => candidates.includes(String(name).toLowerCase()));
+  return index === -1 ? fallback : index;
+};
+
+/**
+ * Scheduling state of an Anki card as Flashcard fields
+ */
+const schedulingFromAnkiCard = (card, crt, now) => {
+  const reps = Number(card.reps) || 0;
+  const lapses = Number(card.lapses) || 0;
+  const stats = {
+    totalReviews: reps,
+    correctReviews: Math.max(0, reps - lapses),
+    incorrectReviews: lapses,
+  };
+
+  // New cards
+  if (Number(card.type) === 0) {
+    return { spacedRepetition: { nextReviewDate: now }, stats };
+  }
+
+  const interval = Number(card.ivl) > 0 ? Number(card.ivl) : 0;
+  const easeFactor = Math.max(1.3, (Number(card.factor) || 2500) / 1000);
+  let nextReviewDate = now;
+
+  // Review cards: due is a day number relative to collection creation;
+  // intraday learning cards (queue 1): due is a unix timestamp
+  if (Number(card.type) === 2 && Number(card.queue) !== 1) {
+    nextReviewDate = new Date((crt + Number(card.due) * (MS_PER_DAY / 1000)) * 1000);
+  } else if (Number(card.queue) === 1) {
+    nextReviewDate = new Date(Number(card.due) * 1000);
+  }
+
+  const spacedRepetition = {
+    easeFactor,
+    interval,
+    repetitions: Number(card.type) === 2 ? (interval >= 6 ? 2 : 1) : 0,
+    nextReviewDate,
+    lastReviewDate: new Date(nextReviewDate.getTime() - Math.max(interval, 1) * MS_PER_DAY),
+  };
+
+  const result = { spacedRepetition, stats };
+
+  // FSRS memory state written by Anki 23.10+
+  if (card.data) {
+    try {
+      const data = JSON.parse(card.data);
+      if (Number.isFinite(data.s) && Number.isFinite(data.d)) {
+        result.fsrs = {
+          stability: data.s,
+          difficulty: data.d,
+          state: Number(card.type) === 3 ? 'relearning' : 'review',
+          lapses,
+        };
+      }
+    } catch {
+      // Not JSON; ignore
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Parse an .apkg (or .colpkg) package into importable cards
+ * @param {Buffer} buffer
+ * @returns {Array} [{ front, back, tags, deck, guid, suspended, spacedRepetition, stats, fsrs }]
+ */
+export const parseApkg = async (buffer, { now = new Date() } = {}) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new AnkiImportError('File is not a valid .apkg package');
+  }
+
+  const entry = zip.getEntry('collection.anki21') || zip.getEntry('collection.anki2');
+  if (!entry) {
+    if (zip.getEntry('collection.anki21b')) {
+      throw new AnkiImportError(
+        'This package uses the compressed Anki 23.10+ format. Re-export it with "Support older Anki versions" enabled.',
+      );
+    }
+    throw new AnkiImportError('Package does not contain an Anki collection');
+  }
+
+  // Checked before inflating: getData() never inflates past the size in the header
+  if (entry.header.size > MAX_COLLECTION_MB * 1024 * 1024) {
+    throw new AnkiImportError(`Anki collection is larger than ${MAX_COLLECTION_MB} MB uncompressed`, 413);
+  }
+
+  const SQL = await getSQL();
+  let db;
+  try {
+    db = new SQL.Database(entry.getData());
+  } catch {
+    throw new AnkiImportError('Anki collection could not be read');
+  }
+
+  try {
+    if (queryRows(db, 'SELECT COUNT(*) AS count FROM notes')[0].count > MAX_IMPORT_CARDS) {
+      throw tooManyCards();
+    }
+
+    const { crt, deckNames, noteTypes } = readCollectionMeta(db);
+    const notes = queryRows(db, 'SELECT id, guid, mid, tags, flds FROM notes');
+    const cards = queryRows(db, 'SELECT nid, did, ord, type, queue, due, ivl, factor, reps, lapses, data FROM cards');
+
+    // One flashcard per note, scheduled like the note's first card
+    const firstCards = new Map();
+    for (const card of cards) {
+      const current = firstCards.get(card.nid);
+      if (!current || card.ord < current.ord) {
+        firstCards.set(card.nid, card);
+      }
+    }
+
+    return notes.map(note => {
+      const noteType = noteTypes.get(Number(note.mid)) || { cloze: false, fields: [] };
+      const fields = String(note.flds).split(FIELD_SEPARATOR);
+      const card = firstCards.get(note.id);
+      let front;
+      let back;
+
+      if (noteType.cloze) {
+        const text = htmlToText(fields[findField(noteType.fields, ['text'], 0)]);
+        const extra = htmlToText(fields[findField(noteType.fields, ['extra', 'back extra'], 1)] || '');
+        front = renderCloze(text, false);
+        back = [renderCloze(text, true), extra].filter(Boolean).join('\n\n');
+      } else {
+        front = htmlToText(fields[findField(noteType.fields, ['front', 'question'], 0)]);
+        back = htmlToText(fields[findField(noteType.fields, ['back', 'answer'], 1)] || '');
+      }
+
+      return {
+        front,
+        back,
+        tags: String(note.tags).trim().split(/\s+/).filter(Boolean),
+        deck: card ? deckNames.get(Number(card.did)) || 'Default' : 'Default',
+        guid: note.guid,
+        suspended: Number(card?.queue) === -1,
+        ...(card ? schedulingFromAnkiCard(card, crt, now) : {}),
+      };
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// ============================================
+// Import: CSV / TSV
+// ============================================
+
+const SEPARATORS = { comma: ',', tab: '\t', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+const COLUMN_ALIASES = {
+  front: ['front', 'question', 'term', 'prompt'],
+  back: ['back', 'answer', 'definition', 'response'],
+  tags: ['tags', 'tag'],
+  deck: ['deck'],
+  interval: ['interval', 'ivl'],
+  due: ['due', 'next review', 'nextreview', 'next_review'],
+  ease: ['ease', 'ease factor', 'easefactor'],
+};
+
+/**
+ * Split delimited text into rows of fields (RFC 4180 quoting)
+ */
+export const splitDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const detectDelimiter = (line) => {
+  const counts = [',', '\t', ';', '|'].map(delimiter => ({
+    delimiter,
+    count: line.split(delimiter).length - 1,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+const columnRole = (name) => Object.keys(COLUMN_ALIASES)
+  .find(role => COLUMN_ALIASES[role].includes(String(name).trim().toLowerCase()));
+
+/**
+ * Parse CSV/TSV flashcards, honouring Anki text-export headers
+ * (#separator, #html, #columns, #deck, #tags, #deck column, #tags column)
+ * @param {String} text
+ * @param {Object} options - delimiter, mapping ({ front, back, tags, deck } column indexes), deck, now
+ * @returns {Array} [{ row, front, back, tags, deck, spacedRepetition? }]
+ */
+export const parseDelimited = (text, { delimiter, mapping, deck, now = new Date() } = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const directives = {};
+  let bodyStart = 0;
+
+  while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+    const match = lines[bodyStart].match(/^#([a-z ]+):(.*)$/i);
+    if (match) {
+      directives[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+    bodyStart++;
+  }
+
+  const body = lines.slice(bodyStart).join('\n');
+  const separator = delimiter ||
+    SEPARATORS[directives.separator?.toLowerCase()] ||
+    directives.separator ||
+    detectDelimiter(lines[bodyStart] || '');
+  const rows = splitDelimited(body, separator);
+  const html = directives.html === 'true';
+
+  // Column roles: explicit mapping, then #columns / header row, then front, back, tags, deck
+  let roles = { front: 0, back: 1, tags: 2, deck: 3 };
+  let dataStart = 0;
+  const headerNames = directives.columns ? directives.columns.split(separator) : null;
+  const headerRoles = (headerNames || rows[0] || []).map(columnRole);
+
+  if (headerNames || (headerRoles.includes('front') && headerRoles.includes('back'))) {
+    roles = {};
+    headerRoles.forEach((role, index) => {
+      if (role && roles[role] === undefined) {
+        roles[role] = index;
+      }
+    });
+    dataStart = headerNames ? 0 : 1;
+  }
+  if (directives['tags column']) {
+    roles.tags = parseInt(directives['tags column']) - 1;
+  }
+  if (directives['deck column']) {
+    roles.deck = parseInt(directives['deck column']) - 1;
+  }
+  if (mapping) {
+    roles = { ...roles, ...mapping };
+  }
+
+  const fileTags = directives.tags ? directives.tags.split(/\s+/).filter(Boolean) : [];
+  const defaultDeck = directives.deck || deck || DEFAULT_IMPORT_DECK;
+  const clean = (value) => (html ? htmlToText(value) : String(value ?? '').trim());
+
+  return rows.slice(dataStart).map((fields, index) => {
+    const value = (role) => (roles[role] !== undefined ? fields[roles[role]] : undefined);
+    const card = {
+      row: bodyStart + dataStart + index + 1,
+      front: clean(value('front') ?? ''),
+      back: clean(value('back') ?? ''),
+      tags: [...fileTags, ...String(value('tags') ?? '').split(/\s+/).filter(Boolean)],
+      deck: String(value('deck') ?? '').trim() || defaultDeck,
+    };
+
+    // Optional scheduling columns preserve review intervals
+    const interval = parseFloat(value('interval'));
+    if (Number.isFinite(interval) && interval > 0) {
+      const due = value('due') ? new Date(value('due')) : null;
+      const nextReviewDate = due && !isNaN(due.getTime()) ? due : new Date(now.getTime() + interval * MS_PER_DAY);
+      const ease = parseFloat(value('ease'));
+
+      card.spacedRepetition = {
+        interval: Math.round(interval),
+        easeFactor: Number.isFinite(ease) ? Math.max(1.3, ease > 10 ? ease / 1000 : ease) : 2.5,
+        repetitions: interval >= 6 ? 2 : 1,
+        nextReviewDate,
+        lastReviewDate: new Date(nextReviewDate.getTime() - interval * MS_PER_DAY),
+      };
+    }
+
+    return card;
+  });
+};
+
+// ============================================
+// Import into Flashcards
+// ============================================
+
+/**
+ * Parse an uploaded file by type
+ * @param {Object} file - { buffer, originalname }
+ * @param {Object} options - deck (target deck / parent deck for .apkg), delimiter, mapping
+ */
+export const parseImportFile = async (file, { deck, delimiter, mapping } = {}) => {
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+
+  if (extension === 'apkg' || extension === 'colpkg') {
+    const cards = await parseApkg(file.buffer);
+    if (!deck) {
+      return cards;
+    }
+    // Imported decks go under the chosen parent deck
+    return cards.map(card => ({
+      ...card,
+      deck: card.deck === 'Default' ? deck : `${deck}${DECK_SEPARATOR}${card.deck}`,
+    }));
+  }
+
+  if (['csv', 'tsv', 'txt'].includes(extension)) {
+    return parseDelimited(file.buffer.toString('utf8'), {
+      deck,
+      mapping,
+      delimiter: delimiter || (extension === 'tsv' ? '\t' : undefined),
+    });
+  }
+
+  throw new AnkiImportError('Unsupported file type. Upload an .apkg, .csv or .tsv file.');
+};
+
+/**
+ * Import parsed cards for a user, reporting duplicates of existing cards and within the file
+ * @param {String} userId
+ * @param {Array} cards - Output of parseImportFile
+ * @param {Object} options - duplicates: 'skip' | 'update' | 'import', dryRun
+ * @returns {Object} Import report
+ */
+export const importFlashcards = async (userId, cards, { duplicates = 'skip', dryRun = false } = {}) => {
+  if (cards.length > MAX_IMPORT_CARDS) {
+    throw tooManyCards();
+  }
+
+  const existing = await Flashcard.find({ user: userId, isActive: true }).select('_id front deck').lean();
+  const existingByKey = new Map(existing.map(card => [duplicateKey(card.deck, card.front), card._id]));
+  const existingIds = new Set(existing.map(card => String(card._id)));
+
+  const report = {
+    total: cards.length,
+    imported: 0,
+    updated: 0,
+    skipped: 0,
+    duplicateCount: 0,
+    duplicates: [],
+    errors: [],
+    decks: [],
+    dryRun,
+  };
+  const toInsert = [];
+  const toUpdate = [];
+  const seen = new Set();
+  const decks = new Set();
+
+  cards.forEach((card, index) => {
+    const position = card.row || index + 1;
+
+    if (!card.front || !card.back) {
+      report.skipped++;
+      if (report.errors.length < MAX_REPORTED_ITEMS) {
+        report.errors.push({ position, message: 'Card is missing a front or back' });
+      }
+      return;
+    }
+
+    const key = duplicateKey(card.deck, card.front);
+    // Our own .apkg exports carry the card id as the note guid
+    const existingId = existingIds.has(String(card.guid)) ? card.guid : existingByKey.get(key);
+    const duplicateOf = existingId ? 'existing' : (seen.has(key) ? 'file' : null);
+    seen.add(key);
+
+    if (duplicateOf) {
+      report.duplicateCount++;
+      if (report.duplicates.length < MAX_REPORTED_ITEMS) {
+        report.duplicates.push({
+          position,
+          front: card.front.slice(0, 200),
+          deck: card.deck,
+          duplicateOf,
+          existingId: existingId ? String(existingId) : null,
+        });
+      }
+
+      if (duplicates === 'skip' || (duplicates === 'update' && duplicateOf === 'file')) {
+        report.skipped++;
+        return;
+      }
+      if (duplicates === 'update') {
+        toUpdate.push({ id: existingId, card });
+        decks.add(card.deck);
+        return;
+      }
+    }
+
+    decks.add(card.deck);
+    toInsert.push({
+      user: userId,
+      deck: card.deck,
+      front: card.front,
+      back: card.back,
+      tags: [...new Set(card.tags || [])],
+      ...(card.suspended && { suspended: true }),
+      ...(card.spacedRepetition && { spacedRepetition: card.spacedRepetition }),
+      ...(card.stats && { stats: card.stats }),
+      ...(card.fsrs && { fsrs: card.fsrs }),
+    });
+  });
+
+  report.decks = [...decks].sort();
+
+  if (dryRun) {
+    report.imported = toInsert.length;
+    report.updated = toUpdate.length;
+    return report;
+  }
+
+  if (toInsert.length > 0) {
+    const inserted = await Flashcard.insertMany(toInsert, { ordered: false });
+    report.imported = inserted.length;
+  }
+
+  if (toUpdate.length > 0) {
+    const result = await Flashcard.bulkWrite(toUpdate.map(({ id, card }) => ({
+      updateOne: {
+        filter: { _id: id, user: userId },
+        update: {
+          $set: {
+            front: card.front,
+            back: card.back,
+            tags: [...new Set(card.tags || [])],
+            updatedAt: new Date(),
+            ...(card.spacedRepetition && { spacedRepetition: card.spacedRepetition }),
+          },
+        },
+      },
+    })));
+    report.updated = result.modifiedCount;
+  }
+
+  return report;
+};
+
+export default {
+  buildApkg,
+  parseApkg,
+  parseDelimited,
+  parseImportFile,
+  importFlashcards,
+};
@@ -0,0 +1,183 @@
+/**
+ * Auth Email Service
+ * Email verification and password reset. Tokens are random, emailed once in the
+ * link, stored only as SHA-256 hashes, expire, and are cleared when used.
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendMail } from './mailService.js';
+import { escapeHtml } from '../utils/html.js';
+import logger from '../utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Minimum gap between two emails of the same kind to one account
+const RESEND_INTERVAL_MS = (parseInt(process.env.AUTH_EMAIL_RESEND_SECONDS) || 60) * 1000;
+const MIN_PASSWORD_LENGTH = User.schema.path('password').options.minlength[0];
+
+export class AuthEmailError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'AuthEmailError';
+    this.status = status;
+    if (retryAfter) {
+      this.retryAfter = retryAfter;
+    }
+  }
+}
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+const frontendLink = (pathname, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+/**
+ * Seconds until another email may be sent, or 0 if one may be sent now
+ */
+export const resendWaitSeconds = (sentAt, now = new Date()) => {
+  if (!sentAt) {
+    return 0;
+  }
+  const wait = new Date(sentAt).getTime() + RESEND_INTERVAL_MS - now.getTime();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+};
+
+/**
+ * Whether accounts must verify their email before using AI features
+ */
+export const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+// ============================================
+// Email verification
+// ============================================
+
+/**
+ * Email a new verification link, replacing any earlier one
+ * @param {Object} user - User document
+ * @param {Object} options - throttle: refuse if a link was sent too recently
+ */
+export const sendVerificationEmail = async (user, { throttle = true, now = new Date() } = {}) => {
+  if (user.isVerified) {
+    throw new AuthEmailError('Email is already verified');
+  }
+
+  const wait = throttle ? resendWaitSeconds(user.emailVerificationSentAt, now) : 0;
+  if (wait > 0) {
+    throw new AuthEmailError(`Please wait ${wait} seconds before requesting another email`, 429, wait);
+  }
+
+  const { token, hash } = createToken();
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpire = new Date(now.getTime() + VERIFICATION_TTL_HOURS * 60 * MINUTE_MS);
+  user.emailVerificationSentAt = now;
+  await user.save({ validateModifiedOnly: true });
+
+  const link = frontendLink('/verify-email', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address to start using the AI tutor:\n${link}\n\nThis link expires in ${VERIFICATION_TTL_HOURS} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address to start using the AI tutor:</p><p><a href="${link}">Verify email</a></p><p>This link expires in ${VERIFICATION_TTL_HOURS} hours.</p>`,
+  });
+};
+
+/**
+ * Verify an email address with the token from a verification link
+ * @returns {Object|null} Verified user, or null if the token is invalid or expired
+ */
+export const verifyEmail = async (token, now = new Date()) => {
+  if (!token) {
+    return null;
+  }
+
+  return User.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpire: { $gt: now } },
+    {
+      $set: { isVerified: true, verifiedAt: now },
+      $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 },
+    },
+    { new: true },
+  );
+};
+
+// ============================================
+// Password reset
+// ============================================
+
+/**
+ * Email a password reset link. Unknown addresses and throttled requests are
+ * ignored without telling the caller, so responses don't reveal who has an account.
+ */
+export const requestPasswordReset = async (email, now = new Date()) => {
+  const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+  if (!user || resendWaitSeconds(user.resetPasswordSentAt, now) > 0) {
+    return;
+  }
+
+  const { token, hash } = createToken();
+  user.resetPasswordToken = hash;
+  user.resetPasswordExpire = new Date(now.getTime() + RESET_TTL_MINUTES * MINUTE_MS);
+  user.resetPasswordSentAt = now;
+  await user.save({ validateModifiedOnly: true });
+
+  const link = frontendLink('/reset-password', token);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If it was you, choose a new password here:\n${link}\n\nThis link expires in ${RESET_TTL_MINUTES} minutes and can be used once. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for your account. If it was you, choose a new password here:</p><p><a href="${link}">Reset password</a></p><p>This link expires in ${RESET_TTL_MINUTES} minutes and can be used once. If you didn't ask for this, you can ignore this email.</p>`,
+    });
+  } catch (error) {
+    logger.error(`Password reset email to user ${user._id} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Set a new password with the token from a reset link. The token is consumed
+ * first, so it works at most once even under concurrent requests.
+ * @returns {Object|null} Updated user, or null if the token is invalid or expired
+ */
+export const resetPassword = async (token, password, now = new Date()) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthEmailError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!token) {
+    return null;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { resetPasswordToken: hashToken(token), resetPasswordExpire: { $gt: now } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1, resetPasswordSentAt: 1 } },
+    { new: true },
+  );
+  if (!user) {
+    return null;
+  }
+
+  // Following the emailed link proves the address belongs to the user
+  user.password = password;
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.verifiedAt = now;
+  }
+  await user.save();
+
+  return user;
+};
+
+export default {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  resendWaitSeconds,
+  isVerificationRequired,
+};
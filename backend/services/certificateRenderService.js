@@ -0,0 +1,215 @@
+/**
+ * Certificate Render Service
+ * Draws a certificate as SVG, PNG (the SVG rasterized with resvg) and PDF
+ * (pdfkit). All three use the same layout on an A4 landscape page, in points.
+ *
+ * The PDF uses the built-in Times fonts unless CERTIFICATE_FONT (and
+ * CERTIFICATE_FONT_BOLD) point to TrueType files, which are needed for names
+ * outside Latin-1. The PNG uses system fonts plus those files.
+ */
+
+import PDFDocument from 'pdfkit';
+import { Resvg } from '@resvg/resvg-js';
+
+const PAGE = { width: 842, height: 595 };
+const PNG_SCALE = 2;
+const COURSE_TITLE_CHARS = 44;
+const LONG_NAME_CHARS = 28;
+
+const COLORS = {
+  background: '#fffdf7',
+  accent: '#1f3a5f',
+  text: '#1a1a1a',
+  muted: '#5f6368',
+};
+
+const ISSUER = process.env.CERTIFICATE_ISSUER || 'Mini AI Tutor';
+const FONT_FILES = [process.env.CERTIFICATE_FONT, process.env.CERTIFICATE_FONT_BOLD].filter(Boolean);
+
+/**
+ * Where the printed verification ID can be checked
+ */
+export const verificationUrl = (verificationId) => {
+  const base = process.env.CERTIFICATE_VERIFY_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/certificates`;
+  return `${base.replace(/\/$/, '')}/${verificationId}`;
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC',
+});
+
+// Greedy word wrap; the last line gets an ellipsis if the text does not fit
+const wrap = (text, maxChars, maxLines) => {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+    return kept;
+  }
+  return lines;
+};
+
+/**
+ * Centered text items of a certificate (y is the baseline, in points)
+ * @param {Object} certificate - Certificate document or plain object
+ * @returns {Array} [{ text, y, size, weight: 'normal'|'bold', italic, color }]
+ */
+export const certificateLayout = (certificate) => {
+  const items = [
+    { text: ISSUER.toUpperCase(), y: 78, size: 12, weight: 'bold', color: COLORS.accent },
+    { text: 'CERTIFICATE OF COMPLETION', y: 125, size: 30, weight: 'bold', color: COLORS.accent },
+    { text: 'This certifies that', y: 175, size: 16, italic: true, color: COLORS.muted },
+    {
+      text: certificate.recipientName,
+      y: 232,
+      size: certificate.recipientName.length > LONG_NAME_CHARS ? 26 : 36,
+      weight: 'bold',
+      color: COLORS.text,
+    },
+    { text: 'has successfully completed the course', y: 290, size: 16, italic: true, color: COLORS.muted },
+  ];
+
+  const titleLines = wrap(certificate.courseTitle, COURSE_TITLE_CHARS, 2);
+  titleLines.forEach((line, index) => {
+    items.push({ text: line, y: 338 + index * 30, size: 24, weight: 'bold', color: COLORS.text });
+  });
+
+  let y = 338 + titleLines.length * 30 + 40;
+  if (certificate.instructorName) {
+    items.push({ text: `Instructor: ${certificate.instructorName}`, y, size: 14, color: COLORS.text });
+    y += 24;
+  }
+  items.push({ text: `Completed on ${formatDate(certificate.completedAt)}`, y, size: 14, color: COLORS.text });
+
+  items.push({
+    text: `Certificate ID: ${certificate.verificationId}  ·  Verify at ${verificationUrl(certificate.verificationId)}`,
+    y: 540,
+    size: 10,
+    color: COLORS.muted,
+  });
+
+  return items;
+};
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Certificate as an SVG document
+ */
+export const renderCertificateSvg = (certificate) => {
+  const { width, height } = PAGE;
+  const texts = certificateLayout(certificate).map(item => `  <text x="${width / 2}" y="${item.y}" `
+    + `font-size="${item.size}" font-weight="${item.weight || 'normal'}" `
+    + `font-style="${item.italic ? 'italic' : 'normal'}" fill="${item.color}" text-anchor="middle">`
+    + `${escapeXml(item.text)}</text>`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" `
+      + 'font-family="DejaVu Serif, Times New Roman, serif">',
+    `  <rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+    `  <rect x="20" y="20" width="${width - 40}" height="${height - 40}" fill="none" stroke="${COLORS.accent}" stroke-width="3"/>`,
+    `  <rect x="30" y="30" width="${width - 60}" height="${height - 60}" fill="none" stroke="${COLORS.accent}" stroke-width="1"/>`,
+    `  <line x1="${width / 2 - 200}" y1="250" x2="${width / 2 + 200}" y2="250" stroke="${COLORS.accent}" stroke-width="1"/>`,
+    ...texts,
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * Certificate as a PNG image (twice the page size in pixels)
+ * @returns {Buffer}
+ */
+export const renderCertificatePng = (certificate) => {
+  const resvg = new Resvg(renderCertificateSvg(certificate), {
+    fitTo: { mode: 'width', value: PAGE.width * PNG_SCALE },
+    font: {
+      loadSystemFonts: true,
+      fontFiles: FONT_FILES,
+      defaultFontFamily: 'DejaVu Serif',
+    },
+  });
+  return resvg.render().asPng();
+};
+
+const pdfFont = (item) => {
+  if (process.env.CERTIFICATE_FONT) {
+    return item.weight === 'bold' && process.env.CERTIFICATE_FONT_BOLD ? 'CertificateBold' : 'Certificate';
+  }
+  if (item.weight === 'bold') {
+    return 'Times-Bold';
+  }
+  return item.italic ? 'Times-Italic' : 'Times-Roman';
+};
+
+/**
+ * Certificate as a one-page PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderCertificatePdf = certificate => new Promise((resolve, reject) => {
+  const { width, height } = PAGE;
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0,
+    info: {
+      Title: `Certificate of Completion: ${certificate.courseTitle}`,
+      Author: ISSUER,
+      Subject: certificate.verificationId,
+    },
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  if (process.env.CERTIFICATE_FONT) {
+    doc.registerFont('Certificate', process.env.CERTIFICATE_FONT);
+    if (process.env.CERTIFICATE_FONT_BOLD) {
+      doc.registerFont('CertificateBold', process.env.CERTIFICATE_FONT_BOLD);
+    }
+  }
+
+  doc.rect(0, 0, width, height).fill(COLORS.background);
+  doc.lineWidth(3).rect(20, 20, width - 40, height - 40).stroke(COLORS.accent);
+  doc.lineWidth(1).rect(30, 30, width - 60, height - 60).stroke(COLORS.accent);
+  doc.moveTo(width / 2 - 200, 250).lineTo(width / 2 + 200, 250).stroke(COLORS.accent);
+
+  for (const item of certificateLayout(certificate)) {
+    doc.font(pdfFont(item)).fontSize(item.size).fillColor(item.color);
+    // pdfkit places text by its top edge; the layout gives baselines
+    const top = item.y - doc.currentLineHeight() * 0.8;
+    doc.text(item.text, 0, top, { width, align: 'center', lineBreak: false });
+  }
+
+  doc.end();
+});
+
+export default {
+  verificationUrl,
+  certificateLayout,
+  renderCertificateSvg,
+  renderCertificatePng,
+  renderCertificatePdf,
+};
@@ -0,0 +1,437 @@
+/**
+ * Certificate Service
+ * Issues a completion certificate when a learner finishes a course, checks
+ * the course's certificate settings (Course.certificate) and, when required,
+ * that every quiz linked to the course has a passing attempt. Certificates
+ * are verified publicly by their verification ID and can be revoked by admins.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Certificate from '../models/Certificate.js';
+import Course from '../models/Course.js';
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import User from '../models/User.js';
+import { renderCertificatePdf, renderCertificatePng, verificationUrl } from './certificateRenderService.js';
+import logger from '../utils/logger.js';
+
+// Crockford-style alphabet: no 0/O, 1/I/L or U, so IDs survive being read aloud or retyped
+const ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ID_GROUPS = 3;
+const ID_GROUP_LENGTH = 4;
+
+export const RENDER_FORMATS = {
+  pdf: { contentType: 'application/pdf', render: renderCertificatePdf },
+  png: { contentType: 'image/png', render: renderCertificatePng },
+};
+
+export class CertificateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CertificateError';
+    this.status = status;
+  }
+}
+
+/**
+ * A new random verification ID, e.g. CERT-7KQ2-MX4D-9TWA
+ */
+export const generateVerificationId = () => {
+  const groups = [];
+  for (let group = 0; group < ID_GROUPS; group += 1) {
+    groups.push(Array.from({ length: ID_GROUP_LENGTH }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]).join(''));
+  }
+  return `CERT-${groups.join('-')}`;
+};
+
+const normalizeVerificationId = id => String(id || '').trim().toUpperCase();
+
+/**
+ * Certificate as shown to its owner and on public verification
+ */
+export const formatCertificate = (certificate, { includeOwner = false } = {}) => {
+  const data = {
+    verificationId: certificate.verificationId,
+    status: certificate.status,
+    valid: certificate.status === 'issued',
+    recipientName: certificate.recipientName,
+    courseTitle: certificate.courseTitle,
+    course: certificate.course?._id || certificate.course,
+    instructorName: certificate.instructorName,
+    completedAt: certificate.completedAt,
+    issuedAt: certificate.issuedAt,
+    quizResults: certificate.quizResults,
+    verificationUrl: verificationUrl(certificate.verificationId),
+  };
+  if (certificate.status === 'revoked') {
+    data.revokedAt = certificate.revokedAt;
+    data.revocationReason = certificate.revocationReason;
+  }
+  if (includeOwner) {
+    data._id = certificate._id;
+    data.user = certificate.user;
+  }
+  return data;
+};
+
+// ============================================
+// Eligibility and issuing
+// ============================================
+
+/**
+ * Whether a learner's enrollment earns the course certificate
+ * @returns {Object} { eligible, reason, missingQuizzes: [{ _id, title }], quizResults }
+ */
+export const checkEligibility = async (enrollment, course) => {
+  if (course.certificate?.enabled === false) {
+    return { eligible: false, reason: 'This course does not award certificates', missingQuizzes: [], quizResults: [] };
+  }
+  if (enrollment.status !== 'completed') {
+    return { eligible: false, reason: 'Complete every lesson to earn the certificate', missingQuizzes: [], quizResults: [] };
+  }
+  if (!course.certificate?.requirePassingQuizzes) {
+    return { eligible: true, reason: null, missingQuizzes: [], quizResults: [] };
+  }
+
+  const quizzes = await Quiz.find({ course: course._id, isActive: true }).select('title');
+  const passed = await QuizAttempt.aggregate([
+    { $match: { user: enrollment.user, quiz: { $in: quizzes.map(quiz => quiz._id) }, passed: true } },
+    { $group: { _id: '$quiz', percentage: { $max: '$score.percentage' } } },
+  ]);
+  const best = new Map(passed.map(result => [String(result._id), result.percentage]));
+
+  const missingQuizzes = quizzes
+    .filter(quiz => !best.has(String(quiz._id)))
+    .map(quiz => ({ _id: quiz._id, title: quiz.title }));
+  const quizResults = quizzes
+    .filter(quiz => best.has(String(quiz._id)))
+    .map(quiz => ({ quiz: quiz._id, title: quiz.title, percentage: best.get(String(quiz._id)) }));
+
+  return {
+    eligible: missingQuizzes.length === 0,
+    reason: missingQuizzes.length > 0 ? 'Pass every course quiz to earn the certificate' : null,
+    missingQuizzes,
+    quizResults,
+  };
+};
+
+/**
+ * Issue the course certificate to a learner if they have earned it. Safe to
+ * call repeatedly: an existing certificate (issued or revoked) is returned as is.
+ * @returns {Object} { certificate, created, eligibility }
+ */
+export const issueCertificate = async (userId, courseId) => {
+  const existing = await Certificate.findOne({ user: userId, course: courseId });
+  if (existing) {
+    return { certificate: existing, created: false, eligibility: null };
+  }
+
+  const [enrollment, course, user] = await Promise.all([
+    Enrollment.findOne({ user: userId, course: courseId }),
+    Course.findById(courseId).populate('createdBy', 'name'),
+    User.findById(userId).select('name'),
+  ]);
+  if (!enrollment || !course || !user) {
+    throw new CertificateError('Enrollment not found', 404);
+  }
+
+  const eligibility = await checkEligibility(enrollment, course);
+  if (!eligibility.eligible) {
+    return { certificate: null, created: false, eligibility };
+  }
+
+  try {
+    const certificate = await Certificate.create({
+      verificationId: generateVerificationId(),
+      user: userId,
+      course: course._id,
+      enrollment: enrollment._id,
+      recipientName: user.name,
+      courseTitle: course.title,
+      instructorName: course.createdBy?.name || null,
+      completedAt: enrollment.completedAt || new Date(),
+      quizResults: eligibility.quizResults,
+    });
+
+    logger.info('Certificate issued', { certificate: certificate.verificationId, course: String(course._id) });
+    return { certificate, created: true, eligibility };
+  } catch (error) {
+    // Issued concurrently (lesson completion and a quiz pass at once)
+    if (error.code === 11000 && error.keyPattern?.user) {
+      const certificate = await Certificate.findOne({ user: userId, course: courseId });
+      return { certificate, created: false, eligibility };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue the certificate without letting a failure break the caller
+ * (lesson completion, quiz submission)
+ * @returns {Object|null} the certificate if this call created it
+ */
+export const tryIssueCertificate = async (userId, courseId) => {
+  try {
+    const { certificate, created } = await issueCertificate(userId, courseId);
+    return created ? certificate : null;
+  } catch (error) {
+    logger.error(`Certificate issue error: ${error.message}`, { course: String(courseId) });
+    return null;
+  }
+};
+
+// ============================================
+// Owners
+// ============================================
+
+/**
+ * A learner's certificates, newest first
+ */
+export const listUserCertificates = async (userId, { includeRevoked = true } = {}) => {
+  const filter = { user: userId };
+  if (!includeRevoked) {
+    filter.status = 'issued';
+  }
+  const certificates = await Certificate.find(filter).sort({ issuedAt: -1 });
+  return certificates.map(certificate => formatCertificate(certificate, { includeOwner: true }));
+};
+
+/**
+ * Render a certificate for download
+ * @param {Object} viewer - Requesting user (owner or admin)
+ * @param {string} format - pdf or png
+ * @returns {Object} { buffer, contentType, filename }
+ */
+export const renderCertificate = async (verificationId, viewer, format = 'pdf') => {
+  const output = RENDER_FORMATS[format];
+  if (!output) {
+    throw new CertificateError(`Unsupported format. Use one of: ${Object.keys(RENDER_FORMATS).join(', ')}`);
+  }
+
+  const certificate = await Certificate.findOne({ verificationId: normalizeVerificationId(verificationId) });
+  if (!certificate || (String(certificate.user) !== String(viewer._id) && viewer.role !== 'admin')) {
+    throw new CertificateError('Certificate not found', 404);
+  }
+  if (certificate.status === 'revoked') {
+    throw new CertificateError('This certificate has been revoked', 410);
+  }
+
+  return {
+    buffer: await output.render(certificate),
+    contentType: output.contentType,
+    filename: `${certificate.verificationId}.${format}`,
+  };
+};
+
+// ============================================
+// Verification and revocation
+// ============================================
+
+/**
+ * Public check of a certificate by its verification ID
+ */
+export const verifyCertificate = async (verificationId) => {
+  const certificate = await Certificate.findOne({ verificationId: normalizeVerificationId(verificationId) });
+  if (!certificate) {
+    throw new CertificateError('Certificate not found', 404);
+  }
+  return formatCertificate(certificate);
+};
+
+/**
+ * Revoke a certificate (it stays verifiable, marked revoked, and is not reissued)
+ */
+export const revokeCertificate = async (verificationId, adminId, reason) => {
+  if (!reason || !String(reason).trim()) {
+    throw new CertificateError('A revocation reason is required');
+  }
+
+  const certificate = await Certificate.findOneAndUpdate(
+    { verificationId: normalizeVerificationId(verificationId), status: 'issued' },
+    {
+      status: 'revoked',
+      revokedAt: new Date(),
+      revokedBy: adminId,
+      revocationReason: String(reason).trim(),
+    },
+    { new: true }
+  );
+  if (!certificate) {
+    const exists = await Certificate.exists({ verificationId: normalizeVerificationId(verificationId) });
+    throw exists
+      ? new CertificateError('Certificate is already revoked', 409)
+      : new CertificateError('Certificate not found', 404);
+  }
+
+  logger.info('Certificate revoked', { certificate: certificate.verificationId });
+  return certificate;
+};
+
+/**
+ * Certificates for admins, filterable by status, course and user
+ */
+export const searchCertificates = async ({ status, courseId, userId, q, page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (courseId) {
+    filter.course = courseId;
+  }
+  if (userId) {
+    filter.user = userId;
+  }
+  if (q) {
+    filter.verificationId = normalizeVerificationId(q);
+  }
+
+  const [certificates, total] = await Promise.all([
+    Certificate.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('user', 'name email'),
+    Certificate.countDocuments(filter),
+  ]);
+
+  return {
+    certificates,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+};
+
+// ============================================
+// Course quizzes
+// ============================================
+
+const loadEditableCourse = async (courseId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw new CertificateError('Course not found', 404);
+  }
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new CertificateError('Course not found', 404);
+  }
+  if (!course.canUserContribute(userId)) {
+    throw new CertificateError('Not authorized to manage this course', 403);
+  }
+  return course;
+};
+
+/**
+ * Link one of the instructor's quizzes to a course (and optionally a lesson)
+ */
+export const linkCourseQuiz = async (courseId, userId, { quizId, lessonId = null }) => {
+  const course = await loadEditableCourse(courseId, userId);
+
+  if (!mongoose.Types.ObjectId.isValid(quizId)) {
+    throw new CertificateError('Quiz not found', 404);
+  }
+  const quiz = await Quiz.findOne({ _id: quizId, user: userId, isActive: true });
+  if (!quiz) {
+    throw new CertificateError('Quiz not found', 404);
+  }
+  if (quiz.course && String(quiz.course) !== String(course._id)) {
+    throw new CertificateError('Quiz is already linked to another course', 409);
+  }
+
+  if (lessonId) {
+    const moduleIds = await Module.distinct('_id', { course: course._id });
+    if (!mongoose.Types.ObjectId.isValid(lessonId) || !(await Lesson.exists({ _id: lessonId, module: { $in: moduleIds } }))) {
+      throw new CertificateError('Lesson not found in this course', 404);
+    }
+  }
+
+  quiz.course = course._id;
+  quiz.lesson = lessonId || null;
+  await quiz.save();
+  return quiz;
+};
+
+/**
+ * Remove a quiz from a course
+ */
+export const unlinkCourseQuiz = async (courseId, userId, quizId) => {
+  const course = await loadEditableCourse(courseId, userId);
+  if (!mongoose.Types.ObjectId.isValid(quizId)) {
+    throw new CertificateError('Quiz not found', 404);
+  }
+
+  const quiz = await Quiz.findOneAndUpdate(
+    { _id: quizId, course: course._id },
+    { course: null, lesson: null },
+    { new: true }
+  );
+  if (!quiz) {
+    throw new CertificateError('Quiz not found', 404);
+  }
+  return quiz;
+};
+
+/**
+ * Quizzes linked to a course, with the viewer's best passing score
+ * (enrolled learners and the course team)
+ */
+export const listCourseQuizzes = async (courseId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw new CertificateError('Course not found', 404);
+  }
+  const course = await Course.findById(courseId).select('createdBy contributors certificate');
+  if (!course) {
+    throw new CertificateError('Course not found', 404);
+  }
+  if (!course.canUserContribute(userId) && !(await Enrollment.isEnrolled(userId, course._id))) {
+    throw new CertificateError('Enroll in this course to see its quizzes', 403);
+  }
+
+  const quizzes = await Quiz.find({ course: course._id, isActive: true })
+    .select('title description topic difficulty lesson settings.passingScore settings.maxAttempts totalPoints')
+    .lean();
+  const attempts = await QuizAttempt.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), quiz: { $in: quizzes.map(quiz => quiz._id) } } },
+    {
+      $group: {
+        _id: '$quiz',
+        attempts: { $sum: 1 },
+        bestPercentage: { $max: '$score.percentage' },
+        passed: { $max: { $cond: ['$passed', 1, 0] } },
+      },
+    },
+  ]);
+  const byQuiz = new Map(attempts.map(attempt => [String(attempt._id), attempt]));
+
+  return {
+    requirePassingQuizzes: Boolean(course.certificate?.requirePassingQuizzes),
+    quizzes: quizzes.map((quiz) => {
+      const attempt = byQuiz.get(String(quiz._id));
+      return {
+        ...quiz,
+        attempts: attempt?.attempts || 0,
+        bestPercentage: attempt?.bestPercentage ?? null,
+        passed: attempt?.passed === 1,
+      };
+    }),
+  };
+};
+
+export default {
+  generateVerificationId,
+  formatCertificate,
+  checkEligibility,
+  issueCertificate,
+  tryIssueCertificate,
+  listUserCertificates,
+  renderCertificate,
+  verifyCertificate,
+  revokeCertificate,
+  searchCertificates,
+  linkCourseQuiz,
+  unlinkCourseQuiz,
+  listCourseQuizzes,
+};
@@ -0,0 +1,646 @@
+/**
+ * Checkout Service
+ * Purchases of priced courses: quotes with coupons, orders backed by a payment
+ * provider (see paymentService.js), webhook confirmation, fulfillment and refunds.
+ *
+ * An order only enrolls the learner once the provider confirms the payment.
+ * Fulfillment splits the total with Course.recordSale (platform fee, then
+ * contributor revenue shares) and posts it to the ledger (see ledgerService.js);
+ * refunds take the same shares back. Enrollment without an order (free
+ * courses, instructors of their own course) also lives here, in enroll().
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Coupon from '../models/Coupon.js';
+import Course from '../models/Course.js';
+import Enrollment from '../models/Enrollment.js';
+import { getPaymentProvider, defaultProviderName } from './paymentService.js';
+import { postSale, postRefund } from './ledgerService.js';
+import logger from '../utils/logger.js';
+
+// Learners can refund themselves within this window if they have not gone far into the course
+export const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS, 10) || 14;
+export const REFUND_MAX_PROGRESS = parseInt(process.env.REFUND_MAX_PROGRESS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class CheckoutError extends Error {
+  constructor(message, status = 400, data = undefined) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Whether enrolling in the course needs a paid order
+ */
+export const requiresPayment = (course) => course.pricing?.model !== 'free' && course.pricing?.amount > 0;
+
+const loadCourse = async (courseId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw new CheckoutError('Course not found', 404);
+  }
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new CheckoutError('Course not found', 404);
+  }
+  return course;
+};
+
+const loadOrder = async (orderId, filter = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new CheckoutError('Order not found', 404);
+  }
+  const order = await Order.findOne({ _id: orderId, ...filter });
+  if (!order) {
+    throw new CheckoutError('Order not found', 404);
+  }
+  return order;
+};
+
+/**
+ * Look up a coupon for a learner and course
+ * @throws {CheckoutError} when it does not exist, has run out or was already used up by the learner
+ */
+const findCoupon = async (code, course, userId) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.appliesTo(course)) {
+    throw new CheckoutError('Coupon code is not valid for this course', 404);
+  }
+  if (!coupon.isRedeemable()) {
+    throw new CheckoutError('Coupon code has expired or is no longer available', 410);
+  }
+
+  const used = await Order.countDocuments({
+    'coupon.coupon': coupon._id,
+    user: userId,
+    status: { $in: ['paid', 'partially_refunded'] },
+  });
+  if (used >= coupon.perUserLimit) {
+    throw new CheckoutError('You have already used this coupon', 409);
+  }
+
+  return coupon;
+};
+
+/**
+ * Price of a course for a learner, with an optional coupon applied
+ * @returns {Object} { currency, subtotal, discount, total, coupon }
+ */
+export const quote = async (courseId, userId, couponCode) => {
+  const course = await loadCourse(courseId);
+  return quoteCourse(course, userId, couponCode);
+};
+
+const quoteCourse = async (course, userId, couponCode) => {
+  if (!course.isPublished) {
+    throw new CheckoutError('Course is not published');
+  }
+  if (!requiresPayment(course)) {
+    throw new CheckoutError('This course is free; enroll directly');
+  }
+  if (course.pricing.model !== 'paid') {
+    throw new CheckoutError('Subscription courses cannot be bought individually');
+  }
+
+  const subtotal = course.pricing.amount;
+  const coupon = couponCode ? await findCoupon(couponCode, course, userId) : null;
+  const discount = coupon ? coupon.discountFor(subtotal) : 0;
+
+  return {
+    currency: course.pricing.currency,
+    subtotal,
+    discount,
+    total: subtotal - discount,
+    coupon,
+  };
+};
+
+/**
+ * Start checkout for a course. Any earlier pending order for it is cancelled,
+ * so a learner has at most one payment in flight per course.
+ * @returns {Object} the order (with checkoutUrl unless nothing is due)
+ */
+export const createCheckout = async (courseId, userId, { couponCode } = {}) => {
+  const course = await loadCourse(courseId);
+
+  if (course.canUserContribute(userId)) {
+    throw new CheckoutError('Instructors have access to their own course without buying it', 409);
+  }
+  if (await Enrollment.exists({ user: userId, course: course._id })) {
+    throw new CheckoutError('Already enrolled in this course', 409);
+  }
+
+  const price = await quoteCourse(course, userId, couponCode);
+
+  const stale = await Order.find({ user: userId, course: course._id, status: 'pending' });
+  for (const order of stale) {
+    await cancelOrder(order._id, userId);
+  }
+
+  const providerName = price.total > 0 ? defaultProviderName() : 'none';
+  const provider = price.total > 0 ? getPaymentProvider(providerName) : null;
+
+  const order = await Order.create({
+    user: userId,
+    course: course._id,
+    currency: price.currency,
+    subtotal: price.subtotal,
+    discount: price.discount,
+    total: price.total,
+    coupon: price.coupon ? { code: price.coupon.code, coupon: price.coupon._id } : undefined,
+    provider: providerName,
+  });
+
+  // Fully discounted: nothing to collect
+  if (!provider) {
+    return fulfillOrder(order, { id: `free_${order._id}`, type: 'payment.succeeded' });
+  }
+
+  try {
+    const payment = await provider.createPayment({
+      orderId: String(order._id),
+      amount: order.total,
+      currency: order.currency,
+      description: course.title,
+    });
+    order.paymentId = payment.paymentId;
+    order.checkoutUrl = payment.checkoutUrl || null;
+    await order.save();
+  } catch (error) {
+    order.status = 'failed';
+    order.failureReason = error.message;
+    await order.save();
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * Enroll a learner without an order. Every enrollment path other than a paid
+ * order (the course page, the AI assistant's tools) goes through here, so a
+ * priced course is only open without paying to its own instructors.
+ * @returns {Object} the new enrollment
+ */
+export const enroll = async (courseId, userId) => {
+  const course = await loadCourse(courseId);
+
+  if (!course.isPublished) {
+    throw new CheckoutError('Course is not published');
+  }
+  if (requiresPayment(course) && !course.canUserContribute(userId)) {
+    throw new CheckoutError('This course must be purchased before enrolling', 402, {
+      pricing: {
+        amount: course.pricing.amount,
+        currency: course.pricing.currency,
+      },
+      checkout: '/api/checkout',
+    });
+  }
+  if (await Enrollment.exists({ user: userId, course: course._id })) {
+    throw new CheckoutError('Already enrolled in this course');
+  }
+
+  const enrollment = await Enrollment.create({ user: userId, course: course._id });
+  await Course.updateOne({ _id: course._id }, { $inc: { 'statistics.enrollmentCount': 1 } });
+
+  return enrollment;
+};
+
+/**
+ * Mark an order paid (once), enroll the learner, redeem the coupon and split the revenue
+ */
+const fulfillOrder = async (order, event) => {
+  const paid = await Order.findOneAndUpdate(
+    // A retried card can succeed after an earlier attempt failed
+    { _id: order._id, status: { $in: ['pending', 'failed'] } },
+    {
+      status: 'paid',
+      failureReason: null,
+      paidAt: new Date(),
+      $push: { events: { eventId: event.id, type: event.type } },
+    },
+    { new: true }
+  );
+  if (!paid) {
+    return Order.findById(order._id);
+  }
+
+  const result = await Enrollment.findOneAndUpdate(
+    { user: paid.user, course: paid.course },
+    { $setOnInsert: { user: paid.user, course: paid.course } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  if (!result.lastErrorObject?.updatedExisting) {
+    await Course.updateOne({ _id: paid.course }, { $inc: { 'statistics.enrollmentCount': 1 } });
+  }
+
+  if (paid.coupon?.coupon) {
+    await Coupon.updateOne({ _id: paid.coupon.coupon }, { $inc: { redemptionCount: 1 } });
+  }
+
+  if (paid.total > 0) {
+    const course = await Course.findById(paid.course);
+    const { platformFee, payouts } = await course.recordSale(paid.total);
+    paid.revenue = {
+      platformFee,
+      payouts: payouts.map(payout => ({
+        user: payout.userId,
+        type: payout.type,
+        share: payout.share,
+        amount: payout.amount,
+      })),
+    };
+    await paid.save();
+    await postSale(paid, { platformFee, payouts });
+  }
+
+  logger.info('Order paid', { orderId: String(paid._id), course: String(paid.course), total: paid.total });
+  return paid;
+};
+
+/**
+ * Take back each contributor's share of a refunded amount. The last refund
+ * reverses whatever is left, so rounding never leaves cents behind.
+ */
+const reverseRevenue = async (order, refund) => {
+  const finalRefund = order.refundedAmount + refund.amount >= order.total;
+  const reversals = [];
+
+  for (const payout of order.revenue.payouts) {
+    const reversal = finalRefund
+      ? payout.amount - payout.reversed
+      : Math.min(Math.round(payout.amount * (refund.amount / order.total)), payout.amount - payout.reversed);
+    if (reversal <= 0) {
+      continue;
+    }
+
+    reversals.push({ user: payout.user, amount: reversal });
+    payout.reversed += reversal;
+  }
+
+  await postRefund(order, refund, reversals);
+  await Course.updateOne(
+    { _id: order.course },
+    { $inc: { 'marketplace.totalRevenue': -refund.amount, 'marketplace.totalSales': finalRefund ? -1 : 0 } }
+  );
+};
+
+/**
+ * Apply a refund the provider confirmed
+ */
+const completeRefund = async (order, refund) => {
+  if (order.total > 0) {
+    await reverseRevenue(order, refund);
+  }
+
+  refund.status = 'succeeded';
+  refund.completedAt = new Date();
+  order.refundedAmount += refund.amount;
+  order.status = order.refundedAmount >= order.total ? 'refunded' : 'partially_refunded';
+  await order.save();
+
+  // A full refund ends access to the course
+  if (order.status === 'refunded') {
+    const { deletedCount } = await Enrollment.deleteOne({ user: order.user, course: order.course });
+    if (deletedCount > 0) {
+      await Course.updateOne({ _id: order.course }, { $inc: { 'statistics.enrollmentCount': -1 } });
+    }
+  }
+
+  logger.info('Order refunded', { orderId: String(order._id), amount: refund.amount, status: order.status });
+  return order;
+};
+
+/**
+ * Process a provider webhook delivery
+ * @param {string} providerName - Provider the delivery claims to come from
+ * @param {Buffer|string} rawBody - Body exactly as received (signatures cover it)
+ * @returns {Object} { received, duplicate, order }
+ */
+export const handleWebhook = async (providerName, rawBody, headers) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch {
+    throw new CheckoutError('Unknown payment provider', 404);
+  }
+
+  const event = provider.parseWebhook(rawBody, headers);
+  const order = await Order.findOne({ provider: providerName, paymentId: event.paymentId });
+  if (!order) {
+    logger.warn(`Webhook ${event.id} (${event.type}) for unknown payment ${event.paymentId}`);
+    return { received: true, order: null };
+  }
+  if (order.events.some(applied => applied.eventId === event.id)) {
+    return { received: true, duplicate: true, order };
+  }
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      if (order.status === 'cancelled') {
+        // Paid after the learner abandoned it (e.g. a second tab): give the money back
+        logger.warn(`Payment ${event.paymentId} succeeded for cancelled order ${order._id}; refunding`);
+        await provider.refundPayment({ paymentId: order.paymentId, amount: order.total, reason: 'order_cancelled' });
+        break;
+      }
+      if (event.amount !== undefined && event.amount !== order.total) {
+        throw new CheckoutError(`Payment amount ${event.amount} does not match order total ${order.total}`, 409);
+      }
+      return { received: true, order: await fulfillOrder(order, event) };
+
+    case 'payment.failed':
+      if (order.status === 'pending') {
+        order.status = 'failed';
+        order.failureReason = event.failureReason || 'payment_failed';
+      }
+      break;
+
+    case 'refund.succeeded':
+    case 'refund.failed': {
+      const refund = order.refunds.find(entry => entry.refundId === event.refundId);
+      if (refund?.status === 'pending') {
+        if (event.type === 'refund.succeeded') {
+          order.events.push({ eventId: event.id, type: event.type });
+          return { received: true, order: await completeRefund(order, refund) };
+        }
+        refund.status = 'failed';
+        refund.completedAt = new Date();
+      }
+      break;
+    }
+
+    default:
+      logger.info(`Ignoring ${providerName} webhook event ${event.type}`);
+  }
+
+  order.events.push({ eventId: event.id, type: event.type });
+  await order.save();
+  return { received: true, order };
+};
+
+/**
+ * Cancel a pending order (the learner gave up on paying)
+ */
+export const cancelOrder = async (orderId, userId) => {
+  const order = await loadOrder(orderId, { user: userId });
+  if (order.status !== 'pending') {
+    throw new CheckoutError(`Only pending orders can be cancelled (this one is ${order.status})`, 409);
+  }
+
+  if (order.paymentId) {
+    await getPaymentProvider(order.provider).cancelPayment(order.paymentId);
+  }
+  order.status = 'cancelled';
+  order.cancelledAt = new Date();
+  await order.save();
+  return order;
+};
+
+/**
+ * Refund an order, fully or in part
+ * @param {Object} options - amount (cents, default everything refundable), reason,
+ *   requestedBy, selfService (apply the learner refund policy)
+ */
+export const refundOrder = async (orderId, { amount, reason, requestedBy, selfService = false } = {}) => {
+  const order = await loadOrder(orderId, selfService ? { user: requestedBy } : {});
+
+  if (!['paid', 'partially_refunded'].includes(order.status)) {
+    throw new CheckoutError(`Only paid orders can be refunded (this one is ${order.status})`, 409);
+  }
+
+  const refundable = order.refundableAmount;
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+  if (!Number.isInteger(refundAmount) || refundAmount < 0 || (refundAmount === 0 && order.total > 0)) {
+    throw new CheckoutError('Refund amount must be a positive whole number of cents');
+  }
+  if (refundAmount > refundable) {
+    throw new CheckoutError(`At most ${refundable} can be refunded on this order`);
+  }
+
+  if (selfService) {
+    if (refundAmount !== refundable || order.status !== 'paid') {
+      throw new CheckoutError('Partial refunds are handled by support', 403);
+    }
+    if (Date.now() - order.paidAt.getTime() > REFUND_WINDOW_DAYS * DAY_MS) {
+      throw new CheckoutError(`Refunds are available for ${REFUND_WINDOW_DAYS} days after purchase`, 403);
+    }
+    const enrollment = await Enrollment.findOne({ user: order.user, course: order.course })
+      .select('progress.completionPercentage');
+    if ((enrollment?.progress?.completionPercentage || 0) > REFUND_MAX_PROGRESS) {
+      throw new CheckoutError(`Refunds are not available after completing ${REFUND_MAX_PROGRESS}% of the course`, 403);
+    }
+  }
+
+  order.refunds.push({ amount: refundAmount, reason, requestedBy, status: 'pending' });
+  const refund = order.refunds[order.refunds.length - 1];
+  await order.save();
+
+  if (order.total === 0) {
+    return completeRefund(order, refund);
+  }
+
+  let result;
+  try {
+    result = await getPaymentProvider(order.provider).refundPayment({
+      paymentId: order.paymentId,
+      amount: refundAmount,
+      reason,
+    });
+  } catch (error) {
+    refund.status = 'failed';
+    refund.completedAt = new Date();
+    await order.save();
+    throw error;
+  }
+
+  refund.refundId = result.refundId;
+  if (result.status === 'succeeded') {
+    return completeRefund(order, refund);
+  }
+
+  // Confirmed later by a refund.succeeded webhook
+  await order.save();
+  return order;
+};
+
+/**
+ * A learner's orders, newest first
+ */
+export const listOrders = async (userId, { page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const [orders, total] = await Promise.all([
+    Order.find({ user: userId })
+      .select('-events -revenue')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('course', 'title thumbnail'),
+    Order.countDocuments({ user: userId }),
+  ]);
+
+  return {
+    orders,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+};
+
+/**
+ * Orders across all learners for admins, filtered by status, course or user
+ */
+export const searchOrders = async ({ status, courseId, userId, page = 1, limit = 50 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (courseId) {
+    filter.course = courseId;
+  }
+  if (userId) {
+    filter.user = userId;
+  }
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .select('-events')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('user', 'name email')
+      .populate('course', 'title'),
+    Order.countDocuments(filter),
+  ]);
+
+  return {
+    orders,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+};
+
+/**
+ * One of a learner's orders
+ */
+export const getOrder = async (orderId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new CheckoutError('Order not found', 404);
+  }
+  const order = await Order.findOne({ _id: orderId, user: userId })
+    .select('-events -revenue')
+    .populate('course', 'title thumbnail');
+  if (!order) {
+    throw new CheckoutError('Order not found', 404);
+  }
+  return order;
+};
+
+// ============================================
+// Coupons
+// ============================================
+
+const COUPON_FIELDS = ['discountType', 'amount', 'currency', 'maxRedemptions', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'];
+
+/**
+ * Courses a user may manage coupons for; admins may also create platform-wide ones
+ */
+const assertCanManageCoupons = async (user, courseId) => {
+  if (!courseId) {
+    if (user.role !== 'admin') {
+      throw new CheckoutError('Only administrators can create coupons for every course', 403);
+    }
+    return null;
+  }
+
+  const course = await loadCourse(courseId);
+  if (user.role !== 'admin' && course.createdBy.toString() !== user._id.toString()) {
+    throw new CheckoutError('Only the course creator can manage its coupons', 403);
+  }
+  return course;
+};
+
+/**
+ * Create a coupon for a course (its creator) or for all courses (admins)
+ */
+export const createCoupon = async (user, input = {}) => {
+  const course = await assertCanManageCoupons(user, input.courseId);
+  const fields = Object.fromEntries(COUPON_FIELDS.filter(key => input[key] !== undefined).map(key => [key, input[key]]));
+
+  try {
+    return await Coupon.create({
+      ...fields,
+      code: input.code,
+      currency: fields.currency || course?.pricing.currency || 'USD',
+      course: course?._id || null,
+      createdBy: user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new CheckoutError('That coupon code is already taken', 409);
+    }
+    if (error.name === 'ValidationError') {
+      throw new CheckoutError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Coupons of a course, or every coupon for admins when no course is given
+ */
+export const listCoupons = async (user, courseId) => {
+  await assertCanManageCoupons(user, courseId);
+  return Coupon.find(courseId ? { course: courseId } : {}).sort({ createdAt: -1 });
+};
+
+/**
+ * Change limits or dates of a coupon, or deactivate it (codes and discounts are fixed)
+ */
+export const updateCoupon = async (user, couponId, updates = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(couponId)) {
+    throw new CheckoutError('Coupon not found', 404);
+  }
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new CheckoutError('Coupon not found', 404);
+  }
+  await assertCanManageCoupons(user, coupon.course);
+
+  for (const key of ['maxRedemptions', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive']) {
+    if (updates[key] !== undefined) {
+      coupon[key] = updates[key];
+    }
+  }
+
+  try {
+    return await coupon.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new CheckoutError(error.message);
+    }
+    throw error;
+  }
+};
+
+export default {
+  requiresPayment,
+  quote,
+  createCheckout,
+  enroll,
+  handleWebhook,
+  cancelOrder,
+  refundOrder,
+  listOrders,
+  searchOrders,
+  getOrder,
+  createCoupon,
+  listCoupons,
+  updateCoupon,
+};
@@ -0,0 +1,621 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import codeRunnerConfig from '../config/codeRunner.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Code Execution Service
+ * Runs learner code against coding-challenge test cases in sandboxed child processes.
+ *
+ * Each test runs in a fresh bubblewrap sandbox: new user, PID, network, IPC and mount
+ * namespaces, an unprivileged uid, no capabilities, a cleared environment and a root
+ * filesystem holding only the runtimes and the submission, all read-only. Inside it,
+ * ulimit caps CPU time, memory, file size and process count, and a wall-clock timeout
+ * kills the whole sandbox. JavaScript additionally runs under the Node permission model.
+ *
+ * When the sandbox cannot be started, code does not run at all (see config/codeRunner.js).
+ */
+
+// Where the submission's directory appears inside the sandbox
+const SANDBOX_DIR = '/sandbox';
+const SANDBOX_UID = '65534';
+
+const permissionFlag = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+const LANGUAGES = {
+  javascript: {
+    command: process.execPath,
+    fileName: 'main.cjs',
+    // V8 reserves far more virtual memory than it uses, so the heap flag replaces `ulimit -v`
+    limitVirtualMemory: false,
+    args: ({ filePath, workDir, memoryLimit }) => [
+      '--no-warnings',
+      `--max-old-space-size=${memoryLimit}`,
+      ...(permissionFlag ? [permissionFlag, `--allow-fs-read=${workDir}`] : []),
+      filePath,
+    ],
+    functionPattern: (name) => new RegExp(`(function\\s+${name}\\s*\\(|(const|let|var)\\s+${name}\\s*=)`),
+    wrap: (code, entryPoint) => `${code}
+
+;(async () => {
+  const __payload = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+  const __result = await ${entryPoint}(...__payload.args);
+  process.stdout.write('\\n' + __payload.marker + JSON.stringify(__result === undefined ? null : __result) + '\\n');
+})().catch((error) => {
+  process.stderr.write(String(error && error.stack ? error.stack : error));
+  process.exit(1);
+});
+`,
+  },
+  python: {
+    command: codeRunnerConfig.pythonBin,
+    fileName: 'main.py',
+    limitVirtualMemory: true,
+    // -I: isolated mode (ignore PYTHON* env vars and user site-packages)
+    args: ({ filePath }) => ['-I', filePath],
+    functionPattern: (name) => new RegExp(`def\\s+${name}\\s*\\(`),
+    wrap: (code, entryPoint) => `${code}
+
+import json as __json, sys as __sys
+__payload = __json.loads(__sys.stdin.read())
+__result = ${entryPoint}(*__payload['args'])
+__sys.stdout.write('\\n' + __payload['marker'] + __json.dumps(__result, default=str) + '\\n')
+`,
+  },
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  node: 'javascript',
+  nodejs: 'javascript',
+  py: 'python',
+  python3: 'python',
+};
+
+/**
+ * Resolve a language name or alias to a supported language key
+ * @param {String} language - Language as stored on the challenge or submission
+ * @returns {String|null} Supported language key, or null if unsupported
+ */
+export const resolveLanguage = (language = 'javascript') => {
+  const key = String(language).toLowerCase().trim();
+  const resolved = LANGUAGE_ALIASES[key] || key;
+  return LANGUAGES[resolved] && codeRunnerConfig.languages.includes(resolved) ? resolved : null;
+};
+
+/**
+ * Detect the function learners are expected to implement from the starter code
+ * @param {String} starterCode - Starter code shown to the learner
+ * @param {String} language - Supported language key
+ * @returns {String} Entry point function name (defaults to `solve`)
+ */
+export const detectEntryPoint = (starterCode = '', language = 'javascript') => {
+  const pattern = language === 'python'
+    ? /def\s+([A-Za-z_]\w*)\s*\(/
+    : /function\s+([A-Za-z_$][\w$]*)\s*\(|(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/;
+  const match = (starterCode || '').match(pattern);
+  return match ? (match[1] || match[2]) : 'solve';
+};
+
+/**
+ * Parse a test-case input string into call arguments.
+ * `1, [2, 3]` becomes two arguments; anything that is not JSON is passed as one string.
+ */
+export const parseTestInput = (input) => {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return [];
+  }
+
+  try {
+    return JSON.parse(`[${input}]`);
+  } catch {
+    return [String(input)];
+  }
+};
+
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const normalizeText = (text = '') => String(text)
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+/**
+ * Compare a produced value against a test case's expected output
+ * @param {*} actual - Return value (function mode) or stdout (program mode)
+ * @param {String} expectedOutput - Expected output as stored on the test case
+ * @returns {Boolean} Whether the output matches
+ */
+export const outputsMatch = (actual, expectedOutput = '') => {
+  if (typeof actual === 'string' && normalizeText(actual) === normalizeText(expectedOutput)) {
+    return true;
+  }
+
+  try {
+    const expected = JSON.parse(expectedOutput);
+    return JSON.stringify(canonicalize(actual)) === JSON.stringify(canonicalize(expected));
+  } catch {
+    return normalizeText(typeof actual === 'string' ? actual : JSON.stringify(actual)) === normalizeText(expectedOutput);
+  }
+};
+
+/**
+ * Limit how many sandboxed processes run at once
+ */
+let activeProcesses = 0;
+const waitingProcesses = [];
+
+const acquireSlot = () => new Promise((resolve) => {
+  if (activeProcesses < codeRunnerConfig.maxConcurrent) {
+    activeProcesses++;
+    resolve();
+  } else {
+    waitingProcesses.push(resolve);
+  }
+});
+
+const releaseSlot = () => {
+  const next = waitingProcesses.shift();
+  if (next) {
+    next();
+  } else {
+    activeProcesses--;
+  }
+};
+
+const clamp = (value, fallback, max) => Math.min(Math.max(Number(value) || fallback, 1), max);
+
+/**
+ * Build the command that applies resource limits before exec'ing the runtime
+ */
+const buildLimitedCommand = (runtime, args, { timeLimit, memoryLimit }, { limitProcesses }) => {
+  const limits = [
+    `ulimit -t ${Math.ceil(timeLimit) + 1}`,
+    `ulimit -f ${codeRunnerConfig.maxFileSizeKB}`,
+    'ulimit -c 0',
+  ];
+  if (runtime.limitVirtualMemory) {
+    limits.push(`ulimit -v ${memoryLimit * 1024}`);
+  }
+  // Outside a user namespace RLIMIT_NPROC would count the server's own processes
+  if (limitProcesses) {
+    limits.push(`ulimit -u ${codeRunnerConfig.maxProcesses}`);
+  }
+
+  return {
+    command: '/bin/sh',
+    args: ['-c', `${limits.join('; ')}; exec "$0" "$@"`, runtime.command, ...args],
+  };
+};
+
+// Bind a top-level directory read-only, or recreate it as a symlink on merged-/usr systems
+const systemDirArgs = (dir) => {
+  try {
+    const stat = fsSync.lstatSync(dir);
+    if (stat.isSymbolicLink()) {
+      return ['--symlink', fsSync.readlinkSync(dir), dir];
+    }
+    return ['--ro-bind', dir, dir];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * bubblewrap arguments for a sandbox that sees the runtimes and `workDir` (at SANDBOX_DIR), read-only
+ */
+const bwrapArgs = (workDir) => {
+  const args = [
+    '--unshare-all',
+    '--die-with-parent',
+    '--new-session',
+    '--cap-drop', 'ALL',
+    '--uid', SANDBOX_UID,
+    '--gid', SANDBOX_UID,
+    '--hostname', 'sandbox',
+    '--ro-bind', '/usr', '/usr',
+    ...['/bin', '/sbin', '/lib', '/lib64'].flatMap(systemDirArgs),
+    '--ro-bind-try', '/etc/ld.so.cache', '/etc/ld.so.cache',
+    '--ro-bind-try', '/etc/alternatives', '/etc/alternatives',
+  ];
+
+  // Node installed outside /usr (e.g. under nvm) is bound at its own path
+  const nodePrefix = path.resolve(path.dirname(process.execPath), '..');
+  if (!nodePrefix.startsWith('/usr/')) {
+    args.push('--ro-bind', nodePrefix, nodePrefix);
+  }
+
+  args.push(
+    '--ro-bind', workDir, SANDBOX_DIR,
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--chdir', SANDBOX_DIR,
+    '--clearenv',
+    '--setenv', 'PATH', '/usr/local/bin:/usr/bin:/bin',
+    '--setenv', 'HOME', SANDBOX_DIR,
+    '--setenv', 'LANG', 'C.UTF-8',
+  );
+  return args;
+};
+
+/**
+ * The command that runs `runtime` with `args` for a submission in `workDir`, isolated and limited
+ */
+const buildSandboxCommand = (runtime, args, limits, workDir) => {
+  if (codeRunnerConfig.sandbox === 'none') {
+    return buildLimitedCommand(runtime, args, limits, { limitProcesses: false });
+  }
+
+  const limited = buildLimitedCommand(runtime, args, limits, { limitProcesses: true });
+  return {
+    command: codeRunnerConfig.bwrapBin,
+    args: [...bwrapArgs(workDir), '--', limited.command, ...limited.args],
+  };
+};
+
+/**
+ * Run a program once with the given stdin inside the sandbox
+ */
+const runProcess = async ({ command, args }, { cwd, stdin, timeoutMs }) => {
+  await acquireSlot();
+
+  try {
+    return await new Promise((resolve) => {
+      const startedAt = Date.now();
+      const child = spawn(command, args, {
+        cwd,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: true,
+        ...(codeRunnerConfig.uid ? { uid: codeRunnerConfig.uid, gid: codeRunnerConfig.gid || codeRunnerConfig.uid } : {}),
+        env: {
+          PATH: process.env.PATH,
+          HOME: cwd,
+          TMPDIR: cwd,
+          LANG: 'C.UTF-8',
+        },
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let outputExceeded = false;
+
+      const kill = () => {
+        try {
+          // Negative pid kills the whole process group (the sandbox and anything the code forked)
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeoutMs);
+
+      const collect = (stream, append) => {
+        stream.on('data', (chunk) => {
+          append(chunk.toString());
+          if (stdout.length + stderr.length > codeRunnerConfig.maxOutputBytes * 2) {
+            outputExceeded = true;
+            kill();
+          }
+        });
+      };
+      collect(child.stdout, (chunk) => {
+        stdout += chunk;
+      });
+      collect(child.stderr, (chunk) => {
+        stderr += chunk;
+      });
+
+      const finish = (exitCode, signal, errorMessage) => {
+        clearTimeout(timer);
+        resolve({
+          stdout,
+          stderr: errorMessage || stderr,
+          exitCode,
+          signal,
+          timedOut,
+          outputExceeded,
+          executionTime: Date.now() - startedAt,
+        });
+      };
+
+      child.on('error', (error) => finish(null, null, error.message));
+      child.on('close', (exitCode, signal) => finish(exitCode, signal));
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(stdin);
+    });
+  } finally {
+    releaseSlot();
+  }
+};
+
+const isolationChecks = new Map();
+let warnedUnisolated = false;
+
+/**
+ * Make sure learner code can run isolated: bubblewrap must start a sandbox
+ * (user namespaces may be disabled, e.g. by a container's seccomp profile).
+ * @returns {Promise<String|null>} Why code cannot run, or null
+ */
+const checkIsolation = () => {
+  const { sandbox, bwrapBin } = codeRunnerConfig;
+  if (sandbox === 'none') {
+    if (process.env.NODE_ENV === 'production') {
+      return Promise.resolve('CODE_RUNNER_SANDBOX=none is not allowed in production');
+    }
+    if (!warnedUnisolated) {
+      warnedUnisolated = true;
+      logger.warn('Code runner is running learner code WITHOUT isolation (CODE_RUNNER_SANDBOX=none)');
+    }
+    return Promise.resolve(null);
+  }
+  if (sandbox !== 'bwrap') {
+    return Promise.resolve(`Unknown code runner sandbox: ${sandbox}`);
+  }
+
+  if (!isolationChecks.has(bwrapBin)) {
+    isolationChecks.set(bwrapBin, (async () => {
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mini-tutor-probe-'));
+      await fs.chmod(workDir, 0o755);
+      try {
+        const probe = await runProcess(
+          { command: bwrapBin, args: [...bwrapArgs(workDir), '--', '/bin/sh', '-c', 'exit 0'] },
+          { cwd: workDir, stdin: '', timeoutMs: 10000 },
+        );
+        return probe.exitCode === 0
+          ? null
+          : `bubblewrap (${bwrapBin}) cannot start a sandbox: ${probe.stderr.trim() || `exit ${probe.exitCode}`}`;
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+    })());
+  }
+  return isolationChecks.get(bwrapBin);
+};
+
+const truncate = (text = '') => (text.length > codeRunnerConfig.maxOutputBytes
+  ? `${text.slice(0, codeRunnerConfig.maxOutputBytes)}\n... output truncated`
+  : text);
+
+/**
+ * Translate a finished process into a learner-facing error message (or null on success)
+ */
+const describeFailure = (run, { timeLimit, memoryLimit }) => {
+  if (run.timedOut) {
+    return `Time limit exceeded (${timeLimit}s)`;
+  }
+  if (run.outputExceeded) {
+    return 'Output limit exceeded';
+  }
+  if (run.signal === 'SIGXCPU') {
+    return `CPU time limit exceeded (${timeLimit}s)`;
+  }
+  if (run.signal === 'SIGXFSZ') {
+    return 'File size limit exceeded';
+  }
+  if (/heap out of memory|MemoryError|Cannot allocate memory/i.test(run.stderr)) {
+    return `Memory limit exceeded (${memoryLimit}MB)`;
+  }
+  if (run.exitCode !== 0) {
+    return truncate(run.stderr.trim()) || `Process exited with ${run.signal || `code ${run.exitCode}`}`;
+  }
+  return null;
+};
+
+/**
+ * Run learner code against a list of test cases.
+ * When the code defines the entry point function it is called with each parsed input;
+ * otherwise the code runs as a program reading the raw input from stdin.
+ * @param {Object} params
+ * @param {String} params.code - Learner code
+ * @param {String} params.language - Language name or alias
+ * @param {Array} params.testCases - [{ input, expectedOutput, isHidden }]
+ * @param {String} params.entryPoint - Function to call (detected from starter code if omitted)
+ * @param {Number} params.timeLimit - Per-test time limit in seconds
+ * @param {Number} params.memoryLimit - Memory limit in MB
+ * @returns {Object} { success, language, results, passedCount, totalCount }
+ */
+export const runTestCases = async ({ code, language, testCases = [], entryPoint, timeLimit, memoryLimit } = {}) => {
+  const failure = (error) => ({
+    success: false,
+    error,
+    results: [],
+    passedCount: 0,
+    totalCount: testCases.length,
+  });
+
+  if (!codeRunnerConfig.enabled) {
+    return failure('Code execution is disabled');
+  }
+
+  const languageKey = resolveLanguage(language);
+  if (!languageKey) {
+    return failure(`Unsupported language: ${language}`);
+  }
+
+  if ((code || '').length > codeRunnerConfig.maxCodeLength) {
+    return failure(`Code exceeds the maximum length of ${codeRunnerConfig.maxCodeLength} characters`);
+  }
+
+  if (testCases.length > codeRunnerConfig.maxTestCases) {
+    return failure(`Too many test cases (maximum ${codeRunnerConfig.maxTestCases})`);
+  }
+
+  const isolationError = await checkIsolation();
+  if (isolationError) {
+    logger.error(`Code runner unavailable: ${isolationError}`);
+    return failure('Code execution is unavailable: no isolated sandbox is configured');
+  }
+
+  const runtime = LANGUAGES[languageKey];
+  const entry = entryPoint || 'solve';
+  const functionMode = runtime.functionPattern(entry).test(code || '');
+  const source = functionMode ? runtime.wrap(code, entry) : code;
+  const limits = {
+    timeLimit: clamp(timeLimit, codeRunnerConfig.defaultTimeLimit, codeRunnerConfig.maxTimeLimit),
+    memoryLimit: clamp(memoryLimit, codeRunnerConfig.defaultMemoryLimit, codeRunnerConfig.maxMemoryLimit),
+  };
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mini-tutor-run-'));
+  const filePath = path.join(workDir, runtime.fileName);
+
+  try {
+    await fs.writeFile(filePath, source || '', 'utf8');
+    if (codeRunnerConfig.uid) {
+      // The sandbox starts as another user, which must be able to read the submission
+      await fs.chmod(workDir, 0o755);
+      await fs.chmod(filePath, 0o644);
+    }
+
+    // Paths as the runtime sees them
+    const isolated = codeRunnerConfig.sandbox !== 'none';
+    const view = isolated
+      ? { workDir: SANDBOX_DIR, filePath: path.posix.join(SANDBOX_DIR, runtime.fileName) }
+      : { workDir, filePath };
+    const sandbox = buildSandboxCommand(
+      runtime,
+      runtime.args({ ...view, memoryLimit: limits.memoryLimit }),
+      limits,
+      workDir,
+    );
+
+    const results = [];
+    for (const [index, testCase] of testCases.entries()) {
+      // A fresh marker per run keeps learner output from impersonating the harness result
+      const marker = `__RESULT_${crypto.randomUUID()}__`;
+      const stdin = functionMode
+        ? JSON.stringify({ args: parseTestInput(testCase.input), marker })
+        : String(testCase.input ?? '');
+
+      const run = await runProcess(sandbox, { cwd: workDir, stdin, timeoutMs: limits.timeLimit * 1000 });
+
+      let stdout = run.stdout;
+      let output = run.stdout;
+      let parsedOutput = run.stdout;
+
+      if (functionMode) {
+        const markerIndex = run.stdout.lastIndexOf(marker);
+        if (markerIndex !== -1) {
+          stdout = run.stdout.slice(0, markerIndex).replace(/\n$/, '');
+          output = run.stdout.slice(markerIndex + marker.length).trim();
+          try {
+            parsedOutput = JSON.parse(output);
+          } catch {
+            parsedOutput = output;
+          }
+        } else {
+          output = '';
+          parsedOutput = undefined;
+        }
+      }
+
+      const error = describeFailure(run, limits);
+
+      results.push({
+        testCase: index,
+        passed: !error && parsedOutput !== undefined && outputsMatch(parsedOutput, testCase.expectedOutput),
+        output: truncate(output),
+        stdout: truncate(stdout),
+        error,
+        isHidden: Boolean(testCase.isHidden),
+        executionTime: run.executionTime,
+      });
+    }
+
+    return {
+      success: true,
+      language: languageKey,
+      results,
+      passedCount: results.filter(r => r.passed).length,
+      totalCount: results.length,
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Run a submission against a stored coding challenge (quiz question or roadmap task)
+ * @param {Object} challenge - { language, starterCode, testCases, timeLimit, memoryLimit }
+ * @param {Object} submission - { code, language }
+ * @param {Object} options
+ * @param {Boolean} options.includeHidden - Also run hidden test cases (grading); hidden details are masked
+ * @returns {Object} runTestCases result plus `hiddenCount` when hidden tests were skipped
+ */
+export const runChallenge = async (challenge = {}, submission = {}, { includeHidden = true } = {}) => {
+  const language = resolveLanguage(submission.language || challenge.language || 'javascript')
+    || submission.language || challenge.language;
+  const allTestCases = (challenge.testCases || []).map((testCase, index) => ({
+    input: testCase.input,
+    expectedOutput: testCase.expectedOutput,
+    isHidden: Boolean(testCase.isHidden),
+    index,
+  }));
+  const testCases = includeHidden ? allTestCases : allTestCases.filter(t => !t.isHidden);
+
+  const run = await runTestCases({
+    code: submission.code,
+    language,
+    testCases,
+    entryPoint: detectEntryPoint(challenge.starterCode, resolveLanguage(language) || 'javascript'),
+    timeLimit: challenge.timeLimit,
+    memoryLimit: challenge.memoryLimit,
+  });
+
+  run.results = run.results.map((result, i) => {
+    const testCase = testCases[i];
+    if (testCase.isHidden) {
+      return {
+        testCase: testCase.index,
+        passed: result.passed,
+        isHidden: true,
+        error: result.error ? 'Hidden test case failed' : null,
+        executionTime: result.executionTime,
+      };
+    }
+    return {
+      ...result,
+      testCase: testCase.index,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+    };
+  });
+
+  return {
+    ...run,
+    language,
+    hiddenCount: includeHidden ? 0 : allTestCases.length - testCases.length,
+  };
+};
+
+export default {
+  runChallenge,
+  runTestCases,
+  resolveLanguage,
+  detectEntryPoint,
+  parseTestInput,
+  outputsMatch,
+};
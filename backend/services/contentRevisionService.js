@@ -0,0 +1,675 @@
+/**
+ * Content Revision Service
+ * Draft edits, history, diffs, rollback and publishing for course, module and
+ * lesson content. Learners only ever see the live documents; an edit lands in
+ * the entity's draft revision and reaches them when the draft is published,
+ * which also queues an email to the course's enrollees.
+ *
+ * Only the fields in REVISIONED_FIELDS are versioned. Structural and settings
+ * fields (order, isPublished, pricing, ...) still apply directly.
+ */
+
+import mongoose from 'mongoose';
+import ContentRevision from '../models/ContentRevision.js';
+import Course from '../models/Course.js';
+import Module from '../models/Module.js';
+import Lesson from '../models/Lesson.js';
+import Enrollment from '../models/Enrollment.js';
+import { sendMail } from './mailService.js';
+import logger from '../utils/logger.js';
+
+export const REVISIONED_FIELDS = {
+  course: ['title', 'description', 'thumbnail', 'category', 'level', 'tags', 'metadata'],
+  module: ['title', 'description', 'objectives', 'metadata'],
+  lesson: [
+    'title',
+    'content',
+    'duration',
+    'objectives',
+    'lessonType',
+    'content_structure',
+    'aiInstructions',
+    'resources',
+    'metadata',
+  ],
+};
+
+const MODELS = {
+  course: Course,
+  module: Module,
+  lesson: Lesson,
+};
+
+const LABELS = {
+  course: 'Course',
+  module: 'Module',
+  lesson: 'Lesson',
+};
+
+// Unchanged lines shown around each change in a text diff
+const DIFF_CONTEXT_LINES = 3;
+// Above this many line pairs a changed block is shown as replaced outright
+const MAX_DIFF_CELLS = 4000000;
+const NOTIFY_STATUSES = ['active', 'paused', 'completed'];
+
+export class RevisionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevisionError';
+    this.status = status;
+  }
+}
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new RevisionError(`${label} not found`, 404);
+  }
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Subdocument _ids are regenerated on every publish, so they are left out of snapshots
+const stripIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id' && key !== 'id')
+      .map(([key, item]) => [key, stripIds(item)]));
+  }
+  return value;
+};
+
+/**
+ * The revisioned fields of a document as plain JSON
+ */
+export const snapshotContent = (entityType, doc) => {
+  const source = doc.toObject({ depopulate: true, virtuals: false });
+  const content = {};
+  for (const field of REVISIONED_FIELDS[entityType]) {
+    if (source[field] !== undefined) {
+      content[field] = source[field];
+    }
+  }
+  return stripIds(JSON.parse(JSON.stringify(content)));
+};
+
+/**
+ * Split an update into the revisioned fields and the ones applied directly
+ * @returns {Object} { content, direct }
+ */
+export const splitChanges = (entityType, changes = {}) => {
+  const content = {};
+  const direct = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (REVISIONED_FIELDS[entityType].includes(field)) {
+      content[field] = value;
+    } else {
+      direct[field] = value;
+    }
+  }
+  return { content, direct };
+};
+
+const idOf = ref => ref?._id || ref;
+
+const resolveCourseId = async (entityType, entity) => {
+  if (entityType === 'course') {
+    return entity._id;
+  }
+  if (entityType === 'module') {
+    return idOf(entity.course);
+  }
+  const module = entity.module?.course
+    ? entity.module
+    : await Module.findById(entity.module).select('course');
+  if (!module) {
+    throw new RevisionError('Module not found', 404);
+  }
+  return idOf(module.course);
+};
+
+// Cast and validate content the way the live document would, so drafts never hold what cannot be published
+const castContent = async (entityType, entity, content) => {
+  const Model = MODELS[entityType];
+  const candidate = new Model({ ...entity.toObject({ depopulate: true, virtuals: false }), ...content });
+  try {
+    await candidate.validate();
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw new RevisionError(error.message);
+    }
+    throw error;
+  }
+  return snapshotContent(entityType, candidate);
+};
+
+const nextNumber = async (entityId) => {
+  const last = await ContentRevision.findOne({ entity: entityId }).sort({ number: -1 }).select('number');
+  return last ? last.number + 1 : 1;
+};
+
+// Record what learners see now as revision 1 of an entity that has no history yet
+const ensureBaseline = async (entityType, entity, courseId) => {
+  const exists = await ContentRevision.exists({ entity: entity._id });
+  if (exists) {
+    return;
+  }
+
+  await ContentRevision.create({
+    entityType,
+    entity: entity._id,
+    course: courseId,
+    number: 1,
+    status: 'published',
+    content: snapshotContent(entityType, entity),
+    message: 'Initial version',
+    publishedAt: entity.updatedAt || new Date(),
+  });
+};
+
+const findRevision = async (courseId, revisionId) => {
+  assertObjectId(revisionId, 'Revision');
+  const revision = await ContentRevision.findOne({ _id: revisionId, course: courseId });
+  if (!revision) {
+    throw new RevisionError('Revision not found', 404);
+  }
+  return revision;
+};
+
+const writeDraft = async (entityType, entity, content, { author, message, restoredFrom = null }) => {
+  const courseId = await resolveCourseId(entityType, entity);
+  await ensureBaseline(entityType, entity, courseId);
+
+  const draft = await ContentRevision.findOne({ entity: entity._id, status: 'draft' });
+  if (draft) {
+    draft.content = content;
+    draft.markModified('content');
+    draft.author = author;
+    if (restoredFrom) {
+      draft.restoredFrom = restoredFrom;
+    }
+    if (message) {
+      draft.message = message;
+    }
+    return draft.save();
+  }
+
+  return ContentRevision.create({
+    entityType,
+    entity: entity._id,
+    course: courseId,
+    number: await nextNumber(entity._id),
+    content,
+    author,
+    message,
+    restoredFrom,
+  });
+};
+
+// ============================================
+// Drafts
+// ============================================
+
+/**
+ * Save edits to the entity's draft revision, starting one from the live content if needed
+ * @param {string} entityType - 'course' | 'module' | 'lesson'
+ * @param {Object} entity - Live document
+ * @param {Object} changes - Update body; fields that are not revisioned are ignored
+ * @param {Object} options - author, message
+ * @returns {Object|null} Draft revision, or null if nothing revisioned changed
+ */
+export const saveDraft = async (entityType, entity, changes, { author = null, message = null } = {}) => {
+  const { content } = splitChanges(entityType, changes);
+  if (Object.keys(content).length === 0) {
+    return null;
+  }
+
+  const draft = await ContentRevision.findOne({ entity: entity._id, status: 'draft' });
+  const base = draft ? draft.content : snapshotContent(entityType, entity);
+  const merged = await castContent(entityType, entity, { ...base, ...content });
+
+  return writeDraft(entityType, entity, merged, { author, message });
+};
+
+/**
+ * Start a draft with the content of an earlier revision
+ * @returns {Object} Draft revision
+ */
+export const rollbackToRevision = async (courseId, revisionId, author, { message } = {}) => {
+  const target = await findRevision(courseId, revisionId);
+  if (target.status === 'draft') {
+    throw new RevisionError('Only published revisions can be rolled back to');
+  }
+
+  const entity = await MODELS[target.entityType].findById(target.entity);
+  if (!entity) {
+    throw new RevisionError(`${LABELS[target.entityType]} no longer exists`, 404);
+  }
+
+  const content = await castContent(target.entityType, entity, target.content);
+  return writeDraft(target.entityType, entity, content, {
+    author,
+    message: message || `Roll back to revision ${target.number}`,
+    restoredFrom: target._id,
+  });
+};
+
+/**
+ * Delete a draft revision
+ */
+export const discardDraft = async (courseId, revisionId) => {
+  const revision = await findRevision(courseId, revisionId);
+  if (revision.status !== 'draft') {
+    throw new RevisionError('Only draft revisions can be discarded', 409);
+  }
+  await revision.deleteOne();
+};
+
+// ============================================
+// History & diffs
+// ============================================
+
+/**
+ * Revisions of a course and its modules and lessons, newest first (without content)
+ * @param {Object} filters - entityType, entity, status, page, limit
+ */
+export const listRevisions = async (courseId, { entityType, entity, status, page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const filter = { course: courseId };
+  if (entityType) {
+    if (!MODELS[entityType]) {
+      throw new RevisionError('Entity type must be course, module or lesson');
+    }
+    filter.entityType = entityType;
+  }
+  if (entity) {
+    assertObjectId(entity, LABELS[entityType] || 'Entity');
+    filter.entity = entity;
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  const [revisions, total] = await Promise.all([
+    ContentRevision.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .select('-content')
+      .populate('author', 'name')
+      .populate('publishedBy', 'name')
+      .populate('improvement', 'title status')
+      .lean(),
+    ContentRevision.countDocuments(filter),
+  ]);
+
+  return {
+    revisions,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * A single revision with its content
+ */
+export const getRevision = async (courseId, revisionId) => {
+  const revision = await findRevision(courseId, revisionId);
+  await revision.populate([
+    { path: 'author', select: 'name' },
+    { path: 'publishedBy', select: 'name' },
+    { path: 'improvement', select: 'title status' },
+  ]);
+  return revision;
+};
+
+const lineOps = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: ' ', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(text => ({ type: '-', text })), ...midB.map(text => ({ type: '+', text })));
+  } else {
+    // Longest common subsequence, walked from the start
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ type: '-', text: midA[i++] });
+      } else {
+        ops.push({ type: '+', text: midB[j++] });
+      }
+    }
+    ops.push(...midA.slice(i).map(text => ({ type: '-', text })), ...midB.slice(j).map(text => ({ type: '+', text })));
+  }
+
+  ops.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+  return ops;
+};
+
+/**
+ * Line diff of two texts as unified-diff style hunks
+ * @returns {Array} [{ oldStart, newStart, lines: [' kept', '-removed', '+added'] }]
+ */
+export const diffLines = (before, after, context = DIFF_CONTEXT_LINES) => {
+  let oldLine = 1;
+  let newLine = 1;
+  const ops = lineOps(before, after).map((op) => {
+    const numbered = { ...op, oldLine, newLine };
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+    return numbered;
+  });
+  const format = op => `${op.type}${op.text}`;
+
+  const hunks = [];
+  let hunk = null;
+  let lastChange = -1;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    if (hunk && index - lastChange <= 2 * context) {
+      hunk.lines.push(...ops.slice(lastChange + 1, index).map(format));
+    } else {
+      if (hunk) {
+        hunk.lines.push(...ops.slice(lastChange + 1, lastChange + 1 + context).map(format));
+      }
+      const from = Math.max(0, index - context);
+      hunk = {
+        oldStart: ops[from].oldLine,
+        newStart: ops[from].newLine,
+        lines: ops.slice(from, index).map(format),
+      };
+      hunks.push(hunk);
+    }
+    hunk.lines.push(format(op));
+    lastChange = index;
+  });
+  if (hunk) {
+    hunk.lines.push(...ops.slice(lastChange + 1, lastChange + 1 + context).map(format));
+  }
+
+  return hunks;
+};
+
+// Nested objects become dot paths; arrays are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, item] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item)) {
+      flatten(item, path, out);
+    } else {
+      out[path] = item;
+    }
+  }
+  return out;
+};
+
+/**
+ * Field-level differences between two content snapshots; multi-line text also gets a line diff
+ * @returns {Array} [{ path, type: 'added'|'removed'|'changed', before, after, hunks? }]
+ */
+export const diffContent = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  const changes = [];
+  for (const path of paths) {
+    if (JSON.stringify(from[path]) === JSON.stringify(to[path])) {
+      continue;
+    }
+
+    let type = 'changed';
+    if (from[path] === undefined) {
+      type = 'added';
+    } else if (to[path] === undefined) {
+      type = 'removed';
+    }
+    const change = { path, type, before: from[path] ?? null, after: to[path] ?? null };
+
+    const textual = [change.before, change.after].every(text => text === null || typeof text === 'string');
+    if (textual && `${change.before || ''}${change.after || ''}`.includes('\n')) {
+      change.hunks = diffLines(change.before || '', change.after || '');
+    }
+    changes.push(change);
+  }
+  return changes;
+};
+
+const summarize = revision => ({
+  _id: revision._id,
+  number: revision.number,
+  status: revision.status,
+  message: revision.message,
+  createdAt: revision.createdAt,
+  publishedAt: revision.publishedAt,
+});
+
+/**
+ * Compare a revision with another one of the same entity, by default the
+ * latest non-draft revision before it (for a draft: what learners see)
+ */
+export const diffRevisions = async (courseId, revisionId, againstId) => {
+  const revision = await findRevision(courseId, revisionId);
+
+  let base;
+  if (againstId) {
+    base = await findRevision(courseId, againstId);
+    if (!base.entity.equals(revision.entity)) {
+      throw new RevisionError('Revisions belong to different content');
+    }
+  } else {
+    base = await ContentRevision.findOne({
+      entity: revision.entity,
+      number: { $lt: revision.number },
+      status: { $ne: 'draft' },
+    }).sort({ number: -1 });
+  }
+
+  return {
+    entityType: revision.entityType,
+    entity: revision.entity,
+    from: base ? summarize(base) : null,
+    to: summarize(revision),
+    changes: diffContent(base ? base.content : {}, revision.content),
+  };
+};
+
+// ============================================
+// Publishing
+// ============================================
+
+const updateNotice = (entityType, title) => {
+  if (entityType === 'lesson') {
+    return `The lesson "${title}" has been updated`;
+  }
+  if (entityType === 'module') {
+    return `The module "${title}" has been updated`;
+  }
+  return 'The course details have been updated';
+};
+
+/**
+ * Email learners enrolled in the course about a published revision (skips
+ * accounts that turned notifications off). Runs from the revision notification
+ * queue; enrollments are walked in _id order and each one emailed is recorded on
+ * the revision, so a retry continues after the last learner reached.
+ * @param {ObjectId} revisionId
+ * @returns {number} Emails sent for the revision so far
+ */
+export const notifyEnrollees = async (revisionId) => {
+  const revision = await ContentRevision.findById(revisionId);
+  if (!revision || revision.notifyStatus !== 'pending') {
+    return revision?.notifiedCount || 0;
+  }
+
+  const course = await Course.findById(revision.course).select('title');
+  if (!course) {
+    await ContentRevision.updateOne({ _id: revision._id }, { $set: { notifyStatus: 'sent' } });
+    return revision.notifiedCount;
+  }
+
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/courses/${course._id}`;
+  const notice = updateNotice(revision.entityType, revision.content.title);
+  const note = revision.message ? `\n\nWhat changed: ${revision.message}` : '';
+
+  const enrollments = Enrollment.find({
+    course: course._id,
+    status: { $in: NOTIFY_STATUSES },
+    ...(revision.notifyCursor && { _id: { $gt: revision.notifyCursor } }),
+  })
+    .sort({ _id: 1 })
+    .populate('user', 'name email preferences')
+    .lean()
+    .cursor();
+
+  let sent = revision.notifiedCount;
+  for await (const { _id, user } of enrollments) {
+    if (user?.email && user.preferences?.notifications !== false) {
+      try {
+        await sendMail({
+          to: user.email,
+          subject: `Course updated: ${course.title}`,
+          text: `Hi ${user.name},\n\n${notice} in "${course.title}".${note}\n\nContinue learning: ${link}`,
+        });
+        sent++;
+      } catch (error) {
+        logger.error(`Failed to notify ${user.email} about revision ${revision._id}: ${error.message}`);
+      }
+    }
+    await ContentRevision.updateOne({ _id: revision._id }, { $set: { notifyCursor: _id, notifiedCount: sent } });
+  }
+
+  await ContentRevision.updateOne({ _id: revision._id }, { $set: { notifyStatus: 'sent' } });
+  return sent;
+};
+
+const queueNotification = async (revision) => {
+  try {
+    const { addRevisionNotificationJob } = await import('../queues/index.js');
+    await addRevisionNotificationJob({ revisionId: String(revision._id) });
+  } catch (error) {
+    logger.error(`Failed to queue notifications for revision ${revision._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Make a draft revision live: copy its content onto the document, claim the
+ * draft as published, supersede the previously published revision and queue
+ * the enrollee emails. Copying first keeps a failed publish retryable (the draft
+ * is untouched); the claim is atomic, so of two concurrent publishes only one
+ * succeeds and notifies.
+ * @param {Object} options - message, notify (default true; only published courses have learners to notify)
+ * @returns {Object} { revision, entity }
+ */
+export const publishRevision = async (courseId, revisionId, publisherId, { message, notify = true } = {}) => {
+  const draft = await findRevision(courseId, revisionId);
+  if (draft.status !== 'draft') {
+    throw new RevisionError('Only draft revisions can be published', 409);
+  }
+
+  const entity = await MODELS[draft.entityType].findById(draft.entity);
+  if (!entity) {
+    throw new RevisionError(`${LABELS[draft.entityType]} no longer exists`, 404);
+  }
+
+  entity.set(draft.content);
+  await entity.save();
+
+  if (draft.entityType === 'lesson') {
+    // Duration feeds the module and course totals
+    const module = await Module.findById(entity.module);
+    if (module) {
+      await module.updateStatistics();
+    }
+  }
+  const course = draft.entityType === 'course' ? entity : await Course.findById(courseId);
+  if (draft.entityType === 'lesson' && course) {
+    await course.updateStatistics();
+  }
+
+  const willNotify = Boolean(notify && course?.isPublished);
+  const revision = await ContentRevision.findOneAndUpdate(
+    { _id: draft._id, status: 'draft' },
+    {
+      $set: {
+        status: 'published',
+        publishedAt: new Date(),
+        publishedBy: publisherId,
+        ...(message && { message }),
+        ...(willNotify && { notifyStatus: 'pending' }),
+      },
+    },
+    { new: true }
+  );
+  if (!revision) {
+    throw new RevisionError('Only draft revisions can be published', 409);
+  }
+
+  await ContentRevision.updateMany(
+    { entity: revision.entity, status: 'published', _id: { $ne: revision._id } },
+    { $set: { status: 'superseded' } }
+  );
+
+  if (willNotify) {
+    await queueNotification(revision);
+  }
+
+  return { revision, entity };
+};
+
+export default {
+  REVISIONED_FIELDS,
+  snapshotContent,
+  splitChanges,
+  saveDraft,
+  rollbackToRevision,
+  discardDraft,
+  listRevisions,
+  getRevision,
+  diffLines,
+  diffContent,
+  diffRevisions,
+  notifyEnrollees,
+  publishRevision,
+};
@@ -0,0 +1,349 @@
+/**
+ * Conversation Export Service
+ * Turns the active branch of a conversation into a transcript and renders it
+ * as Markdown, print-ready HTML (save as PDF from the browser) or JSON.
+ * Whiteboard [WB]...[/WB] blocks, course recommendations and reactions are
+ * kept. Shared transcripts (see conversationShareService.js) are built with
+ * `shared: true`, which leaves out everything about the owner.
+ */
+
+import sanitizeHtml from 'sanitize-html';
+import Message from '../models/Message.js';
+import { escapeHtml } from '../utils/html.js';
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+const WHITEBOARD_BLOCK = /\[WB\]([\s\S]*?)\[\/WB\]/g;
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'AI Tutor',
+  system: 'System',
+};
+
+// ============================================
+// Transcript
+// ============================================
+
+/**
+ * Split message content into text and whiteboard segments, in order
+ * @returns {Array} [{ type: 'text' | 'whiteboard', content }]
+ */
+export const splitWhiteboard = (content = '') => {
+  const segments = [];
+  let last = 0;
+
+  for (const match of content.matchAll(WHITEBOARD_BLOCK)) {
+    const text = content.slice(last, match.index).trim();
+    if (text) {
+      segments.push({ type: 'text', content: text });
+    }
+    segments.push({ type: 'whiteboard', content: match[1].trim() });
+    last = match.index + match[0].length;
+  }
+
+  const rest = content.slice(last).trim();
+  if (rest) {
+    segments.push({ type: 'text', content: rest });
+  }
+  return segments;
+};
+
+// Course cards only carry public course data in shared transcripts
+const publicRecommendations = (recommendations) => ({
+  courses: (recommendations.courses || []).map(course => ({
+    title: course.title,
+    level: course.level,
+    url: course.url,
+  })),
+  lessons: (recommendations.lessons || []).map(lesson => ({
+    title: lesson.title,
+    courseTitle: lesson.courseTitle,
+    url: lesson.url,
+  })),
+});
+
+const countReactions = (reactions = []) => reactions.reduce((counts, reaction) => {
+  counts[reaction.type] = (counts[reaction.type] || 0) + 1;
+  return counts;
+}, {});
+
+const transcriptMessage = (message, shared) => {
+  const metadata = message.metadata || {};
+  const entry = {
+    role: message.role,
+    createdAt: message.createdAt,
+    content: message.content,
+    segments: splitWhiteboard(message.content),
+  };
+
+  if (metadata.recommendations) {
+    entry.recommendations = shared
+      ? publicRecommendations(metadata.recommendations)
+      : { ...metadata.recommendations, intent: metadata.intent };
+  }
+
+  if (!shared) {
+    entry.id = message._id;
+    entry.reactions = countReactions(message.reactions);
+    entry.metadata = {
+      model: metadata.model,
+      isVoice: metadata.isVoice || undefined,
+      isEdited: metadata.isEdited || undefined,
+      cancelled: metadata.cancelled,
+      sources: metadata.sources,
+    };
+  }
+
+  return entry;
+};
+
+/**
+ * Build a transcript from branch messages
+ * @param {Object} conversation - title, topic, createdAt
+ * @param {Array} messages - in branch order
+ * @param {Object} options - shared: leave out ids, reactions, model details and system messages
+ * @returns {Object} { title, topic, createdAt, exportedAt, shared, messages }
+ */
+export const buildTranscript = (conversation, messages, { shared = false } = {}) => ({
+  title: conversation.title,
+  topic: conversation.topic,
+  createdAt: conversation.createdAt,
+  exportedAt: new Date(),
+  shared,
+  messages: messages
+    .filter(message => !shared || message.role !== 'system')
+    .map(message => transcriptMessage(message, shared)),
+});
+
+// ============================================
+// Markdown
+// ============================================
+
+const formatDate = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+// A fence longer than any backtick run inside the block
+const fenceFor = (content) => '`'.repeat(Math.max(3, ...(content.match(/`+/g) || []).map(run => run.length + 1)));
+
+const roleLabel = (role, shared) => (shared && role === 'user' ? 'Learner' : ROLE_LABELS[role] || role);
+
+const recommendationLines = (recommendations) => [
+  ...recommendations.courses.map(course => `- Course: [${course.title}](${course.url})${course.level ? ` (${course.level})` : ''}`),
+  ...recommendations.lessons.map(lesson => `- Lesson: [${lesson.title}](${lesson.url})${lesson.courseTitle ? ` from ${lesson.courseTitle}` : ''}`),
+];
+
+export const toMarkdown = (transcript) => {
+  const lines = [
+    `# ${transcript.title}`,
+    '',
+    `_Topic: ${transcript.topic} · Started ${formatDate(transcript.createdAt)} · Exported ${formatDate(transcript.exportedAt)}_`,
+  ];
+
+  for (const message of transcript.messages) {
+    lines.push('', '---', '', `**${roleLabel(message.role, transcript.shared)}** · ${formatDate(message.createdAt)}`, '');
+
+    for (const segment of message.segments) {
+      if (segment.type === 'whiteboard') {
+        const fence = fenceFor(segment.content);
+        lines.push(`${fence}whiteboard`, segment.content, fence, '');
+      } else {
+        lines.push(segment.content, '');
+      }
+    }
+
+    if (message.recommendations) {
+      lines.push('**Recommended:**', ...recommendationLines(message.recommendations), '');
+    }
+
+    const reactions = Object.entries(message.reactions || {});
+    if (reactions.length > 0) {
+      lines.push(`_Reactions: ${reactions.map(([type, count]) => (count > 1 ? `${type} ×${count}` : type)).join(', ')}_`, '');
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+};
+
+// ============================================
+// HTML
+// ============================================
+
+// Only web links; app paths (e.g. /courses/:id) point at the frontend
+const linkTarget = (href, baseUrl) => {
+  if (/^https?:\/\//i.test(href)) {
+    return href;
+  }
+  if (href.startsWith('/') && !href.startsWith('//')) {
+    return `${baseUrl}${href}`;
+  }
+  return null;
+};
+
+const renderInline = (text, baseUrl) => escapeHtml(text)
+  .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+    const target = linkTarget(href, baseUrl);
+    return target ? `<a href="${target}" rel="nofollow noopener">${label}</a>` : label;
+  });
+
+const renderText = (text, baseUrl) => text
+  .split(/(```[^\n]*\n[\s\S]*?```)/g)
+  .map((part) => {
+    const code = part.match(/^```[^\n]*\n([\s\S]*?)```$/);
+    if (code) {
+      return `<pre><code>${escapeHtml(code[1].replace(/\n$/, ''))}</code></pre>`;
+    }
+    return part
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${paragraph.split('\n').map(line => renderInline(line, baseUrl)).join('<br>')}</p>`)
+      .join('\n');
+  })
+  .join('\n');
+
+// Everything is escaped before markup is added; this is a second line of defence
+const SANITIZE_OPTIONS = {
+  allowedTags: ['p', 'br', 'strong', 'code', 'pre', 'a', 'figure', 'figcaption', 'ul', 'li'],
+  allowedAttributes: { a: ['href', 'rel'], figure: ['class'] },
+  allowedSchemes: ['http', 'https'],
+  disallowedTagsMode: 'escape',
+};
+
+const renderMessageBody = (message, baseUrl) => {
+  const parts = message.segments.map(segment => (segment.type === 'whiteboard'
+    ? `<figure class="whiteboard"><figcaption>Whiteboard</figcaption><pre>${escapeHtml(segment.content)}</pre></figure>`
+    : renderText(segment.content, baseUrl)));
+
+  if (message.recommendations) {
+    const items = [
+      ...message.recommendations.courses.map(course => ({ label: 'Course', title: course.title, url: course.url, note: course.level })),
+      ...message.recommendations.lessons.map(lesson => ({ label: 'Lesson', title: lesson.title, url: lesson.url, note: lesson.courseTitle })),
+    ].map((item) => {
+      const target = item.url && linkTarget(item.url, baseUrl);
+      const title = target ? `<a href="${escapeHtml(target)}" rel="nofollow noopener">${escapeHtml(item.title)}</a>` : escapeHtml(item.title);
+      return `<li>${item.label}: ${title}${item.note ? ` (${escapeHtml(item.note)})` : ''}</li>`;
+    });
+    parts.push(`<figure class="recommendations"><figcaption>Recommended</figcaption><ul>${items.join('')}</ul></figure>`);
+  }
+
+  return sanitizeHtml(parts.join('\n'), SANITIZE_OPTIONS);
+};
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.55; }
+  header { border-bottom: 2px solid #e5e7eb; margin-bottom: 1.5rem; }
+  h1 { font-size: 1.6rem; margin: 0 0 .25rem; }
+  .meta, .role time, footer { color: #6b7280; font-size: .85rem; }
+  article { margin: 0 0 1.25rem; padding: .75rem 1rem; border-radius: 8px; break-inside: avoid; page-break-inside: avoid; }
+  article.user { background: #eff6ff; }
+  article.assistant { background: #f9fafb; border: 1px solid #e5e7eb; }
+  .role { font-weight: 600; margin-bottom: .25rem; }
+  .reactions { color: #6b7280; font-size: .8rem; }
+  pre { background: #111827; color: #f9fafb; padding: .75rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: "SFMono-Regular", Menlo, monospace; font-size: .9em; }
+  figure { margin: .75rem 0; }
+  figcaption { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #6b7280; }
+  figure.whiteboard pre { background: #fefce8; color: #713f12; border: 1px dashed #ca8a04; }
+  @page { margin: 18mm; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+/**
+ * Standalone, print-ready HTML document
+ * @param {Object} transcript - from buildTranscript
+ * @param {Object} options - baseUrl for app links (defaults to FRONTEND_URL)
+ */
+export const toHtml = (transcript, { baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000' } = {}) => {
+  const articles = transcript.messages.map((message) => {
+    const reactions = Object.entries(message.reactions || {});
+    return [
+      `<article class="${escapeHtml(message.role)}">`,
+      `<div class="role">${escapeHtml(roleLabel(message.role, transcript.shared))} <time datetime="${new Date(message.createdAt).toISOString()}">${formatDate(message.createdAt)}</time></div>`,
+      renderMessageBody(message, baseUrl),
+      reactions.length > 0
+        ? `<div class="reactions">Reactions: ${escapeHtml(reactions.map(([type, count]) => (count > 1 ? `${type} ×${count}` : type)).join(', '))}</div>`
+        : '',
+      '</article>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(transcript.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(transcript.title)}</h1>
+<p class="meta">Topic: ${escapeHtml(transcript.topic)} · Started ${formatDate(transcript.createdAt)}</p>
+</header>
+<main>
+${articles.join('\n')}
+</main>
+<footer>${transcript.shared ? 'Shared read-only transcript' : `Exported ${formatDate(transcript.exportedAt)}`}</footer>
+</body>
+</html>
+`;
+};
+
+// ============================================
+// Export
+// ============================================
+
+export const toJson = (transcript) => JSON.stringify({
+  ...transcript,
+  messages: transcript.messages.map(({ segments, ...message }) => ({
+    ...message,
+    whiteboard: segments.filter(segment => segment.type === 'whiteboard').map(segment => segment.content),
+  })),
+}, null, 2);
+
+const RENDERERS = { markdown: toMarkdown, html: toHtml, json: toJson };
+
+/**
+ * Render a transcript in one of EXPORT_FORMATS
+ * @returns {Object} { body, contentType, extension }
+ */
+export const renderTranscript = (transcript, format, options) => ({
+  body: RENDERERS[format](transcript, options),
+  ...EXPORT_FORMATS[format],
+});
+
+/**
+ * Export the active branch of a conversation
+ * @param {Object} conversation - Conversation document owned by the requester
+ * @param {String} format - markdown, html or json
+ * @returns {Object} { body, contentType, filename }
+ */
+export const exportConversation = async (conversation, format) => {
+  const { messages } = await Message.getBranch(conversation._id);
+  const rendered = renderTranscript(buildTranscript(conversation, messages), format);
+  const name = (conversation.title || 'conversation').replace(/[^\w\- ]+/g, '_').trim().replace(/\s+/g, '-');
+
+  return {
+    body: rendered.body,
+    contentType: rendered.contentType,
+    filename: `${name || 'conversation'}.${rendered.extension}`,
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  splitWhiteboard,
+  buildTranscript,
+  toMarkdown,
+  toHtml,
+  toJson,
+  renderTranscript,
+  exportConversation,
+};
@@ -0,0 +1,135 @@
+/**
+ * Conversation Share Service
+ * Public read-only links to a conversation transcript. A link is a snapshot
+ * of the active branch when it was created; the learner can revoke it at any
+ * time. Shared transcripts never include the owner's name, profile, memories,
+ * reactions or retrieval sources.
+ */
+
+import crypto from 'crypto';
+import ConversationShare from '../models/ConversationShare.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { buildTranscript } from './conversationExportService.js';
+
+const MAX_ACTIVE_SHARES = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+export class ShareLinkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShareLinkError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const activeFilter = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * Create a share link for the conversation's active branch
+ * @param {Object} conversation - Conversation document owned by userId
+ * @param {Object} options - expiresInDays (optional)
+ * @returns {Object} { share, token } - the token is only available now
+ */
+export const createShareLink = async (conversation, userId, { expiresInDays } = {}) => {
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new ShareLinkError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`);
+    }
+  }
+
+  const leafMessage = await Message.getActiveLeaf(conversation._id);
+  if (!leafMessage) {
+    throw new ShareLinkError('There are no messages to share yet');
+  }
+
+  const active = await ConversationShare.countDocuments({ user: userId, ...activeFilter() });
+  if (active >= MAX_ACTIVE_SHARES) {
+    throw new ShareLinkError(`You can have at most ${MAX_ACTIVE_SHARES} active share links; revoke one first`, 409);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await ConversationShare.create({
+    conversation: conversation._id,
+    user: userId,
+    tokenHash: hashToken(token),
+    leafMessage,
+    title: conversation.title,
+    expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null,
+  });
+
+  return { share, token };
+};
+
+/**
+ * Share links of a conversation, newest first (without tokens)
+ */
+export const listShareLinks = (conversationId, userId) => ConversationShare.find({
+  conversation: conversationId,
+  user: userId,
+}).sort({ createdAt: -1 });
+
+/**
+ * Revoke a share link; revoking twice is not an error
+ */
+export const revokeShareLink = async (conversationId, shareId, userId) => {
+  const share = await ConversationShare.findOne({ _id: shareId, conversation: conversationId, user: userId });
+  if (!share) {
+    throw new ShareLinkError('Share link not found', 404);
+  }
+
+  if (!share.revokedAt) {
+    share.revokedAt = new Date();
+    await share.save();
+  }
+  return share;
+};
+
+/**
+ * The read-only transcript behind a share token
+ * @returns {Object} transcript (see conversationExportService.buildTranscript)
+ */
+export const getSharedTranscript = async (token) => {
+  // Same answer for unknown, revoked and expired links
+  const notFound = new ShareLinkError('This link is invalid or has been revoked', 404);
+  if (!token || typeof token !== 'string') {
+    throw notFound;
+  }
+
+  const share = await ConversationShare.findOne({ tokenHash: hashToken(token), ...activeFilter() });
+  if (!share) {
+    throw notFound;
+  }
+
+  const conversation = await Conversation.findById(share.conversation).select('topic createdAt');
+  const branch = conversation
+    ? await Message.getBranch(conversation._id, share.leafMessage, { descend: false })
+    : null;
+  if (!branch) {
+    throw notFound;
+  }
+
+  await ConversationShare.updateOne(
+    { _id: share._id },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+  );
+
+  return buildTranscript(
+    { title: share.title, topic: conversation.topic, createdAt: conversation.createdAt },
+    branch.messages,
+    { shared: true },
+  );
+};
+
+export default {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  getSharedTranscript,
+};
@@ -1,7 +1,7 @@
-import Groq from 'groq-sdk';
 import Course from '../models/Course.js';
 import Module from '../models/Module.js';
 import Lesson from '../models/Lesson.js';
+import llmRouter from '../ai/llm/llmRouter.js';
 import embeddingService from '../ai/embeddings/embeddingService.js';
 import bgeSmallModel from '../ai/embeddings/models/bgeSmall.js';
 import {
@@ -10,24 +10,6 @@ import {
     getLessonTutorPrompt
 } from '../ai/prompts/coursePrompts.js';
 
-// Lazy initialization of Groq client to avoid import-time errors
-// when GROQ_API_KEY is not yet available (before dotenv loads)
-let groq = null;
-
-function getGroqClient() {
-    if (groq) return groq;
-
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) {
-        throw new Error(
-            'GROQ_API_KEY is not configured. Please set it in your .env file or environment variables.'
-        );
-    }
-
-    groq = new Groq({ apiKey });
-    return groq;
-}
-
 /**
  * Generate embedding vector for text using proper BGE-small model
  * Creates a 384-dimensional vector representation using embeddingService
@@ -44,7 +26,7 @@ async function generateEmbedding(text) {
 
 /**
  * AI Course Generator
- * Generates complete course structure using Groq AI based on user prompts
+ * Generates complete course structure through the LLM router based on user prompts
  */
 class CourseGeneratorService {
     /**
@@ -87,7 +69,7 @@ class CourseGeneratorService {
     }
 
     /**
-     * Generate course structure using Groq AI
+     * Generate course structure through the `courses` provider chain
      */
     async generateCourseStructure(prompt, level, numModules, lessonsPerModule) {
         // Use centralized prompt
@@ -98,12 +80,11 @@ class CourseGeneratorService {
             userPrompt: prompt
         });
 
-        const completion = await getGroqClient().chat.completions.create({
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-                { role: 'system', content: prompts.system },
-                { role: 'user', content: prompts.user }
-            ],
+        const completion = await llmRouter.complete([
+            { role: 'system', content: prompts.system },
+            { role: 'user', content: prompts.user }
+        ], {
+            feature: 'courses',
             temperature: 0.7,
             max_tokens: 8000
         });
@@ -264,12 +245,11 @@ class CourseGeneratorService {
             userPrompt: prompt
         });
 
-        const completion = await getGroqClient().chat.completions.create({
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-                { role: 'system', content: prompts.system },
-                { role: 'user', content: prompts.user }
-            ],
+        const completion = await llmRouter.complete([
+            { role: 'system', content: prompts.system },
+            { role: 'user', content: prompts.user }
+        ], {
+            feature: 'courses',
             temperature: 0.7,
             max_tokens: 1000
         });
@@ -0,0 +1,526 @@
+/**
+ * Course Review Service
+ * Star ratings and reviews from enrolled learners, instructor replies,
+ * helpful votes, abuse reports and moderation.
+ *
+ * Every change that can move a review in or out of `published` recomputes the
+ * course's marketplace rating and the creator's reputation
+ * (CourseReview.updateRatingAggregates).
+ */
+
+import mongoose from 'mongoose';
+import CourseReview, { REPORT_REASONS } from '../models/CourseReview.js';
+import Course from '../models/Course.js';
+import Enrollment from '../models/Enrollment.js';
+import ModerationLog from '../models/ModerationLog.js';
+import { checkContent } from '../middleware/contentModeration.js';
+
+// Course progress (%) a learner needs before reviewing; completing always qualifies
+export const MIN_REVIEW_PROGRESS = parseInt(process.env.REVIEW_MIN_PROGRESS, 10) || 20;
+// Distinct reports that pull a published review for moderator attention
+export const REPORT_FLAG_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD, 10) || 3;
+
+const MODERATION_ACTIONS = {
+  publish: 'published',
+  hide: 'hidden',
+  remove: 'removed',
+};
+const SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+const SEVERITY_ORDER = { low: 1, medium: 2, high: 3, critical: 4 };
+
+export class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+  }
+}
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ReviewError(`${label} not found`, 404);
+  }
+};
+
+/**
+ * Run review text through the content policy. Only critical violations hold
+ * the text back for a moderator (and are logged like chat violations): the
+ * advice categories target tutoring prompts and match loosely ("issue"
+ * contains "sue"), so they are recorded as flags without blocking.
+ * @returns {Object} { status, flags }
+ */
+const screenText = async (userId, text) => {
+  const violations = text ? checkContent(text) : [];
+  if (violations.length === 0) {
+    return { status: 'published', flags: [] };
+  }
+
+  const primary = violations.reduce((prev, curr) => (
+    SEVERITY_ORDER[curr.severity] > SEVERITY_ORDER[prev.severity] ? curr : prev
+  ));
+  const held = primary.severity === 'critical';
+
+  if (held) {
+    await ModerationLog.create({
+      user: userId,
+      originalPrompt: text,
+      violationType: primary.type,
+      severity: primary.severity,
+      action: 'flagged',
+      requiresHumanReview: true,
+      automaticFlags: {
+        keywords: primary.matchedKeywords,
+        patterns: [],
+        confidenceScore: primary.confidence,
+      },
+    }).catch((error) => console.error('Review moderation log error:', error.message));
+  }
+
+  return {
+    status: held ? 'flagged' : 'published',
+    flags: violations.map((violation) => violation.type),
+  };
+};
+
+const reviewText = ({ title, body }) => [title, body].filter(Boolean).join('\n\n');
+
+/**
+ * Public shape of a review (author name only; reports and voter lists stay private)
+ */
+export const formatReview = (review, viewerId = null) => {
+  const formatted = {
+    _id: review._id,
+    course: review.course?._id || review.course,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    author: review.user?.name ? { _id: review.user._id, name: review.user.name } : null,
+    progressAtReview: review.progressAtReview,
+    helpfulCount: review.helpfulCount,
+    createdAt: review.createdAt,
+    editedAt: review.editedAt,
+    reply: review.reply?.body
+      ? {
+        body: review.reply.body,
+        author: review.reply.user?.name ? { _id: review.reply.user._id, name: review.reply.user.name } : null,
+        repliedAt: review.reply.repliedAt,
+        editedAt: review.reply.editedAt,
+      }
+      : null,
+  };
+
+  if (viewerId && review.helpfulVotes) {
+    formatted.votedHelpful = review.helpfulVotes.some((id) => id.toString() === viewerId.toString());
+  }
+  return formatted;
+};
+
+const loadCourse = async (courseId) => {
+  assertObjectId(courseId, 'Course');
+  const course = await Course.findById(courseId).select('createdBy contributors isPublished');
+  if (!course) {
+    throw new ReviewError('Course not found', 404);
+  }
+  return course;
+};
+
+const loadOwnReview = async (reviewId, userId) => {
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findById(reviewId);
+  if (!review || review.status === 'removed') {
+    throw new ReviewError('Review not found', 404);
+  }
+  if (review.user.toString() !== userId.toString()) {
+    throw new ReviewError('Not authorized to change this review', 403);
+  }
+  return review;
+};
+
+const validateInput = ({ rating, title, body }, { partial = false } = {}) => {
+  if (!partial || rating !== undefined) {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      throw new ReviewError('Rating must be a whole number from 1 to 5');
+    }
+  }
+  if (title !== undefined && typeof title !== 'string') {
+    throw new ReviewError('Title must be text');
+  }
+  if (body !== undefined && typeof body !== 'string') {
+    throw new ReviewError('Review must be text');
+  }
+};
+
+/**
+ * Post a review. Learners qualify once enrolled with at least
+ * MIN_REVIEW_PROGRESS% progress, or after completing the course.
+ */
+export const createReview = async (courseId, userId, input) => {
+  validateInput(input);
+  const course = await loadCourse(courseId);
+
+  if (!course.isPublished) {
+    throw new ReviewError('Course is not published');
+  }
+  if (course.canUserContribute(userId)) {
+    throw new ReviewError('Instructors cannot review their own course', 403);
+  }
+
+  const enrollment = await Enrollment.findOne({ user: userId, course: course._id })
+    .select('status progress.completionPercentage');
+  if (!enrollment) {
+    throw new ReviewError('Enroll in this course to review it', 403);
+  }
+  const progress = enrollment.progress?.completionPercentage || 0;
+  if (enrollment.status !== 'completed' && progress < MIN_REVIEW_PROGRESS) {
+    throw new ReviewError(`Complete at least ${MIN_REVIEW_PROGRESS}% of the course to review it`, 403);
+  }
+
+  const { status, flags } = await screenText(userId, reviewText(input));
+
+  let review;
+  try {
+    review = await CourseReview.create({
+      course: course._id,
+      user: userId,
+      rating: Number(input.rating),
+      title: input.title,
+      body: input.body,
+      progressAtReview: progress,
+      status,
+      moderation: { flags, reason: status === 'flagged' ? 'content_policy' : undefined },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ReviewError('You have already reviewed this course; edit your review instead', 409);
+    }
+    throw error;
+  }
+
+  await CourseReview.updateRatingAggregates(course._id);
+  return review;
+};
+
+/**
+ * Edit the author's own review. Reviews a moderator hid stay hidden.
+ */
+export const updateReview = async (reviewId, userId, input) => {
+  validateInput(input, { partial: true });
+  const review = await loadOwnReview(reviewId, userId);
+
+  if (review.status === 'hidden') {
+    throw new ReviewError('This review was hidden by a moderator and cannot be edited', 403);
+  }
+
+  if (input.rating !== undefined) {
+    review.rating = Number(input.rating);
+  }
+  if (input.title !== undefined) {
+    review.title = input.title;
+  }
+  if (input.body !== undefined) {
+    review.body = input.body;
+  }
+
+  const enrollment = await Enrollment.findOne({ user: userId, course: review.course })
+    .select('progress.completionPercentage');
+  if (enrollment) {
+    review.progressAtReview = enrollment.progress?.completionPercentage || 0;
+  }
+
+  // Text that only reports flagged stays flagged until a moderator looks at it
+  if (input.title !== undefined || input.body !== undefined) {
+    const { status, flags } = await screenText(userId, reviewText(review));
+    review.moderation.flags = flags;
+    if (status === 'flagged') {
+      review.status = 'flagged';
+      review.moderation.reason = 'content_policy';
+    } else if (review.moderation.reason === 'content_policy') {
+      review.status = 'published';
+      review.moderation.reason = undefined;
+    }
+  }
+
+  review.editedAt = new Date();
+  await review.save();
+  await CourseReview.updateRatingAggregates(review.course);
+  return review;
+};
+
+/**
+ * Delete the author's own review
+ */
+export const deleteReview = async (reviewId, userId) => {
+  const review = await loadOwnReview(reviewId, userId);
+  await review.deleteOne();
+  await CourseReview.updateRatingAggregates(review.course);
+};
+
+/**
+ * Published reviews of a course
+ * @param {Object} options - sort (recent|helpful|highest|lowest), rating, page, limit, viewerId
+ * @returns {Object} { reviews, pagination }
+ */
+export const listReviews = async (courseId, { sort = 'recent', rating, page = 1, limit = 10, viewerId } = {}) => {
+  assertObjectId(courseId, 'Course');
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+
+  const filter = { course: courseId, status: 'published' };
+  if (rating !== undefined && rating !== '') {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      throw new ReviewError('Rating filter must be a whole number from 1 to 5');
+    }
+    filter.rating = stars;
+  }
+
+  let query = CourseReview.find(filter)
+    .sort(SORTS[sort] || SORTS.recent)
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum)
+    .populate('user', 'name')
+    .populate('reply.user', 'name');
+  if (viewerId) {
+    query = query.select('+helpfulVotes');
+  }
+
+  const [reviews, total] = await Promise.all([
+    query.lean(),
+    CourseReview.countDocuments(filter),
+  ]);
+
+  return {
+    reviews: reviews.map((review) => formatReview(review, viewerId)),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Rating summary plus the most helpful reviews, for the public course page
+ */
+export const getCourseReviewSummary = async (courseId, { topLimit = 3 } = {}) => {
+  const [summary, topReviews] = await Promise.all([
+    CourseReview.getRatingSummary(courseId),
+    CourseReview.find({ course: courseId, status: 'published' })
+      .sort(SORTS.helpful)
+      .limit(topLimit)
+      .populate('user', 'name')
+      .populate('reply.user', 'name')
+      .lean(),
+  ]);
+
+  return { ...summary, topReviews: topReviews.map((review) => formatReview(review)) };
+};
+
+/**
+ * Add or edit the instructor reply (course creator or approved contributor)
+ */
+export const replyToReview = async (reviewId, userId, body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new ReviewError('Reply text is required');
+  }
+
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findById(reviewId);
+  if (!review || review.status === 'removed') {
+    throw new ReviewError('Review not found', 404);
+  }
+
+  const course = await loadCourse(review.course);
+  if (!course.canUserContribute(userId)) {
+    throw new ReviewError('Only the course instructors can reply to reviews', 403);
+  }
+
+  const { status } = await screenText(userId, body);
+  if (status === 'flagged') {
+    throw new ReviewError('Reply violates the content policy', 422);
+  }
+
+  const now = new Date();
+  if (review.reply?.body) {
+    review.reply.editedAt = now;
+  } else {
+    review.reply = { repliedAt: now };
+  }
+  review.reply.body = body;
+  review.reply.user = userId;
+
+  await review.save();
+  return review;
+};
+
+/**
+ * Remove the instructor reply
+ */
+export const deleteReply = async (reviewId, userId) => {
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findById(reviewId);
+  if (!review || !review.reply?.body) {
+    throw new ReviewError('Reply not found', 404);
+  }
+
+  const course = await loadCourse(review.course);
+  if (!course.canUserContribute(userId)) {
+    throw new ReviewError('Only the course instructors can remove replies', 403);
+  }
+
+  review.reply = undefined;
+  await review.save();
+  return review;
+};
+
+/**
+ * Mark a published review helpful (idempotent; not on one's own review)
+ * @returns {Object} { helpfulCount, votedHelpful }
+ */
+export const setHelpfulVote = async (reviewId, userId, helpful = true) => {
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findOne({ _id: reviewId, status: 'published' }).select('user helpfulCount');
+  if (!review) {
+    throw new ReviewError('Review not found', 404);
+  }
+  if (review.user.toString() === userId.toString()) {
+    throw new ReviewError('You cannot vote on your own review', 403);
+  }
+
+  // Guarded single updates keep helpfulCount equal to the voter list under concurrent votes
+  const updated = helpful
+    ? await CourseReview.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: { $ne: userId } },
+      { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    )
+    : await CourseReview.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: userId },
+      { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+
+  return { helpfulCount: (updated || review).helpfulCount, votedHelpful: helpful };
+};
+
+/**
+ * Report a review for abuse (once per user). Enough reports move a published
+ * review to `flagged`, which takes it out of the course rating until reviewed.
+ */
+export const reportReview = async (reviewId, userId, { reason, details } = {}) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ReviewError(`Reason must be one of: ${REPORT_REASONS.join(', ')}`);
+  }
+
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findOne({ _id: reviewId, status: { $in: ['published', 'flagged'] } })
+    .select('user course');
+  if (!review) {
+    throw new ReviewError('Review not found', 404);
+  }
+  if (review.user.toString() === userId.toString()) {
+    throw new ReviewError('You cannot report your own review', 403);
+  }
+
+  const updated = await CourseReview.findOneAndUpdate(
+    { _id: reviewId, 'reports.user': { $ne: userId } },
+    {
+      $push: { reports: { user: userId, reason, details: details ? String(details).slice(0, 1000) : undefined } },
+      $inc: { reportCount: 1 },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ReviewError('You have already reported this review', 409);
+  }
+
+  if (updated.status === 'published' && updated.reportCount >= REPORT_FLAG_THRESHOLD) {
+    // Left alone once a moderator has republished it; new reports still count
+    if (!updated.moderation?.reviewedAt) {
+      await CourseReview.updateOne(
+        { _id: reviewId, status: 'published' },
+        { status: 'flagged', 'moderation.reason': 'reports' }
+      );
+      await CourseReview.updateRatingAggregates(review.course);
+    }
+  }
+
+  return { reportCount: updated.reportCount };
+};
+
+/**
+ * Reviews waiting for a moderator, most reported first
+ */
+export const listFlaggedReviews = async ({ page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const filter = { status: 'flagged' };
+
+  const [reviews, total] = await Promise.all([
+    CourseReview.find(filter)
+      .select('+reports')
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('user', 'name email')
+      .populate('course', 'title')
+      .lean(),
+    CourseReview.countDocuments(filter),
+  ]);
+
+  return {
+    reviews,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Moderator decision on a review: publish, hide or remove
+ */
+export const moderateReview = async (reviewId, moderatorId, { action, note } = {}) => {
+  const status = MODERATION_ACTIONS[action];
+  if (!status) {
+    throw new ReviewError(`Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`);
+  }
+
+  assertObjectId(reviewId, 'Review');
+  const review = await CourseReview.findById(reviewId);
+  if (!review) {
+    throw new ReviewError('Review not found', 404);
+  }
+
+  review.status = status;
+  review.moderation.reviewedBy = moderatorId;
+  review.moderation.reviewedAt = new Date();
+  review.moderation.note = note;
+  await review.save();
+
+  await CourseReview.updateRatingAggregates(review.course);
+  return review;
+};
+
+export default {
+  createReview,
+  updateReview,
+  deleteReview,
+  listReviews,
+  getCourseReviewSummary,
+  replyToReview,
+  deleteReply,
+  setHelpfulVote,
+  reportReview,
+  listFlaggedReviews,
+  moderateReview,
+};
@@ -527,6 +527,7 @@ Generate a premium, deeply structured roadmap that feels like a professional cou
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'roadmap',
       max_tokens: 8000, // Large token limit for comprehensive roadmap
       temperature: 0.7
     });
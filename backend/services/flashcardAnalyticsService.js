@@ -0,0 +1,276 @@
+/**
+ * Flashcard Analytics Service
+ * Chart-ready retention curves, due forecasts, review heatmaps and hardest-card lists
+ * built from the FlashcardReview log and current card scheduling state.
+ */
+
+import mongoose from 'mongoose';
+import Flashcard from '../models/Flashcard.js';
+import FlashcardReview from '../models/FlashcardReview.js';
+import { MS_PER_DAY } from './fsrsService.js';
+
+// Days-since-previous-review buckets for the forgetting curve
+export const RETENTION_BUCKETS = [
+  { label: '1d', min: 0, max: 1.5 },
+  { label: '2d', min: 1.5, max: 2.5 },
+  { label: '3-4d', min: 2.5, max: 4.5 },
+  { label: '5-7d', min: 4.5, max: 7.5 },
+  { label: '1-2w', min: 7.5, max: 14.5 },
+  { label: '2-4w', min: 14.5, max: 30.5 },
+  { label: '1-2m', min: 30.5, max: 60.5 },
+  { label: '2m+', min: 60.5, max: Infinity },
+];
+
+// Label of the bucket a review's elapsedDays falls in (buckets are in ascending order)
+const bucketExpression = {
+  $switch: {
+    branches: RETENTION_BUCKETS.slice(0, -1).map(({ label, max }) => ({
+      case: { $lt: ['$elapsedDays', max] },
+      then: label,
+    })),
+    default: RETENTION_BUCKETS[RETENTION_BUCKETS.length - 1].label,
+  },
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Whether a string is an IANA time zone MongoDB date operators will accept
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Recall rate by days since the previous review, per deck (first reviews excluded)
+ * @param {String} userId
+ * @param {Object} options - deck, days (look-back window)
+ * @returns {Array} [{ deck, totalReviews, retention, points: [{ label, minDays, maxDays, reviews, retention }] }]
+ */
+export const getRetentionCurves = async (userId, { deck, days = 90 } = {}) => {
+  const match = {
+    user: toObjectId(userId),
+    intervalBefore: { $gt: 0 },
+    reviewedAt: { $gte: new Date(Date.now() - days * MS_PER_DAY) },
+  };
+
+  if (deck) {
+    match.deck = deck;
+  }
+
+  const rows = await FlashcardReview.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { deck: '$deck', bucket: bucketExpression },
+        reviews: { $sum: 1 },
+        recalled: { $sum: { $cond: [{ $gte: ['$quality', 3] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const decks = new Map();
+  for (const row of rows) {
+    if (!decks.has(row._id.deck)) {
+      decks.set(row._id.deck, new Map());
+    }
+    decks.get(row._id.deck).set(row._id.bucket, row);
+  }
+
+  return [...decks.entries()]
+    .map(([deckName, buckets]) => {
+      const points = RETENTION_BUCKETS.map(({ label, min, max }) => {
+        const row = buckets.get(label);
+        return {
+          label,
+          minDays: min,
+          maxDays: Number.isFinite(max) ? max : null,
+          reviews: row?.reviews || 0,
+          retention: row ? Math.round((row.recalled / row.reviews) * 1000) / 10 : null,
+        };
+      });
+
+      const totalReviews = points.reduce((sum, point) => sum + point.reviews, 0);
+      const recalled = [...buckets.values()].reduce((sum, row) => sum + row.recalled, 0);
+
+      return {
+        deck: deckName,
+        totalReviews,
+        retention: totalReviews > 0 ? Math.round((recalled / totalReviews) * 1000) / 10 : null,
+        points,
+      };
+    })
+    .sort((a, b) => b.totalReviews - a.totalReviews);
+};
+
+/**
+ * Cards falling due on each of the next `days` days (overdue cards count towards today)
+ * @param {String} userId
+ * @param {Object} options - deck, days, timeZone
+ * @returns {Object} { overdue, total, days: [{ date, count }] }
+ */
+export const getDueForecast = async (userId, { deck, days = 30, timeZone = 'UTC' } = {}) => {
+  const now = new Date();
+  const end = new Date(now.getTime() + days * MS_PER_DAY);
+  const match = {
+    user: toObjectId(userId),
+    isActive: true,
+    suspended: { $ne: true },
+    'spacedRepetition.nextReviewDate': { $lt: end },
+  };
+
+  if (deck) {
+    match.deck = deck;
+  }
+
+  const [rows, overdue] = await Promise.all([
+    Flashcard.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: '%Y-%m-%d',
+              date: { $max: ['$spacedRepetition.nextReviewDate', now] },
+              timezone: timeZone,
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    Flashcard.countDocuments({ ...match, 'spacedRepetition.nextReviewDate': { $lt: now } }),
+  ]);
+
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  const formatDay = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  const histogram = Array.from({ length: days }, (_, index) => {
+    const date = formatDay.format(new Date(now.getTime() + index * MS_PER_DAY));
+    return { date, count: counts.get(date) || 0 };
+  });
+
+  return {
+    overdue,
+    total: histogram.reduce((sum, day) => sum + day.count, 0),
+    days: histogram,
+  };
+};
+
+/**
+ * Reviews per calendar day, for a contribution-style heatmap
+ * @param {String} userId
+ * @param {Object} options - days (look-back window), timeZone
+ * @returns {Object} { totalReviews, activeDays, days: [{ date, reviews, correct, timeSpent }] }
+ */
+export const getReviewHeatmap = async (userId, { days = 365, timeZone = 'UTC' } = {}) => {
+  const rows = await FlashcardReview.aggregate([
+    {
+      $match: {
+        user: toObjectId(userId),
+        reviewedAt: { $gte: new Date(Date.now() - days * MS_PER_DAY) },
+      },
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$reviewedAt', timezone: timeZone } },
+        reviews: { $sum: 1 },
+        correct: { $sum: { $cond: [{ $gte: ['$quality', 3] }, 1, 0] } },
+        timeSpent: { $sum: { $ifNull: ['$responseTime', 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return {
+    totalReviews: rows.reduce((sum, row) => sum + row.reviews, 0),
+    activeDays: rows.length,
+    days: rows.map(row => ({
+      date: row._id,
+      reviews: row.reviews,
+      correct: row.correct,
+      timeSpent: row.timeSpent,
+    })),
+  };
+};
+
+/**
+ * Cards the learner struggles with most: highest lapse rate, then highest difficulty
+ * @param {String} userId
+ * @param {Object} options - deck, limit, minReviews
+ */
+export const getHardestCards = async (userId, { deck, limit = 10, minReviews = 3 } = {}) => {
+  const match = {
+    user: toObjectId(userId),
+    isActive: true,
+    'stats.totalReviews': { $gte: minReviews },
+  };
+
+  if (deck) {
+    match.deck = deck;
+  }
+
+  return Flashcard.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        lapseRate: { $divide: ['$stats.incorrectReviews', '$stats.totalReviews'] },
+      },
+    },
+    { $sort: { lapseRate: -1, 'fsrs.difficulty': -1, 'stats.totalReviews': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        deck: 1,
+        front: 1,
+        back: 1,
+        tags: 1,
+        lapseRate: { $round: [{ $multiply: ['$lapseRate', 100] }, 1] },
+        totalReviews: '$stats.totalReviews',
+        incorrectReviews: '$stats.incorrectReviews',
+        averageResponseTime: '$stats.averageResponseTime',
+        difficulty: '$fsrs.difficulty',
+        interval: '$spacedRepetition.interval',
+        nextReviewDate: '$spacedRepetition.nextReviewDate',
+      },
+    },
+  ]);
+};
+
+/**
+ * A learner's review log, newest first
+ * @param {String} userId
+ * @param {Object} options - deck, flashcard, before (Date), limit
+ */
+export const getReviewHistory = async (userId, { deck, flashcard, before, limit = 50 } = {}) => {
+  const query = { user: userId };
+
+  if (deck) {
+    query.deck = deck;
+  }
+  if (flashcard) {
+    query.flashcard = flashcard;
+  }
+  if (before) {
+    query.reviewedAt = { $lt: before };
+  }
+
+  return FlashcardReview.find(query)
+    .sort({ reviewedAt: -1 })
+    .limit(limit)
+    .populate('flashcard', 'front deck')
+    .lean();
+};
+
+export default {
+  getRetentionCurves,
+  getDueForecast,
+  getReviewHeatmap,
+  getHardestCards,
+  getReviewHistory,
+};
@@ -0,0 +1,357 @@
+/**
+ * Flashcard Scheduler Service
+ * Pluggable review schedulers (SM-2, FSRS) selected per user, review logging,
+ * retrievability-ordered due queues and SM-2 -> FSRS migration.
+ */
+
+import { Worker } from 'worker_threads';
+import mongoose from 'mongoose';
+import Flashcard from '../models/Flashcard.js';
+import FlashcardReview from '../models/FlashcardReview.js';
+import User from '../models/User.js';
+import {
+  DECAY,
+  FACTOR,
+  MIN_STABILITY,
+  MS_PER_DAY,
+  RATINGS,
+  DEFAULT_DESIRED_RETENTION,
+  DEFAULT_MAXIMUM_INTERVAL,
+  qualityToRating,
+  resolveParameters,
+  retrievability,
+  nextState,
+  nextInterval,
+  memoryStateFromSM2,
+} from './fsrsService.js';
+
+const MAX_OPTIMIZER_REVIEWS = 20000;
+
+/**
+ * Fill in defaults for a user's flashcardSettings
+ */
+export const resolveSettings = (settings = {}) => ({
+  scheduler: settings.scheduler || 'sm2',
+  desiredRetention: settings.desiredRetention || DEFAULT_DESIRED_RETENTION,
+  maximumInterval: settings.maximumInterval || DEFAULT_MAXIMUM_INTERVAL,
+  parameters: resolveParameters(settings.fsrsParameters),
+});
+
+const elapsedDaysSince = (date, now) => (date ? Math.max(0, (now - new Date(date)) / MS_PER_DAY) : 0);
+
+/**
+ * FSRS memory state of a card, derived from its SM-2 state if it has never been
+ * scheduled by FSRS. Returns null for cards that have never been reviewed.
+ */
+export const getMemoryState = (card, parameters) => {
+  if (card.fsrs?.stability) {
+    return { stability: card.fsrs.stability, difficulty: card.fsrs.difficulty };
+  }
+
+  const sr = card.spacedRepetition;
+  if (!sr?.lastReviewDate) {
+    return null;
+  }
+
+  return memoryStateFromSM2(sr.easeFactor, sr.interval, parameters);
+};
+
+/**
+ * Current probability of recalling a card (1 for unreviewed cards)
+ */
+export const getCardRetrievability = (card, parameters, now = new Date()) => {
+  const memory = getMemoryState(card, resolveParameters(parameters));
+  if (!memory) {
+    return 1;
+  }
+  return retrievability(elapsedDaysSince(card.spacedRepetition.lastReviewDate, now), memory.stability);
+};
+
+const sm2Scheduler = {
+  name: 'sm2',
+
+  schedule(card, quality, settings, now) {
+    const retrievabilityBefore = card.spacedRepetition.lastReviewDate
+      ? getCardRetrievability(card, settings.parameters, now)
+      : null;
+
+    card.applySM2(quality, now);
+
+    // FSRS state is re-derived from SM-2 if the user switches back
+    if (card.fsrs?.stability) {
+      card.fsrs.stability = undefined;
+      card.fsrs.difficulty = undefined;
+    }
+
+    return { retrievability: retrievabilityBefore };
+  },
+};
+
+const fsrsScheduler = {
+  name: 'fsrs',
+
+  schedule(card, quality, settings, now) {
+    const sr = card.spacedRepetition;
+    const rating = qualityToRating(quality);
+    const memory = getMemoryState(card, settings.parameters);
+    const next = nextState(memory, rating, elapsedDaysSince(sr.lastReviewDate, now), settings.parameters);
+    const interval = nextInterval(next.stability, settings.desiredRetention, settings.maximumInterval);
+    const lapsed = Boolean(memory) && rating === RATINGS.AGAIN;
+
+    card.fsrs = {
+      stability: next.stability,
+      difficulty: next.difficulty,
+      state: lapsed ? 'relearning' : 'review',
+      lapses: (card.fsrs?.lapses || 0) + (lapsed ? 1 : 0),
+      migratedFromSM2: card.fsrs?.migratedFromSM2 || false,
+    };
+
+    sr.interval = interval;
+    sr.repetitions = rating === RATINGS.AGAIN ? 0 : sr.repetitions + 1;
+    sr.lastReviewDate = now;
+    sr.nextReviewDate = new Date(now.getTime() + interval * MS_PER_DAY);
+
+    return { retrievability: next.retrievability };
+  },
+};
+
+export const SCHEDULERS = {
+  sm2: sm2Scheduler,
+  fsrs: fsrsScheduler,
+};
+
+export const getScheduler = (name) => SCHEDULERS[name] || SCHEDULERS.sm2;
+
+/**
+ * Schedule a review with the user's scheduler, update counters, save the card and log the review
+ * @param {Object} card - Flashcard document
+ * @param {Number} quality - 0-5
+ * @param {Object} flashcardSettings - The owner's User.flashcardSettings
+ * @param {Object} options - responseTime (ms), now
+ * @returns {Object} { flashcard, review }
+ */
+export const reviewFlashcard = async (card, quality, flashcardSettings, { responseTime, now = new Date() } = {}) => {
+  const settings = resolveSettings(flashcardSettings);
+  const scheduler = getScheduler(settings.scheduler);
+  const elapsedDays = elapsedDaysSince(card.spacedRepetition.lastReviewDate, now);
+  const intervalBefore = card.spacedRepetition.interval || 0;
+
+  const { retrievability: retrievabilityBefore } = scheduler.schedule(card, quality, settings, now);
+  card.recordReviewStats(quality);
+
+  if (responseTime) {
+    const currentAvg = card.stats.averageResponseTime || 0;
+    const totalReviews = card.stats.totalReviews;
+    card.stats.averageResponseTime = (currentAvg * (totalReviews - 1) + responseTime) / totalReviews;
+  }
+
+  await card.save();
+
+  const review = await FlashcardReview.create({
+    user: card.user,
+    flashcard: card._id,
+    deck: card.deck,
+    scheduler: scheduler.name,
+    quality,
+    rating: qualityToRating(quality),
+    elapsedDays,
+    intervalBefore,
+    intervalAfter: card.spacedRepetition.interval,
+    responseTime: responseTime || null,
+    retrievability: retrievabilityBefore,
+    reviewedAt: now,
+  });
+
+  return { flashcard: card, review };
+};
+
+/**
+ * Aggregation expression for a card's current retrievability, using its FSRS stability
+ * or, for SM-2 cards, the stability implied by the SM-2 interval
+ */
+const retrievabilityExpression = (now) => ({
+  $cond: [
+    { $ifNull: ['$spacedRepetition.lastReviewDate', false] },
+    {
+      $pow: [
+        {
+          $add: [1, {
+            $multiply: [FACTOR, {
+              $divide: [
+                { $divide: [{ $subtract: [now, '$spacedRepetition.lastReviewDate'] }, MS_PER_DAY] },
+                { $max: [{ $ifNull: ['$fsrs.stability', '$spacedRepetition.interval'] }, MIN_STABILITY] },
+              ],
+            }],
+          }],
+        },
+        DECAY,
+      ],
+    },
+    1,
+  ],
+});
+
+/**
+ * Due cards ordered by retrievability, least likely to be recalled first.
+ * Suspended cards are skipped and only one card per note is returned, so a
+ * reversed pair or sibling cloze deletions are not reviewed back to back.
+ * @param {String} userId
+ * @param {Object} options - deck, limit
+ */
+export const getDueFlashcards = async (userId, { deck, limit = 20 } = {}) => {
+  const now = new Date();
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    isActive: true,
+    suspended: { $ne: true },
+    'spacedRepetition.nextReviewDate': { $lte: now },
+  };
+
+  if (deck) {
+    match.deck = deck;
+  }
+
+  return Flashcard.aggregate([
+    { $match: match },
+    { $addFields: { retrievability: retrievabilityExpression(now) } },
+    { $sort: { retrievability: 1, 'spacedRepetition.nextReviewDate': 1 } },
+    { $group: { _id: { $ifNull: ['$note', '$_id'] }, card: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$card' } },
+    { $sort: { retrievability: 1, 'spacedRepetition.nextReviewDate': 1 } },
+    { $limit: limit },
+  ]);
+};
+
+/**
+ * FSRS state seeded from a card's SM-2 state, or null if the card needs no migration
+ */
+const migratedFSRSState = (card, parameters) => {
+  if (card.fsrs?.stability) {
+    return null;
+  }
+
+  const memory = getMemoryState(card, resolveParameters(parameters));
+  if (!memory) {
+    return null;
+  }
+
+  return {
+    ...memory,
+    state: card.spacedRepetition.repetitions === 0 ? 'relearning' : 'review',
+    lapses: card.stats?.incorrectReviews || 0,
+    migratedFromSM2: true,
+  };
+};
+
+/**
+ * Seed FSRS memory state on a card from its SM-2 state (no-op if already set)
+ * @returns {Boolean} Whether the card changed
+ */
+export const migrateCardToFSRS = (card, parameters) => {
+  const fsrs = migratedFSRSState(card, parameters);
+  if (!fsrs) {
+    return false;
+  }
+
+  card.fsrs = fsrs;
+  return true;
+};
+
+/**
+ * Migrate all of a user's reviewed SM-2 cards to FSRS memory state.
+ * Next review dates are kept, so switching schedulers does not reshuffle the queue.
+ * @returns {Number} Number of cards migrated
+ */
+export const migrateUserFlashcards = async (userId, parameters) => {
+  const cards = await Flashcard.find({
+    user: userId,
+    'fsrs.stability': { $exists: false },
+    'spacedRepetition.lastReviewDate': { $exists: true },
+  }).lean();
+
+  const updates = cards
+    .map(card => ({ card, fsrs: migratedFSRSState(card, parameters) }))
+    .filter(({ fsrs }) => fsrs)
+    .map(({ card, fsrs }) => ({
+      updateOne: {
+        filter: { _id: card._id },
+        update: { $set: { fsrs } },
+      },
+    }));
+
+  if (updates.length > 0) {
+    await Flashcard.bulkWrite(updates);
+  }
+
+  return updates.length;
+};
+
+/**
+ * Run the optimizer in a worker thread: a fit replays the whole history many
+ * times over and would otherwise hold the event loop for seconds
+ */
+const optimizeInThread = (reviews, options) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./fsrsOptimizerThread.js', import.meta.url), {
+    workerData: {
+      // Plain values only: ObjectIds don't survive the copy into the thread
+      reviews: reviews.map(review => ({
+        flashcard: String(review.flashcard),
+        rating: review.rating,
+        reviewedAt: review.reviewedAt,
+      })),
+      options,
+    },
+  });
+
+  worker.once('message', resolve);
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    if (code !== 0) {
+      reject(new Error(`Optimizer thread exited with code ${code}`));
+    }
+  });
+});
+
+/**
+ * Fit FSRS parameters to the user's review history and store them on the user.
+ * Slow for long histories; requests queue it (see addOptimizerJob) instead of awaiting it.
+ * @returns {Object} Optimizer result
+ */
+export const optimizeUserParameters = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const reviews = await FlashcardReview.find({ user: userId })
+    .sort({ reviewedAt: -1 })
+    .limit(MAX_OPTIMIZER_REVIEWS)
+    .select('flashcard rating reviewedAt')
+    .lean();
+
+  const stored = user.flashcardSettings?.fsrsParameters;
+  const result = await optimizeInThread(reviews, {
+    initialParameters: stored ? [...stored] : undefined,
+  });
+
+  if (result.optimized) {
+    user.flashcardSettings.fsrsParameters = result.parameters;
+    user.flashcardSettings.parametersOptimizedAt = new Date();
+    user.flashcardSettings.optimizationReviewCount = result.reviewCount;
+    await user.save();
+  }
+
+  return result;
+};
+
+export default {
+  SCHEDULERS,
+  getScheduler,
+  resolveSettings,
+  reviewFlashcard,
+  getDueFlashcards,
+  getCardRetrievability,
+  migrateCardToFSRS,
+  migrateUserFlashcards,
+  optimizeUserParameters,
+};
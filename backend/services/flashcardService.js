@@ -0,0 +1,559 @@
+/**
+ * Flashcard Service
+ * Manual card management: notes that generate one or more cards per card type,
+ * editing, suspension, moving and deleting cards, and deck rename/merge.
+ */
+
+import mongoose from 'mongoose';
+import Flashcard from '../models/Flashcard.js';
+import FlashcardReview from '../models/FlashcardReview.js';
+
+export const CARD_TYPES = ['basic', 'reversed', 'cloze', 'image_occlusion'];
+
+export const DECK_SEPARATOR = '::';
+
+const MAX_FIELD_LENGTH = 10000;
+const MAX_MASKS = 50;
+const DEFAULT_OCCLUSION_PROMPT = 'What is hidden?';
+
+const CLOZE_PATTERN = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+
+export class FlashcardValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FlashcardValidationError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Trim a deck name and each of its "::" levels; throws on empty levels
+ */
+export const normalizeDeckName = (name) => {
+  const levels = String(name ?? '').split(DECK_SEPARATOR).map(level => level.trim());
+
+  if (levels.some(level => !level)) {
+    throw new FlashcardValidationError('Deck name must not be empty');
+  }
+
+  return levels.join(DECK_SEPARATOR);
+};
+
+/**
+ * Query matching a deck and all of its subdecks
+ */
+export const deckQuery = (deck) => ({ $regex: `^${escapeRegex(deck)}(${DECK_SEPARATOR}|$)` });
+
+const requireText = (value, field) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+
+  if (!text) {
+    throw new FlashcardValidationError(`${field} is required`);
+  }
+  if (text.length > MAX_FIELD_LENGTH) {
+    throw new FlashcardValidationError(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+  }
+
+  return text;
+};
+
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Cloze numbers used in a text, ascending
+ */
+export const clozeNumbers = (text) =>
+  [...new Set([...String(text).matchAll(CLOZE_PATTERN)].map(match => Number(match[1])))]
+    .sort((a, b) => a - b);
+
+/**
+ * Render the card for one cloze number: that deletion is hidden on the front
+ * (as its hint or "[...]") while the other deletions are shown
+ */
+export const renderClozeCard = (text, number, extra) => {
+  const front = text.replace(CLOZE_PATTERN, (_, n, answer, hint) => {
+    if (Number(n) !== number) {
+      return answer;
+    }
+    return hint ? `[${hint}]` : '[...]';
+  });
+  const revealed = text.replace(CLOZE_PATTERN, (_, n, answer) => answer);
+
+  return {
+    front,
+    back: [revealed, extra].filter(Boolean).join('\n\n'),
+  };
+};
+
+const validateUrl = (url, field) => {
+  const value = requireText(url, field);
+
+  if (!/^(https?:\/\/|\/)/i.test(value)) {
+    throw new FlashcardValidationError(`${field} must be an http(s) URL or an absolute path`);
+  }
+
+  return value;
+};
+
+const validateMedia = (media = []) => {
+  if (!Array.isArray(media)) {
+    throw new FlashcardValidationError('Media must be an array');
+  }
+
+  return media.map(item => ({
+    kind: item?.kind === 'audio' ? 'audio' : 'image',
+    url: validateUrl(item?.url, 'Media url'),
+    mimeType: optionalText(item?.mimeType),
+    alt: optionalText(item?.alt),
+  }));
+};
+
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+const validateMasks = (masks) => {
+  if (!Array.isArray(masks) || masks.length === 0) {
+    throw new FlashcardValidationError('Image occlusion cards need at least one mask');
+  }
+  if (masks.length > MAX_MASKS) {
+    throw new FlashcardValidationError(`Image occlusion cards can have at most ${MAX_MASKS} masks`);
+  }
+
+  return masks.map((mask, index) => {
+    const { x, y, width, height } = mask || {};
+
+    if (![x, y, width, height].every(isFraction) || width === 0 || height === 0 || x + width > 1 || y + height > 1) {
+      throw new FlashcardValidationError(`Mask ${index + 1} must lie within the image (x, y, width and height from 0 to 1)`);
+    }
+
+    return { label: optionalText(mask.label), x, y, width, height };
+  });
+};
+
+/**
+ * Build the cards a note generates for its card type
+ * @param {Object} input - cardType, front, back, text, extra, image, masks
+ * @returns {Array} [{ cardType, ordinal, front, back, content }]
+ */
+export const buildNoteCards = (input = {}) => {
+  const cardType = input.cardType || 'basic';
+
+  switch (cardType) {
+    case 'basic':
+    case 'reversed': {
+      const front = requireText(input.front, 'Front');
+      const back = requireText(input.back, 'Back');
+      const cards = [{ cardType, ordinal: 0, front, back, content: {} }];
+
+      if (cardType === 'reversed') {
+        cards.push({ cardType, ordinal: 1, front: back, back: front, content: {} });
+      }
+      return cards;
+    }
+
+    case 'cloze': {
+      const text = requireText(input.text, 'Cloze text');
+      const extra = optionalText(input.extra);
+      const numbers = clozeNumbers(text);
+
+      if (numbers.length === 0) {
+        throw new FlashcardValidationError('Cloze text needs at least one deletion, e.g. {{c1::answer}}');
+      }
+
+      return numbers.map(number => ({
+        cardType,
+        ordinal: number,
+        ...renderClozeCard(text, number, extra),
+        content: { text, extra },
+      }));
+    }
+
+    case 'image_occlusion': {
+      const image = {
+        url: validateUrl(input.image?.url, 'Image url'),
+        width: Number.isFinite(input.image?.width) ? input.image.width : undefined,
+        height: Number.isFinite(input.image?.height) ? input.image.height : undefined,
+        alt: optionalText(input.image?.alt),
+      };
+      const masks = validateMasks(input.masks);
+      const extra = optionalText(input.extra);
+      const prompt = optionalText(input.front) || DEFAULT_OCCLUSION_PROMPT;
+
+      return masks.map((mask, index) => ({
+        cardType,
+        ordinal: index,
+        front: prompt,
+        back: [mask.label || `Region ${index + 1}`, extra].filter(Boolean).join('\n\n'),
+        content: { image, masks, extra },
+      }));
+    }
+
+    default:
+      throw new FlashcardValidationError(`Card type must be one of: ${CARD_TYPES.join(', ')}`);
+  }
+};
+
+const normalizeTags = (tags) => {
+  if (tags === undefined) {
+    return undefined;
+  }
+  if (!Array.isArray(tags)) {
+    throw new FlashcardValidationError('Tags must be an array');
+  }
+
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Current note input of a card and its siblings, for merging with a partial edit
+ */
+const noteInput = (card) => {
+  const reverse = card.cardType === 'reversed' && card.ordinal === 1;
+
+  return {
+    cardType: card.cardType || 'basic',
+    front: reverse ? card.back : card.front,
+    back: reverse ? card.front : card.back,
+    text: card.content?.text,
+    extra: card.content?.extra,
+    image: card.content?.image,
+    masks: card.content?.masks,
+  };
+};
+
+const isDifficulty = (value) => ['easy', 'medium', 'hard'].includes(value);
+
+const siblingQuery = (card) => (card.note ? { note: card.note } : { _id: card._id });
+
+/**
+ * Create a note and the cards it generates
+ * @param {String} userId
+ * @param {Object} input - deck, tags, media, cardType and the type's fields
+ * @returns {Array} Created flashcards
+ */
+export const createNote = async (userId, input = {}) => {
+  const deck = normalizeDeckName(input.deck);
+  const cards = buildNoteCards(input);
+  const tags = normalizeTags(input.tags) || [];
+  const media = validateMedia(input.media);
+  const note = cards.length > 1 ? new mongoose.Types.ObjectId() : undefined;
+
+  return Flashcard.insertMany(cards.map(card => ({
+    ...card,
+    user: userId,
+    deck,
+    tags,
+    media,
+    note,
+    ...(isDifficulty(input.difficulty) && { difficulty: input.difficulty }),
+  })));
+};
+
+/**
+ * Edit a card's note. Siblings are regenerated: cards whose ordinal still exists keep
+ * their scheduling, new ordinals (e.g. an added cloze) become new cards and cards whose
+ * ordinal disappeared are deleted with their review history.
+ * @param {Object} card - Flashcard document being edited
+ * @param {Object} changes - Partial note input (deck and tags apply to every sibling)
+ * @returns {Object} { flashcards, created, removed }
+ */
+export const updateNote = async (card, changes = {}) => {
+  const siblings = await Flashcard.find({ user: card.user, ...siblingQuery(card) });
+  const input = { ...noteInput(card), ...changes };
+  const generated = buildNoteCards(input);
+  const tags = normalizeTags(changes.tags);
+  const media = changes.media !== undefined ? validateMedia(changes.media) : undefined;
+  const deck = changes.deck !== undefined ? normalizeDeckName(changes.deck) : undefined;
+  const note = generated.length > 1 || siblings.length > 1 ? card.note || card._id : card.note;
+
+  const byOrdinal = new Map(siblings.map(sibling => [sibling.ordinal ?? 0, sibling]));
+  const kept = [];
+  const toCreate = [];
+
+  for (const next of generated) {
+    const existing = byOrdinal.get(next.ordinal);
+
+    if (existing) {
+      byOrdinal.delete(next.ordinal);
+      Object.assign(existing, next, { note });
+      if (deck !== undefined) {
+        existing.deck = deck;
+      }
+      if (tags !== undefined) {
+        existing.tags = tags;
+      }
+      if (media !== undefined) {
+        existing.media = media;
+      }
+      if (isDifficulty(changes.difficulty)) {
+        existing.difficulty = changes.difficulty;
+      }
+      kept.push(existing);
+    } else {
+      toCreate.push({
+        ...next,
+        user: card.user,
+        deck: deck ?? card.deck,
+        tags: tags ?? card.tags,
+        media: media ?? card.media,
+        difficulty: card.difficulty,
+        note,
+      });
+    }
+  }
+
+  const removedIds = [...byOrdinal.values()].map(sibling => sibling._id);
+
+  await Promise.all(kept.map(sibling => sibling.save()));
+  const created = toCreate.length > 0 ? await Flashcard.insertMany(toCreate) : [];
+  if (removedIds.length > 0) {
+    await Promise.all([
+      Flashcard.deleteMany({ _id: { $in: removedIds } }),
+      FlashcardReview.deleteMany({ flashcard: { $in: removedIds } }),
+    ]);
+  }
+
+  return {
+    flashcards: [...kept, ...created].sort((a, b) => a.ordinal - b.ordinal),
+    created: created.length,
+    removed: removedIds.length,
+  };
+};
+
+/**
+ * Search a user's cards
+ * @param {String} userId
+ * @param {Object} options - deck (includes subdecks), tag, cardType, suspended, search, page, limit
+ * @returns {Object} { flashcards, total }
+ */
+export const listFlashcards = async (userId, {
+  deck, tag, cardType, suspended, search, page = 1, limit = 50,
+} = {}) => {
+  const query = { user: userId, isActive: true };
+
+  if (deck) {
+    query.deck = deckQuery(deck);
+  }
+  if (tag) {
+    query.tags = tag;
+  }
+  if (cardType) {
+    query.cardType = cardType === 'basic' ? { $in: ['basic', null] } : cardType;
+  }
+  if (suspended !== undefined) {
+    query.suspended = suspended ? true : { $ne: true };
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ front: pattern }, { back: pattern }, { 'content.text': pattern }];
+  }
+
+  const [flashcards, total] = await Promise.all([
+    Flashcard.find(query)
+      .sort({ deck: 1, createdAt: -1, ordinal: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Flashcard.countDocuments(query),
+  ]);
+
+  return { flashcards, total };
+};
+
+/**
+ * Suspend or unsuspend cards
+ * @returns {Number} Cards changed
+ */
+export const setSuspended = async (userId, ids, suspended = true) => {
+  const result = await Flashcard.updateMany(
+    { _id: { $in: ids }, user: userId },
+    { $set: { suspended, updatedAt: new Date() } },
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Move cards to another deck (review history keeps the deck they were reviewed in)
+ * @returns {Number} Cards moved
+ */
+export const moveFlashcards = async (userId, ids, deck) => {
+  const target = normalizeDeckName(deck);
+  const result = await Flashcard.updateMany(
+    { _id: { $in: ids }, user: userId },
+    { $set: { deck: target, updatedAt: new Date() } },
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Delete cards and their review history
+ * @param {Object} options - withSiblings: also delete the other cards of their notes
+ * @returns {Number} Cards deleted
+ */
+export const deleteFlashcards = async (userId, ids, { withSiblings = false } = {}) => {
+  let cards = await Flashcard.find({ _id: { $in: ids }, user: userId }).select('_id note').lean();
+
+  if (withSiblings) {
+    const notes = cards.map(card => card.note).filter(Boolean);
+    cards = await Flashcard.find({
+      user: userId,
+      $or: [{ _id: { $in: cards.map(card => card._id) } }, { note: { $in: notes } }],
+    }).select('_id').lean();
+  }
+
+  const ownedIds = cards.map(card => card._id);
+
+  const [result] = await Promise.all([
+    Flashcard.deleteMany({ _id: { $in: ownedIds } }),
+    FlashcardReview.deleteMany({ flashcard: { $in: ownedIds } }),
+  ]);
+  return result.deletedCount;
+};
+
+/**
+ * Re-root a deck and its subdecks under a new name ("From::Child" -> "To::Child"),
+ * on cards and review history alike
+ */
+const reparentDeck = async (userId, from, to) => {
+  const fromLength = [...from].length;
+  const update = [{
+    $set: {
+      deck: {
+        // $literal: a name starting with "$" would otherwise be read as a field path
+        $concat: [{ $literal: to }, { $substrCP: ['$deck', fromLength, { $subtract: [{ $strLenCP: '$deck' }, fromLength] }] }],
+      },
+    },
+  }];
+  const filter = { user: toObjectId(userId), deck: deckQuery(from) };
+
+  const [cards] = await Promise.all([
+    Flashcard.updateMany(filter, update),
+    FlashcardReview.updateMany(filter, update),
+  ]);
+  return cards.modifiedCount;
+};
+
+const assertNotNested = (source, target) => {
+  if (target === source || target.startsWith(`${source}${DECK_SEPARATOR}`)) {
+    throw new FlashcardValidationError(`Deck "${source}" cannot be moved into itself`);
+  }
+};
+
+/**
+ * Rename a deck, including its subdecks
+ * @returns {Number} Cards updated
+ */
+export const renameDeck = async (userId, from, to) => {
+  const source = normalizeDeckName(from);
+  const target = normalizeDeckName(to);
+
+  assertNotNested(source, target);
+
+  const [sourceExists, targetExists] = await Promise.all([
+    Flashcard.exists({ user: userId, deck: deckQuery(source) }),
+    Flashcard.exists({ user: userId, deck: deckQuery(target) }),
+  ]);
+
+  if (!sourceExists) {
+    throw new FlashcardValidationError(`Deck "${source}" not found`, 404);
+  }
+  if (targetExists) {
+    throw new FlashcardValidationError(`Deck "${target}" already exists; merge the decks instead`, 409);
+  }
+
+  return reparentDeck(userId, source, target);
+};
+
+/**
+ * Merge decks into a target deck; subdecks of a source keep their place under the target
+ * @returns {Number} Cards moved
+ */
+export const mergeDecks = async (userId, sources, target) => {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new FlashcardValidationError('At least one source deck is required');
+  }
+
+  const targetName = normalizeDeckName(target);
+  const sourceNames = [...new Set(sources.map(normalizeDeckName))].filter(name => name !== targetName);
+
+  for (const source of sourceNames) {
+    assertNotNested(source, targetName);
+  }
+
+  let moved = 0;
+  for (const source of sourceNames) {
+    moved += await reparentDeck(userId, source, targetName);
+  }
+  return moved;
+};
+
+/**
+ * Per-deck card counts by state and card type
+ * @returns {Array} [{ _id: deck, totalCards, notes, dueCards, newCards, suspendedCards, cardTypes, averageRetention }]
+ */
+export const getDeckSummaries = async (userId, now = new Date()) => {
+  const typeCounts = Object.fromEntries(CARD_TYPES.map(type => [
+    type,
+    { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cardType', 'basic'] }, type] }, 1, 0] } },
+  ]));
+  const isSuspended = { $eq: ['$suspended', true] };
+
+  const decks = await Flashcard.aggregate([
+    { $match: { user: toObjectId(userId), isActive: true } },
+    {
+      $group: {
+        _id: '$deck',
+        totalCards: { $sum: 1 },
+        notes: { $addToSet: { $ifNull: ['$note', '$_id'] } },
+        dueCards: {
+          $sum: {
+            $cond: [
+              { $and: [{ $not: [isSuspended] }, { $lte: ['$spacedRepetition.nextReviewDate', now] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        newCards: {
+          $sum: {
+            $cond: [
+              { $and: [{ $not: [isSuspended] }, { $eq: [{ $ifNull: ['$spacedRepetition.lastReviewDate', null] }, null] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        suspendedCards: { $sum: { $cond: [isSuspended, 1, 0] } },
+        ...typeCounts,
+        averageRetention: { $avg: '$stats.correctReviews' },
+      },
+    },
+    { $addFields: { notes: { $size: '$notes' } } },
+    { $sort: { totalCards: -1 } },
+  ]);
+
+  return decks.map(deck => {
+    const summary = { ...deck, cardTypes: {} };
+    for (const type of CARD_TYPES) {
+      summary.cardTypes[type] = deck[type];
+      delete summary[type];
+    }
+    return summary;
+  });
+};
+
+export default {
+  buildNoteCards,
+  createNote,
+  updateNote,
+  listFlashcards,
+  setSuspended,
+  moveFlashcards,
+  deleteFlashcards,
+  renameDeck,
+  mergeDecks,
+  getDeckSummaries,
+};
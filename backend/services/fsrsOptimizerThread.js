@@ -0,0 +1,11 @@
+/**
+ * FSRS Optimizer Thread
+ * Worker thread entry that fits FSRS parameters (see fsrsService.optimizeParameters)
+ * off the main event loop. Receives { reviews, options } as workerData and posts
+ * the optimizer result back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { optimizeParameters } from './fsrsService.js';
+
+parentPort.postMessage(optimizeParameters(workerData.reviews, workerData.options));
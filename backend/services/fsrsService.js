@@ -0,0 +1,312 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler) v4.5
+ * Memory model with per-card stability (days until recall probability drops to 90%),
+ * difficulty (1-10) and retrievability (current recall probability), plus an
+ * optimizer that fits the 17 model parameters to a learner's review history.
+ *
+ * Ratings follow FSRS: 1 = Again, 2 = Hard, 3 = Good, 4 = Easy.
+ */
+
+export const DECAY = -0.5;
+export const FACTOR = 19 / 81; // R(S, S) = 0.9
+export const MIN_STABILITY = 0.1;
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const RATINGS = { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 };
+
+export const DEFAULT_PARAMETERS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+// [min, max] per parameter, matching the reference optimizer's clamps
+export const PARAMETER_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.001, 4], [0.001, 4], [0.001, 0.75],
+  [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5],
+  [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1], [1, 6],
+];
+
+export const DEFAULT_DESIRED_RETENTION = 0.9;
+export const DEFAULT_MAXIMUM_INTERVAL = 36500;
+export const MIN_REVIEWS_FOR_OPTIMIZATION = 100;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Use the given parameters if they are a complete, numeric set; otherwise the defaults
+ */
+export const resolveParameters = (parameters) => {
+  if (Array.isArray(parameters) && parameters.length === DEFAULT_PARAMETERS.length &&
+    parameters.every(Number.isFinite)) {
+    return parameters;
+  }
+  return DEFAULT_PARAMETERS;
+};
+
+/**
+ * Map an SM-2 quality grade (0-5) to an FSRS rating (1-4)
+ */
+export const qualityToRating = (quality) => {
+  if (quality <= 2) {
+    return RATINGS.AGAIN;
+  }
+  if (quality === 3) {
+    return RATINGS.HARD;
+  }
+  if (quality === 4) {
+    return RATINGS.GOOD;
+  }
+  return RATINGS.EASY;
+};
+
+/**
+ * Probability of recall after `elapsedDays` for a memory of the given stability
+ */
+export const retrievability = (elapsedDays, stability) =>
+  Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / Math.max(stability, MIN_STABILITY), DECAY);
+
+export const initStability = (w, rating) => Math.max(w[rating - 1], MIN_STABILITY);
+
+export const initDifficulty = (w, rating) => clamp(w[4] - (rating - 3) * w[5], 1, 10);
+
+export const nextDifficulty = (w, difficulty, rating) => {
+  const updated = difficulty - w[6] * (rating - 3);
+  // Mean reversion towards the difficulty of an "Easy" first review
+  return clamp(w[7] * initDifficulty(w, RATINGS.EASY) + (1 - w[7]) * updated, 1, 10);
+};
+
+export const nextRecallStability = (w, difficulty, stability, r, rating) => {
+  const hardPenalty = rating === RATINGS.HARD ? w[15] : 1;
+  const easyBonus = rating === RATINGS.EASY ? w[16] : 1;
+
+  return stability * (1 + Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp((1 - r) * w[10]) - 1) *
+    hardPenalty *
+    easyBonus);
+};
+
+export const nextForgetStability = (w, difficulty, stability, r) => Math.min(
+  stability,
+  w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp((1 - r) * w[14]),
+);
+
+/**
+ * Days until retrievability falls to the desired retention
+ */
+export const nextInterval = (stability, desiredRetention = DEFAULT_DESIRED_RETENTION,
+  maximumInterval = DEFAULT_MAXIMUM_INTERVAL) => {
+  const interval = stability / FACTOR * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(interval), 1, maximumInterval);
+};
+
+/**
+ * Advance a memory state by one review
+ * @param {Object|null} state - { stability, difficulty } or null for a new card
+ * @param {Number} rating - 1-4
+ * @param {Number} elapsedDays - Days since the previous review
+ * @param {Array} parameters - FSRS parameters
+ * @returns {Object} { stability, difficulty, retrievability } (retrievability before this review)
+ */
+export const nextState = (state, rating, elapsedDays, parameters = DEFAULT_PARAMETERS) => {
+  const w = resolveParameters(parameters);
+
+  if (!state || !state.stability) {
+    return {
+      stability: initStability(w, rating),
+      difficulty: initDifficulty(w, rating),
+      retrievability: null,
+    };
+  }
+
+  const r = retrievability(elapsedDays, state.stability);
+  const stability = rating === RATINGS.AGAIN
+    ? nextForgetStability(w, state.difficulty, state.stability, r)
+    : nextRecallStability(w, state.difficulty, state.stability, r, rating);
+
+  return {
+    stability: Math.max(stability, MIN_STABILITY),
+    difficulty: nextDifficulty(w, state.difficulty, rating),
+    retrievability: r,
+  };
+};
+
+/**
+ * Derive an FSRS memory state from SM-2 scheduling, assuming the SM-2 interval was
+ * reached at `sm2Retention` recall probability
+ * @param {Number} easeFactor - SM-2 ease factor (>= 1.3)
+ * @param {Number} interval - Current SM-2 interval in days
+ */
+export const memoryStateFromSM2 = (easeFactor, interval, parameters = DEFAULT_PARAMETERS,
+  sm2Retention = DEFAULT_DESIRED_RETENTION) => {
+  const w = resolveParameters(parameters);
+  const stability = Math.max(
+    Math.max(interval, MIN_STABILITY) * FACTOR / (Math.pow(sm2Retention, 1 / DECAY) - 1),
+    MIN_STABILITY,
+  );
+
+  // Invert the recall-stability growth: SM-2 multiplies by the ease factor on a pass
+  const growth = Math.exp(w[8]) * Math.pow(stability, -w[9]) * (Math.exp((1 - sm2Retention) * w[10]) - 1);
+  const difficulty = clamp(11 - (easeFactor - 1) / growth, 1, 10);
+
+  return { stability, difficulty };
+};
+
+/**
+ * Group raw reviews into per-card chronological sequences of { rating, elapsedDays }
+ * @param {Array} reviews - [{ flashcard, rating, reviewedAt }]
+ */
+export const buildReviewSequences = (reviews) => {
+  const byCard = new Map();
+
+  for (const review of reviews) {
+    const key = String(review.flashcard);
+    if (!byCard.has(key)) {
+      byCard.set(key, []);
+    }
+    byCard.get(key).push(review);
+  }
+
+  const sequences = [];
+  for (const cardReviews of byCard.values()) {
+    cardReviews.sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+
+    const sequence = cardReviews.map((review, index) => ({
+      rating: review.rating,
+      elapsedDays: index === 0
+        ? 0
+        : (new Date(review.reviewedAt) - new Date(cardReviews[index - 1].reviewedAt)) / MS_PER_DAY,
+    }));
+
+    // A single review carries no recall outcome to learn from
+    if (sequence.length > 1) {
+      sequences.push(sequence);
+    }
+  }
+
+  return sequences;
+};
+
+/**
+ * Mean log loss of predicted recall against actual outcomes
+ */
+export const evaluateLoss = (sequences, parameters) => {
+  let loss = 0;
+  let count = 0;
+
+  for (const sequence of sequences) {
+    let state = null;
+
+    for (const { rating, elapsedDays } of sequence) {
+      // Same-day repeats are excluded from the loss, as in the reference optimizer
+      if (state && elapsedDays >= 1) {
+        const r = clamp(retrievability(elapsedDays, state.stability), 1e-6, 1 - 1e-6);
+        loss -= rating > RATINGS.AGAIN ? Math.log(r) : Math.log(1 - r);
+        count++;
+      }
+      state = nextState(state, rating, elapsedDays, parameters);
+    }
+  }
+
+  return count > 0 ? loss / count : 0;
+};
+
+/**
+ * Fit FSRS parameters to a review history by bounded coordinate descent on log loss.
+ * A small pull towards the defaults keeps sparse histories from overfitting.
+ * @param {Array} reviews - [{ flashcard, rating, reviewedAt }]
+ * @param {Object} options - initialParameters, maxPasses, minReviews, regularization
+ * @returns {Object} { parameters, lossBefore, lossAfter, reviewCount, cardCount, optimized }
+ */
+export const optimizeParameters = (reviews, options = {}) => {
+  const {
+    initialParameters = DEFAULT_PARAMETERS,
+    maxPasses = 25,
+    minReviews = MIN_REVIEWS_FOR_OPTIMIZATION,
+    regularization = 0.01,
+  } = options;
+
+  const sequences = buildReviewSequences(reviews);
+  const reviewCount = sequences.reduce((sum, sequence) => sum + sequence.length, 0);
+  const start = [...resolveParameters(initialParameters)];
+  const lossBefore = evaluateLoss(sequences, start);
+
+  if (reviewCount < minReviews) {
+    return {
+      parameters: start,
+      lossBefore,
+      lossAfter: lossBefore,
+      reviewCount,
+      cardCount: sequences.length,
+      optimized: false,
+    };
+  }
+
+  const objective = (parameters) => evaluateLoss(sequences, parameters) +
+    regularization * parameters.reduce((sum, value, i) => {
+      const [min, max] = PARAMETER_BOUNDS[i];
+      return sum + Math.pow((value - DEFAULT_PARAMETERS[i]) / (max - min), 2);
+    }, 0);
+
+  const parameters = [...start];
+  const steps = PARAMETER_BOUNDS.map(([min, max]) => (max - min) * 0.05);
+  let best = objective(parameters);
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < parameters.length; i++) {
+      const [min, max] = PARAMETER_BOUNDS[i];
+
+      for (const direction of [1, -1]) {
+        const candidate = [...parameters];
+        candidate[i] = clamp(parameters[i] + direction * steps[i], min, max);
+        if (candidate[i] === parameters[i]) {
+          continue;
+        }
+
+        const value = objective(candidate);
+        if (value < best) {
+          best = value;
+          parameters[i] = candidate[i];
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    if (!improved) {
+      steps.forEach((step, i) => {
+        steps[i] = step / 2;
+      });
+      if (steps.every((step, i) => step < (PARAMETER_BOUNDS[i][1] - PARAMETER_BOUNDS[i][0]) * 1e-4)) {
+        break;
+      }
+    }
+  }
+
+  return {
+    parameters: parameters.map(value => Number(value.toFixed(4))),
+    lossBefore,
+    lossAfter: evaluateLoss(sequences, parameters),
+    reviewCount,
+    cardCount: sequences.length,
+    optimized: true,
+  };
+};
+
+export default {
+  DEFAULT_PARAMETERS,
+  RATINGS,
+  qualityToRating,
+  retrievability,
+  nextState,
+  nextInterval,
+  memoryStateFromSM2,
+  optimizeParameters,
+};
@@ -0,0 +1,692 @@
+/**
+ * Ledger Service
+ * Posts course sales, refunds, hold releases and payouts to the double-entry
+ * ledger (models/LedgerTransaction.js) and derives everything else from it:
+ * contributor balances, the User.earnings cache, monthly statements and
+ * reconciliation reports.
+ *
+ * Sale earnings are held for PAYOUT_HOLD_DAYS (refunds are still likely in
+ * that window) before a periodic sweep makes them available for payout.
+ */
+
+import mongoose from 'mongoose';
+import LedgerTransaction, { ACCOUNTS, CONTRIBUTOR_ACCOUNTS } from '../models/LedgerTransaction.js';
+import Payout from '../models/Payout.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+export const PAYOUT_HOLD_DAYS = parseInt(process.env.PAYOUT_HOLD_DAYS, 10) || 14;
+export const MIN_PAYOUT_AMOUNT = parseInt(process.env.MIN_PAYOUT_AMOUNT, 10) || 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEASE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_REPORTED_ISSUES = 100;
+
+export class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+const debit = (account, amount, user = null) => ({ account, user, debit: amount, credit: 0 });
+const credit = (account, amount, user = null) => ({ account, user, debit: 0, credit: amount });
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Post a transaction once per idempotency key (a retry returns the one already posted)
+ * and refresh the earnings cache of the contributors it touches
+ */
+const post = async (transaction) => {
+  let posted;
+  try {
+    posted = await LedgerTransaction.create({
+      ...transaction,
+      lines: transaction.lines.filter(line => line.debit > 0 || line.credit > 0),
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      return LedgerTransaction.findOne({ idempotencyKey: transaction.idempotencyKey });
+    }
+    throw error;
+  }
+
+  const users = new Set(posted.lines.filter(line => line.user).map(line => String(line.user)));
+  for (const userId of users) {
+    await refreshEarnings(userId);
+  }
+  return posted;
+};
+
+// ============================================
+// Sales and refunds
+// ============================================
+
+/**
+ * Record a paid order: cash in, the platform fee, and each contributor's share held
+ * @param {Object} order - Paid Order
+ * @param {Object} split - { platformFee, payouts: [{ userId, amount }] } from Course.recordSale
+ */
+export const postSale = (order, { platformFee, payouts }) => {
+  const paidAt = order.paidAt || new Date();
+
+  return post({
+    type: 'sale',
+    idempotencyKey: `sale:${order._id}`,
+    currency: order.currency,
+    description: `Course sale (order ${order._id})`,
+    order: order._id,
+    course: order.course,
+    holdUntil: new Date(paidAt.getTime() + PAYOUT_HOLD_DAYS * DAY_MS),
+    lines: [
+      debit(ACCOUNTS.CASH, order.total),
+      credit(ACCOUNTS.FEES, platformFee),
+      ...payouts.map(payout => credit(ACCOUNTS.HELD, payout.amount, payout.userId)),
+    ],
+  });
+};
+
+/**
+ * Record a refund: cash out, taken back from the platform fee and from each
+ * contributor (from held earnings, or available ones once the hold has ended)
+ * @param {Object} refund - Refund subdocument of the order
+ * @param {Array} reversals - [{ user, amount }] taken back from contributors
+ */
+export const postRefund = async (order, refund, reversals) => {
+  const sale = await LedgerTransaction.findOne({ idempotencyKey: `sale:${order._id}` }).select('releasedAt');
+  const account = sale?.releasedAt ? ACCOUNTS.AVAILABLE : ACCOUNTS.HELD;
+  const fromContributors = reversals.reduce((sum, reversal) => sum + reversal.amount, 0);
+
+  return post({
+    type: 'refund',
+    idempotencyKey: `refund:${order._id}:${refund._id}`,
+    currency: order.currency,
+    description: `Refund${refund.reason ? ` (${refund.reason})` : ''} of order ${order._id}`,
+    order: order._id,
+    course: order.course,
+    postedBy: refund.requestedBy || null,
+    lines: [
+      ...reversals.map(reversal => debit(account, reversal.amount, reversal.user)),
+      debit(ACCOUNTS.FEES, refund.amount - fromContributors),
+      credit(ACCOUNTS.CASH, refund.amount),
+    ],
+  });
+};
+
+/**
+ * Move the earnings of sales past their hold period from held to available
+ * @returns {number} sales released
+ */
+export const releaseHeldEarnings = async (now = new Date()) => {
+  const sales = await LedgerTransaction.find({ type: 'sale', releasedAt: null, holdUntil: { $lte: now } })
+    .sort({ holdUntil: 1 })
+    .limit(500);
+
+  for (const sale of sales) {
+    // What is still held for this order after any refunds
+    const held = await LedgerTransaction.aggregate([
+      { $match: { order: sale.order } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': ACCOUNTS.HELD } },
+      { $group: { _id: '$lines.user', balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } },
+      { $match: { balance: { $gt: 0 } } },
+    ]);
+
+    if (held.length > 0) {
+      await post({
+        type: 'release',
+        idempotencyKey: `release:${sale.order}`,
+        currency: sale.currency,
+        description: `Hold period ended for order ${sale.order}`,
+        order: sale.order,
+        course: sale.course,
+        lines: held.flatMap(({ _id: user, balance }) => [
+          debit(ACCOUNTS.HELD, balance, user),
+          credit(ACCOUNTS.AVAILABLE, balance, user),
+        ]),
+      });
+    }
+
+    sale.releasedAt = now;
+    await sale.save();
+  }
+
+  return sales.length;
+};
+
+// ============================================
+// Balances
+// ============================================
+
+/**
+ * A contributor's balances straight from the ledger
+ * @returns {Object} { held, available, payoutRequested, totalEarned, totalWithdrawn, lastPayoutDate }
+ */
+export const getContributorEarnings = async (userId) => {
+  const balances = await LedgerTransaction.getBalances({ user: userId });
+  const [totals] = await LedgerTransaction.aggregate([
+    { $match: { 'lines.user': toObjectId(userId), type: { $in: ['sale', 'refund', 'payout_paid'] } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.user': toObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        earned: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$lines.credit', 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$lines.debit', 0] } },
+        withdrawn: { $sum: { $cond: [{ $eq: ['$type', 'payout_paid'] }, '$lines.debit', 0] } },
+        lastPayoutDate: { $max: { $cond: [{ $eq: ['$type', 'payout_paid'] }, '$postedAt', null] } },
+      },
+    },
+  ]);
+
+  return {
+    held: balances[ACCOUNTS.HELD],
+    available: balances[ACCOUNTS.AVAILABLE],
+    payoutRequested: balances[ACCOUNTS.PAYOUT_REQUESTED],
+    totalEarned: totals ? totals.earned - totals.refunded : 0,
+    totalWithdrawn: totals?.withdrawn || 0,
+    lastPayoutDate: totals?.lastPayoutDate || null,
+  };
+};
+
+/**
+ * User.earnings fields as the ledger has them
+ */
+const earningsCache = (earnings) => ({
+  totalEarned: earnings.totalEarned,
+  availableBalance: earnings.available,
+  pendingBalance: earnings.held + earnings.payoutRequested,
+  totalWithdrawn: earnings.totalWithdrawn,
+  lastPayoutDate: earnings.lastPayoutDate,
+});
+
+/**
+ * Rewrite the User.earnings cache from the ledger
+ */
+export const refreshEarnings = async (userId) => {
+  const cache = earningsCache(await getContributorEarnings(userId));
+  await User.updateOne(
+    { _id: userId },
+    { $set: Object.fromEntries(Object.entries(cache).map(([key, value]) => [`earnings.${key}`, value])) }
+  );
+  return cache;
+};
+
+// ============================================
+// Payouts
+// ============================================
+
+const reviewPayout = async (payoutId, fromStatus, update) => {
+  if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+    throw new LedgerError('Payout not found', 404);
+  }
+  const payout = await Payout.findOneAndUpdate({ _id: payoutId, status: fromStatus }, update, { new: true });
+  if (!payout) {
+    const existing = await Payout.findById(payoutId).select('status');
+    throw existing
+      ? new LedgerError(`Payout is already ${existing.status}`, 409)
+      : new LedgerError('Payout not found', 404);
+  }
+  return payout;
+};
+
+// Put a payout that will not be paid back into the available balance
+const returnPayout = (payout, type, postedBy) => post({
+  type,
+  idempotencyKey: `${type}:${payout._id}`,
+  currency: payout.currency,
+  description: `Payout ${type === 'payout_rejected' ? 'rejected' : 'cancelled'}`,
+  payout: payout._id,
+  postedBy,
+  lines: [
+    debit(ACCOUNTS.PAYOUT_REQUESTED, payout.amount, payout.user),
+    credit(ACCOUNTS.AVAILABLE, payout.amount, payout.user),
+  ],
+});
+
+/**
+ * Ask for a payout of available earnings (one open request at a time)
+ */
+export const requestPayout = async (userId, amount) => {
+  const cents = Number(amount);
+  if (!Number.isInteger(cents) || cents < MIN_PAYOUT_AMOUNT) {
+    throw new LedgerError(`Payouts must be a whole number of cents, at least ${MIN_PAYOUT_AMOUNT}`);
+  }
+
+  const user = await User.findById(userId).select('earnings.payoutMethod');
+  if (!user?.earnings?.payoutMethod) {
+    throw new LedgerError('Set a payout method before requesting a payout');
+  }
+
+  const { available } = await getContributorEarnings(userId);
+  if (cents > available) {
+    throw new LedgerError(`Only ${available} is available for payout`);
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({ user: userId, amount: cents, method: user.earnings.payoutMethod });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new LedgerError('You already have a payout request waiting for review', 409);
+    }
+    throw error;
+  }
+
+  try {
+    await post({
+      type: 'payout_request',
+      idempotencyKey: `payout_request:${payout._id}`,
+      currency: payout.currency,
+      description: `Payout requested (${payout.method})`,
+      payout: payout._id,
+      postedBy: userId,
+      lines: [
+        debit(ACCOUNTS.AVAILABLE, cents, userId),
+        credit(ACCOUNTS.PAYOUT_REQUESTED, cents, userId),
+      ],
+    });
+  } catch (error) {
+    await Payout.deleteOne({ _id: payout._id });
+    throw error;
+  }
+
+  logger.info('Payout requested', { payoutId: String(payout._id), amount: cents });
+  return payout;
+};
+
+/**
+ * Withdraw one's own payout request before it is reviewed
+ */
+export const cancelPayout = async (payoutId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(payoutId) || !(await Payout.exists({ _id: payoutId, user: userId }))) {
+    throw new LedgerError('Payout not found', 404);
+  }
+  const payout = await reviewPayout(payoutId, 'requested', { status: 'cancelled' });
+  await returnPayout(payout, 'payout_cancelled', userId);
+  return payout;
+};
+
+/**
+ * Approve a payout once the money has been sent (reference from the payout rail)
+ */
+export const approvePayout = async (payoutId, adminId, { reference } = {}) => {
+  const now = new Date();
+  const payout = await reviewPayout(payoutId, 'requested', {
+    status: 'paid',
+    reviewedBy: adminId,
+    reviewedAt: now,
+    paidAt: now,
+    reference: reference || null,
+  });
+
+  await post({
+    type: 'payout_paid',
+    idempotencyKey: `payout_paid:${payout._id}`,
+    currency: payout.currency,
+    description: `Payout sent (${payout.method}${reference ? `, ref ${reference}` : ''})`,
+    payout: payout._id,
+    postedBy: adminId,
+    lines: [
+      debit(ACCOUNTS.PAYOUT_REQUESTED, payout.amount, payout.user),
+      credit(ACCOUNTS.CASH, payout.amount),
+    ],
+  });
+
+  logger.info('Payout paid', { payoutId: String(payout._id), amount: payout.amount });
+  return payout;
+};
+
+/**
+ * Reject a payout; the amount goes back to the contributor's available balance
+ */
+export const rejectPayout = async (payoutId, adminId, reason) => {
+  if (!reason) {
+    throw new LedgerError('A rejection reason is required');
+  }
+  const payout = await reviewPayout(payoutId, 'requested', {
+    status: 'rejected',
+    reviewedBy: adminId,
+    reviewedAt: new Date(),
+    rejectionReason: reason,
+  });
+  await returnPayout(payout, 'payout_rejected', adminId);
+  return payout;
+};
+
+/**
+ * Payouts, newest first (one contributor's, or all for admins)
+ */
+export const listPayouts = async ({ userId, status, page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const filter = {};
+  if (userId) {
+    filter.user = userId;
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  let query = Payout.find(filter)
+    .sort({ requestedAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+  if (!userId) {
+    query = query.populate('user', 'name email earnings.payoutMethod earnings.availableBalance');
+  }
+
+  const [payouts, total] = await Promise.all([query, Payout.countDocuments(filter)]);
+  return {
+    payouts,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+};
+
+// ============================================
+// Statements
+// ============================================
+
+const accountChange = (transaction, userId, account) => transaction.lines
+  .filter(line => line.account === account && String(line.user) === String(userId))
+  .reduce((sum, line) => sum + line.credit - line.debit, 0);
+
+/**
+ * Monthly statement of a contributor's earnings (UTC months)
+ * @returns {Object} { period, opening, closing, summary, entries }
+ */
+export const getStatement = async (userId, year, month) => {
+  const y = Number(year);
+  const m = Number(month);
+  if (!Number.isInteger(y) || !Number.isInteger(m) || m < 1 || m > 12 || y < 2000) {
+    throw new LedgerError('Statements are requested by year and month (1-12)');
+  }
+
+  const start = new Date(Date.UTC(y, m - 1, 1));
+  const end = new Date(Date.UTC(y, m, 1));
+
+  const [openingBalances, closingBalances, transactions] = await Promise.all([
+    LedgerTransaction.getBalances({ user: userId, before: start }),
+    LedgerTransaction.getBalances({ user: userId, before: end }),
+    LedgerTransaction.find({ 'lines.user': userId, postedAt: { $gte: start, $lt: end } })
+      .sort({ postedAt: 1 })
+      .populate('course', 'title')
+      .lean(),
+  ]);
+
+  const pick = (balances) => ({
+    held: balances[ACCOUNTS.HELD],
+    available: balances[ACCOUNTS.AVAILABLE],
+    payoutRequested: balances[ACCOUNTS.PAYOUT_REQUESTED],
+  });
+
+  const summary = { sales: 0, refunds: 0, released: 0, payoutsRequested: 0, payoutsPaid: 0, payoutsReturned: 0 };
+  const entries = transactions.map((transaction) => {
+    const held = accountChange(transaction, userId, ACCOUNTS.HELD);
+    const available = accountChange(transaction, userId, ACCOUNTS.AVAILABLE);
+    const payoutRequested = accountChange(transaction, userId, ACCOUNTS.PAYOUT_REQUESTED);
+
+    switch (transaction.type) {
+      case 'sale':
+        summary.sales += held;
+        break;
+      case 'refund':
+        summary.refunds -= held + available;
+        break;
+      case 'release':
+        summary.released += available;
+        break;
+      case 'payout_request':
+        summary.payoutsRequested += payoutRequested;
+        break;
+      case 'payout_paid':
+        summary.payoutsPaid -= payoutRequested;
+        break;
+      case 'payout_rejected':
+      case 'payout_cancelled':
+        summary.payoutsReturned += available;
+        break;
+      default:
+        break;
+    }
+
+    return {
+      transactionId: transaction._id,
+      postedAt: transaction.postedAt,
+      type: transaction.type,
+      description: transaction.description,
+      order: transaction.order,
+      course: transaction.course ? { _id: transaction.course._id, title: transaction.course.title } : null,
+      payout: transaction.payout,
+      held,
+      available,
+      payoutRequested,
+    };
+  });
+
+  return {
+    user: userId,
+    currency: 'USD',
+    period: { year: y, month: m, start, end },
+    opening: pick(openingBalances),
+    closing: pick(closingBalances),
+    summary: { ...summary, netEarnings: summary.sales - summary.refunds },
+    entries,
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statement as CSV (one row per transaction, amounts in cents)
+ */
+export const statementToCSV = (statement) => {
+  const header = ['posted_at', 'type', 'description', 'course', 'order', 'held', 'available', 'payout_requested'];
+  const rows = statement.entries.map(entry => [
+    entry.postedAt.toISOString(),
+    entry.type,
+    entry.description,
+    entry.course?.title,
+    entry.order,
+    entry.held,
+    entry.available,
+    entry.payoutRequested,
+  ]);
+  const opening = ['', 'opening_balance', '', '', '', statement.opening.held, statement.opening.available, statement.opening.payoutRequested];
+  const closing = ['', 'closing_balance', '', '', '', statement.closing.held, statement.closing.available, statement.closing.payoutRequested];
+
+  return [header, opening, ...rows, closing].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+// ============================================
+// Reconciliation
+// ============================================
+
+/**
+ * Check the ledger against itself, orders, payouts and the User.earnings cache
+ * @param {Object} options - from, to (orders and payouts in this range are checked; default this month)
+ * @returns {Object} report with `ok` true when nothing needs attention
+ */
+export const reconcile = async ({ from, to } = {}) => {
+  const now = new Date();
+  const start = from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = to ? new Date(to) : now;
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw new LedgerError('from must be a date before to');
+  }
+
+  // 1. Every transaction balances
+  const [totals] = await LedgerTransaction.aggregate([
+    { $match: { postedAt: { $lt: end } } },
+    {
+      $project: {
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        transactions: { $sum: 1 },
+        debits: { $sum: '$debits' },
+        credits: { $sum: '$credits' },
+        unbalanced: { $push: { $cond: [{ $ne: ['$debits', '$credits'] }, '$_id', '$$REMOVE'] } },
+      },
+    },
+  ]);
+  const balances = await LedgerTransaction.getBalances({ before: end });
+
+  // 2. Paid orders have a matching sale and refunds
+  const orders = await Order.find({
+    status: { $in: ['paid', 'partially_refunded', 'refunded'] },
+    total: { $gt: 0 },
+    paidAt: { $gte: start, $lt: end },
+  }).select('total refundedAmount').lean();
+  const orderTransactions = await LedgerTransaction.find({
+    order: { $in: orders.map(order => order._id) },
+    type: { $in: ['sale', 'refund'] },
+  }).select('order type lines').lean();
+
+  const cashByOrder = new Map();
+  for (const transaction of orderTransactions) {
+    const entry = cashByOrder.get(String(transaction.order)) || { sale: null, refunded: 0 };
+    const cash = transaction.lines.filter(line => line.account === ACCOUNTS.CASH);
+    if (transaction.type === 'sale') {
+      entry.sale = cash.reduce((sum, line) => sum + line.debit, 0);
+    } else {
+      entry.refunded += cash.reduce((sum, line) => sum + line.credit, 0);
+    }
+    cashByOrder.set(String(transaction.order), entry);
+  }
+
+  const orderIssues = [];
+  for (const order of orders) {
+    const entry = cashByOrder.get(String(order._id));
+    if (!entry?.sale) {
+      orderIssues.push({ order: order._id, issue: 'missing_sale', expected: order.total, ledger: 0 });
+    } else if (entry.sale !== order.total) {
+      orderIssues.push({ order: order._id, issue: 'sale_amount', expected: order.total, ledger: entry.sale });
+    }
+    if ((entry?.refunded || 0) !== order.refundedAmount) {
+      orderIssues.push({ order: order._id, issue: 'refund_amount', expected: order.refundedAmount, ledger: entry?.refunded || 0 });
+    }
+  }
+
+  // 3. Payouts have the postings their status implies
+  const expectedTypes = {
+    requested: ['payout_request'],
+    paid: ['payout_request', 'payout_paid'],
+    rejected: ['payout_request', 'payout_rejected'],
+    cancelled: ['payout_request', 'payout_cancelled'],
+  };
+  const payouts = await Payout.find({ requestedAt: { $gte: start, $lt: end } }).select('status amount').lean();
+  const payoutTransactions = await LedgerTransaction.find({ payout: { $in: payouts.map(payout => payout._id) } })
+    .select('payout type').lean();
+  const typesByPayout = new Map();
+  for (const transaction of payoutTransactions) {
+    const types = typesByPayout.get(String(transaction.payout)) || [];
+    types.push(transaction.type);
+    typesByPayout.set(String(transaction.payout), types);
+  }
+  const payoutIssues = payouts
+    .map(payout => ({
+      payout: payout._id,
+      status: payout.status,
+      expected: expectedTypes[payout.status],
+      ledger: typesByPayout.get(String(payout._id)) || [],
+    }))
+    .filter(({ expected, ledger }) => [...expected].sort().join() !== [...ledger].sort().join());
+
+  // 4. Cached User.earnings and negative contributor balances
+  const contributorIds = await LedgerTransaction.distinct('lines.user', { 'lines.user': { $ne: null } });
+  const earningsIssues = [];
+  const negativeBalances = [];
+  for (const userId of contributorIds) {
+    const earnings = await getContributorEarnings(userId);
+    const expected = earningsCache(earnings);
+    const user = await User.findById(userId).select('earnings').lean();
+    const cached = user?.earnings || {};
+
+    const differs = ['totalEarned', 'availableBalance', 'pendingBalance', 'totalWithdrawn']
+      .some(key => (cached[key] || 0) !== expected[key]);
+    if (differs && earningsIssues.length < MAX_REPORTED_ISSUES) {
+      earningsIssues.push({ user: userId, cached, ledger: expected });
+    }
+    if ((earnings.held < 0 || earnings.available < 0) && negativeBalances.length < MAX_REPORTED_ISSUES) {
+      negativeBalances.push({ user: userId, held: earnings.held, available: earnings.available });
+    }
+  }
+
+  const ledger = {
+    transactions: totals?.transactions || 0,
+    debits: totals?.debits || 0,
+    credits: totals?.credits || 0,
+    unbalancedTransactions: totals?.unbalanced || [],
+  };
+  ledger.balanced = ledger.debits === ledger.credits && ledger.unbalancedTransactions.length === 0;
+
+  const contributorLiabilities = CONTRIBUTOR_ACCOUNTS.reduce((sum, account) => sum + balances[account], 0);
+
+  return {
+    generatedAt: now,
+    period: { from: start, to: end },
+    ledger,
+    accounts: {
+      cash: -balances[ACCOUNTS.CASH],
+      platformFees: balances[ACCOUNTS.FEES],
+      contributorHeld: balances[ACCOUNTS.HELD],
+      contributorAvailable: balances[ACCOUNTS.AVAILABLE],
+      payoutsRequested: balances[ACCOUNTS.PAYOUT_REQUESTED],
+      contributorLiabilities,
+    },
+    orders: { checked: orders.length, issues: orderIssues.slice(0, MAX_REPORTED_ISSUES) },
+    payouts: { checked: payouts.length, issues: payoutIssues.slice(0, MAX_REPORTED_ISSUES) },
+    earnings: { checked: contributorIds.length, issues: earningsIssues, negativeBalances },
+    ok: ledger.balanced
+      && orderIssues.length === 0
+      && payoutIssues.length === 0
+      && earningsIssues.length === 0,
+  };
+};
+
+// ============================================
+// Background jobs
+// ============================================
+
+/**
+ * Release held earnings now and every hour
+ */
+export const startLedgerJobs = () => {
+  const sweep = () => releaseHeldEarnings()
+    .then(released => released > 0 && logger.info(`Released held earnings of ${released} sales`))
+    .catch(error => logger.error(`Earnings release error: ${error.message}`));
+
+  sweep();
+  const interval = setInterval(sweep, RELEASE_INTERVAL_MS);
+  interval.unref();
+
+  return interval;
+};
+
+export default {
+  postSale,
+  postRefund,
+  releaseHeldEarnings,
+  getContributorEarnings,
+  refreshEarnings,
+  requestPayout,
+  cancelPayout,
+  approvePayout,
+  rejectPayout,
+  listPayouts,
+  getStatement,
+  statementToCSV,
+  reconcile,
+  startLedgerJobs,
+};
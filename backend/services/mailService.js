@@ -0,0 +1,137 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport:
+ * - smtp:     nodemailer over SMTP (used whenever SMTP_HOST is set)
+ * - outbox:   writes each message as JSON to a local directory (development default)
+ * - disabled: logs and drops messages (production without SMTP)
+ * Other transports can be added with registerMailTransport() and picked with MAIL_TRANSPORT.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+const DEFAULT_FROM = 'Mini AI Tutor <noreply@mini-ai-tutor.local>';
+
+const transportFactories = new Map();
+let activeTransport = null;
+
+/**
+ * Register a transport factory; the factory returns an object with send(message)
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+registerMailTransport('smtp', () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+});
+
+registerMailTransport('outbox', () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || './storage/outbox';
+
+  return {
+    name: 'outbox',
+    dir,
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.json`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ id, createdAt: new Date(), ...message }, null, 2));
+      logger.info(`Mail to ${message.to} written to ${file}`);
+
+      return { id, file };
+    },
+  };
+});
+
+registerMailTransport('disabled', () => ({
+  name: 'disabled',
+  send: async (message) => {
+    logger.warn(`Mail transport not configured, dropped "${message.subject}" to ${message.to}`);
+    return { id: null, dropped: true };
+  },
+}));
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'production' ? 'disabled' : 'outbox';
+};
+
+/**
+ * The transport in use, created on first send
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = defaultTransportName();
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the transport in use (a registered name or a transport object); null restores the default
+ */
+export const setMailTransport = (transport) => {
+  if (typeof transport !== 'string') {
+    activeTransport = transport;
+    return;
+  }
+
+  const factory = transportFactories.get(transport);
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  activeTransport = factory();
+};
+
+/**
+ * Send an email
+ * @param {Object} message - to, subject, text, html
+ * @returns {Object} Transport result ({ id, ... })
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || (!text && !html)) {
+    throw new Error('Mail requires a recipient, a subject and a body');
+  }
+
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default {
+  registerMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
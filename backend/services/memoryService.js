@@ -0,0 +1,330 @@
+/**
+ * Memory Service
+ * Learner-facing management of the long-term memories the tutor keeps about them.
+ * Every change is recorded in the entry's audit trail.
+ */
+
+import MemoryEntry from '../models/MemoryEntry.js';
+import UserProfile from '../models/UserProfile.js';
+import logger from '../utils/logger.js';
+
+export const MEMORY_TYPES = MemoryEntry.schema.path('type').enumValues;
+export const MEMORY_CATEGORIES = MemoryEntry.schema.path('namespace.category').enumValues;
+export const MEMORY_STATUSES = MemoryEntry.schema.path('status').enumValues.filter(status => status !== 'deleted');
+export const PRIVACY_LEVELS = MemoryEntry.schema.path('privacy.level').enumValues;
+
+// How long a deleted entry's audit trail is kept before the TTL index removes it
+const DELETED_RETENTION_DAYS = 30;
+const MAX_CONTENT_LENGTH = 5000;
+
+// Fields left out of list responses
+const LIST_EXCLUDE = '-audit -accessControl -version.history';
+
+export class MemoryValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MemoryValidationError';
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const collectionKey = (userId) => `user_memories_${userId}`;
+
+const auditEntry = (action, actorId, details) => ({
+  action,
+  timestamp: new Date(),
+  actorId: actorId ? String(actorId) : 'user',
+  ...(details && { details }),
+});
+
+/**
+ * Keep the vector store in step with an edited or deleted memory.
+ * Best effort: MongoDB stays the source of truth if ChromaDB is unavailable.
+ * (Loaded lazily so these routes don't pull in the AI pipeline at startup.)
+ */
+const syncVector = async (memory, { remove = false } = {}) => {
+  const embeddingId = memory.semantic?.embeddingId;
+  if (!embeddingId) {
+    return;
+  }
+
+  try {
+    const { default: chromaService } = await import('../ai/vectorstore/chromaService.js');
+    if (!chromaService.isInitialized) {
+      return;
+    }
+
+    if (remove) {
+      await chromaService.deleteDocuments(collectionKey(memory.userId), [embeddingId]);
+    } else {
+      await chromaService.updateDocuments(collectionKey(memory.userId), [{
+        id: embeddingId,
+        text: memory.content,
+        metadata: {
+          memoryId: memory._id.toString(),
+          type: memory.type,
+          category: memory.namespace.category,
+          timestamp: memory.temporal.createdAt.toISOString(),
+        },
+      }]);
+    }
+  } catch (error) {
+    logger.warn(`Memory vector sync failed for ${memory._id}: ${error.message}`);
+  }
+};
+
+/**
+ * List and search a user's memories
+ * @param {String} userId
+ * @param {Object} options - type, category, subcategory, topic, status, pinned, search, page, limit
+ * @returns {Object} { memories, total }
+ */
+export const listMemories = async (userId, {
+  type, category, subcategory, topic, status = 'active', pinned, search, page = 1, limit = 20,
+} = {}) => {
+  const query = { userId, status: status === 'all' ? { $ne: 'deleted' } : status };
+
+  if (type) {
+    query.type = type;
+  }
+  if (category) {
+    query['namespace.category'] = category;
+  }
+  if (subcategory) {
+    query['namespace.subcategory'] = subcategory;
+  }
+  if (topic) {
+    query['namespace.topic'] = topic;
+  }
+  if (pinned !== undefined) {
+    query['importance.factors.userMarked'] = pinned ? true : { $ne: true };
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ content: pattern }, { 'semantic.keywords': pattern }, { 'entities.value': pattern }];
+  }
+
+  const [memories, total] = await Promise.all([
+    MemoryEntry.find(query)
+      .select(LIST_EXCLUDE)
+      .sort({ 'importance.factors.userMarked': -1, 'temporal.createdAt': -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MemoryEntry.countDocuments(query),
+  ]);
+
+  return { memories, total };
+};
+
+/**
+ * A single memory with its audit trail and version history (null if not found)
+ */
+export const getMemory = (userId, memoryId) =>
+  MemoryEntry.findOne({ _id: memoryId, userId, status: { $ne: 'deleted' } }).select('-accessControl');
+
+/**
+ * Edit a memory's content, type, namespace or privacy level
+ * @param {Object} changes - content, type, namespace: { category, subcategory, topic }, privacyLevel
+ * @returns {Object|null} Updated memory
+ */
+export const updateMemory = async (userId, memoryId, changes = {}, actorId) => {
+  const memory = await getMemory(userId, memoryId);
+  if (!memory) {
+    return null;
+  }
+
+  const fields = [];
+  const { content, type, namespace, privacyLevel } = changes;
+
+  if (content !== undefined) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text || text.length > MAX_CONTENT_LENGTH) {
+      throw new MemoryValidationError(`Content must be 1 to ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    if (text !== memory.content) {
+      memory.version.history.push({
+        version: memory.version.current,
+        content: memory.content,
+        updatedAt: new Date(),
+        reason: 'correction',
+      });
+      memory.version.current += 1;
+      memory.content = text;
+      fields.push('content');
+    }
+  }
+
+  if (type !== undefined && type !== memory.type) {
+    if (!MEMORY_TYPES.includes(type)) {
+      throw new MemoryValidationError(`Type must be one of: ${MEMORY_TYPES.join(', ')}`);
+    }
+    memory.type = type;
+    fields.push('type');
+  }
+
+  if (namespace !== undefined) {
+    if (namespace.category !== undefined && !MEMORY_CATEGORIES.includes(namespace.category)) {
+      throw new MemoryValidationError(`Category must be one of: ${MEMORY_CATEGORIES.join(', ')}`);
+    }
+
+    for (const key of ['category', 'subcategory', 'topic']) {
+      if (namespace[key] !== undefined && namespace[key] !== memory.namespace[key]) {
+        memory.namespace[key] = namespace[key] || undefined;
+        fields.push(`namespace.${key}`);
+      }
+    }
+  }
+
+  if (privacyLevel !== undefined && privacyLevel !== memory.privacy.level) {
+    if (!PRIVACY_LEVELS.includes(privacyLevel)) {
+      throw new MemoryValidationError(`Privacy level must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+    }
+    memory.privacy.level = privacyLevel;
+    fields.push('privacy.level');
+  }
+
+  if (fields.length === 0) {
+    return memory;
+  }
+
+  memory.audit.push(auditEntry('updated', actorId, { fields }));
+  await memory.save();
+  await syncVector(memory);
+
+  return memory;
+};
+
+/**
+ * Pin a memory as stated by the user (never decays or is forgotten), or unpin it
+ * @returns {Object|null} Updated memory
+ */
+export const setPinned = async (userId, memoryId, pinned, actorId) => {
+  const memory = await getMemory(userId, memoryId);
+  if (!memory) {
+    return null;
+  }
+
+  const factors = memory.importance.factors;
+  if (Boolean(factors.userMarked) === pinned) {
+    return memory;
+  }
+
+  if (pinned) {
+    memory.audit.push(auditEntry('pinned', actorId, { previousMethod: memory.source.extractionMethod }));
+    memory.source.extractionMethod = 'user_explicit';
+  } else {
+    // Restore how the memory was originally captured
+    const pin = [...memory.audit].reverse().find(entry => entry.action === 'pinned');
+    memory.source.extractionMethod = pin?.details?.previousMethod || memory.source.extractionMethod;
+    memory.audit.push(auditEntry('unpinned', actorId));
+  }
+
+  factors.userMarked = pinned;
+  memory.calculateImportanceScore();
+  await memory.save();
+
+  return memory;
+};
+
+/**
+ * Delete a memory: its content is erased and removed from the vector store at once,
+ * while the entry itself stays (with its audit trail) until the TTL index purges it
+ * @returns {Boolean} Whether a memory was deleted
+ */
+export const deleteMemory = async (userId, memoryId, actorId) => {
+  const memory = await getMemory(userId, memoryId);
+  if (!memory) {
+    return false;
+  }
+
+  await syncVector(memory, { remove: true });
+
+  memory.content = '[deleted]';
+  memory.entities = [];
+  memory.semantic.keywords = [];
+  memory.semantic.embeddingId = undefined;
+  memory.version.history = [];
+  memory.source.messageIds = [];
+  memory.status = 'deleted';
+  memory.temporal.expiresAt = new Date(Date.now() + DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  memory.audit.push(auditEntry('deleted', actorId));
+  await memory.save();
+
+  return true;
+};
+
+/**
+ * Everything the tutor remembers about a user, as exportable JSON
+ * @returns {Object} { exportedAt, count, extractionPaused, memories }
+ */
+export const exportMemories = async (userId, actorId) => {
+  const query = { userId, status: { $ne: 'deleted' } };
+  const [memories, settings] = await Promise.all([
+    MemoryEntry.find(query).select('-accessControl -__v').sort({ 'temporal.createdAt': 1 }).lean(),
+    getExtractionSettings(userId),
+  ]);
+  const exportedAt = new Date();
+
+  if (memories.length > 0) {
+    await MemoryEntry.updateMany(
+      { _id: { $in: memories.map(memory => memory._id) } },
+      { $push: { audit: auditEntry('exported', actorId) } },
+    );
+  }
+
+  return {
+    exportedAt,
+    count: memories.length,
+    extractionPaused: settings.paused,
+    memories,
+  };
+};
+
+/**
+ * Whether memory extraction is paused for a user
+ * @returns {Object} { paused, pausedAt }
+ */
+export const getExtractionSettings = async (userId) => {
+  const profile = await UserProfile.findOne({ userId }).select('meta.privacySettings').lean();
+  const privacy = profile?.meta?.privacySettings || {};
+
+  return {
+    paused: Boolean(privacy.memoryExtractionPaused),
+    pausedAt: privacy.memoryExtractionPaused ? privacy.memoryExtractionPausedAt || null : null,
+  };
+};
+
+/**
+ * Pause or resume memory extraction from the user's conversations
+ * @returns {Object} { paused, pausedAt }
+ */
+export const setExtractionPaused = async (userId, paused) => {
+  const pausedAt = paused ? new Date() : null;
+
+  await UserProfile.updateOne(
+    { userId },
+    {
+      $set: {
+        'meta.privacySettings.memoryExtractionPaused': paused,
+        'meta.privacySettings.memoryExtractionPausedAt': pausedAt,
+      },
+    },
+    { upsert: true },
+  );
+
+  return { paused, pausedAt };
+};
+
+export default {
+  listMemories,
+  getMemory,
+  updateMemory,
+  setPinned,
+  deleteMemory,
+  exportMemories,
+  getExtractionSettings,
+  setExtractionPaused,
+};
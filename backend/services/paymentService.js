@@ -0,0 +1,144 @@
+/**
+ * Payment Service
+ * Pluggable payment providers for checkout. A provider implements:
+ *   createPayment({ orderId, amount, currency, description }) -> { paymentId, checkoutUrl }
+ *   cancelPayment(paymentId)
+ *   refundPayment({ paymentId, amount, reason }) -> { refundId, status: 'pending'|'succeeded' }
+ *   parseWebhook(rawBody, headers) -> verified event
+ *     { id, type: 'payment.succeeded'|'payment.failed'|'refund.succeeded'|'refund.failed',
+ *       paymentId, refundId, amount, failureReason }
+ * Payments are only treated as settled when the provider's webhook says so.
+ *
+ * Built in is `fake`, a local provider for development and tests whose
+ * "hosted checkout" is simulated with simulatePayment(). Other providers can be
+ * added with registerPaymentProvider() and picked with PAYMENT_PROVIDER.
+ */
+
+import crypto from 'crypto';
+
+const providerFactories = new Map();
+const activeProviders = new Map();
+
+export class PaymentProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Register a provider factory; the factory returns an object implementing the interface above
+ */
+export const registerPaymentProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+  activeProviders.delete(name);
+};
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+registerPaymentProvider('fake', () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+  const baseUrl = process.env.FAKE_CHECKOUT_BASE_URL || '/api/checkout/fake';
+  const payments = new Map();
+
+  const delivery = (event) => {
+    const payload = JSON.stringify({ ...event, id: `evt_${crypto.randomBytes(8).toString('hex')}` });
+    return { payload, headers: { 'x-fake-signature': sign(secret, payload) } };
+  };
+
+  return {
+    name: 'fake',
+
+    async createPayment({ orderId, amount, currency }) {
+      const paymentId = `pay_${crypto.randomBytes(12).toString('hex')}`;
+      payments.set(paymentId, { orderId, amount, currency, status: 'pending', refunded: 0 });
+      return { paymentId, checkoutUrl: `${baseUrl}/${paymentId}` };
+    },
+
+    async cancelPayment(paymentId) {
+      const payment = payments.get(paymentId);
+      if (payment?.status === 'pending') {
+        payment.status = 'cancelled';
+      }
+    },
+
+    async refundPayment({ paymentId, amount }) {
+      const payment = payments.get(paymentId);
+      if (payment && payment.refunded + amount > payment.amount) {
+        throw new PaymentProviderError('Refund exceeds the captured amount', 400);
+      }
+      if (payment) {
+        payment.refunded += amount;
+      }
+      return { refundId: `re_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+    },
+
+    /**
+     * Settle a pending payment the way the learner finishing the hosted checkout would
+     * @param {string} outcome - 'succeeded' or 'failed'
+     * @returns {Object} { payload, headers } - a signed webhook delivery
+     */
+    simulatePayment(paymentId, outcome = 'succeeded') {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== 'pending') {
+        throw new PaymentProviderError('Payment not found or no longer pending', 404);
+      }
+
+      payment.status = outcome === 'succeeded' ? 'succeeded' : 'failed';
+      return delivery({
+        type: `payment.${payment.status}`,
+        paymentId,
+        amount: payment.amount,
+        failureReason: payment.status === 'failed' ? 'card_declined' : undefined,
+      });
+    },
+
+    parseWebhook(rawBody, headers = {}) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const signature = String(headers['x-fake-signature'] || '');
+      const expected = sign(secret, payload);
+
+      if (signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new PaymentProviderError('Invalid webhook signature', 400);
+      }
+      return JSON.parse(payload);
+    },
+  };
+});
+
+/**
+ * Name of the provider new checkouts use. Production has no default: the fake
+ * provider must never take real orders.
+ */
+export const defaultProviderName = () => {
+  if (process.env.PAYMENT_PROVIDER) {
+    return process.env.PAYMENT_PROVIDER;
+  }
+  return process.env.NODE_ENV === 'production' ? null : 'fake';
+};
+
+/**
+ * The provider instance for a name (created on first use)
+ */
+export const getPaymentProvider = (name = defaultProviderName()) => {
+  if (!name) {
+    throw new PaymentProviderError('Payments are not configured', 503);
+  }
+
+  if (!activeProviders.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new PaymentProviderError(`Unknown payment provider: ${name}`, 503);
+    }
+    activeProviders.set(name, factory());
+  }
+  return activeProviders.get(name);
+};
+
+export default {
+  registerPaymentProvider,
+  getPaymentProvider,
+  defaultProviderName,
+};
@@ -0,0 +1,327 @@
+import aiService from '../config/aiService.js';
+import { getShortAnswerGradingPrompt } from '../ai/prompts/quizPrompts.js';
+import { runChallenge, resolveLanguage } from './codeExecutionService.js';
+
+/**
+ * Quiz Grading Service
+ * Grades quiz answers per question type and returns credit between 0 and 1
+ */
+
+const FUZZY_MATCH_THRESHOLD = 0.85;
+const FUZZY_MIN_LENGTH = 4;
+const PARTIAL_CREDIT_PASS_RATIO = 0.6;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'to', 'of', 'and', 'or', 'in', 'on',
+  'for', 'with', 'as', 'by', 'it', 'its', 'that', 'this', 'which', 'from', 'at', 'can',
+]);
+
+/**
+ * Normalize a free-text answer for comparison
+ * (case, accents, punctuation, surrounding articles and whitespace)
+ */
+export const normalizeAnswer = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.+-]/gu, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .replace(/^\s*(the|a|an)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (!a.length) {
+    return b.length;
+  }
+  if (!b.length) {
+    return a.length;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity between two strings in [0, 1] based on edit distance
+ */
+export const stringSimilarity = (a = '', b = '') => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) {
+    return 1;
+  }
+  return 1 - levenshtein(a, b) / longest;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const result = (score, method, feedback = null, extra = {}) => ({
+  score,
+  isCorrect: score >= 1,
+  gradingMethod: method,
+  feedback,
+  ...extra,
+});
+
+/**
+ * Grade MCQ and true/false answers.
+ * Accepts either the option text or its index for MCQs.
+ */
+export const gradeChoice = (question, userAnswer) => {
+  if (isBlank(userAnswer)) {
+    return result(0, 'exact', 'No answer given');
+  }
+
+  const expected = normalizeAnswer(question.correctAnswer);
+  let given = normalizeAnswer(userAnswer);
+
+  if (question.type === 'mcq' && /^\d+$/.test(given) && question.options?.length) {
+    const option = question.options[parseInt(given)];
+    const expectedIsIndex = /^\d+$/.test(expected);
+    if (option !== undefined && !expectedIsIndex) {
+      given = normalizeAnswer(option);
+    }
+  }
+
+  return result(given === expected ? 1 : 0, 'exact');
+};
+
+/**
+ * Grade fill-in-the-blank answers against the correct answer and its accepted alternatives.
+ * Numbers are compared numerically; longer answers tolerate small spelling mistakes.
+ */
+export const gradeFillBlank = (question, userAnswer) => {
+  if (isBlank(userAnswer)) {
+    return result(0, 'exact', 'No answer given');
+  }
+
+  const candidates = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    .filter(candidate => !isBlank(candidate));
+  const given = normalizeAnswer(userAnswer);
+
+  for (const candidate of candidates) {
+    const expected = normalizeAnswer(candidate);
+
+    if (given === expected) {
+      return result(1, 'normalized');
+    }
+
+    const givenNumber = Number(given);
+    const expectedNumber = Number(expected);
+    if (given !== '' && expected !== '' && !isNaN(givenNumber) && !isNaN(expectedNumber)) {
+      if (Math.abs(givenNumber - expectedNumber) < 1e-9) {
+        return result(1, 'numeric');
+      }
+    }
+  }
+
+  let best = { similarity: 0, candidate: null };
+  for (const candidate of candidates) {
+    const expected = normalizeAnswer(candidate);
+    if (expected.length < FUZZY_MIN_LENGTH || !isNaN(Number(expected))) {
+      continue;
+    }
+    const similarity = stringSimilarity(given, expected);
+    if (similarity > best.similarity) {
+      best = { similarity, candidate };
+    }
+  }
+
+  if (best.similarity >= FUZZY_MATCH_THRESHOLD) {
+    return result(1, 'fuzzy', `Accepted with minor spelling differences (expected "${best.candidate}")`);
+  }
+
+  return result(0, 'normalized');
+};
+
+const tokenize = (text) => normalizeAnswer(text)
+  .split(' ')
+  .filter(token => token.length > 2 && !STOP_WORDS.has(token));
+
+/**
+ * Keyword-overlap fallback used when AI grading is unavailable
+ */
+const gradeByKeywordOverlap = (question, userAnswer) => {
+  const referenceTokens = [...new Set(tokenize(question.correctAnswer))];
+  if (referenceTokens.length === 0) {
+    return result(0, 'keyword_overlap', 'No reference answer available for automatic grading');
+  }
+
+  const answerTokens = new Set(tokenize(userAnswer));
+  const matched = referenceTokens.filter(token => answerTokens.has(token));
+  const coverage = matched.length / referenceTokens.length;
+  const score = Math.round(coverage * 100) / 100;
+
+  return result(score, 'keyword_overlap', `Matched ${matched.length} of ${referenceTokens.length} key terms from the reference answer`);
+};
+
+const formatRubric = (question) => {
+  if (question.rubric?.length) {
+    return question.rubric
+      .map(item => `- ${item.criterion} (max ${item.points ?? 1})${item.description ? `: ${item.description}` : ''}`)
+      .join('\n');
+  }
+  return `- Correctness compared to the reference answer (max ${question.points || 1})`;
+};
+
+/**
+ * Grade short answers with the AI grader using the question's rubric.
+ * Falls back to keyword overlap with the reference answer if the AI call fails.
+ */
+export const gradeShortAnswer = async (question, userAnswer) => {
+  if (isBlank(userAnswer)) {
+    return result(0, 'rubric_ai', 'No answer given');
+  }
+
+  if (normalizeAnswer(userAnswer) === normalizeAnswer(question.correctAnswer)) {
+    return result(1, 'normalized');
+  }
+
+  try {
+    const prompt = getShortAnswerGradingPrompt({
+      question: question.question,
+      referenceAnswer: question.correctAnswer || 'Not provided',
+      rubric: formatRubric(question),
+      answer: String(userAnswer),
+    });
+
+    const completion = await aiService.generateStructuredJSON([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user },
+    ], {
+      feature: 'grading',
+      temperature: 0,
+      max_tokens: 800,
+    });
+
+    const grading = JSON.parse(completion.choices[0].message.content);
+    const criteria = Array.isArray(grading.criteria) ? grading.criteria : [];
+
+    const maxTotal = criteria.reduce((sum, c) => sum + Math.max(Number(c.max) || 0, 0), 0);
+    const awardedTotal = criteria.reduce(
+      (sum, c) => sum + Math.min(Math.max(Number(c.awarded) || 0, 0), Math.max(Number(c.max) || 0, 0)),
+      0,
+    );
+
+    if (maxTotal === 0) {
+      throw new Error('Grader returned no rubric criteria');
+    }
+
+    const score = Math.round((awardedTotal / maxTotal) * 100) / 100;
+
+    return result(score, 'rubric_ai', grading.feedback || null, {
+      rubricScores: criteria.map(c => ({
+        criterion: c.criterion,
+        awarded: Number(c.awarded) || 0,
+        max: Number(c.max) || 0,
+        comment: c.comment,
+      })),
+    });
+  } catch (error) {
+    console.error('Short answer grading error:', error.message);
+    return gradeByKeywordOverlap(question, userAnswer);
+  }
+};
+
+/**
+ * Grade coding answers by running the submission against the challenge test cases.
+ * Credit is the fraction of passing test cases; hidden test output is not returned.
+ */
+export const gradeCoding = async (question, userAnswer) => {
+  const challenge = question.codingChallenge || {};
+  const submission = typeof userAnswer === 'object' && userAnswer !== null
+    ? userAnswer
+    : { code: userAnswer };
+  const codeSubmission = {
+    code: submission.code || '',
+    language: resolveLanguage(submission.language || challenge.language || 'javascript') || submission.language,
+    testResults: [],
+  };
+
+  if (isBlank(submission.code)) {
+    return result(0, 'test_cases', 'No code submitted', { codeSubmission });
+  }
+
+  if (!challenge.testCases?.length) {
+    return result(0, 'test_cases', 'This challenge has no test cases to grade against', { codeSubmission });
+  }
+
+  const run = await runChallenge(challenge, submission, { includeHidden: true });
+
+  if (!run.success) {
+    return result(0, 'test_cases', run.error, { codeSubmission });
+  }
+
+  codeSubmission.testResults = run.results.map(r => ({
+    testCase: r.testCase,
+    passed: r.passed,
+    output: r.output,
+    error: r.error,
+  }));
+
+  const score = Math.round((run.passedCount / run.totalCount) * 100) / 100;
+
+  return result(score, 'test_cases', `Passed ${run.passedCount} of ${run.totalCount} test cases`, { codeSubmission });
+};
+
+/**
+ * Grade a single submitted answer for a quiz question
+ * @param {Object} question - Quiz question subdocument
+ * @param {Object} answer - Submitted answer ({ questionId, userAnswer, timeSpent })
+ * @returns {Object} { isCorrect, score, pointsEarned, gradingMethod, feedback, rubricScores?, codeSubmission? }
+ */
+export const gradeAnswer = async (question, answer) => {
+  let graded;
+
+  switch (question.type) {
+    case 'fill_blank':
+      graded = gradeFillBlank(question, answer.userAnswer);
+      break;
+    case 'short_answer':
+      graded = await gradeShortAnswer(question, answer.userAnswer);
+      break;
+    case 'coding':
+      graded = await gradeCoding(question, answer.userAnswer);
+      break;
+    case 'mcq':
+    case 'true_false':
+    default:
+      graded = gradeChoice(question, answer.userAnswer);
+  }
+
+  const points = question.points || 1;
+  const pointsEarned = Math.round(points * graded.score * 100) / 100;
+
+  return {
+    ...graded,
+    isCorrect: graded.isCorrect || (question.type === 'short_answer' && graded.score >= PARTIAL_CREDIT_PASS_RATIO),
+    pointsEarned,
+  };
+};
+
+export default {
+  gradeAnswer,
+  gradeChoice,
+  gradeFillBlank,
+  gradeShortAnswer,
+  gradeCoding,
+  normalizeAnswer,
+  stringSimilarity,
+};
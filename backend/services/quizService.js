@@ -36,6 +36,7 @@ Create cards that test understanding of key concepts, definitions, and relations
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'quiz',
       temperature: 0.7,
       max_tokens: 3000
     });
@@ -100,12 +101,25 @@ Respond ONLY in valid JSON format:
     },
     {
       "type": "fill_blank",
-      "question": "The _____ is responsible for _____",
+      "question": "The _____ is responsible for protein synthesis",
       "correctAnswer": "correct term",
+      "acceptedAnswers": ["synonym or alternative spelling"],
       "explanation": "Explanation",
       "difficulty": "medium",
       "points": 1,
       "tags": ["topic1"]
+    },
+    {
+      "type": "short_answer",
+      "question": "Open question requiring a 1-3 sentence answer",
+      "correctAnswer": "Model reference answer",
+      "rubric": [
+        { "criterion": "Key idea", "description": "What a full-credit answer must mention", "points": 1 }
+      ],
+      "explanation": "Explanation",
+      "difficulty": "medium",
+      "points": 2,
+      "tags": ["topic1"]
     }
   ]
 }`;
@@ -124,6 +138,7 @@ Create diverse, challenging questions that assess true understanding.`;
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'quiz',
       temperature: 0.7,
       max_tokens: 4000
     });
@@ -182,6 +197,7 @@ Include:
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'quiz',
       temperature: 0.7,
       max_tokens: 2000
     });
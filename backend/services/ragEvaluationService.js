@@ -0,0 +1,212 @@
+/**
+ * RAG Evaluation Service
+ * Creates evaluation runs of a golden question set, runs them in the
+ * background of this process and compares their reports. Runs are started
+ * from the admin API or from scripts/evaluateRag.js.
+ */
+
+import RagEvaluationRun from '../models/RagEvaluationRun.js';
+import { loadGoldenSet } from '../ai/evaluation/goldenSets.js';
+import { compareSummaries } from '../ai/evaluation/metrics.js';
+import aiConfig from '../config/ai.js';
+import logger from '../utils/logger.js';
+
+// A run still queued or running after this long was interrupted (e.g. by a restart)
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+const PROGRESS_STEP = 5;
+
+const running = new Set();
+
+export class EvaluationRunError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EvaluationRunError';
+    this.status = status;
+  }
+}
+
+// The chains load the embedding model and LLM providers; only needed once a run is requested
+const loadEvaluator = () => import('../ai/evaluation/ragEvaluator.js');
+
+const getVectorStore = async () => {
+  const { default: chromaService } = await import('../ai/vectorstore/chromaService.js');
+  if (!chromaService.isInitialized) {
+    const result = await chromaService.initialize();
+    if (!result.success) {
+      throw new Error('ChromaDB not available');
+    }
+  }
+  return chromaService;
+};
+
+/**
+ * Create a queued run after checking the golden set and strategies
+ * @param {Object} options - goldenSet (name), version, strategies, k, label, trigger, triggeredBy
+ * @returns {Object} RagEvaluationRun
+ */
+export const createEvaluationRun = async ({ goldenSet: name, version, strategies, k, label, trigger, triggeredBy = null }) => {
+  const goldenSet = await loadGoldenSet(name, version);
+  const { STRATEGIES } = await loadEvaluator();
+
+  const selected = strategies?.length ? [...new Set(strategies)] : Object.keys(STRATEGIES);
+  const unknown = selected.filter((strategy) => !STRATEGIES[strategy]);
+  if (unknown.length > 0) {
+    throw new EvaluationRunError(`Unknown strategies: ${unknown.join(', ')}. Available: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+
+  // Runs hammer the LLM providers: one at a time
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+  await RagEvaluationRun.updateMany(
+    {
+      $or: [
+        { status: 'running', startedAt: { $lt: staleBefore } },
+        { status: 'queued', createdAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: 'failed', error: 'Interrupted' } },
+  );
+  const active = await RagEvaluationRun.exists({ status: { $in: ['queued', 'running'] } });
+  if (active) {
+    throw new EvaluationRunError('Another evaluation run is in progress', 409);
+  }
+
+  return RagEvaluationRun.create({
+    goldenSet: { name: goldenSet.name, version: goldenSet.version, contentHash: goldenSet.contentHash },
+    strategies: selected,
+    k: k || aiConfig.evaluation.k,
+    label,
+    trigger,
+    triggeredBy,
+  });
+};
+
+/**
+ * Run a queued evaluation to completion
+ * @returns {Object} the finished RagEvaluationRun, or null if it was not queued
+ */
+export const executeEvaluationRun = async (runId) => {
+  const key = String(runId);
+  if (running.has(key)) {
+    return null;
+  }
+  running.add(key);
+
+  try {
+    const run = await RagEvaluationRun.findOneAndUpdate(
+      { _id: runId, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date(), progress: 0 } },
+      { new: true },
+    );
+    if (!run) {
+      return null;
+    }
+
+    try {
+      const goldenSet = await loadGoldenSet(run.goldenSet.name, run.goldenSet.version);
+      await getVectorStore();
+      const { default: evaluator } = await loadEvaluator();
+
+      let reported = 0;
+      const report = await evaluator.evaluate(goldenSet, {
+        strategies: run.strategies,
+        k: run.k,
+        onProgress: async (progress) => {
+          if (progress - reported >= PROGRESS_STEP && progress < 100) {
+            reported = progress;
+            await RagEvaluationRun.updateOne({ _id: run._id }, { $set: { progress } });
+          }
+        },
+      });
+
+      const completedAt = new Date();
+      Object.assign(run, {
+        ...report,
+        status: 'completed',
+        progress: 100,
+        completedAt,
+        durationMs: completedAt - run.startedAt,
+      });
+      await run.save();
+
+      logger.info(`RAG evaluation ${key} completed (${run.goldenSet.name} v${run.goldenSet.version})`);
+      return run;
+    } catch (error) {
+      logger.error(`RAG evaluation ${key} failed: ${error.message}`);
+      run.status = 'failed';
+      run.error = error.message;
+      run.completedAt = new Date();
+      await run.save();
+      return run;
+    }
+  } finally {
+    running.delete(key);
+  }
+};
+
+/**
+ * Run an evaluation in the background of this process
+ */
+export const queueEvaluationRun = (runId) => {
+  setImmediate(() => {
+    executeEvaluationRun(runId).catch((error) => logger.error(`RAG evaluation ${runId} error: ${error.message}`));
+  });
+};
+
+/**
+ * The latest completed run of the same golden set version before this one
+ */
+export const getPreviousRun = (run) => RagEvaluationRun.findOne({
+  _id: { $ne: run._id },
+  'goldenSet.name': run.goldenSet.name,
+  'goldenSet.version': run.goldenSet.version,
+  status: 'completed',
+  createdAt: { $lt: run.createdAt },
+}).sort({ createdAt: -1 });
+
+/**
+ * Compare two runs' per-strategy metrics
+ * @returns {Object} { baseline, candidate, comparable, warnings, changedSettings, metrics }
+ */
+export const compareRuns = (baseline, candidate) => {
+  const warnings = [];
+  if (baseline.goldenSet.name !== candidate.goldenSet.name || baseline.goldenSet.version !== candidate.goldenSet.version) {
+    warnings.push('Runs used different golden sets');
+  } else if (baseline.goldenSet.contentHash !== candidate.goldenSet.contentHash) {
+    warnings.push('The golden set file changed between the runs');
+  }
+  if (baseline.k !== candidate.k) {
+    warnings.push(`Runs used different k (${baseline.k} vs ${candidate.k})`);
+  }
+
+  const before = baseline.settings || {};
+  const after = candidate.settings || {};
+  const changedSettings = Object.fromEntries(
+    [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter((setting) => JSON.stringify(before[setting]) !== JSON.stringify(after[setting]))
+      .map((setting) => [setting, { baseline: before[setting] ?? null, candidate: after[setting] ?? null }]),
+  );
+
+  const describe = (run) => ({
+    id: run._id,
+    label: run.label,
+    goldenSet: run.goldenSet,
+    completedAt: run.completedAt,
+  });
+
+  return {
+    baseline: describe(baseline),
+    candidate: describe(candidate),
+    comparable: warnings.length === 0,
+    warnings,
+    changedSettings,
+    metrics: compareSummaries(baseline.summary || {}, candidate.summary || {}),
+  };
+};
+
+export default {
+  createEvaluationRun,
+  executeEvaluationRun,
+  queueEvaluationRun,
+  getPreviousRun,
+  compareRuns,
+};
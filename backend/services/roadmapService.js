@@ -97,6 +97,7 @@ REMEMBER:
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'roadmap',
       max_tokens: 4000,
       temperature: 0.7
     });
@@ -239,6 +240,7 @@ Analyze and suggest adjustments.`;
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'roadmap',
       max_tokens: 1500,
       temperature: 0.6
     });
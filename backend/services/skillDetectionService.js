@@ -175,6 +175,7 @@ Assess their skill level in "${topic}" based on this conversation history.`;
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'skills',
       max_tokens: 2000,
       temperature: 0.3 // Lower temperature for more consistent analysis
     });
@@ -306,6 +307,7 @@ Determine the user's primary domain and industries.`;
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ], {
+      feature: 'skills',
       max_tokens: 500,
       temperature: 0.3
     });
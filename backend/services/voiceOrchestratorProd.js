@@ -1,18 +1,14 @@
 /**
  * Production Voice Orchestrator Service
  * Orchestrates AI response generation and STT processing with fallback chains
- * Uses circuit breaker pattern for external API calls (Groq, HuggingFace, OpenAI)
+ * Uses circuit breaker pattern for external API calls (LLM router, HuggingFace, OpenAI)
  */
 
-import Groq from 'groq-sdk';
 import CircuitBreaker from 'opossum';
 import axios from 'axios';
 import FormData from 'form-data';
 import logger from '../config/logger.js';
-
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+import llmRouter from '../ai/llm/llmRouter.js';
 
 const HUGGINGFACE_API_KEY = process.env.HUGGINGFACE_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -22,7 +18,7 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
  */
 class VoiceOrchestratorService {
   constructor() {
-    this.groqBreaker = null;
+    this.llmBreaker = null;
     this.setupCircuitBreakers();
   }
 
@@ -30,18 +26,17 @@ class VoiceOrchestratorService {
    * Setup circuit breakers for external API calls
    */
   setupCircuitBreakers() {
-    // Circuit breaker for Groq API
+    // Circuit breaker around the `voice` provider chain
     const breakerOptions = {
       timeout: 30000, // 30 seconds
       errorThresholdPercentage: 50, // Open circuit after 50% failures
       resetTimeout: 60000 // Try again after 1 minute
     };
 
-    this.groqBreaker = new CircuitBreaker(
+    this.llmBreaker = new CircuitBreaker(
       async (messages, options) => {
-        return await groq.chat.completions.create({
-          model: options.model || 'llama-3.1-70b-versatile',
-          messages,
+        return await llmRouter.complete(messages, {
+          feature: 'voice',
           temperature: options.temperature || 0.7,
           max_tokens: options.max_tokens || 1000
         });
@@ -50,22 +45,22 @@ class VoiceOrchestratorService {
     );
 
     // Circuit breaker events
-    this.groqBreaker.on('open', () => {
-      logger.warn('Groq API circuit breaker opened', {
-        failures: this.groqBreaker.stats.failures
+    this.llmBreaker.on('open', () => {
+      logger.warn('LLM circuit breaker opened', {
+        failures: this.llmBreaker.stats.failures
       });
     });
 
-    this.groqBreaker.on('halfOpen', () => {
-      logger.info('Groq API circuit breaker half-open, testing...');
+    this.llmBreaker.on('halfOpen', () => {
+      logger.info('LLM circuit breaker half-open, testing...');
     });
 
-    this.groqBreaker.on('close', () => {
-      logger.info('Groq API circuit breaker closed, normal operation resumed');
+    this.llmBreaker.on('close', () => {
+      logger.info('LLM circuit breaker closed, normal operation resumed');
     });
 
-    this.groqBreaker.fallback(() => {
-      logger.warn('Groq API circuit breaker fallback triggered');
+    this.llmBreaker.fallback(() => {
+      logger.warn('LLM circuit breaker fallback triggered');
       return {
         choices: [{
           message: {
@@ -78,7 +73,7 @@ class VoiceOrchestratorService {
   }
 
   /**
-   * Generate AI response using Groq LLM
+   * Generate AI response through the LLM router
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
    * @param {string} userMessage - User's message
@@ -96,7 +91,7 @@ class VoiceOrchestratorService {
         contextLength: context.length
       });
 
-      // Build messages array for Groq
+      // Build messages array for the LLM
       const messages = [
         {
           role: 'system',
@@ -109,9 +104,8 @@ class VoiceOrchestratorService {
         }
       ];
 
-      // Call Groq API with circuit breaker
-      const response = await this.groqBreaker.fire(messages, {
-        model: 'llama-3.1-70b-versatile',
+      // Call the LLM router with circuit breaker (the router traces each provider attempt)
+      const response = await this.llmBreaker.fire(messages, {
         temperature: 0.7,
         max_tokens: 1000
       });
@@ -127,7 +121,7 @@ class VoiceOrchestratorService {
         role: 'assistant',
         content: responseText,
         metadata: {
-          model: 'groq-llama',
+          model: response.model,
           tokens: response.usage?.total_tokens || 0,
           responseTime: duration,
           isVoice: true
@@ -136,7 +130,7 @@ class VoiceOrchestratorService {
 
       await aiMessage.save();
 
-      logger.logExternalAPICall('Groq', 'chat.completions', duration, true);
+      logger.logExternalAPICall('LLM', 'chat.completions', duration, true);
 
       logger.info('AI response generated successfully', {
         conversationId,
@@ -149,7 +143,7 @@ class VoiceOrchestratorService {
       return {
         text: responseText,
         usage: response.usage,
-        model: 'groq-llama',
+        model: response.model,
         duration
       };
     } catch (error) {
@@ -163,7 +157,7 @@ class VoiceOrchestratorService {
         duration
       });
 
-      logger.logExternalAPICall('Groq', 'chat.completions', duration, false);
+      logger.logExternalAPICall('LLM', 'chat.completions', duration, false);
 
       throw error;
     }
@@ -302,9 +296,9 @@ class VoiceOrchestratorService {
    */
   getStats() {
     return {
-      groq: {
-        state: this.groqBreaker.opened ? 'open' : this.groqBreaker.halfOpen ? 'half-open' : 'closed',
-        stats: this.groqBreaker.stats
+      llm: {
+        state: this.llmBreaker.opened ? 'open' : this.llmBreaker.halfOpen ? 'half-open' : 'closed',
+        stats: this.llmBreaker.stats
       }
     };
   }
@@ -315,13 +309,13 @@ class VoiceOrchestratorService {
    */
   async healthCheck() {
     const health = {
-      groq: 'unknown',
+      llm: 'unknown',
       huggingface: 'disabled',
       openai: 'disabled'
     };
 
-    // Check Groq circuit breaker
-    health.groq = this.groqBreaker.opened ? 'down' : 'up';
+    // Check LLM circuit breaker
+    health.llm = this.llmBreaker.opened ? 'down' : 'up';
 
     // Check if API keys are configured
     if (HUGGINGFACE_API_KEY) {
@@ -1,6 +1,7 @@
 import voiceOrchestrator from '../services/voiceOrchestrator.js';
 import Session from '../models/Session.js';
 import { emitToUser } from '../config/socket.js';
+import { traceSocketEvent } from '../utils/tracing.js';
 
 /**
  * WebSocket handlers for voice sessions
@@ -12,10 +13,13 @@ export const registerVoiceHandlers = (io) => {
         const userId = socket.userId;
         console.log(`🎤 Voice handlers active for socket ${socket.id}, user ${userId}`);
 
+        // Run each event handler in its own span
+        const on = (event, handler) => socket.on(event, traceSocketEvent(socket, event, handler));
+
         /**
          * Join voice session
          */
-        socket.on('voice:join', async (data) => {
+        on('voice:join', async (data) => {
             try {
                 const { sessionId, settings } = data;
 
@@ -51,7 +55,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * Start recording
          */
-        socket.on('voice:start-recording', async (data) => {
+        on('voice:start-recording', async (data) => {
             try {
                 const { sessionId } = data;
 
@@ -78,7 +82,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * Stop recording and process audio
          */
-        socket.on('voice:stop-recording', async (data) => {
+        on('voice:stop-recording', async (data) => {
             try {
                 const { sessionId, audioBlob, metadata } = data;
 
@@ -130,7 +134,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * Send audio chunk (for streaming processing)
          */
-        socket.on('voice:audio-chunk', async (data) => {
+        on('voice:audio-chunk', async (data) => {
             try {
                 const { sessionId, chunk, isLast, metadata } = data;
 
@@ -170,7 +174,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * Send text message (alternative to voice)
          */
-        socket.on('voice:text-message', async (data) => {
+        on('voice:text-message', async (data) => {
             try {
                 console.log('📨 Received voice:text-message event:', { sessionId: data.sessionId, text: data.text?.substring(0, 50) });
                 const { sessionId, text } = data;
@@ -288,7 +292,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * TTS complete (client finished speaking)
          */
-        socket.on('voice:tts-complete', async (data) => {
+        on('voice:tts-complete', async (data) => {
             try {
                 const { sessionId } = data;
 
@@ -308,7 +312,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * Leave voice session
          */
-        socket.on('voice:leave', async (data) => {
+        on('voice:leave', async (data) => {
             try {
                 const { sessionId } = data;
 
@@ -337,7 +341,7 @@ export const registerVoiceHandlers = (io) => {
         /**
          * End voice session
          */
-        socket.on('voice:end', async (data) => {
+        on('voice:end', async (data) => {
             try {
                 const { sessionId } = data;
 
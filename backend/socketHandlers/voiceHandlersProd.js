@@ -12,6 +12,7 @@ import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import logger from '../config/logger.js';
 import { sanitizeText } from '../middleware/securityProd.js';
+import { traceSocketEvent } from '../utils/tracing.js';
 
 /**
  * Register all voice-related Socket.IO event handlers
@@ -24,6 +25,9 @@ export function registerVoiceHandlers(io) {
     // Create rate limiter for this socket
     const checkRateLimit = socketRateLimiter(socket);
 
+    // Run each event handler in its own span
+    const on = (event, handler) => socket.on(event, traceSocketEvent(socket, event, handler));
+
     logger.info('Voice handlers registered for socket', {
       socketId: socket.id,
       userId
@@ -33,7 +37,7 @@ export function registerVoiceHandlers(io) {
      * Event: voice:join
      * User joins a voice session
      */
-    socket.on('voice:join', async (data) => {
+    on('voice:join', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:join'))) return;
 
@@ -97,7 +101,7 @@ export function registerVoiceHandlers(io) {
      * Receive and store audio chunks to MinIO
      * NEVER store in server memory!
      */
-    socket.on('voice:audio-chunk', async (data) => {
+    on('voice:audio-chunk', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:audio-chunk'))) return;
 
@@ -163,7 +167,7 @@ export function registerVoiceHandlers(io) {
      * Event: voice:text-message
      * Handle text messages (from browser STT fallback)
      */
-    socket.on('voice:text-message', async (data) => {
+    on('voice:text-message', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:text-message'))) return;
 
@@ -292,7 +296,7 @@ export function registerVoiceHandlers(io) {
      * Event: voice:tts-complete
      * Client notifies that TTS playback is complete
      */
-    socket.on('voice:tts-complete', async (data) => {
+    on('voice:tts-complete', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:tts-complete'))) return;
 
@@ -339,7 +343,7 @@ export function registerVoiceHandlers(io) {
      * Event: voice:leave
      * User leaves voice session
      */
-    socket.on('voice:leave', async (data) => {
+    on('voice:leave', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:leave'))) return;
 
@@ -391,7 +395,7 @@ export function registerVoiceHandlers(io) {
      * Event: voice:settings-update
      * Update voice session settings
      */
-    socket.on('voice:settings-update', async (data) => {
+    on('voice:settings-update', async (data) => {
       // Check rate limit
       if (!(await checkRateLimit('voice:settings-update'))) return;
 
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for the Two-Tier Cache (in-process L1 in front of Redis)
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import redisClient from '../../../config/redis.js';
+import cacheManager from '../../../utils/CacheManager.js';
+import cacheTagManager from '../../../utils/CacheTagManager.js';
+import cacheMetrics from '../../../utils/CacheMetrics.js';
+import l1Cache, { L1Cache } from '../../../utils/L1Cache.js';
+
+const config = {
+  enabled: true,
+  maxEntries: 100,
+  maxSizeBytes: 1024 * 1024,
+  defaultTTL: 60,
+  NAMESPACE_TTL: { user: 30, lock: 0 },
+};
+
+describe('Two-Tier Cache', () => {
+  beforeEach(async () => {
+    l1Cache.clear();
+    await cacheMetrics.reset();
+  });
+
+  afterEach(() => {
+    cacheManager.redis = null;
+    cacheTagManager.redis = null;
+    redisClient.isConnected = false;
+    jest.restoreAllMocks();
+  });
+
+  describe('L1Cache', () => {
+    it('should cap TTLs per namespace and keep excluded namespaces out', () => {
+      const cache = new L1Cache(config);
+
+      expect(cache.ttlFor('user:dashboard:1:v1', 900)).toBe(30);
+      expect(cache.ttlFor('user:dashboard:1:v1', 10)).toBe(10);
+      expect(cache.ttlFor('roadmap:detail:1:v1')).toBe(60);
+      expect(cache.set('lock:x:fetch', '"1"', 10)).toBe(false);
+      expect(cache.get('lock:x:fetch')).toBeUndefined();
+    });
+
+    it('should hand out copies and invalidate by local tags', () => {
+      const cache = new L1Cache(config);
+      cache.set('user:a:v1', JSON.stringify({ items: [1] }), 60, ['user:1']);
+      cache.set('user:b:v1', JSON.stringify({ items: [2] }), 60, ['user:1', 'course:9']);
+      cache.set('user:c:v1', JSON.stringify({ items: [3] }), 60);
+
+      cache.get('user:a:v1').items.push(99);
+      expect(cache.get('user:a:v1')).toEqual({ items: [1] });
+
+      expect(cache.invalidateTag('user:1').sort()).toEqual(['user:a:v1', 'user:b:v1']);
+      expect(cache.get('user:b:v1')).toBeUndefined();
+      expect(cache.get('user:c:v1')).toEqual({ items: [3] });
+      expect(cache.getStats()).toMatchObject({ entries: 1, tags: 0 });
+    });
+  });
+
+  describe('with Redis down', () => {
+    it('should keep serving writes and reads from L1', async () => {
+      expect(await cacheManager.set('user:dashboard:1:v1', { courses: 3 }, 900)).toBe(true);
+
+      expect(await cacheManager.get('user:dashboard:1:v1')).toEqual({ courses: 3 });
+      expect(await cacheManager.get('user:dashboard:2:v1')).toBeNull();
+
+      const { total, l1 } = cacheMetrics.getTierStats();
+      expect(total).toMatchObject({ l1Hits: 1, l2Hits: 0, misses: 1, hitRatio: '50.00' });
+      expect(l1.entries).toBe(1);
+    });
+
+    it('should honor tag and key invalidation', async () => {
+      await cacheTagManager.setWithTags('user:convs:1:list:v1', [{ id: 'c1' }], 600, ['user:1']);
+      await cacheManager.set('conv:msgs:c1:v1', [], 600);
+
+      expect(await cacheTagManager.invalidateTag('user:1')).toBe(false);
+      await cacheManager.delMany(['conv:msgs:c1:v1']);
+
+      expect(await cacheManager.get('user:convs:1:list:v1')).toBeNull();
+      expect(await cacheManager.get('conv:msgs:c1:v1')).toBeNull();
+    });
+  });
+
+  describe('with Redis up', () => {
+    const connect = (values = {}) => {
+      const redis = {
+        get: jest.fn(async (key) => values[key] ?? null),
+        setex: jest.fn(async () => 'OK'),
+        del: jest.fn(async () => 1),
+        publish: jest.fn(async () => 1),
+        hincrby: jest.fn(async () => 1),
+      };
+      cacheManager.redis = redis;
+      redisClient.isConnected = true;
+      return redis;
+    };
+
+    it('should fill L1 from Redis and count L1 and L2 hits apart', async () => {
+      const redis = connect({ 'roadmap:detail:r1:v1': JSON.stringify({ title: 'Go' }) });
+
+      expect(await cacheManager.get('roadmap:detail:r1:v1')).toEqual({ title: 'Go' });
+      expect(await cacheManager.get('roadmap:detail:r1:v1')).toEqual({ title: 'Go' });
+
+      expect(redis.get).toHaveBeenCalledTimes(1);
+      expect(cacheMetrics.getTierStats().namespaces.roadmap).toMatchObject({ l1Hits: 1, l2Hits: 1, misses: 0 });
+    });
+
+    it('should publish invalidations for other instances and skip excluded namespaces', async () => {
+      const redis = connect();
+
+      await cacheManager.set('user:stats:1:v1', { streak: 2 }, 900);
+      await cacheManager.del('lock:user:stats:1:v1:fetch');
+
+      expect(redis.setex).toHaveBeenCalledWith('user:stats:1:v1', 900, '{"streak":2}');
+      expect(redis.publish).toHaveBeenCalledTimes(1);
+      const message = JSON.parse(redis.publish.mock.calls[0][1]);
+      expect(message).toEqual({ origin: cacheManager.instanceId, keys: ['user:stats:1:v1'], tags: [], flush: false });
+    });
+  });
+
+  describe('invalidation messages', () => {
+    it('should evict keys and tags published by other instances only', async () => {
+      await cacheManager.set('user:a:v1', 1, 60);
+      await cacheManager.set('user:b:v1', 2, 60, { tags: ['user:1'] });
+
+      cacheManager.handleInvalidation(JSON.stringify({ origin: cacheManager.instanceId, keys: ['user:a:v1'] }));
+      expect(l1Cache.get('user:a:v1')).toBe(1);
+
+      cacheManager.handleInvalidation(JSON.stringify({ origin: 'other', keys: ['user:a:v1'], tags: ['user:1'] }));
+      expect(l1Cache.get('user:a:v1')).toBeUndefined();
+      expect(l1Cache.get('user:b:v1')).toBeUndefined();
+
+      await cacheManager.set('user:c:v1', 3, 60);
+      cacheManager.handleInvalidation(JSON.stringify({ origin: 'other', flush: true }));
+      expect(l1Cache.getStats().entries).toBe(0);
+    });
+  });
+});
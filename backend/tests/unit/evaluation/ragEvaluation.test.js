@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for RAG Evaluation Metrics, Golden Sets and Run Comparison
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  recallAtK,
+  reciprocalRank,
+  faithfulness,
+  cosineSimilarity,
+  splitSentences,
+  aggregateResults,
+  compareSummaries,
+} from '../../../ai/evaluation/metrics.js';
+import { listGoldenSets, loadGoldenSet, GoldenSetError } from '../../../ai/evaluation/goldenSets.js';
+import { compareRuns } from '../../../services/ragEvaluationService.js';
+
+const sources = [
+  { id: 'doc_a:0', metadata: { title: 'Intro to Python' } },
+  { id: 'doc_b:3', metadata: { documentId: 'doc_b', source: 'week2.pdf' } },
+  { id: 'x', metadata: {} },
+];
+
+describe('RAG Evaluation Metrics', () => {
+  it('should compute recall@k against titles, sources and ids', () => {
+    expect(recallAtK(sources, ['intro to python', 'week2.pdf'], 2)).toBe(1);
+    expect(recallAtK(sources, ['Intro to Python', 'week2.pdf'], 1)).toBe(0.5);
+    expect(recallAtK(sources, ['doc_b', 'missing'], 3)).toBe(0.5);
+    expect(recallAtK(sources, [], 3)).toBeNull();
+  });
+
+  it('should compute the reciprocal rank of the first expected source', () => {
+    expect(reciprocalRank(sources, ['week2.pdf'])).toBe(0.5);
+    expect(reciprocalRank(sources, ['x', 'doc_a:0'])).toBe(1);
+    expect(reciprocalRank(sources, ['missing'])).toBe(0);
+    expect(reciprocalRank([], [])).toBeNull();
+  });
+
+  it('should count answer sentences supported by a passage', () => {
+    const sentences = [[1, 0], [0, 1], [0.7, 0.7]];
+    const passages = [[1, 0.1]];
+
+    expect(faithfulness(sentences, passages, 0.9)).toBeCloseTo(1 / 3);
+    expect(faithfulness(sentences, passages, 0.7)).toBeCloseTo(2 / 3);
+    expect(faithfulness(sentences, [], 0.7)).toBe(0);
+    expect(faithfulness([], passages, 0.7)).toBeNull();
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+
+  it('should split answers into sentences and drop citation fragments', () => {
+    expect(splitSentences('Python is readable. [1]\nIt supports OOP and functional styles! Ok.')).toEqual([
+      'Python is readable.',
+      'It supports OOP and functional styles!',
+    ]);
+  });
+
+  it('should average results per strategy, leaving out errors and missing metrics', () => {
+    const summary = aggregateResults([
+      { metrics: { recallAtK: 1, mrr: 1, faithfulness: 0.5, answerSimilarity: 0.8 }, latencyMs: 100 },
+      { metrics: { recallAtK: 0, mrr: 0.5, faithfulness: null, answerSimilarity: 0.6 }, latencyMs: 300 },
+      { error: 'LLM unavailable', latencyMs: 5 },
+    ]);
+
+    expect(summary).toEqual({
+      recallAtK: 0.5,
+      mrr: 0.75,
+      faithfulness: 0.5,
+      answerSimilarity: expect.closeTo(0.7),
+      avgLatencyMs: 200,
+      questions: 3,
+      errors: 1,
+    });
+  });
+
+  it('should report metric deltas for strategies in both runs', () => {
+    const baseline = { rag: { recallAtK: 0.5, mrr: 0.5, faithfulness: null, answerSimilarity: 0.7, avgLatencyMs: 900 } };
+    const candidate = {
+      rag: { recallAtK: 0.75, mrr: 0.5, faithfulness: 0.9, answerSimilarity: 0.6, avgLatencyMs: 800 },
+      hybrid: { recallAtK: 1 },
+    };
+
+    const comparison = compareSummaries(baseline, candidate);
+
+    expect(Object.keys(comparison)).toEqual(['rag']);
+    expect(comparison.rag.recallAtK).toEqual({ baseline: 0.5, candidate: 0.75, delta: 0.25 });
+    expect(comparison.rag.faithfulness.delta).toBeNull();
+    expect(comparison.rag.answerSimilarity.delta).toBeCloseTo(-0.1);
+  });
+});
+
+describe('Golden Sets', () => {
+  let dir;
+  const goldenSet = (version, overrides = {}) => ({
+    name: 'basics',
+    version,
+    items: [{ id: 'q1', question: 'What is a closure?', expectedSources: ['Closures'], referenceAnswer: 'A function with its scope.' }],
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'golden-'));
+    await fs.writeFile(path.join(dir, 'basics.v1.json'), JSON.stringify(goldenSet(1)));
+    await fs.writeFile(path.join(dir, 'basics.v2.json'), JSON.stringify(goldenSet(2)));
+    await fs.writeFile(path.join(dir, 'broken.v1.json'), JSON.stringify(goldenSet(1, { name: 'broken', items: [] })));
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a golden set');
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should list sets with their versions', async () => {
+    expect(await listGoldenSets(dir)).toEqual([
+      { name: 'basics', versions: [1, 2], latest: 2 },
+      { name: 'broken', versions: [1], latest: 1 },
+    ]);
+  });
+
+  it('should load the latest version with defaults and a content hash', async () => {
+    const set = await loadGoldenSet('basics', undefined, dir);
+
+    expect(set.version).toBe(2);
+    expect(set.collectionKey).toBe('knowledge');
+    expect(set.items[0].conversationHistory).toEqual([]);
+    expect(set.contentHash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('should reject missing and invalid sets', async () => {
+    await expect(loadGoldenSet('basics', 3, dir)).rejects.toMatchObject({ status: 404 });
+    await expect(loadGoldenSet('unknown', undefined, dir)).rejects.toMatchObject({ status: 404 });
+
+    const error = await loadGoldenSet('broken', 1, dir).catch((err) => err);
+    expect(error).toBeInstanceOf(GoldenSetError);
+    expect(error.status).toBe(422);
+  });
+
+  it('should ship a valid default set', async () => {
+    const set = await loadGoldenSet('knowledge-basics', 1, path.resolve('ai/evaluation/goldenSets'));
+    expect(set.items.length).toBeGreaterThan(5);
+  });
+});
+
+describe('Run Comparison', () => {
+  const run = (overrides) => ({
+    _id: 'run',
+    goldenSet: { name: 'basics', version: 1, contentHash: 'h1' },
+    k: 5,
+    settings: { minScore: 0.5, promptsHash: 'p1' },
+    summary: { rag: { recallAtK: 0.5 } },
+    ...overrides,
+  });
+
+  it('should list changed settings and flag runs that are not comparable', () => {
+    const comparison = compareRuns(
+      run({ _id: 'a' }),
+      run({ _id: 'b', settings: { minScore: 0.5, promptsHash: 'p2' }, summary: { rag: { recallAtK: 0.75 } } }),
+    );
+
+    expect(comparison.comparable).toBe(true);
+    expect(comparison.changedSettings).toEqual({ promptsHash: { baseline: 'p1', candidate: 'p2' } });
+    expect(comparison.metrics.rag.recallAtK.delta).toBe(0.25);
+
+    const edited = compareRuns(run({}), run({ goldenSet: { name: 'basics', version: 1, contentHash: 'h2' }, k: 3 }));
+    expect(edited.comparable).toBe(false);
+    expect(edited.warnings).toHaveLength(2);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Unit Tests for the LLM Router and Providers
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { LLMRouter, LLMProviderError } from '../../../ai/llm/llmRouter.js';
+import FixtureProvider, { FixtureMissError } from '../../../ai/llm/providers/fixtureProvider.js';
+import RoutedChatModel from '../../../ai/llm/routedChatModel.js';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+
+const completion = (content) => ({
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: { total_tokens: 5 },
+});
+
+const stubProvider = (name, complete, configured = true) => ({
+  name,
+  isConfigured: () => configured,
+  complete,
+});
+
+const createRouter = (chains, attemptTimeout = 1000) => new LLMRouter({
+  provider: 'primary',
+  providers: {},
+  chains,
+  attemptTimeout,
+});
+
+const messages = [{ role: 'user', content: 'What is a closure?' }];
+
+describe('LLM Router', () => {
+  it('should parse provider and model from chain entries', () => {
+    const router = createRouter({ default: ['primary'], quiz: ['primary:small-model', ' backup '] });
+
+    expect(router.getChain('quiz')).toEqual([
+      { provider: 'primary', model: 'small-model' },
+      { provider: 'backup', model: undefined },
+    ]);
+    expect(router.getChain('unknown')).toEqual([{ provider: 'primary', model: undefined }]);
+  });
+
+  it('should pass the chain model to the provider', async () => {
+    const router = createRouter({ default: ['primary:small-model'] });
+    let receivedModel;
+    router.registerProvider('primary', stubProvider('primary', async (_, options) => {
+      receivedModel = options.model;
+      return completion('ok');
+    }));
+
+    const result = await router.complete(messages);
+
+    expect(receivedModel).toBe('small-model');
+    expect(result.choices[0].message.content).toBe('ok');
+    expect(result.attempts).toEqual([]);
+  });
+
+  it('should fall back to the next provider on error', async () => {
+    const router = createRouter({ default: ['primary', 'backup'] });
+    router.registerProvider('primary', stubProvider('primary', async () => {
+      throw new Error('rate limited');
+    }));
+    router.registerProvider('backup', stubProvider('backup', async () => completion('from backup')));
+
+    const result = await router.complete(messages);
+
+    expect(result.choices[0].message.content).toBe('from backup');
+    expect(result.attempts).toEqual([{ provider: 'primary', error: 'rate limited' }]);
+    expect(router.getStats().primary.errors).toBe(1);
+    expect(router.getStats().backup.fallbacks).toBe(1);
+  });
+
+  it('should fall back when a provider exceeds the attempt timeout', async () => {
+    const router = createRouter({ default: ['slow', 'backup'] }, 50);
+    let aborted = false;
+    router.registerProvider('slow', stubProvider('slow', (_, { signal }) => new Promise(() => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+      });
+    })));
+    router.registerProvider('backup', stubProvider('backup', async () => completion('fast')));
+
+    const result = await router.complete(messages);
+
+    expect(result.choices[0].message.content).toBe('fast');
+    expect(result.attempts[0].error).toMatch(/timed out/);
+    expect(aborted).toBe(true);
+  });
+
+  it('should skip unconfigured providers and throw when the chain is exhausted', async () => {
+    const router = createRouter({ default: ['primary', 'backup'] });
+    router.registerProvider('primary', stubProvider('primary', async () => completion('never'), false));
+    router.registerProvider('backup', stubProvider('backup', async () => {
+      throw new Error('server down');
+    }));
+
+    expect(router.isReady()).toBe(true);
+    await expect(router.complete(messages)).rejects.toBeInstanceOf(LLMProviderError);
+    await expect(router.complete(messages)).rejects.toThrow('server down');
+  });
+
+  it('should not try other providers once the caller aborts', async () => {
+    const router = createRouter({ default: ['primary', 'backup'] });
+    const controller = new AbortController();
+    let backupCalled = false;
+    router.registerProvider('primary', stubProvider('primary', (_, { signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+      controller.abort();
+    })));
+    router.registerProvider('backup', stubProvider('backup', async () => {
+      backupCalled = true;
+      return completion('late');
+    }));
+
+    await expect(router.complete(messages, { signal: controller.signal })).rejects.toThrow('aborted');
+    expect(backupCalled).toBe(false);
+  });
+});
+
+describe('LLM Router streaming', () => {
+  const streamProvider = (name, stream) => ({ name, isConfigured: () => true, stream });
+
+  const collect = async (iterable) => {
+    const chunks = [];
+    for await (const chunk of iterable) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  it('should yield deltas and finish with usage, model and provider', async () => {
+    const router = createRouter({ default: ['primary'] });
+    router.registerProvider('primary', streamProvider('primary', async function* () {
+      yield { delta: 'A closure ', model: 'm1' };
+      yield { delta: 'captures scope.', model: 'm1' };
+      yield { delta: '', model: 'm1', usage: { total_tokens: 7 } };
+    }));
+
+    const chunks = await collect(router.stream(messages));
+
+    expect(chunks.slice(0, 2)).toEqual([{ delta: 'A closure ' }, { delta: 'captures scope.' }]);
+    expect(chunks[2]).toMatchObject({ done: true, usage: { total_tokens: 7 }, model: 'm1', provider: 'primary' });
+    expect(router.getStats().primary.totalTokens).toBe(7);
+  });
+
+  it('should fall back before the first token but not after', async () => {
+    const router = createRouter({ default: ['primary', 'backup'] });
+    router.registerProvider('primary', streamProvider('primary', async function* () {
+      await Promise.reject(new Error('rate limited'));
+      yield { delta: 'never sent' };
+    }));
+    router.registerProvider('backup', stubProvider('backup', async () => completion('from backup')));
+
+    const chunks = await collect(router.stream(messages));
+    expect(chunks[0]).toEqual({ delta: 'from backup' });
+    expect(chunks[1].attempts).toEqual([{ provider: 'primary', error: 'rate limited' }]);
+
+    let backupCalled = false;
+    router.registerProvider('primary', streamProvider('primary', async function* () {
+      yield { delta: 'Half an ans' };
+      throw new Error('connection reset');
+    }));
+    router.registerProvider('backup', stubProvider('backup', async () => {
+      backupCalled = true;
+      return completion('never');
+    }));
+
+    await expect(collect(router.stream(messages))).rejects.toThrow('connection reset');
+    expect(backupCalled).toBe(false);
+  });
+
+  it('should abort the upstream request when the consumer stops reading', async () => {
+    const router = createRouter({ default: ['primary'] });
+    let signal;
+    router.registerProvider('primary', streamProvider('primary', async function* (_, options) {
+      signal = options.signal;
+      yield { delta: 'one ' };
+      yield { delta: 'two ' };
+    }));
+
+    for await (const chunk of router.stream(messages)) {
+      expect(chunk.delta).toBe('one ');
+      break;
+    }
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should time out a stalled stream', async () => {
+    const router = createRouter({ default: ['slow'] }, 50);
+    router.registerProvider('slow', streamProvider('slow', async function* (_, { signal }) {
+      await new Promise((_resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+      yield { delta: 'too late' };
+    }));
+
+    await expect(collect(router.stream(messages))).rejects.toThrow(/timed out/);
+  });
+
+  it('should send one chunk when streaming is switched off', async () => {
+    const router = new LLMRouter({ provider: 'primary', providers: {}, chains: { default: ['primary'] }, attemptTimeout: 1000, streaming: false });
+    router.registerProvider('primary', stubProvider('primary', async () => completion('whole answer')));
+
+    const chunks = await collect(router.stream(messages));
+
+    expect(chunks[0]).toEqual({ delta: 'whole answer' });
+    expect(chunks[1].done).toBe(true);
+  });
+});
+
+describe('Fixture Provider', () => {
+  it('should replay recorded completions and keep JSON mode separate', async () => {
+    const provider = new FixtureProvider('fixture');
+    provider.addFixture(messages, 'A function bundled with its scope.');
+    provider.addFixture(messages, '{"answer":"closure"}', { response_format: { type: 'json_object' } });
+
+    const text = await provider.complete(messages);
+    const json = await provider.complete(messages, { response_format: { type: 'json_object' } });
+
+    expect(text.choices[0].message.content).toBe('A function bundled with its scope.');
+    expect(json.choices[0].message.content).toBe('{"answer":"closure"}');
+    expect(text.provider).toBe('fixture');
+  });
+
+  it('should throw on a miss unless echo is enabled', async () => {
+    const strict = new FixtureProvider('fixture');
+    await expect(strict.complete(messages)).rejects.toBeInstanceOf(FixtureMissError);
+
+    const echo = new FixtureProvider('fixture', { onMiss: 'echo' });
+    const result = await echo.complete(messages);
+    expect(result.choices[0].message.content).toBe('[fixture] What is a closure?');
+  });
+
+  it('should record misses through the configured provider', async () => {
+    const router = createRouter({ default: ['fixture'] });
+    router.registerProvider('live', stubProvider('live', async () => completion('recorded')));
+    const fixture = router.registerProvider('fixture', new FixtureProvider('fixture', {
+      mode: 'record',
+      recordProvider: 'live',
+    }, { resolveProvider: (name) => router.getProvider(name) }));
+
+    await router.complete(messages);
+    fixture.config.mode = 'replay';
+    const replayed = await router.complete(messages);
+
+    expect(replayed.choices[0].message.content).toBe('recorded');
+    expect(replayed.provider).toBe('fixture');
+  });
+
+  it('should fail clearly when the replay fixture file is missing', async () => {
+    const missing = new FixtureProvider('fixture', { path: './tests/fixtures/does-not-exist.json', mode: 'replay' });
+    await expect(missing.complete(messages)).rejects.toThrow(/fixture file .* not found/);
+
+    const recording = new FixtureProvider('fixture', { path: './tests/fixtures/does-not-exist.json', mode: 'record' });
+    await expect(recording.load()).resolves.toEqual({});
+  });
+
+  it('should replay a completion as word deltas', async () => {
+    const provider = new FixtureProvider('fixture');
+    provider.addFixture(messages, 'A function bundled with its scope.');
+
+    const deltas = [];
+    for await (const chunk of provider.stream(messages)) {
+      deltas.push(chunk.delta);
+    }
+
+    expect(deltas.join('')).toBe('A function bundled with its scope.');
+    expect(deltas.length).toBeGreaterThan(2);
+  });
+});
+
+describe('Routed Chat Model', () => {
+  it('should send LangChain messages through the feature chain', async () => {
+    const router = createRouter({ default: ['fixture'], tutor: ['fixture'] });
+    const fixture = router.registerProvider('fixture', new FixtureProvider('fixture'));
+    fixture.addFixture([
+      { role: 'system', content: 'You are a tutor.' },
+      { role: 'user', content: 'Explain recursion.' },
+    ], 'Recursion is a function calling itself.');
+
+    const model = new RoutedChatModel({ feature: 'tutor', router });
+    const response = await model.invoke([
+      new SystemMessage('You are a tutor.'),
+      new HumanMessage('Explain recursion.'),
+    ]);
+
+    expect(response.content).toBe('Recursion is a function calling itself.');
+  });
+
+  it('should stream tokens through model.stream()', async () => {
+    const router = createRouter({ default: ['fixture'] });
+    const fixture = router.registerProvider('fixture', new FixtureProvider('fixture'));
+    fixture.addFixture([{ role: 'user', content: 'Explain recursion.' }], 'Recursion is a function calling itself.');
+
+    const model = new RoutedChatModel({ router });
+    const chunks = [];
+    for await (const chunk of await model.stream([new HumanMessage('Explain recursion.')])) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.content).join('')).toBe('Recursion is a function calling itself.');
+    expect(chunks[chunks.length - 1].response_metadata.provider).toBe('fixture');
+    expect(chunks[chunks.length - 1].usage_metadata.total_tokens).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for the Industry Memory Manager on branched conversations
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../../../models/Message.js';
+import redis from '../../../ai/config/redis.js';
+import industryMemoryManager from '../../../ai/memory/industryMemoryManager.js';
+import aiOrchestrator from '../../../services/aiOrchestrator.js';
+
+const userId = '665a00000000000000000001';
+const conversationId = '665a00000000000000000100';
+const id = (n) => new mongoose.Types.ObjectId(`665a${String(n).padStart(20, '0')}`);
+
+const message = (n, parent, siblingIndex = 0, role = n % 2 ? 'user' : 'assistant') => ({
+  _id: id(n),
+  role,
+  content: `message ${n}`,
+  parentMessage: parent === null ? null : id(parent),
+  siblingIndex,
+  createdAt: new Date(2026, 0, 1, 0, n),
+});
+
+// 1 -> 2 -> 3 -> 4, with question 3 edited into 5 (answered by 6) and 6 regenerated into 7
+const tree = [
+  message(1, null),
+  message(2, 1),
+  message(3, 2),
+  message(4, 3),
+  message(5, 2, 1),
+  message(6, 5),
+  message(7, 5, 1, 'assistant'),
+];
+
+describe('Industry Memory Manager', () => {
+  beforeEach(() => {
+    jest.spyOn(Message, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => tree }) }),
+    });
+    jest.spyOn(Message, 'getActiveLeaf').mockResolvedValue(id(7));
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    jest.spyOn(redis, 'setex').mockResolvedValue('OK');
+    jest.spyOn(industryMemoryManager, 'getLongTermMemory').mockResolvedValue({ memories: [], tokens: 0 });
+    jest.spyOn(industryMemoryManager, 'getUserProfileMemory').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should build the chat prompt from the active branch after an edit and a regeneration', async () => {
+    const { messages, metadata } = await aiOrchestrator.prepareChat('What next?', {
+      userId,
+      conversationId,
+    });
+
+    const prompt = messages[0].content;
+    expect(metadata.memorySystem).toBe('industry');
+    expect(prompt).toContain('user: message 5');
+    expect(prompt).toContain('assistant: message 7');
+    expect(prompt).not.toContain('message 3');
+    expect(prompt).not.toContain('message 4');
+    expect(prompt).not.toContain('message 6');
+  });
+
+  it('should keep the whole active branch in working memory', async () => {
+    const working = await industryMemoryManager.getWorkingMemory(userId, conversationId);
+
+    expect(working.context).toBe('user: message 1\nassistant: message 2\nuser: message 5\nassistant: message 7');
+  });
+
+  it('should key the memory cache by the active leaf', async () => {
+    await industryMemoryManager.getMultiTieredMemory(userId, conversationId);
+
+    expect(redis.get).toHaveBeenCalledWith(`memory:${userId}:${conversationId}:${id(7)}`);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for the Prometheus Metrics Registry and Middleware
+ */
+
+import { EventEmitter } from 'events';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  register,
+  classifierRoutes,
+  registerQueue,
+  registerSocketServer,
+} from '../../../utils/metrics.js';
+import { httpMetrics, metricsEndpoint, routeLabel } from '../../../middleware/metrics.js';
+import { LLMRouter } from '../../../ai/llm/llmRouter.js';
+
+const valuesOf = async (name) => (await register.getSingleMetric(name).get()).values;
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (key, value) => {
+    res.headers[key] = value;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.json = res.send;
+  return res;
+};
+
+describe('Prometheus Metrics', () => {
+  beforeEach(() => {
+    register.resetMetrics();
+  });
+
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+    process.env.NODE_ENV = 'test';
+  });
+
+  it('should time requests by route template', async () => {
+    const req = { method: 'GET', baseUrl: '/api/courses', route: { path: '/:id' } };
+    const res = createResponse();
+
+    httpMetrics(req, res, () => {});
+    res.statusCode = 404;
+    res.emit('finish');
+
+    expect(routeLabel({})).toBe('unmatched');
+    const count = (await valuesOf('http_request_duration_seconds'))
+      .find(({ metricName, labels }) => metricName.endsWith('_count') && labels.route === '/api/courses/:id');
+    expect(count).toMatchObject({ value: 1, labels: { method: 'GET', status_code: 404 } });
+  });
+
+  it('should record LLM latency, tokens and errors per model and feature', async () => {
+    const router = new LLMRouter({
+      provider: 'primary',
+      providers: {},
+      chains: { quiz: ['primary:big', 'backup:small'] },
+      attemptTimeout: 1000,
+    });
+    router.registerProvider('primary', {
+      name: 'primary',
+      isConfigured: () => true,
+      complete: async () => Promise.reject(new Error('rate limited')),
+    });
+    router.registerProvider('backup', {
+      name: 'backup',
+      isConfigured: () => true,
+      complete: async () => ({
+        model: 'small',
+        choices: [{ message: { role: 'assistant', content: 'ok' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+      }),
+    });
+
+    await router.complete([{ role: 'user', content: 'Quiz me' }], { feature: 'quiz' });
+
+    expect(await valuesOf('llm_errors_total')).toEqual([
+      expect.objectContaining({ value: 1, labels: { provider: 'primary', model: 'big', feature: 'quiz' } }),
+    ]);
+    expect(await valuesOf('llm_tokens_total')).toEqual([
+      expect.objectContaining({ value: 12, labels: expect.objectContaining({ model: 'small', type: 'prompt' }) }),
+      expect.objectContaining({ value: 3, labels: expect.objectContaining({ model: 'small', type: 'completion' }) }),
+    ]);
+    const outcomes = (await valuesOf('llm_request_duration_seconds'))
+      .filter(({ metricName }) => metricName.endsWith('_count'))
+      .map(({ labels }) => `${labels.provider}:${labels.outcome}`);
+    expect(outcomes).toEqual(['primary:error', 'backup:success']);
+  });
+
+  it('should read queue depth and socket connections at scrape time', async () => {
+    registerQueue({ name: 'stt', getJobCounts: async () => ({ waiting: 4, active: 1, delayed: 0, failed: 2, completed: 9 }) });
+    registerQueue({ name: 'down', getJobCounts: async () => Promise.reject(new Error('ECONNREFUSED')) });
+
+    const io = new EventEmitter();
+    io.engine = { clientsCount: 3 };
+    registerSocketServer(io);
+    io.emit('connection', {});
+
+    classifierRoutes.inc({ classifier: 'semantic', route: 'rag' });
+
+    const text = await register.metrics();
+    expect(text).toContain('queue_jobs{queue="stt",state="waiting"} 4');
+    expect(text).toContain('queue_jobs{queue="stt",state="failed"} 2');
+    expect(text).not.toContain('queue="down"');
+    expect(text).toContain('socketio_connected_clients 3');
+    expect(text).toContain('socketio_connections_total 1');
+    expect(text).toContain('ai_classifier_routes_total{classifier="semantic",route="rag"} 1');
+    expect(text).toMatch(/embedding_cache_hit_ratio \d/);
+    expect(text).toContain('# TYPE embedding_cache_lookups_total counter');
+    expect(text).toMatch(/embedding_cache_lookups_total\{result="miss"\} \d/);
+    expect(text).toContain('# TYPE cache_lookups_total counter');
+  });
+
+  it('should require the bearer token when METRICS_TOKEN is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const denied = createResponse();
+    await metricsEndpoint({ headers: { authorization: 'Bearer wrong' } }, denied);
+    expect(denied.statusCode).toBe(401);
+
+    const allowed = createResponse();
+    await metricsEndpoint({ headers: { authorization: 'Bearer scrape-secret' } }, allowed);
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.headers['Content-Type']).toBe(register.contentType);
+    expect(allowed.body).toContain('# TYPE http_request_duration_seconds histogram');
+  });
+
+  it('should stay closed in production until METRICS_TOKEN is set', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const closed = createResponse();
+    await metricsEndpoint({ headers: {} }, closed);
+    expect(closed.statusCode).toBe(403);
+    expect(closed.body).toMatchObject({ success: false });
+
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const allowed = createResponse();
+    await metricsEndpoint({ headers: { authorization: 'Bearer scrape-secret' } }, allowed);
+    expect(allowed.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Message Branching (edits and regenerations)
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../../../models/Message.js';
+
+const conversationId = '665a00000000000000000100';
+const id = (n) => new mongoose.Types.ObjectId(`665a${String(n).padStart(20, '0')}`);
+
+const message = (n, parent, siblingIndex = 0, role = n % 2 ? 'user' : 'assistant') => ({
+  _id: id(n),
+  role,
+  content: `message ${n}`,
+  parentMessage: parent === null ? null : id(parent),
+  siblingIndex,
+  createdAt: new Date(2026, 0, 1, 0, n),
+});
+
+// 1 -> 2 -> 3 -> 4, with 3 edited into 5 (answered by 6) and 6 regenerated into 7
+const tree = [
+  message(1, null),
+  message(2, 1),
+  message(3, 2),
+  message(4, 3),
+  message(5, 2, 1),
+  message(6, 5),
+  message(7, 5, 1, 'assistant'),
+];
+
+const mockMessages = (messages) => jest.spyOn(Message, 'find').mockReturnValue({
+  sort: () => ({ select: () => ({ lean: async () => messages }) }),
+});
+
+const ids = (branch) => branch.messages.map((msg) => String(msg._id));
+
+describe('Message Branching', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the path from the root to the active leaf', async () => {
+    mockMessages(tree);
+    jest.spyOn(Message, 'getActiveLeaf').mockResolvedValue(id(7));
+
+    const branch = await Message.getBranch(conversationId);
+
+    expect(String(branch.leafId)).toBe(String(id(7)));
+    expect(ids(branch)).toEqual([id(1), id(2), id(5), id(7)].map(String));
+  });
+
+  it('should list the siblings of every message on the branch in sibling order', async () => {
+    mockMessages(tree);
+    jest.spyOn(Message, 'getActiveLeaf').mockResolvedValue(id(7));
+
+    const { messages } = await Message.getBranch(conversationId);
+
+    expect(messages.map((msg) => msg.siblingCount)).toEqual([1, 1, 2, 2]);
+    expect(messages[2].siblingIds.map(String)).toEqual([id(3), id(5)].map(String));
+    expect(messages[3].siblingIds.map(String)).toEqual([id(6), id(7)].map(String));
+  });
+
+  it('should follow the newest descendants of a message from another branch', async () => {
+    mockMessages(tree);
+
+    const original = await Message.getBranch(conversationId, id(3));
+    expect(ids(original)).toEqual([id(1), id(2), id(3), id(4)].map(String));
+    expect(String(original.leafId)).toBe(String(id(4)));
+
+    const edited = await Message.getBranch(conversationId, id(5));
+    expect(String(edited.leafId)).toBe(String(id(7)));
+  });
+
+  it('should stop at the message when not descending', async () => {
+    mockMessages(tree);
+
+    const branch = await Message.getBranch(conversationId, id(5), { descend: false });
+
+    expect(ids(branch)).toEqual([id(1), id(2), id(5)].map(String));
+  });
+
+  it('should return null for a message outside the conversation and an empty branch without messages', async () => {
+    mockMessages(tree);
+    expect(await Message.getBranch(conversationId, id(99))).toBeNull();
+
+    jest.spyOn(Message, 'getActiveLeaf').mockResolvedValue(null);
+    expect(await Message.getBranch(conversationId)).toEqual({ leafId: null, messages: [] });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for QuizAttempt scoring
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Quiz from '../../../models/Quiz.js';
+import QuizAttempt from '../../../models/QuizAttempt.js';
+
+const question = (n, points = 1) => ({
+  _id: new mongoose.Types.ObjectId(`665b${String(n).padStart(20, '0')}`),
+  type: 'mcq',
+  question: `Question ${n}`,
+  options: ['a', 'b'],
+  correctAnswer: 'a',
+  explanation: 'Because',
+  points,
+  tags: [`topic-${n}`],
+});
+
+const quiz = new Quiz({
+  title: 'Scoring',
+  questions: [question(1), question(2), question(3, 2)],
+  totalPoints: 4,
+  settings: { passingScore: 70 },
+});
+
+const attempt = (answers) => new QuizAttempt({
+  user: new mongoose.Types.ObjectId(),
+  quiz: quiz._id,
+  answers,
+  timeStarted: new Date(),
+});
+
+const answer = (n, pointsEarned, isCorrect = pointsEarned > 0) => ({
+  questionId: question(n)._id,
+  userAnswer: 'a',
+  isCorrect,
+  pointsEarned,
+});
+
+describe('QuizAttempt.calculateResults', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const score = async (answers) => {
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    const doc = attempt(answers);
+    jest.spyOn(doc, 'save').mockResolvedValue(doc);
+    await doc.calculateResults();
+    return doc;
+  };
+
+  it('scores each answered question by its graded points', async () => {
+    const doc = await score([answer(1, 1), answer(2, 0), answer(3, 2)]);
+
+    expect(doc.score.pointsEarned).toBe(3);
+    expect(doc.score.percentage).toBe(75);
+    expect(doc.passed).toBe(true);
+    expect(doc.weakTopics).toEqual(['topic-2']);
+  });
+
+  it('counts a repeated question only once', async () => {
+    const doc = await score([answer(1, 1), answer(1, 1), answer(1, 1), answer(1, 1)]);
+
+    expect(doc.score.pointsEarned).toBe(1);
+    expect(doc.score.percentage).toBe(25);
+    expect(doc.passed).toBe(false);
+  });
+
+  it('caps an answer at the points of its question and ignores unknown questions', async () => {
+    const doc = await score([answer(1, 50), answer(9, 4)]);
+
+    expect(doc.score.pointsEarned).toBe(1);
+    expect(doc.passed).toBe(false);
+  });
+});
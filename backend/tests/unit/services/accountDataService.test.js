@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for Account Data Export and Deletion
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import AdmZip from 'adm-zip';
+import crypto from 'crypto';
+import User from '../../../models/User.js';
+import Conversation from '../../../models/Conversation.js';
+import VoiceSession from '../../../models/VoiceSession.js';
+import CourseReview from '../../../models/CourseReview.js';
+import DataRequest from '../../../models/DataRequest.js';
+import Order from '../../../models/Order.js';
+import Payout from '../../../models/Payout.js';
+import LedgerTransaction from '../../../models/LedgerTransaction.js';
+import {
+  USER_DATA_STORES,
+  buildExportArchive,
+  digestReport,
+  processDataRequest,
+} from '../../../services/accountDataService.js';
+
+const userId = '665a00000000000000000001';
+const conversationId = '665a00000000000000000002';
+const coCreatorId = '665a00000000000000000003';
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+const storeFilter = (name, context = {}) =>
+  USER_DATA_STORES.find(store => store.name === name).filter(userId, context);
+
+describe('Account Data Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('user data stores', () => {
+    it('should have a unique name for every store', () => {
+      const names = USER_DATA_STORES.map(store => store.name);
+      expect(new Set(names).size).toBe(names.length);
+    });
+
+    it('should include messages from the user\'s conversations', () => {
+      expect(storeFilter('messages', { conversationIds: [conversationId] })).toEqual({
+        $or: [{ user: userId }, { conversation: { $in: [conversationId] } }],
+      });
+    });
+
+    it('should match newsletter subscriptions by email only when there is one', () => {
+      expect(storeFilter('newsletter', { email: 'Learner@Example.com' })).toEqual({ email: 'learner@example.com' });
+      expect(storeFilter('newsletter', {})).toEqual({ _id: null });
+    });
+  });
+
+  describe('deletion report digest', () => {
+    it('should be stable for the same report and change with its contents', () => {
+      const report = { requestId: 'r1', stores: { messages: { deleted: 3, remaining: 0 } }, verified: true };
+
+      expect(digestReport(report)).toBe(digestReport({ ...report }));
+      expect(digestReport(report)).toMatch(/^[a-f0-9]{64}$/);
+      expect(digestReport({ ...report, verified: false })).not.toBe(digestReport(report));
+    });
+  });
+
+  describe('export archive', () => {
+    it('should zip every store with a checksummed manifest', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(lean({ _id: userId, name: 'Ada', email: 'ada@example.com' }));
+      jest.spyOn(Conversation, 'distinct').mockResolvedValue([conversationId]);
+      jest.spyOn(VoiceSession, 'distinct').mockResolvedValue([]);
+      for (const store of USER_DATA_STORES) {
+        jest.spyOn(store.model, 'find').mockReturnValue(lean(store.name === 'flashcards' ? [{ front: 'Q', back: 'A' }] : []));
+      }
+      const progress = [];
+
+      const buffer = await buildExportArchive(userId, { onProgress: (value) => progress.push(value) });
+      const zip = new AdmZip(buffer);
+      const manifest = JSON.parse(zip.readAsText('manifest.json'));
+
+      expect(JSON.parse(zip.readAsText('account.json')).email).toBe('ada@example.com');
+      expect(JSON.parse(zip.readAsText('flashcards.json'))).toEqual([{ front: 'Q', back: 'A' }]);
+      expect(JSON.parse(zip.readAsText('voice_audio.json'))).toEqual({ available: false, sessions: [], omitted: 0 });
+      expect(manifest.files).toHaveLength(USER_DATA_STORES.length + 2);
+      for (const file of manifest.files) {
+        const hash = crypto.createHash('sha256').update(zip.getEntry(file.name).getData()).digest('hex');
+        expect(file.sha256).toBe(hash);
+      }
+      expect(progress[progress.length - 1]).toBe(80);
+    });
+
+    it('should export financial records without other people\'s shares', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(lean({ _id: userId }));
+      jest.spyOn(Conversation, 'distinct').mockResolvedValue([]);
+      jest.spyOn(VoiceSession, 'distinct').mockResolvedValue([]);
+      for (const store of USER_DATA_STORES) {
+        jest.spyOn(store.model, 'find').mockReturnValue(lean([]));
+      }
+      const select = jest.fn(() => ({ lean: async () => [{ total: 4999 }] }));
+      Order.find.mockReturnValue({ select });
+      LedgerTransaction.find.mockReturnValue(lean([{
+        type: 'sale',
+        lines: [
+          { account: 'contributor:held', user: userId, credit: 2800 },
+          { account: 'contributor:held', user: coCreatorId, credit: 699 },
+        ],
+      }]));
+
+      const zip = new AdmZip(await buildExportArchive(userId));
+
+      expect(select).toHaveBeenCalledWith('-revenue');
+      expect(JSON.parse(zip.readAsText('orders.json'))).toEqual([{ total: 4999 }]);
+      expect(JSON.parse(zip.readAsText('ledgerLines.json'))[0].lines).toEqual([
+        { account: 'contributor:held', user: userId, credit: 2800 },
+      ]);
+    });
+  });
+
+  describe('account deletion', () => {
+    it('should keep financial records, clear payout references and report them as retained', async () => {
+      const request = new DataRequest({ user: userId, type: 'deletion', targets: { voiceSessionIds: [] } });
+      jest.spyOn(request, 'save').mockResolvedValue(request);
+      jest.spyOn(DataRequest, 'findOneAndUpdate').mockResolvedValue(request);
+      jest.spyOn(DataRequest, 'updateOne').mockResolvedValue({});
+      jest.spyOn(DataRequest, 'find').mockReturnValue(lean([]));
+      jest.spyOn(DataRequest, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Conversation, 'distinct').mockResolvedValue([]);
+      jest.spyOn(CourseReview, 'distinct').mockResolvedValue([]);
+      jest.spyOn(CourseReview, 'updateMany').mockResolvedValue({});
+      for (const store of USER_DATA_STORES) {
+        jest.spyOn(store.model, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        jest.spyOn(store.model, 'updateMany').mockResolvedValue({});
+        jest.spyOn(store.model, 'countDocuments').mockResolvedValue(store.retain ? 2 : 0);
+      }
+
+      await processDataRequest(request._id);
+
+      expect(Order.deleteMany).not.toHaveBeenCalled();
+      expect(Payout.deleteMany).not.toHaveBeenCalled();
+      expect(LedgerTransaction.deleteMany).not.toHaveBeenCalled();
+      expect(Payout.updateMany).toHaveBeenCalledWith({ user: request.user }, { $set: { reference: null } });
+      const stores = Object.fromEntries(request.report.stores.map(store => [store.store, store]));
+      expect(stores.payouts).toEqual({ store: 'payouts', deleted: 0, retained: 2, remaining: 0 });
+      expect(stores.flashcards).toEqual({ store: 'flashcards', deleted: 1, remaining: 0 });
+      expect(request.report.account.deleted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Anki Import/Export
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import AdmZip from 'adm-zip';
+import {
+  buildApkg,
+  parseApkg,
+  parseDelimited,
+  parseImportFile,
+  importFlashcards,
+  htmlToText,
+  renderCloze,
+  AnkiImportError,
+} from '../../../services/ankiService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(Date.UTC(2024, 5, 1, 12));
+
+const flashcards = [
+  {
+    _id: '665a00000000000000000001',
+    deck: 'CS::Algorithms',
+    front: 'Big-O of binary search?',
+    back: 'O(log n)\nfor sorted input',
+    tags: ['algorithms', 'search'],
+    createdAt: new Date(now.getTime() - 30 * DAY),
+    spacedRepetition: {
+      easeFactor: 2.6,
+      interval: 12,
+      repetitions: 3,
+      lastReviewDate: new Date(now.getTime() - 2 * DAY),
+      nextReviewDate: new Date(now.getTime() + 10 * DAY),
+    },
+    stats: { totalReviews: 4, correctReviews: 3, incorrectReviews: 1 },
+  },
+  {
+    _id: '665a00000000000000000002',
+    deck: 'Biology',
+    front: 'Cell <organelle> & energy?',
+    back: 'Mitochondria',
+    tags: [],
+    createdAt: new Date(now.getTime() - DAY),
+    suspended: true,
+    spacedRepetition: { easeFactor: 2.5, interval: 0, repetitions: 0, nextReviewDate: now },
+    stats: { totalReviews: 0, correctReviews: 0, incorrectReviews: 0 },
+  },
+];
+
+describe('Anki Service', () => {
+  describe('.apkg round trip', () => {
+    it('should export notes, deck hierarchy, tags and scheduling that import back', async () => {
+      const buffer = await buildApkg(flashcards, {
+        now,
+        reviews: [{
+          flashcard: flashcards[0]._id,
+          rating: 3,
+          intervalBefore: 5,
+          intervalAfter: 12,
+          responseTime: 4200,
+          reviewedAt: new Date(now.getTime() - 2 * DAY),
+        }],
+      });
+
+      const zip = new AdmZip(buffer);
+      expect(zip.getEntry('collection.anki2')).toBeTruthy();
+      expect(zip.getEntry('media').getData().toString()).toBe('{}');
+
+      const cards = await parseApkg(buffer, { now });
+      const algorithms = cards.find(card => card.deck === 'CS::Algorithms');
+      const biology = cards.find(card => card.deck === 'Biology');
+
+      expect(cards).toHaveLength(2);
+      expect(algorithms.front).toBe('Big-O of binary search?');
+      expect(algorithms.back).toBe('O(log n)\nfor sorted input');
+      expect(algorithms.tags).toEqual(['algorithms', 'search']);
+      expect(algorithms.guid).toBe(flashcards[0]._id);
+      expect(algorithms.spacedRepetition.interval).toBe(12);
+      expect(algorithms.spacedRepetition.easeFactor).toBeCloseTo(2.6);
+      expect(algorithms.spacedRepetition.nextReviewDate.toISOString().slice(0, 10))
+        .toBe(flashcards[0].spacedRepetition.nextReviewDate.toISOString().slice(0, 10));
+      expect(algorithms.stats.incorrectReviews).toBe(1);
+      expect(algorithms.suspended).toBe(false);
+
+      expect(biology.front).toBe('Cell <organelle> & energy?');
+      expect(biology.spacedRepetition.lastReviewDate).toBeUndefined();
+      expect(biology.suspended).toBe(true);
+    });
+
+    it('should place imported decks under a chosen parent deck', async () => {
+      const buffer = await buildApkg(flashcards, { now });
+      const cards = await parseImportFile({ buffer, originalname: 'shared.apkg' }, { deck: 'Shared' });
+
+      expect(cards.map(card => card.deck).sort()).toEqual(['Shared::Biology', 'Shared::CS::Algorithms']);
+    });
+
+    it('should reject files that are not Anki packages', async () => {
+      await expect(parseApkg(Buffer.from('not a zip'))).rejects.toBeInstanceOf(AnkiImportError);
+      await expect(parseImportFile({ buffer: Buffer.from(''), originalname: 'deck.pdf' }))
+        .rejects.toThrow('Unsupported file type');
+    });
+
+    it('should refuse to inflate a collection whose uncompressed size is over the limit', async () => {
+      const zip = new AdmZip();
+      zip.addFile('collection.anki2', Buffer.alloc(1024));
+      const buffer = zip.toBuffer();
+      // Claim 4 GB uncompressed in the central directory, as a zip bomb would
+      buffer.writeUInt32LE(0xffffffff, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+      const error = await parseApkg(buffer).catch(err => err);
+      expect(error).toBeInstanceOf(AnkiImportError);
+      expect(error.status).toBe(413);
+    });
+  });
+
+  describe('import limits', () => {
+    it('should reject more cards than one import allows', async () => {
+      const cards = Array.from({ length: 50001 }, (_, i) => ({ front: `Q${i}`, back: 'A' }));
+
+      const error = await importFlashcards('665a00000000000000000009', cards).catch(err => err);
+      expect(error).toBeInstanceOf(AnkiImportError);
+      expect(error.status).toBe(413);
+    });
+  });
+
+  describe('CSV/TSV parsing', () => {
+    it('should read the existing CSV export with quoted fields', () => {
+      const csv = 'Front,Back,Tags\n"What is ""HTTP""?","A protocol,\nfor the web","web networking"\n';
+      const cards = parseDelimited(csv, { deck: 'Web' });
+
+      expect(cards).toEqual([{
+        row: 2,
+        front: 'What is "HTTP"?',
+        back: 'A protocol,\nfor the web',
+        tags: ['web', 'networking'],
+        deck: 'Web',
+      }]);
+    });
+
+    it('should honour Anki text export headers', () => {
+      const tsv = [
+        '#separator:tab',
+        '#html:true',
+        '#deck column:3',
+        '#tags column:4',
+        'Capital of France<br>(city)\tParis &amp; Île-de-France\tGeography::Europe\tcapitals',
+      ].join('\n');
+
+      const [card] = parseDelimited(tsv);
+
+      expect(card.front).toBe('Capital of France\n(city)');
+      expect(card.back).toBe('Paris & Île-de-France');
+      expect(card.deck).toBe('Geography::Europe');
+      expect(card.tags).toEqual(['capitals']);
+    });
+
+    it('should preserve intervals from scheduling columns', () => {
+      const csv = 'question;answer;interval;due\n2+2;4;15;2024-06-20\n';
+      const [card] = parseDelimited(csv, { now });
+
+      expect(card.deck).toBe('Imported');
+      expect(card.spacedRepetition.interval).toBe(15);
+      expect(card.spacedRepetition.nextReviewDate.toISOString()).toBe('2024-06-20T00:00:00.000Z');
+    });
+  });
+
+  describe('text helpers', () => {
+    it('should convert Anki HTML and cloze markup to plain text', () => {
+      expect(htmlToText('<div>a&nbsp;b</div><div>c &#x41;</div>')).toBe('a b\nc A');
+      expect(renderCloze('{{c1::Paris}} is in {{c2::France::country}}', false)).toBe('[...] is in [country]');
+      expect(renderCloze('{{c1::Paris}} is in {{c2::France::country}}', true)).toBe('Paris is in France');
+    });
+  });
+});
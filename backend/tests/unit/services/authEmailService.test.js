@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for Email Verification, Password Reset and the Mailer
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import User from '../../../models/User.js';
+import { sendMail, setMailTransport } from '../../../services/mailService.js';
+import {
+  AuthEmailError,
+  hashToken,
+  resendWaitSeconds,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+} from '../../../services/authEmailService.js';
+
+const now = new Date(Date.UTC(2024, 5, 1, 12));
+
+const makeUser = (fields = {}) => {
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', ...fields });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const linkToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe('Auth Email Service', () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    setMailTransport({ name: 'memory', send: async (message) => sent.push(message) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setMailTransport(null);
+  });
+
+  describe('email verification', () => {
+    it('should email a link and store only the token hash', async () => {
+      const user = makeUser();
+
+      await sendVerificationEmail(user, { now });
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('ada@example.com');
+      const token = linkToken(sent[0]);
+      expect(user.emailVerificationToken).toBe(hashToken(token));
+      expect(user.emailVerificationToken).not.toBe(token);
+      expect(user.emailVerificationExpire.getTime()).toBe(now.getTime() + 24 * 60 * 60 * 1000);
+      expect(user.emailVerificationSentAt).toEqual(now);
+    });
+
+    it('should throttle resends', async () => {
+      const user = makeUser({ emailVerificationSentAt: new Date(now.getTime() - 20 * 1000) });
+
+      const error = await sendVerificationEmail(user, { now }).catch(err => err);
+
+      expect(error).toBeInstanceOf(AuthEmailError);
+      expect(error.status).toBe(429);
+      expect(error.retryAfter).toBe(40);
+      expect(sent).toHaveLength(0);
+
+      await sendVerificationEmail(user, { now, throttle: false });
+      expect(sent).toHaveLength(1);
+    });
+
+    it('should escape the name in the HTML body', async () => {
+      await sendVerificationEmail(makeUser({ name: '<img src=x onerror=alert(1)>' }), { now });
+
+      expect(sent[0].html).toContain('Hi &lt;img src=x onerror=alert(1)&gt;,');
+      expect(sent[0].html).not.toContain('<img');
+    });
+
+    it('should refuse verified accounts', async () => {
+      await expect(sendVerificationEmail(makeUser({ isVerified: true }), { now })).rejects.toThrow('already verified');
+    });
+
+    it('should verify by hashed, unexpired token and clear it', async () => {
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await verifyEmail('abc', now);
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ emailVerificationToken: hashToken('abc'), emailVerificationExpire: { $gt: now } });
+      expect(update.$set).toEqual({ isVerified: true, verifiedAt: now });
+      expect(update.$unset).toEqual({ emailVerificationToken: 1, emailVerificationExpire: 1 });
+      expect(await verifyEmail('')).toBeNull();
+    });
+  });
+
+  describe('password reset', () => {
+    it('should email a reset link to known accounts only', async () => {
+      const user = makeUser();
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+      await requestPasswordReset(' ADA@example.com ', now);
+      await requestPasswordReset('nobody@example.com', now);
+
+      expect(User.findOne).toHaveBeenNthCalledWith(1, { email: 'ada@example.com' });
+      expect(sent).toHaveLength(1);
+      expect(user.resetPasswordToken).toBe(hashToken(linkToken(sent[0])));
+      expect(user.resetPasswordExpire.getTime()).toBe(now.getTime() + 60 * 60 * 1000);
+    });
+
+    it('should silently skip a second request inside the resend interval', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(makeUser({ resetPasswordSentAt: now }));
+
+      await requestPasswordReset('ada@example.com', now);
+
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should consume the token before setting the password', async () => {
+      const user = makeUser();
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+      const result = await resetPassword('tok', 'newpassword', now);
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ resetPasswordToken: hashToken('tok'), resetPasswordExpire: { $gt: now } });
+      expect(update.$unset).toHaveProperty('resetPasswordToken');
+      expect(result.password).toBe('newpassword');
+      expect(result.isVerified).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should reject short passwords and unknown tokens', async () => {
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(resetPassword('tok', '123')).rejects.toBeInstanceOf(AuthEmailError);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+      expect(await resetPassword('tok', 'newpassword')).toBeNull();
+    });
+  });
+
+  describe('helpers', () => {
+    it('should count down the resend wait', () => {
+      expect(resendWaitSeconds(null, now)).toBe(0);
+      expect(resendWaitSeconds(new Date(now.getTime() - 59500), now)).toBe(1);
+      expect(resendWaitSeconds(new Date(now.getTime() - 60000), now)).toBe(0);
+    });
+
+    it('should reject tokens issued before the last password change', () => {
+      const iat = Math.floor(now.getTime() / 1000);
+
+      expect(makeUser().changedPasswordAfter(iat)).toBe(false);
+      expect(makeUser({ passwordChangedAt: new Date(now.getTime() + 1000) }).changedPasswordAfter(iat)).toBe(true);
+      // A token signed in the same second as the change (the one handed out with it) stays valid
+      expect(makeUser({ passwordChangedAt: new Date(now.getTime() + 500) }).changedPasswordAfter(iat)).toBe(false);
+    });
+
+    it('should write mail to the outbox directory', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+      process.env.MAIL_OUTBOX_DIR = dir;
+      setMailTransport('outbox');
+
+      try {
+        const { file } = await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+        const message = JSON.parse(await fs.readFile(file, 'utf8'));
+
+        expect(path.dirname(file)).toBe(dir);
+        expect(message).toMatchObject({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+        expect(message.from).toBeTruthy();
+      } finally {
+        delete process.env.MAIL_OUTBOX_DIR;
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
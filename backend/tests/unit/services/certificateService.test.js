@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for Course Completion Certificates
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Certificate from '../../../models/Certificate.js';
+import Course from '../../../models/Course.js';
+import Enrollment from '../../../models/Enrollment.js';
+import Quiz from '../../../models/Quiz.js';
+import QuizAttempt from '../../../models/QuizAttempt.js';
+import User from '../../../models/User.js';
+import {
+  generateVerificationId,
+  checkEligibility,
+  issueCertificate,
+  revokeCertificate,
+} from '../../../services/certificateService.js';
+import {
+  certificateLayout,
+  renderCertificatePdf,
+  renderCertificatePng,
+} from '../../../services/certificateRenderService.js';
+
+const learnerId = new mongoose.Types.ObjectId('665c00000000000000000001');
+const creatorId = new mongoose.Types.ObjectId('665c00000000000000000002');
+const courseId = new mongoose.Types.ObjectId('665c00000000000000000010');
+const quizId = new mongoose.Types.ObjectId('665c00000000000000000020');
+
+const course = (certificate = {}) => new Course({
+  _id: courseId,
+  title: 'Practical Statistics',
+  createdBy: creatorId,
+  creatorRole: 'verified_instructor',
+  certificate,
+});
+
+const enrollment = (status = 'completed') => new Enrollment({
+  user: learnerId,
+  course: courseId,
+  status,
+  completedAt: status === 'completed' ? new Date('2026-05-02T10:00:00Z') : null,
+});
+
+// Chainable stand-in for a Mongoose query
+const query = (result) => ({
+  select: () => query(result),
+  populate: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+const issued = () => new Certificate({
+  verificationId: 'CERT-7KQ2-MX4D-9TWA',
+  user: learnerId,
+  course: courseId,
+  recipientName: 'Ada Lovelace',
+  courseTitle: 'Practical Statistics',
+  instructorName: 'Grace Hopper',
+  completedAt: new Date('2026-05-02T10:00:00Z'),
+});
+
+describe('Certificate Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verification IDs', () => {
+    it('should generate readable, distinct IDs', () => {
+      const ids = new Set(Array.from({ length: 50 }, generateVerificationId));
+
+      expect(ids.size).toBe(50);
+      for (const id of ids) {
+        expect(id).toMatch(/^CERT-[2-9A-HJKMNP-TV-Z]{4}-[2-9A-HJKMNP-TV-Z]{4}-[2-9A-HJKMNP-TV-Z]{4}$/);
+      }
+    });
+  });
+
+  describe('eligibility', () => {
+    it('should wait until the course is completed', async () => {
+      const result = await checkEligibility(enrollment('active'), course());
+
+      expect(result.eligible).toBe(false);
+    });
+
+    it('should respect courses that do not award certificates', async () => {
+      const result = await checkEligibility(enrollment(), course({ enabled: false }));
+
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toMatch(/does not award/);
+    });
+
+    it('should list linked quizzes without a passing attempt when they are required', async () => {
+      const otherQuizId = new mongoose.Types.ObjectId();
+      jest.spyOn(Quiz, 'find').mockReturnValue(query([
+        { _id: quizId, title: 'Distributions' },
+        { _id: otherQuizId, title: 'Hypothesis tests' },
+      ]));
+      jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([{ _id: quizId, percentage: 85 }]);
+
+      const result = await checkEligibility(enrollment(), course({ requirePassingQuizzes: true }));
+
+      expect(result.eligible).toBe(false);
+      expect(result.missingQuizzes).toEqual([{ _id: otherQuizId, title: 'Hypothesis tests' }]);
+      expect(result.quizResults).toEqual([{ quiz: quizId, title: 'Distributions', percentage: 85 }]);
+    });
+  });
+
+  describe('issuing', () => {
+    it('should issue a certificate with the names and title as they are at completion', async () => {
+      const completed = enrollment();
+      // As populated with the creator's name
+      const withCreator = { ...course().toObject(), createdBy: { _id: creatorId, name: 'Grace Hopper' } };
+
+      jest.spyOn(Certificate, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(completed);
+      jest.spyOn(Course, 'findById').mockReturnValue(query(withCreator));
+      jest.spyOn(User, 'findById').mockReturnValue(query({ _id: learnerId, name: 'Ada Lovelace' }));
+      const create = jest.spyOn(Certificate, 'create').mockImplementation(async doc => new Certificate(doc));
+
+      const { certificate, created } = await issueCertificate(learnerId, courseId);
+
+      expect(created).toBe(true);
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(certificate).toMatchObject({
+        recipientName: 'Ada Lovelace',
+        courseTitle: 'Practical Statistics',
+        instructorName: 'Grace Hopper',
+        completedAt: completed.completedAt,
+        status: 'issued',
+      });
+    });
+
+    it('should not issue a second certificate for the same course', async () => {
+      const existing = issued();
+      jest.spyOn(Certificate, 'findOne').mockResolvedValue(existing);
+      const create = jest.spyOn(Certificate, 'create');
+
+      const { certificate, created } = await issueCertificate(learnerId, courseId);
+
+      expect(certificate).toBe(existing);
+      expect(created).toBe(false);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revocation', () => {
+    it('should require a reason', async () => {
+      await expect(revokeCertificate('CERT-7KQ2-MX4D-9TWA', creatorId, ' ')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should report certificates that are already revoked', async () => {
+      jest.spyOn(Certificate, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Certificate, 'exists').mockResolvedValue({ _id: 'x' });
+
+      await expect(revokeCertificate('cert-7kq2-mx4d-9twa', creatorId, 'Plagiarised assignments'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(Certificate.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ verificationId: 'CERT-7KQ2-MX4D-9TWA' });
+    });
+  });
+
+  describe('rendering', () => {
+    it('should print the verification ID and wrap long course titles', () => {
+      const certificate = issued();
+      certificate.courseTitle = 'A Very Long Course Title About Statistics, Probability and Data Analysis in Practice';
+
+      const layout = certificateLayout(certificate);
+      const titleLines = layout.filter(item => item.size === 24).map(item => item.text);
+
+      expect(layout.map(item => item.text)).toContain('Ada Lovelace');
+      expect(layout.some(item => item.text.includes('CERT-7KQ2-MX4D-9TWA'))).toBe(true);
+      expect(titleLines).toHaveLength(2);
+      expect(titleLines.join(' ')).toBe(certificate.courseTitle);
+    });
+
+    it('should render a PDF and a PNG', async () => {
+      const pdf = await renderCertificatePdf(issued());
+      const png = renderCertificatePng(issued());
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(png.subarray(1, 4).toString()).toBe('PNG');
+    });
+  });
+});
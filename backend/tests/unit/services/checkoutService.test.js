@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for Checkout, Payment Webhooks and Refunds
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Course from '../../../models/Course.js';
+import Coupon from '../../../models/Coupon.js';
+import Enrollment from '../../../models/Enrollment.js';
+import Order from '../../../models/Order.js';
+import LedgerTransaction, { ACCOUNTS } from '../../../models/LedgerTransaction.js';
+import User from '../../../models/User.js';
+import { getPaymentProvider } from '../../../services/paymentService.js';
+import { enroll, handleWebhook, refundOrder, REFUND_WINDOW_DAYS } from '../../../services/checkoutService.js';
+
+const creatorId = new mongoose.Types.ObjectId('665a00000000000000000001');
+const coCreatorId = new mongoose.Types.ObjectId('665a00000000000000000002');
+const learnerId = new mongoose.Types.ObjectId('665a00000000000000000003');
+const courseId = new mongoose.Types.ObjectId('665a00000000000000000010');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const paidCourse = () => new Course({
+  _id: courseId,
+  createdBy: creatorId,
+  pricing: { model: 'paid', amount: 4999, currency: 'USD', platformFeePercentage: 30 },
+  contributors: [
+    { user: creatorId, contributionType: 'founder', revenueShare: 80 },
+    { user: coCreatorId, contributionType: 'co-creator', revenueShare: 20 },
+  ],
+});
+
+const order = (overrides = {}) => new Order({
+  user: learnerId,
+  course: courseId,
+  currency: 'USD',
+  subtotal: 4999,
+  total: 4999,
+  provider: 'fake',
+  paymentId: 'pay_1',
+  ...overrides,
+});
+
+describe('Checkout Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('revenue split', () => {
+    it('should pay contributors their share of the instructor pool and the rest to the creator', () => {
+      const course = paidCourse();
+      course.contributors[0].revenueShare = 75;
+
+      const payouts = course.splitInstructorRevenue(3499);
+
+      // 20% of 3499 rounds down to 699; the creator gets 75% plus the unallocated 5% and the rounding
+      expect(payouts).toEqual([
+        expect.objectContaining({ userId: creatorId, amount: 2800 }),
+        expect.objectContaining({ userId: coCreatorId, amount: 699 }),
+      ]);
+      expect(payouts.reduce((sum, payout) => sum + payout.amount, 0)).toBe(3499);
+    });
+  });
+
+  describe('coupons', () => {
+    it('should cap discounts at the price and respect dates and limits', () => {
+      const percent = new Coupon({ code: 'half', discountType: 'percent', amount: 50, createdBy: creatorId });
+      const fixed = new Coupon({ code: 'BIG', discountType: 'fixed', amount: 10000, createdBy: creatorId });
+
+      expect(percent.code).toBe('HALF');
+      expect(percent.discountFor(4999)).toBe(2500);
+      expect(fixed.discountFor(4999)).toBe(4999);
+
+      expect(percent.isRedeemable()).toBe(true);
+      percent.expiresAt = new Date(Date.now() - 1000);
+      expect(percent.isRedeemable()).toBe(false);
+      fixed.maxRedemptions = 1;
+      fixed.redemptionCount = 1;
+      expect(fixed.isRedeemable()).toBe(false);
+    });
+  });
+
+  describe('direct enrollment', () => {
+    const published = (course) => Object.assign(course, { isPublished: true });
+
+    it('should refuse priced courses to learners without creating an enrollment', async () => {
+      jest.spyOn(Course, 'findById').mockResolvedValue(published(paidCourse()));
+      const create = jest.spyOn(Enrollment, 'create');
+
+      await expect(enroll(courseId, learnerId)).rejects.toMatchObject({
+        status: 402,
+        data: { pricing: { amount: 4999, currency: 'USD' } },
+      });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should enroll learners in free courses and instructors in their own priced course', async () => {
+      const free = published(paidCourse());
+      free.pricing = { model: 'free', amount: 0 };
+      jest.spyOn(Enrollment, 'exists').mockResolvedValue(null);
+      const create = jest.spyOn(Enrollment, 'create').mockImplementation(async (doc) => doc);
+      jest.spyOn(Course, 'updateOne').mockResolvedValue({});
+
+      jest.spyOn(Course, 'findById').mockResolvedValueOnce(free).mockResolvedValueOnce(published(paidCourse()));
+      await enroll(courseId, learnerId);
+      await enroll(courseId, coCreatorId);
+
+      expect(create).toHaveBeenNthCalledWith(1, { user: learnerId, course: courseId });
+      expect(create).toHaveBeenNthCalledWith(2, { user: coCreatorId, course: courseId });
+    });
+
+    it('should refuse unpublished courses and repeat enrollments', async () => {
+      jest.spyOn(Course, 'findById').mockResolvedValueOnce(paidCourse()).mockResolvedValueOnce(published(paidCourse()));
+      jest.spyOn(Enrollment, 'exists').mockResolvedValue({ _id: courseId });
+
+      await expect(enroll(courseId, learnerId)).rejects.toThrow('Course is not published');
+      await expect(enroll(courseId, creatorId)).rejects.toThrow('Already enrolled in this course');
+    });
+  });
+
+  describe('webhooks', () => {
+    const fake = () => getPaymentProvider('fake');
+
+    it('should reject deliveries with a bad signature', async () => {
+      const payload = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', paymentId: 'pay_1' });
+
+      await expect(handleWebhook('fake', payload, { 'x-fake-signature': 'forged' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should enroll the learner and post the revenue split once the payment succeeds', async () => {
+      const { paymentId } = await fake().createPayment({ orderId: 'o1', amount: 4999, currency: 'USD' });
+      const pending = order({ paymentId });
+      const { payload, headers } = fake().simulatePayment(paymentId, 'succeeded');
+      const course = paidCourse();
+
+      jest.spyOn(Order, 'findOne').mockResolvedValue(pending);
+      const markPaid = jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async () => {
+        pending.status = 'paid';
+        return pending;
+      });
+      jest.spyOn(pending, 'save').mockResolvedValue(pending);
+      const enroll = jest.spyOn(Enrollment, 'findOneAndUpdate')
+        .mockResolvedValue({ value: {}, lastErrorObject: { updatedExisting: false } });
+      jest.spyOn(Course, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      const sale = jest.spyOn(course, 'recordSale')
+        .mockResolvedValue({ platformFee: 1500, payouts: course.splitInstructorRevenue(3499) });
+      const post = jest.spyOn(LedgerTransaction, 'create').mockImplementation(async doc => new LedgerTransaction(doc));
+      jest.spyOn(LedgerTransaction, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await handleWebhook('fake', payload, headers);
+
+      expect(markPaid.mock.calls[0][0]).toMatchObject({ _id: pending._id });
+      expect(enroll).toHaveBeenCalledWith(
+        { user: learnerId, course: courseId },
+        expect.anything(),
+        expect.objectContaining({ upsert: true })
+      );
+      expect(sale).toHaveBeenCalledWith(4999);
+      expect(result.order.status).toBe('paid');
+      expect(result.order.revenue.platformFee).toBe(1500);
+      expect(post).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'sale',
+        lines: expect.arrayContaining([
+          expect.objectContaining({ account: ACCOUNTS.HELD, user: creatorId, credit: 2800 }),
+        ]),
+      }));
+    });
+
+    it('should apply a retried delivery only once', async () => {
+      const { paymentId } = await fake().createPayment({ orderId: 'o2', amount: 4999, currency: 'USD' });
+      const { payload, headers } = fake().simulatePayment(paymentId, 'succeeded');
+      const paid = order({ paymentId, status: 'paid', events: [{ eventId: JSON.parse(payload).id, type: 'payment.succeeded' }] });
+
+      jest.spyOn(Order, 'findOne').mockResolvedValue(paid);
+      const markPaid = jest.spyOn(Order, 'findOneAndUpdate');
+
+      const result = await handleWebhook('fake', payload, headers);
+
+      expect(result.duplicate).toBe(true);
+      expect(markPaid).not.toHaveBeenCalled();
+    });
+
+    it('should record failed payments without enrolling', async () => {
+      const { paymentId } = await fake().createPayment({ orderId: 'o3', amount: 4999, currency: 'USD' });
+      const pending = order({ paymentId });
+      const { payload, headers } = fake().simulatePayment(paymentId, 'failed');
+
+      jest.spyOn(Order, 'findOne').mockResolvedValue(pending);
+      jest.spyOn(pending, 'save').mockResolvedValue(pending);
+      const enroll = jest.spyOn(Enrollment, 'findOneAndUpdate');
+
+      const result = await handleWebhook('fake', payload, headers);
+
+      expect(result.order.status).toBe('failed');
+      expect(result.order.failureReason).toBe('card_declined');
+      expect(enroll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refunds', () => {
+    it('should not let learners refund themselves after the refund window', async () => {
+      const paid = order({ status: 'paid', paidAt: new Date(Date.now() - (REFUND_WINDOW_DAYS + 1) * DAY_MS) });
+      jest.spyOn(Order, 'findOne').mockResolvedValue(paid);
+
+      await expect(refundOrder(paid._id, { requestedBy: learnerId, selfService: true }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should not refund more than is left on the order', async () => {
+      const paid = order({ status: 'partially_refunded', paidAt: new Date(), refundedAmount: 4000 });
+      jest.spyOn(Order, 'findOne').mockResolvedValue(paid);
+
+      await expect(refundOrder(paid._id, { amount: 1000 })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for Code Execution Service
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import codeRunnerConfig from '../../../config/codeRunner.js';
+import {
+  runTestCases,
+  runChallenge,
+  parseTestInput,
+  detectEntryPoint,
+  outputsMatch,
+} from '../../../services/codeExecutionService.js';
+
+describe('Code Execution Service', () => {
+  // bubblewrap is not available on every test machine; the process-level limits still apply
+  beforeAll(() => {
+    codeRunnerConfig.sandbox = 'none';
+  });
+  describe('parseTestInput', () => {
+    it('should split comma-separated JSON values into arguments', () => {
+      expect(parseTestInput('1, [2, 3]')).toEqual([1, [2, 3]]);
+      expect(parseTestInput('[1, 2, 3]')).toEqual([[1, 2, 3]]);
+    });
+
+    it('should pass non-JSON input as a single string', () => {
+      expect(parseTestInput('hello world')).toEqual(['hello world']);
+      expect(parseTestInput('')).toEqual([]);
+    });
+  });
+
+  describe('detectEntryPoint', () => {
+    it('should find the function name in starter code', () => {
+      expect(detectEntryPoint('function twoSum(nums, target) {}', 'javascript')).toBe('twoSum');
+      expect(detectEntryPoint('const reverse = (s) => {}', 'javascript')).toBe('reverse');
+      expect(detectEntryPoint('def is_palindrome(s):\n    pass', 'python')).toBe('is_palindrome');
+      expect(detectEntryPoint('', 'python')).toBe('solve');
+    });
+  });
+
+  describe('outputsMatch', () => {
+    it('should compare structured values independently of key order', () => {
+      expect(outputsMatch({ b: 1, a: [1, 2] }, '{"a": [1, 2], "b": 1}')).toBe(true);
+      expect(outputsMatch([1, 2], '[2, 1]')).toBe(false);
+    });
+
+    it('should compare plain text ignoring trailing whitespace', () => {
+      expect(outputsMatch('hello  \nworld\n', 'hello\nworld')).toBe(true);
+    });
+  });
+
+  describe('runTestCases', () => {
+    it('should call the entry point function for JavaScript', async () => {
+      const run = await runTestCases({
+        code: 'function add(a, b) { console.log("adding"); return a + b; }',
+        language: 'js',
+        entryPoint: 'add',
+        testCases: [
+          { input: '1, 2', expectedOutput: '3' },
+          { input: '2, 2', expectedOutput: '5' },
+        ],
+      });
+
+      expect(run.success).toBe(true);
+      expect(run.passedCount).toBe(1);
+      expect(run.results[0].stdout).toBe('adding\n');
+      expect(run.results[1].output).toBe('4');
+    });
+
+    it('should run Python programs that read stdin', async () => {
+      const run = await runTestCases({
+        code: 'import sys\nprint(sys.stdin.read().strip().upper())',
+        language: 'python',
+        testCases: [{ input: 'abc', expectedOutput: 'ABC' }],
+      });
+
+      expect(run.results[0].passed).toBe(true);
+    });
+
+    it('should stop code that exceeds the time limit', async () => {
+      const run = await runTestCases({
+        code: 'function solve() { while (true) {} }',
+        language: 'javascript',
+        timeLimit: 1,
+        testCases: [{ input: '', expectedOutput: '1' }],
+      });
+
+      expect(run.results[0].passed).toBe(false);
+      expect(run.results[0].error).toMatch(/time limit/i);
+    });
+
+    it('should block filesystem writes from JavaScript', async () => {
+      const run = await runTestCases({
+        code: 'function solve() { require("fs").writeFileSync("/tmp/escape.txt", "x"); return 1; }',
+        language: 'javascript',
+        testCases: [{ input: '', expectedOutput: '1' }],
+      });
+
+      expect(run.results[0].passed).toBe(false);
+    });
+
+    describe('without an isolated sandbox', () => {
+      const originalEnv = process.env.NODE_ENV;
+
+      afterEach(() => {
+        codeRunnerConfig.sandbox = 'none';
+        codeRunnerConfig.bwrapBin = 'bwrap';
+        process.env.NODE_ENV = originalEnv;
+      });
+
+      it('should not run code when bubblewrap cannot start', async () => {
+        codeRunnerConfig.sandbox = 'bwrap';
+        codeRunnerConfig.bwrapBin = '/nonexistent/bwrap';
+
+        const run = await runTestCases({
+          code: 'function solve() { return 1; }',
+          language: 'javascript',
+          testCases: [{ input: '', expectedOutput: '1' }],
+        });
+
+        expect(run.success).toBe(false);
+        expect(run.error).toMatch(/no isolated sandbox/);
+        expect(run.results).toEqual([]);
+      });
+
+      it('should start every run inside bubblewrap with its own namespaces and a read-only view', async () => {
+        // Stand-in that records its arguments instead of starting a sandbox
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fake-bwrap-'));
+        const fakeBwrap = path.join(dir, 'bwrap');
+        await fs.writeFile(fakeBwrap, `#!/bin/sh\nprintf '%s\\n' "$@" > "${dir}/args"\n`, { mode: 0o755 });
+        codeRunnerConfig.sandbox = 'bwrap';
+        codeRunnerConfig.bwrapBin = fakeBwrap;
+
+        const run = await runTestCases({
+          code: 'function solve() { return 1; }',
+          language: 'javascript',
+          testCases: [{ input: '', expectedOutput: '1' }],
+        });
+        const args = (await fs.readFile(path.join(dir, 'args'), 'utf8')).split('\n');
+        await fs.rm(dir, { recursive: true, force: true });
+
+        expect(run.success).toBe(true);
+        expect(args).toEqual(expect.arrayContaining(['--unshare-all', '--clearenv', '--die-with-parent']));
+        expect(args.slice(args.indexOf('--uid'), args.indexOf('--uid') + 2)).toEqual(['--uid', '65534']);
+        expect(args).not.toContain('--bind');
+        expect(args.join(' ')).toMatch(/--ro-bind \S+mini-tutor-run-\S+ \/sandbox/);
+        expect(args.join(' ')).toMatch(/ulimit -u \d+/);
+        expect(args).toContain('/sandbox/main.cjs');
+      });
+
+      it('should refuse to run unisolated in production', async () => {
+        process.env.NODE_ENV = 'production';
+
+        const run = await runTestCases({
+          code: 'function solve() { return 1; }',
+          language: 'javascript',
+          testCases: [{ input: '', expectedOutput: '1' }],
+        });
+
+        expect(run.success).toBe(false);
+        expect(run.error).toMatch(/no isolated sandbox/);
+      });
+    });
+
+    it('should not pass the server environment to learner code', async () => {
+      process.env.CODE_RUNNER_TEST_SECRET = 'do-not-leak';
+
+      const run = await runTestCases({
+        code: 'function solve() { return process.env.CODE_RUNNER_TEST_SECRET || null; }',
+        language: 'javascript',
+        testCases: [{ input: '', expectedOutput: 'null' }],
+      });
+
+      delete process.env.CODE_RUNNER_TEST_SECRET;
+      expect(run.results[0].passed).toBe(true);
+    });
+
+    it('should reject unsupported languages', async () => {
+      const run = await runTestCases({ code: 'puts 1', language: 'ruby', testCases: [] });
+      expect(run.success).toBe(false);
+      expect(run.error).toMatch(/unsupported/i);
+    });
+  });
+
+  describe('runChallenge', () => {
+    const challenge = {
+      language: 'javascript',
+      starterCode: 'function double(n) {\n  // Your code here\n}',
+      testCases: [
+        { input: '2', expectedOutput: '4' },
+        { input: '5', expectedOutput: '10', isHidden: true },
+      ],
+    };
+
+    it('should skip hidden test cases unless grading', async () => {
+      const run = await runChallenge(challenge, { code: 'function double(n) { return n * 2; }' }, { includeHidden: false });
+
+      expect(run.totalCount).toBe(1);
+      expect(run.hiddenCount).toBe(1);
+      expect(run.results[0].expectedOutput).toBe('4');
+    });
+
+    it('should mask hidden test details when grading', async () => {
+      const run = await runChallenge(challenge, { code: 'function double(n) { return n * 2; }' });
+
+      expect(run.passedCount).toBe(2);
+      expect(run.results[1].isHidden).toBe(true);
+      expect(run.results[1].output).toBeUndefined();
+      expect(run.results[1].input).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Unit Tests for Content Revisions
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ContentRevision from '../../../models/ContentRevision.js';
+import Course from '../../../models/Course.js';
+import CourseImprovement from '../../../models/CourseImprovement.js';
+import Enrollment from '../../../models/Enrollment.js';
+import Lesson from '../../../models/Lesson.js';
+import Module from '../../../models/Module.js';
+import { setMailTransport } from '../../../services/mailService.js';
+import {
+  diffLines,
+  diffContent,
+  saveDraft,
+  publishRevision,
+  notifyEnrollees,
+  rollbackToRevision,
+} from '../../../services/contentRevisionService.js';
+
+const authorId = new mongoose.Types.ObjectId('665d00000000000000000001');
+const courseId = new mongoose.Types.ObjectId('665d00000000000000000010');
+const moduleId = new mongoose.Types.ObjectId('665d00000000000000000020');
+const lessonId = new mongoose.Types.ObjectId('665d00000000000000000030');
+
+const lesson = () => new Lesson({
+  _id: lessonId,
+  module: moduleId,
+  title: 'Variables',
+  content: 'Variables hold values.\nUse let or const.',
+  duration: 15,
+});
+
+const revision = (fields = {}) => new ContentRevision({
+  entityType: 'lesson',
+  entity: lessonId,
+  course: courseId,
+  number: 2,
+  content: { title: 'Variables and constants', content: 'Variables hold values.\nPrefer const.', duration: 20 },
+  author: authorId,
+  ...fields,
+});
+
+// Chainable stand-in for a Mongoose query
+const query = (result) => ({
+  sort: () => query(result),
+  select: () => query(result),
+  populate: () => query(result),
+  lean: () => query(result),
+  cursor: () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+describe('Content Revision Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffs', () => {
+    it('should group line changes into hunks with surrounding context', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l'].join('\n');
+      const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm'].join('\n');
+
+      const hunks = diffLines(before, after, 2);
+
+      expect(hunks).toEqual([
+        { oldStart: 1, newStart: 1, lines: [' a', '-b', '+B', ' c', ' d'] },
+        { oldStart: 11, newStart: 11, lines: [' k', ' l', '+m'] },
+      ]);
+    });
+
+    it('should list changed fields by path and diff multi-line text', () => {
+      const changes = diffContent(
+        { title: 'Variables', content: 'one\ntwo', metadata: { difficulty: 'easy', tags: ['js'] } },
+        { title: 'Variables', content: 'one\nthree', metadata: { difficulty: 'medium', tags: ['js'] }, duration: 20 }
+      );
+
+      expect(changes.map(change => [change.path, change.type])).toEqual([
+        ['content', 'changed'],
+        ['metadata.difficulty', 'changed'],
+        ['duration', 'added'],
+      ]);
+      expect(changes[0].hunks[0].lines).toEqual([' one', '-two', '+three']);
+      expect(changes[1]).toMatchObject({ before: 'easy', after: 'medium' });
+      expect(changes[1].hunks).toBeUndefined();
+    });
+  });
+
+  describe('drafts', () => {
+    it('should keep edits in a draft and record the live content as revision 1', async () => {
+      const live = lesson();
+      jest.spyOn(ContentRevision, 'findOne')
+        .mockReturnValueOnce(query(null)) // open draft (saveDraft)
+        .mockReturnValueOnce(query(null)) // open draft (writeDraft)
+        .mockReturnValueOnce(query({ number: 1 })); // latest number
+      jest.spyOn(ContentRevision, 'exists').mockResolvedValue(null);
+      jest.spyOn(Module, 'findById').mockReturnValue(query({ _id: moduleId, course: courseId }));
+      const create = jest.spyOn(ContentRevision, 'create').mockImplementation(async doc => new ContentRevision(doc));
+
+      const draft = await saveDraft('lesson', live, { title: '  Variables and constants ', duration: '20', order: 3 }, {
+        author: authorId,
+      });
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls[0][0]).toMatchObject({
+        number: 1,
+        status: 'published',
+        content: { title: 'Variables', duration: 15 },
+      });
+      expect(draft).toMatchObject({ number: 2, status: 'draft', entityType: 'lesson' });
+      expect(draft.course).toEqual(courseId);
+      // Cast like the lesson itself, other content kept, non-revisioned fields left out
+      expect(draft.content).toMatchObject({ title: 'Variables and constants', duration: 20, content: live.content });
+      expect(draft.content.order).toBeUndefined();
+      expect(live.title).toBe('Variables');
+    });
+
+    it('should ignore updates without revisioned fields', async () => {
+      const findOne = jest.spyOn(ContentRevision, 'findOne');
+
+      await expect(saveDraft('lesson', lesson(), { order: 2, isPublished: true })).resolves.toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse content the lesson could not be published with', async () => {
+      jest.spyOn(ContentRevision, 'findOne').mockReturnValue(query(null));
+      const create = jest.spyOn(ContentRevision, 'create');
+
+      await expect(saveDraft('lesson', lesson(), { title: '' })).rejects.toMatchObject({ status: 400 });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should roll back by starting a draft with an earlier revision\'s content', async () => {
+      const target = revision({ number: 1, status: 'superseded', content: { title: 'Variables', duration: 15 } });
+      const draft = revision({ number: 3 });
+      jest.spyOn(draft, 'save').mockResolvedValue(draft);
+      jest.spyOn(ContentRevision, 'findOne')
+        .mockReturnValueOnce(query(target))
+        .mockReturnValueOnce(query(draft));
+      jest.spyOn(ContentRevision, 'exists').mockResolvedValue({ _id: target._id });
+      jest.spyOn(Lesson, 'findById').mockResolvedValue(lesson());
+      jest.spyOn(Module, 'findById').mockReturnValue(query({ _id: moduleId, course: courseId }));
+
+      const result = await rollbackToRevision(courseId, target._id, authorId);
+
+      expect(result).toBe(draft);
+      expect(draft.content).toMatchObject({ title: 'Variables', duration: 15 });
+      expect(draft.restoredFrom).toEqual(target._id);
+      expect(draft.message).toBe('Roll back to revision 1');
+    });
+  });
+
+  describe('publishing', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      setMailTransport({ name: 'memory', send: async (message) => sent.push(message) });
+    });
+
+    afterEach(() => {
+      setMailTransport(null);
+    });
+
+    it('should apply the draft, claim it as published and supersede the published revision', async () => {
+      const draft = revision({ message: 'Covers const' });
+      const live = lesson();
+      const course = new Course({ _id: courseId, title: 'JavaScript Basics', isPublished: false });
+      const updateStatistics = jest.fn();
+      jest.spyOn(live, 'save').mockResolvedValue(live);
+      jest.spyOn(course, 'updateStatistics').mockResolvedValue(course);
+      jest.spyOn(ContentRevision, 'findOne').mockReturnValue(query(draft));
+      jest.spyOn(Lesson, 'findById').mockResolvedValue(live);
+      jest.spyOn(Module, 'findById').mockResolvedValue({ updateStatistics });
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      const claim = jest.spyOn(ContentRevision, 'findOneAndUpdate')
+        .mockImplementation(async (filter, update) => Object.assign(draft, update.$set));
+      const updateMany = jest.spyOn(ContentRevision, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await publishRevision(courseId, draft._id, authorId);
+
+      expect(result.entity.title).toBe('Variables and constants');
+      expect(live.content).toBe('Variables hold values.\nPrefer const.');
+      expect(updateStatistics).toHaveBeenCalled();
+      expect(claim.mock.calls[0][0]).toEqual({ _id: draft._id, status: 'draft' });
+      expect(updateMany).toHaveBeenCalledWith(
+        { entity: lessonId, status: 'published', _id: { $ne: draft._id } },
+        { $set: { status: 'superseded' } }
+      );
+      expect(result.revision).toMatchObject({ status: 'published', publishedBy: authorId });
+      expect(result.revision.notifyStatus).toBeNull();
+    });
+
+    it('should only publish drafts', async () => {
+      jest.spyOn(ContentRevision, 'findOne').mockReturnValue(query(revision({ status: 'published' })));
+
+      await expect(publishRevision(courseId, new mongoose.Types.ObjectId(), authorId))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should let only one of two concurrent publishes claim the draft', async () => {
+      const live = lesson();
+      jest.spyOn(live, 'save').mockResolvedValue(live);
+      jest.spyOn(ContentRevision, 'findOne').mockReturnValue(query(revision()));
+      jest.spyOn(Lesson, 'findById').mockResolvedValue(live);
+      jest.spyOn(Module, 'findById').mockResolvedValue(null);
+      jest.spyOn(Course, 'findById').mockResolvedValue(null);
+      jest.spyOn(ContentRevision, 'findOneAndUpdate').mockResolvedValue(null);
+      const updateMany = jest.spyOn(ContentRevision, 'updateMany');
+
+      await expect(publishRevision(courseId, new mongoose.Types.ObjectId(), authorId))
+        .rejects.toMatchObject({ status: 409 });
+      expect(updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should email enrollees and resume after the last one reached', async () => {
+      const published = revision({ status: 'published', message: 'Covers const', notifyStatus: 'pending' });
+      published.notifyCursor = new mongoose.Types.ObjectId('665d00000000000000000040');
+      published.notifiedCount = 1;
+      const enrollments = [
+        { _id: new mongoose.Types.ObjectId('665d00000000000000000041'), user: { name: 'Ada', email: 'ada@example.com', preferences: { notifications: true } } },
+        { _id: new mongoose.Types.ObjectId('665d00000000000000000042'), user: { name: 'Alan', email: 'alan@example.com', preferences: { notifications: false } } },
+      ];
+      jest.spyOn(ContentRevision, 'findById').mockResolvedValue(published);
+      jest.spyOn(Course, 'findById').mockReturnValue(query({ _id: courseId, title: 'JavaScript Basics' }));
+      const find = jest.spyOn(Enrollment, 'find').mockReturnValue(query(enrollments));
+      const updateOne = jest.spyOn(ContentRevision, 'updateOne').mockResolvedValue({});
+
+      const count = await notifyEnrollees(published._id);
+
+      expect(count).toBe(2);
+      expect(find.mock.calls[0][0]._id).toEqual({ $gt: published.notifyCursor });
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('ada@example.com');
+      expect(sent[0].text).toContain('The lesson "Variables and constants" has been updated');
+      expect(sent[0].text).toContain('Covers const');
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: published._id },
+        { $set: { notifyCursor: enrollments[1]._id, notifiedCount: 2 } }
+      );
+      expect(updateOne).toHaveBeenLastCalledWith({ _id: published._id }, { $set: { notifyStatus: 'sent' } });
+    });
+
+    it('should not email again once a revision is notified', async () => {
+      jest.spyOn(ContentRevision, 'findById').mockResolvedValue(revision({ notifyStatus: 'sent', notifiedCount: 3 }));
+      const find = jest.spyOn(Enrollment, 'find');
+
+      await expect(notifyEnrollees(new mongoose.Types.ObjectId())).resolves.toBe(3);
+      expect(find).not.toHaveBeenCalled();
+      expect(sent).toHaveLength(0);
+    });
+  });
+
+  describe('improvements', () => {
+    it('should link an implemented improvement and the revision it produced', async () => {
+      const improvement = new CourseImprovement({
+        course: courseId,
+        suggestedBy: new mongoose.Types.ObjectId(),
+        title: 'Explain const',
+        description: 'The lesson never says when to use const.',
+        improvementType: 'clarification',
+      });
+      const revisionId = new mongoose.Types.ObjectId();
+      jest.spyOn(improvement, 'save').mockResolvedValue(improvement);
+      const updateOne = jest.spyOn(ContentRevision, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Course, 'findById').mockResolvedValue(null);
+
+      await improvement.markImplemented(authorId, 3, 'Added a section on const', revisionId);
+
+      expect(improvement.status).toBe('implemented');
+      expect(improvement.revision).toEqual(revisionId);
+      expect(updateOne).toHaveBeenCalledWith({ _id: revisionId }, { improvement: improvement._id });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Conversation Export and Shared Transcripts
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  splitWhiteboard,
+  buildTranscript,
+  toMarkdown,
+  toHtml,
+  toJson,
+} from '../../../services/conversationExportService.js';
+
+const conversation = {
+  title: 'Python loops',
+  topic: 'programming',
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+};
+
+const messages = [
+  { _id: 'm0', role: 'system', content: 'You are a tutor', createdAt: new Date('2026-03-01T10:00:00Z') },
+  {
+    _id: 'm1',
+    role: 'user',
+    content: 'How do <b>for</b> loops work?',
+    createdAt: new Date('2026-03-01T10:01:00Z'),
+    reactions: [],
+  },
+  {
+    _id: 'm2',
+    role: 'assistant',
+    content: 'A **for** loop repeats.\n\n[WB]\ndrawBox(10, 10, "i")\n[/WB]\nSee [docs](https://docs.python.org) or <script>alert(1)</script>.',
+    createdAt: new Date('2026-03-01T10:02:00Z'),
+    metadata: { model: 'llama', sources: [{ id: 'memory:1' }] },
+    reactions: [{ type: 'helpful' }, { type: 'bookmark' }, { type: 'helpful' }],
+  },
+  {
+    _id: 'm3',
+    role: 'assistant',
+    content: 'Here are some courses',
+    createdAt: new Date('2026-03-01T10:03:00Z'),
+    metadata: {
+      type: 'course_recommendation',
+      intent: { topic: 'python', type: 'course' },
+      recommendations: {
+        courses: [{ id: 'c1', title: 'Python 101', level: 'beginner', url: '/courses/c1', instructor: 'Ada' }],
+        lessons: [{ id: 'l1', title: 'Loops', courseTitle: 'Python 101', url: '/courses/c1?lesson=l1' }],
+      },
+    },
+  },
+];
+
+describe('Conversation Export Service', () => {
+  it('should split content into text and whiteboard segments in order', () => {
+    expect(splitWhiteboard('Intro [WB]circle()[/WB] middle [WB]\nline()\n[/WB]')).toEqual([
+      { type: 'text', content: 'Intro' },
+      { type: 'whiteboard', content: 'circle()' },
+      { type: 'text', content: 'middle' },
+      { type: 'whiteboard', content: 'line()' },
+    ]);
+    expect(splitWhiteboard('No drawings')).toEqual([{ type: 'text', content: 'No drawings' }]);
+  });
+
+  it('should export whiteboard blocks, recommendations and reactions to Markdown', () => {
+    const markdown = toMarkdown(buildTranscript(conversation, messages));
+
+    expect(markdown).toMatch(/^# Python loops\n/);
+    expect(markdown).toContain('```whiteboard\ndrawBox(10, 10, "i")\n```');
+    expect(markdown).toContain('- Course: [Python 101](/courses/c1) (beginner)');
+    expect(markdown).toContain('_Reactions: helpful ×2, bookmark_');
+    expect(markdown).toContain('**System**');
+  });
+
+  it('should keep message details and whiteboard blocks in JSON', () => {
+    const exported = JSON.parse(toJson(buildTranscript(conversation, messages)));
+
+    expect(exported.messages).toHaveLength(4);
+    expect(exported.messages[2]).toMatchObject({
+      id: 'm2',
+      whiteboard: ['drawBox(10, 10, "i")'],
+      reactions: { helpful: 2, bookmark: 1 },
+      metadata: { model: 'llama' },
+    });
+    expect(exported.messages[3].recommendations.intent).toEqual({ topic: 'python', type: 'course' });
+  });
+
+  it('should escape message content in HTML and resolve app links', () => {
+    const html = toHtml(buildTranscript(conversation, messages), { baseUrl: 'https://app.example.com' });
+
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>for</b>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('<strong>for</strong>');
+    expect(html).toContain('<a href="https://docs.python.org" rel="nofollow noopener">docs</a>');
+    expect(html).toContain('href="https://app.example.com/courses/c1"');
+    expect(html).toContain('<figure class="whiteboard">');
+    expect(html).toContain('@media print');
+  });
+
+  it('should leave the owner and private details out of shared transcripts', () => {
+    const transcript = buildTranscript(conversation, messages, { shared: true });
+    const serialized = JSON.stringify(transcript);
+
+    expect(transcript.messages.map(message => message.role)).toEqual(['user', 'assistant', 'assistant']);
+    expect(serialized).not.toMatch(/"m[0-3]"|memory:1|llama|helpful|Ada|intent/);
+    expect(transcript.messages[2].recommendations.courses).toEqual([
+      { title: 'Python 101', level: 'beginner', url: '/courses/c1' },
+    ]);
+    expect(toHtml(transcript)).toContain('Shared read-only transcript');
+    expect(toMarkdown(transcript)).toContain('**Learner**');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Course Reviews and Rating Aggregates
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Course from '../../../models/Course.js';
+import CourseReview from '../../../models/CourseReview.js';
+import Enrollment from '../../../models/Enrollment.js';
+import ModerationLog from '../../../models/ModerationLog.js';
+import {
+  createReview,
+  setHelpfulVote,
+  reportReview,
+  MIN_REVIEW_PROGRESS,
+  REPORT_FLAG_THRESHOLD,
+} from '../../../services/courseReviewService.js';
+
+const courseId = '665a00000000000000000010';
+const instructorId = '665a00000000000000000020';
+const learnerId = '665a00000000000000000030';
+const reviewId = '665a00000000000000000040';
+
+const course = new Course({ _id: courseId, createdBy: instructorId, isPublished: true });
+
+const mockCourse = () => jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+const mockEnrollment = (enrollment) => jest.spyOn(Enrollment, 'findOne').mockReturnValue({ select: async () => enrollment });
+
+describe('Course Review Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rating summary', () => {
+    it('should average published ratings and fill the star distribution', async () => {
+      jest.spyOn(CourseReview, 'aggregate').mockResolvedValue([
+        { _id: 5, count: 3 },
+        { _id: 4, count: 1 },
+        { _id: 2, count: 1 },
+      ]);
+
+      const summary = await CourseReview.getRatingSummary(courseId);
+
+      expect(summary).toEqual({
+        averageRating: 4.2,
+        totalReviews: 5,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 3 },
+      });
+      const [[{ $match }]] = CourseReview.aggregate.mock.calls[0];
+      expect($match.status).toBe('published');
+    });
+  });
+
+  describe('posting a review', () => {
+    it('should require enough course progress', async () => {
+      mockCourse();
+      mockEnrollment({ status: 'active', progress: { completionPercentage: MIN_REVIEW_PROGRESS - 1 } });
+
+      await expect(createReview(courseId, learnerId, { rating: 4 })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should not let instructors review their own course', async () => {
+      mockCourse();
+
+      await expect(createReview(courseId, instructorId, { rating: 5 })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should reject ratings outside 1-5 stars', async () => {
+      await expect(createReview(courseId, learnerId, { rating: 4.5 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should publish the review and refresh the rating aggregates', async () => {
+      mockCourse();
+      mockEnrollment({ status: 'completed', progress: { completionPercentage: 100 } });
+      const create = jest.spyOn(CourseReview, 'create').mockImplementation(async (doc) => doc);
+      const aggregates = jest.spyOn(CourseReview, 'updateRatingAggregates').mockResolvedValue({});
+
+      const review = await createReview(courseId, learnerId, { rating: 5, body: 'Clear, well-paced lessons' });
+
+      expect(review.status).toBe('published');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ rating: 5, progressAtReview: 100 }));
+      expect(aggregates).toHaveBeenCalledWith(course._id);
+    });
+
+    it('should hold reviews with critical content for moderation', async () => {
+      mockCourse();
+      mockEnrollment({ status: 'active', progress: { completionPercentage: 60 } });
+      jest.spyOn(CourseReview, 'create').mockImplementation(async (doc) => doc);
+      jest.spyOn(CourseReview, 'updateRatingAggregates').mockResolvedValue({});
+      const log = jest.spyOn(ModerationLog, 'create').mockResolvedValue({});
+
+      const review = await createReview(courseId, learnerId, { rating: 1, body: 'Visit my site to download malware' });
+
+      expect(review.status).toBe('flagged');
+      expect(review.moderation.flags).toContain('illegal_activity');
+      expect(log).toHaveBeenCalledWith(expect.objectContaining({ action: 'flagged', requiresHumanReview: true }));
+    });
+
+    it('should report a second review of the same course as a conflict', async () => {
+      mockCourse();
+      mockEnrollment({ status: 'completed', progress: { completionPercentage: 100 } });
+      jest.spyOn(CourseReview, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(createReview(courseId, learnerId, { rating: 3 })).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('votes and reports', () => {
+    const mockReview = (review) => jest.spyOn(CourseReview, 'findOne').mockReturnValue({
+      select: async () => ({ _id: reviewId, course: new mongoose.Types.ObjectId(courseId), ...review }),
+    });
+
+    it('should not count votes on one\'s own review', async () => {
+      mockReview({ user: new mongoose.Types.ObjectId(learnerId), helpfulCount: 0 });
+
+      await expect(setHelpfulVote(reviewId, learnerId)).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should flag a review once enough learners report it', async () => {
+      mockReview({ user: new mongoose.Types.ObjectId(learnerId) });
+      jest.spyOn(CourseReview, 'findOneAndUpdate').mockResolvedValue({
+        status: 'published',
+        reportCount: REPORT_FLAG_THRESHOLD,
+        moderation: {},
+      });
+      const flag = jest.spyOn(CourseReview, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const aggregates = jest.spyOn(CourseReview, 'updateRatingAggregates').mockResolvedValue({});
+
+      await reportReview(reviewId, instructorId, { reason: 'spam' });
+
+      expect(flag).toHaveBeenCalledWith(
+        { _id: reviewId, status: 'published' },
+        { status: 'flagged', 'moderation.reason': 'reports' }
+      );
+      expect(aggregates).toHaveBeenCalled();
+    });
+
+    it('should reject unknown report reasons', async () => {
+      await expect(reportReview(reviewId, instructorId, { reason: 'boring' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for the Flashcard Scheduler Service
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Flashcard from '../../../models/Flashcard.js';
+import FlashcardReview from '../../../models/FlashcardReview.js';
+import User from '../../../models/User.js';
+import { MS_PER_DAY, DEFAULT_PARAMETERS } from '../../../services/fsrsService.js';
+import {
+  getScheduler,
+  resolveSettings,
+  getCardRetrievability,
+  migrateCardToFSRS,
+  optimizeUserParameters,
+} from '../../../services/flashcardSchedulerService.js';
+
+const now = new Date(Date.UTC(2024, 5, 1));
+
+const buildCard = (spacedRepetition = {}) => new Flashcard({
+  user: new mongoose.Types.ObjectId(),
+  deck: 'Biology',
+  front: 'Powerhouse of the cell?',
+  back: 'Mitochondria',
+  spacedRepetition,
+});
+
+describe('Flashcard Scheduler Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep SM-2 scheduling for users on the default scheduler', () => {
+    const card = buildCard();
+    getScheduler(resolveSettings({}).scheduler).schedule(card, 4, resolveSettings({}), now);
+
+    expect(card.spacedRepetition.interval).toBe(1);
+    expect(card.spacedRepetition.repetitions).toBe(1);
+    expect(card.fsrs.stability).toBeUndefined();
+  });
+
+  it('should schedule FSRS reviews by stability and desired retention', () => {
+    const card = buildCard();
+    const settings = resolveSettings({ scheduler: 'fsrs', desiredRetention: 0.9 });
+
+    getScheduler('fsrs').schedule(card, 5, settings, now);
+
+    expect(card.fsrs.state).toBe('review');
+    expect(card.spacedRepetition.interval).toBe(Math.round(card.fsrs.stability));
+    expect(card.spacedRepetition.nextReviewDate.getTime())
+      .toBe(now.getTime() + card.spacedRepetition.interval * MS_PER_DAY);
+  });
+
+  it('should count a lapse when a reviewed FSRS card is forgotten', () => {
+    const card = buildCard();
+    const settings = resolveSettings({ scheduler: 'fsrs' });
+    const scheduler = getScheduler('fsrs');
+
+    scheduler.schedule(card, 4, settings, now);
+    const stability = card.fsrs.stability;
+    scheduler.schedule(card, 1, settings, new Date(now.getTime() + 5 * MS_PER_DAY));
+
+    expect(card.fsrs.state).toBe('relearning');
+    expect(card.fsrs.lapses).toBe(1);
+    expect(card.fsrs.stability).toBeLessThan(stability);
+    expect(card.spacedRepetition.repetitions).toBe(0);
+  });
+
+  it('should migrate reviewed SM-2 cards without moving their due date', () => {
+    const lastReviewDate = new Date(now.getTime() - 10 * MS_PER_DAY);
+    const nextReviewDate = new Date(now.getTime() + 5 * MS_PER_DAY);
+    const card = buildCard({ easeFactor: 2.5, interval: 15, repetitions: 3, lastReviewDate, nextReviewDate });
+
+    expect(migrateCardToFSRS(card)).toBe(true);
+    expect(card.fsrs.stability).toBeCloseTo(15, 6);
+    expect(card.fsrs.migratedFromSM2).toBe(true);
+    expect(card.spacedRepetition.nextReviewDate).toEqual(nextReviewDate);
+    expect(getCardRetrievability(card, undefined, now)).toBeGreaterThan(0.9);
+
+    expect(migrateCardToFSRS(buildCard())).toBe(false);
+  });
+
+  it('should fit and store FSRS parameters from a worker thread', async () => {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    // Good first review, forgotten after 4 days, recalled a day after relearning
+    const reviews = [];
+    for (let i = 0; i < 60; i++) {
+      const flashcard = new mongoose.Types.ObjectId();
+      [[3, 0], [1, 4], [3, 5]].forEach(([rating, day]) => {
+        reviews.push({ flashcard, rating, reviewedAt: new Date(now.getTime() + day * MS_PER_DAY) });
+      });
+    }
+    jest.spyOn(FlashcardReview, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: () => ({ lean: async () => reviews }) }) }),
+    });
+
+    const result = await optimizeUserParameters(user._id);
+
+    expect(result).toMatchObject({ optimized: true, reviewCount: 180, cardCount: 60 });
+    expect(result.lossAfter).toBeLessThan(result.lossBefore);
+    expect([...user.flashcardSettings.fsrsParameters]).toEqual(result.parameters);
+    expect(result.parameters).not.toEqual(DEFAULT_PARAMETERS);
+    expect(save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Flashcard Card Types and Deck Names
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import Flashcard from '../../../models/Flashcard.js';
+import FlashcardReview from '../../../models/FlashcardReview.js';
+import {
+  buildNoteCards,
+  clozeNumbers,
+  renderClozeCard,
+  normalizeDeckName,
+  renameDeck,
+  FlashcardValidationError,
+} from '../../../services/flashcardService.js';
+
+describe('Flashcard Service', () => {
+  describe('buildNoteCards', () => {
+    it('should build one basic card', () => {
+      const cards = buildNoteCards({ front: ' Capital of Peru? ', back: 'Lima' });
+
+      expect(cards).toEqual([{ cardType: 'basic', ordinal: 0, front: 'Capital of Peru?', back: 'Lima', content: {} }]);
+    });
+
+    it('should add a back-to-front sibling for reversed cards', () => {
+      const cards = buildNoteCards({ cardType: 'reversed', front: 'perro', back: 'dog' });
+
+      expect(cards.map(card => [card.ordinal, card.front, card.back])).toEqual([
+        [0, 'perro', 'dog'],
+        [1, 'dog', 'perro'],
+      ]);
+    });
+
+    it('should build one card per cloze number, hiding only that deletion', () => {
+      const cards = buildNoteCards({
+        cardType: 'cloze',
+        text: '{{c1::Canberra}} is the capital of {{c2::Australia::country}}; {{c1::it}} was planned',
+        extra: 'Founded 1913',
+      });
+
+      expect(cards).toHaveLength(2);
+      expect(cards[0]).toMatchObject({
+        ordinal: 1,
+        front: '[...] is the capital of Australia; [...] was planned',
+        back: 'Canberra is the capital of Australia; it was planned\n\nFounded 1913',
+      });
+      expect(cards[1].ordinal).toBe(2);
+      expect(cards[1].front).toBe('Canberra is the capital of [country]; it was planned');
+      expect(cards[0].content.text).toContain('{{c1::Canberra}}');
+    });
+
+    it('should build one card per image occlusion mask', () => {
+      const cards = buildNoteCards({
+        cardType: 'image_occlusion',
+        image: { url: 'https://cdn.example.com/heart.png', width: 800, height: 600 },
+        masks: [
+          { label: 'Left atrium', x: 0.1, y: 0.1, width: 0.2, height: 0.2 },
+          { x: 0.5, y: 0.5, width: 0.3, height: 0.3 },
+        ],
+      });
+
+      expect(cards.map(card => [card.ordinal, card.front, card.back])).toEqual([
+        [0, 'What is hidden?', 'Left atrium'],
+        [1, 'What is hidden?', 'Region 2'],
+      ]);
+      expect(cards[1].content.image.url).toBe('https://cdn.example.com/heart.png');
+      expect(cards[1].content.masks).toHaveLength(2);
+    });
+
+    it('should reject invalid notes', () => {
+      expect(() => buildNoteCards({ front: 'No back' })).toThrow('Back is required');
+      expect(() => buildNoteCards({ cardType: 'cloze', text: 'No deletions' })).toThrow(FlashcardValidationError);
+      expect(() => buildNoteCards({ cardType: 'diagram' })).toThrow('Card type must be one of');
+      expect(() => buildNoteCards({
+        cardType: 'image_occlusion',
+        image: { url: 'javascript:alert(1)' },
+        masks: [{ x: 0, y: 0, width: 0.5, height: 0.5 }],
+      })).toThrow('Image url');
+      expect(() => buildNoteCards({
+        cardType: 'image_occlusion',
+        image: { url: '/uploads/cell.png' },
+        masks: [{ x: 0.8, y: 0, width: 0.5, height: 0.5 }],
+      })).toThrow('Mask 1');
+    });
+  });
+
+  describe('cloze helpers', () => {
+    it('should list cloze numbers in order', () => {
+      expect(clozeNumbers('{{c3::a}} {{c1::b}} {{c3::c}}')).toEqual([1, 3]);
+    });
+
+    it('should render the back without extra when none is given', () => {
+      expect(renderClozeCard('{{c1::H2O}} is water', 1)).toEqual({ front: '[...] is water', back: 'H2O is water' });
+    });
+  });
+
+  describe('normalizeDeckName', () => {
+    it('should trim each deck level', () => {
+      expect(normalizeDeckName(' Languages :: Spanish ')).toBe('Languages::Spanish');
+    });
+
+    it('should reject empty levels', () => {
+      expect(() => normalizeDeckName('Languages::')).toThrow('Deck name must not be empty');
+      expect(() => normalizeDeckName(undefined)).toThrow(FlashcardValidationError);
+    });
+  });
+
+  describe('renameDeck', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should use the new name as text even when it starts with $', async () => {
+      jest.spyOn(Flashcard, 'exists').mockImplementation(async ({ deck }) => (deck.$regex.startsWith('^Spanish') ? { _id: 1 } : null));
+      const updateCards = jest.spyOn(Flashcard, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(FlashcardReview, 'updateMany').mockResolvedValue({ modifiedCount: 5 });
+
+      await expect(renameDeck('665a00000000000000000001', 'Spanish', '$front')).resolves.toBe(2);
+
+      const [, [{ $set }]] = updateCards.mock.calls[0];
+      expect($set.deck.$concat[0]).toEqual({ $literal: '$front' });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for the FSRS Scheduler
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_PARAMETERS,
+  MS_PER_DAY,
+  RATINGS,
+  qualityToRating,
+  retrievability,
+  nextState,
+  nextInterval,
+  memoryStateFromSM2,
+  evaluateLoss,
+  buildReviewSequences,
+  optimizeParameters,
+} from '../../../services/fsrsService.js';
+
+describe('FSRS Service', () => {
+  it('should map SM-2 quality grades to FSRS ratings', () => {
+    expect([0, 1, 2, 3, 4, 5].map(qualityToRating)).toEqual([1, 1, 1, 2, 3, 4]);
+  });
+
+  it('should reach 90% retrievability after exactly one stability', () => {
+    expect(retrievability(0, 10)).toBe(1);
+    expect(retrievability(10, 10)).toBeCloseTo(0.9, 10);
+    expect(retrievability(30, 10)).toBeLessThan(retrievability(20, 10));
+  });
+
+  it('should space intervals further apart for lower desired retention', () => {
+    expect(nextInterval(10, 0.9)).toBe(10);
+    expect(nextInterval(10, 0.8)).toBeGreaterThan(nextInterval(10, 0.9));
+    expect(nextInterval(10, 0.95)).toBeLessThan(nextInterval(10, 0.9));
+    expect(nextInterval(100000, 0.9, 365)).toBe(365);
+  });
+
+  it('should initialize new cards from the first rating', () => {
+    const again = nextState(null, RATINGS.AGAIN, 0);
+    const easy = nextState(null, RATINGS.EASY, 0);
+
+    expect(again.stability).toBe(DEFAULT_PARAMETERS[0]);
+    expect(easy.stability).toBe(DEFAULT_PARAMETERS[3]);
+    expect(easy.difficulty).toBeLessThan(again.difficulty);
+    expect(again.retrievability).toBeNull();
+  });
+
+  it('should grow stability on recall and shrink it on a lapse', () => {
+    const state = { stability: 10, difficulty: 5 };
+
+    const good = nextState(state, RATINGS.GOOD, 10);
+    const hard = nextState(state, RATINGS.HARD, 10);
+    const again = nextState(state, RATINGS.AGAIN, 10);
+
+    expect(good.retrievability).toBeCloseTo(0.9, 10);
+    expect(good.stability).toBeGreaterThan(hard.stability);
+    expect(hard.stability).toBeGreaterThan(10);
+    expect(again.stability).toBeLessThan(10);
+    expect(again.difficulty).toBeGreaterThan(5);
+  });
+
+  it('should derive a memory state from SM-2 scheduling', () => {
+    const easy = memoryStateFromSM2(2.8, 20);
+    const hard = memoryStateFromSM2(1.3, 20);
+
+    // At 90% SM-2 retention the interval equals the stability
+    expect(easy.stability).toBeCloseTo(20, 6);
+    expect(easy.difficulty).toBeLessThan(hard.difficulty);
+    expect(hard.difficulty).toBeLessThanOrEqual(10);
+  });
+
+  describe('optimizer', () => {
+    const card = (id, ratings, gaps) => {
+      let time = Date.UTC(2024, 0, 1);
+      return ratings.map((rating, index) => {
+        time += (gaps[index] || 0) * MS_PER_DAY;
+        return { flashcard: id, rating, reviewedAt: new Date(time) };
+      });
+    };
+
+    it('should group reviews into chronological per-card sequences', () => {
+      const reviews = [...card('a', [3, 3], [0, 2]), ...card('b', [3], [0])].reverse();
+      const sequences = buildReviewSequences(reviews);
+
+      expect(sequences).toHaveLength(1);
+      expect(sequences[0].map(step => step.elapsedDays)).toEqual([0, 2]);
+    });
+
+    it('should not change parameters without enough history', () => {
+      const result = optimizeParameters(card('a', [3, 3, 3], [0, 1, 3]));
+
+      expect(result.optimized).toBe(false);
+      expect(result.parameters).toEqual(DEFAULT_PARAMETERS);
+    });
+
+    it('should reduce log loss on a learner who forgets faster than the defaults predict', () => {
+      const reviews = [];
+      for (let i = 0; i < 60; i++) {
+        // Good first review, then forgotten after 4 days, recalled a day after relearning
+        reviews.push(...card(`card-${i}`, [3, 1, 3], [0, 4, 1]));
+      }
+
+      const result = optimizeParameters(reviews, { maxPasses: 10 });
+
+      expect(result.optimized).toBe(true);
+      expect(result.reviewCount).toBe(180);
+      expect(result.lossAfter).toBeLessThan(result.lossBefore);
+      expect(result.lossAfter).toBeCloseTo(evaluateLoss(buildReviewSequences(reviews), result.parameters), 3);
+      expect(result.parameters[2]).toBeLessThan(DEFAULT_PARAMETERS[2]);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit Tests for the Revenue Ledger, Payouts and Reconciliation
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import LedgerTransaction, { ACCOUNTS } from '../../../models/LedgerTransaction.js';
+import Order from '../../../models/Order.js';
+import Payout from '../../../models/Payout.js';
+import User from '../../../models/User.js';
+import {
+  postSale,
+  postRefund,
+  requestPayout,
+  reconcile,
+  PAYOUT_HOLD_DAYS,
+  MIN_PAYOUT_AMOUNT,
+} from '../../../services/ledgerService.js';
+
+const creatorId = new mongoose.Types.ObjectId('665b00000000000000000001');
+const coCreatorId = new mongoose.Types.ObjectId('665b00000000000000000002');
+const courseId = new mongoose.Types.ObjectId('665b00000000000000000010');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const paidOrder = () => new Order({
+  user: new mongoose.Types.ObjectId(),
+  course: courseId,
+  currency: 'USD',
+  subtotal: 4999,
+  total: 4999,
+  status: 'paid',
+  paidAt: new Date('2026-03-10T12:00:00Z'),
+});
+
+// Chainable stand-in for a Mongoose query
+const query = (result) => ({
+  select: () => query(result),
+  lean: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+const lineFor = (transaction, account, user = null) => transaction.lines.find(
+  line => line.account === account && String(line.user) === String(user)
+);
+
+describe('Ledger Service', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(LedgerTransaction, 'create').mockImplementation(async doc => new LedgerTransaction(doc));
+    jest.spyOn(LedgerTransaction, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transactions', () => {
+    it('should reject lines that do not balance or lack a contributor', async () => {
+      const unbalanced = new LedgerTransaction({
+        type: 'adjustment',
+        idempotencyKey: 'test:1',
+        lines: [
+          { account: ACCOUNTS.CASH, debit: 100 },
+          { account: ACCOUNTS.FEES, credit: 90 },
+        ],
+      });
+      const anonymous = new LedgerTransaction({
+        type: 'adjustment',
+        idempotencyKey: 'test:2',
+        lines: [
+          { account: ACCOUNTS.FEES, debit: 100 },
+          { account: ACCOUNTS.AVAILABLE, credit: 100 },
+        ],
+      });
+
+      await expect(unbalanced.validate()).rejects.toThrow(/must balance/);
+      await expect(anonymous.validate()).rejects.toThrow(/need a user/);
+    });
+  });
+
+  describe('sales and refunds', () => {
+    it('should hold each contributor share of a sale until the hold period ends', async () => {
+      const order = paidOrder();
+
+      const sale = await postSale(order, {
+        platformFee: 1500,
+        payouts: [{ userId: creatorId, amount: 2800 }, { userId: coCreatorId, amount: 699 }],
+      });
+
+      await expect(sale.validate()).resolves.toBeUndefined();
+      expect(lineFor(sale, ACCOUNTS.CASH).debit).toBe(4999);
+      expect(lineFor(sale, ACCOUNTS.FEES).credit).toBe(1500);
+      expect(lineFor(sale, ACCOUNTS.HELD, creatorId).credit).toBe(2800);
+      expect(lineFor(sale, ACCOUNTS.HELD, coCreatorId).credit).toBe(699);
+      expect(sale.holdUntil.getTime() - order.paidAt.getTime()).toBe(PAYOUT_HOLD_DAYS * DAY_MS);
+      expect(sale.idempotencyKey).toBe(`sale:${order._id}`);
+      // Both contributors' cached earnings are refreshed
+      expect(User.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should take refunds from available earnings once the sale is released', async () => {
+      const order = paidOrder();
+      order.refunds.push({ refundId: 're_1', amount: 1000, status: 'succeeded' });
+      jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(query({ releasedAt: new Date() }));
+
+      const refund = await postRefund(order, order.refunds[0], [
+        { user: creatorId, amount: 560 },
+        { user: coCreatorId, amount: 140 },
+      ]);
+
+      await expect(refund.validate()).resolves.toBeUndefined();
+      expect(lineFor(refund, ACCOUNTS.AVAILABLE, creatorId).debit).toBe(560);
+      expect(lineFor(refund, ACCOUNTS.HELD, creatorId)).toBeUndefined();
+      expect(lineFor(refund, ACCOUNTS.FEES).debit).toBe(300);
+      expect(lineFor(refund, ACCOUNTS.CASH).credit).toBe(1000);
+    });
+
+    it('should return the existing transaction when a posting is retried', async () => {
+      const order = paidOrder();
+      const existing = { _id: 'existing' };
+      create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyPattern: { idempotencyKey: 1 } }));
+      jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(existing);
+
+      const sale = await postSale(order, { platformFee: 4999, payouts: [] });
+
+      expect(sale).toBe(existing);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('payouts', () => {
+    const contributor = (payoutMethod = 'paypal') => jest.spyOn(User, 'findById')
+      .mockReturnValue(query({ earnings: { payoutMethod } }));
+
+    it('should require a payout method and the minimum amount', async () => {
+      contributor(null);
+
+      await expect(requestPayout(creatorId, MIN_PAYOUT_AMOUNT - 1)).rejects.toMatchObject({ status: 400 });
+      await expect(requestPayout(creatorId, MIN_PAYOUT_AMOUNT)).rejects.toThrow(/payout method/);
+    });
+
+    it('should not pay out more than is available', async () => {
+      contributor();
+      jest.spyOn(LedgerTransaction, 'getBalances').mockResolvedValue({
+        [ACCOUNTS.HELD]: 50000,
+        [ACCOUNTS.AVAILABLE]: 1500,
+        [ACCOUNTS.PAYOUT_REQUESTED]: 0,
+      });
+      const createPayout = jest.spyOn(Payout, 'create');
+
+      await expect(requestPayout(creatorId, 2000)).rejects.toThrow(/Only 1500/);
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+
+    it('should move the requested amount out of the available balance', async () => {
+      contributor();
+      jest.spyOn(LedgerTransaction, 'getBalances').mockResolvedValue({
+        [ACCOUNTS.HELD]: 0,
+        [ACCOUNTS.AVAILABLE]: 5000,
+        [ACCOUNTS.PAYOUT_REQUESTED]: 0,
+      });
+      jest.spyOn(Payout, 'create').mockImplementation(async doc => new Payout(doc));
+
+      const payout = await requestPayout(creatorId, 2000);
+      const posted = await create.mock.results[0].value;
+
+      expect(payout.method).toBe('paypal');
+      expect(posted.type).toBe('payout_request');
+      expect(lineFor(posted, ACCOUNTS.AVAILABLE, creatorId).debit).toBe(2000);
+      expect(lineFor(posted, ACCOUNTS.PAYOUT_REQUESTED, creatorId).credit).toBe(2000);
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('should report paid orders whose sale is missing or differs from the order', async () => {
+      const missing = paidOrder();
+      const mismatched = paidOrder();
+
+      LedgerTransaction.aggregate.mockResolvedValue([
+        { transactions: 1, debits: 4000, credits: 4000, unbalanced: [] },
+      ]);
+      jest.spyOn(LedgerTransaction, 'getBalances').mockResolvedValue({
+        [ACCOUNTS.CASH]: -4000,
+        [ACCOUNTS.FEES]: 1200,
+        [ACCOUNTS.HELD]: 2800,
+        [ACCOUNTS.AVAILABLE]: 0,
+        [ACCOUNTS.PAYOUT_REQUESTED]: 0,
+      });
+      jest.spyOn(Order, 'find').mockReturnValue(query([
+        { _id: missing._id, total: 4999, refundedAmount: 0 },
+        { _id: mismatched._id, total: 4999, refundedAmount: 0 },
+      ]));
+      jest.spyOn(LedgerTransaction, 'find')
+        .mockReturnValueOnce(query([{
+          order: mismatched._id,
+          type: 'sale',
+          lines: [{ account: ACCOUNTS.CASH, debit: 4000, credit: 0 }],
+        }]))
+        .mockReturnValueOnce(query([]));
+      jest.spyOn(Payout, 'find').mockReturnValue(query([]));
+      jest.spyOn(LedgerTransaction, 'distinct').mockResolvedValue([]);
+
+      const report = await reconcile({ from: '2026-03-01', to: '2026-04-01' });
+
+      expect(report.ledger.balanced).toBe(true);
+      expect(report.accounts.cash).toBe(4000);
+      expect(report.orders.issues).toEqual([
+        expect.objectContaining({ order: missing._id, issue: 'missing_sale' }),
+        expect.objectContaining({ order: mismatched._id, issue: 'sale_amount', ledger: 4000 }),
+      ]);
+      expect(report.ok).toBe(false);
+    });
+  });
+});
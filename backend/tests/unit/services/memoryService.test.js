@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for Learner Memory Management
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import MemoryEntry from '../../../models/MemoryEntry.js';
+import {
+  updateMemory,
+  setPinned,
+  deleteMemory,
+  MemoryValidationError,
+} from '../../../services/memoryService.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Serve a memory document from MemoryEntry.findOne without a database
+const stubMemory = (fields = {}) => {
+  const memory = new MemoryEntry({
+    userId,
+    content: 'i am learning Rust',
+    type: 'experience',
+    namespace: { category: 'education', topic: 'current_learning' },
+    ...fields,
+  });
+
+  jest.spyOn(memory, 'save').mockResolvedValue(memory);
+  jest.spyOn(MemoryEntry, 'findOne').mockReturnValue({ select: () => Promise.resolve(memory) });
+
+  return memory;
+};
+
+describe('Memory Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the previous content in version history and audit the edit', async () => {
+    const memory = stubMemory();
+
+    await updateMemory(userId, memory._id, { content: 'I am learning Go', namespace: { topic: 'languages' } }, userId);
+
+    expect(memory.content).toBe('I am learning Go');
+    expect(memory.version.current).toBe(2);
+    expect(memory.version.history[0]).toMatchObject({ version: 1, content: 'i am learning Rust', reason: 'correction' });
+    expect(memory.audit.at(-1)).toMatchObject({
+      action: 'updated',
+      actorId: String(userId),
+      details: { fields: ['content', 'namespace.topic'] },
+    });
+  });
+
+  it('should reject invalid edits without saving', async () => {
+    const memory = stubMemory();
+
+    await expect(updateMemory(userId, memory._id, { type: 'opinion' })).rejects.toBeInstanceOf(MemoryValidationError);
+    await expect(updateMemory(userId, memory._id, { content: '  ' })).rejects.toThrow('Content must be');
+    expect(memory.save).not.toHaveBeenCalled();
+  });
+
+  it('should pin as user_explicit and restore the extraction method on unpin', async () => {
+    const memory = stubMemory();
+
+    await setPinned(userId, memory._id, true, userId);
+    expect(memory.source.extractionMethod).toBe('user_explicit');
+    expect(memory.importance.factors.userMarked).toBe(true);
+    expect(memory.shouldForget()).toBe(false);
+
+    await setPinned(userId, memory._id, false, userId);
+    expect(memory.source.extractionMethod).toBe('automatic');
+    expect(memory.importance.factors.userMarked).toBe(false);
+    expect(memory.audit.map(entry => entry.action)).toEqual(['pinned', 'unpinned']);
+  });
+
+  it('should erase deleted content but keep the audit trail until expiry', async () => {
+    const memory = stubMemory({ version: { current: 2, history: [{ version: 1, content: 'old' }] } });
+
+    expect(await deleteMemory(userId, memory._id, userId)).toBe(true);
+    expect(memory.status).toBe('deleted');
+    expect(memory.content).toBe('[deleted]');
+    expect(memory.version.history).toHaveLength(0);
+    expect(memory.temporal.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(memory.audit.at(-1).action).toBe('deleted');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Quiz Grading Service
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import codeRunnerConfig from '../../../config/codeRunner.js';
+import {
+  gradeAnswer,
+  gradeChoice,
+  gradeFillBlank,
+  normalizeAnswer,
+} from '../../../services/quizGradingService.js';
+
+describe('Quiz Grading Service', () => {
+  // Coding questions run real code; bubblewrap is not available on every test machine
+  beforeAll(() => {
+    codeRunnerConfig.sandbox = 'none';
+  });
+  describe('normalizeAnswer', () => {
+    it('should ignore case, accents, punctuation and leading articles', () => {
+      expect(normalizeAnswer('  The Mitochondria! ')).toBe('mitochondria');
+      expect(normalizeAnswer('Café')).toBe('cafe');
+      expect(normalizeAnswer('3.14')).toBe('3.14');
+    });
+  });
+
+  describe('gradeChoice', () => {
+    const question = {
+      type: 'mcq',
+      options: ['Stack', 'Queue', 'Heap', 'Tree'],
+      correctAnswer: 'Queue',
+    };
+
+    it('should accept the option text regardless of casing', () => {
+      expect(gradeChoice(question, 'queue').isCorrect).toBe(true);
+    });
+
+    it('should accept the option index', () => {
+      expect(gradeChoice(question, 1).isCorrect).toBe(true);
+      expect(gradeChoice(question, '0').isCorrect).toBe(false);
+    });
+
+    it('should normalize true/false answers', () => {
+      expect(gradeChoice({ type: 'true_false', correctAnswer: 'true' }, 'True').isCorrect).toBe(true);
+    });
+  });
+
+  describe('gradeFillBlank', () => {
+    const question = {
+      type: 'fill_blank',
+      correctAnswer: 'photosynthesis',
+      acceptedAnswers: ['carbon fixation'],
+    };
+
+    it('should match the correct answer after normalization', () => {
+      const result = gradeFillBlank(question, ' Photosynthesis. ');
+      expect(result.isCorrect).toBe(true);
+      expect(result.gradingMethod).toBe('normalized');
+    });
+
+    it('should match accepted alternatives', () => {
+      expect(gradeFillBlank(question, 'Carbon Fixation').isCorrect).toBe(true);
+    });
+
+    it('should tolerate small spelling mistakes in longer answers', () => {
+      const result = gradeFillBlank(question, 'photosynthesys');
+      expect(result.isCorrect).toBe(true);
+      expect(result.gradingMethod).toBe('fuzzy');
+    });
+
+    it('should compare numbers numerically and not fuzzily', () => {
+      const numeric = { type: 'fill_blank', correctAnswer: '42' };
+      expect(gradeFillBlank(numeric, '42.0').isCorrect).toBe(true);
+      expect(gradeFillBlank(numeric, '43').isCorrect).toBe(false);
+    });
+
+    it('should reject unrelated answers', () => {
+      expect(gradeFillBlank(question, 'respiration').isCorrect).toBe(false);
+    });
+  });
+
+  describe('gradeAnswer', () => {
+    it('should award partial points for coding questions by passed test cases', async () => {
+      const question = {
+        type: 'coding',
+        points: 4,
+        codingChallenge: {
+          language: 'javascript',
+          starterCode: 'function add(a, b) {\n  // Your code here\n}',
+          testCases: [
+            { input: '1, 2', expectedOutput: '3' },
+            { input: '2, 2', expectedOutput: '4' },
+            { input: '-1, 1', expectedOutput: '0', isHidden: true },
+            { input: '5, 5', expectedOutput: '10', isHidden: true },
+          ],
+          timeLimit: 5,
+        },
+      };
+
+      const result = await gradeAnswer(question, {
+        userAnswer: { code: 'function add(a, b) { return a > 0 ? a + b : 99; }' },
+      });
+
+      expect(result.score).toBe(0.75);
+      expect(result.pointsEarned).toBe(3);
+      expect(result.isCorrect).toBe(false);
+      expect(result.codeSubmission.testResults).toHaveLength(4);
+      expect(result.codeSubmission.testResults[2].passed).toBe(false);
+      expect(result.codeSubmission.testResults[2].output).toBeUndefined();
+    });
+
+    it('should fall back to keyword overlap for short answers when AI grading fails', async () => {
+      const question = {
+        type: 'short_answer',
+        points: 2,
+        question: 'Why do we use indexes in databases?',
+        correctAnswer: 'Indexes speed up lookups by avoiding full collection scans',
+      };
+
+      const result = await gradeAnswer(question, {
+        userAnswer: 'They speed up lookups',
+      });
+
+      expect(result.gradingMethod).toBe('keyword_overlap');
+      expect(result.score).toBeGreaterThan(0);
+      expect(result.score).toBeLessThan(1);
+      expect(result.pointsEarned).toBeCloseTo(2 * result.score);
+    });
+  });
+});
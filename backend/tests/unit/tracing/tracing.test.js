@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Trace Propagation and Spans
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { SpanStatusCode } from '@opentelemetry/api';
+import { node, tracing } from '@opentelemetry/sdk-node';
+import {
+  withSpan,
+  withTraceContext,
+  traceJob,
+  traceSocketEvent,
+} from '../../../utils/tracing.js';
+import { FileSpanExporter } from '../../../config/tracing.js';
+import { LLMRouter } from '../../../ai/llm/llmRouter.js';
+
+const exporter = new tracing.InMemorySpanExporter();
+const provider = new node.NodeTracerProvider();
+provider.addSpanProcessor(new tracing.SimpleSpanProcessor(exporter));
+
+const spanNamed = (name) => exporter.getFinishedSpans().find((span) => span.name === name);
+
+describe('Tracing', () => {
+  beforeAll(() => {
+    provider.register();
+  });
+
+  afterAll(async () => {
+    await provider.shutdown();
+  });
+
+  beforeEach(() => {
+    exporter.reset();
+  });
+
+  it('should continue the producer trace in the job consumer span', async () => {
+    const data = await withSpan('POST /api/voice', {}, async () => withTraceContext({ sessionId: 's1' }));
+    expect(data.traceContext.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+
+    const processor = traceJob('stt', async (job) => withSpan('transcribe', {}, async () => job.data.sessionId));
+    expect(await processor({ id: 7, attemptsMade: 0, data })).toBe('s1');
+
+    const request = spanNamed('POST /api/voice');
+    const consumer = spanNamed('stt process');
+    expect(consumer.spanContext().traceId).toBe(request.spanContext().traceId);
+    expect(consumer.parentSpanId).toBe(request.spanContext().spanId);
+    expect(consumer.attributes).toMatchObject({ 'messaging.system': 'bullmq', 'messaging.message.id': '7' });
+    expect(spanNamed('transcribe').parentSpanId).toBe(consumer.spanContext().spanId);
+  });
+
+  it('should leave job data untouched outside a trace', () => {
+    expect(withTraceContext({ sessionId: 's1' })).toEqual({ sessionId: 's1' });
+  });
+
+  it('should start or continue a trace per Socket.IO event', async () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const handler = traceSocketEvent({ id: 'sock-1' }, 'voice:text-message', async () => {});
+
+    await handler({ text: 'hi', traceContext: { traceparent: `00-${traceId}-00f067aa0ba902b7-01` } });
+    await handler({ text: 'again' });
+
+    const [continued, root] = exporter.getFinishedSpans();
+    expect(continued.name).toBe('socket.io voice:text-message');
+    expect(continued.spanContext().traceId).toBe(traceId);
+    expect(continued.parentSpanId).toBe('00f067aa0ba902b7');
+    expect(root.spanContext().traceId).not.toBe(traceId);
+    expect(root.parentSpanId).toBeUndefined();
+  });
+
+  it('should record LLM attempts as client spans with usage and errors', async () => {
+    const router = new LLMRouter({
+      provider: 'primary',
+      providers: {},
+      chains: { quiz: ['primary:big', 'backup:small'] },
+      attemptTimeout: 1000,
+    });
+    router.registerProvider('primary', {
+      name: 'primary',
+      isConfigured: () => true,
+      complete: async () => Promise.reject(new Error('rate limited')),
+    });
+    router.registerProvider('backup', {
+      name: 'backup',
+      isConfigured: () => true,
+      complete: async () => ({
+        choices: [{ message: { role: 'assistant', content: 'ok' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 },
+      }),
+    });
+
+    await router.complete([{ role: 'user', content: 'Quiz me' }], { feature: 'quiz' });
+
+    expect(spanNamed('chat big').status.code).toBe(SpanStatusCode.ERROR);
+    expect(spanNamed('chat small').attributes).toMatchObject({
+      'gen_ai.system': 'backup',
+      'gen_ai.request.model': 'small',
+      'gen_ai.usage.input_tokens': 12,
+      'gen_ai.usage.output_tokens': 3,
+      'app.llm.feature': 'quiz',
+    });
+  });
+
+  it('should write finished spans as JSON lines', async () => {
+    await withSpan('lesson lookup', { attributes: { 'lesson.id': 'l1' } }, async () => {});
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spans-')), 'traces', 'spans.jsonl');
+    const fileExporter = new FileSpanExporter(file);
+
+    const result = await new Promise((resolve) => fileExporter.export(exporter.getFinishedSpans(), resolve));
+    await fileExporter.shutdown();
+
+    expect(result.code).toBe(0);
+    const [line] = fs.readFileSync(file, 'utf8').trim().split('\n').map((entry) => JSON.parse(entry));
+    expect(line).toMatchObject({ name: 'lesson lookup', attributes: { 'lesson.id': 'l1' } });
+    expect(line.traceId).toHaveLength(32);
+    fs.rmSync(path.dirname(path.dirname(file)), { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for Document Parsers and Chunking
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import AdmZip from 'adm-zip';
+import {
+  detectFormat,
+  parseDocument,
+  parseMarkdown,
+  parseHtml,
+  DocumentParseError,
+} from '../../../ai/vectorstore/documentParsers.js';
+import { chunkBlocks, estimateTokens } from '../../../ai/vectorstore/chunker.js';
+
+// Smallest .docx Word and mammoth will open: one paragraph per [style, text]
+const buildDocx = (paragraphs) => {
+  const body = paragraphs.map(([style, text]) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'));
+  zip.addFile('_rels/.rels', Buffer.from('<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'));
+  zip.addFile('word/document.xml', Buffer.from(`<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`));
+  return zip.toBuffer();
+};
+
+const sentence = (n) => `Sentence number ${n} explains one more detail of the topic.`;
+
+describe('Document Parsers', () => {
+  it('should detect formats by extension, then MIME type', () => {
+    expect(detectFormat('notes.MD')).toBe('markdown');
+    expect(detectFormat('lecture.pdf', 'text/plain')).toBe('pdf');
+    expect(detectFormat('upload', 'text/html; charset=utf-8')).toBe('html');
+    expect(detectFormat('slides.pptx', 'application/octet-stream')).toBeNull();
+  });
+
+  it('should track Markdown heading paths and keep code fences whole', () => {
+    const { title, blocks } = parseMarkdown([
+      '---',
+      'title: "Closures"',
+      '---',
+      'Intro paragraph.',
+      '',
+      '# Basics',
+      'A closure keeps its scope.',
+      '',
+      '## Example',
+      '```js',
+      '# not a heading',
+      '',
+      'const f = () => x;',
+      '```',
+      'Setext Heading',
+      '--------------',
+      'Under setext.',
+    ].join('\n'));
+
+    expect(title).toBe('Closures');
+    expect(blocks).toEqual([
+      { text: 'Intro paragraph.', page: null, section: [] },
+      { text: 'A closure keeps its scope.', page: null, section: ['Basics'] },
+      { text: '```js\n# not a heading\n\nconst f = () => x;\n```', page: null, section: ['Basics', 'Example'], preformatted: true },
+      { text: 'Under setext.', page: null, section: ['Basics', 'Setext Heading'] },
+    ]);
+  });
+
+  it('should read HTML block elements under their headings and skip scripts', () => {
+    const { title, blocks } = parseHtml(`
+      <html><head><title>Week 1</title><script>track()</script></head><body>
+        <nav>Home | Courses</nav>
+        <h1>Arrays</h1><p>Arrays hold <b>ordered</b> values.</p>
+        <ul><li><p>push adds</p></li><li>pop removes</li></ul>
+        <h3>Deep</h3><div>Loose text</div><pre>  indented\n  code</pre>
+      </body></html>`);
+
+    expect(title).toBe('Week 1');
+    expect(blocks.map((b) => [b.text, b.section.join(' > ')])).toEqual([
+      ['Arrays hold ordered values.', 'Arrays'],
+      ['push adds', 'Arrays'],
+      ['pop removes', 'Arrays'],
+      ['Loose text', 'Arrays > Deep'],
+      ['indented\n  code', 'Arrays > Deep'],
+    ]);
+    expect(blocks[4].preformatted).toBe(true);
+  });
+
+  it('should parse DOCX headings into sections', async () => {
+    const buffer = buildDocx([['Heading1', 'Recursion'], [null, 'A function that calls itself.'], ['Heading2', 'Base case'], [null, 'Stops the recursion.']]);
+
+    const parsed = await parseDocument(buffer, { filename: 'week2.docx' });
+
+    expect(parsed.format).toBe('docx');
+    expect(parsed.title).toBe('Recursion');
+    expect(parsed.blocks.map((b) => b.section.join(' > '))).toEqual(['Recursion', 'Recursion > Base case']);
+  });
+
+  it('should reject unsupported and empty documents', async () => {
+    await expect(parseDocument(Buffer.from('x'), { filename: 'a.exe' })).rejects.toMatchObject({ status: 415 });
+    const error = await parseDocument(Buffer.from('  \n\n '), { filename: 'empty.txt' }).catch((err) => err);
+    expect(error).toBeInstanceOf(DocumentParseError);
+    expect(error.status).toBe(422);
+  });
+
+  it('should fall back to the file name for the title', async () => {
+    const parsed = await parseDocument(Buffer.from('Just text.'), { filename: 'intro-notes.txt' });
+    expect(parsed.title).toBe('intro-notes');
+  });
+});
+
+describe('Chunker', () => {
+  const paragraph = Array.from({ length: 20 }, (_, i) => sentence(i + 1)).join(' ');
+
+  it('should keep chunks within the token budget and overlap consecutive ones', () => {
+    const chunks = chunkBlocks([{ text: paragraph, page: null, section: [] }], { chunkSize: 60, chunkOverlap: 20, headingAware: false });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach((chunk, idx) => {
+      expect(chunk.index).toBe(idx);
+      expect(chunk.tokens).toBeLessThanOrEqual(60);
+    });
+
+    const lastSentenceOfFirst = chunks[0].text.split(/(?<=\.)\s/).pop();
+    expect(chunks[1].text.startsWith(lastSentenceOfFirst)).toBe(true);
+  });
+
+  it('should not overlap when overlap is zero', () => {
+    const chunks = chunkBlocks([{ text: paragraph, page: null, section: [] }], { chunkSize: 60, chunkOverlap: 0, headingAware: false });
+    const joined = chunks.map((c) => c.text).join(' ');
+
+    expect(joined).toBe(paragraph);
+  });
+
+  it('should keep sections apart and prefix their heading path', () => {
+    const blocks = [
+      { text: 'Closures keep scope.', page: null, section: ['JS', 'Closures'] },
+      { text: 'Another closure fact.', page: null, section: ['JS', 'Closures'] },
+      { text: 'Promises settle once.', page: null, section: ['JS', 'Promises'] },
+    ];
+
+    const chunks = chunkBlocks(blocks, { chunkSize: 200, chunkOverlap: 20, headingAware: true });
+    expect(chunks.map((c) => c.text)).toEqual([
+      'JS > Closures\n\nClosures keep scope.\n\nAnother closure fact.',
+      'JS > Promises\n\nPromises settle once.',
+    ]);
+    expect(chunks[1].section).toBe('JS > Promises');
+
+    const merged = chunkBlocks(blocks, { chunkSize: 200, chunkOverlap: 20, headingAware: false });
+    expect(merged).toHaveLength(1);
+    expect(merged[0].section).toBe('JS > Closures');
+  });
+
+  it('should record the page range of each chunk', () => {
+    const blocks = [1, 2, 3].map((page) => ({ text: `${sentence(page)} ${sentence(page + 10)}`, page, section: [] }));
+
+    // Three ~15-token sentences per chunk, two per page
+    const chunks = chunkBlocks(blocks, { chunkSize: 50, chunkOverlap: 0, headingAware: true });
+
+    expect(chunks.map((c) => [c.page, c.pageEnd])).toEqual([[1, 2], [2, 3]]);
+  });
+
+  it('should split words longer than a chunk', () => {
+    const chunks = chunkBlocks([{ text: 'x'.repeat(1000), page: null, section: [] }], { chunkSize: 100, chunkOverlap: 0 });
+
+    expect(chunks.map((c) => c.text.length)).toEqual([400, 400, 200]);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  it('should refuse an overlap as large as the chunk', () => {
+    expect(() => chunkBlocks([], { chunkSize: 50, chunkOverlap: 50 })).toThrow('chunkOverlap');
+  });
+});
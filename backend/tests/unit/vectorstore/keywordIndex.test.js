@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for the BM25 Keyword Index and Hybrid Result Fusion
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { BM25Index, tokenize, matchesWhere } from '../../../ai/vectorstore/keywordIndex.js';
+import { fuseResults } from '../../../ai/vectorstore/fusion.js';
+
+const docs = [
+  { id: 'closures', text: 'JavaScript closures capture variables from the enclosing scope', metadata: { userId: 'u1' } },
+  { id: 'promises', text: 'Promises represent the eventual result of an asynchronous operation', metadata: { userId: 'u1' } },
+  { id: 'hoisting', text: 'Hoisting moves variable declarations to the top of the scope', metadata: { userId: 'u2' } },
+  { id: 'python', text: 'Python list comprehensions build lists from iterables', metadata: { userId: 'u2' } },
+];
+
+const buildIndex = () => {
+  const index = new BM25Index({ k1: 1.2, b: 0.75 });
+  index.add(docs);
+  return index;
+};
+
+describe('Keyword Index', () => {
+  it('should tokenize without stop words or punctuation', () => {
+    expect(tokenize('What is a JavaScript closure, and how does it work?'))
+      .toEqual(['javascript', 'closure', 'work']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  it('should rank by BM25 and report matched terms', () => {
+    const results = buildIndex().search('closures enclosing scope');
+
+    expect(results.map((r) => r.id)).toEqual(['closures', 'hoisting']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0].matchedTerms).toEqual(['closures', 'enclosing', 'scope']);
+    expect(results[0].content).toBe(docs[0].text);
+  });
+
+  it('should weight rare terms above common ones', () => {
+    const index = buildIndex();
+    index.add([{ id: 'scope2', text: 'Block scope and function scope', metadata: {} }]);
+
+    const [top] = index.search('scope asynchronous');
+
+    expect(top.id).toBe('promises');
+  });
+
+  it('should replace and remove documents', () => {
+    const index = buildIndex();
+
+    index.add([{ id: 'python', text: 'Rust ownership and borrowing', metadata: {} }]);
+    expect(index.search('python')).toEqual([]);
+    expect(index.search('ownership')[0].id).toBe('python');
+    expect(index.size).toBe(4);
+
+    expect(index.remove(['python', 'missing'])).toBe(1);
+    expect(index.search('ownership')).toEqual([]);
+    expect(index.postings.has('ownership')).toBe(false);
+
+    expect(index.removeWhere({ userId: 'u1' })).toBe(2);
+    expect(index.size).toBe(1);
+  });
+
+  it('should apply where filters', () => {
+    const index = buildIndex();
+
+    expect(index.search('scope', { where: { userId: 'u2' } }).map((r) => r.id)).toEqual(['hoisting']);
+    expect(matchesWhere({ type: 'note', level: 2 }, { $and: [{ type: 'note' }, { level: { $in: [1, 2] } }] })).toBe(true);
+    expect(matchesWhere({ type: 'note' }, { $or: [{ type: 'card' }, { type: { $ne: 'note' } }] })).toBe(false);
+  });
+});
+
+describe('Hybrid Fusion', () => {
+  const vector = [
+    { id: 'a', content: 'A', metadata: {}, score: 0.9 },
+    { id: 'b', content: 'B', metadata: {}, score: 0.8 },
+  ];
+  const keyword = [
+    { id: 'b', content: 'B', metadata: {}, score: 6, matchedTerms: ['react'] },
+    { id: 'c', content: 'C', metadata: {}, score: 3, matchedTerms: ['hooks'] },
+  ];
+
+  it('should fuse ranks with reciprocal rank fusion', () => {
+    const fused = fuseResults(vector, keyword, { method: 'rrf', alpha: 0.5, rrfK: 60 });
+
+    expect(fused.map((d) => d.id)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].hybridScore).toBeCloseTo((0.5 / 62 + 0.5 / 61) * 61);
+    expect(fused[0]).toMatchObject({ vectorRank: 2, keywordRank: 1, keywordScore: 1, matchedTerms: ['react'] });
+    expect(fused[2]).toMatchObject({ vectorScore: 0, vectorRank: null, keywordScore: 0.5 });
+  });
+
+  it('should scale the fused score to 1 for a document both retrievers rank first', () => {
+    const [top] = fuseResults([vector[0]], [{ ...keyword[0], id: 'a' }], { method: 'rrf', alpha: 0.3, rrfK: 10 });
+
+    expect(top.hybridScore).toBeCloseTo(1);
+  });
+
+  it('should weight scores with alpha', () => {
+    const fused = fuseResults(vector, keyword, { method: 'weighted', alpha: 1 });
+    expect(fused.map((d) => d.id)).toEqual(['a', 'b', 'c']);
+
+    const keywordOnly = fuseResults(vector, keyword, { method: 'weighted', alpha: 0 });
+    expect(keywordOnly.map((d) => d.id)).toEqual(['b', 'c', 'a']);
+    expect(keywordOnly[1].hybridScore).toBeCloseTo(0.5);
+  });
+
+  it('should reject unknown methods', () => {
+    expect(() => fuseResults(vector, keyword, { method: 'max' })).toThrow('Unknown fusion method');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for the Cross-Encoder Reranker
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { Reranker } from '../../../ai/vectorstore/reranker.js';
+
+const config = {
+  model: 'test-cross-encoder',
+  candidatePool: 3,
+  latencyBudgetMs: 200,
+  batchSize: 2,
+  cacheSize: 100,
+  cacheTTL: 60,
+};
+
+const results = [
+  { id: 'a', content: 'alpha', score: 0.9 },
+  { id: 'b', content: 'beta', score: 0.8 },
+  { id: 'c', content: 'gamma', score: 0.7 },
+  { id: 'd', content: 'delta', score: 0.6 },
+];
+
+// Relevance by passage, so the cross-encoder disagrees with the vector order
+const relevance = { alpha: 0.1, beta: 0.5, gamma: 0.9, delta: 1 };
+const fakeScorer = () => jest.fn(async (query, passages) => passages.map((p) => relevance[p]));
+
+describe('Reranker', () => {
+  it('should reorder the candidate pool by cross-encoder score', async () => {
+    const scorer = fakeScorer();
+    const reranker = new Reranker({ scorer, config });
+
+    const reranked = await reranker.rerank('question', results);
+
+    // "delta" is outside the pool of 3, so it stays behind the reranked ones
+    expect(reranked.map((r) => r.id)).toEqual(['c', 'b', 'a', 'd']);
+    expect(reranked[0].rerankScore).toBe(0.9);
+    expect(reranked[3].rerankScore).toBeUndefined();
+    expect(scorer).toHaveBeenCalledTimes(2); // batches of 2
+  });
+
+  it('should apply the limit after reranking', async () => {
+    const reranker = new Reranker({ scorer: fakeScorer(), config });
+
+    const reranked = await reranker.rerank('question', results, { limit: 1, candidatePool: 4 });
+
+    expect(reranked.map((r) => r.id)).toEqual(['d']);
+  });
+
+  it('should serve repeated pairs from the cache', async () => {
+    const scorer = fakeScorer();
+    const reranker = new Reranker({ scorer, config });
+
+    await reranker.rerank('question', results);
+    const again = await reranker.rerank('question', results);
+
+    expect(again.map((r) => r.id)).toEqual(['c', 'b', 'a', 'd']);
+    expect(scorer).toHaveBeenCalledTimes(2);
+    expect(reranker.getStats()).toMatchObject({ cacheHits: 3, scored: 3 });
+
+    await reranker.rerank('another question', results);
+    expect(scorer).toHaveBeenCalledTimes(4);
+  });
+
+  it('should keep vector order for what is not scored within the budget', async () => {
+    const scorer = jest.fn((query, passages) => new Promise((resolve) => {
+      const delay = passages.includes('alpha') ? 0 : 100;
+      setTimeout(() => resolve(passages.map((p) => relevance[p])), delay);
+    }));
+    const reranker = new Reranker({ scorer, config: { ...config, latencyBudgetMs: 30 } });
+
+    const reranked = await reranker.rerank('question', results);
+
+    // First batch (alpha, beta) made it, gamma timed out
+    expect(reranked.map((r) => r.id)).toEqual(['b', 'a', 'c', 'd']);
+    expect(reranker.getStats().timeouts).toBe(1);
+
+    // The late batch still warms the cache
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    expect(reranker.cache.size).toBe(3);
+  });
+
+  it('should fall back to vector order when scoring fails', async () => {
+    const scorer = jest.fn(async () => {
+      throw new Error('model unavailable');
+    });
+    const reranker = new Reranker({ scorer, config });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const reranked = await reranker.rerank('question', [...results].reverse());
+
+    expect(reranked.map((r) => r.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(reranker.getStats().errors).toBe(1);
+    console.warn.mockRestore();
+  });
+});
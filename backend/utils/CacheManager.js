@@ -1,14 +1,23 @@
 /**
  * CacheManager - Handles all caching operations
  * Includes: Cache-aside, Stale-While-Revalidate, Distributed Locks
+ *
+ * Two tiers: an in-process L1 (L1Cache) in front of Redis (L2). Reads try L1
+ * first; writes and deletes go to both and are published so other instances
+ * drop their L1 copies. With Redis down, L1 alone keeps serving.
  */
 
+import crypto from 'crypto';
 import redisClient from '../config/redis.js';
 import cacheConfig from '../config/cache.js';
+import l1Cache from './L1Cache.js';
+import cacheMetrics from './CacheMetrics.js';
 
 class CacheManager {
   constructor() {
     this.redis = null;
+    this.subscriber = null;
+    this.instanceId = crypto.randomUUID();
     this.metricsEnabled = cacheConfig.FEATURES.metricsEnabled;
   }
 
@@ -17,9 +26,106 @@ class CacheManager {
    */
   async initialize() {
     this.redis = await redisClient.connect();
+    if (this.redis) {
+      await this.subscribeToInvalidations();
+    }
     return this.redis !== null;
   }
 
+  /**
+   * Listen for L1 invalidations published by other instances
+   */
+  async subscribeToInvalidations() {
+    if (!l1Cache.enabled || this.subscriber) {
+      return;
+    }
+
+    try {
+      let connectedBefore = false;
+      this.subscriber = this.redis.duplicate();
+      this.subscriber.on('message', (channel, message) => this.handleInvalidation(message));
+      this.subscriber.on('ready', () => {
+        // Invalidations published while we were disconnected are lost
+        if (connectedBefore) {
+          l1Cache.clear();
+          console.log('🔄 L1 cache cleared after Redis reconnect');
+        }
+        connectedBefore = true;
+      });
+      this.subscriber.on('error', (error) => {
+        console.error('Cache invalidation subscriber error:', error.message);
+      });
+
+      await this.subscriber.subscribe(cacheConfig.L1.invalidationChannel);
+    } catch (error) {
+      console.error('Cache invalidation subscribe error:', error.message);
+    }
+  }
+
+  /**
+   * Apply an invalidation message from another instance to L1
+   */
+  handleInvalidation(message) {
+    try {
+      const { origin, keys = [], tags = [], flush = false } = JSON.parse(message);
+      if (origin === this.instanceId) {
+        return;
+      }
+
+      l1Cache.stats.remoteInvalidations++;
+      if (flush) {
+        l1Cache.clear();
+        return;
+      }
+      tags.forEach(tag => l1Cache.invalidateTag(tag));
+      l1Cache.delete(keys);
+    } catch (error) {
+      console.error('Cache invalidation message error:', error.message);
+    }
+  }
+
+  /**
+   * Drop keys and tags from the L1 of this and every other instance
+   */
+  async invalidateLocal({ keys = [], tags = [], flush = false }) {
+    if (flush) {
+      l1Cache.clear();
+    }
+    tags.forEach(tag => l1Cache.invalidateTag(tag));
+    l1Cache.delete(keys);
+
+    const published = keys.filter(key => l1Cache.accepts(key));
+    if (!l1Cache.enabled || (!flush && tags.length === 0 && published.length === 0)) {
+      return;
+    }
+    if (!this.redis || !redisClient.isConnected) {
+      return;
+    }
+
+    try {
+      await redisClient.executeWithCircuitBreaker(
+        () => this.redis.publish(
+          cacheConfig.L1.invalidationChannel,
+          JSON.stringify({ origin: this.instanceId, keys: published, tags, flush })
+        ),
+        () => null
+      );
+    } catch (error) {
+      console.error('Cache invalidation publish error:', error.message);
+    }
+  }
+
+  /**
+   * Close the invalidation subscriber
+   */
+  async shutdown() {
+    if (this.subscriber) {
+      await this.subscriber.quit().catch(() => {});
+      this.subscriber = null;
+    }
+    l1Cache.clear();
+  }
+
   /**
    * Generate cache key with namespace and version
    */
@@ -34,7 +140,17 @@ class CacheManager {
    * Get data from cache
    */
   async get(key) {
+    const namespace = this.getNamespaceFromKey(key);
+
+    const local = l1Cache.get(key);
+    if (local !== undefined) {
+      cacheMetrics.recordTierLookup('l1', namespace);
+      this.recordHit(namespace);
+      return local;
+    }
+
     if (!this.redis || !redisClient.isConnected) {
+      cacheMetrics.recordTierLookup('miss', namespace);
       return null;
     }
 
@@ -45,11 +161,14 @@ class CacheManager {
       );
 
       if (cached) {
-        await this.recordHit(this.getNamespaceFromKey(key));
+        l1Cache.set(key, cached);
+        cacheMetrics.recordTierLookup('l2', namespace);
+        await this.recordHit(namespace);
         return JSON.parse(cached);
       }
 
-      await this.recordMiss(this.getNamespaceFromKey(key));
+      cacheMetrics.recordTierLookup('miss', namespace);
+      await this.recordMiss(namespace);
       return null;
     } catch (error) {
       console.error('Cache get error:', error.message);
@@ -59,21 +178,28 @@ class CacheManager {
 
   /**
    * Set data in cache with TTL
+   * @param {Object} options - tags: remembered by L1 for CacheTagManager.invalidateTag
    */
-  async set(key, data, ttl) {
+  async set(key, data, ttl, { tags = [] } = {}) {
+    const serialized = JSON.stringify(data);
+
+    // Other instances may hold an older copy
+    await this.invalidateLocal({ keys: [key] });
+    const storedLocally = l1Cache.set(key, serialized, ttl, tags);
+
     if (!this.redis || !redisClient.isConnected) {
-      return false;
+      return storedLocally;
     }
 
     try {
       await redisClient.executeWithCircuitBreaker(
-        () => this.redis.setex(key, ttl, JSON.stringify(data)),
+        () => this.redis.setex(key, ttl, serialized),
         () => null
       );
       return true;
     } catch (error) {
       console.error('Cache set error:', error.message);
-      return false;
+      return storedLocally;
     }
   }
 
@@ -81,6 +207,8 @@ class CacheManager {
    * Delete key from cache
    */
   async del(key) {
+    await this.invalidateLocal({ keys: [key] });
+
     if (!this.redis || !redisClient.isConnected) {
       return false;
     }
@@ -101,7 +229,13 @@ class CacheManager {
    * Delete multiple keys
    */
   async delMany(keys) {
-    if (!this.redis || !redisClient.isConnected || keys.length === 0) {
+    if (keys.length === 0) {
+      return false;
+    }
+
+    await this.invalidateLocal({ keys });
+
+    if (!this.redis || !redisClient.isConnected) {
       return false;
     }
 
@@ -132,6 +266,11 @@ class CacheManager {
     const cacheAge = await this.getTTL(key);
 
     if (cached) {
+      // Age unknown (served by L1 while Redis is unreachable): L1 TTLs bound staleness
+      if (cacheAge < 0) {
+        return { data: cached, fromCache: true, stale: false };
+      }
+
       // Fresh data - return immediately
       if (cacheAge > (staleTTL - ttl)) {
         return { data: cached, fromCache: true, stale: false };
@@ -198,7 +337,8 @@ class CacheManager {
    * Fetch with distributed lock (stampede prevention)
    */
   async fetchWithLock(key, fetchFn, ttl) {
-    if (!cacheConfig.FEATURES.enableStampedePrevention) {
+    // Locks live in Redis; without it, fetch directly (the result still lands in L1)
+    if (!cacheConfig.FEATURES.enableStampedePrevention || !redisClient.isConnected) {
       const freshData = await fetchFn();
       await this.set(key, freshData, ttl);
       return { data: freshData, fromCache: false, stale: false };
@@ -243,7 +383,7 @@ class CacheManager {
    * Acquire distributed lock
    */
   async acquireLock(lockKey, ttl) {
-    if (!this.redis) return false;
+    if (!this.redis || !redisClient.isConnected) return false;
 
     try {
       const result = await redisClient.executeWithCircuitBreaker(
@@ -273,7 +413,7 @@ class CacheManager {
    * Get TTL of a key
    */
   async getTTL(key) {
-    if (!this.redis) return -1;
+    if (!this.redis || !redisClient.isConnected) return -1;
 
     try {
       return await redisClient.executeWithCircuitBreaker(
@@ -289,7 +429,10 @@ class CacheManager {
    * Check if key exists
    */
   async exists(key) {
-    if (!this.redis) return false;
+    if (l1Cache.get(key) !== undefined) {
+      return true;
+    }
+    if (!this.redis || !redisClient.isConnected) return false;
 
     try {
       const result = await redisClient.executeWithCircuitBreaker(
@@ -313,7 +456,7 @@ class CacheManager {
    * Record cache hit
    */
   async recordHit(namespace) {
-    if (!this.metricsEnabled || !this.redis) return;
+    if (!this.metricsEnabled || !this.redis || !redisClient.isConnected) return;
 
     try {
       await this.redis.hincrby('metric:cache:hits', namespace, 1);
@@ -327,7 +470,7 @@ class CacheManager {
    * Record cache miss
    */
   async recordMiss(namespace) {
-    if (!this.metricsEnabled || !this.redis) return;
+    if (!this.metricsEnabled || !this.redis || !redisClient.isConnected) return;
 
     try {
       await this.redis.hincrby('metric:cache:misses', namespace, 1);
@@ -348,6 +491,8 @@ class CacheManager {
    * Flush all cache (use with caution)
    */
   async flushAll() {
+    await this.invalidateLocal({ flush: true });
+
     if (!this.redis) return false;
 
     try {
@@ -5,10 +5,15 @@
 
 import redisClient from '../config/redis.js';
 import cacheConfig from '../config/cache.js';
+import l1Cache from './L1Cache.js';
+
+const emptyTierCounts = () => ({ l1Hits: 0, l2Hits: 0, misses: 0 });
 
 class CacheMetrics {
   constructor() {
     this.redis = null;
+    // Per instance, kept in memory so they count while Redis is down
+    this.tiers = { total: emptyTierCounts(), namespaces: {} };
   }
 
   /**
@@ -57,6 +62,48 @@ class CacheMetrics {
     }
   }
 
+  /**
+   * Record a lookup answered by L1 (in-process) or L2 (Redis), or missed by both
+   * @param {string} outcome - 'l1', 'l2' or 'miss'
+   */
+  recordTierLookup(outcome, namespace = 'unknown') {
+    if (!cacheConfig.FEATURES.metricsEnabled) {
+      return;
+    }
+
+    const field = outcome === 'l1' ? 'l1Hits' : outcome === 'l2' ? 'l2Hits' : 'misses';
+    if (!this.tiers.namespaces[namespace]) {
+      this.tiers.namespaces[namespace] = emptyTierCounts();
+    }
+    this.tiers.namespaces[namespace][field]++;
+    this.tiers.total[field]++;
+  }
+
+  /**
+   * L1 vs L2 hits of this instance, with L1 size and eviction counts
+   */
+  getTierStats() {
+    const withRatios = (counts) => {
+      const lookups = counts.l1Hits + counts.l2Hits + counts.misses;
+      const ratio = (value) => (lookups > 0 ? ((value / lookups) * 100).toFixed(2) : 0);
+      return {
+        ...counts,
+        lookups,
+        l1HitRatio: ratio(counts.l1Hits),
+        l2HitRatio: ratio(counts.l2Hits),
+        hitRatio: ratio(counts.l1Hits + counts.l2Hits),
+      };
+    };
+
+    return {
+      total: withRatios(this.tiers.total),
+      namespaces: Object.fromEntries(
+        Object.entries(this.tiers.namespaces).map(([namespace, counts]) => [namespace, withRatios(counts)])
+      ),
+      l1: l1Cache.getStats(),
+    };
+  }
+
   /**
    * Record operation latency
    */
@@ -275,6 +322,7 @@ class CacheMetrics {
       memory,
       server,
       raw: allStats,
+      tiers: this.getTierStats(),
       circuitBreaker: {
         state: redisClient.circuitState,
         failureCount: redisClient.failureCount,
@@ -286,6 +334,8 @@ class CacheMetrics {
    * Reset all metrics
    */
   async reset() {
+    this.tiers = { total: emptyTierCounts(), namespaces: {} };
+
     if (!this.redis) return false;
 
     try {
@@ -5,6 +5,7 @@
 
 import redisClient from '../config/redis.js';
 import cacheConfig from '../config/cache.js';
+import cacheManager from './CacheManager.js';
 
 class CacheTagManager {
   constructor() {
@@ -89,6 +90,9 @@ class CacheTagManager {
    * Invalidate all keys with a specific tag
    */
   async invalidateTag(tagName) {
+    // L1 of every instance first: this also works while Redis is down
+    await cacheManager.invalidateLocal({ tags: [tagName] });
+
     if (!this.redis || !redisClient.isConnected) {
       return false;
     }
@@ -103,6 +107,9 @@ class CacheTagManager {
         return true;
       }
 
+      // Copies loaded into L1 from Redis don't carry their tags
+      await cacheManager.invalidateLocal({ keys });
+
       // Delete all tagged keys
       await redisClient.executeWithCircuitBreaker(
         () => this.redis.del(...keys),
@@ -167,17 +174,14 @@ class CacheTagManager {
    * Cache data with automatic tagging
    */
   async setWithTags(key, data, ttl, tags = []) {
+    // Both tiers; L1 keeps the tags itself
+    const stored = await cacheManager.set(key, data, ttl, { tags });
+
     if (!this.redis || !redisClient.isConnected) {
-      return false;
+      return stored;
     }
 
     try {
-      // Set the cache data
-      await redisClient.executeWithCircuitBreaker(
-        () => this.redis.setex(key, ttl, JSON.stringify(data)),
-        () => null
-      );
-
       // Add to tag sets
       if (tags.length > 0) {
         for (const tag of tags) {
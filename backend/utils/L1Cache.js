@@ -0,0 +1,159 @@
+/**
+ * L1Cache - In-process LRU tier in front of Redis
+ * Holds serialized entries for at most their namespace TTL (config/cache.js L1)
+ * and remembers tags locally, so cached routes keep working and tag
+ * invalidation still applies while Redis is unreachable.
+ */
+
+import { LRUCache } from 'lru-cache';
+import cacheConfig from '../config/cache.js';
+
+class L1Cache {
+  constructor(config = cacheConfig.L1) {
+    this.config = config;
+    this.enabled = config.enabled;
+    this.tags = new Map(); // tag -> Set of keys
+    this.keyTags = new Map(); // key -> Set of tags
+    this.stats = { sets: 0, evictions: 0, invalidations: 0, remoteInvalidations: 0 };
+
+    this.cache = new LRUCache({
+      max: config.maxEntries,
+      maxSize: config.maxSizeBytes,
+      sizeCalculation: (value) => value.length || 1,
+      dispose: (value, key, reason) => {
+        if (reason === 'evict') {
+          this.stats.evictions++;
+        }
+        this.untag(key);
+      },
+    });
+  }
+
+  /**
+   * Namespace of a key (its first segment, see cacheConfig.PREFIXES)
+   */
+  getNamespace(key) {
+    return key.split(':')[0] || 'unknown';
+  }
+
+  /**
+   * L1 TTL in seconds for a key: the requested TTL capped at the namespace TTL
+   * @returns {number} 0 when the key is not kept in L1
+   */
+  ttlFor(key, ttl = null) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const namespaceTTL = this.config.NAMESPACE_TTL[this.getNamespace(key)];
+    const cap = namespaceTTL ?? this.config.defaultTTL;
+    if (cap <= 0) {
+      return 0;
+    }
+    return ttl > 0 ? Math.min(cap, ttl) : cap;
+  }
+
+  accepts(key) {
+    return this.ttlFor(key) > 0;
+  }
+
+  /**
+   * Get a parsed copy of an entry (callers may mutate it)
+   * @returns {*} undefined on a miss
+   */
+  get(key) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    const serialized = this.cache.get(key);
+    return serialized === undefined ? undefined : JSON.parse(serialized);
+  }
+
+  /**
+   * Store a serialized entry
+   * @returns {boolean} whether the key is kept in L1
+   */
+  set(key, serialized, ttl = null, tags = []) {
+    const l1TTL = this.ttlFor(key, ttl);
+    if (l1TTL === 0 || serialized === undefined) {
+      return false;
+    }
+
+    this.cache.set(key, serialized, { ttl: l1TTL * 1000 });
+    this.stats.sets++;
+
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+      if (!this.keyTags.has(key)) {
+        this.keyTags.set(key, new Set());
+      }
+      this.keyTags.get(key).add(tag);
+    }
+    return true;
+  }
+
+  /**
+   * Remove keys
+   * @returns {number} entries removed
+   */
+  delete(keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this.cache.delete(key)) {
+        removed++;
+      }
+    }
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  /**
+   * Remove every key cached here with a tag
+   * @returns {Array<string>} removed keys
+   */
+  invalidateTag(tag) {
+    const keys = [...(this.tags.get(tag) || [])];
+    this.delete(keys);
+    this.tags.delete(tag);
+    return keys;
+  }
+
+  untag(key) {
+    for (const tag of this.keyTags.get(key) || []) {
+      const keys = this.tags.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) {
+        this.tags.delete(tag);
+      }
+    }
+    this.keyTags.delete(key);
+  }
+
+  clear() {
+    this.cache.clear();
+    this.tags.clear();
+    this.keyTags.clear();
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.cache.size,
+      sizeBytes: this.cache.calculatedSize,
+      maxEntries: this.config.maxEntries,
+      maxSizeBytes: this.config.maxSizeBytes,
+      tags: this.tags.size,
+      ...this.stats,
+    };
+  }
+}
+
+// Singleton instance
+const l1Cache = new L1Cache();
+
+export { L1Cache };
+export default l1Cache;
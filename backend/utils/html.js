@@ -0,0 +1,15 @@
+/**
+ * HTML Helpers
+ * Shared by the HTML emails and the HTML conversation export.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escape user-provided text (names, titles, messages) before putting it in HTML
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+export default {
+  escapeHtml,
+};
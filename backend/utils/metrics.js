@@ -0,0 +1,199 @@
+/**
+ * Prometheus Metrics
+ * One registry for the whole process, exposed as text by the /metrics route.
+ *
+ * Counters and histograms are updated where the work happens (HTTP middleware,
+ * LLM router, classifiers). Values owned by other components (cache stats,
+ * BullMQ queues, Socket.IO) are read when Prometheus scrapes, from sources
+ * registered at startup, so this module never opens connections.
+ */
+
+import client from 'prom-client';
+import embeddingCache from '../ai/embeddings/embeddingCache.js';
+import cacheMetrics from './CacheMetrics.js';
+
+const COLLECT_TIMEOUT_MS = 2000;
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const queues = new Map();
+const socketServers = new Set();
+
+// ==================== HTTP ====================
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+// ==================== LLM ====================
+
+export const llmRequestDuration = new client.Histogram({
+  name: 'llm_request_duration_seconds',
+  help: 'LLM provider call latency by provider, model, feature and outcome',
+  labelNames: ['provider', 'model', 'feature', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [register],
+});
+
+export const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens used by LLM calls by provider, model, feature and type (prompt or completion)',
+  labelNames: ['provider', 'model', 'feature', 'type'],
+  registers: [register],
+});
+
+export const llmErrors = new client.Counter({
+  name: 'llm_errors_total',
+  help: 'Failed LLM provider calls (errors and timeouts) by provider, model and feature',
+  labelNames: ['provider', 'model', 'feature'],
+  registers: [register],
+});
+
+/**
+ * Record one LLM provider attempt
+ * @param {Object} attempt - provider, model, feature, success, latency (ms), usage
+ */
+export function recordLLMCall({ provider, model, feature = 'default', success, latency, usage }) {
+  const labels = { provider, model: model || 'default', feature };
+
+  llmRequestDuration.observe({ ...labels, outcome: success ? 'success' : 'error' }, latency / 1000);
+  if (!success) {
+    llmErrors.inc(labels);
+    return;
+  }
+  if (usage?.prompt_tokens) {
+    llmTokens.inc({ ...labels, type: 'prompt' }, usage.prompt_tokens);
+  }
+  if (usage?.completion_tokens) {
+    llmTokens.inc({ ...labels, type: 'completion' }, usage.completion_tokens);
+  }
+}
+
+// ==================== Classifiers ====================
+
+export const classifierRoutes = new client.Counter({
+  name: 'ai_classifier_routes_total',
+  help: 'Queries routed by each classifier, by chosen route',
+  labelNames: ['classifier', 'route'],
+  registers: [register],
+});
+
+// ==================== Caches ====================
+
+// Counters fed from running totals kept by the caches; reset and re-add on each scrape
+new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Application cache lookups since startup by namespace and result (l1_hit, l2_hit or miss)',
+  labelNames: ['namespace', 'result'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [namespace, counts] of Object.entries(cacheMetrics.getTierStats().namespaces)) {
+      this.inc({ namespace, result: 'l1_hit' }, counts.l1Hits);
+      this.inc({ namespace, result: 'l2_hit' }, counts.l2Hits);
+      this.inc({ namespace, result: 'miss' }, counts.misses);
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'embedding_cache_hit_ratio',
+  help: 'Share of embedding lookups served from the LRU or Redis cache since startup (0-1)',
+  registers: [register],
+  collect() {
+    this.set(embeddingCache.getStats().hitRatio / 100);
+  },
+});
+
+new client.Counter({
+  name: 'embedding_cache_lookups_total',
+  help: 'Embedding cache lookups since startup by result (lru_hit, redis_hit or miss)',
+  labelNames: ['result'],
+  registers: [register],
+  collect() {
+    const { hits, misses } = embeddingCache.getStats();
+    this.reset();
+    this.inc({ result: 'lru_hit' }, hits.lru);
+    this.inc({ result: 'redis_hit' }, hits.redis);
+    this.inc({ result: 'miss' }, misses);
+  },
+});
+
+// ==================== Queues ====================
+
+const withTimeout = (promise) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('timed out')), COLLECT_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+new client.Gauge({
+  name: 'queue_jobs',
+  help: 'BullMQ jobs by queue and state (waiting, active, delayed, failed, completed)',
+  labelNames: ['queue', 'state'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    await Promise.all([...queues.values()].map(async (queue) => {
+      try {
+        const counts = await withTimeout(queue.getJobCounts('waiting', 'active', 'delayed', 'failed', 'completed'));
+        for (const [state, count] of Object.entries(counts)) {
+          this.set({ queue: queue.name, state }, count);
+        }
+      } catch {
+        // Redis unreachable: leave the queue out of this scrape
+      }
+    }));
+  },
+});
+
+/**
+ * Report a BullMQ queue's job counts on every scrape
+ */
+export function registerQueue(queue) {
+  queues.set(queue.name, queue);
+}
+
+// ==================== Socket.IO ====================
+
+const socketConnections = new client.Counter({
+  name: 'socketio_connections_total',
+  help: 'Socket.IO connections accepted since startup',
+  registers: [register],
+});
+
+new client.Gauge({
+  name: 'socketio_connected_clients',
+  help: 'Socket.IO clients currently connected to this instance',
+  registers: [register],
+  collect() {
+    let connected = 0;
+    for (const io of socketServers) {
+      connected += io.engine?.clientsCount || 0;
+    }
+    this.set(connected);
+  },
+});
+
+/**
+ * Count connections of a Socket.IO server
+ */
+export function registerSocketServer(io) {
+  if (!io || socketServers.has(io)) {
+    return;
+  }
+  socketServers.add(io);
+  io.on('connection', () => socketConnections.inc());
+}
+
+export default register;
@@ -0,0 +1,154 @@
+/**
+ * Tracing Helpers
+ * Manual spans and W3C trace context propagation on top of @opentelemetry/api.
+ *
+ * The SDK is started by instrumentation.js (node --import) when TRACING_ENABLED
+ * is set; until then the API hands out no-op spans, so call sites never need
+ * to check whether tracing is on.
+ */
+
+import { context, propagation, trace, ROOT_CONTEXT, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+
+export const TRACER_NAME = 'mini-ai-tutor';
+
+const tracer = trace.getTracer(TRACER_NAME);
+
+export { SpanKind };
+
+/**
+ * Export spans still buffered by the SDK (call before the process exits)
+ */
+export async function flushTraces() {
+  const provider = trace.getTracerProvider();
+  const delegate = provider.getDelegate ? provider.getDelegate() : provider;
+  try {
+    await delegate.forceFlush?.();
+  } catch (error) {
+    console.error('Trace flush error:', error.message);
+  }
+}
+
+/**
+ * Mark a span as failed with the error that ended it
+ */
+export function recordSpanError(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Run fn inside a new active span, ending it when fn settles
+ * @param {string} name - Span name
+ * @param {Object} options - kind, attributes, parent (context; defaults to the active one)
+ * @param {Function} fn - Receives the span
+ */
+export function withSpan(name, options, fn) {
+  const { kind = SpanKind.INTERNAL, attributes = {}, parent = context.active() } = options;
+
+  return tracer.startActiveSpan(name, { kind, attributes }, parent, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      recordSpanError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Start a span the caller ends itself (e.g. across generator yields)
+ * @returns {{ span, run }} run(fn) calls fn with the span active
+ */
+export function startSpan(name, options = {}) {
+  const { kind = SpanKind.INTERNAL, attributes = {}, parent = context.active() } = options;
+  const span = tracer.startSpan(name, { kind, attributes }, parent);
+  const spanContext = trace.setSpan(parent, span);
+  return { span, run: (fn) => context.with(spanContext, fn) };
+}
+
+/**
+ * Serialize the active trace context (traceparent/tracestate)
+ * @returns {Object} empty when tracing is off or no span is active
+ */
+export function injectTraceContext() {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+}
+
+/**
+ * Context to parent spans on, from a carrier made by injectTraceContext()
+ * (a new trace is started when the carrier is missing)
+ */
+export function extractTraceContext(carrier) {
+  return carrier ? propagation.extract(ROOT_CONTEXT, carrier) : ROOT_CONTEXT;
+}
+
+/**
+ * Job data with the active trace context attached as `traceContext`
+ */
+export function withTraceContext(data) {
+  const traceContext = injectTraceContext();
+  return Object.keys(traceContext).length > 0 ? { ...data, traceContext } : data;
+}
+
+/**
+ * Wrap a BullMQ processor so each job runs in a consumer span that continues
+ * the trace of the request that queued it
+ */
+export function traceJob(queueName, processor) {
+  return (job, ...args) => withSpan(`${queueName} process`, {
+    kind: SpanKind.CONSUMER,
+    parent: extractTraceContext(job.data?.traceContext),
+    attributes: {
+      'messaging.system': 'bullmq',
+      'messaging.destination.name': queueName,
+      'messaging.operation': 'process',
+      'messaging.message.id': String(job.id),
+      'messaging.bullmq.attempt': job.attemptsMade + 1,
+    },
+  }, () => processor(job, ...args));
+}
+
+/**
+ * Wrap a Socket.IO event handler in a server span. Clients continue a trace by
+ * sending `traceContext: { traceparent }` in the event payload.
+ */
+export function traceSocketEvent(socket, event, handler) {
+  return (data, ...args) => withSpan(`socket.io ${event}`, {
+    kind: SpanKind.SERVER,
+    parent: extractTraceContext(data?.traceContext),
+    attributes: {
+      'messaging.system': 'socket.io',
+      'messaging.destination.name': event,
+      'messaging.operation': 'receive',
+      'socket.io.socket_id': socket.id,
+    },
+  }, () => handler(data, ...args));
+}
+
+/**
+ * Attributes of an LLM call span (OpenTelemetry gen_ai conventions)
+ */
+export function llmSpanAttributes({ provider, model, feature }) {
+  return {
+    'gen_ai.system': provider,
+    'gen_ai.operation.name': 'chat',
+    'gen_ai.request.model': model || 'default',
+    'app.llm.feature': feature || 'default',
+  };
+}
+
+/**
+ * Add token usage to an LLM call span
+ */
+export function setLLMUsage(span, usage) {
+  if (usage?.prompt_tokens !== undefined) {
+    span.setAttribute('gen_ai.usage.input_tokens', usage.prompt_tokens);
+  }
+  if (usage?.completion_tokens !== undefined) {
+    span.setAttribute('gen_ai.usage.output_tokens', usage.completion_tokens);
+  }
+}
@@ -7,6 +7,7 @@
 import { Worker } from 'bullmq';
 import { createQueueConnection } from '../config/redisCluster.js';
 import logger from '../config/logger.js';
+import { traceJob } from '../utils/tracing.js';
 
 const connection = createQueueConnection();
 
@@ -127,9 +128,9 @@ async function processAIJob(job, io, voiceOrchestrator, models) {
 export function createAIWorker(io, voiceOrchestrator, models) {
   const worker = new Worker(
     'ai-response',
-    async (job) => {
+    traceJob('ai-response', async (job) => {
       return await processAIJob(job, io, voiceOrchestrator, models);
-    },
+    }),
     {
       connection,
       concurrency: 10, // Process 10 jobs concurrently
@@ -0,0 +1,126 @@
+/**
+ * Document Ingestion Worker
+ * Processes uploaded documents from the BullMQ ingestion queue:
+ * parse -> chunk -> embed -> store in ChromaDB
+ * Concurrency: 2 jobs (parsing and embedding are CPU heavy)
+ */
+
+import fs from 'fs/promises';
+import { Worker, UnrecoverableError } from 'bullmq';
+import { createQueueConnection } from '../config/redisCluster.js';
+import logger from '../config/logger.js';
+import { traceJob } from '../utils/tracing.js';
+import chromaService from '../ai/vectorstore/chromaService.js';
+import ingestionService from '../ai/vectorstore/ingestion.js';
+import { DocumentParseError } from '../ai/vectorstore/documentParsers.js';
+
+const connection = createQueueConnection();
+
+/**
+ * Remove the uploaded file once no further attempt will need it
+ */
+async function removeUpload(filePath) {
+  try {
+    await fs.rm(filePath, { force: true });
+  } catch (error) {
+    logger.warn('Failed to remove ingested upload', { filePath, error: error.message });
+  }
+}
+
+/**
+ * Process document ingestion job
+ * @param {Job} job - BullMQ job
+ */
+async function processIngestionJob(job) {
+  const { userId, filePath, filename, mimeType, type, metadata, chunking } = job.data;
+  const startTime = Date.now();
+
+  logger.info('Processing ingestion job', {
+    jobId: job.id,
+    userId,
+    filename
+  });
+
+  if (!chromaService.isInitialized) {
+    const result = await chromaService.initialize();
+    if (!result.success) {
+      throw new Error('ChromaDB not available');
+    }
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch (error) {
+    throw new UnrecoverableError(`Uploaded file is no longer available: ${filename}`);
+  }
+
+  let result;
+  try {
+    result = await ingestionService.ingestDocument(
+      { buffer, filename, mimeType },
+      {
+        type,
+        chunking,
+        metadata: { ...metadata, uploadedBy: userId },
+        onProgress: (progress) => job.updateProgress(progress)
+      }
+    );
+  } catch (error) {
+    // Retrying won't make an unreadable file readable
+    if (error instanceof DocumentParseError) {
+      throw new UnrecoverableError(error.message);
+    }
+    throw error;
+  }
+
+  await removeUpload(filePath);
+
+  const duration = Date.now() - startTime;
+  logger.logJobCompleted('Ingestion', job.id, duration);
+
+  return { ...result, filename, duration };
+}
+
+/**
+ * Create and start document ingestion worker
+ * @returns {Worker}
+ */
+export function createIngestionWorker() {
+  const worker = new Worker('document-ingestion', traceJob('document-ingestion', processIngestionJob), {
+    connection,
+    concurrency: 2
+  });
+
+  worker.on('completed', (job, result) => {
+    logger.info('Ingestion job completed', {
+      jobId: job.id,
+      filename: result.filename,
+      chunks: result.chunks,
+      duplicate: result.duplicate,
+      duration: result.duration
+    });
+  });
+
+  worker.on('failed', async (job, error) => {
+    logger.logJobFailed('Ingestion', job.id, error);
+
+    const finalAttempt = error instanceof UnrecoverableError || job.attemptsMade >= job.opts.attempts;
+    if (finalAttempt) {
+      await removeUpload(job.data.filePath);
+    }
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Ingestion worker error', {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  logger.info('Ingestion worker started', { concurrency: 2 });
+
+  return worker;
+}
+
+export default createIngestionWorker;
@@ -0,0 +1,90 @@
+/**
+ * Revision Notification Worker
+ * Emails enrollees about published content revisions from the BullMQ
+ * revision-notifications queue, outside the publish request.
+ * Concurrency: 2 jobs (each one sends its emails one after another)
+ */
+
+import { Worker } from 'bullmq';
+import { createQueueConnection } from '../config/redisCluster.js';
+import logger from '../config/logger.js';
+import { traceJob } from '../utils/tracing.js';
+import ContentRevision from '../models/ContentRevision.js';
+import { addRevisionNotificationJob } from '../queues/index.js';
+import { notifyEnrollees } from '../services/contentRevisionService.js';
+
+const connection = createQueueConnection();
+
+/**
+ * Process revision notification job
+ * @param {Job} job - BullMQ job
+ */
+async function processNotificationJob(job) {
+  const { revisionId } = job.data;
+  const startTime = Date.now();
+
+  logger.info('Processing notification job', {
+    jobId: job.id,
+    revisionId
+  });
+
+  const sent = await notifyEnrollees(revisionId);
+
+  const duration = Date.now() - startTime;
+  logger.logJobCompleted('Notification', job.id, duration);
+
+  return { sent, duration };
+}
+
+/**
+ * Queue revisions still waiting for their emails, e.g. when queuing failed
+ * while publishing or the jobs were lost
+ */
+async function requeuePendingNotifications() {
+  const pending = await ContentRevision.find({ notifyStatus: 'pending' }).select('_id').lean();
+  await Promise.all(pending.map(({ _id }) => addRevisionNotificationJob({ revisionId: String(_id) })));
+
+  if (pending.length > 0) {
+    logger.info('Requeued pending revision notifications', { count: pending.length });
+  }
+}
+
+/**
+ * Create and start revision notification worker
+ * @returns {Worker}
+ */
+export function createNotificationWorker() {
+  const worker = new Worker('revision-notifications', traceJob('revision-notifications', processNotificationJob), {
+    connection,
+    concurrency: 2
+  });
+
+  worker.on('completed', (job, result) => {
+    logger.info('Notification job completed', {
+      jobId: job.id,
+      sent: result.sent,
+      duration: result.duration
+    });
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.logJobFailed('Notification', job.id, error);
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Notification worker error', {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  requeuePendingNotifications().catch((error) => {
+    logger.error('Failed to requeue pending notifications', { error: error.message });
+  });
+
+  logger.info('Notification worker started', { concurrency: 2 });
+
+  return worker;
+}
+
+export default createNotificationWorker;
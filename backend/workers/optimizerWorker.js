@@ -0,0 +1,73 @@
+/**
+ * FSRS Optimizer Worker
+ * Processes flashcard scheduler optimizations from the BullMQ optimizer queue.
+ * The fit itself runs in a worker thread (see flashcardSchedulerService), so a
+ * long review history doesn't stall the process hosting this worker.
+ * Concurrency: 1 job (each fit keeps a CPU core busy)
+ */
+
+import { Worker } from 'bullmq';
+import { createQueueConnection } from '../config/redisCluster.js';
+import logger from '../config/logger.js';
+import { traceJob } from '../utils/tracing.js';
+import { optimizeUserParameters } from '../services/flashcardSchedulerService.js';
+
+const connection = createQueueConnection();
+
+/**
+ * Process FSRS optimization job
+ * @param {Job} job - BullMQ job
+ */
+async function processOptimizerJob(job) {
+  const { userId } = job.data;
+  const startTime = Date.now();
+
+  logger.info('Processing optimizer job', {
+    jobId: job.id,
+    userId
+  });
+
+  const result = await optimizeUserParameters(userId);
+
+  const duration = Date.now() - startTime;
+  logger.logJobCompleted('Optimizer', job.id, duration);
+
+  return { ...result, duration };
+}
+
+/**
+ * Create and start FSRS optimizer worker
+ * @returns {Worker}
+ */
+export function createOptimizerWorker() {
+  const worker = new Worker('fsrs-optimizer', traceJob('fsrs-optimizer', processOptimizerJob), {
+    connection,
+    concurrency: 1
+  });
+
+  worker.on('completed', (job, result) => {
+    logger.info('Optimizer job completed', {
+      jobId: job.id,
+      optimized: result.optimized,
+      reviewCount: result.reviewCount,
+      duration: result.duration
+    });
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.logJobFailed('Optimizer', job.id, error);
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Optimizer worker error', {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  logger.info('Optimizer worker started', { concurrency: 1 });
+
+  return worker;
+}
+
+export default createOptimizerWorker;
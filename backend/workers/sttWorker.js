@@ -7,6 +7,7 @@
 import { Worker } from 'bullmq';
 import { createQueueConnection } from '../config/redisCluster.js';
 import logger from '../config/logger.js';
+import { traceJob } from '../utils/tracing.js';
 import audioStorage from '../services/audioStorage.js';
 
 const connection = createQueueConnection();
@@ -130,9 +131,9 @@ async function processSTTJob(job, io, voiceOrchestrator) {
 export function createSTTWorker(io, voiceOrchestrator) {
   const worker = new Worker(
     'stt',
-    async (job) => {
+    traceJob('stt', async (job) => {
       return await processSTTJob(job, io, voiceOrchestrator);
-    },
+    }),
     {
       connection,
       concurrency: 5, // Process 5 jobs concurrently
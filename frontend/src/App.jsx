@@ -20,6 +20,7 @@ import SessionDetails from './pages/SessionDetails';
 import CourseCatalog from './pages/CourseCatalog';
 import CourseDetails from './pages/CourseDetails';
 import CreateCourse from './pages/CreateCourse';
+import CertificateVerify from './pages/CertificateVerify';
 
 function App() {
     const { user, loading } = useAuth();
@@ -48,6 +49,7 @@ function App() {
                     path="/"
                     element={user ? <Navigate to="/dashboard" replace /> : <Landing />}
                 />
+                <Route path="/certificates/:certificateId" element={<CertificateVerify />} />
 
                 {/* Private Routes - Wrapped in Layout */}
                 <Route
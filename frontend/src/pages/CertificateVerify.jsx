@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { userService } from '../services/userService';
+import { Award, CheckCircle, XCircle } from 'lucide-react';
+
+// Public page behind the verification link printed on certificates
+const CertificateVerify = () => {
+    const { certificateId } = useParams();
+    const [certificate, setCertificate] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const verify = async () => {
+            try {
+                const response = await userService.verifyCertificate(certificateId);
+                setCertificate(response.data);
+            } catch (err) {
+                setError(err.response?.status === 404
+                    ? 'No certificate exists with this ID.'
+                    : 'Could not verify the certificate. Please try again later.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        verify();
+    }, [certificateId]);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+            <div className="card max-w-lg w-full text-center">
+                <Award className="w-12 h-12 text-primary-600 mx-auto mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-1">Certificate Verification</h1>
+                <p className="text-sm text-gray-500 mb-6">{certificateId}</p>
+
+                {error ? (
+                    <div className="flex items-center justify-center gap-2 text-red-600">
+                        <XCircle className="w-5 h-5" />
+                        <span>{error}</span>
+                    </div>
+                ) : (
+                    <>
+                        {certificate.valid ? (
+                            <div className="flex items-center justify-center gap-2 text-green-600 mb-6">
+                                <CheckCircle className="w-5 h-5" />
+                                <span className="font-medium">Valid certificate</span>
+                            </div>
+                        ) : (
+                            <div className="text-red-600 mb-6">
+                                <div className="flex items-center justify-center gap-2">
+                                    <XCircle className="w-5 h-5" />
+                                    <span className="font-medium">
+                                        Revoked on {new Date(certificate.revokedAt).toLocaleDateString()}
+                                    </span>
+                                </div>
+                                {certificate.revocationReason && (
+                                    <p className="text-sm mt-1">{certificate.revocationReason}</p>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="space-y-3 text-left">
+                            <div>
+                                <p className="text-sm text-gray-600">Awarded to</p>
+                                <p className="font-medium text-gray-900">{certificate.recipientName}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-600">Course</p>
+                                <p className="font-medium text-gray-900">{certificate.courseTitle}</p>
+                            </div>
+                            {certificate.instructorName && (
+                                <div>
+                                    <p className="text-sm text-gray-600">Instructor</p>
+                                    <p className="font-medium text-gray-900">{certificate.instructorName}</p>
+                                </div>
+                            )}
+                            <div>
+                                <p className="text-sm text-gray-600">Completed on</p>
+                                <p className="font-medium text-gray-900">
+                                    {new Date(certificate.completedAt).toLocaleDateString()}
+                                </p>
+                            </div>
+                        </div>
+                    </>
+                )}
+
+                <Link to="/" className="inline-block mt-8 text-primary-600 hover:text-primary-700 text-sm">
+                    Go to homepage
+                </Link>
+            </div>
+        </div>
+    );
+};
+
+export default CertificateVerify;
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { userService } from '../services/userService';
-import { User, Mail, Calendar, Settings } from 'lucide-react';
+import { User, Mail, Calendar, Settings, Award, Download, ExternalLink } from 'lucide-react';
 
 const Profile = () => {
     const { user, updateUser } = useAuth();
     const [stats, setStats] = useState(null);
+    const [certificates, setCertificates] = useState([]);
     const [loading, setLoading] = useState(true);
     const [editing, setEditing] = useState(false);
     const [formData, setFormData] = useState({
@@ -14,6 +15,7 @@ const Profile = () => {
 
     useEffect(() => {
         fetchStats();
+        fetchCertificates();
     }, []);
 
     const fetchStats = async () => {
@@ -27,6 +29,30 @@ const Profile = () => {
         }
     };
 
+    const fetchCertificates = async () => {
+        try {
+            const response = await userService.getCertificates();
+            setCertificates(response.data);
+        } catch (error) {
+            console.error('Error fetching certificates:', error);
+        }
+    };
+
+    const handleDownload = async (certificate, format) => {
+        try {
+            const blob = await userService.downloadCertificate(certificate.verificationId, format);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${certificate.verificationId}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading certificate:', error);
+            alert('Failed to download certificate');
+        }
+    };
+
     const handleUpdate = async (e) => {
         e.preventDefault();
         try {
@@ -156,6 +182,64 @@ const Profile = () => {
                     </div>
                 )}
             </div>
+
+            {/* Certificates */}
+            <div className="card mt-8">
+                <h2 className="text-xl font-bold mb-6">Certificates</h2>
+                {certificates.length === 0 ? (
+                    <p className="text-gray-600">
+                        Complete a course to earn your first certificate.
+                    </p>
+                ) : (
+                    <div className="space-y-4">
+                        {certificates.map((certificate) => (
+                            <div
+                                key={certificate.verificationId}
+                                className="flex flex-col md:flex-row md:items-center justify-between gap-3 border-b border-gray-100 pb-4 last:border-0 last:pb-0"
+                            >
+                                <div className="flex items-start gap-3">
+                                    <Award className={`w-6 h-6 mt-0.5 ${certificate.valid ? 'text-primary-600' : 'text-gray-400'}`} />
+                                    <div>
+                                        <p className="font-medium text-gray-900">{certificate.courseTitle}</p>
+                                        <p className="text-sm text-gray-600">
+                                            Issued {new Date(certificate.issuedAt).toLocaleDateString()} · {certificate.verificationId}
+                                        </p>
+                                        {!certificate.valid && (
+                                            <p className="text-sm text-red-600">
+                                                Revoked{certificate.revocationReason ? `: ${certificate.revocationReason}` : ''}
+                                            </p>
+                                        )}
+                                    </div>
+                                </div>
+                                {certificate.valid && (
+                                    <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => handleDownload(certificate, 'pdf')}
+                                            className="btn-secondary flex items-center gap-1"
+                                        >
+                                            <Download className="w-4 h-4" /> PDF
+                                        </button>
+                                        <button
+                                            onClick={() => handleDownload(certificate, 'png')}
+                                            className="btn-secondary flex items-center gap-1"
+                                        >
+                                            <Download className="w-4 h-4" /> PNG
+                                        </button>
+                                        <a
+                                            href={`/certificates/${certificate.verificationId}`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-primary-600 hover:text-primary-700 flex items-center gap-1 text-sm"
+                                        >
+                                            <ExternalLink className="w-4 h-4" /> Verify
+                                        </a>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
         </div>
     );
 };
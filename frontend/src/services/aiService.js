@@ -58,15 +58,52 @@ export const aiService = {
   /**
    * Ingest content into knowledge base
    */
-  ingestContent: async (type, content, metadata = {}) => {
+  ingestContent: async (type, content, metadata = {}, options = {}) => {
     const response = await api.post('/ai/ingest', {
       type, // "roadmap", "flashcard", "note", "knowledge"
       content,
       metadata,
+      format: options.format, // "text" (default), "markdown" or "html"
+      chunking: options.chunking, // { chunkSize, chunkOverlap, headingAware }
     });
     return response.data;
   },
 
+  /**
+   * Upload documents (PDF, Markdown, HTML, DOCX, text) for background ingestion
+   * @returns {Object} { jobs: [{ jobId, filename, statusUrl }] }
+   */
+  uploadDocuments: async (files, options = {}) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('files', file));
+    formData.append('type', options.type || 'knowledge');
+    if (options.metadata) formData.append('metadata', JSON.stringify(options.metadata));
+    if (options.chunkSize) formData.append('chunkSize', options.chunkSize);
+    if (options.chunkOverlap !== undefined) formData.append('chunkOverlap', options.chunkOverlap);
+    if (options.headingAware !== undefined) formData.append('headingAware', String(options.headingAware));
+
+    const response = await api.post('/ai/ingest/files', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * Status of a document ingestion job (state, progress, result or error)
+   */
+  getIngestionJob: async (jobId) => {
+    const response = await api.get(`/ai/ingest/jobs/${jobId}`);
+    return response.data;
+  },
+
+  /**
+   * Recent document ingestion jobs
+   */
+  getIngestionJobs: async () => {
+    const response = await api.get('/ai/ingest/jobs');
+    return response.data;
+  },
+
   /**
    * Get AI statistics and performance
    */
@@ -9,15 +9,26 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 class AIStreamingService {
   /**
-   * Stream AI chat with real-time thinking updates
+   * Stream AI chat token by token with real-time thinking updates
    * @param {string} message - User message
-   * @param {object} options - Options { mode: 'simple'|'rag', onThinkingUpdate, onResponse, onError, onComplete }
+   * @param {object} options - Options { mode: 'simple'|'rag', conversationId, topic, signal,
+   *   onStart, onThinkingStart, onThinkingUpdate, onSources, onToken, onUsage, onResponse,
+   *   onCancelled, onError, onComplete }
+   * Aborting `signal` stops generation on the server too; the partial answer is kept.
    */
   async streamChat(message, options = {}) {
     const {
       mode = 'simple',
+      conversationId,
+      topic,
+      signal,
+      onStart,
       onThinkingUpdate,
+      onSources,
+      onToken,
+      onUsage,
       onResponse,
+      onCancelled,
       onError,
       onComplete,
       onThinkingStart
@@ -35,7 +46,8 @@ class AIStreamingService {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ message, mode })
+        body: JSON.stringify({ message, mode, conversationId, topic }),
+        signal
       });
 
       if (!response.ok) {
@@ -74,6 +86,12 @@ class AIStreamingService {
               const event = JSON.parse(data);
 
               switch (event.type) {
+                case 'start':
+                  if (onStart) {
+                    onStart(event);
+                  }
+                  break;
+
                 case 'thinking_start':
                   if (onThinkingStart) {
                     onThinkingStart(event.phases);
@@ -90,12 +108,36 @@ class AIStreamingService {
                   // Thinking is done, response will follow
                   break;
 
+                case 'sources':
+                  if (onSources) {
+                    onSources(event.sources, event.confidence);
+                  }
+                  break;
+
+                case 'token':
+                  if (onToken) {
+                    onToken(event.delta);
+                  }
+                  break;
+
+                case 'usage':
+                  if (onUsage) {
+                    onUsage(event);
+                  }
+                  break;
+
                 case 'response':
                   if (onResponse) {
                     onResponse(event.data);
                   }
                   break;
 
+                case 'cancelled':
+                  if (onCancelled) {
+                    onCancelled(event);
+                  }
+                  break;
+
                 case 'error':
                   if (onError) {
                     onError(new Error(event.error));
@@ -110,6 +152,14 @@ class AIStreamingService {
       }
 
     } catch (error) {
+      // Stopped by the caller
+      if (error.name === 'AbortError') {
+        if (onCancelled) {
+          onCancelled({});
+        }
+        return;
+      }
+
       console.error('Streaming error:', error);
       if (onError) {
         onError(error);
@@ -117,6 +167,22 @@ class AIStreamingService {
       throw error;
     }
   }
+
+  /**
+   * Stop a running stream by the streamId from its `start` event
+   * (for callers that can't abort the original request)
+   * @param {string} streamId
+   */
+  async cancelStream(streamId) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_URL}/ai/chat/stream/${streamId}/cancel`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    return response.json();
+  }
 }
 
 export default new AIStreamingService();
@@ -51,6 +51,30 @@ export const authService = {
     return response.data;
   },
 
+  // Verify email with the token from the emailed link
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  // Send a new verification email
+  resendVerificationEmail: async () => {
+    const response = await api.post('/auth/verify-email/resend');
+    return response.data;
+  },
+
+  // Request a password reset link
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the emailed link
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
   // Check if user is authenticated
   isAuthenticated: () => {
     return !!localStorage.getItem('token');
@@ -13,6 +13,30 @@ export const chatService = {
     return response.data;
   },
 
+  // Edit a question: the edit becomes a new branch and gets a fresh answer
+  editMessage: async (messageId, content) => {
+    const response = await api.post(`/chat/message/${messageId}/edit`, { content });
+    return response.data;
+  },
+
+  // Regenerate an answer as an alternative to the current one
+  regenerateMessage: async (messageId) => {
+    const response = await api.post(`/chat/message/${messageId}/regenerate`);
+    return response.data;
+  },
+
+  // Get the branch of a conversation that goes through a message
+  getBranch: async (conversationId, messageId) => {
+    const response = await api.get(`/chat/conversation/${conversationId}/branch/${messageId}`);
+    return response.data;
+  },
+
+  // Continue the conversation on the branch that goes through a message
+  setActiveBranch: async (conversationId, messageId) => {
+    const response = await api.put(`/chat/conversation/${conversationId}/branch`, { messageId });
+    return response.data;
+  },
+
   // Get all conversations
   getConversations: async (params = {}) => {
     const response = await api.get('/conversations', { params });
@@ -43,6 +67,31 @@ export const chatService = {
     return response.data;
   },
 
+  // Download a conversation as markdown, html or json
+  exportConversation: async (id, format = 'markdown') => {
+    const response = await api.get(`/conversations/${id}/export`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  // Share links: public read-only transcripts that can be revoked
+  getShareLinks: async (id) => {
+    const response = await api.get(`/conversations/${id}/shares`);
+    return response.data;
+  },
+
+  createShareLink: async (id, data = {}) => {
+    const response = await api.post(`/conversations/${id}/shares`, data);
+    return response.data;
+  },
+
+  revokeShareLink: async (id, shareId) => {
+    const response = await api.delete(`/conversations/${id}/shares/${shareId}`);
+    return response.data;
+  },
+
   // Search conversations
   searchConversations: async (query) => {
     const response = await api.get('/conversations/search', {
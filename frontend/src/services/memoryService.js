@@ -0,0 +1,52 @@
+import api from './api';
+
+export const memoryService = {
+  // List and search memories
+  getMemories: async (params = {}) => {
+    const response = await api.get('/memory', { params });
+    return response.data;
+  },
+
+  // Get a memory with its history and audit trail
+  getMemory: async (id) => {
+    const response = await api.get(`/memory/${id}`);
+    return response.data;
+  },
+
+  // Edit a memory
+  updateMemory: async (id, data) => {
+    const response = await api.put(`/memory/${id}`, data);
+    return response.data;
+  },
+
+  // Delete a memory
+  deleteMemory: async (id) => {
+    const response = await api.delete(`/memory/${id}`);
+    return response.data;
+  },
+
+  // Pin or unpin a memory
+  pinMemory: async (id, pinned = true) => {
+    const response = pinned
+      ? await api.post(`/memory/${id}/pin`)
+      : await api.delete(`/memory/${id}/pin`);
+    return response.data;
+  },
+
+  // Download all memories as JSON
+  exportMemories: async () => {
+    const response = await api.get('/memory/export', { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Memory extraction settings
+  getSettings: async () => {
+    const response = await api.get('/memory/settings');
+    return response.data;
+  },
+
+  setExtractionPaused: async (paused) => {
+    const response = await api.put('/memory/settings', { paused });
+    return response.data;
+  }
+};
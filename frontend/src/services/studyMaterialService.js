@@ -27,16 +27,129 @@ export const studyMaterialService = {
     return response.data;
   },
 
+  listFlashcards: async (params = {}) => {
+    const response = await api.get('/study/flashcards', { params });
+    return response.data;
+  },
+
+  getFlashcard: async (id) => {
+    const response = await api.get(`/study/flashcards/${id}`);
+    return response.data;
+  },
+
+  createFlashcard: async (data) => {
+    const response = await api.post('/study/flashcards', data);
+    return response.data;
+  },
+
+  updateFlashcard: async (id, data) => {
+    const response = await api.put(`/study/flashcards/${id}`, data);
+    return response.data;
+  },
+
+  suspendFlashcards: async (ids, suspended = true) => {
+    const response = await api.post('/study/flashcards/suspend', { ids, suspended });
+    return response.data;
+  },
+
+  moveFlashcards: async (ids, deck) => {
+    const response = await api.post('/study/flashcards/move', { ids, deck });
+    return response.data;
+  },
+
+  deleteFlashcard: async (id, wholeNote = false) => {
+    const params = wholeNote ? { note: true } : {};
+    const response = await api.delete(`/study/flashcards/${id}`, { params });
+    return response.data;
+  },
+
+  renameDeck: async (from, to) => {
+    const response = await api.post('/study/flashcards/decks/rename', { from, to });
+    return response.data;
+  },
+
+  mergeDecks: async (sources, target) => {
+    const response = await api.post('/study/flashcards/decks/merge', { sources, target });
+    return response.data;
+  },
+
   exportFlashcards: async (deck = null, format = 'csv') => {
     const params = { format };
     if (deck) params.deck = deck;
     const response = await api.get('/study/flashcards/export', {
       params,
-      responseType: format === 'csv' ? 'blob' : 'json'
+      responseType: format === 'json' ? 'json' : 'blob'
+    });
+    return response.data;
+  },
+
+  importFlashcards: async (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+      }
+    });
+    const response = await api.post('/study/flashcards/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
     });
     return response.data;
   },
 
+  getFlashcardSettings: async () => {
+    const response = await api.get('/study/flashcards/settings');
+    return response.data;
+  },
+
+  updateFlashcardSettings: async (settings) => {
+    const response = await api.put('/study/flashcards/settings', settings);
+    return response.data;
+  },
+
+  optimizeFlashcardScheduler: async () => {
+    const response = await api.post('/study/flashcards/settings/optimize');
+    return response.data;
+  },
+
+  // The optimizer runs as a background job; poll this with the jobId it returned
+  getFlashcardOptimization: async (jobId) => {
+    const response = await api.get(`/study/flashcards/settings/optimize/${jobId}`);
+    return response.data;
+  },
+
+  getFlashcardReviews: async (params = {}) => {
+    const response = await api.get('/study/flashcards/reviews', { params });
+    return response.data;
+  },
+
+  getRetentionCurves: async (deck = null, days = 90) => {
+    const params = { days };
+    if (deck) params.deck = deck;
+    const response = await api.get('/study/flashcards/analytics/retention', { params });
+    return response.data;
+  },
+
+  getReviewForecast: async (deck = null, days = 30) => {
+    const params = { days, tz: Intl.DateTimeFormat().resolvedOptions().timeZone };
+    if (deck) params.deck = deck;
+    const response = await api.get('/study/flashcards/analytics/forecast', { params });
+    return response.data;
+  },
+
+  getReviewHeatmap: async (days = 365) => {
+    const params = { days, tz: Intl.DateTimeFormat().resolvedOptions().timeZone };
+    const response = await api.get('/study/flashcards/analytics/heatmap', { params });
+    return response.data;
+  },
+
+  getHardestCards: async (deck = null, limit = 10) => {
+    const params = { limit };
+    if (deck) params.deck = deck;
+    const response = await api.get('/study/flashcards/analytics/hardest', { params });
+    return response.data;
+  },
+
   // Quizzes
   generateQuiz: async (data) => {
     const response = await api.post('/study/quizzes/generate', data);
@@ -59,6 +172,14 @@ export const studyMaterialService = {
     return response.data;
   },
 
+  runQuizQuestionCode: async (quizId, questionId, code, language) => {
+    const response = await api.post(`/study/quizzes/${quizId}/questions/${questionId}/run`, {
+      code,
+      language
+    });
+    return response.data;
+  },
+
   exportQuiz: async (id) => {
     const response = await api.get(`/study/quizzes/${id}/export`, {
       responseType: 'blob'
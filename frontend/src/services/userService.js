@@ -23,5 +23,50 @@ export const userService = {
   deleteAccount: async () => {
     const response = await api.delete('/user/account');
     return response.data;
+  },
+
+  getDeletionReport: async (requestId, receipt) => {
+    const response = await api.get(`/user/deletion-reports/${requestId}`, { params: { receipt } });
+    return response.data;
+  },
+
+  requestDataExport: async () => {
+    const response = await api.post('/user/data-export');
+    return response.data;
+  },
+
+  getDataExports: async () => {
+    const response = await api.get('/user/data-export');
+    return response.data;
+  },
+
+  getDataExport: async (exportId) => {
+    const response = await api.get(`/user/data-export/${exportId}`);
+    return response.data;
+  },
+
+  downloadDataExport: async (exportId) => {
+    const response = await api.get(`/user/data-export/${exportId}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  getCertificates: async () => {
+    const response = await api.get('/certificates');
+    return response.data;
+  },
+
+  // format: 'pdf' or 'png'
+  downloadCertificate: async (verificationId, format = 'pdf') => {
+    const response = await api.get(`/certificates/${verificationId}/download`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  // Public: no sign-in needed
+  verifyCertificate: async (verificationId) => {
+    const response = await api.get(`/public/certificates/${encodeURIComponent(verificationId)}`);
+    return response.data;
   }
 };